@@ -0,0 +1,18 @@
+/**
+ * Posts every invoice, expense, team payment, advance, salary accrual and client
+ * credit to the general ledger from scratch. Run it once after upgrading to a
+ * version with the ledger, or whenever the journal needs rebuilding.
+ *
+ * Usage:  npm run ledger:rebuild
+ */
+
+import { rebuildLedger } from '../server/lib/ledger';
+
+try {
+  const count = await rebuildLedger();
+  console.log(`Posted ${count} records to the general ledger`);
+  process.exit(0);
+} catch (err) {
+  console.error('Rebuilding the ledger failed:', err);
+  process.exit(1);
+}
@@ -17,6 +17,7 @@ export const expenseTypeEnum = pgEnum('ExpenseType', ['expense', 'credit']);
 export const backupStatusEnum = pgEnum('BackupStatus', ['pending', 'running', 'completed', 'partial', 'failed']);
 export const backupUploadStatusEnum = pgEnum('BackupUploadStatus', ['pending', 'uploading', 'completed', 'failed']);
 export const hubPostTypeEnum = pgEnum('hub_post_type', ['idea', 'task', 'announcement']);
+export const contractStatusEnum = pgEnum('contract_status', ['draft', 'sent', 'signed', 'void']);
 
 // ── Better Auth managed tables ──
 
@@ -163,6 +164,10 @@ export const clients = pgTable('clients', {
   shippingState: text('shipping_state'),
   shippingPostalCode: text('shipping_postal_code'),
   shippingCountry: text('shipping_country'),
+  currency: text('currency'),
+  taxExempt: boolean('tax_exempt').notNull().default(false),
+  taxExemptCertificate: text('tax_exempt_certificate'),
+  taxExemptExpiresAt: timestamp('tax_exempt_expires_at', { withTimezone: true, mode: 'date' }), // null = no expiry
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -180,6 +185,7 @@ export const products = pgTable('products', {
   description: text('description'),
   category: text('category'),
   productType: productTypeEnum('product_type').notNull().default('product'),
+  accountCode: text('account_code'), // chart-of-accounts code for accounting exports; null = the default income account
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -227,6 +233,7 @@ export const quotes = pgTable('quotes', {
   id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
   userId: text('user_id').notNull(),
   quoteNumber: integer('quote_number').notNull(),
+  displayNumber: text('display_number'), // rendered numbering template; null on legacy rows
   clientId: text('client_id').references(() => clients.id, { onDelete: 'set null' }),
   clientName: text('client_name'),
   projectId: text('project_id').references(() => projects.id, { onDelete: 'set null' }),
@@ -234,6 +241,8 @@ export const quotes = pgTable('quotes', {
   tax: numeric('tax', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
   taxRate: numeric('tax_rate', { precision: 5, scale: 3, mode: 'number' }).notNull().default(0),
   total: numeric('total', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  currency: text('currency').notNull().default('USD'),
+  exchangeRate: numeric('exchange_rate', { precision: 14, scale: 6, mode: 'number' }).notNull().default(1),
   discountType: discountTypeEnum('discount_type'),
   discountValue: numeric('discount_value', { precision: 12, scale: 2, mode: 'number' }),
   discountAmount: numeric('discount_amount', { precision: 12, scale: 2, mode: 'number' }),
@@ -246,6 +255,17 @@ export const quotes = pgTable('quotes', {
   terms: text('terms'),
   approvalToken: text('approval_token').unique(),
   approvedAt: timestamp('approved_at', { withTimezone: true, mode: 'date' }),
+  approvedRevision: integer('approved_revision'), // the quoteRevisions.revision the client approved
+  changesRequestedAt: timestamp('changes_requested_at', { withTimezone: true, mode: 'date' }), // cleared when a revised quote is sent or it's approved
+  validUntil: timestamp('valid_until', { withTimezone: true, mode: 'date' }), // the approval link stops working after this day
+  sentAt: timestamp('sent_at', { withTimezone: true, mode: 'date' }), // first emailed to the client
+  followUpSentAt: timestamp('follow_up_sent_at', { withTimezone: true, mode: 'date' }),
+  expiryNotifiedAt: timestamp('expiry_notified_at', { withTimezone: true, mode: 'date' }),
+  viewCount: integer('view_count').notNull().default(0), // client opens of the public approval page, staff excluded
+  firstViewedAt: timestamp('first_viewed_at', { withTimezone: true, mode: 'date' }),
+  lastViewedAt: timestamp('last_viewed_at', { withTimezone: true, mode: 'date' }),
+  pdfDownloadCount: integer('pdf_download_count').notNull().default(0), // opens of the emailed PDF link
+  lastDownloadedAt: timestamp('last_downloaded_at', { withTimezone: true, mode: 'date' }),
   createdBy: text('created_by'),
   lastEditedBy: text('last_edited_by'),
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
@@ -258,12 +278,14 @@ export const quotes = pgTable('quotes', {
   index('quotes_event_date_idx').on(table.eventDate),
   index('quotes_project_type_id_idx').on(table.projectTypeId),
   index('quotes_approved_at_idx').on(table.approvedAt),
+  index('quotes_valid_until_idx').on(table.validUntil),
 ]);
 
 export const invoices = pgTable('invoices', {
   id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
   userId: text('user_id').notNull(),
   invoiceNumber: integer('invoice_number').notNull(),
+  displayNumber: text('display_number'), // rendered numbering template; null on legacy rows
   quoteId: text('quote_id').references(() => quotes.id, { onDelete: 'set null' }),
   clientId: text('client_id').references(() => clients.id, { onDelete: 'set null' }),
   clientName: text('client_name'),
@@ -272,6 +294,8 @@ export const invoices = pgTable('invoices', {
   tax: numeric('tax', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
   taxRate: numeric('tax_rate', { precision: 5, scale: 3, mode: 'number' }).notNull().default(0),
   total: numeric('total', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  currency: text('currency').notNull().default('USD'),
+  exchangeRate: numeric('exchange_rate', { precision: 14, scale: 6, mode: 'number' }).notNull().default(1),
   discountType: discountTypeEnum('discount_type'),
   discountValue: numeric('discount_value', { precision: 12, scale: 2, mode: 'number' }),
   discountAmount: numeric('discount_amount', { precision: 12, scale: 2, mode: 'number' }),
@@ -286,8 +310,15 @@ export const invoices = pgTable('invoices', {
   depositAmount: numeric('deposit_amount', { precision: 12, scale: 2, mode: 'number' }),
   status: invoiceStatusEnum('status').notNull().default('pending'),
   paidAmount: numeric('paid_amount', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  creditedAmount: numeric('credited_amount', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0), // sum of credit notes
   dueDate: timestamp('due_date', { withTimezone: true, mode: 'date' }),
+  remindersPaused: boolean('reminders_paused').notNull().default(false),
   paymentToken: text('payment_token').unique(),
+  viewCount: integer('view_count').notNull().default(0), // client opens of the public payment page, staff excluded
+  firstViewedAt: timestamp('first_viewed_at', { withTimezone: true, mode: 'date' }),
+  lastViewedAt: timestamp('last_viewed_at', { withTimezone: true, mode: 'date' }),
+  pdfDownloadCount: integer('pdf_download_count').notNull().default(0), // opens of the emailed PDF link
+  lastDownloadedAt: timestamp('last_downloaded_at', { withTimezone: true, mode: 'date' }),
   createdBy: text('created_by'),
   lastEditedBy: text('last_edited_by'),
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
@@ -313,10 +344,80 @@ export const payments = pgTable('payments', {
   stripePaymentIntentId: text('stripe_payment_intent_id'),
   stripeRefundedAmount: numeric('stripe_refunded_amount', { precision: 12, scale: 2, mode: 'number' }).default(0),
   paypalOrderId: text('paypal_order_id'),
+  paypalRefundedAmount: numeric('paypal_refunded_amount', { precision: 12, scale: 2, mode: 'number' }).default(0),
+  creditNoteId: text('credit_note_id').references(() => creditNotes.id, { onDelete: 'cascade' }), // refund paid out against a credit note (negative amount)
 }, (table) => [
   index('payments_invoice_id_idx').on(table.invoiceId),
-  index('payments_stripe_pi_idx').on(table.stripePaymentIntentId),
-  index('payments_paypal_order_idx').on(table.paypalOrderId),
+  index('payments_credit_note_id_idx').on(table.creditNoteId),
+  uniqueIndex('payments_stripe_pi_idx').on(table.stripePaymentIntentId),
+  uniqueIndex('payments_paypal_order_idx').on(table.paypalOrderId),
+]);
+
+// ── Credit notes (reduce an invoice balance, optionally refunding the client) ──
+
+export const creditNotes = pgTable('credit_notes', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  userId: text('user_id').notNull(),
+  creditNoteNumber: integer('credit_note_number').notNull(),
+  displayNumber: text('display_number'),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  clientId: text('client_id').references(() => clients.id, { onDelete: 'set null' }),
+  clientName: text('client_name'),
+  subtotal: numeric('subtotal', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  tax: numeric('tax', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  taxRate: numeric('tax_rate', { precision: 5, scale: 3, mode: 'number' }).notNull().default(0),
+  total: numeric('total', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  currency: text('currency').notNull().default('USD'),
+  exchangeRate: numeric('exchange_rate', { precision: 14, scale: 6, mode: 'number' }).notNull().default(1),
+  reason: text('reason'),
+  refundMethod: text('refund_method'), // null = balance adjustment only; 'Client Credit' = added to client credits
+  refundedAmount: numeric('refunded_amount', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  stripeRefundId: text('stripe_refund_id'),
+  issueDate: timestamp('issue_date', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  createdBy: text('created_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('credit_notes_invoice_id_idx').on(table.invoiceId),
+  index('credit_notes_client_id_idx').on(table.clientId),
+  index('credit_notes_issue_date_idx').on(table.issueDate),
+]);
+
+export const creditNoteItems = pgTable('credit_note_items', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  creditNoteId: text('credit_note_id').notNull().references(() => creditNotes.id, { onDelete: 'cascade' }),
+  sortOrder: integer('sort_order').notNull().default(0),
+  itemType: text('item_type').notNull(), // 'product' | 'custom'
+  name: text('name').notNull(),
+  description: text('description'),
+  qty: integer('qty').notNull().default(1),
+  total: numeric('total', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  isTaxable: boolean('is_taxable').notNull().default(false),
+  productId: text('product_id').references(() => products.id, { onDelete: 'set null' }),
+  productType: productTypeEnum('product_type'),
+  price: numeric('price', { precision: 12, scale: 2, mode: 'number' }),
+  taxRates: jsonb('tax_rates').$type<AppliedTaxRate[]>(), // named rates as applied; null = the document's single taxRate
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('credit_note_items_credit_note_id_idx').on(table.creditNoteId),
+]);
+
+// ── Payment disputes (chargebacks reported via Stripe webhook) ──
+
+export const paymentDisputes = pgTable('payment_disputes', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  paymentId: text('payment_id').references(() => payments.id, { onDelete: 'set null' }),
+  stripeDisputeId: text('stripe_dispute_id').notNull().unique(),
+  stripePaymentIntentId: text('stripe_payment_intent_id'),
+  amount: numeric('amount', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  reason: text('reason'),
+  status: text('status').notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('payment_disputes_invoice_id_idx').on(table.invoiceId),
 ]);
 
 export const pdfDocuments = pgTable('pdf_documents', {
@@ -333,6 +434,41 @@ export const pdfDocuments = pgTable('pdf_documents', {
   index('pdf_documents_expires_at_idx').on(table.expiresAt),
 ]);
 
+// ── Named tax rates (state, county, …) that line items can carry ──
+
+/** Snapshot of a tax rate on a line item, so later edits to the rate don't rewrite old documents */
+export type AppliedTaxRate = { id: string | null; name: string; rate: number; jurisdiction?: string | null };
+
+export const taxRates = pgTable('tax_rates', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  name: text('name').notNull(), // as printed on documents, e.g. "State Tax"
+  jurisdiction: text('jurisdiction'), // who it's filed with, e.g. "California" — groups the tax report
+  rate: numeric('rate', { precision: 6, scale: 3, mode: 'number' }).notNull(),
+  isDefault: boolean('is_default').notNull().default(false), // applied to newly taxable items
+  sortOrder: integer('sort_order').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+});
+
+export type FiledDocument = { taxableSales: number; nonTaxableSales: number; tax: number };
+
+// A sales tax period marked as filed, with the figures as filed. Each document's
+// tax is kept so the report can flag the ones that changed afterwards.
+export const taxFilings = pgTable('tax_filings', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  periodStart: timestamp('period_start', { withTimezone: true, mode: 'date' }).notNull(),
+  periodEnd: timestamp('period_end', { withTimezone: true, mode: 'date' }).notNull(), // exclusive
+  basis: text('basis').notNull(), // 'cash' | 'accrual'
+  taxableSales: numeric('taxable_sales', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  nonTaxableSales: numeric('non_taxable_sales', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  taxCollected: numeric('tax_collected', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  documents: jsonb('documents').$type<Record<string, FiledDocument>>().notNull().default({}), // row key → figures as filed
+  filedBy: text('filed_by'),
+  filedAt: timestamp('filed_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex('tax_filings_period_idx').on(table.periodStart, table.basis),
+]);
+
 // ── Line item tables ──
 
 export const quoteItems = pgTable('quote_items', {
@@ -348,6 +484,10 @@ export const quoteItems = pgTable('quote_items', {
   productId: text('product_id').references(() => products.id, { onDelete: 'set null' }),
   productType: productTypeEnum('product_type'),
   price: numeric('price', { precision: 12, scale: 2, mode: 'number' }),
+  taxRates: jsonb('tax_rates').$type<AppliedTaxRate[]>(), // named rates as applied; null = the document's single taxRate
+  optionType: text('option_type'), // null = always included | 'optional' (add-on) | 'alternative' (pick one per optionGroup)
+  optionGroup: text('option_group'),
+  isSelected: boolean('is_selected').notNull().default(true), // options: chosen by default, then as the client picked on approval
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -369,6 +509,8 @@ export const invoiceItems = pgTable('invoice_items', {
   productId: text('product_id').references(() => products.id, { onDelete: 'set null' }),
   productType: productTypeEnum('product_type'),
   price: numeric('price', { precision: 12, scale: 2, mode: 'number' }),
+  taxRates: jsonb('tax_rates').$type<AppliedTaxRate[]>(), // named rates as applied; null = the document's single taxRate
+  isLateFee: boolean('is_late_fee').notNull().default(false), // added by the late-fee policy, not the editor
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -377,6 +519,85 @@ export const invoiceItems = pgTable('invoice_items', {
   index('invoice_items_product_id_idx').on(table.productId),
 ]);
 
+// Payment plan for an invoice. Amounts add up to the invoice total; payments
+// settle installments in due-date order, so paid state is derived, not stored.
+export const invoiceInstallments = pgTable('invoice_installments', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  sortOrder: integer('sort_order').notNull().default(0),
+  label: text('label'),
+  amount: numeric('amount', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  dueDate: timestamp('due_date', { withTimezone: true, mode: 'date' }).notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('invoice_installments_invoice_id_idx').on(table.invoiceId),
+  index('invoice_installments_due_date_idx').on(table.dueDate),
+]);
+
+// Payment reminders actually sent, for the history on the invoice
+export const invoiceReminders = pgTable('invoice_reminders', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  installmentId: text('installment_id').references(() => invoiceInstallments.id, { onDelete: 'set null' }),
+  installmentLabel: text('installment_label'), // kept for the history when a plan is edited
+  step: integer('step').notNull(), // days relative to the due date: -3 = three days before, 0 = due day
+  recipient: text('recipient').notNull(),
+  subject: text('subject').notNull(),
+  sentAt: timestamp('sent_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('invoice_reminders_invoice_id_idx').on(table.invoiceId),
+]);
+
+// ── Revisions: quotes and invoices as the client was sent them ──
+
+export type DocumentSnapshot = {
+  fields: Record<string, string | number | null>; // header fields; dates as ISO strings
+  items: Record<string, any>[]; // as serializeItems returns them
+  totals: { subtotal: number; discountAmount: number; tax: number; total: number };
+};
+
+// A new revision is taken whenever the document goes out with content that
+// differs from its last revision, and when a client approves a quote.
+export const quoteRevisions = pgTable('quote_revisions', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  quoteId: text('quote_id').notNull().references(() => quotes.id, { onDelete: 'cascade' }),
+  revision: integer('revision').notNull(), // 1, 2, … per quote
+  snapshot: jsonb('snapshot').$type<DocumentSnapshot>().notNull(),
+  fingerprint: text('fingerprint').notNull(), // hash of the snapshot, to tell whether the quote changed since
+  sentTo: text('sent_to'), // null when taken on approval
+  createdBy: text('created_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex('quote_revisions_quote_id_revision_idx').on(table.quoteId, table.revision),
+]);
+
+export const invoiceRevisions = pgTable('invoice_revisions', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  revision: integer('revision').notNull(),
+  snapshot: jsonb('snapshot').$type<DocumentSnapshot>().notNull(),
+  fingerprint: text('fingerprint').notNull(),
+  sentTo: text('sent_to'),
+  createdBy: text('created_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex('invoice_revisions_invoice_id_revision_idx').on(table.invoiceId, table.revision),
+]);
+
+// Conversation on a quote: change requests the client leaves on the approval page, and replies
+export const quoteComments = pgTable('quote_comments', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  quoteId: text('quote_id').notNull().references(() => quotes.id, { onDelete: 'cascade' }),
+  fromClient: boolean('from_client').notNull().default(false),
+  userId: text('user_id'), // staff replies
+  authorName: text('author_name'),
+  body: text('body').notNull(),
+  revision: integer('revision'), // the quote revision the comment is about
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('quote_comments_quote_id_idx').on(table.quoteId),
+]);
+
 // ── Activity log ──
 
 export const activityLog = pgTable('activity_log', {
@@ -452,6 +673,47 @@ export const projectDocuments = pgTable('project_documents', {
   index('project_documents_project_id_idx').on(table.projectId),
 ]);
 
+// ── Contracts ──
+
+export const contractTemplates = pgTable('contract_templates', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  userId: text('user_id').notNull(),
+  name: text('name').notNull(),
+  body: text('body').notNull().default(''),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+});
+
+export const contracts = pgTable('contracts', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  userId: text('user_id').notNull(),
+  templateId: text('template_id').references(() => contractTemplates.id, { onDelete: 'set null' }),
+  clientId: text('client_id').references(() => clients.id, { onDelete: 'set null' }),
+  projectId: text('project_id').references(() => projects.id, { onDelete: 'set null' }),
+  quoteId: text('quote_id').references(() => quotes.id, { onDelete: 'set null' }),
+  title: text('title').notNull(),
+  body: text('body').notNull().default(''),
+  status: contractStatusEnum('status').notNull().default('draft'),
+  signingToken: text('signing_token').unique(),
+  sentAt: timestamp('sent_at', { withTimezone: true, mode: 'date' }),
+  signerName: text('signer_name'),
+  signatureType: text('signature_type'), // 'typed' | 'drawn'
+  signatureData: text('signature_data'), // typed name, or PNG data URL for drawn signatures
+  signedAt: timestamp('signed_at', { withTimezone: true, mode: 'date' }),
+  signedIp: text('signed_ip'),
+  signedFileName: text('signed_file_name'),
+  documentId: text('document_id').references(() => projectDocuments.id, { onDelete: 'set null' }),
+  createdBy: text('created_by'),
+  lastEditedBy: text('last_edited_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('contracts_client_id_idx').on(table.clientId),
+  index('contracts_project_id_idx').on(table.projectId),
+  index('contracts_quote_id_idx').on(table.quoteId),
+  index('contracts_status_idx').on(table.status),
+]);
+
 // ── Client credits ──
 
 export const clientCredits = pgTable('client_credits', {
@@ -460,12 +722,29 @@ export const clientCredits = pgTable('client_credits', {
   amount: numeric('amount', { precision: 12, scale: 2, mode: 'number' }).notNull(),
   reason: text('reason'),
   sourceInvoiceNumber: integer('source_invoice_number'),
+  creditNoteId: text('credit_note_id').references(() => creditNotes.id, { onDelete: 'set null' }), // kept if the invoice goes
   createdBy: text('created_by'),
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
   index('client_credits_client_id_idx').on(table.clientId),
 ]);
 
+// Audit trail of a credit being spent on an invoice. The "Credit" payment it
+// created is deleted with it, which hands the amount back to the credit.
+export const creditApplications = pgTable('credit_applications', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  creditId: text('credit_id').notNull().references(() => clientCredits.id, { onDelete: 'cascade' }),
+  invoiceId: text('invoice_id').notNull().references(() => invoices.id, { onDelete: 'cascade' }),
+  paymentId: text('payment_id').notNull().references(() => payments.id, { onDelete: 'cascade' }),
+  amount: numeric('amount', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  appliedBy: text('applied_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('credit_applications_credit_id_idx').on(table.creditId),
+  index('credit_applications_invoice_id_idx').on(table.invoiceId),
+  index('credit_applications_payment_id_idx').on(table.paymentId),
+]);
+
 // ── Notifications ──
 
 export const notifications = pgTable('notifications', {
@@ -585,6 +864,7 @@ export const expenseCategories = pgTable('expense_categories', {
   name: text('name').notNull(),
   color: text('color'),
   sortOrder: integer('sort_order').notNull().default(0),
+  accountCode: text('account_code'), // chart-of-accounts code for accounting exports; null = the default expense account
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -615,6 +895,8 @@ export const expenses = pgTable('expenses', {
   notes: text('notes'),
   recurringExpenseId: text('recurring_expense_id').references(() => recurringExpenses.id, { onDelete: 'set null' }),
   teamPaymentId: text('team_payment_id').references(() => teamPayments.id, { onDelete: 'cascade' }),
+  // Captured from a receipt photo; amount, vendor and category still to be filled in
+  needsDetails: boolean('needs_details').notNull().default(false),
   createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
 }, (table) => [
@@ -627,6 +909,31 @@ export const expenses = pgTable('expenses', {
   index('expenses_team_payment_id_idx').on(table.teamPaymentId),
 ]);
 
+// Auto-categorization: the first rule (by sortOrder) whose text appears in the description wins
+export const expenseRules = pgTable('expense_rules', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  userId: text('user_id').notNull(),
+  pattern: text('pattern').notNull(),
+  categoryId: text('category_id').references(() => expenseCategories.id, { onDelete: 'set null' }),
+  vendorId: text('vendor_id').references(() => vendors.id, { onDelete: 'set null' }),
+  sortOrder: integer('sort_order').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+});
+
+export const expenseReceipts = pgTable('expense_receipts', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  expenseId: text('expense_id').notNull().references(() => expenses.id, { onDelete: 'cascade' }),
+  fileName: text('file_name').notNull(),
+  originalName: text('original_name').notNull(),
+  mimeType: text('mime_type').notNull(),
+  fileSize: integer('file_size').notNull(),
+  uploadedBy: text('uploaded_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('expense_receipts_expense_id_idx').on(table.expenseId),
+]);
+
 export const recurringExpenses = pgTable('recurring_expenses', {
   id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
   userId: text('user_id').notNull(),
@@ -650,6 +957,93 @@ export const recurringExpenses = pgTable('recurring_expenses', {
   index('recurring_expenses_is_active_idx').on(table.isActive),
 ]);
 
+// ── General ledger ──
+// Derived bookkeeping: every money movement posts a balanced journal entry,
+// regenerated from its source row whenever that row changes (see lib/ledger.ts).
+
+export const ledgerAccounts = pgTable('ledger_accounts', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  key: text('key').notNull().unique(), // 'cash', 'receivable', … or 'expense_category:<id>'
+  code: text('code').notNull().unique(),
+  name: text('name').notNull(),
+  type: text('type').notNull(), // 'asset' | 'liability' | 'equity' | 'income' | 'expense'
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+});
+
+export const journalEntries = pgTable('journal_entries', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  sourceType: text('source_type').notNull(), // 'invoice' | 'expense' | 'team_payment' | 'team_advance' | 'team_salary' | 'client_credit'
+  sourceId: text('source_id').notNull(),
+  entryDate: timestamp('entry_date', { withTimezone: true, mode: 'date' }).notNull(),
+  description: text('description').notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('journal_entries_source_idx').on(table.sourceType, table.sourceId),
+  index('journal_entries_entry_date_idx').on(table.entryDate),
+]);
+
+// Amounts are in the default currency
+export const journalLines = pgTable('journal_lines', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  entryId: text('entry_id').notNull().references(() => journalEntries.id, { onDelete: 'cascade' }),
+  accountId: text('account_id').notNull().references(() => ledgerAccounts.id),
+  debit: numeric('debit', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+  credit: numeric('credit', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0),
+}, (table) => [
+  index('journal_lines_entry_id_idx').on(table.entryId),
+  index('journal_lines_account_id_idx').on(table.accountId),
+]);
+
+// ── Bank reconciliation ──
+
+export const bankStatements = pgTable('bank_statements', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  fileName: text('file_name').notNull(),
+  format: text('format').notNull(), // 'ofx' | 'csv'
+  accountName: text('account_name'), // masked account number from OFX
+  periodStart: timestamp('period_start', { withTimezone: true, mode: 'date' }).notNull(),
+  periodEnd: timestamp('period_end', { withTimezone: true, mode: 'date' }).notNull(), // inclusive, the last statement day
+  closingBalance: numeric('closing_balance', { precision: 12, scale: 2, mode: 'number' }), // OFX ledger balance; CSV statements don't carry one
+  transactionCount: integer('transaction_count').notNull().default(0),
+  importedBy: text('imported_by'),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+});
+
+// Amounts are signed in the default currency: money in is positive, money out negative
+export const bankTransactions = pgTable('bank_transactions', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  statementId: text('statement_id').notNull().references(() => bankStatements.id, { onDelete: 'cascade' }),
+  transactionDate: timestamp('transaction_date', { withTimezone: true, mode: 'date' }).notNull(),
+  amount: numeric('amount', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  description: text('description').notNull(),
+  reference: text('reference').notNull(), // bank's transaction id (OFX FITID), or a hash of the line — re-imports skip ones already seen
+  matchType: text('match_type'), // 'payment' | 'expense' | 'team_payment'
+  matchId: text('match_id'),
+  ignored: boolean('ignored').notNull().default(false), // transfers between own accounts and the like
+  matchedBy: text('matched_by'),
+  matchedAt: timestamp('matched_at', { withTimezone: true, mode: 'date' }),
+  createdAt: timestamp('created_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  index('bank_transactions_statement_id_idx').on(table.statementId),
+  index('bank_transactions_transaction_date_idx').on(table.transactionDate),
+  index('bank_transactions_match_idx').on(table.matchType, table.matchId),
+  uniqueIndex('bank_transactions_reference_idx').on(table.reference),
+]);
+
+export const bankReconciliations = pgTable('bank_reconciliations', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  periodStart: timestamp('period_start', { withTimezone: true, mode: 'date' }).notNull(),
+  periodEnd: timestamp('period_end', { withTimezone: true, mode: 'date' }).notNull(), // exclusive
+  statementBalance: numeric('statement_balance', { precision: 12, scale: 2, mode: 'number' }).notNull(),
+  bookBalance: numeric('book_balance', { precision: 12, scale: 2, mode: 'number' }).notNull(), // Cash & Bank ledger balance at period end
+  bankTotal: numeric('bank_total', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0), // net of the period's statement lines
+  bookTotal: numeric('book_total', { precision: 12, scale: 2, mode: 'number' }).notNull().default(0), // net of the period's cash postings
+  reconciledBy: text('reconciled_by'),
+  reconciledAt: timestamp('reconciled_at', { withTimezone: true, mode: 'date' }).notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex('bank_reconciliations_period_idx').on(table.periodStart),
+]);
+
 // ── Permissions ──
 
 export const rolePermissions = pgTable('role_permissions', {
@@ -787,6 +1181,7 @@ export const clientRelations = relations(clients, ({ many }) => ({
   projects: many(projects),
   notes: many(clientNotes),
   credits: many(clientCredits),
+  contracts: many(contracts),
 }));
 
 export const clientNoteRelations = relations(clientNotes, ({ one }) => ({
@@ -811,6 +1206,7 @@ export const projectRelations = relations(projects, ({ one, many }) => ({
   recurringExpenses: many(recurringExpenses),
   sessions: many(projectSessions),
   documents: many(projectDocuments),
+  contracts: many(contracts),
 }));
 
 export const projectNoteRelations = relations(projectNotes, ({ one }) => ({
@@ -825,12 +1221,26 @@ export const projectDocumentRelations = relations(projectDocuments, ({ one }) =>
   project: one(projects, { fields: [projectDocuments.projectId], references: [projects.id] }),
 }));
 
+export const contractTemplateRelations = relations(contractTemplates, ({ many }) => ({
+  contracts: many(contracts),
+}));
+
+export const contractRelations = relations(contracts, ({ one }) => ({
+  template: one(contractTemplates, { fields: [contracts.templateId], references: [contractTemplates.id] }),
+  client: one(clients, { fields: [contracts.clientId], references: [clients.id] }),
+  project: one(projects, { fields: [contracts.projectId], references: [projects.id] }),
+  quote: one(quotes, { fields: [contracts.quoteId], references: [quotes.id] }),
+  document: one(projectDocuments, { fields: [contracts.documentId], references: [projectDocuments.id] }),
+}));
+
 export const quoteRelations = relations(quotes, ({ one, many }) => ({
   client: one(clients, { fields: [quotes.clientId], references: [clients.id] }),
   project: one(projects, { fields: [quotes.projectId], references: [projects.id] }),
   projectTypeRel: one(projectTypes, { fields: [quotes.projectTypeId], references: [projectTypes.id] }),
   invoices: many(invoices),
   items: many(quoteItems),
+  revisions: many(quoteRevisions),
+  comments: many(quoteComments),
 }));
 
 export const invoiceRelations = relations(invoices, ({ one, many }) => ({
@@ -840,10 +1250,54 @@ export const invoiceRelations = relations(invoices, ({ one, many }) => ({
   projectTypeRel: one(projectTypes, { fields: [invoices.projectTypeId], references: [projectTypes.id] }),
   payments: many(payments),
   items: many(invoiceItems),
+  disputes: many(paymentDisputes),
+  creditNotes: many(creditNotes),
+  creditApplications: many(creditApplications),
+  installments: many(invoiceInstallments),
+  reminders: many(invoiceReminders),
+  revisions: many(invoiceRevisions),
+}));
+
+export const invoiceInstallmentRelations = relations(invoiceInstallments, ({ one }) => ({
+  invoice: one(invoices, { fields: [invoiceInstallments.invoiceId], references: [invoices.id] }),
+}));
+
+export const invoiceReminderRelations = relations(invoiceReminders, ({ one }) => ({
+  invoice: one(invoices, { fields: [invoiceReminders.invoiceId], references: [invoices.id] }),
+}));
+
+export const invoiceRevisionRelations = relations(invoiceRevisions, ({ one }) => ({
+  invoice: one(invoices, { fields: [invoiceRevisions.invoiceId], references: [invoices.id] }),
 }));
 
-export const paymentRelations = relations(payments, ({ one }) => ({
+export const quoteRevisionRelations = relations(quoteRevisions, ({ one }) => ({
+  quote: one(quotes, { fields: [quoteRevisions.quoteId], references: [quotes.id] }),
+}));
+
+export const quoteCommentRelations = relations(quoteComments, ({ one }) => ({
+  quote: one(quotes, { fields: [quoteComments.quoteId], references: [quotes.id] }),
+}));
+
+export const paymentRelations = relations(payments, ({ one, many }) => ({
   invoice: one(invoices, { fields: [payments.invoiceId], references: [invoices.id] }),
+  creditNote: one(creditNotes, { fields: [payments.creditNoteId], references: [creditNotes.id] }),
+  creditApplications: many(creditApplications),
+}));
+
+export const creditNoteRelations = relations(creditNotes, ({ one, many }) => ({
+  invoice: one(invoices, { fields: [creditNotes.invoiceId], references: [invoices.id] }),
+  client: one(clients, { fields: [creditNotes.clientId], references: [clients.id] }),
+  items: many(creditNoteItems),
+}));
+
+export const creditNoteItemRelations = relations(creditNoteItems, ({ one }) => ({
+  creditNote: one(creditNotes, { fields: [creditNoteItems.creditNoteId], references: [creditNotes.id] }),
+  product: one(products, { fields: [creditNoteItems.productId], references: [products.id] }),
+}));
+
+export const paymentDisputeRelations = relations(paymentDisputes, ({ one }) => ({
+  invoice: one(invoices, { fields: [paymentDisputes.invoiceId], references: [invoices.id] }),
+  payment: one(payments, { fields: [paymentDisputes.paymentId], references: [payments.id] }),
 }));
 
 export const quoteItemRelations = relations(quoteItems, ({ one }) => ({
@@ -856,8 +1310,15 @@ export const invoiceItemRelations = relations(invoiceItems, ({ one }) => ({
   product: one(products, { fields: [invoiceItems.productId], references: [products.id] }),
 }));
 
-export const clientCreditRelations = relations(clientCredits, ({ one }) => ({
+export const clientCreditRelations = relations(clientCredits, ({ one, many }) => ({
   client: one(clients, { fields: [clientCredits.clientId], references: [clients.id] }),
+  applications: many(creditApplications),
+}));
+
+export const creditApplicationRelations = relations(creditApplications, ({ one }) => ({
+  credit: one(clientCredits, { fields: [creditApplications.creditId], references: [clientCredits.id] }),
+  invoice: one(invoices, { fields: [creditApplications.invoiceId], references: [invoices.id] }),
+  payment: one(payments, { fields: [creditApplications.paymentId], references: [payments.id] }),
 }));
 
 export const activityLogRelations = relations(activityLog, ({ one }) => ({
@@ -909,12 +1370,43 @@ export const vendorRelations = relations(vendors, ({ many }) => ({
   recurringExpenses: many(recurringExpenses),
 }));
 
-export const expenseRelations = relations(expenses, ({ one }) => ({
+export const expenseRelations = relations(expenses, ({ one, many }) => ({
   project: one(projects, { fields: [expenses.projectId], references: [projects.id] }),
   category: one(expenseCategories, { fields: [expenses.categoryId], references: [expenseCategories.id] }),
   vendor: one(vendors, { fields: [expenses.vendorId], references: [vendors.id] }),
   recurringExpense: one(recurringExpenses, { fields: [expenses.recurringExpenseId], references: [recurringExpenses.id] }),
   teamPayment: one(teamPayments, { fields: [expenses.teamPaymentId], references: [teamPayments.id] }),
+  receipts: many(expenseReceipts),
+}));
+
+export const expenseReceiptRelations = relations(expenseReceipts, ({ one }) => ({
+  expense: one(expenses, { fields: [expenseReceipts.expenseId], references: [expenses.id] }),
+}));
+
+export const ledgerAccountRelations = relations(ledgerAccounts, ({ many }) => ({
+  lines: many(journalLines),
+}));
+
+export const journalEntryRelations = relations(journalEntries, ({ many }) => ({
+  lines: many(journalLines),
+}));
+
+export const journalLineRelations = relations(journalLines, ({ one }) => ({
+  entry: one(journalEntries, { fields: [journalLines.entryId], references: [journalEntries.id] }),
+  account: one(ledgerAccounts, { fields: [journalLines.accountId], references: [ledgerAccounts.id] }),
+}));
+
+export const bankStatementRelations = relations(bankStatements, ({ many }) => ({
+  transactions: many(bankTransactions),
+}));
+
+export const bankTransactionRelations = relations(bankTransactions, ({ one }) => ({
+  statement: one(bankStatements, { fields: [bankTransactions.statementId], references: [bankStatements.id] }),
+}));
+
+export const expenseRuleRelations = relations(expenseRules, ({ one }) => ({
+  category: one(expenseCategories, { fields: [expenseRules.categoryId], references: [expenseCategories.id] }),
+  vendor: one(vendors, { fields: [expenseRules.vendorId], references: [vendors.id] }),
 }));
 
 export const recurringExpenseRelations = relations(recurringExpenses, ({ one }) => ({
@@ -26,11 +26,14 @@ import googleRoutes from './routes/google';
 import activityLogRoutes from './routes/activityLog';
 import taxRatesRoutes from './routes/taxRates';
 import creditRoutes from './routes/credits';
+import creditNoteRoutes from './routes/creditNotes';
 import statsRoutes from './routes/stats';
 import stripeRoutes from './routes/stripe';
 import paypalRoutes from './routes/paypal';
 import payRoutes from './routes/pay';
 import approveRoutes from './routes/approve';
+import signRoutes from './routes/sign';
+import contractRoutes from './routes/contracts';
 import projectRoutes from './routes/projects';
 import teamRoutes from './routes/team';
 import assignmentRoutes from './routes/assignments';
@@ -43,6 +46,8 @@ import projectTypeRoutes from './routes/projectTypes';
 import projectRoleRoutes from './routes/projectRoles';
 import unsplashRoutes from './routes/unsplash';
 import expenseCategoryRoutes from './routes/expenseCategories';
+import vendorRoutes from './routes/vendors';
+import expenseRuleRoutes from './routes/expenseRules';
 import expenseRoutes from './routes/expenses';
 import recurringExpenseRoutes from './routes/recurringExpenses';
 import permissionRoutes from './routes/permissions';
@@ -51,11 +56,14 @@ import backupRoutes from './routes/backup';
 import gdriveAuthRoutes from './routes/gdriveAuth';
 import setupRoutes from './routes/setup';
 import reportsRoutes from './routes/reports';
+import accountingRoutes from './routes/accounting';
+import bankRoutes from './routes/bank';
 import hubRoutes from './routes/hub';
 import sseRoutes from './routes/sse';
 import { db } from './db';
 import { appSettings, invoices, quotes } from './db/schema';
 import { eq, inArray } from 'drizzle-orm';
+import { formatDocNumber } from './lib/numbering';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -111,8 +119,9 @@ await app.register(fastifyStatic, {
 });
 
 // Block direct access to /uploads/documents/ (PDFs served via /api/pdf/download/:token)
+// and /uploads/receipts/ (served via /api/expenses/receipts/:id/file)
 app.addHook('onRequest', async (request: any, reply: any) => {
-  if (request.url.startsWith('/uploads/documents/')) {
+  if (request.url.startsWith('/uploads/documents/') || request.url.startsWith('/uploads/receipts/')) {
     return reply.code(403).send({ error: 'Forbidden' });
   }
 });
@@ -136,6 +145,9 @@ app.addHook('onRequest', async (request: any, reply: any) => {
   if (request.url.startsWith('/api/pdf/download/')) return;
   if (request.url.startsWith('/api/pay/')) return;
   if (request.url.startsWith('/api/approve/')) return;
+  if (request.url.startsWith('/api/sign/')) return;
+  if (request.url === '/api/stripe/webhook') return;
+  if (request.url === '/api/paypal/webhook') return;
   if (request.url.startsWith('/api/unsplash/background')) return;
   if (request.url.startsWith('/api/setup')) return;
   if (request.url.startsWith('/api/backup/gdrive/callback')) return;
@@ -311,13 +323,13 @@ if (fs.existsSync(distPath)) {
       try {
         const inv = await db.query.invoices.findFirst({
           where: eq(invoices.paymentToken, payMatch[1]),
-          columns: { invoiceNumber: true, clientName: true },
+          columns: { invoiceNumber: true, displayNumber: true, clientName: true },
         });
         ogTitle = inv
-          ? `Invoice ${inv.invoiceNumber} — ${branding.companyName}`
+          ? `Invoice ${formatDocNumber(inv.invoiceNumber, inv.displayNumber)} — ${branding.companyName}`
           : `Invoice — ${branding.companyName}`;
         ogDescription = inv
-          ? `View and pay invoice ${inv.invoiceNumber}`
+          ? `View and pay invoice ${formatDocNumber(inv.invoiceNumber, inv.displayNumber)}`
           : 'View and pay your invoice';
       } catch {
         ogTitle = `Invoice — ${branding.companyName}`;
@@ -327,13 +339,13 @@ if (fs.existsSync(distPath)) {
       try {
         const q = await db.query.quotes.findFirst({
           where: eq(quotes.approvalToken, approveMatch[1]),
-          columns: { quoteNumber: true, clientName: true },
+          columns: { quoteNumber: true, displayNumber: true, clientName: true },
         });
         ogTitle = q
-          ? `Quote ${q.quoteNumber} — ${branding.companyName}`
+          ? `Quote ${formatDocNumber(q.quoteNumber, q.displayNumber)} — ${branding.companyName}`
           : `Quote — ${branding.companyName}`;
         ogDescription = q
-          ? `Review and approve quote ${q.quoteNumber}`
+          ? `Review and approve quote ${formatDocNumber(q.quoteNumber, q.displayNumber)}`
           : 'Review and approve your quote';
       } catch {
         ogTitle = `Quote — ${branding.companyName}`;
@@ -365,11 +377,14 @@ await app.register(googleRoutes, { prefix: '/api/google' });
 await app.register(activityLogRoutes, { prefix: '/api/activity-log' });
 await app.register(taxRatesRoutes, { prefix: '/api/tax-rates' });
 await app.register(creditRoutes, { prefix: '/api/credits' });
+await app.register(creditNoteRoutes, { prefix: '/api/credit-notes' });
 await app.register(statsRoutes, { prefix: '/api/stats' });
 await app.register(stripeRoutes, { prefix: '/api/stripe' });
 await app.register(paypalRoutes, { prefix: '/api/paypal' });
 await app.register(payRoutes, { prefix: '/api/pay' });
 await app.register(approveRoutes, { prefix: '/api/approve' });
+await app.register(signRoutes, { prefix: '/api/sign' });
+await app.register(contractRoutes, { prefix: '/api/contracts' });
 await app.register(teamRoutes, { prefix: '/api/team' });
 await app.register(assignmentRoutes, { prefix: '/api/assignments' });
 await app.register(teamPaymentRoutes, { prefix: '/api/team-payments' });
@@ -379,6 +394,8 @@ await app.register(notificationRoutes, { prefix: '/api/notifications' });
 await app.register(calendarRoutes, { prefix: '/api/calendar' });
 await app.register(unsplashRoutes, { prefix: '/api/unsplash' });
 await app.register(expenseCategoryRoutes, { prefix: '/api/expense-categories' });
+await app.register(vendorRoutes, { prefix: '/api/vendors' });
+await app.register(expenseRuleRoutes, { prefix: '/api/expense-rules' });
 await app.register(expenseRoutes, { prefix: '/api/expenses' });
 await app.register(recurringExpenseRoutes, { prefix: '/api/recurring-expenses' });
 await app.register(permissionRoutes, { prefix: '/api/permissions' });
@@ -387,6 +404,8 @@ await app.register(backupRoutes, { prefix: '/api/backup' });
 await app.register(gdriveAuthRoutes, { prefix: '/api/backup/gdrive' });
 await app.register(setupRoutes, { prefix: '/api/setup' });
 await app.register(reportsRoutes, { prefix: '/api/reports' });
+await app.register(accountingRoutes, { prefix: '/api/accounting' });
+await app.register(bankRoutes, { prefix: '/api/bank' });
 await app.register(hubRoutes, { prefix: '/api/hub' });
 await app.register(sseRoutes, { prefix: '/api/sse' });
 
@@ -0,0 +1,379 @@
+import { db } from '../db';
+import { appSettings, invoices, creditNotes, payments, expenses, clientCredits, creditApplications } from '../db/schema';
+import { and, gte, lt, inArray } from 'drizzle-orm';
+import { itemTaxAmounts } from './tax';
+import { formatDocNumber } from './numbering';
+import { getDefaultCurrency } from './currency';
+import { NON_CASH_METHODS } from './credits';
+import type { ZipEntry } from './zip';
+
+export type ExportFormat = 'quickbooks' | 'xero';
+
+/**
+ * The accounts every export needs besides the per-category and per-product
+ * codes. Each is an app setting; unset ones fall back to the usual default
+ * account name (QuickBooks) or code (Xero).
+ */
+export const DEFAULT_ACCOUNTS = {
+  income: { setting: 'accounting_income_account', quickbooks: 'Sales', xero: '200' },
+  expense: { setting: 'accounting_expense_account', quickbooks: 'Uncategorized Expense', xero: '429' },
+  deposits: { setting: 'accounting_deposits_account', quickbooks: 'Undeposited Funds', xero: '090' },
+  bank: { setting: 'accounting_bank_account', quickbooks: 'Checking', xero: '090' },
+  receivable: { setting: 'accounting_receivable_account', quickbooks: 'Accounts Receivable', xero: '610' },
+  salesTax: { setting: 'accounting_sales_tax_account', quickbooks: 'Sales Tax Payable', xero: '820' },
+} as const;
+
+export type AccountRole = keyof typeof DEFAULT_ACCOUNTS;
+const ACCOUNT_ROLES = Object.keys(DEFAULT_ACCOUNTS) as AccountRole[];
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/** The default accounts as saved, '' where unset */
+export async function getAccountSettings(): Promise<Record<AccountRole, string>> {
+  const rows = await db.select().from(appSettings)
+    .where(inArray(appSettings.key, ACCOUNT_ROLES.map(role => DEFAULT_ACCOUNTS[role].setting)));
+  const byKey = Object.fromEntries(rows.map(r => [r.key, r.value]));
+  return Object.fromEntries(ACCOUNT_ROLES.map(role => [role, byKey[DEFAULT_ACCOUNTS[role].setting] || ''])) as Record<AccountRole, string>;
+}
+
+// ── Loading ──
+
+interface ExportLine {
+  name: string;
+  description: string;
+  qty: number;
+  unitAmount: number;
+  amount: number;
+  tax: number;
+  account: string;
+  isDiscount?: boolean;
+}
+
+interface ExportDocument {
+  number: string;
+  clientName: string;
+  email: string | null;
+  date: Date;
+  dueDate: Date;
+  reference: string;
+  currency: string;
+  exchangeRate: number;
+  lines: ExportLine[];
+  tax: number;
+}
+
+type Item = { name: string; description: string | null; qty: number; price: number | null; total: number; isTaxable: boolean; taxRates: any; product: { accountCode: string | null } | null };
+
+const itemsWithAccount = {
+  with: { product: { columns: { accountCode: true } } },
+  orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)],
+} as const;
+
+/** A document's lines with their share of its tax; whatever rounding leaves over goes on the largest taxed line */
+function documentLines(items: Item[], doc: { tax: number; taxRate: number | null; discountAmount?: number | null }, incomeAccount: string): ExportLine[] {
+  const taxes = itemTaxAmounts(items, doc);
+  const lines: ExportLine[] = items.map((item, i) => {
+    const exact = item.price != null && item.qty > 0 && Math.abs(item.price * item.qty - item.total) < 0.005;
+    return {
+      name: item.name,
+      description: item.description ? `${item.name} — ${item.description}` : item.name,
+      qty: exact ? item.qty : 1,
+      unitAmount: exact ? item.price! : item.total,
+      amount: item.total,
+      tax: taxes[i],
+      account: item.product?.accountCode || incomeAccount,
+    };
+  });
+  if (doc.discountAmount) {
+    lines.push({ name: 'Discount', description: 'Discount', qty: 1, unitAmount: -doc.discountAmount, amount: -doc.discountAmount, tax: 0, account: incomeAccount, isDiscount: true });
+  }
+
+  const leftover = round2(doc.tax - lines.reduce((s, l) => s + l.tax, 0));
+  const largest = lines.filter(l => l.tax !== 0).sort((a, b) => b.amount - a.amount)[0];
+  if (leftover && largest) largest.tax = round2(largest.tax + leftover);
+  return lines;
+}
+
+/** Everything dated in [start, end) that a bookkeeper needs, with accounts resolved for `format` */
+async function loadAccountingExport(start: Date, end: Date, format: ExportFormat) {
+  const saved = await getAccountSettings();
+  const accounts = Object.fromEntries(ACCOUNT_ROLES.map(role => [role, saved[role] || DEFAULT_ACCOUNTS[role][format]])) as Record<AccountRole, string>;
+  const homeCurrency = await getDefaultCurrency();
+
+  const issued = await db.query.invoices.findMany({
+    where: and(gte(invoices.createdAt, start), lt(invoices.createdAt, end)),
+    with: { items: itemsWithAccount, client: { columns: { email: true } } },
+    orderBy: (inv: any, { asc }: any) => [asc(inv.createdAt)],
+  });
+  const credited = await db.query.creditNotes.findMany({
+    where: and(gte(creditNotes.issueDate, start), lt(creditNotes.issueDate, end)),
+    with: { items: itemsWithAccount, client: { columns: { email: true } }, invoice: { columns: { invoiceNumber: true, displayNumber: true } } },
+    orderBy: (note: any, { asc }: any) => [asc(note.issueDate)],
+  });
+  const received = await db.query.payments.findMany({
+    where: and(gte(payments.paymentDate, start), lt(payments.paymentDate, end)),
+    with: {
+      invoice: { columns: { invoiceNumber: true, displayNumber: true, clientName: true, currency: true, exchangeRate: true } },
+      creditNote: { columns: { creditNoteNumber: true, displayNumber: true } },
+    },
+    orderBy: (p: any, { asc }: any) => [asc(p.paymentDate)],
+  });
+  const spent = await db.query.expenses.findMany({
+    where: and(gte(expenses.expenseDate, start), lt(expenses.expenseDate, end)),
+    with: { category: { columns: { name: true, accountCode: true } }, vendor: { columns: { name: true } } },
+    orderBy: (e: any, { asc }: any) => [asc(e.expenseDate)],
+  });
+  const creditsIssued = await db.query.clientCredits.findMany({
+    where: and(gte(clientCredits.createdAt, start), lt(clientCredits.createdAt, end)),
+    with: { client: { columns: { displayName: true, firstName: true, lastName: true } } },
+  });
+  const creditsApplied = await db.query.creditApplications.findMany({
+    where: and(gte(creditApplications.createdAt, start), lt(creditApplications.createdAt, end)),
+    with: {
+      credit: { columns: { reason: true }, with: { client: { columns: { displayName: true, firstName: true, lastName: true } } } },
+      invoice: { columns: { invoiceNumber: true, displayNumber: true } },
+    },
+  });
+
+  const invoiceDocs: ExportDocument[] = issued.map(inv => ({
+    number: formatDocNumber(inv.invoiceNumber, inv.displayNumber),
+    clientName: inv.clientName || 'Unknown client',
+    email: inv.client?.email || null,
+    date: inv.createdAt,
+    dueDate: inv.dueDate || inv.createdAt,
+    reference: '',
+    currency: inv.currency,
+    exchangeRate: inv.exchangeRate || 1,
+    lines: documentLines(inv.items, inv, accounts.income),
+    tax: inv.tax,
+  }));
+
+  const creditNoteDocs: ExportDocument[] = credited.map(note => ({
+    number: formatDocNumber(note.creditNoteNumber, note.displayNumber),
+    clientName: note.clientName || 'Unknown client',
+    email: note.client?.email || null,
+    date: note.issueDate,
+    dueDate: note.issueDate,
+    reference: note.invoice ? 'Invoice #' + formatDocNumber(note.invoice.invoiceNumber, note.invoice.displayNumber) : '',
+    currency: note.currency,
+    exchangeRate: note.exchangeRate || 1,
+    lines: documentLines(note.items, note, accounts.income),
+    tax: note.tax,
+  }));
+
+  const cashPayments = received
+    .filter(p => !NON_CASH_METHODS.includes(p.method))
+    .map(p => ({
+      date: p.paymentDate,
+      clientName: p.invoice.clientName || 'Unknown client',
+      method: p.method,
+      invoiceNumber: formatDocNumber(p.invoice.invoiceNumber, p.invoice.displayNumber),
+      creditNoteNumber: p.creditNote ? formatDocNumber(p.creditNote.creditNoteNumber, p.creditNote.displayNumber) : null,
+      amount: round2(p.amount * (p.invoice.exchangeRate || 1)), // in the home currency
+    }));
+
+  const expenseRows = spent.map(e => ({
+    id: e.id,
+    date: e.expenseDate,
+    isCredit: e.type === 'credit', // money in recorded with the expenses, e.g. a customer paying outside an invoice
+    vendor: e.vendor?.name || '',
+    category: e.category?.name || '',
+    description: e.description,
+    notes: e.notes || '',
+    amount: e.amount,
+    account: e.category?.accountCode || (e.type === 'credit' ? accounts.income : accounts.expense),
+  }));
+
+  const clientName = (c: { displayName: string | null; firstName: string; lastName: string | null } | null) =>
+    (c && (c.displayName || [c.firstName, c.lastName].filter(Boolean).join(' '))) || 'Unknown client';
+  const creditRows = [
+    ...creditsIssued.map(c => ({ date: c.createdAt, clientName: clientName(c.client), type: 'Credit issued', amount: c.amount, reference: c.reason || '' })),
+    ...creditsApplied.map(a => ({
+      date: a.createdAt,
+      clientName: clientName(a.credit.client),
+      type: 'Credit applied',
+      amount: a.amount,
+      reference: 'Invoice #' + formatDocNumber(a.invoice.invoiceNumber, a.invoice.displayNumber),
+    })),
+  ].sort((a, b) => a.date.getTime() - b.date.getTime());
+
+  return { accounts, homeCurrency, invoiceDocs, creditNoteDocs, cashPayments, expenseRows, creditRows };
+}
+
+type ExportData = Awaited<ReturnType<typeof loadAccountingExport>>;
+
+// ── Formatting ──
+
+const pad = (n: number) => String(n).padStart(2, '0');
+const usDate = (d: Date) => `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${d.getFullYear()}`;
+// Xero reads dates in the organisation's regional format; "15 Jan 2026" is unambiguous in all of them
+const xeroDate = (d: Date) => `${pad(d.getDate())} ${d.toLocaleString('en-US', { month: 'short' })} ${d.getFullYear()}`;
+const money = (n: number) => round2(n).toFixed(2);
+
+function csvCell(v: string | number | null | undefined) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csv(headers: string[], rows: (string | number | null | undefined)[][]) {
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const creditsCsv = (data: ExportData, date: (d: Date) => string) => csv(
+  ['Date', 'Client', 'Type', 'Amount', 'Reference'],
+  data.creditRows.map(c => [date(c.date), c.clientName, c.type, money(c.amount), c.reference]),
+);
+
+// ── QuickBooks ──
+
+// IIF is tab-separated with no quoting, so tabs and line breaks can't appear in a field
+const iifField = (v: string | number) => String(v).replace(/[\t\r\n]+/g, ' ');
+const iifRow = (fields: (string | number)[]) => fields.map(iifField).join('\t');
+
+const IIF_HEADER = [
+  '!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tDUEDATE',
+  '!SPL\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tQNTY\tPRICE\tINVITEM',
+  '!ENDTRNS',
+];
+
+type Split = { account: string; amount: number; memo?: string; qty?: number; price?: number; item?: string };
+
+/** One balanced IIF transaction — the TRNS line takes the opposite of the splits' total */
+function iifTransaction(type: string, date: Date, account: string, name: string, docNum: string, memo: string, splits: Split[], dueDate?: Date) {
+  const amounts = splits.map(s => round2(s.amount));
+  const total = round2(amounts.reduce((s, a) => s + a, 0));
+  const d = usDate(date);
+  return [
+    iifRow(['TRNS', type, d, account, name, money(-total), docNum, memo, dueDate ? usDate(dueDate) : '']),
+    ...splits.map((s, i) => iifRow(['SPL', type, d, s.account, name, money(amounts[i]), docNum, s.memo ?? '', s.qty ?? '', s.price != null ? money(s.price) : '', s.item ?? ''])),
+    'ENDTRNS',
+  ];
+}
+
+/** Invoice and credit memo splits in the home currency, tax on its own line */
+function salesSplits(doc: ExportDocument, sign: 1 | -1, salesTaxAccount: string): Split[] {
+  const fx = doc.exchangeRate;
+  const splits: Split[] = doc.lines.map(l => (l.isDiscount
+    ? { account: l.account, amount: sign * l.amount * fx, memo: l.description }
+    : { account: l.account, amount: sign * l.amount * fx, memo: l.description, qty: sign * l.qty, price: l.unitAmount * fx, item: l.name }));
+  if (doc.tax) splits.push({ account: salesTaxAccount, amount: sign * doc.tax * fx, memo: 'Sales tax' });
+  return splits;
+}
+
+function quickbooksIif(data: ExportData) {
+  const { accounts } = data;
+  const lines = [...IIF_HEADER];
+
+  for (const doc of data.invoiceDocs) {
+    lines.push(...iifTransaction('INVOICE', doc.date, accounts.receivable, doc.clientName, doc.number, '', salesSplits(doc, -1, accounts.salesTax), doc.dueDate));
+  }
+  for (const doc of data.creditNoteDocs) {
+    lines.push(...iifTransaction('CREDIT MEMO', doc.date, accounts.receivable, doc.clientName, doc.number, doc.reference, salesSplits(doc, 1, accounts.salesTax)));
+  }
+  for (const p of data.cashPayments) {
+    if (p.amount >= 0) {
+      lines.push(...iifTransaction('PAYMENT', p.date, accounts.deposits, p.clientName, p.invoiceNumber, `${p.method} payment for Invoice #${p.invoiceNumber}`,
+        [{ account: accounts.receivable, amount: -p.amount }]));
+    } else {
+      const memo = p.creditNoteNumber ? `Refund for Credit Note #${p.creditNoteNumber}` : `Refund on Invoice #${p.invoiceNumber}`;
+      lines.push(...iifTransaction('CHECK', p.date, accounts.bank, p.clientName, p.creditNoteNumber || p.invoiceNumber, `${memo} (${p.method})`,
+        [{ account: accounts.receivable, amount: -p.amount }]));
+    }
+  }
+  for (const e of data.expenseRows) {
+    if (e.isCredit) {
+      lines.push(...iifTransaction('DEPOSIT', e.date, accounts.deposits, e.vendor, '', e.description, [{ account: e.account, amount: -e.amount, memo: e.description }]));
+    } else {
+      lines.push(...iifTransaction('CHECK', e.date, accounts.bank, e.vendor, '', e.description, [{ account: e.account, amount: e.amount, memo: e.description }]));
+    }
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/** QuickBooks Online's invoice import layout, in the home currency */
+function quickbooksInvoicesCsv(data: ExportData) {
+  return csv(
+    ['InvoiceNo', 'Customer', 'InvoiceDate', 'DueDate', 'Item(Product/Service)', 'ItemDescription', 'ItemQuantity', 'ItemRate', 'ItemAmount', 'Taxable', 'TaxAmount'],
+    data.invoiceDocs.flatMap(doc => doc.lines.map(l => [
+      doc.number, doc.clientName, usDate(doc.date), usDate(doc.dueDate),
+      l.name, l.description, l.qty, money(l.unitAmount * doc.exchangeRate), money(l.amount * doc.exchangeRate),
+      l.tax ? 'Y' : 'N', money(l.tax * doc.exchangeRate),
+    ])),
+  );
+}
+
+function quickbooksFiles(data: ExportData): ZipEntry[] {
+  return [
+    { name: 'quickbooks.iif', content: quickbooksIif(data) },
+    { name: 'invoices.csv', content: quickbooksInvoicesCsv(data) },
+    {
+      name: 'payments.csv',
+      content: csv(
+        ['Date', 'Customer', 'InvoiceNo', 'CreditMemoNo', 'PaymentMethod', 'Amount', 'Account'],
+        data.cashPayments.map(p => [usDate(p.date), p.clientName, p.invoiceNumber, p.creditNoteNumber, p.method, money(p.amount), p.amount >= 0 ? data.accounts.deposits : data.accounts.bank]),
+      ),
+    },
+    {
+      // Date, Description, Amount first so it also loads as a bank upload
+      name: 'expenses.csv',
+      content: csv(
+        ['Date', 'Description', 'Amount', 'Vendor', 'Category', 'Account', 'Memo'],
+        data.expenseRows.map(e => [usDate(e.date), e.description, money(e.isCredit ? e.amount : -e.amount), e.vendor, e.category, e.account, e.notes]),
+      ),
+    },
+    { name: 'credits.csv', content: creditsCsv(data, usDate) },
+  ];
+}
+
+// ── Xero ──
+
+const taxType = (tax: number) => (tax ? 'Tax on Sales' : 'Tax Exempt');
+
+function xeroSalesCsv(docs: ExportDocument[], numberHeader: string, dateHeader: string, withDueDate: boolean) {
+  const headers = ['*ContactName', 'EmailAddress', numberHeader, 'Reference', dateHeader, ...(withDueDate ? ['*DueDate'] : []),
+    '*Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency'];
+  return csv(headers, docs.flatMap(doc => doc.lines.map(l => [
+    doc.clientName, doc.email, doc.number, doc.reference, xeroDate(doc.date), ...(withDueDate ? [xeroDate(doc.dueDate)] : []),
+    l.description, l.qty, money(l.unitAmount), l.account, taxType(l.tax), money(l.tax), doc.currency,
+  ])));
+}
+
+function xeroFiles(data: ExportData): ZipEntry[] {
+  const bills = data.expenseRows.filter(e => !e.isCredit);
+  const statement = [
+    ...data.cashPayments.map(p => ({
+      date: p.date,
+      amount: p.amount,
+      payee: p.clientName,
+      description: p.amount >= 0 ? `${p.method} payment` : `${p.method} refund`,
+      reference: p.creditNoteNumber ? `CN ${p.creditNoteNumber}` : `INV ${p.invoiceNumber}`,
+    })),
+    ...data.expenseRows.map(e => ({ date: e.date, amount: e.isCredit ? e.amount : -e.amount, payee: e.vendor, description: e.description, reference: e.category })),
+  ].sort((a, b) => a.date.getTime() - b.date.getTime());
+
+  return [
+    { name: 'sales_invoices.csv', content: xeroSalesCsv(data.invoiceDocs, '*InvoiceNumber', '*InvoiceDate', true) },
+    { name: 'credit_notes.csv', content: xeroSalesCsv(data.creditNoteDocs, '*CreditNoteNumber', '*CreditNoteDate', false) },
+    {
+      name: 'bills.csv',
+      content: csv(
+        ['*ContactName', '*InvoiceNumber', '*InvoiceDate', '*DueDate', '*Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'],
+        bills.map(e => [
+          e.vendor || 'Unknown vendor', `EXP-${e.id.slice(0, 8).toUpperCase()}`, xeroDate(e.date), xeroDate(e.date),
+          e.description, 1, money(e.amount), e.account, 'Tax Exempt', data.homeCurrency,
+        ]),
+      ),
+    },
+    {
+      // Payments, refunds and expenses as statement lines, to reconcile against the invoices and bills above
+      name: 'bank_statement.csv',
+      content: csv(['*Date', '*Amount', 'Payee', 'Description', 'Reference'], statement.map(s => [xeroDate(s.date), money(s.amount), s.payee, s.description, s.reference])),
+    },
+    { name: 'credits.csv', content: creditsCsv(data, xeroDate) },
+  ];
+}
+
+export async function accountingExportFiles(start: Date, end: Date, format: ExportFormat): Promise<ZipEntry[]> {
+  const data = await loadAccountingExport(start, end, format);
+  return format === 'xero' ? xeroFiles(data) : quickbooksFiles(data);
+}
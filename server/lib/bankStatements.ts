@@ -0,0 +1,369 @@
+import { createHash } from 'node:crypto';
+import { db } from '../db';
+import { bankTransactions, bankReconciliations, invoices, payments, expenses, vendors, teamPayments } from '../db/schema';
+import { and, eq, gte, lt, lte, gt, isNull, isNotNull, notInArray, notExists } from 'drizzle-orm';
+import { formatDocNumber } from './numbering';
+import { NON_CASH_METHODS } from './credits';
+import { getTeamMemberName } from './expenseSync';
+
+export type StatementFormat = 'ofx' | 'csv';
+export type MatchType = 'payment' | 'expense' | 'team_payment';
+
+export const MATCH_TYPES: MatchType[] = ['payment', 'expense', 'team_payment'];
+
+export interface ParsedTransaction {
+  date: Date;
+  amount: number;
+  description: string;
+  reference: string;
+}
+
+export interface ParsedStatement {
+  format: StatementFormat;
+  accountName: string | null;
+  closingBalance: number | null;
+  transactions: ParsedTransaction[];
+}
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+// Statement lines are dated, not timed — pin them to noon like parseDateInput does
+const statementDate = (y: number, m: number, d: number) => new Date(y, m - 1, d, 12);
+
+const hash = (...parts: (string | number)[]) => createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 20);
+
+/** Two identical lines in one file (two coffees on the same day) are both real, so the occurrence count goes into the hash */
+function lineReferences(rows: Omit<ParsedTransaction, 'reference'>[], prefix: string): ParsedTransaction[] {
+  const seen = new Map<string, number>();
+  return rows.map(r => {
+    const key = `${r.date.toDateString()}|${r.amount.toFixed(2)}|${r.description.toLowerCase()}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    return { ...r, reference: `${prefix}:${hash(key, n)}` };
+  });
+}
+
+/** "1,234.56", "(12.00)", "12.00-", "€ 1.234,56" → signed number */
+export function parseMoney(raw: string): number | null {
+  let v = raw.trim();
+  if (!v) return null;
+  const negative = /^\(.*\)$/.test(v) || /^-/.test(v) || /-$/.test(v) || /\bDR$/i.test(v);
+  v = v.replace(/[^\d.,]/g, '');
+  // A comma followed by one or two trailing digits is a decimal comma
+  v = /,\d{1,2}$/.test(v) ? v.replace(/\./g, '').replace(',', '.') : v.replace(/,/g, '');
+  const n = parseFloat(v);
+  if (isNaN(n)) return null;
+  return round2(negative ? -n : n);
+}
+
+// ─── OFX / QFX ───────────────────────────────────────
+// Both SGML (OFX 1.x, no closing tags) and XML (OFX 2.x) files: read each tag's text up to the next tag or line end.
+
+function ofxTag(block: string, tag: string) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return m ? m[1].trim().replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>') : null;
+}
+
+function ofxDate(v: string | null) {
+  const m = v?.match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? statementDate(+m[1], +m[2], +m[3]) : null;
+}
+
+function parseOfx(content: string): ParsedStatement {
+  const accountId = ofxTag(content, 'ACCTID');
+  const ledgerBalance = content.match(/<LEDGERBAL>([\s\S]*?)(<\/LEDGERBAL>|<AVAILBAL>|$)/i)?.[1];
+  const balance = ledgerBalance ? ofxTag(ledgerBalance, 'BALAMT') : null;
+
+  const rows: Omit<ParsedTransaction, 'reference'>[] = [];
+  const fitIds: (string | null)[] = [];
+  for (const block of content.split(/<STMTTRN>/i).slice(1)) {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const date = ofxDate(ofxTag(body, 'DTPOSTED'));
+    const amount = parseMoney(ofxTag(body, 'TRNAMT') || '');
+    if (!date || amount === null) continue;
+    const name = ofxTag(body, 'NAME');
+    const memo = ofxTag(body, 'MEMO');
+    rows.push({ date, amount, description: [name, memo !== name ? memo : null].filter(Boolean).join(' — ') || (ofxTag(body, 'TRNTYPE') || 'Transaction') });
+    fitIds.push(ofxTag(body, 'FITID'));
+  }
+
+  // FITIDs are only unique within one account
+  const account = accountId || 'unknown';
+  const transactions = lineReferences(rows, `ofx:${hash(account)}`)
+    .map((t, i) => (fitIds[i] ? { ...t, reference: `ofx:${hash(account)}:${fitIds[i]}` } : t));
+
+  return {
+    format: 'ofx',
+    accountName: accountId ? `••••${accountId.slice(-4)}` : null,
+    closingBalance: balance !== null ? parseMoney(balance) : null,
+    transactions,
+  };
+}
+
+// ─── CSV ─────────────────────────────────────────────
+
+export function csvRows(content: string): string[][] {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+// Header patterns, checked in order; the first column matching each wins
+const CSV_COLUMNS = {
+  date: /^(transaction |posting |posted |booking |value )?date$|^date/i,
+  debit: /debit|withdrawal|paid out|money out|^out$/i,
+  credit: /credit|deposit|paid in|money in|^in$/i,
+  amount: /amount|^value$/i,
+  description: /description|details|narrative|payee|memo|^name$|particulars/i,
+  reference: /^(fitid|transaction id|id|reference number|ref(erence)?)$/i,
+  balance: /balance/i,
+};
+
+/** Day-first or month-first, decided once for the whole file from whichever part goes above 12 */
+export function csvDateParser(values: string[]) {
+  const parts = values.map(v => v.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{2,4})/)).filter(Boolean) as RegExpMatchArray[];
+  const dayFirst = parts.some(p => p[1].length <= 2 && +p[1] > 12);
+  return (v: string): Date | null => {
+    const m = v.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (m) {
+      if (m[1].length === 4) return statementDate(+m[1], +m[2], +m[3]);
+      const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      return dayFirst ? statementDate(year, +m[2], +m[1]) : statementDate(year, +m[1], +m[2]);
+    }
+    const parsed = new Date(v);
+    return isNaN(parsed.getTime()) ? null : statementDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  };
+}
+
+function parseCsv(content: string): ParsedStatement {
+  const rows = csvRows(content);
+  // Some banks put account details above the header row
+  const headerIndex = rows.findIndex(r => r.some(c => CSV_COLUMNS.date.test(c)));
+  if (headerIndex === -1) throw new Error('Could not find a header row with a date column');
+  const header = rows[headerIndex];
+  const col = (key: keyof typeof CSV_COLUMNS, exclude: number[] = []) =>
+    header.findIndex((h, i) => !exclude.includes(i) && CSV_COLUMNS[key].test(h));
+
+  const dateCol = col('date');
+  const balanceCol = col('balance');
+  const debitCol = col('debit', [balanceCol]);
+  const creditCol = col('credit', [balanceCol, debitCol]);
+  const amountCol = col('amount', [balanceCol]);
+  const referenceCol = col('reference');
+  const descriptionCols = header.map((_, i) => i).filter(i => CSV_COLUMNS.description.test(header[i]) && i !== referenceCol);
+  if (amountCol === -1 && (debitCol === -1 || creditCol === -1)) {
+    throw new Error('Could not find an amount column, or separate debit and credit columns');
+  }
+
+  const body = rows.slice(headerIndex + 1);
+  const parseDate = csvDateParser(body.map(r => r[dateCol] || ''));
+  const parsed: (Omit<ParsedTransaction, 'reference'> & { bankRef: string | null; balance: number | null })[] = [];
+  for (const r of body) {
+    const date = parseDate(r[dateCol] || '');
+    let amount: number | null;
+    if (amountCol !== -1 && (debitCol === -1 || creditCol === -1)) {
+      amount = parseMoney(r[amountCol] || '');
+    } else {
+      // Debit columns usually hold positive numbers for money out
+      const out = parseMoney(r[debitCol] || '');
+      const inn = parseMoney(r[creditCol] || '');
+      amount = out === null && inn === null ? null : round2((inn || 0) - Math.abs(out || 0));
+    }
+    if (!date || amount === null || amount === 0) continue;
+    parsed.push({
+      date,
+      amount,
+      description: descriptionCols.map(i => r[i]).filter(Boolean).join(' — ') || 'Bank transaction',
+      bankRef: referenceCol !== -1 ? r[referenceCol] || null : null,
+      balance: balanceCol !== -1 ? parseMoney(r[balanceCol] || '') : null,
+    });
+  }
+
+  const transactions = lineReferences(parsed.map(({ date, amount, description }) => ({ date, amount, description })), 'csv')
+    .map((t, i) => (parsed[i].bankRef ? { ...t, reference: `csv:${parsed[i].bankRef}` } : t));
+
+  // Running balance on the latest line, whichever way round the bank sorts its export
+  const latest = parsed.reduce<(typeof parsed)[number] | null>((best, t) => (!best || t.date >= best.date ? t : best), null);
+
+  return { format: 'csv', accountName: null, closingBalance: latest?.balance ?? null, transactions };
+}
+
+/** Reads an OFX/QFX or CSV statement; throws with a readable message when the file can't be used */
+export function parseStatement(fileName: string, content: string): ParsedStatement {
+  const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(content);
+  const statement = isOfx ? parseOfx(content) : parseCsv(content);
+  if (statement.transactions.length === 0) throw new Error('No transactions found in the file');
+  return statement;
+}
+
+// ─── Matching ────────────────────────────────────────
+
+/** A book record a statement line can be matched to, signed the same way as the statement */
+export interface MatchCandidate {
+  type: MatchType;
+  id: string;
+  date: Date;
+  amount: number;
+  description: string;
+}
+
+// How far a line's date may drift from the record's for a suggestion (cheques, card settlement)
+const SUGGEST_WINDOW_DAYS = 7;
+// How far either side to look when picking a match by hand
+export const MANUAL_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const addDays = (d: Date, days: number) => new Date(d.getTime() + days * DAY_MS);
+const daysApart = (a: Date, b: Date) => Math.round(Math.abs(a.getTime() - b.getTime()) / DAY_MS);
+
+const words = (s: string) => new Set(s.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2));
+
+/** Cash payments, expenses and paid team payments dated in [start, end), in the default currency */
+export async function loadCandidates(start: Date, end: Date): Promise<MatchCandidate[]> {
+  const paymentRows = await db
+    .select({
+      id: payments.id, amount: payments.amount, method: payments.method, paymentDate: payments.paymentDate,
+      invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, exchangeRate: invoices.exchangeRate,
+    })
+    .from(payments)
+    .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+    .where(and(gte(payments.paymentDate, start), lt(payments.paymentDate, end), notInArray(payments.method, NON_CASH_METHODS)));
+
+  const expenseRows = await db
+    .select({ id: expenses.id, amount: expenses.amount, type: expenses.type, description: expenses.description, expenseDate: expenses.expenseDate, vendorName: vendors.name })
+    .from(expenses)
+    .leftJoin(vendors, eq(expenses.vendorId, vendors.id))
+    // Mirrors of team payments match as the team payment
+    .where(and(gte(expenses.expenseDate, start), lt(expenses.expenseDate, end), isNull(expenses.teamPaymentId)));
+
+  const teamPaymentRows = await db
+    .select({ id: teamPayments.id, teamMemberId: teamPayments.teamMemberId, amount: teamPayments.amount, paymentDate: teamPayments.paymentDate })
+    .from(teamPayments)
+    .where(and(gte(teamPayments.paymentDate, start), lt(teamPayments.paymentDate, end), eq(teamPayments.status, 'paid')));
+
+  const candidates: MatchCandidate[] = [];
+  for (const p of paymentRows) {
+    const label = `Invoice #${formatDocNumber(p.invoiceNumber, p.displayNumber)}`;
+    candidates.push({
+      type: 'payment',
+      id: p.id,
+      date: p.paymentDate,
+      amount: round2(p.amount * (p.exchangeRate || 1)),
+      description: `${p.amount < 0 ? 'Refund' : 'Payment'} on ${label}${p.clientName ? ` — ${p.clientName}` : ''} (${p.method})`,
+    });
+  }
+  for (const e of expenseRows) {
+    candidates.push({
+      type: 'expense',
+      id: e.id,
+      date: e.expenseDate,
+      amount: e.type === 'credit' ? e.amount : -e.amount,
+      description: e.vendorName ? `${e.description} — ${e.vendorName}` : e.description,
+    });
+  }
+  for (const tp of teamPaymentRows) {
+    candidates.push({ type: 'team_payment', id: tp.id, date: tp.paymentDate, amount: -tp.amount, description: `Payment to ${await getTeamMemberName(tp.teamMemberId)}` });
+  }
+  return candidates;
+}
+
+/** `type:id` of every record already matched to a statement line */
+export async function matchedKeys() {
+  const rows = await db
+    .select({ matchType: bankTransactions.matchType, matchId: bankTransactions.matchId })
+    .from(bankTransactions)
+    .where(isNotNull(bankTransactions.matchId));
+  return new Set(rows.map(r => `${r.matchType}:${r.matchId}`));
+}
+
+/** Higher is better: closer dates and shared words in the descriptions */
+function matchScore(line: { transactionDate: Date; description: string }, c: MatchCandidate) {
+  const lineWords = words(line.description);
+  const shared = [...words(c.description)].filter(w => lineWords.has(w)).length;
+  return 100 - daysApart(line.transactionDate, c.date) * 5 + Math.min(shared, 4) * 10;
+}
+
+/**
+ * Suggested matches for each statement line: unmatched records for the exact
+ * amount within a week of the line's date, best first.
+ */
+export async function suggestMatches(lines: { id: string; transactionDate: Date; amount: number; description: string }[]) {
+  const suggestions = new Map<string, (MatchCandidate & { score: number })[]>();
+  if (lines.length === 0) return suggestions;
+
+  const times = lines.map(l => l.transactionDate.getTime());
+  const candidates = await loadCandidates(addDays(new Date(Math.min(...times)), -SUGGEST_WINDOW_DAYS), addDays(new Date(Math.max(...times)), SUGGEST_WINDOW_DAYS + 1));
+  const taken = await matchedKeys();
+  const open = candidates.filter(c => !taken.has(`${c.type}:${c.id}`));
+
+  for (const line of lines) {
+    const ranked = open
+      .filter(c => Math.abs(c.amount - line.amount) < 0.005 && daysApart(line.transactionDate, c.date) <= SUGGEST_WINDOW_DAYS)
+      .map(c => ({ ...c, score: matchScore(line, c) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+    suggestions.set(line.id, ranked);
+  }
+  return suggestions;
+}
+
+/** Every unmatched record going the same way as the line within a month either side, closest amount first — for matching by hand */
+export async function manualCandidates(line: { transactionDate: Date; amount: number; description: string }) {
+  const candidates = await loadCandidates(addDays(line.transactionDate, -MANUAL_WINDOW_DAYS), addDays(line.transactionDate, MANUAL_WINDOW_DAYS + 1));
+  const taken = await matchedKeys();
+  return candidates
+    .filter(c => !taken.has(`${c.type}:${c.id}`) && Math.sign(c.amount) === Math.sign(line.amount))
+    .map(c => ({ ...c, score: matchScore(line, c) }))
+    .sort((a, b) => Math.abs(a.amount - line.amount) - Math.abs(b.amount - line.amount) || b.score - a.score);
+}
+
+/** Clears matches whose payment, expense or team payment has since been deleted */
+export async function clearStaleMatches() {
+  const tables = { payment: payments, expense: expenses, team_payment: teamPayments } as const;
+  for (const [matchType, table] of Object.entries(tables)) {
+    await db.update(bankTransactions)
+      .set({ matchType: null, matchId: null, matchedBy: null, matchedAt: null })
+      .where(and(
+        eq(bankTransactions.matchType, matchType),
+        notExists(db.select({ id: table.id }).from(table).where(eq(table.id, bankTransactions.matchId))),
+      ));
+  }
+}
+
+/** The reconciliation covering `date`, if any — statement lines in a reconciled period are locked */
+export async function reconciliationCovering(date: Date) {
+  const [row] = await db
+    .select()
+    .from(bankReconciliations)
+    .where(and(lte(bankReconciliations.periodStart, date), gt(bankReconciliations.periodEnd, date)))
+    .limit(1);
+  return row || null;
+}
@@ -0,0 +1,122 @@
+import { db } from '../db';
+import { appSettings, clientCredits, creditApplications, creditNotes, clients, invoices, payments } from '../db/schema';
+import { eq, asc, sql } from 'drizzle-orm';
+import { logActivity, type LogActivityParams } from './activityLog';
+import { recalculateInvoice, checkDepositAndBookProject, docLabel } from './stripe';
+import { formatCurrency, getDefaultCurrency, normalizeCurrency } from './currency';
+import { broadcast } from './pubsub';
+
+export const CREDIT_PAYMENT_METHOD = 'Credit';
+
+// Money that never touched a bank account — a client credit spent on an invoice,
+// or a credit note "refunded" to the client's credit balance
+export const NON_CASH_METHODS = [CREDIT_PAYMENT_METHOD, 'Client Credit'];
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+type Actor = Pick<LogActivityParams, 'userId' | 'userDisplayName'>;
+
+/** A client's credits oldest first, each with what's left after earlier applications */
+export async function getCreditBalances(clientId: string, tx: any = db) {
+  const rows = await tx
+    .select({
+      id: clientCredits.id,
+      amount: clientCredits.amount,
+      applied: sql<string>`coalesce(sum(${creditApplications.amount}), 0)`,
+    })
+    .from(clientCredits)
+    .leftJoin(creditApplications, eq(creditApplications.creditId, clientCredits.id))
+    .where(eq(clientCredits.clientId, clientId))
+    .groupBy(clientCredits.id)
+    .orderBy(asc(clientCredits.createdAt));
+
+  return rows.map((r: any) => {
+    const applied = parseFloat(r.applied) || 0;
+    return { id: r.id as string, amount: r.amount as number, applied, remaining: round2(r.amount - applied) };
+  });
+}
+
+/** Credits carry no currency of their own — they're held in the client's billing currency */
+export async function getCreditCurrency(clientId: string) {
+  const [client] = await db.select({ currency: clients.currency }).from(clients).where(eq(clients.id, clientId));
+  return normalizeCurrency(client?.currency) || getDefaultCurrency();
+}
+
+/**
+ * Spends a client's remaining credit on an invoice, oldest credit first.
+ * Records one "Credit" payment for the amount, plus a credit_applications row
+ * per credit drawn from. Applies the lesser of `amount` (when given), the
+ * credit available and the invoice balance; returns null if that's nothing.
+ * The caller checks the invoice has a client and matches the credit currency.
+ */
+export async function applyClientCredit(inv: typeof invoices.$inferSelect, opts: { amount?: number; appliedBy: string }) {
+  const clientId = inv.clientId!;
+
+  const payment = await db.transaction(async (tx) => {
+    // Lock the invoice, and work out what's due from the payments and credit notes
+    // recorded so far — paidAmount lags until recalculateInvoice runs after commit
+    const [locked] = await tx.select({ total: invoices.total }).from(invoices).where(eq(invoices.id, inv.id)).for('update');
+    if (!locked) return null;
+    const [paid] = await tx.select({ sum: sql<string>`coalesce(sum(${payments.amount}), 0)` }).from(payments).where(eq(payments.invoiceId, inv.id));
+    const [credited] = await tx.select({ sum: sql<string>`coalesce(sum(${creditNotes.total}), 0)` }).from(creditNotes).where(eq(creditNotes.invoiceId, inv.id));
+    const due = round2(locked.total - (parseFloat(credited.sum) || 0) - (parseFloat(paid.sum) || 0));
+
+    // Lock the client's credits so two invoices can't spend the same balance
+    await tx.select({ id: clientCredits.id }).from(clientCredits).where(eq(clientCredits.clientId, clientId)).for('update');
+    const credits = await getCreditBalances(clientId, tx);
+    const available = round2(credits.reduce((s: number, c: any) => s + Math.max(c.remaining, 0), 0));
+
+    const amount = round2(Math.min(opts.amount ?? Infinity, available, due));
+    if (amount <= 0) return null;
+
+    const [row] = await tx
+      .insert(payments)
+      .values({ invoiceId: inv.id, amount, method: CREDIT_PAYMENT_METHOD, paymentDate: new Date() })
+      .returning();
+
+    let left = amount;
+    const applications: (typeof creditApplications.$inferInsert)[] = [];
+    for (const credit of credits) {
+      if (left <= 0) break;
+      if (credit.remaining <= 0) continue;
+      const take = round2(Math.min(credit.remaining, left));
+      applications.push({ creditId: credit.id, invoiceId: inv.id, paymentId: row.id, amount: take, appliedBy: opts.appliedBy });
+      left = round2(left - take);
+    }
+    await tx.insert(creditApplications).values(applications);
+
+    return row;
+  });
+  if (!payment) return null;
+
+  await recalculateInvoice(inv.id);
+  await checkDepositAndBookProject(inv.id);
+  return payment;
+}
+
+/**
+ * Applies available credit to a newly created invoice when the
+ * `auto_apply_credits` setting is on. Quietly does nothing otherwise.
+ */
+export async function autoApplyClientCredit(invoiceId: string, actor: Actor) {
+  const [setting] = await db.select().from(appSettings).where(eq(appSettings.key, 'auto_apply_credits'));
+  if (setting?.value !== 'true') return;
+
+  const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
+  if (!inv?.clientId || inv.currency !== await getCreditCurrency(inv.clientId)) return;
+
+  const payment = await applyClientCredit(inv, { appliedBy: actor.userDisplayName });
+  if (!payment) return;
+
+  logActivity({
+    ...actor,
+    action: 'applied',
+    entityType: 'credit',
+    entityId: payment.id,
+    entityLabel: `${formatCurrency(payment.amount, inv.currency)} credit to ${docLabel(inv)} (automatic)`,
+  });
+  if (actor.userId) {
+    broadcast('payment', 'created', actor.userId, payment.id);
+    broadcast('credit', 'updated', actor.userId);
+  }
+}
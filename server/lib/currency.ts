@@ -0,0 +1,46 @@
+import { db } from '../db';
+import { appSettings, clients } from '../db/schema';
+import { eq } from 'drizzle-orm';
+
+/** Currencies we can bill in — all two-decimal so amounts stay numeric(12,2) */
+export const SUPPORTED_CURRENCIES = [
+  'USD', 'EUR', 'CAD', 'GBP', 'AUD', 'NZD', 'CHF', 'MXN', 'SEK', 'NOK', 'DKK',
+] as const;
+
+export function normalizeCurrency(code: any): string | null {
+  if (typeof code !== 'string') return null;
+  const upper = code.trim().toUpperCase();
+  return (SUPPORTED_CURRENCIES as readonly string[]).includes(upper) ? upper : null;
+}
+
+export function formatCurrency(amount: any, currency?: string | null) {
+  if (typeof amount !== 'number') amount = parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: normalizeCurrency(currency) || 'USD' }).format(amount);
+}
+
+/** Company default currency (app setting `default_currency`), falls back to USD */
+export async function getDefaultCurrency(): Promise<string> {
+  const [row] = await db.select().from(appSettings).where(eq(appSettings.key, 'default_currency'));
+  return normalizeCurrency(row?.value) || 'USD';
+}
+
+/**
+ * Resolves the currency + exchange rate for a quote or invoice being saved.
+ * Currency comes from the body, then the client, then the company default.
+ * exchangeRate is units of the default currency per 1 unit of the document currency,
+ * and is required for anything but the default currency — an error is returned without one.
+ */
+export async function resolveDocumentCurrency(body: any, clientId?: string | null): Promise<{ currency: string; exchangeRate: number } | { error: string }> {
+  const defaultCurrency = await getDefaultCurrency();
+  let currency = normalizeCurrency(body?.currency);
+  if (!currency && clientId) {
+    const [client] = await db.select({ currency: clients.currency }).from(clients).where(eq(clients.id, clientId));
+    currency = normalizeCurrency(client?.currency);
+  }
+  if (!currency) currency = defaultCurrency;
+
+  if (currency === defaultCurrency) return { currency, exchangeRate: 1 };
+  const rate = parseFloat(body?.exchangeRate);
+  if (!(rate > 0)) return { error: `Enter the exchange rate from ${currency} to ${defaultCurrency}` };
+  return { currency, exchangeRate: rate };
+}
@@ -13,3 +13,19 @@ export function parseDateInput(d: string | null | undefined): Date | null {
   // Otherwise it already has time info, parse as-is
   return new Date(d);
 }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar days from `from` to `to` (negative when `to` is earlier), ignoring
+ * the time of day. A due date stored at noon counts as 0 days away all of that
+ * day — a 09:00 run on the due date is day 0, not -1.
+ */
+export function calendarDaysBetween(from: Date, to: Date) {
+  const start = new Date(from);
+  const end = new Date(to);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+  // Rounded, since a day across a DST change is an hour short or long
+  return Math.round((end.getTime() - start.getTime()) / DAY_MS);
+}
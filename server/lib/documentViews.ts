@@ -0,0 +1,76 @@
+import { db } from '../db';
+import { quotes, invoices } from '../db/schema';
+import { eq, sql } from 'drizzle-orm';
+import { auth } from '../auth';
+import { broadcast } from './pubsub';
+import { logActivity } from './activityLog';
+import { notifyUsers, getPrivilegedUserIds } from './notifications';
+import { formatDocNumber } from './numbering';
+
+export type ViewSource = 'page' | 'pdf';
+
+/** Whether a public-link request comes from someone signed in to the app, e.g. staff previewing the client's link */
+async function isStaffRequest(request: any) {
+  if (!request.headers.cookie) return false;
+  try {
+    const headers = new Headers();
+    Object.entries(request.headers).forEach(([key, value]) => {
+      if (value) headers.append(key, String(value));
+    });
+    return !!(await auth.api.getSession({ headers }));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Record a client opening a quote or invoice — the public approval/payment page
+ * or the emailed PDF link. The first time a client opens a quote either way,
+ * the quote's owner and admins/managers get a `quote_viewed` notification.
+ * Never throws: tracking must not break the page the client is loading.
+ */
+export async function recordDocumentView(request: any, type: 'quote' | 'invoice', documentId: string, source: ViewSource) {
+  try {
+    if (await isStaffRequest(request)) return;
+
+    const table: any = type === 'quote' ? quotes : invoices;
+    const now = new Date();
+    const set = source === 'pdf'
+      ? { pdfDownloadCount: sql`${table.pdfDownloadCount} + 1`, lastDownloadedAt: now }
+      : {
+          viewCount: sql`${table.viewCount} + 1`,
+          firstViewedAt: sql`coalesce(${table.firstViewedAt}, ${now.toISOString()}::timestamptz)`,
+          lastViewedAt: now,
+        };
+
+    const [updated] = await db.update(table).set(set).where(eq(table.id, documentId)).returning();
+    if (!updated) return;
+    broadcast(type, 'updated', 'system', documentId);
+
+    // Opened for the first time: one page view or one download, and not both
+    const firstOpen = (updated.viewCount || 0) + (updated.pdfDownloadCount || 0) === 1;
+    if (type !== 'quote' || !firstOpen) return;
+
+    const quoteLabel = `Quote #${formatDocNumber(updated.quoteNumber, updated.displayNumber)}`;
+    const how = source === 'pdf' ? 'downloaded the PDF of' : 'opened';
+    logActivity({
+      userId: updated.userId,
+      userDisplayName: 'Client',
+      action: 'viewed',
+      entityType: 'quote',
+      entityId: updated.id,
+      entityLabel: `${quoteLabel} ${source === 'pdf' ? 'PDF downloaded' : 'viewed'} by client`,
+    });
+    const privilegedIds = await getPrivilegedUserIds();
+    await notifyUsers({
+      userIds: [...new Set([updated.userId, ...privilegedIds])],
+      type: 'quote_viewed',
+      title: 'Quote Viewed',
+      message: `${updated.clientName || 'The client'} ${how} ${quoteLabel}`,
+      entityType: 'quote',
+      entityId: updated.id,
+    });
+  } catch (err) {
+    console.error('[documentViews] Failed to record view:', err);
+  }
+}
@@ -0,0 +1,158 @@
+import { db } from '../db';
+import { expenses, expenseCategories, vendors } from '../db/schema';
+import { and, gte, lte } from 'drizzle-orm';
+import { csvRows, csvDateParser, parseMoney } from './bankStatements';
+import { loadExpenseClassifier } from './expenseRules';
+
+export const IMPORT_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'vendor', 'category', 'notes'] as const;
+export type ImportField = (typeof IMPORT_FIELDS)[number];
+
+/** Column index per field, -1 when the file has no such column */
+export type ImportMapping = Record<ImportField, number>;
+
+export interface ImportRow {
+  line: number;
+  expenseDate: string | null;
+  description: string;
+  amount: number;
+  type: 'expense' | 'credit';
+  vendorId: string | null;
+  vendorName: string | null;
+  categoryId: string | null;
+  categoryName: string | null;
+  notes: string | null;
+  duplicate: boolean;
+  error: string | null;
+}
+
+// Header patterns, checked in order; the first column matching each wins
+const IMPORT_COLUMNS: Record<ImportField, RegExp> = {
+  date: /^(transaction |posting |posted |trans\.? )?date$|^date/i,
+  description: /description|details|narrative|memo|^name$|particulars/i,
+  amount: /amount|^value$/i,
+  debit: /debit|withdrawal|charge|money out|^out$/i,
+  credit: /credit|deposit|refund|money in|^in$/i,
+  vendor: /vendor|merchant|payee|supplier/i,
+  category: /category|type of expense/i,
+  notes: /notes?$|comment/i,
+};
+
+const dateKey = (d: Date) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const duplicateKey = (date: string, amount: number, description: string) =>
+  `${date}|${amount.toFixed(2)}|${description.trim().toLowerCase()}`;
+
+export function detectMapping(header: string[]): ImportMapping {
+  const taken: number[] = [];
+  const mapping = {} as ImportMapping;
+  for (const field of IMPORT_FIELDS) {
+    mapping[field] = header.findIndex((h, i) => !taken.includes(i) && IMPORT_COLUMNS[field].test(h));
+    if (mapping[field] !== -1) taken.push(mapping[field]);
+  }
+  return mapping;
+}
+
+/**
+ * Parses a card or bank CSV into expense rows for review. Nothing is written: the preview
+ * flags rows that already exist (same day, amount and description) and fills in vendor
+ * and category from the CSV where it names them, else from the classifier.
+ *
+ * `chargesNegative` says which sign a charge carries in a single amount column; when left
+ * out it is guessed from whichever sign most rows have.
+ */
+export async function previewImport(content: string, overrides: Partial<ImportMapping> = {}, chargesNegative?: boolean) {
+  const rows = csvRows(content.replace(/^\uFEFF/, ''));
+  // Some exports put account details above the header row
+  const headerIndex = Math.max(0, rows.findIndex(r => r.some(c => IMPORT_COLUMNS.date.test(c))));
+  const headers = rows[headerIndex] || [];
+  const mapping = { ...detectMapping(headers), ...overrides };
+  if (mapping.date === -1) throw new Error('Choose the column holding the date');
+  if (mapping.amount === -1 && mapping.debit === -1) throw new Error('Choose the amount column, or a debit/charge column');
+
+  const body = rows.slice(headerIndex + 1);
+  const cell = (r: string[], field: ImportField) => (mapping[field] === -1 ? '' : r[mapping[field]] || '');
+  const parseDate = csvDateParser(body.map(r => cell(r, 'date')));
+
+  const useAmountColumn = mapping.amount !== -1 && mapping.debit === -1;
+  const signed = body.map(r => parseMoney(cell(r, 'amount')) || 0);
+  const negatives = signed.filter(n => n < 0).length;
+  const chargeSign = (chargesNegative ?? negatives > signed.length - negatives) ? -1 : 1;
+
+  const [vendorList, categoryList, classify] = await Promise.all([
+    db.select({ id: vendors.id, name: vendors.name }).from(vendors),
+    db.select({ id: expenseCategories.id, name: expenseCategories.name }).from(expenseCategories),
+    loadExpenseClassifier(),
+  ]);
+  const vendorByName = new Map(vendorList.map(v => [v.name.trim().toLowerCase(), v]));
+  const categoryByName = new Map(categoryList.map(c => [c.name.trim().toLowerCase(), c]));
+  const categoryName = new Map(categoryList.map(c => [c.id, c.name]));
+  const vendorName = new Map(vendorList.map(v => [v.id, v.name]));
+
+  const parsed: ImportRow[] = body.map((r, i) => {
+    const date = parseDate(cell(r, 'date'));
+    let amount: number | null;
+    if (useAmountColumn) {
+      const n = parseMoney(cell(r, 'amount'));
+      amount = n === null ? null : n * chargeSign;
+    } else {
+      // Separate columns: a charge is money out whatever sign the bank prints it with
+      const out = parseMoney(cell(r, 'debit'));
+      const inn = mapping.credit === -1 ? null : parseMoney(cell(r, 'credit'));
+      amount = out === null && inn === null ? null : Math.abs(out || 0) - Math.abs(inn || 0);
+    }
+    const description = cell(r, 'description').trim() || cell(r, 'vendor').trim();
+
+    const csvVendor = cell(r, 'vendor').trim();
+    const knownVendor = csvVendor ? vendorByName.get(csvVendor.toLowerCase()) : undefined;
+    const guess = classify(description, knownVendor?.id);
+    const vendorId = csvVendor && !knownVendor ? null : guess.vendorId;
+    const csvCategory = categoryByName.get(cell(r, 'category').trim().toLowerCase());
+    const categoryId = csvCategory?.id || guess.categoryId;
+
+    const error = !date ? 'Unreadable date'
+      : amount === null || amount === 0 ? 'No amount'
+      : !description ? 'No description'
+      : null;
+
+    return {
+      line: headerIndex + i + 2,
+      expenseDate: date ? dateKey(date) : null,
+      description,
+      amount: Math.abs(amount || 0),
+      type: (amount || 0) < 0 ? 'credit' : 'expense',
+      vendorId,
+      // An unknown vendor named in the CSV is created on import
+      vendorName: vendorId ? vendorName.get(vendorId) || null : csvVendor || null,
+      categoryId,
+      categoryName: categoryId ? categoryName.get(categoryId) || null : null,
+      notes: cell(r, 'notes').trim() || null,
+      duplicate: false,
+      error,
+    };
+  });
+
+  // Each existing expense can only account for one identical row in the file
+  const dates = parsed.filter(r => r.expenseDate).map(r => r.expenseDate as string).sort();
+  if (dates.length > 0) {
+    const from = new Date(`${dates[0]}T00:00:00`);
+    const to = new Date(`${dates[dates.length - 1]}T23:59:59`);
+    const existing = await db.select({ expenseDate: expenses.expenseDate, amount: expenses.amount, description: expenses.description })
+      .from(expenses)
+      .where(and(gte(expenses.expenseDate, from), lte(expenses.expenseDate, to)));
+    const remaining = new Map<string, number>();
+    for (const e of existing) {
+      const key = duplicateKey(dateKey(e.expenseDate), e.amount, e.description);
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+    for (const row of parsed) {
+      if (row.error) continue;
+      const key = duplicateKey(row.expenseDate as string, row.amount, row.description);
+      const left = remaining.get(key) || 0;
+      if (left > 0) {
+        row.duplicate = true;
+        remaining.set(key, left - 1);
+      }
+    }
+  }
+
+  return { headers, mapping, chargesNegative: chargeSign === -1, rows: parsed };
+}
@@ -0,0 +1,121 @@
+import { db } from '../db';
+import { expenses, expenseCategories, expenseRules, vendors } from '../db/schema';
+import { eq, and, or, ne, asc, desc, isNull, isNotNull, sql } from 'drizzle-orm';
+
+export interface Classification {
+  vendorId: string | null;
+  categoryId: string | null;
+}
+
+type Rule = { pattern: string; categoryId: string | null; vendorId: string | null };
+
+async function loadRules(): Promise<Rule[]> {
+  const rows = await db
+    .select({ pattern: expenseRules.pattern, categoryId: expenseRules.categoryId, vendorId: expenseRules.vendorId })
+    .from(expenseRules)
+    .orderBy(asc(expenseRules.sortOrder));
+  return rows
+    .map(r => ({ ...r, pattern: r.pattern.trim().toLowerCase() }))
+    .filter(r => r.pattern && (r.categoryId || r.vendorId));
+}
+
+/** First rule whose text appears in the description (case-insensitive) */
+function firstMatch(rules: Rule[], description: string): Rule | undefined {
+  const text = (description || '').toLowerCase();
+  return rules.find(r => text.includes(r.pattern));
+}
+
+/** Category and vendor from the user's rules, or null when no rule matches. */
+export async function matchExpenseRule(description: string): Promise<Classification | null> {
+  const rule = firstMatch(await loadRules(), description);
+  return rule ? { categoryId: rule.categoryId, vendorId: rule.vendorId } : null;
+}
+
+/** Rule match for something filed under "Uncategorized" (or nothing); null when it already has a category. */
+export async function ruleForUncategorized(categoryId: string | null, description: string): Promise<Classification | null> {
+  if (categoryId) {
+    const [category] = await db.select({ name: expenseCategories.name }).from(expenseCategories).where(eq(expenseCategories.id, categoryId));
+    if (category && category.name !== 'Uncategorized') return null;
+  }
+  return matchExpenseRule(description);
+}
+
+/**
+ * Applies the rules to uncategorized expenses. A matching rule sets the category and fills
+ * in a missing vendor; team payments and credits are left alone. Returns the updated ids.
+ */
+export async function rerunExpenseRules(): Promise<string[]> {
+  const rules = await loadRules();
+  if (rules.length === 0) return [];
+
+  const candidates = await db
+    .select({ id: expenses.id, description: expenses.description, vendorId: expenses.vendorId })
+    .from(expenses)
+    .leftJoin(expenseCategories, eq(expenses.categoryId, expenseCategories.id))
+    .where(and(
+      eq(expenses.type, 'expense'),
+      isNull(expenses.teamPaymentId),
+      or(isNull(expenses.categoryId), eq(expenseCategories.name, 'Uncategorized')),
+    ));
+
+  const updated: string[] = [];
+  for (const e of candidates) {
+    const rule = firstMatch(rules, e.description);
+    if (!rule) continue;
+    const set = {
+      ...(rule.categoryId && { categoryId: rule.categoryId }),
+      ...(rule.vendorId && !e.vendorId && { vendorId: rule.vendorId }),
+    };
+    if (Object.keys(set).length === 0) continue;
+    await db.update(expenses).set({ ...set, updatedAt: new Date() }).where(eq(expenses.id, e.id));
+    updated.push(e.id);
+  }
+  return updated;
+}
+
+/**
+ * Builds a classifier that guesses an expense's vendor and category from its description.
+ * The user's rules come first. Otherwise the vendor is the longest vendor name found in the
+ * description, and the category is the one last used for that vendor, else for an expense
+ * with the same description.
+ */
+export async function loadExpenseClassifier() {
+  const categorized = and(
+    eq(expenses.type, 'expense'),
+    isNull(expenses.teamPaymentId),
+    isNotNull(expenses.categoryId),
+    ne(expenseCategories.name, 'Uncategorized'),
+  );
+  const descriptionKey = sql<string>`lower(trim(${expenses.description}))`;
+
+  const [rules, vendorList, byVendor, byDescription] = await Promise.all([
+    loadRules(),
+    db.select({ id: vendors.id, name: vendors.name }).from(vendors),
+    db.selectDistinctOn([expenses.vendorId], { vendorId: expenses.vendorId, categoryId: expenses.categoryId })
+      .from(expenses)
+      .innerJoin(expenseCategories, eq(expenses.categoryId, expenseCategories.id))
+      .where(and(categorized, isNotNull(expenses.vendorId)))
+      .orderBy(expenses.vendorId, desc(expenses.expenseDate)),
+    db.selectDistinctOn([descriptionKey], { description: descriptionKey, categoryId: expenses.categoryId })
+      .from(expenses)
+      .innerJoin(expenseCategories, eq(expenses.categoryId, expenseCategories.id))
+      .where(categorized)
+      .orderBy(descriptionKey, desc(expenses.expenseDate)),
+  ]);
+
+  // Longest names first so "Adobe Stock" wins over "Adobe"
+  const vendorNames = vendorList
+    .filter(v => v.name.trim().length >= 3)
+    .map(v => ({ id: v.id, name: v.name.trim().toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+  const vendorCategory = new Map(byVendor.map(r => [r.vendorId, r.categoryId]));
+  const descriptionCategory = new Map(byDescription.map(r => [r.description, r.categoryId]));
+
+  return (description: string, vendorId?: string | null): Classification => {
+    const text = description.trim().toLowerCase();
+    const rule = firstMatch(rules, text);
+    const vendor = vendorId ?? rule?.vendorId ?? vendorNames.find(v => text.includes(v.name))?.id ?? null;
+    const categoryId = rule?.categoryId || (vendor && vendorCategory.get(vendor)) || descriptionCategory.get(text) || null;
+    return { vendorId: vendor, categoryId };
+  };
+}
@@ -27,7 +27,7 @@ async function getOrCreateTeamPaymentsCategory(userId: string): Promise<string>
   return created.id;
 }
 
-async function getTeamMemberName(teamMemberId: string): Promise<string> {
+export async function getTeamMemberName(teamMemberId: string): Promise<string> {
   const [member] = await db
     .select({
       name: teamMembers.name,
@@ -0,0 +1,232 @@
+import { composeCompanyInfo } from './companyInfo';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+interface ContractPdfData {
+  title: string;
+  body: string;
+  clientName: string;
+  signerName: string;
+  signatureType: 'typed' | 'drawn';
+  signatureData: string;
+  signedAt: Date;
+  signedIp: string;
+  settings: Record<string, string>;
+}
+
+function wrapText(text: string, font: any, fontSize: number, maxWidth: number) {
+  if (!text) return [''];
+  const words = text.split(' ');
+  const lines: string[] = [];
+  let line = '';
+  for (const w of words) {
+    const test = line ? `${line} ${w}` : w;
+    if (font.widthOfTextAtSize(test, fontSize) > maxWidth && line) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = test;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Standard PDF fonts only cover WinAnsi — swap smart punctuation and drop anything else
+function toWinAnsi(text: string) {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/\t/g, '    ')
+    .replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '');
+}
+
+export async function generateContractPdf(data: ContractPdfData): Promise<Uint8Array> {
+  const { title, body, clientName, signerName, signatureType, signatureData, signedAt, signedIp, settings } = data;
+  const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+
+  const pdfDoc = await PDFDocument.create();
+  let page = pdfDoc.addPage([612, 792]); // US Letter
+  const { width, height } = page.getSize();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const scriptFont = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+
+  const black = rgb(0, 0, 0);
+  const gray = rgb(0.4, 0.4, 0.4);
+  const lightGray = rgb(0.85, 0.85, 0.85);
+  const margin = 50;
+  let y = height - margin;
+
+  const ensureSpace = (needed: number) => {
+    if (y - needed < margin) {
+      page = pdfDoc.addPage([612, 792]);
+      y = height - margin;
+    }
+  };
+
+  // ── LOGO ──
+  let logoWidth = 0;
+  const logoUrls = [
+    settings.secondary_logo_light_url,
+    settings.secondary_logo_url,
+    settings.header_logo_light_url,
+    settings.header_logo_url,
+  ].filter(Boolean);
+
+  for (const rawLogoUrl of logoUrls) {
+    const logoUrl = rawLogoUrl.split('?')[0];
+    if (logoUrl.toLowerCase().endsWith('.svg')) continue;
+    try {
+      let logoBytes: Uint8Array | undefined;
+      let ext = '';
+      if (logoUrl.startsWith('/uploads/')) {
+        const filePath = path.join(uploadsDir, logoUrl.replace('/uploads/', ''));
+        if (fs.existsSync(filePath)) {
+          ext = path.extname(filePath).toLowerCase();
+          if (ext === '.svg') continue;
+          logoBytes = new Uint8Array(fs.readFileSync(filePath));
+        }
+      } else {
+        const resp = await fetch(logoUrl);
+        const ct = resp.headers.get('content-type') || '';
+        if (ct.includes('svg')) continue;
+        logoBytes = new Uint8Array(await resp.arrayBuffer());
+        ext = ct.includes('png') ? '.png' : '.jpg';
+      }
+      if (logoBytes) {
+        let logoImage;
+        if (ext === '.png') logoImage = await pdfDoc.embedPng(logoBytes);
+        else logoImage = await pdfDoc.embedJpg(logoBytes);
+        const logoHeight = 40;
+        const logoDims = logoImage.scale(logoHeight / logoImage.height);
+        logoWidth = logoDims.width;
+        page.drawImage(logoImage, {
+          x: margin,
+          y: y - logoHeight,
+          width: logoDims.width,
+          height: logoDims.height,
+        });
+        break;
+      }
+    } catch {
+      // logo failed, try next
+    }
+  }
+
+  // ── COMPANY INFO (right of logo) ──
+  const companyNameX = margin + logoWidth + (logoWidth > 0 ? 12 : 0);
+  let companyInfoY = y - 12;
+  if (settings.company_name) {
+    page.drawText(toWinAnsi(settings.company_name), {
+      x: companyNameX, y: companyInfoY,
+      font: boldFont, size: 12, color: black,
+    });
+    companyInfoY -= 15;
+  }
+  const companyInfo = composeCompanyInfo(settings);
+  for (const line of companyInfo.addressLines) {
+    page.drawText(toWinAnsi(line), {
+      x: companyNameX, y: companyInfoY,
+      font, size: 9, color: gray,
+    });
+    companyInfoY -= 11;
+  }
+
+  // ── Separator ──
+  y -= 65;
+  page.drawLine({
+    start: { x: margin, y },
+    end: { x: width - margin, y },
+    thickness: 1,
+    color: lightGray,
+  });
+
+  // ── TITLE ──
+  y -= 30;
+  for (const tl of wrapText(toWinAnsi(title), boldFont, 16, width - margin * 2)) {
+    page.drawText(tl, { x: margin, y, font: boldFont, size: 16, color: black });
+    y -= 20;
+  }
+  if (clientName) {
+    page.drawText(toWinAnsi(`Prepared for ${clientName}`), { x: margin, y, font, size: 10, color: gray });
+    y -= 14;
+  }
+  y -= 10;
+
+  // ── BODY ──
+  for (const paragraph of toWinAnsi(body).split('\n')) {
+    const wrapped = wrapText(paragraph, font, 10, width - margin * 2);
+    for (const wl of wrapped) {
+      ensureSpace(14);
+      page.drawText(wl, { x: margin, y, font, size: 10, color: black });
+      y -= 14;
+    }
+  }
+
+  // ── SIGNATURE BLOCK ──
+  y -= 20;
+  ensureSpace(150);
+  page.drawText('Signature', { x: margin, y, font: boldFont, size: 11, color: black });
+  y -= 12;
+
+  const sigBoxHeight = 70;
+  const sigBoxWidth = 260;
+  const sigBoxY = y - sigBoxHeight;
+  if (signatureType === 'drawn') {
+    const base64 = signatureData.replace(/^data:image\/png;base64,/, '');
+    const sigImage = await pdfDoc.embedPng(Buffer.from(base64, 'base64'));
+    const scale = Math.min(sigBoxWidth / sigImage.width, sigBoxHeight / sigImage.height);
+    const dims = sigImage.scale(scale);
+    page.drawImage(sigImage, { x: margin, y: sigBoxY + (sigBoxHeight - dims.height) / 2, width: dims.width, height: dims.height });
+  } else {
+    let size = 28;
+    const typed = toWinAnsi(signatureData);
+    while (scriptFont.widthOfTextAtSize(typed, size) > sigBoxWidth && size > 12) size -= 2;
+    page.drawText(typed, { x: margin, y: sigBoxY + 18, font: scriptFont, size, color: rgb(0.1, 0.15, 0.4) });
+  }
+  y = sigBoxY - 4;
+  page.drawLine({
+    start: { x: margin, y },
+    end: { x: margin + sigBoxWidth, y },
+    thickness: 1,
+    color: gray,
+  });
+  y -= 16;
+
+  const signedAtStr = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(signedAt instanceof Date ? signedAt : new Date(signedAt));
+
+  const details = [
+    { label: 'Signed by:', value: signerName },
+    { label: 'Date:', value: signedAtStr },
+    { label: 'Method:', value: signatureType === 'drawn' ? 'Drawn electronic signature' : 'Typed electronic signature' },
+    { label: 'IP address:', value: signedIp || 'Unknown' },
+  ];
+  for (const { label, value } of details) {
+    page.drawText(label, { x: margin, y, font: boldFont, size: 9, color: black });
+    page.drawText(toWinAnsi(value), { x: margin + 70, y, font, size: 9, color: gray });
+    y -= 13;
+  }
+
+  // ── FOOTER (every page) ──
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, i) => {
+    const footerText = `${toWinAnsi(title)}  ·  Page ${i + 1} of ${pages.length}`;
+    const footerWidth = font.widthOfTextAtSize(footerText, 8);
+    p.drawText(footerText, {
+      x: (width - footerWidth) / 2,
+      y: 25,
+      font, size: 8, color: rgb(0.6, 0.6, 0.6),
+    });
+  });
+
+  return pdfDoc.save();
+}
@@ -1,8 +1,13 @@
 import { db } from '../db';
-import { quotes, invoices, appSettings } from '../db/schema';
+import { quotes, invoices, creditNotes, appSettings } from '../db/schema';
 import { eq, inArray } from 'drizzle-orm';
-import { serializeItems } from './items';
+import { serializeItems, isIncludedItem } from './items';
+import { taxBreakdown } from './tax';
 import { composeCompanyInfo, COMPANY_INFO_KEYS } from './companyInfo';
+import { formatCurrency } from './currency';
+import { formatDocNumber, fileSafeDocNumber } from './numbering';
+import { installmentSchedule } from './installments';
+import { currentRevision } from './revisions';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -10,11 +15,6 @@ import { fileURLToPath } from 'node:url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const uploadsDir = path.join(__dirname, '..', 'uploads');
 
-const formatCurrency = (amount: any) => {
-  if (typeof amount !== 'number') amount = parseFloat(amount) || 0;
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
-};
-
 const formatPhoneNumber = (phone: string | null) => {
   if (!phone) return null;
   const cleaned = phone.replace(/\D/g, '');
@@ -53,10 +53,17 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   } else if (type === 'invoice') {
     document = await db.query.invoices.findFirst({
       where: eq(invoices.id, documentId),
-      with: { client: true, payments: true, items: itemsOrdered, projectTypeRel: true },
+      with: { client: true, payments: true, items: itemsOrdered, projectTypeRel: true, installments: true },
+    });
+  } else if (type === 'credit_note') {
+    document = await db.query.creditNotes.findFirst({
+      where: eq(creditNotes.id, documentId),
+      with: { client: true, items: itemsOrdered, invoice: { columns: { invoiceNumber: true, displayNumber: true, taxRate: true } } },
     });
   }
   if (!document) throw new Error('Document not found');
+  // Re-sent with changes: label the copy with its revision
+  const revision = type === 'quote' || type === 'invoice' ? (await currentRevision(type, document)).revision : 1;
   document.items = serializeItems(document.items ?? []);
 
   // Fetch settings
@@ -183,7 +190,7 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   }
 
   // ── DOC TITLE (right-aligned) ──
-  const docTitle = type === 'quote' ? 'QUOTE' : 'INVOICE';
+  const docTitle = type === 'quote' ? 'QUOTE' : type === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE';
   const docTitleWidth = boldFont.widthOfTextAtSize(docTitle, 28);
   page.drawText(docTitle, {
     x: width - margin - docTitleWidth,
@@ -192,9 +199,10 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   });
 
   // ── DOC NUMBER & DATE (right-aligned) ──
-  const docNum = type === 'quote'
-    ? String(document.quoteNumber).padStart(5, '0')
-    : String(document.invoiceNumber).padStart(5, '0');
+  const docNum = formatDocNumber(
+    type === 'quote' ? document.quoteNumber : type === 'credit_note' ? document.creditNoteNumber : document.invoiceNumber,
+    document.displayNumber,
+  );
   const infoY = y - 60;
 
   const drawInfoLine = (label: string, value: string, yPos: number) => {
@@ -210,8 +218,19 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
     });
   };
 
-  drawInfoLine(`${type === 'quote' ? 'Quote #' : 'Invoice #'}:`, docNum, infoY);
-  drawInfoLine('Date:', new Date(document.createdAt).toLocaleDateString(), infoY - 15);
+  if (type === 'credit_note') {
+    drawInfoLine('Credit Note #:', docNum, infoY);
+    drawInfoLine('Date:', new Date(document.issueDate).toLocaleDateString(), infoY - 15);
+    if (document.invoice) {
+      drawInfoLine('Invoice #:', formatDocNumber(document.invoice.invoiceNumber, document.invoice.displayNumber), infoY - 30);
+    }
+  } else {
+    drawInfoLine(`${type === 'quote' ? 'Quote #' : 'Invoice #'}:`, revision > 1 ? `${docNum} (rev. ${revision})` : docNum, infoY);
+    drawInfoLine('Date:', new Date(document.createdAt).toLocaleDateString(), infoY - 15);
+    if (type === 'quote' && document.validUntil) {
+      drawInfoLine('Valid Until:', new Date(document.validUntil).toLocaleDateString(), infoY - 30);
+    }
+  }
 
   y = height - margin - 120;
 
@@ -306,7 +325,12 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
 
   for (const item of items) {
     const nameLines = wrapText(item.name || 'Item', font, 9, ITEM_MAX_W);
-    const descLines = wrapText(item.description || '', font, 9, DESC_MAX_W);
+    const descLines = wrapText(item.description || '', font, 9, DESC_MAX_W).filter(Boolean);
+    // Quote options are listed with their price but only selected ones count toward the totals
+    if (item.optionType) {
+      const label = item.optionType === 'alternative' ? `Option: ${item.optionGroup || 'Options'}` : 'Optional add-on';
+      descLines.unshift(isIncludedItem(item) ? `[${label}]` : `[${label}, not included]`);
+    }
     const itemLines = nameLines.length;
     const rowH = Math.max(itemLines, descLines.length, 1) * 12;
 
@@ -328,7 +352,7 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
     const qtyText = String(item.quantity || item.qty || 1);
     page.drawText(qtyText, { x: col.qty, y, font, size: 9, color: gray });
 
-    const totalText = formatCurrency(item.total || 0);
+    const totalText = formatCurrency(item.total || 0, document.currency);
     const totalW = font.widthOfTextAtSize(totalText, 9);
     page.drawText(totalText, { x: width - margin - totalW - 6, y, font, size: 9, color: gray });
 
@@ -357,27 +381,80 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
     y -= size + 8;
   };
 
-  drawTotalLine('Subtotal:', formatCurrency(document.subtotal || 0));
+  drawTotalLine('Subtotal:', formatCurrency(document.subtotal || 0, document.currency));
   if (document.discountAmount > 0) {
-    drawTotalLine('Discount:', `- ${formatCurrency(document.discountAmount)}`);
+    drawTotalLine('Discount:', `- ${formatCurrency(document.discountAmount, document.currency)}`);
+  }
+  // One line per named rate; documents on a single rate keep the plain Tax line
+  const taxLines = taxBreakdown(items.filter(isIncludedItem), { taxRate: document.taxRate ?? document.invoice?.taxRate, discountAmount: document.discountAmount });
+  if (taxLines.some(line => line.id)) {
+    for (const line of taxLines) drawTotalLine(`${line.name} (${line.rate}%):`, formatCurrency(line.amount, document.currency));
+  } else {
+    drawTotalLine('Tax:', formatCurrency(document.tax || 0, document.currency));
+  }
+  drawTotalLine(type === 'credit_note' ? 'Total Credit:' : 'Total:', formatCurrency(document.total, document.currency), true, 12);
+
+  if (type === 'credit_note' && document.refundMethod) {
+    const refundLabel = document.refundMethod === 'Client Credit' ? 'Added to account credit:' : `Refunded (${document.refundMethod}):`;
+    drawTotalLine(refundLabel, formatCurrency(document.refundedAmount, document.currency));
   }
-  drawTotalLine('Tax:', formatCurrency(document.tax || 0));
-  drawTotalLine('Total:', formatCurrency(document.total), true, 12);
 
   if (type === 'invoice') {
+    if (document.creditedAmount > 0) {
+      drawTotalLine('Credited:', `- ${formatCurrency(document.creditedAmount, document.currency)}`, false, 10, rgb(0.7, 0.4, 0.0));
+    }
     if (document.paidAmount > 0) {
-      drawTotalLine('Paid:', `- ${formatCurrency(document.paidAmount)}`, false, 10, rgb(0.1, 0.55, 0.1));
+      drawTotalLine('Paid:', `- ${formatCurrency(document.paidAmount, document.currency)}`, false, 10, rgb(0.1, 0.55, 0.1));
     }
-    const balanceDue = document.total - (document.paidAmount || 0);
+    const balanceDue = document.total - (document.creditedAmount || 0) - (document.paidAmount || 0);
     y -= 5;
-    drawTotalLine('Balance Due:', formatCurrency(balanceDue), true, 14);
-    if (document.depositAmount > 0 && document.paidAmount < document.depositAmount) {
+    drawTotalLine('Balance Due:', formatCurrency(balanceDue, document.currency), true, 14);
+    // A payment plan lists its own deposit below
+    if (!document.installments.length && document.depositAmount > 0 && document.paidAmount < document.depositAmount) {
       const depositDue = document.depositAmount - (document.paidAmount || 0);
-      drawTotalLine('Deposit Due:', formatCurrency(depositDue), false, 10, rgb(0.7, 0.4, 0.0));
+      drawTotalLine('Deposit Due:', formatCurrency(depositDue, document.currency), false, 10, rgb(0.7, 0.4, 0.0));
     }
   }
 
+  // ── PAYMENT SCHEDULE ──
+  if (type === 'invoice' && document.installments.length > 0) {
+    y -= 10;
+    if (y < 80 + document.installments.length * 14) {
+      page = pdfDoc.addPage([612, 792]);
+      y = 792 - margin;
+    }
+    page.drawText('Payment Schedule:', { x: margin, y, font: boldFont, size: 10, color: black });
+    y -= 14;
+    installmentSchedule(document.installments, document).forEach((inst, i) => {
+      const label = `${inst.label || `Payment ${i + 1}`} — due ${new Date(inst.dueDate).toLocaleDateString()}`;
+      const status = inst.isPaid
+        ? 'Paid'
+        : inst.remaining < inst.amount ? `${formatCurrency(inst.remaining, document.currency)} left` : '';
+      const amount = formatCurrency(inst.amount, document.currency);
+      page.drawText(label, { x: margin, y, font, size: 9, color: gray });
+      if (status) page.drawText(status, { x: width - margin - 170, y, font, size: 9, color: inst.isPaid ? rgb(0.1, 0.55, 0.1) : gray });
+      page.drawText(amount, { x: width - margin - font.widthOfTextAtSize(amount, 9), y, font, size: 9, color: black });
+      y -= 14;
+    });
+  }
+
   // ── NOTES ──
+  if (type === 'credit_note' && document.reason) {
+    y -= 10;
+    if (y < 80) {
+      page = pdfDoc.addPage([612, 792]);
+      y = 792 - margin;
+    }
+    page.drawText('Reason:', { x: margin, y, font: boldFont, size: 10, color: black });
+    y -= 14;
+    for (const line of document.reason.split('\n')) {
+      for (const wl of wrapText(line, font, 9, width - margin * 2)) {
+        page.drawText(wl, { x: margin, y, font, size: 9, color: gray });
+        y -= 12;
+      }
+    }
+  }
+
   if (document.notes) {
     y -= 10;
     if (y < 80) {
@@ -397,7 +474,7 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   }
 
   // ── TERMS ──
-  const termsText = document.terms || settings.terms_template;
+  const termsText = type === 'credit_note' ? null : document.terms || settings.terms_template;
   if (termsText) {
     y -= 10;
     if (y < 80) {
@@ -423,7 +500,9 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   // ── FOOTER ──
   const footerText = type === 'quote'
     ? 'This quote is valid for the next 30 days of issue.'
-    : 'Thank you for your business!';
+    : type === 'credit_note' && document.invoice
+      ? `This credit has been applied to invoice ${formatDocNumber(document.invoice.invoiceNumber, document.invoice.displayNumber)}.`
+      : 'Thank you for your business!';
   const footerW = font.widthOfTextAtSize(footerText, 9);
   const pages = pdfDoc.getPages();
   const lastPage = pages[pages.length - 1];
@@ -437,8 +516,10 @@ export async function generatePdfBase64({ type, documentId }: { type: string; do
   const pdfBase64 = Buffer.from(pdfBytes).toString('base64');
 
   const fileName = type === 'quote'
-    ? `Quote-${docNum}.pdf`
-    : `Invoice-${docNum}.pdf`;
+    ? `Quote-${fileSafeDocNumber(docNum)}.pdf`
+    : type === 'credit_note'
+      ? `CreditNote-${fileSafeDocNumber(docNum)}.pdf`
+      : `Invoice-${fileSafeDocNumber(docNum)}.pdf`;
 
   return { pdfBase64, fileName };
 }
@@ -1,4 +1,6 @@
 import { composeCompanyInfo, COMPANY_INFO_KEYS } from './companyInfo';
+import { formatCurrency } from './currency';
+import { formatDocNumber } from './numbering';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -6,16 +8,13 @@ import { fileURLToPath } from 'node:url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const uploadsDir = path.join(__dirname, '..', 'uploads');
 
-const formatCurrency = (amount: any) => {
-  if (typeof amount !== 'number') amount = parseFloat(amount) || 0;
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
-};
-
 interface ReceiptData {
   invoiceNumber: number;
+  displayNumber?: string | null;
   clientName: string;
   amount: number;
   invoiceTotal: number;
+  currency?: string | null;
   previouslyPaid: number;
   paymentDate: Date;
   transactionId: string;
@@ -24,7 +23,7 @@ interface ReceiptData {
 }
 
 export async function generateReceiptPdf(data: ReceiptData): Promise<Uint8Array> {
-  const { invoiceNumber, clientName, amount, invoiceTotal, previouslyPaid, paymentDate, transactionId, paymentMethod, settings } = data;
+  const { invoiceNumber, displayNumber, clientName, amount, invoiceTotal, currency, previouslyPaid, paymentDate, transactionId, paymentMethod, settings } = data;
   const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
 
   const pdfDoc = await PDFDocument.create();
@@ -138,7 +137,7 @@ export async function generateReceiptPdf(data: ReceiptData): Promise<Uint8Array>
   y -= 30;
   const labelX = margin;
   const valueX = margin + 130;
-  const docNum = String(invoiceNumber).padStart(5, '0');
+  const docNum = formatDocNumber(invoiceNumber, displayNumber);
   const dateStr = new Intl.DateTimeFormat('en-US', {
     year: 'numeric', month: 'long', day: 'numeric',
   }).format(paymentDate instanceof Date ? paymentDate : new Date(paymentDate));
@@ -187,12 +186,12 @@ export async function generateReceiptPdf(data: ReceiptData): Promise<Uint8Array>
     y -= 18;
   };
 
-  drawSummaryRow('Invoice Total', formatCurrency(invoiceTotal));
+  drawSummaryRow('Invoice Total', formatCurrency(invoiceTotal, currency));
   if (previouslyPaid > 0) {
-    drawSummaryRow('Previously Paid', `- ${formatCurrency(previouslyPaid)}`, { muted: true });
+    drawSummaryRow('Previously Paid', `- ${formatCurrency(previouslyPaid, currency)}`, { muted: true });
   }
   const balanceDue = invoiceTotal - previouslyPaid;
-  drawSummaryRow('Balance Due', formatCurrency(balanceDue), { bold: true });
+  drawSummaryRow('Balance Due', formatCurrency(balanceDue, currency), { bold: true });
 
   // ── Amount Box ──
   y -= 8;
@@ -219,7 +218,7 @@ export async function generateReceiptPdf(data: ReceiptData): Promise<Uint8Array>
   });
 
   // Amount value (right-aligned, bold, large)
-  const amountStr = formatCurrency(amount);
+  const amountStr = formatCurrency(amount, currency);
   const amountWidth = boldFont.widthOfTextAtSize(amountStr, 24);
   page.drawText(amountStr, {
     x: width - margin - 20 - amountWidth,
@@ -235,7 +234,7 @@ export async function generateReceiptPdf(data: ReceiptData): Promise<Uint8Array>
     x: labelX, y,
     font: boldFont, size: 10, color: black,
   });
-  const newBalStr = newBalance <= 0 ? 'PAID IN FULL' : formatCurrency(newBalance);
+  const newBalStr = newBalance <= 0 ? 'PAID IN FULL' : formatCurrency(newBalance, currency);
   const newBalFont = boldFont;
   const newBalColor = newBalance <= 0 ? accentColor : black;
   const newBalWidth = newBalFont.widthOfTextAtSize(newBalStr, 10);
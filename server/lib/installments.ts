@@ -0,0 +1,80 @@
+import { db } from '../db';
+import { invoiceInstallments } from '../db/schema';
+import { eq } from 'drizzle-orm';
+import { parseDateInput } from './dates';
+
+type Installment = typeof invoiceInstallments.$inferSelect;
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/**
+ * Checks an installment list from a request body against the invoice total.
+ * Rows come back sorted by due date, ready for replaceInstallments().
+ */
+export function parseInstallments(input: any[], total: number) {
+  const rows = input.map((row: any) => ({
+    label: row.label?.trim() || null,
+    amount: round2(parseFloat(row.amount) || 0),
+    dueDate: parseDateInput(row.dueDate),
+  }));
+
+  if (rows.some(r => r.amount <= 0)) return { error: 'Every installment needs an amount' };
+  if (rows.some(r => !r.dueDate || isNaN(r.dueDate.getTime()))) return { error: 'Every installment needs a due date' };
+
+  const scheduled = round2(rows.reduce((s, r) => s + r.amount, 0));
+  if (rows.length > 0 && Math.abs(scheduled - total) > 0.01) {
+    return { error: `Installments add up to ${scheduled.toFixed(2)} but the invoice total is ${total.toFixed(2)}` };
+  }
+
+  rows.sort((a, b) => a.dueDate!.getTime() - b.dueDate!.getTime());
+  return { rows: rows as { label: string | null; amount: number; dueDate: Date }[] };
+}
+
+export async function replaceInstallments(invoiceId: string, rows: { label: string | null; amount: number; dueDate: Date }[]) {
+  await db.delete(invoiceInstallments).where(eq(invoiceInstallments.invoiceId, invoiceId));
+  if (rows.length > 0) {
+    await db.insert(invoiceInstallments).values(rows.map((row, i) => ({ ...row, invoiceId, sortOrder: i })));
+  }
+}
+
+/**
+ * Works out what's left on each installment. Payments settle installments in
+ * due-date order; credit notes come off the end of the plan, since they
+ * lower the final balance rather than the deposit.
+ */
+export function installmentSchedule(
+  installments: Installment[],
+  inv: { total: number; creditedAmount: number | null; paidAmount: number | null },
+) {
+  const sorted = [...installments].sort((a, b) => a.dueDate.getTime() - b.dueDate.getTime() || a.sortOrder - b.sortOrder);
+  const owed = inv.total - (inv.creditedAmount || 0);
+  const paid = inv.paidAmount || 0;
+
+  let scheduled = 0;
+  return sorted.map(inst => {
+    const amount = Math.max(0, Math.min(inst.amount, owed - scheduled));
+    scheduled += amount;
+    const remaining = round2(Math.max(0, Math.min(amount, scheduled - paid)));
+    return { ...inst, remaining, isPaid: remaining <= 0 };
+  });
+}
+
+/**
+ * The amount to ask for now: everything on installments already past due, or
+ * the next installment when none are. Null once the plan is paid off.
+ */
+export function installmentDue(schedule: ReturnType<typeof installmentSchedule>, now = new Date()) {
+  const unpaid = schedule.filter(i => !i.isPaid);
+  if (unpaid.length === 0) return null;
+
+  const pastDue = unpaid.filter(i => i.dueDate <= now);
+  const due = pastDue.length > 0 ? pastDue : [unpaid[0]];
+  const last = due[due.length - 1];
+  return {
+    installmentId: last.id,
+    label: last.label,
+    dueDate: last.dueDate,
+    amount: round2(due.reduce((s, i) => s + i.remaining, 0)),
+    count: due.length,
+  };
+}
@@ -1,6 +1,7 @@
 import { db } from '../db';
-import { quoteItems, invoiceItems } from '../db/schema';
-import { eq } from 'drizzle-orm';
+import { quoteItems, invoiceItems, invoices, clients } from '../db/schema';
+import { eq, max } from 'drizzle-orm';
+import { parseTaxRates, taxBreakdown, isTaxExempt } from './tax';
 
 // ── Serialize: DB rows → frontend-compatible objects ──
 
@@ -20,6 +21,13 @@ export function serializeItems(rows: any[]) {
       base.productId = row.productId;
       base.productType = row.productType;
     }
+    if (row.taxRates) base.taxRates = row.taxRates;
+    if (row.isLateFee) base.isLateFee = true;
+    if (row.optionType) {
+      base.optionType = row.optionType;
+      if (row.optionGroup) base.optionGroup = row.optionGroup;
+      base.isSelected = row.isSelected;
+    }
 
     return base;
   });
@@ -41,15 +49,76 @@ function parseItem(item: any, index: number) {
     productId: isProduct ? (item.productId || item.product_id || null) : null,
     productType: isProduct ? (item.productType || item.product_type || null) : null,
     price: item.price ?? null,
+    taxRates: parseTaxRates(item.taxRates),
   };
 }
 
+const OPTION_TYPES = ['optional', 'alternative'];
+
+/**
+ * Option fields of a quote item. Each group of alternatives ends up with exactly
+ * one selected item: the first one marked, else the first in the group.
+ */
+function parseQuoteOptions(items: any[]) {
+  const options = items.map((item) => {
+    const optionType = item.type !== 'discount' && OPTION_TYPES.includes(item.optionType) ? item.optionType : null;
+    return {
+      optionType,
+      optionGroup: optionType === 'alternative' ? String(item.optionGroup || '').trim() || 'Options' : null,
+      isSelected: !optionType || item.isSelected !== false,
+    };
+  });
+  const chosen = new Set<string>();
+  for (const option of options) {
+    if (option.optionType !== 'alternative') continue;
+    if (option.isSelected && !chosen.has(option.optionGroup!)) chosen.add(option.optionGroup!);
+    else option.isSelected = false;
+  }
+  for (const option of options) {
+    if (option.optionType !== 'alternative' || chosen.has(option.optionGroup!)) continue;
+    option.isSelected = true;
+    chosen.add(option.optionGroup!);
+  }
+  return options;
+}
+
 export function parseQuoteItems(items: any[], quoteId: string) {
-  return items.map((item, i) => ({ ...parseItem(item, i), quoteId }));
+  const options = parseQuoteOptions(items);
+  return items.map((item, i) => ({ ...parseItem(item, i), ...options[i], quoteId }));
+}
+
+/** Whether a quote item counts toward the totals: everything except options left unselected */
+export function isIncludedItem(item: { optionType?: string | null; isSelected?: boolean }) {
+  return !item.optionType || item.isSelected !== false;
+}
+
+/**
+ * Applies a client's picks to stored quote items: optional items are in when their id
+ * is listed, and each group of alternatives needs exactly one listed id.
+ * Throws with a message for the client when a group is left without a pick.
+ */
+export function selectQuoteOptions<T extends { id: string; optionType: string | null; optionGroup: string | null }>(items: T[], selectedIds: string[]) {
+  const picked = new Set(selectedIds);
+  const selected = items.map(item => ({ ...item, isSelected: !item.optionType || picked.has(item.id) }));
+
+  const picksPerGroup = new Map<string, number>();
+  for (const item of selected) {
+    if (item.optionType !== 'alternative') continue;
+    const group = item.optionGroup || 'Options';
+    picksPerGroup.set(group, (picksPerGroup.get(group) || 0) + (item.isSelected ? 1 : 0));
+  }
+  for (const [group, picks] of picksPerGroup) {
+    if (picks !== 1) throw new Error(`Please choose one option for ${group}`);
+  }
+  return selected;
 }
 
 export function parseInvoiceItems(items: any[], invoiceId: string) {
-  return items.map((item, i) => ({ ...parseItem(item, i), invoiceId }));
+  return items.map((item, i) => ({ ...parseItem(item, i), isLateFee: !!item.isLateFee, invoiceId }));
+}
+
+export function parseCreditNoteItems(items: any[], creditNoteId: string) {
+  return items.map((item, i) => ({ ...parseItem(item, i), creditNoteId }));
 }
 
 // ── Replace: delete-and-reinsert in a transaction (for PUT) ──
@@ -67,3 +136,74 @@ export async function replaceInvoiceItems(invoiceId: string, items: any[]) {
     await db.insert(invoiceItems).values(parseInvoiceItems(items, invoiceId));
   }
 }
+
+// ── Server-side edits: add a line and bring the invoice totals back in line ──
+
+export async function appendInvoiceItem(invoiceId: string, item: any, tx: any = db) {
+  const [{ last }] = await tx.select({ last: max(invoiceItems.sortOrder) }).from(invoiceItems).where(eq(invoiceItems.invoiceId, invoiceId));
+  const [row] = await tx.insert(invoiceItems).values({ ...parseInvoiceItems([item], invoiceId)[0], sortOrder: (last ?? -1) + 1 }).returning();
+  return row;
+}
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+type TotalsDoc = { taxRate: number | null; discountType: string | null; discountValue: number | null; taxExempt?: boolean };
+
+/** Subtotal, discount, tax and total of a set of items, with the same arithmetic as the editors. Exempt clients pay no tax. */
+export function documentTotals(items: any[], doc: TotalsDoc) {
+  const subtotal = items.reduce((s: number, item: any) => s + item.total, 0);
+  const discountAmount = (doc.discountType || 'percent') === 'percent'
+    ? subtotal * ((doc.discountValue || 0) / 100)
+    : doc.discountValue || 0;
+  const afterDiscount = subtotal - discountAmount;
+  const tax = doc.taxExempt ? 0 : taxBreakdown(items, { taxRate: doc.taxRate, discountAmount }).reduce((s, line) => s + line.amount, 0);
+
+  return {
+    subtotal: round2(subtotal),
+    discountAmount: round2(discountAmount),
+    tax: round2(tax),
+    total: round2(afterDiscount + tax),
+  };
+}
+
+/**
+ * Recomputes subtotal, discount, tax and total from the stored items, with
+ * the same arithmetic as the invoice editor so a later edit doesn't shift them.
+ */
+export async function recalculateInvoiceTotals(invoiceId: string, tx: any = db) {
+  const [inv] = await tx
+    .select({ taxRate: invoices.taxRate, discountType: invoices.discountType, discountValue: invoices.discountValue, clientId: invoices.clientId })
+    .from(invoices)
+    .where(eq(invoices.id, invoiceId));
+  const items = await tx.select().from(invoiceItems).where(eq(invoiceItems.invoiceId, invoiceId));
+
+  const totals = documentTotals(items, { ...inv, taxExempt: await clientTaxExempt(inv.clientId, tx) });
+  await tx.update(invoices).set({ ...totals, updatedAt: new Date() }).where(eq(invoices.id, invoiceId));
+  return totals;
+}
+
+// ── Tax exemption: the editors drop the tax for exempt clients, and the server holds to it ──
+
+/** Whether a quote or invoice's client holds a current exemption certificate */
+export async function clientTaxExempt(clientId: string | null | undefined, tx: any = db) {
+  if (!clientId) return false;
+  const [client] = await tx
+    .select({ taxExempt: clients.taxExempt, taxExemptExpiresAt: clients.taxExemptExpiresAt })
+    .from(clients)
+    .where(eq(clients.id, clientId));
+  return isTaxExempt(client);
+}
+
+/** Items with their tax rates cleared, so neither the totals nor the sales tax reports tax them */
+export function untaxedItems(items: any[]) {
+  return items.map(item => ({ ...item, taxRates: [] }));
+}
+
+/** A quote or invoice body as sent by the editor, with any tax taken off when the client is exempt */
+export async function applyTaxExemption(body: any, clientId: string | null | undefined) {
+  if (!(await clientTaxExempt(clientId))) return body;
+  const exempt = { ...body, taxRate: 0, tax: 0 };
+  if (Array.isArray(body.items)) exempt.items = untaxedItems(body.items);
+  if (body.total !== undefined) exempt.total = round2((parseFloat(body.total) || 0) - (parseFloat(body.tax) || 0));
+  return exempt;
+}
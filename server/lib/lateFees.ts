@@ -0,0 +1,139 @@
+import { db } from '../db';
+import { appSettings, invoices, invoiceInstallments } from '../db/schema';
+import { eq, and, or, lt, ne, inArray, like } from 'drizzle-orm';
+import { appendInvoiceItem, recalculateInvoiceTotals } from './items';
+import { installmentSchedule } from './installments';
+import { recalculateInvoice, docLabel } from './stripe';
+import { logActivity } from './activityLog';
+import { formatCurrency } from './currency';
+import { broadcast } from './pubsub';
+
+export const LATE_FEE_ITEM_NAME = 'Late fee';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+interface LateFeePolicy {
+  type: 'flat' | 'percent';
+  amount: number;
+  periodDays: number; // 0 = charged once; otherwise charged again every N days
+  graceDays: number;
+}
+
+/** The late-fee settings, or null when the policy is off or has no amount */
+export async function getLateFeePolicy(): Promise<LateFeePolicy | null> {
+  const rows = await db.select().from(appSettings).where(like(appSettings.key, 'late_fee_%'));
+  const map: Record<string, string> = {};
+  for (const r of rows) map[r.key] = r.value;
+
+  if (map.late_fee_enabled !== 'true') return null;
+  const amount = parseFloat(map.late_fee_amount) || 0;
+  if (amount <= 0) return null;
+
+  return {
+    type: map.late_fee_type === 'percent' ? 'percent' : 'flat',
+    amount,
+    periodDays: Math.max(0, parseInt(map.late_fee_period_days, 10) || 0),
+    graceDays: Math.max(0, parseInt(map.late_fee_grace_days, 10) || 0),
+  };
+}
+
+/** How many fees an invoice should carry after being overdue for `daysOverdue` days */
+export function lateFeesOwed(policy: LateFeePolicy, daysOverdue: number) {
+  const late = daysOverdue - policy.graceDays;
+  if (late <= 0) return 0;
+  return policy.periodDays > 0 ? Math.floor((late - 1) / policy.periodDays) + 1 : 1;
+}
+
+/**
+ * Adds late-fee lines to overdue invoices under the configured policy. Runs
+ * daily ahead of the reminders, so the next reminder already shows the fee.
+ * Fees already on the invoice count toward what's owed, so re-running the
+ * same day adds nothing. On a payment plan the fee joins the overdue
+ * installment, which is what the client is being chased for.
+ */
+export async function applyLateFees(now = new Date()) {
+  const policy = await getLateFeePolicy();
+  if (!policy) return { feesAdded: 0 };
+
+  const planInvoiceIds = db
+    .selectDistinct({ id: invoiceInstallments.invoiceId })
+    .from(invoiceInstallments)
+    .where(lt(invoiceInstallments.dueDate, now));
+
+  const overdueInvoices = await db.query.invoices.findMany({
+    where: and(
+      or(lt(invoices.dueDate, now), inArray(invoices.id, planInvoiceIds)),
+      ne(invoices.status, 'paid'),
+    ),
+    with: { items: true, installments: true },
+  });
+
+  let feesAdded = 0;
+  for (const inv of overdueInvoices) {
+    const balance = round2(inv.total - (inv.creditedAmount || 0) - (inv.paidAmount || 0));
+    if (balance <= 0) continue;
+
+    // Late since the oldest unpaid installment fell due, or the invoice itself for single payments
+    let overdueInstallmentId: string | null = null;
+    let overdueSince = inv.dueDate;
+    if (inv.installments.length > 0) {
+      const oldest = installmentSchedule(inv.installments, inv).find(i => !i.isPaid && i.dueDate < now);
+      if (!oldest) continue;
+      overdueInstallmentId = oldest.id;
+      overdueSince = oldest.dueDate;
+    }
+    if (!overdueSince) continue;
+
+    const daysOverdue = Math.floor((now.getTime() - overdueSince.getTime()) / DAY_MS);
+    const charged = inv.items.filter(item => item.isLateFee).length;
+    const owed = lateFeesOwed(policy, daysOverdue);
+    if (owed <= charged) continue;
+
+    // One fee per run — a policy switched on for long-overdue invoices catches up a period at a time
+    const fee = policy.type === 'percent' ? round2(balance * policy.amount / 100) : round2(policy.amount);
+    if (fee <= 0) continue;
+
+    const description = policy.type === 'percent'
+      ? `${policy.amount}% of ${formatCurrency(balance, inv.currency)} overdue since ${overdueSince.toISOString().slice(0, 10)}`
+      : `Overdue since ${overdueSince.toISOString().slice(0, 10)}`;
+
+    await db.transaction(async (tx) => {
+      await appendInvoiceItem(inv.id, {
+        type: 'custom',
+        name: LATE_FEE_ITEM_NAME,
+        description,
+        qty: 1,
+        price: fee,
+        total: fee,
+        isTaxable: false,
+        isLateFee: true,
+      }, tx);
+      const totals = await recalculateInvoiceTotals(inv.id, tx);
+
+      // Keep the plan summing to the new total
+      if (overdueInstallmentId) {
+        const inst = inv.installments.find(i => i.id === overdueInstallmentId)!;
+        const drift = round2(totals.total - inv.installments.reduce((s, i) => s + i.amount, 0));
+        await tx.update(invoiceInstallments)
+          .set({ amount: round2(inst.amount + drift) })
+          .where(eq(invoiceInstallments.id, inst.id));
+      }
+    });
+    await recalculateInvoice(inv.id);
+
+    logActivity({
+      userId: 'system',
+      userDisplayName: 'Late Fees',
+      action: 'updated',
+      entityType: 'invoice',
+      entityId: inv.id,
+      entityLabel: `${formatCurrency(fee, inv.currency)} late fee added to ${docLabel(inv)} (${daysOverdue} days overdue)`,
+    });
+    broadcast('invoice', 'updated', 'system', inv.id);
+    feesAdded++;
+  }
+
+  return { feesAdded };
+}
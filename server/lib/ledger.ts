@@ -0,0 +1,435 @@
+import { db } from '../db';
+import {
+  ledgerAccounts, journalEntries, journalLines,
+  invoices, expenses, teamPayments, teamAdvances, teamSalary, clientCredits,
+} from '../db/schema';
+import { and, eq, gte, lt, asc, inArray, like, notExists, sql } from 'drizzle-orm';
+import { formatDocNumber } from './numbering';
+import { NON_CASH_METHODS } from './credits';
+import { getTeamMemberName } from './expenseSync';
+
+export type LedgerSource = 'invoice' | 'expense' | 'team_payment' | 'team_advance' | 'team_salary' | 'client_credit';
+export type AccountType = 'asset' | 'liability' | 'equity' | 'income' | 'expense';
+
+interface AccountSpec {
+  key: string;
+  code: string; // '' = next free expense code
+  name: string;
+  type: AccountType;
+}
+
+type SystemAccount =
+  | 'cash' | 'receivable' | 'teamAdvances'
+  | 'salesTax' | 'clientCredits' | 'teamPayable' | 'salaryPayable'
+  | 'sales' | 'otherIncome' | 'allowances'
+  | 'teamCosts' | 'salaries' | 'expenses';
+
+/** The fixed chart of accounts. Each expense category also gets its own 6xxx account the first time it's posted to. */
+export const SYSTEM_ACCOUNTS: Record<SystemAccount, AccountSpec> = {
+  cash: { key: 'cash', code: '1000', name: 'Cash & Bank', type: 'asset' },
+  receivable: { key: 'receivable', code: '1100', name: 'Accounts Receivable', type: 'asset' },
+  teamAdvances: { key: 'team_advances', code: '1200', name: 'Team Advances', type: 'asset' },
+  salesTax: { key: 'sales_tax', code: '2000', name: 'Sales Tax Payable', type: 'liability' },
+  clientCredits: { key: 'client_credits', code: '2100', name: 'Client Credits', type: 'liability' },
+  teamPayable: { key: 'team_payable', code: '2200', name: 'Team Payments Payable', type: 'liability' },
+  salaryPayable: { key: 'salary_payable', code: '2300', name: 'Salaries Payable', type: 'liability' },
+  sales: { key: 'sales', code: '4000', name: 'Sales', type: 'income' },
+  otherIncome: { key: 'other_income', code: '4100', name: 'Other Income', type: 'income' },
+  allowances: { key: 'allowances', code: '4900', name: 'Credits & Allowances', type: 'income' },
+  teamCosts: { key: 'team_costs', code: '5000', name: 'Team Costs', type: 'expense' },
+  salaries: { key: 'salaries', code: '5100', name: 'Salaries', type: 'expense' },
+  expenses: { key: 'expenses', code: '6000', name: 'General Expenses', type: 'expense' },
+};
+const A = SYSTEM_ACCOUNTS;
+
+const CATEGORY_KEY_PREFIX = 'expense_category:';
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+interface DraftLine { account: AccountSpec; debit: number; credit: number }
+interface DraftEntry { date: Date; description: string; lines: DraftLine[] }
+
+const debit = (account: AccountSpec, amount: number): DraftLine => ({ account, debit: amount, credit: 0 });
+const credit = (account: AccountSpec, amount: number): DraftLine => ({ account, debit: 0, credit: amount });
+
+/** Moves `amount` into `to` out of `from`; a negative amount runs the other way */
+function transfer(date: Date, description: string, to: AccountSpec, from: AccountSpec, amount: number): DraftEntry {
+  return { date, description, lines: [debit(to, amount), credit(from, amount)] };
+}
+
+// ─── Posting rules ───────────────────────────────────
+// One builder per source table. Each returns the source row's complete set of
+// entries (none once the row is gone), in the default currency.
+
+async function invoiceEntries(id: string): Promise<DraftEntry[]> {
+  const inv = await db.query.invoices.findFirst({
+    where: eq(invoices.id, id),
+    columns: { invoiceNumber: true, displayNumber: true, clientName: true, total: true, tax: true, exchangeRate: true, createdAt: true },
+    with: {
+      payments: { columns: { amount: true, method: true, paymentDate: true } },
+      creditNotes: { columns: { creditNoteNumber: true, displayNumber: true, total: true, tax: true, exchangeRate: true, issueDate: true } },
+    },
+  });
+  if (!inv) return [];
+
+  const label = 'Invoice #' + formatDocNumber(inv.invoiceNumber, inv.displayNumber);
+  const fx = inv.exchangeRate || 1;
+  const total = round2(inv.total * fx);
+  const tax = round2(inv.tax * fx);
+
+  const entries: DraftEntry[] = [{
+    date: inv.createdAt,
+    description: inv.clientName ? `${label} — ${inv.clientName}` : label,
+    lines: [debit(A.receivable, total), credit(A.sales, round2(total - tax)), credit(A.salesTax, tax)],
+  }];
+
+  for (const note of inv.creditNotes) {
+    const noteFx = note.exchangeRate || 1;
+    const noteTotal = round2(note.total * noteFx);
+    const noteTax = round2(note.tax * noteFx);
+    entries.push({
+      date: note.issueDate,
+      description: `Credit Note #${formatDocNumber(note.creditNoteNumber, note.displayNumber)} on ${label}`,
+      lines: [debit(A.sales, round2(noteTotal - noteTax)), debit(A.salesTax, noteTax), credit(A.receivable, noteTotal)],
+    });
+  }
+
+  // Refunds are negative payments, so they post in reverse
+  for (const p of inv.payments) {
+    const settledFrom = NON_CASH_METHODS.includes(p.method) ? A.clientCredits : A.cash;
+    const kind = p.amount < 0 ? 'Refund' : 'Payment';
+    entries.push(transfer(p.paymentDate, `${kind} on ${label} (${p.method})`, settledFrom, A.receivable, round2(p.amount * fx)));
+  }
+
+  return entries;
+}
+
+async function expenseEntries(id: string): Promise<DraftEntry[]> {
+  const exp = await db.query.expenses.findFirst({
+    where: eq(expenses.id, id),
+    columns: { description: true, amount: true, type: true, expenseDate: true, teamPaymentId: true },
+    with: { category: { columns: { id: true, name: true } } },
+  });
+  // Paid team payments are mirrored into expenses — the team payment posts those itself
+  if (!exp || exp.teamPaymentId) return [];
+
+  if (exp.type === 'credit') return [transfer(exp.expenseDate, exp.description, A.cash, A.otherIncome, exp.amount)];
+
+  const account: AccountSpec = exp.category
+    ? { key: CATEGORY_KEY_PREFIX + exp.category.id, code: '', name: exp.category.name, type: 'expense' }
+    : A.expenses;
+  return [transfer(exp.expenseDate, exp.description, account, A.cash, exp.amount)];
+}
+
+async function teamPaymentEntries(id: string): Promise<DraftEntry[]> {
+  const [tp] = await db
+    .select({ teamMemberId: teamPayments.teamMemberId, amount: teamPayments.amount, paymentDate: teamPayments.paymentDate, status: teamPayments.status })
+    .from(teamPayments)
+    .where(eq(teamPayments.id, id));
+  if (!tp) return [];
+
+  const description = `Payment to ${await getTeamMemberName(tp.teamMemberId)}`;
+  return [transfer(tp.paymentDate, description, A.teamCosts, tp.status === 'paid' ? A.cash : A.teamPayable, tp.amount)];
+}
+
+async function teamAdvanceEntries(id: string): Promise<DraftEntry[]> {
+  const [adv] = await db
+    .select({ teamMemberId: teamAdvances.teamMemberId, type: teamAdvances.type, amount: teamAdvances.amount, description: teamAdvances.description, advanceDate: teamAdvances.advanceDate })
+    .from(teamAdvances)
+    .where(eq(teamAdvances.id, id));
+  if (!adv) return [];
+
+  const name = await getTeamMemberName(adv.teamMemberId);
+  // A repayment deducted from a team payment is cash kept back out of that payment, so it posts the same way
+  return adv.type === 'repayment'
+    ? [transfer(adv.advanceDate, `Advance repayment from ${name} — ${adv.description}`, A.cash, A.teamAdvances, adv.amount)]
+    : [transfer(adv.advanceDate, `Advance to ${name} — ${adv.description}`, A.teamAdvances, A.cash, adv.amount)];
+}
+
+async function teamSalaryEntries(id: string): Promise<DraftEntry[]> {
+  const [entry] = await db
+    .select({ teamMemberId: teamSalary.teamMemberId, type: teamSalary.type, amount: teamSalary.amount, description: teamSalary.description, entryDate: teamSalary.entryDate, teamPaymentId: teamSalary.teamPaymentId })
+    .from(teamSalary)
+    .where(eq(teamSalary.id, id));
+  if (!entry) return [];
+
+  const name = await getTeamMemberName(entry.teamMemberId);
+  const suffix = entry.description ? ` — ${entry.description}` : '';
+  if (entry.type === 'accrued') {
+    return [transfer(entry.entryDate, `Salary accrued for ${name}${suffix}`, A.salaries, A.salaryPayable, entry.amount)];
+  }
+  // Salary settled as part of a team payment: that payment already took the cash, so move its share out of team costs
+  return [transfer(entry.entryDate, `Salary paid to ${name}${suffix}`, A.salaryPayable, entry.teamPaymentId ? A.teamCosts : A.cash, entry.amount)];
+}
+
+async function clientCreditEntries(id: string): Promise<DraftEntry[]> {
+  const row = await db.query.clientCredits.findFirst({
+    where: eq(clientCredits.id, id),
+    columns: { amount: true, reason: true, sourceInvoiceNumber: true, creditNoteId: true, createdAt: true },
+    with: { client: { columns: { displayName: true, firstName: true, lastName: true } } },
+  });
+  // Credit from a credit note posts with its invoice, as the "Client Credit" refund
+  if (!row || row.creditNoteId) return [];
+
+  const clientName = row.client && (row.client.displayName || [row.client.firstName, row.client.lastName].filter(Boolean).join(' '));
+  const description = row.reason || `Credit for ${clientName || 'client'}`;
+  // Payments kept from a deleted invoice: the cash stays, now owed back as credit
+  const from = row.sourceInvoiceNumber != null ? A.cash : A.allowances;
+  return [transfer(row.createdAt, description, from, A.clientCredits, row.amount)];
+}
+
+const BUILDERS: Record<LedgerSource, (id: string) => Promise<DraftEntry[]>> = {
+  invoice: invoiceEntries,
+  expense: expenseEntries,
+  team_payment: teamPaymentEntries,
+  team_advance: teamAdvanceEntries,
+  team_salary: teamSalaryEntries,
+  client_credit: clientCreditEntries,
+};
+
+const SOURCE_TABLES = {
+  invoice: invoices,
+  expense: expenses,
+  team_payment: teamPayments,
+  team_advance: teamAdvances,
+  team_salary: teamSalary,
+  client_credit: clientCredits,
+} as const;
+
+// ─── Posting ─────────────────────────────────────────
+
+async function nextCategoryCode(tx: any) {
+  const rows = await tx.select({ code: ledgerAccounts.code }).from(ledgerAccounts).where(like(ledgerAccounts.key, `${CATEGORY_KEY_PREFIX}%`));
+  const highest = rows.reduce((max: number, r: { code: string }) => Math.max(max, parseInt(r.code, 10) || 0), 6000);
+  return String(highest + 1);
+}
+
+/** Account ids by key, creating accounts on first use and picking up renamed expense categories */
+async function resolveAccounts(tx: any, specs: AccountSpec[]) {
+  const byKey = new Map(specs.map(s => [s.key, s]));
+  const existing = await tx.select().from(ledgerAccounts).where(inArray(ledgerAccounts.key, [...byKey.keys()]));
+  const ids = new Map<string, string>();
+
+  for (const account of existing) {
+    ids.set(account.key, account.id);
+    const spec = byKey.get(account.key)!;
+    if (spec.name !== account.name) {
+      await tx.update(ledgerAccounts).set({ name: spec.name }).where(eq(ledgerAccounts.id, account.id));
+    }
+  }
+  for (const spec of byKey.values()) {
+    if (!ids.has(spec.key)) ids.set(spec.key, await createAccount(tx, spec));
+  }
+  return ids;
+}
+
+/**
+ * Inserts an account, or picks up the one a concurrent posting created first.
+ * A category account whose code was just taken by another category retries with the next code.
+ */
+async function createAccount(tx: any, spec: AccountSpec): Promise<string> {
+  for (;;) {
+    const [created] = await tx.insert(ledgerAccounts)
+      .values({ ...spec, code: spec.code || await nextCategoryCode(tx) })
+      .onConflictDoNothing()
+      .returning({ id: ledgerAccounts.id });
+    if (created) return created.id;
+
+    const [existing] = await tx.select({ id: ledgerAccounts.id }).from(ledgerAccounts).where(eq(ledgerAccounts.key, spec.key));
+    if (existing) return existing.id;
+    if (spec.code) throw new Error(`Ledger account code ${spec.code} is already taken`);
+  }
+}
+
+async function postEntries(tx: any, sourceType: LedgerSource, sourceId: string, drafts: DraftEntry[]) {
+  // Net each line to one side and drop the empty ones
+  const entries = drafts
+    .map(e => ({
+      ...e,
+      lines: e.lines
+        .map(l => ({ account: l.account, net: round2(l.debit - l.credit) }))
+        .filter(l => l.net !== 0),
+    }))
+    .filter(e => e.lines.length > 0);
+  if (entries.length === 0) return;
+
+  for (const e of entries) {
+    const imbalance = round2(e.lines.reduce((s, l) => s + l.net, 0));
+    if (imbalance !== 0) throw new Error(`Unbalanced journal entry for ${sourceType} ${sourceId}: ${e.description} is off by ${imbalance}`);
+  }
+
+  const accountIds = await resolveAccounts(tx, entries.flatMap(e => e.lines.map(l => l.account)));
+  for (const e of entries) {
+    const [entry] = await tx.insert(journalEntries)
+      .values({ sourceType, sourceId, entryDate: e.date, description: e.description })
+      .returning({ id: journalEntries.id });
+    await tx.insert(journalLines).values(e.lines.map(l => ({
+      entryId: entry.id,
+      accountId: accountIds.get(l.account.key)!,
+      debit: l.net > 0 ? l.net : 0,
+      credit: l.net < 0 ? -l.net : 0,
+    })));
+  }
+}
+
+/**
+ * Re-posts one source row's journal entries from its current state — call it
+ * after any insert, update or delete of a money-moving row. Deleted rows just
+ * lose their entries. Never throws: the money rows are already written by then,
+ * and a posting that fails is logged and left to the next rebuild.
+ */
+export async function syncLedger(sourceType: LedgerSource, sourceId: string) {
+  try {
+    const drafts = await BUILDERS[sourceType](sourceId);
+    await db.transaction(async (tx) => {
+      await tx.delete(journalEntries).where(and(eq(journalEntries.sourceType, sourceType), eq(journalEntries.sourceId, sourceId)));
+      await postEntries(tx, sourceType, sourceId, drafts);
+    });
+  } catch (err) {
+    console.error(`[ledger] Failed to post ${sourceType} ${sourceId}:`, err);
+  }
+}
+
+/** Keeps an expense category's account name in step with the category */
+export async function renameCategoryAccount(categoryId: string, name: string) {
+  await db.update(ledgerAccounts).set({ name }).where(eq(ledgerAccounts.key, CATEGORY_KEY_PREFIX + categoryId));
+}
+
+/** Drops entries whose source row is gone — for deletes that cascade (a client, a team member) */
+export async function pruneLedger() {
+  for (const [sourceType, table] of Object.entries(SOURCE_TABLES)) {
+    await db.delete(journalEntries).where(and(
+      eq(journalEntries.sourceType, sourceType),
+      notExists(db.select({ id: table.id }).from(table).where(eq(table.id, journalEntries.sourceId))),
+    ));
+  }
+}
+
+/** Throws the journal away and posts every source row again */
+export async function rebuildLedger() {
+  const drafts: { sourceType: LedgerSource; sourceId: string; entries: DraftEntry[] }[] = [];
+  for (const [sourceType, table] of Object.entries(SOURCE_TABLES) as [LedgerSource, (typeof SOURCE_TABLES)[LedgerSource]][]) {
+    const rows: { id: string }[] = await db.select({ id: table.id }).from(table);
+    for (const { id } of rows) drafts.push({ sourceType, sourceId: id, entries: await BUILDERS[sourceType](id) });
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.delete(journalEntries);
+    for (const d of drafts) await postEntries(tx, d.sourceType, d.sourceId, d.entries);
+  });
+  return drafts.length;
+}
+
+// ─── Reports ─────────────────────────────────────────
+
+// Assets and expenses carry debit balances; liabilities, equity and income carry credit ones
+const DEBIT_NORMAL: AccountType[] = ['asset', 'expense'];
+
+/** Each account's debits and credits posted before `asOf` (exclusive) */
+async function accountTotals(asOf: Date) {
+  const rows = await db
+    .select({
+      id: ledgerAccounts.id,
+      code: ledgerAccounts.code,
+      name: ledgerAccounts.name,
+      type: ledgerAccounts.type,
+      debit: sql<string>`coalesce(sum(${journalLines.debit}), 0)`,
+      credit: sql<string>`coalesce(sum(${journalLines.credit}), 0)`,
+    })
+    .from(ledgerAccounts)
+    .innerJoin(journalLines, eq(journalLines.accountId, ledgerAccounts.id))
+    .innerJoin(journalEntries, eq(journalLines.entryId, journalEntries.id))
+    .where(lt(journalEntries.entryDate, asOf))
+    .groupBy(ledgerAccounts.id)
+    .orderBy(asc(ledgerAccounts.code));
+
+  return rows.map(r => {
+    const debits = parseFloat(r.debit) || 0;
+    const credits = parseFloat(r.credit) || 0;
+    const type = r.type as AccountType;
+    return { id: r.id, code: r.code, name: r.name, type, balance: round2(DEBIT_NORMAL.includes(type) ? debits - credits : credits - debits), net: round2(debits - credits) };
+  });
+}
+
+/** Every account's closing balance in its debit or credit column; the two totals match */
+export async function trialBalance(asOf: Date) {
+  const accounts = (await accountTotals(asOf))
+    .filter(a => a.net !== 0)
+    .map(({ net, ...a }) => ({ ...a, debit: net > 0 ? net : 0, credit: net < 0 ? -net : 0 }));
+  return {
+    accounts,
+    totalDebit: round2(accounts.reduce((s, a) => s + a.debit, 0)),
+    totalCredit: round2(accounts.reduce((s, a) => s + a.credit, 0)),
+  };
+}
+
+/** Assets against liabilities and equity; income less expenses to date is carried as retained earnings */
+export async function balanceSheet(asOf: Date) {
+  const accounts = await accountTotals(asOf);
+  const section = (type: AccountType) => accounts
+    .filter(a => a.type === type && a.balance !== 0)
+    .map(({ id, code, name, balance }) => ({ id, code, name, balance }));
+  const sumOf = (rows: { balance: number }[]) => round2(rows.reduce((s, r) => s + r.balance, 0));
+
+  const retainedEarnings = round2(
+    sumOf(accounts.filter(a => a.type === 'income')) - sumOf(accounts.filter(a => a.type === 'expense')),
+  );
+  const assets = section('asset');
+  const liabilities = section('liability');
+  const equity = [...section('equity'), { id: 'retained_earnings', code: '3900', name: 'Retained Earnings', balance: retainedEarnings }];
+
+  return {
+    assets,
+    liabilities,
+    equity,
+    totalAssets: sumOf(assets),
+    totalLiabilities: sumOf(liabilities),
+    totalEquity: sumOf(equity),
+  };
+}
+
+/** Cash & Bank's balance from entries dated before `asOf` — the figure a bank statement should agree with */
+export async function cashBalance(asOf: Date) {
+  const [row] = await db
+    .select({ net: sql<string>`coalesce(sum(${journalLines.debit} - ${journalLines.credit}), 0)` })
+    .from(journalLines)
+    .innerJoin(journalEntries, eq(journalLines.entryId, journalEntries.id))
+    .innerJoin(ledgerAccounts, eq(journalLines.accountId, ledgerAccounts.id))
+    .where(and(eq(ledgerAccounts.key, A.cash.key), lt(journalEntries.entryDate, asOf)));
+  return round2(parseFloat(row?.net) || 0);
+}
+
+/** How many entries were posted in [start, end) and their total debits, for the report card */
+export async function journalTotals(start: Date, end: Date) {
+  const [row] = await db
+    .select({
+      entryCount: sql<number>`count(distinct ${journalEntries.id})::int`,
+      totalDebit: sql<string>`coalesce(sum(${journalLines.debit}), 0)`,
+    })
+    .from(journalEntries)
+    .innerJoin(journalLines, eq(journalLines.entryId, journalEntries.id))
+    .where(and(gte(journalEntries.entryDate, start), lt(journalEntries.entryDate, end)));
+  return { entryCount: row?.entryCount || 0, totalDebit: parseFloat(row?.totalDebit) || 0 };
+}
+
+/** Journal entries dated in [start, end), oldest first, with their lines */
+export async function journal(start: Date, end: Date) {
+  const entries = await db.query.journalEntries.findMany({
+    where: and(gte(journalEntries.entryDate, start), lt(journalEntries.entryDate, end)),
+    columns: { id: true, entryDate: true, description: true, sourceType: true, sourceId: true },
+    with: {
+      lines: {
+        columns: { debit: true, credit: true },
+        with: { account: { columns: { code: true, name: true } } },
+      },
+    },
+    orderBy: [asc(journalEntries.entryDate), asc(journalEntries.createdAt)],
+  });
+  return entries.map(({ lines, ...e }) => ({
+    ...e,
+    // Debits first, as journals are written
+    lines: lines
+      .map(l => ({ code: l.account.code, name: l.account.name, debit: l.debit, credit: l.credit }))
+      .sort((a, b) => b.debit - a.debit),
+  }));
+}
@@ -2,6 +2,8 @@ import nodemailer from 'nodemailer';
 import { db } from '../db';
 import { appSettings } from '../db/schema';
 import { inArray } from 'drizzle-orm';
+import { formatCurrency } from './currency';
+import { formatDocNumber } from './numbering';
 
 export async function getSmtpSettings() {
   const keys = [
@@ -61,27 +63,28 @@ export async function getCompanySettings() {
   return map;
 }
 
-const formatCurrency = (n: number) =>
-  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n);
-
 export function sendPaymentNotification(params: {
   invoiceNumber: number;
+  displayNumber?: string | null;
   clientName: string;
   amount: number;
   method: string;
   balanceDue: number;
+  currency?: string | null;
 }) {
   _sendPaymentNotification(params).catch(err =>
     console.error('[PaymentNotification] Failed:', err.message)
   );
 }
 
-async function _sendPaymentNotification({ invoiceNumber, clientName, amount, method, balanceDue }: {
+async function _sendPaymentNotification({ invoiceNumber, displayNumber, clientName, amount, method, balanceDue, currency }: {
   invoiceNumber: number;
+  displayNumber?: string | null;
   clientName: string;
   amount: number;
   method: string;
   balanceDue: number;
+  currency?: string | null;
 }) {
   const smtpSettings = await getSmtpSettings();
   if (smtpSettings.smtp_enabled !== 'true' || !smtpSettings.smtp_host) return;
@@ -89,7 +92,7 @@ async function _sendPaymentNotification({ invoiceNumber, clientName, amount, met
   const to = smtpSettings.smtp_from || smtpSettings.smtp_user;
   if (!to) return;
 
-  const docNum = String(invoiceNumber).padStart(5, '0');
+  const docNum = formatDocNumber(invoiceNumber, displayNumber);
   const bal = Math.max(0, balanceDue);
   const subject = `Payment Received — Invoice #${docNum}`;
   const date = new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
@@ -105,13 +108,13 @@ async function _sendPaymentNotification({ invoiceNumber, clientName, amount, met
   </td></tr>
   <tr><td style="height:3px;background:#22c55e;"></td></tr>
   <tr><td style="padding:28px;">
-    <p style="margin:0 0 20px;font-size:15px;color:#1f2937;font-weight:600;">A payment of ${formatCurrency(amount)} has been received.</p>
+    <p style="margin:0 0 20px;font-size:15px;color:#1f2937;font-weight:600;">A payment of ${formatCurrency(amount, currency)} has been received.</p>
     <table width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;color:#4b5563;">
       <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Invoice</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:600;color:#1f2937;">#${docNum}</td></tr>
       <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Client</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;color:#1f2937;">${clientName}</td></tr>
-      <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Amount</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:600;color:#22c55e;">${formatCurrency(amount)}</td></tr>
+      <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Amount</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:600;color:#22c55e;">${formatCurrency(amount, currency)}</td></tr>
       <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Method</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;color:#1f2937;">${method}</td></tr>
-      <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Balance Due</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:600;color:${bal <= 0 ? '#22c55e' : '#f59e0b'};">${bal <= 0 ? 'Paid in Full' : formatCurrency(bal)}</td></tr>
+      <tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;color:#6b7280;">Balance Due</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:600;color:${bal <= 0 ? '#22c55e' : '#f59e0b'};">${bal <= 0 ? 'Paid in Full' : formatCurrency(bal, currency)}</td></tr>
       <tr><td style="padding:8px 0;color:#6b7280;">Date</td><td style="padding:8px 0;text-align:right;color:#1f2937;">${date}</td></tr>
     </table>
   </td></tr>
@@ -0,0 +1,121 @@
+import { db } from '../db';
+import { appSettings } from '../db/schema';
+import { inArray, sql } from 'drizzle-orm';
+
+export type NumberedDocType = 'quote' | 'invoice' | 'credit_note';
+
+export const DEFAULT_NUMBER_FORMAT = '{SEQ:5}';
+
+// Credit notes get a prefix by default so they can't be mistaken for invoices
+const DEFAULT_FORMATS: Record<NumberedDocType, string> = {
+  quote: DEFAULT_NUMBER_FORMAT,
+  invoice: DEFAULT_NUMBER_FORMAT,
+  credit_note: 'CN-{SEQ:5}',
+};
+
+const TYPE_LABELS: Record<NumberedDocType, string> = {
+  quote: 'Quote',
+  invoice: 'Invoice',
+  credit_note: 'Credit note',
+};
+
+// Documents created before per-type sequences drew from this shared counter
+const LEGACY_COUNTER_KEY = 'next_document_number';
+const LEGACY_START_NUMBER = 100;
+
+const SEQ_TOKEN = /\{SEQ(?::(\d{1,2}))?\}/g;
+const YEAR_TOKEN = /\{YYYY\}|\{YY\}/;
+
+/**
+ * Renders a numbering template for a sequence value.
+ * Tokens: {YYYY}, {YY}, {MM}, {SEQ}, {SEQ:n} (zero-padded to n digits).
+ * e.g. renderNumberFormat('INV-{YYYY}-{SEQ:4}', 42) → "INV-2026-0042"
+ */
+export function renderNumberFormat(format: string, seq: number, date = new Date()) {
+  const yyyy = String(date.getFullYear());
+  return (format || DEFAULT_NUMBER_FORMAT)
+    .replace(/\{YYYY\}/g, yyyy)
+    .replace(/\{YY\}/g, yyyy.slice(2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+    .replace(SEQ_TOKEN, (_, pad) => String(seq).padStart(pad ? parseInt(pad, 10) : 0, '0'));
+}
+
+/** Returns why a template can't produce unique numbers, or null when it's usable */
+export function numberFormatError(format: string, yearlyReset: boolean): string | null {
+  if (!format.match(SEQ_TOKEN)) return 'Numbering format must include {SEQ}';
+  if (yearlyReset && !YEAR_TOKEN.test(format)) return 'Numbering that resets yearly must include {YYYY} or {YY}';
+  return null;
+}
+
+/**
+ * Number shown to people — the rendered template, or the 5-digit padded
+ * sequence for documents created before templates existed.
+ */
+export function formatDocNumber(num: number | null | undefined, displayNumber?: string | null) {
+  return displayNumber || String(num ?? '').padStart(5, '0');
+}
+
+/** Templates may contain "/" (e.g. 2026/0042) — swap out characters that aren't safe in file names */
+export function fileSafeDocNumber(docNum: string) {
+  return docNum.replace(/[\\/:*?"<>|]/g, '-');
+}
+
+function settingKeys(type: NumberedDocType) {
+  return { format: `${type}_number_format`, reset: `${type}_number_reset` };
+}
+
+/**
+ * Checks numbering settings about to be saved, merged over what's stored.
+ * Returns an error message for the first unusable template, or null.
+ */
+export async function validateNumberingSettings(updates: Record<string, string>) {
+  const types: NumberedDocType[] = ['quote', 'invoice', 'credit_note'];
+  const touched = types.filter(t => Object.values(settingKeys(t)).some(k => k in updates));
+  if (touched.length === 0) return null;
+
+  const rows = await db.select().from(appSettings)
+    .where(inArray(appSettings.key, touched.flatMap(t => Object.values(settingKeys(t)))));
+  const stored = Object.fromEntries(rows.map(r => [r.key, r.value]));
+
+  for (const type of touched) {
+    const keys = settingKeys(type);
+    const format = (keys.format in updates ? updates[keys.format] : stored[keys.format]) || DEFAULT_FORMATS[type];
+    const reset = keys.reset in updates ? updates[keys.reset] : stored[keys.reset];
+    const error = numberFormatError(format, reset === 'yearly');
+    if (error) return `${TYPE_LABELS[type]}: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Takes the next number for a document type. Call it inside the transaction
+ * that inserts the document so a failed insert rolls the counter back and
+ * no number is skipped. The counter row is bumped with a single upsert, so
+ * concurrent transactions queue on its row lock instead of reading the same
+ * value.
+ */
+export async function allocateDocumentNumber(tx: any, type: NumberedDocType, date = new Date()) {
+  const keys = settingKeys(type);
+  const rows = await tx.select().from(appSettings)
+    .where(inArray(appSettings.key, [keys.format, keys.reset, LEGACY_COUNTER_KEY]));
+  const stored: Record<string, string> = Object.fromEntries(rows.map((r: any) => [r.key, r.value]));
+
+  const yearly = stored[keys.reset] === 'yearly';
+  const format = stored[keys.format] || DEFAULT_FORMATS[type];
+  const counterKey = yearly ? `next_${type}_number_${date.getFullYear()}` : `next_${type}_number`;
+  // A yearly sequence starts over at 1; the running one carries on from the old shared counter.
+  // Credit notes never drew from that counter, so theirs starts at 1 too.
+  const first = yearly || type === 'credit_note' ? 1 : (parseInt(stored[LEGACY_COUNTER_KEY], 10) || LEGACY_START_NUMBER);
+
+  const [row] = await tx
+    .insert(appSettings)
+    .values({ key: counterKey, value: String(first + 1) })
+    .onConflictDoUpdate({
+      target: appSettings.key,
+      set: { value: sql`(${appSettings.value}::int + 1)::text`, updatedAt: new Date() },
+    })
+    .returning({ value: appSettings.value });
+
+  const seq = parseInt(row.value, 10) - 1;
+  return { seq, displayNumber: renderNumberFormat(format, seq, date) };
+}
@@ -5,13 +5,14 @@ import { db } from '../db';
 import { appSettings } from '../db/schema';
 import { inArray } from 'drizzle-orm';
 
-export async function getPayPalClient(): Promise<{ client: any; ordersController: any }> {
+async function getPayPalCredentials() {
   const rows = await db
     .select({ key: appSettings.key, value: appSettings.value })
     .from(appSettings)
     .where(inArray(appSettings.key, [
       'paypal_client_id', 'paypal_client_secret',
       'paypal_test_client_id', 'paypal_test_client_secret',
+      'paypal_webhook_id', 'paypal_test_webhook_id',
       'paypal_test_mode',
     ]));
   const map: Record<string, string> = {};
@@ -23,6 +24,12 @@ export async function getPayPalClient(): Promise<{ client: any; ordersController
   if (!clientId || !clientSecret) {
     throw new Error(isTestMode ? 'PayPal test credentials are not configured' : 'PayPal is not configured');
   }
+  const webhookId = (isTestMode ? map.paypal_test_webhook_id : map.paypal_webhook_id) || '';
+  return { clientId, clientSecret, webhookId, isTestMode };
+}
+
+export async function getPayPalClient(): Promise<{ client: any; ordersController: any }> {
+  const { clientId, clientSecret, isTestMode } = await getPayPalCredentials();
 
   const client = new Client({
     clientCredentialsAuthCredentials: {
@@ -35,7 +42,7 @@ export async function getPayPalClient(): Promise<{ client: any; ordersController
   return { client, ordersController: new OrdersController(client) };
 }
 
-export async function createPayPalOrder(amount: number, invoiceId: string, invoiceNumber: number | null): Promise<{ orderID: string }> {
+export async function createPayPalOrder(amount: number, invoiceId: string, docNumber: string | null, currency = 'USD'): Promise<{ orderID: string }> {
   const { ordersController } = await getPayPalClient();
 
   const { result } = await ordersController.createOrder({
@@ -43,10 +50,10 @@ export async function createPayPalOrder(amount: number, invoiceId: string, invoi
       intent: 'CAPTURE',
       purchaseUnits: [{
         amount: {
-          currencyCode: 'USD',
+          currencyCode: currency,
           value: amount.toFixed(2),
         },
-        description: invoiceNumber ? `Invoice #${String(invoiceNumber).padStart(5, '0')}` : 'Invoice payment',
+        description: docNumber ? `Invoice #${docNumber}` : 'Invoice payment',
         customId: invoiceId,
       }],
     },
@@ -78,3 +85,62 @@ export async function capturePayPalOrder(orderID: string): Promise<{ captureId:
     status: result.status!,
   };
 }
+
+async function getPayPalAccessToken() {
+  const { clientId, clientSecret, webhookId, isTestMode } = await getPayPalCredentials();
+  const apiBase = isTestMode ? 'https://api-m.sandbox.paypal.com' : 'https://api-m.paypal.com';
+
+  const res = await fetch(`${apiBase}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: 'grant_type=client_credentials',
+  });
+  if (!res.ok) throw new Error(`PayPal auth failed: HTTP ${res.status}`);
+  const { access_token } = await res.json() as { access_token: string };
+  return { accessToken: access_token, apiBase, webhookId, isTestMode };
+}
+
+/**
+ * Verify a webhook delivery with PayPal's verify-webhook-signature API.
+ * The SDK has no webhooks controller, so this goes through REST directly.
+ * The raw body is spliced in verbatim — re-serializing the parsed event can
+ * change it and makes PayPal report FAILURE.
+ */
+export async function verifyPayPalWebhook(headers: Record<string, any>, rawBody: string): Promise<boolean> {
+  const { accessToken, apiBase, webhookId, isTestMode } = await getPayPalAccessToken();
+  if (!webhookId) throw new Error(isTestMode ? 'PayPal sandbox webhook ID is not configured' : 'PayPal webhook ID is not configured');
+
+  const fields = {
+    auth_algo: headers['paypal-auth-algo'],
+    cert_url: headers['paypal-cert-url'],
+    transmission_id: headers['paypal-transmission-id'],
+    transmission_sig: headers['paypal-transmission-sig'],
+    transmission_time: headers['paypal-transmission-time'],
+    webhook_id: webhookId,
+  };
+  if (Object.values(fields).some(v => !v)) return false;
+
+  const body = JSON.stringify(fields).slice(0, -1) + `,"webhook_event":${rawBody}}`;
+  const res = await fetch(`${apiBase}/v1/notifications/verify-webhook-signature`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body,
+  });
+  if (!res.ok) return false;
+  const { verification_status } = await res.json() as { verification_status: string };
+  return verification_status === 'SUCCESS';
+}
+
+/** Look up the order a capture belongs to (refund events only link to the capture) */
+export async function getPayPalCaptureOrderId(captureId: string): Promise<string | null> {
+  const { accessToken, apiBase } = await getPayPalAccessToken();
+  const res = await fetch(`${apiBase}/v2/payments/captures/${encodeURIComponent(captureId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!res.ok) return null;
+  const capture = await res.json() as any;
+  return capture?.supplementary_data?.related_ids?.order_id || null;
+}
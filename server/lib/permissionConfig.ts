@@ -10,6 +10,7 @@ export const PERMISSION_KEYS = [
   'delete_projects',
   'edit_quotes',
   'edit_invoices',
+  'manage_contracts',
   'manage_clients',
   'manage_services',
   'view_expenses',
@@ -32,6 +33,8 @@ export const PERMISSION_KEYS = [
   'manage_advances',
   'view_salary',
   'manage_salary',
+  'export_accounting',
+  'reconcile_bank',
   'manage_backups',
   'approve_users',
   'impersonate_users',
@@ -60,6 +63,7 @@ export const PERMISSION_META: PermissionMeta[] = [
   { key: 'delete_projects', label: 'Delete Projects', group: 'Projects', description: 'Permanently delete (archive) projects' },
   { key: 'edit_quotes', label: 'Edit Quotes', group: 'Sales', description: 'Create and edit quotes' },
   { key: 'edit_invoices', label: 'Edit Invoices', group: 'Sales', description: 'Create and edit invoices' },
+  { key: 'manage_contracts', label: 'Manage Contracts', group: 'Sales', description: 'Create contract templates, send contracts for signature, and void them' },
   { key: 'manage_clients', label: 'Manage Clients', group: 'Sales', description: 'Create, edit, and delete clients' },
   { key: 'manage_services', label: 'Manage Services', group: 'Settings', description: 'Create and edit service/product catalog' },
   { key: 'view_expenses', label: 'View Expenses', group: 'Finance', description: 'See the expenses page' },
@@ -82,6 +86,8 @@ export const PERMISSION_META: PermissionMeta[] = [
   { key: 'manage_advances', label: 'Manage Advances', group: 'Finance', description: 'Create and manage team advances' },
   { key: 'view_salary', label: 'View Salaries', group: 'Finance', description: 'See the salary page (read-only)' },
   { key: 'manage_salary', label: 'Manage Salary', group: 'Finance', description: 'Create and manage salary entries' },
+  { key: 'export_accounting', label: 'Accounting Export', group: 'Finance', description: 'Download QuickBooks and Xero exports and map categories and products to accounts' },
+  { key: 'reconcile_bank', label: 'Bank Reconciliation', group: 'Finance', description: 'Import bank statements, match transactions and reconcile periods' },
   { key: 'manage_backups', label: 'Manage Backups', group: 'Settings', description: 'Create, view, and delete backups' },
   { key: 'approve_users', label: 'Approve Users', group: 'Team', description: 'Approve or reject new user account sign-ups' },
   { key: 'impersonate_users', label: 'Impersonate Users', group: 'Team', description: 'Log in as another user (cannot impersonate admins)' },
@@ -107,6 +113,7 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     delete_projects: true,
     edit_quotes: true,
     edit_invoices: true,
+    manage_contracts: true,
     manage_clients: true,
     manage_services: true,
     view_expenses: true,
@@ -129,6 +136,8 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     manage_advances: true,
     view_salary: true,
     manage_salary: true,
+    export_accounting: true,
+    reconcile_bank: true,
     manage_backups: false,
     approve_users: true,
     impersonate_users: false,
@@ -144,6 +153,7 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     delete_projects: false,
     edit_quotes: false,
     edit_invoices: false,
+    manage_contracts: false,
     manage_clients: false,
     manage_services: false,
     view_expenses: true,
@@ -166,6 +176,8 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     manage_advances: false,
     view_salary: true,
     manage_salary: false,
+    export_accounting: false,
+    reconcile_bank: false,
     manage_backups: false,
     approve_users: false,
     impersonate_users: false,
@@ -181,6 +193,7 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     delete_projects: false,
     edit_quotes: false,
     edit_invoices: false,
+    manage_contracts: false,
     manage_clients: false,
     manage_services: false,
     view_expenses: false,
@@ -203,6 +216,8 @@ export const DEFAULT_ROLE_PERMISSIONS: AllRoleDefaults = {
     manage_advances: false,
     view_salary: false,
     manage_salary: false,
+    export_accounting: false,
+    reconcile_bank: false,
     manage_backups: false,
     approve_users: false,
     impersonate_users: false,
@@ -7,6 +7,7 @@ export const connection = new IORedis(redisUrl, { maxRetriesPerRequest: null });
 export const emailQueue = new Queue('email', { connection });
 export const cleanupQueue = new Queue('cleanup', { connection });
 export const invoiceReminderQueue = new Queue('invoice-reminders', { connection });
+export const quoteFollowUpQueue = new Queue('quote-follow-ups', { connection });
 export const recurringExpensesQueue = new Queue('recurring-expenses', { connection });
 export const salaryAccrualQueue = new Queue('salary-accrual', { connection });
 export const backupQueue = new Queue('backup', { connection });
@@ -15,6 +16,7 @@ export async function closeQueues() {
   await emailQueue.close();
   await cleanupQueue.close();
   await invoiceReminderQueue.close();
+  await quoteFollowUpQueue.close();
   await recurringExpensesQueue.close();
   await salaryAccrualQueue.close();
   await backupQueue.close();
@@ -0,0 +1,40 @@
+import { db } from '../db';
+import { appSettings } from '../db/schema';
+import { inArray } from 'drizzle-orm';
+
+export const DEFAULT_FOLLOW_UP_DAYS = 3;
+export const DEFAULT_FOLLOW_UP_SUBJECT = 'Following up on Quote #[quote_number]';
+export const DEFAULT_FOLLOW_UP_BODY = `Hi [client_name],\n\nI wanted to follow up on the quote we sent over for [total]. It's attached again for your convenience.\n\nIf you have any questions or would like to change anything, just reply to this email — we're happy to help.\n\nBest regards,\n[company_name]`;
+
+export interface FollowUpSettings {
+  enabled: boolean;
+  days: number;
+  subject: string;
+  body: string;
+}
+
+/** The follow-up email for quotes that haven't been approved a set number of days after sending */
+export async function getFollowUpSettings(): Promise<FollowUpSettings> {
+  const rows = await db
+    .select()
+    .from(appSettings)
+    .where(inArray(appSettings.key, ['quote_follow_up_enabled', 'quote_follow_up_days', 'quote_follow_up_subject', 'quote_follow_up_body']));
+  const map: Record<string, string> = {};
+  for (const r of rows) map[r.key] = r.value;
+
+  const days = parseInt(map.quote_follow_up_days, 10);
+  return {
+    enabled: map.quote_follow_up_enabled === 'true',
+    days: days > 0 ? days : DEFAULT_FOLLOW_UP_DAYS,
+    subject: map.quote_follow_up_subject || DEFAULT_FOLLOW_UP_SUBJECT,
+    body: map.quote_follow_up_body || DEFAULT_FOLLOW_UP_BODY,
+  };
+}
+
+/** Whether a quote's validity has run out. A quote is good through the whole of its valid-until day. */
+export function isQuoteExpired(quote: { validUntil: Date | null }, now = new Date()) {
+  if (!quote.validUntil) return false;
+  const end = new Date(quote.validUntil);
+  end.setHours(23, 59, 59, 999);
+  return now > end;
+}
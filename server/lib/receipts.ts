@@ -0,0 +1,69 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { db } from '../db';
+import { expenseReceipts } from '../db/schema';
+import { inArray } from 'drizzle-orm';
+
+export const RECEIPTS_DIR = path.join(import.meta.dirname, '..', 'uploads', 'receipts');
+
+const RECEIPT_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.pdf']);
+const RECEIPT_MIMES: Record<string, string> = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heic',
+};
+
+/** Storage extension for an uploaded receipt, or null when it is neither a PDF nor an image. */
+export function receiptExtension(file: any): string | null {
+  const ext = (path.extname(file.filename || '') || '').toLowerCase();
+  const mime = (file.mimetype || '').toLowerCase();
+  // Allow by extension OR mime type (phone cameras often send unusual extensions)
+  return RECEIPT_EXTENSIONS.has(ext) ? ext : RECEIPT_MIMES[mime] || null;
+}
+
+/**
+ * Stores an uploaded receipt (multipart file) against an expense.
+ * Returns null when the file type isn't allowed.
+ */
+export async function saveReceipt(expenseId: string, file: any, uploadedBy: string) {
+  const finalExt = receiptExtension(file);
+  if (!finalExt) return null;
+  const mime = (file.mimetype || '').toLowerCase();
+
+  const fileName = `${expenseId}-${Date.now()}${finalExt}`;
+  await fs.mkdir(RECEIPTS_DIR, { recursive: true });
+  const buffer = await file.toBuffer();
+  await fs.writeFile(path.join(RECEIPTS_DIR, fileName), buffer);
+
+  const [receipt] = await db.insert(expenseReceipts).values({
+    expenseId,
+    fileName,
+    originalName: (file.filename || `receipt${finalExt}`).replace(/[/\\<>:"|?*\x00]/g, '_'),
+    mimeType: mime || `application/${finalExt.slice(1)}`,
+    fileSize: buffer.length,
+    uploadedBy,
+  }).returning();
+  return receipt;
+}
+
+/** Stored file names of the receipts attached to the given expenses. */
+export async function receiptFiles(expenseIds: string[]): Promise<string[]> {
+  if (expenseIds.length === 0) return [];
+  const rows = await db.select({ fileName: expenseReceipts.fileName })
+    .from(expenseReceipts)
+    .where(inArray(expenseReceipts.expenseId, expenseIds));
+  return rows.map(r => r.fileName);
+}
+
+/** Removes receipt files from disk once their rows are gone (best-effort). */
+export async function unlinkReceipts(fileNames: string[]) {
+  for (const fileName of fileNames) {
+    try {
+      await fs.unlink(path.join(RECEIPTS_DIR, fileName));
+    } catch { /* file may already be gone */ }
+  }
+}
@@ -0,0 +1,70 @@
+import { db } from '../db';
+import { appSettings } from '../db/schema';
+import { inArray } from 'drizzle-orm';
+
+/**
+ * One step of the reminder cadence. `days` is relative to the due date —
+ * negative before it, 0 on the day, positive once overdue.
+ */
+export interface ReminderStep {
+  days: number;
+  subject: string;
+  body: string;
+}
+
+const UPCOMING_BODY = `Hi [client_name],\n\nJust a heads-up that Invoice #[invoice_number] for [amount_due] is due on [due_date]. The invoice is attached for your reference.\n\nIf you've already sent payment, thank you — please disregard this message.\n\nBest regards,\n[company_name]`;
+const DUE_TODAY_BODY = `Hi [client_name],\n\nInvoice #[invoice_number] for [amount_due] is due today. The invoice is attached for your reference.\n\nIf you've already sent payment, thank you — please disregard this message.\n\nBest regards,\n[company_name]`;
+const OVERDUE_BODY = `Hi [client_name],\n\nThis is a friendly reminder that Invoice #[invoice_number] was due on [due_date] and is now [days_overdue] days overdue. The amount due is [amount_due].\n\nIf you've already sent payment, please disregard this message.\n\nThank you,\n[company_name]`;
+const FINAL_BODY = `Hi [client_name],\n\nInvoice #[invoice_number] is now [days_overdue] days overdue, with [amount_due] still outstanding. Please arrange payment as soon as possible, or get in touch if there's a problem we can help with.\n\nThis is our final reminder for this invoice.\n\nRegards,\n[company_name]`;
+
+/**
+ * The built-in cadence: a heads-up three days out, one on the due date, then
+ * the overdue days (the older `invoice_reminder_days` setting, when set),
+ * escalating to a final notice on the last one.
+ */
+export function defaultReminderSteps(overdueDays = [7, 14, 30]): ReminderStep[] {
+  const sorted = [...new Set(overdueDays)].filter(d => d > 0).sort((a, b) => a - b);
+  return [
+    { days: -3, subject: 'Upcoming: Invoice #[invoice_number] is due [due_date]', body: UPCOMING_BODY },
+    { days: 0, subject: 'Invoice #[invoice_number] is due today', body: DUE_TODAY_BODY },
+    ...sorted.map((days, i) => i === sorted.length - 1 && sorted.length > 1
+      ? { days, subject: 'Final notice: Invoice #[invoice_number] is [days_overdue] days overdue', body: FINAL_BODY }
+      : { days, subject: 'Reminder: Invoice #[invoice_number] is [days_overdue] days overdue', body: OVERDUE_BODY }),
+  ];
+}
+
+/** The saved reminder cadence (`invoice_reminder_steps`), or the default one */
+export async function getReminderSteps(): Promise<ReminderStep[]> {
+  const rows = await db
+    .select()
+    .from(appSettings)
+    .where(inArray(appSettings.key, ['invoice_reminder_steps', 'invoice_reminder_days']));
+  const map: Record<string, string> = {};
+  for (const r of rows) map[r.key] = r.value;
+
+  if (map.invoice_reminder_steps) {
+    try {
+      const steps = JSON.parse(map.invoice_reminder_steps);
+      if (Array.isArray(steps)) {
+        return steps
+          .map((s: any) => ({ days: parseInt(s.days, 10), subject: String(s.subject || ''), body: String(s.body || '') }))
+          .filter(s => !isNaN(s.days));
+      }
+    } catch {
+      console.error('[reminders] invoice_reminder_steps is not valid JSON, using the default cadence');
+    }
+  }
+
+  const legacyDays = map.invoice_reminder_days
+    ?.split(',')
+    .map(d => parseInt(d.trim(), 10))
+    .filter(d => !isNaN(d));
+  return defaultReminderSteps(legacyDays?.length ? legacyDays : undefined);
+}
+
+/** "3 days before due", "On due date", "7 days overdue" */
+export function reminderStepLabel(days: number) {
+  if (days === 0) return 'On due date';
+  const n = Math.abs(days);
+  return `${n} day${n === 1 ? '' : 's'} ${days < 0 ? 'before due' : 'overdue'}`;
+}
@@ -0,0 +1,106 @@
+import { createHash } from 'node:crypto';
+import { db } from '../db';
+import { quotes, invoices, quoteRevisions, invoiceRevisions, type DocumentSnapshot } from '../db/schema';
+import { eq, desc } from 'drizzle-orm';
+import { serializeItems } from './items';
+
+type DocType = 'quote' | 'invoice';
+
+/** Longest message in a quote's comment thread, from the client or the team */
+export const MAX_COMMENT_LENGTH = 2000;
+
+// What the client sees on the document, besides the items and totals
+const SNAPSHOT_FIELDS: Record<DocType, string[]> = {
+  quote: ['clientName', 'currency', 'eventDate', 'eventEndDate', 'eventLocation', 'eventType', 'discountType', 'discountValue', 'taxRate', 'terms', 'validUntil'],
+  invoice: ['clientName', 'currency', 'eventDate', 'eventEndDate', 'eventLocation', 'eventType', 'discountType', 'discountValue', 'taxRate', 'terms', 'dueDate', 'depositAmount'],
+};
+
+const itemsOrdered = { orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)] };
+
+function tables(type: DocType) {
+  return type === 'quote'
+    ? { revisions: quoteRevisions as any, documentIdColumn: quoteRevisions.quoteId, documentIdKey: 'quoteId' }
+    : { revisions: invoiceRevisions as any, documentIdColumn: invoiceRevisions.invoiceId, documentIdKey: 'invoiceId' };
+}
+
+/** The client-facing content of a quote or invoice, loaded with its items */
+export function documentSnapshot(type: DocType, doc: any): DocumentSnapshot {
+  const fields: DocumentSnapshot['fields'] = {};
+  for (const key of SNAPSHOT_FIELDS[type]) {
+    const value = doc[key];
+    fields[key] = value instanceof Date ? value.toISOString() : value ?? null;
+  }
+  return {
+    fields,
+    items: serializeItems(doc.items ?? []),
+    totals: {
+      subtotal: doc.subtotal || 0,
+      discountAmount: doc.discountAmount || 0,
+      tax: doc.tax || 0,
+      total: doc.total || 0,
+    },
+  };
+}
+
+function fingerprintOf(snapshot: DocumentSnapshot) {
+  return createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+}
+
+async function loadDocument(type: DocType, documentId: string) {
+  return type === 'quote'
+    ? db.query.quotes.findFirst({ where: eq(quotes.id, documentId), with: { items: itemsOrdered } })
+    : db.query.invoices.findFirst({ where: eq(invoices.id, documentId), with: { items: itemsOrdered } });
+}
+
+async function latestRevision(type: DocType, documentId: string) {
+  const { revisions, documentIdColumn } = tables(type);
+  const [row] = await db.select().from(revisions).where(eq(documentIdColumn, documentId)).orderBy(desc(revisions.revision)).limit(1);
+  return row ?? null;
+}
+
+/** All revisions of a document, newest first */
+export async function listRevisions(type: DocType, documentId: string) {
+  const { revisions, documentIdColumn } = tables(type);
+  return db.select().from(revisions).where(eq(documentIdColumn, documentId)).orderBy(desc(revisions.revision));
+}
+
+/**
+ * Where the document stands against its revisions: the number it has (the last
+ * revision's, or the next one if it was edited since), and its snapshot now.
+ */
+export async function currentRevision(type: DocType, doc: any) {
+  const snapshot = documentSnapshot(type, doc);
+  const fingerprint = fingerprintOf(snapshot);
+  const latest = await latestRevision(type, doc.id);
+  const unchanged = !!latest && latest.fingerprint === fingerprint;
+  return {
+    revision: unchanged ? latest.revision : (latest?.revision ?? 0) + 1,
+    sentAt: unchanged ? latest.createdAt : null,
+    unchanged,
+    fingerprint,
+    snapshot,
+  };
+}
+
+/**
+ * Snapshot a document as it goes out. Sending it again unchanged keeps the
+ * last revision; any edit since gets the next number. Returns the revision.
+ */
+export async function recordRevision(type: DocType, documentId: string, opts: { sentTo?: string | null; createdBy?: string | null }) {
+  const doc = await loadDocument(type, documentId);
+  if (!doc) throw new Error(`${type === 'quote' ? 'Quote' : 'Invoice'} not found`);
+
+  const current = await currentRevision(type, doc);
+  if (current.unchanged) return current.revision;
+
+  const { revisions, documentIdKey } = tables(type);
+  await db.insert(revisions).values({
+    [documentIdKey]: documentId,
+    revision: current.revision,
+    snapshot: current.snapshot,
+    fingerprint: current.fingerprint,
+    sentTo: opts.sentTo ?? null,
+    createdBy: opts.createdBy ?? null,
+  });
+  return current.revision;
+}
@@ -1,50 +1,13 @@
 import { db } from '../db';
-import { appSettings, invoices, invoiceItems, payments, quotes, quoteItems, clients, products, pdfDocuments, profiles, user, teamMembers } from '../db/schema';
+import { invoices, invoiceItems, payments, quotes, quoteItems, clients, products, pdfDocuments, profiles, user, teamMembers } from '../db/schema';
 import { eq, and, inArray, or, isNull } from 'drizzle-orm';
 import { clearRoleCache } from './permissions';
+import { pruneLedger } from './ledger';
 import fs from 'fs';
 import path from 'path';
 
 const UPLOADS_DIR = path.join(import.meta.dirname, '..', 'uploads', 'documents');
 
-const START_NUMBER = 100;
-
-/**
- * Returns the next document number from a single shared counter
- * stored in app_settings. Quotes and invoices share one sequence
- * so numbers never collide. Uses a transaction to prevent races.
- */
-export async function getNextDocumentNumber() {
-  return db.transaction(async (tx) => {
-    const [row] = await tx
-      .select()
-      .from(appSettings)
-      .where(eq(appSettings.key, 'next_document_number'));
-
-    const current = row ? parseInt(row.value, 10) : START_NUMBER;
-    const next = current + 1;
-
-    await tx
-      .insert(appSettings)
-      .values({ key: 'next_document_number', value: String(next) })
-      .onConflictDoUpdate({
-        target: appSettings.key,
-        set: { value: String(next) },
-      });
-
-    return current;
-  });
-}
-
-// Keep old names as aliases for backward compat in route files
-export async function getNextQuoteNumber() {
-  return getNextDocumentNumber();
-}
-
-export async function getNextInvoiceNumber() {
-  return getNextDocumentNumber();
-}
-
 /**
  * Deletes a user and cleans up related data.
  * - Quotes and invoices are KEPT (with orphaned user_id) so admins can still see them.
@@ -104,6 +67,8 @@ export async function deleteUserAndRelatedData(userId: string) {
     await tx.delete(profiles).where(eq(profiles.id, userId)).catch(() => {});
     await tx.delete(user).where(eq(user.id, userId));
   });
+  // The user's clients took their credits with them
+  await pruneLedger();
 
   // Clean up PDF files on disk (non-blocking, best-effort)
   for (const row of pdfRows) {
@@ -119,7 +84,7 @@ export async function deleteUserAndRelatedData(userId: string) {
 }
 
 export async function deleteClientAndRelatedData(clientId: string) {
-  return db.transaction(async (tx) => {
+  await db.transaction(async (tx) => {
     const clientInvoices = await tx
       .select({ id: invoices.id })
       .from(invoices)
@@ -144,4 +109,5 @@ export async function deleteClientAndRelatedData(clientId: string) {
     await tx.delete(quotes).where(eq(quotes.clientId, clientId));
     await tx.delete(clients).where(eq(clients.id, clientId));
   });
+  await pruneLedger();
 }
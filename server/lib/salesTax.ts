@@ -0,0 +1,201 @@
+import { db } from '../db';
+import { invoices, payments, creditNotes, taxFilings } from '../db/schema';
+import type { FiledDocument, AppliedTaxRate } from '../db/schema';
+import { and, gte, lt } from 'drizzle-orm';
+import { salesSplit, taxBreakdown } from './tax';
+import { formatDocNumber } from './numbering';
+
+export type TaxBasis = 'cash' | 'accrual';
+export type FilingFrequency = 'monthly' | 'quarterly';
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/** One document's part of a period's sales tax, in the default currency. Credit notes count negative. */
+export interface SalesTaxRow extends FiledDocument {
+  key: string; // `${type}:${id}` — what a filing snapshot is keyed by
+  type: 'invoice' | 'credit_note';
+  id: string;
+  invoiceId: string;
+  number: string;
+  clientName: string | null;
+  date: Date;
+}
+
+const taxItems = { columns: { total: true, isTaxable: true, taxRates: true } } as const;
+const invoiceColumns = {
+  id: true, invoiceNumber: true, displayNumber: true, clientName: true, createdAt: true,
+  total: true, tax: true, taxRate: true, discountAmount: true, exchangeRate: true,
+} as const;
+
+/** Months (or quarters) of a year, end-exclusive like the other report periods */
+export function filingPeriods(year: number, frequency: FilingFrequency) {
+  const months = frequency === 'quarterly' ? 3 : 1;
+  return Array.from({ length: 12 / months }, (_, i) => {
+    const start = new Date(year, i * months, 1);
+    const end = new Date(year, (i + 1) * months, 1);
+    const label = frequency === 'quarterly'
+      ? `Q${i + 1} ${year}`
+      : `${start.toLocaleString('en-US', { month: 'short' })} ${year}`;
+    return { start, end, label };
+  });
+}
+
+type TaxedDocument = {
+  total?: number;
+  tax: number;
+  taxRate: number | null;
+  discountAmount?: number | null;
+  items: { total: number; isTaxable: boolean; taxRates: AppliedTaxRate[] | null }[];
+};
+
+/** A document counted in a period, and how much of it counts: its paid share, in the default currency, negative for credit notes */
+type WeightedDocument = Omit<SalesTaxRow, keyof FiledDocument> & { doc: TaxedDocument; weight: number };
+
+/**
+ * Accrual: invoices by issue date, less credit notes by issue date.
+ * Cash: the share of each invoice paid in the period — refunds are negative
+ * payments, so they come off the period they were paid out in.
+ */
+async function periodDocuments(start: Date, end: Date, basis: TaxBasis): Promise<WeightedDocument[]> {
+  const docs = basis === 'cash' ? await cashDocuments(start, end) : await accrualDocuments(start, end);
+  return docs.sort((a, b) => a.date.getTime() - b.date.getTime());
+}
+
+async function accrualDocuments(start: Date, end: Date): Promise<WeightedDocument[]> {
+  const issued = await db.query.invoices.findMany({
+    where: and(gte(invoices.createdAt, start), lt(invoices.createdAt, end)),
+    columns: invoiceColumns,
+    with: { items: taxItems },
+  });
+  const credited = await db.query.creditNotes.findMany({
+    where: and(gte(creditNotes.issueDate, start), lt(creditNotes.issueDate, end)),
+    columns: { id: true, creditNoteNumber: true, displayNumber: true, invoiceId: true, clientName: true, issueDate: true, tax: true, taxRate: true, exchangeRate: true },
+    with: { items: taxItems },
+  });
+
+  return [
+    ...issued.map(inv => ({
+      key: `invoice:${inv.id}`,
+      type: 'invoice' as const,
+      id: inv.id,
+      invoiceId: inv.id,
+      number: 'Invoice #' + formatDocNumber(inv.invoiceNumber, inv.displayNumber),
+      clientName: inv.clientName,
+      date: inv.createdAt,
+      doc: inv,
+      weight: inv.exchangeRate || 1,
+    })),
+    ...credited.map(note => ({
+      key: `credit_note:${note.id}`,
+      type: 'credit_note' as const,
+      id: note.id,
+      invoiceId: note.invoiceId,
+      number: 'Credit Note #' + formatDocNumber(note.creditNoteNumber, note.displayNumber),
+      clientName: note.clientName,
+      date: note.issueDate,
+      doc: note,
+      weight: -(note.exchangeRate || 1),
+    })),
+  ];
+}
+
+async function cashDocuments(start: Date, end: Date): Promise<WeightedDocument[]> {
+  const received = await db.query.payments.findMany({
+    where: and(gte(payments.paymentDate, start), lt(payments.paymentDate, end)),
+    columns: { invoiceId: true, amount: true, paymentDate: true },
+    with: { invoice: { columns: invoiceColumns, with: { items: taxItems } } },
+  });
+
+  const byInvoice = new Map<string, { inv: (typeof received)[number]['invoice']; amount: number; date: Date }>();
+  for (const p of received) {
+    const entry = byInvoice.get(p.invoiceId) ?? { inv: p.invoice, amount: 0, date: p.paymentDate };
+    entry.amount += p.amount;
+    if (p.paymentDate > entry.date) entry.date = p.paymentDate;
+    byInvoice.set(p.invoiceId, entry);
+  }
+
+  return [...byInvoice.values()]
+    .filter(({ inv, amount }) => inv.total > 0 && Math.abs(amount) >= 0.005)
+    .map(({ inv, amount, date }) => ({
+      key: `invoice:${inv.id}`,
+      type: 'invoice' as const,
+      id: inv.id,
+      invoiceId: inv.id,
+      number: 'Invoice #' + formatDocNumber(inv.invoiceNumber, inv.displayNumber),
+      clientName: inv.clientName,
+      date,
+      doc: inv,
+      weight: (amount / inv.total) * (inv.exchangeRate || 1),
+    }));
+}
+
+export async function salesTaxRows(start: Date, end: Date, basis: TaxBasis): Promise<SalesTaxRow[]> {
+  return (await periodDocuments(start, end, basis)).map(({ doc, weight, ...row }) => {
+    const split = salesSplit(doc.items, doc);
+    return {
+      ...row,
+      taxableSales: round2(split.taxable * weight),
+      nonTaxableSales: round2(split.nonTaxable * weight),
+      tax: round2(doc.tax * weight),
+    };
+  });
+}
+
+/** Taxable sales and tax per jurisdiction (or rate name, when a rate has none) for the Income Summary */
+export async function taxByJurisdiction(start: Date, end: Date, basis: TaxBasis) {
+  const totals = new Map<string, { jurisdiction: string; taxable: number; collected: number }>();
+  for (const { doc, weight } of await periodDocuments(start, end, basis)) {
+    for (const line of taxBreakdown(doc.items, doc)) {
+      const jurisdiction = line.jurisdiction || line.name;
+      const row = totals.get(jurisdiction) ?? { jurisdiction, taxable: 0, collected: 0 };
+      row.taxable += line.taxable * weight;
+      row.collected += line.amount * weight;
+      totals.set(jurisdiction, row);
+    }
+  }
+  return [...totals.values()]
+    .map(t => ({ ...t, taxable: round2(t.taxable), collected: round2(t.collected) }))
+    .sort((a, b) => b.collected - a.collected);
+}
+
+export function sumSalesTaxRows(rows: FiledDocument[]) {
+  return {
+    taxableSales: round2(rows.reduce((s, r) => s + r.taxableSales, 0)),
+    nonTaxableSales: round2(rows.reduce((s, r) => s + r.nonTaxableSales, 0)),
+    taxCollected: round2(rows.reduce((s, r) => s + r.tax, 0)),
+  };
+}
+
+const differs = (a: FiledDocument, b: FiledDocument) =>
+  Math.abs(a.taxableSales - b.taxableSales) >= 0.005
+  || Math.abs(a.nonTaxableSales - b.nonTaxableSales) >= 0.005
+  || Math.abs(a.tax - b.tax) >= 0.005;
+
+/**
+ * Documents whose figures no longer match the filing: edited or added since,
+ * and the keys of filed documents that have left the period (deleted or re-dated).
+ */
+export function changesSinceFiling(rows: SalesTaxRow[], filed: Record<string, FiledDocument>) {
+  const changed = new Set(rows.filter(row => !filed[row.key] || differs(row, filed[row.key])).map(row => row.key));
+  const current = new Set(rows.map(row => row.key));
+  const removed = Object.keys(filed).filter(key => !current.has(key));
+  return { changed, removed };
+}
+
+export function filingSnapshot(rows: SalesTaxRow[]): Record<string, FiledDocument> {
+  return Object.fromEntries(rows.map(r => [r.key, { taxableSales: r.taxableSales, nonTaxableSales: r.nonTaxableSales, tax: r.tax }]));
+}
+
+/**
+ * Filed periods an invoice falls in — by issue date on accrual filings, by
+ * payment date on cash ones — so the editor can warn before changing it.
+ */
+export async function invoiceTaxFilings(inv: { createdAt: Date; payments?: { paymentDate: Date }[] }) {
+  const filings = await db
+    .select({ id: taxFilings.id, periodStart: taxFilings.periodStart, periodEnd: taxFilings.periodEnd, basis: taxFilings.basis, filedAt: taxFilings.filedAt })
+    .from(taxFilings);
+  const within = (d: Date, f: { periodStart: Date; periodEnd: Date }) => d >= f.periodStart && d < f.periodEnd;
+  return filings.filter(f => f.basis === 'cash'
+    ? (inv.payments ?? []).some(p => within(p.paymentDate, f))
+    : within(inv.createdAt, f));
+}
@@ -1,9 +1,11 @@
 import Stripe from 'stripe';
 import { db } from '../db';
-import { appSettings, payments, invoices, projects } from '../db/schema';
+import { appSettings, payments, invoices, projects, creditNotes } from '../db/schema';
 import { eq, inArray } from 'drizzle-orm';
 import { logActivity } from './activityLog';
 import { recalculateProjectTeamFinancials } from './teamCalc';
+import { formatDocNumber } from './numbering';
+import { syncLedger } from './ledger';
 
 export async function getStripeInstance(): Promise<Stripe> {
   const rows = await db
@@ -19,16 +21,55 @@ export async function getStripeInstance(): Promise<Stripe> {
   return new Stripe(secretKey);
 }
 
+/** Signing secret for the active mode's webhook endpoint (whsec_...) */
+export async function getStripeWebhookSecret(): Promise<string> {
+  const rows = await db
+    .select({ key: appSettings.key, value: appSettings.value })
+    .from(appSettings)
+    .where(inArray(appSettings.key, ['stripe_webhook_secret', 'stripe_test_webhook_secret', 'stripe_test_mode']));
+  const map: Record<string, string> = {};
+  for (const r of rows) map[r.key] = r.value;
+
+  const isTestMode = map.stripe_test_mode === 'true';
+  const secret = isTestMode ? map.stripe_test_webhook_secret : map.stripe_webhook_secret;
+  if (!secret) throw new Error(isTestMode ? 'Stripe test webhook secret is not configured' : 'Stripe webhook secret is not configured');
+  return secret;
+}
+
+/**
+ * Captures an authorized (manual-capture) PaymentIntent, fetched with
+ * `latest_charge` expanded, once the card's CVC check hasn't failed. A failed
+ * check cancels the intent and returns the error for the client. The confirm
+ * routes and the webhook can race to capture; the loser gets the captured intent.
+ */
+export async function captureAuthorizedPayment(stripe: Stripe, pi: Stripe.PaymentIntent): Promise<Stripe.PaymentIntent | { error: string }> {
+  const charge = pi.latest_charge as Stripe.Charge | null;
+  if (charge?.payment_method_details?.card?.checks?.cvc_check === 'fail') {
+    await stripe.paymentIntents.cancel(pi.id);
+    return { error: 'Card security code (CVC) is incorrect. Payment was not charged. Please try again.' };
+  }
+  try {
+    return await stripe.paymentIntents.capture(pi.id);
+  } catch (err) {
+    const current = await stripe.paymentIntents.retrieve(pi.id);
+    if (current.status === 'succeeded') return current;
+    throw err;
+  }
+}
+
 export async function recalculateInvoice(invoiceId: string) {
   const allPayments = await db.select().from(payments).where(eq(payments.invoiceId, invoiceId));
   const totalPaid = allPayments.reduce((s, p) => s + p.amount, 0);
+  const notes = await db.select({ total: creditNotes.total }).from(creditNotes).where(eq(creditNotes.invoiceId, invoiceId));
+  const creditedAmount = notes.reduce((s, n) => s + n.total, 0);
 
   const [inv] = await db.select({ total: invoices.total, projectId: invoices.projectId }).from(invoices).where(eq(invoices.id, invoiceId));
   let status: 'pending' | 'partial' | 'paid' = 'pending';
-  if (totalPaid >= inv.total) status = 'paid';
+  if (totalPaid >= inv.total - creditedAmount) status = 'paid';
   else if (totalPaid > 0) status = 'partial';
 
-  await db.update(invoices).set({ paidAmount: totalPaid, status, updatedAt: new Date() }).where(eq(invoices.id, invoiceId));
+  await db.update(invoices).set({ paidAmount: totalPaid, creditedAmount, status, updatedAt: new Date() }).where(eq(invoices.id, invoiceId));
+  await syncLedger('invoice', invoiceId);
 
   // Recalculate project margin when invoice payment status changes
   recalculateProjectTeamFinancials(inv.projectId);
@@ -141,6 +182,6 @@ export async function archiveProjectForDeletedInvoice(projectId: string) {
   });
 }
 
-export function docLabel(invoiceNumber: number | null): string {
-  return invoiceNumber ? 'Invoice #' + String(invoiceNumber).padStart(5, '0') : '';
+export function docLabel(inv: { invoiceNumber: number; displayNumber: string | null } | null | undefined): string {
+  return inv?.invoiceNumber ? 'Invoice #' + formatDocNumber(inv.invoiceNumber, inv.displayNumber) : '';
 }
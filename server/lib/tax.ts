@@ -0,0 +1,90 @@
+import type { AppliedTaxRate } from '../db/schema';
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/** Tax-rate snapshots from a request body, or null for an item on the document's single rate */
+export function parseTaxRates(input: any): AppliedTaxRate[] | null {
+  if (!Array.isArray(input)) return null;
+  return input
+    .map((r: any) => ({
+      id: r.id || null,
+      name: String(r.name || 'Tax'),
+      rate: parseFloat(r.rate) || 0,
+      jurisdiction: r.jurisdiction || null,
+    }))
+    .filter(r => r.rate > 0);
+}
+
+/** The rates a stored line item is taxed at. Older items have no snapshot and use the document rate. */
+export function itemTaxRates(item: { isTaxable: boolean; taxRates?: AppliedTaxRate[] | null }, documentRate: number): AppliedTaxRate[] {
+  if (!item.isTaxable) return [];
+  if (item.taxRates) return item.taxRates;
+  return documentRate > 0 ? [{ id: null, name: 'Tax', rate: documentRate }] : [];
+}
+
+/** Whether a client's tax exemption covers a document dated `on` (no expiry date = open-ended). Mirrors isTaxExempt in src/lib/taxRateResolver.js. */
+export function isTaxExempt(client: { taxExempt: boolean; taxExemptExpiresAt: Date | null } | null | undefined, on = new Date()) {
+  if (!client?.taxExempt) return false;
+  return !client.taxExemptExpiresAt || client.taxExemptExpiresAt >= on;
+}
+
+type TaxedItem = { total: number; isTaxable: boolean; taxRates?: AppliedTaxRate[] | null };
+
+/** Share of each item's total left after the document discount (and any quote discount lines) */
+function discountRatio(items: TaxedItem[], discountAmount?: number | null) {
+  const itemsSubtotal = items.filter(item => item.total > 0).reduce((s, item) => s + item.total, 0);
+  const afterDiscount = items.reduce((s, item) => s + item.total, 0) - (discountAmount || 0);
+  return itemsSubtotal > 0 ? afterDiscount / itemsSubtotal : 0;
+}
+
+export interface TaxLine {
+  id: string | null;
+  name: string;
+  jurisdiction: string | null;
+  rate: number;
+  taxable: number;
+  amount: number;
+}
+
+/**
+ * Tax per rate across a document's items. Item totals are pre-tax and the
+ * discount (with any quote discount lines) is spread over them pro rata — the
+ * same arithmetic as the editors, so the lines add up to the document's tax.
+ */
+export function taxBreakdown(items: TaxedItem[], doc: { taxRate: number | null; discountAmount?: number | null }): TaxLine[] {
+  const ratio = discountRatio(items, doc.discountAmount);
+
+  const lines = new Map<string, TaxLine>();
+  for (const item of items) {
+    for (const r of itemTaxRates(item, doc.taxRate || 0)) {
+      const key = `${r.id ?? r.name}|${r.rate}`;
+      const line = lines.get(key) ?? { id: r.id, name: r.name, jurisdiction: r.jurisdiction ?? null, rate: r.rate, taxable: 0, amount: 0 };
+      line.taxable += item.total * ratio;
+      line.amount += item.total * ratio * (r.rate / 100);
+      lines.set(key, line);
+    }
+  }
+  return [...lines.values()].map(l => ({ ...l, taxable: round2(l.taxable), amount: round2(l.amount) }));
+}
+
+/** A document's sales after discount, split by whether any tax was charged on them */
+export function salesSplit(items: TaxedItem[], doc: { taxRate: number | null; discountAmount?: number | null }) {
+  const ratio = discountRatio(items, doc.discountAmount);
+  let taxable = 0;
+  let nonTaxable = 0;
+  for (const item of items) {
+    if (item.total <= 0) continue;
+    if (itemTaxRates(item, doc.taxRate || 0).length > 0) taxable += item.total * ratio;
+    else nonTaxable += item.total * ratio;
+  }
+  return { taxable: round2(taxable), nonTaxable: round2(nonTaxable) };
+}
+
+/** Each item's share of the document tax, after the discount — for exports that carry tax per line */
+export function itemTaxAmounts(items: TaxedItem[], doc: { taxRate: number | null; discountAmount?: number | null }) {
+  const ratio = discountRatio(items, doc.discountAmount);
+  return items.map(item => {
+    const rate = itemTaxRates(item, doc.taxRate || 0).reduce((s, r) => s + r.rate, 0);
+    return round2(item.total * ratio * (rate / 100));
+  });
+}
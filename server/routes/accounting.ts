@@ -0,0 +1,84 @@
+import { db } from '../db';
+import { appSettings, expenseCategories, products } from '../db/schema';
+import { eq, asc } from 'drizzle-orm';
+import { requirePermission } from '../lib/permissions';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { DEFAULT_ACCOUNTS, getAccountSettings, accountingExportFiles, type AccountRole, type ExportFormat } from '../lib/accountingExport';
+import { createZip } from '../lib/zip';
+
+const guard = requirePermission('export_accounting');
+
+const FORMAT_LABELS: Record<ExportFormat, string> = { quickbooks: 'QuickBooks', xero: 'Xero' };
+
+const cleanCode = (v: any) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+
+export default async function accountingRoutes(fastify: any) {
+  // GET /api/accounting/mappings — default accounts plus each expense category's and product's code
+  fastify.get('/mappings', { preHandler: [guard] }, async () => {
+    const categories = await db
+      .select({ id: expenseCategories.id, name: expenseCategories.name, accountCode: expenseCategories.accountCode })
+      .from(expenseCategories)
+      .orderBy(asc(expenseCategories.sortOrder));
+    const productRows = await db
+      .select({ id: products.id, name: products.name, category: products.category, accountCode: products.accountCode })
+      .from(products)
+      .orderBy(asc(products.category), asc(products.name));
+    const placeholders = Object.fromEntries(Object.entries(DEFAULT_ACCOUNTS).map(([role, a]) => [role, { quickbooks: a.quickbooks, xero: a.xero }]));
+    return { data: { accounts: await getAccountSettings(), placeholders, categories, products: productRows } };
+  });
+
+  // PUT /api/accounting/mappings — { accounts?, categories?: [{ id, accountCode }], products?: [{ id, accountCode }] }
+  fastify.put('/mappings', { preHandler: [guard] }, async (request: any) => {
+    const { accounts = {}, categories = [], products: productCodes = [] } = request.body;
+
+    await db.transaction(async (tx) => {
+      for (const [role, value] of Object.entries(accounts)) {
+        const account = DEFAULT_ACCOUNTS[role as AccountRole];
+        if (!account) continue;
+        const code = cleanCode(value);
+        if (code) {
+          await tx.insert(appSettings)
+            .values({ key: account.setting, value: code, lastEditedBy: request.user.id })
+            .onConflictDoUpdate({ target: appSettings.key, set: { value: code, updatedAt: new Date(), lastEditedBy: request.user.id } });
+        } else {
+          await tx.delete(appSettings).where(eq(appSettings.key, account.setting));
+        }
+      }
+      for (const c of categories) {
+        await tx.update(expenseCategories).set({ accountCode: cleanCode(c.accountCode) }).where(eq(expenseCategories.id, c.id));
+      }
+      for (const p of productCodes) {
+        await tx.update(products).set({ accountCode: cleanCode(p.accountCode) }).where(eq(products.id, p.id));
+      }
+    });
+
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'account_mapping', entityLabel: 'Accounting export account mappings' });
+    return { success: true };
+  });
+
+  // GET /api/accounting/export?format=quickbooks|xero&startDate&endDate — a .zip of import files (endDate inclusive)
+  fastify.get('/export', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const { startDate, endDate } = request.query;
+    const format: ExportFormat = request.query.format === 'xero' ? 'xero' : 'quickbooks';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+      return reply.code(400).send({ error: 'startDate and endDate are required (YYYY-MM-DD)' });
+    }
+    const start = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    if (end <= start) return reply.code(400).send({ error: 'endDate must not be before startDate' });
+
+    const zip = createZip(await accountingExportFiles(start, end, format));
+
+    logActivity({
+      ...actorFromRequest(request),
+      action: 'exported',
+      entityType: 'accounting_export',
+      entityLabel: `${FORMAT_LABELS[format]} export, ${startDate} to ${endDate}`,
+    });
+    reply
+      .header('Content-Type', 'application/zip')
+      .header('Content-Disposition', `attachment; filename="flowbooks-${format}-${startDate}-to-${endDate}.zip"`);
+    return reply.send(zip);
+  });
+}
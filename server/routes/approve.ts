@@ -1,13 +1,19 @@
 import { FastifyInstance } from 'fastify';
 import crypto from 'crypto';
 import { db } from '../db';
-import { quotes, invoices, invoiceItems, projects, projectTypes, appSettings } from '../db/schema';
+import { quotes, quoteItems, quoteComments, invoices, invoiceItems, projects, projectTypes, appSettings } from '../db/schema';
 import { eq, ilike, inArray } from 'drizzle-orm';
-// Invoice number matches the quote number (Q-00108 → I-00108)
-import { parseInvoiceItems, serializeItems } from '../lib/items';
+import { parseInvoiceItems, serializeItems, selectQuoteOptions, isIncludedItem, documentTotals, clientTaxExempt, untaxedItems } from '../lib/items';
 import { emailQueue } from '../lib/queue';
 import { logActivity } from '../lib/activityLog';
 import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
+import { allocateDocumentNumber, formatDocNumber } from '../lib/numbering';
+import { autoApplyClientCredit } from '../lib/credits';
+import { syncLedger } from '../lib/ledger';
+import { isQuoteExpired } from '../lib/quoteFollowUps';
+import { recordDocumentView } from '../lib/documentViews';
+import { currentRevision, recordRevision, MAX_COMMENT_LENGTH } from '../lib/revisions';
+import { broadcast } from '../lib/pubsub';
 
 const TOKEN_REGEX = /^[a-f0-9]{32}$/;
 
@@ -15,7 +21,7 @@ const BRANDING_KEYS = [
   'company_name', 'app_name', 'accent_color',
   'header_logo_url', 'header_logo_light_url',
   'login_logo_url', 'login_logo_light_url',
-  'favicon_url',
+  'favicon_url', 'company_email',
   'stripe_enabled', 'paypal_enabled',
 ];
 
@@ -23,10 +29,62 @@ async function findQuoteByToken(token: string) {
   if (!TOKEN_REGEX.test(token)) return null;
   return db.query.quotes.findFirst({
     where: eq(quotes.approvalToken, token),
-    with: { items: true, client: true },
+    with: {
+      items: { orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)] },
+      comments: { orderBy: (comments: any, { asc }: any) => [asc(comments.createdAt)] },
+      client: true,
+    },
   });
 }
 
+/** What the client sees before approving: the line items with their options, and the inputs for live totals */
+function publicQuote(quote: any, revision: { revision: number | null; sentAt: Date | null; fingerprint?: string }) {
+  return {
+    number: formatDocNumber(quote.quoteNumber, quote.displayNumber),
+    revision: { number: revision.revision, sentAt: revision.sentAt, fingerprint: revision.fingerprint ?? null },
+    clientName: quote.clientName,
+    currency: quote.currency,
+    eventDate: quote.eventDate,
+    eventLocation: quote.eventLocation,
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    taxRate: quote.taxRate,
+    discountType: quote.discountType,
+    discountValue: quote.discountValue,
+    discountAmount: quote.discountAmount,
+    total: quote.total,
+    terms: quote.terms,
+    items: quote.items.map((row: any) => ({ id: row.id, ...serializeItems([row])[0] })),
+    changesRequestedAt: quote.changesRequestedAt,
+    comments: (quote.comments || []).map(publicComment),
+  };
+}
+
+function publicComment(comment: any) {
+  return {
+    id: comment.id,
+    fromClient: comment.fromClient,
+    authorName: comment.authorName,
+    body: comment.body,
+    revision: comment.revision,
+    createdAt: comment.createdAt,
+  };
+}
+
+/** Approved quotes show the revision the client approved, if known (not for quotes invoiced by hand) */
+function approvedRevisionOf(quote: any) {
+  return { revision: quote.approvedRevision ?? null, sentAt: null };
+}
+
+function publicInvoice(invoice: any, depositAmount: number) {
+  return {
+    number: formatDocNumber(invoice.invoiceNumber, invoice.displayNumber),
+    total: invoice.total,
+    depositAmount,
+    paymentToken: invoice.paymentToken,
+  };
+}
+
 async function getBranding() {
   const rows = await db.select().from(appSettings).where(inArray(appSettings.key, BRANDING_KEYS));
   const m: Record<string, string> = {};
@@ -40,13 +98,39 @@ async function getBranding() {
     loginLogoUrl: m.login_logo_url || '',
     loginLogoLightUrl: m.login_logo_light_url || '',
     faviconUrl: m.favicon_url || '',
+    companyEmail: m.company_email || '',
     hasPaymentGateway: m.stripe_enabled === 'true' || m.paypal_enabled === 'true',
   };
 }
 
 export default async function approveRoutes(fastify: FastifyInstance) {
 
-  // POST /:token — Approve quote, convert to invoice, auto-send email
+  // GET /:token — quote details + branding for the review page
+  fastify.get('/:token', async (request: any, reply: any) => {
+    const quote = await findQuoteByToken(request.params.token);
+    if (!quote) return reply.code(404).send({ error: 'Quote not found or link has expired' });
+    recordDocumentView(request, 'quote', quote.id, 'page');
+
+    const existingInvoice = await db.query.invoices.findFirst({
+      where: eq(invoices.quoteId, quote.id),
+    });
+    // Past its validity the client only sees who to ask for a new quote
+    if (!existingInvoice && isQuoteExpired(quote)) {
+      return {
+        expired: true,
+        branding: await getBranding(),
+        quote: { number: formatDocNumber(quote.quoteNumber, quote.displayNumber), clientName: quote.clientName, validUntil: quote.validUntil },
+      };
+    }
+    return {
+      alreadyApproved: !!existingInvoice,
+      branding: await getBranding(),
+      quote: publicQuote(quote, existingInvoice ? approvedRevisionOf(quote) : await currentRevision('quote', quote)),
+      invoice: existingInvoice ? publicInvoice(existingInvoice, existingInvoice.depositAmount || 0) : null,
+    };
+  });
+
+  // POST /:token — Approve quote with the client's picked options, convert to invoice, auto-send email
   fastify.post('/:token', {
     config: { rateLimit: { max: 5, timeWindow: '1 minute' } },
   }, async (request: any, reply: any) => {
@@ -64,70 +148,106 @@ export default async function approveRoutes(fastify: FastifyInstance) {
       return {
         alreadyApproved: true,
         branding,
-        quote: { number: quote.quoteNumber, clientName: quote.clientName, total: quote.total },
-        invoice: {
-          number: existingInvoice.invoiceNumber,
-          total: existingInvoice.total,
-          depositAmount: existingInvoice.depositAmount || 0,
-          paymentToken: existingInvoice.paymentToken,
-        },
+        quote: publicQuote(quote, approvedRevisionOf(quote)),
+        invoice: publicInvoice(existingInvoice, existingInvoice.depositAmount || 0),
       };
     }
 
-    // Convert quote to invoice — use same number so Q-00108 → I-00108
-    const invoiceNumber = quote.quoteNumber;
+    if (isQuoteExpired(quote)) {
+      return reply.code(410).send({ error: 'This quote has expired. Please request a new quote.' });
+    }
+
+    // The client approves the version they reviewed: refuse if it was edited since the page loaded
+    const reviewed = await currentRevision('quote', quote);
+    if (request.body?.fingerprint && request.body.fingerprint !== reviewed.fingerprint) {
+      return reply.code(409).send({ error: 'This quote was updated while you were reviewing it. Please review the latest version.' });
+    }
+
+    // Optional and alternative items: take the client's picks (else the defaults) and
+    // price the quote as chosen. Quotes without options keep their stored totals,
+    // unless the client is tax exempt and any tax has to come off.
+    const hasOptions = quote.items.some(item => item.optionType);
+    const taxExempt = await clientTaxExempt(quote.clientId);
+    let items = quote.items;
+    let totals = { subtotal: quote.subtotal, discountAmount: quote.discountAmount, tax: quote.tax, total: quote.total };
+    if (hasOptions || (taxExempt && quote.tax)) {
+      const selectedItemIds = request.body?.selectedItemIds;
+      try {
+        items = Array.isArray(selectedItemIds) ? selectQuoteOptions(quote.items, selectedItemIds) : quote.items;
+      } catch (err: any) {
+        return reply.code(400).send({ error: err.message });
+      }
+      totals = documentTotals(items.filter(isIncludedItem), { ...quote, taxExempt });
+      for (const item of items) {
+        if (item.optionType) await db.update(quoteItems).set({ isSelected: item.isSelected, updatedAt: new Date() }).where(eq(quoteItems.id, item.id));
+      }
+      await db.update(quotes).set({ ...totals, updatedAt: new Date() }).where(eq(quotes.id, quote.id));
+    }
+
+    // Snapshot what the client accepted — their picks and the totals they'll be invoiced
+    const approvedRevision = await recordRevision('quote', quote.id, { createdBy: 'Client Approval' });
+
+    // Convert quote to invoice
     const paymentToken = crypto.randomBytes(16).toString('hex');
     const dueDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
 
-    const [created] = await db.insert(invoices).values({
-      userId: quote.userId,
-      invoiceNumber,
-      quoteId: quote.id,
-      clientId: quote.clientId,
-      projectId: quote.projectId,
-      clientName: quote.clientName,
-      subtotal: quote.subtotal,
-      tax: quote.tax,
-      taxRate: quote.taxRate,
-      total: quote.total,
-      discountType: quote.discountType,
-      discountValue: quote.discountValue,
-      discountAmount: quote.discountAmount,
-      notes: quote.notes,
-      eventDate: quote.eventDate,
-      eventEndDate: quote.eventEndDate,
-      eventLocation: quote.eventLocation,
-      eventType: quote.eventType,
-      projectTypeId: quote.projectTypeId,
-      terms: quote.terms,
-      status: 'pending',
-      paidAmount: 0,
-      dueDate,
-      paymentToken,
-      createdBy: 'Auto-Approval',
-      lastEditedBy: 'Auto-Approval',
-    }).returning();
+    const created = await db.transaction(async (tx) => {
+      const number = await allocateDocumentNumber(tx, 'invoice');
+      const [row] = await tx.insert(invoices).values({
+        userId: quote.userId,
+        invoiceNumber: number.seq,
+        displayNumber: number.displayNumber,
+        quoteId: quote.id,
+        clientId: quote.clientId,
+        projectId: quote.projectId,
+        clientName: quote.clientName,
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        taxRate: taxExempt ? 0 : quote.taxRate,
+        total: totals.total,
+        currency: quote.currency,
+        exchangeRate: quote.exchangeRate,
+        discountType: quote.discountType,
+        discountValue: quote.discountValue,
+        discountAmount: totals.discountAmount,
+        notes: quote.notes,
+        eventDate: quote.eventDate,
+        eventEndDate: quote.eventEndDate,
+        eventLocation: quote.eventLocation,
+        eventType: quote.eventType,
+        projectTypeId: quote.projectTypeId,
+        terms: quote.terms,
+        status: 'pending',
+        paidAmount: 0,
+        dueDate,
+        paymentToken,
+        createdBy: 'Auto-Approval',
+        lastEditedBy: 'Auto-Approval',
+      }).returning();
+      return row;
+    });
 
     // Calculate deposit if setting exists
     const depositRows = await db.select().from(appSettings).where(eq(appSettings.key, 'deposit_percent'));
     const depositPercent = parseFloat(depositRows[0]?.value || '0');
     if (depositPercent > 0) {
-      const depositAmt = quote.total * (depositPercent / 100);
+      const depositAmt = totals.total * (depositPercent / 100);
       await db.update(invoices).set({ depositAmount: depositAmt, updatedAt: new Date() }).where(eq(invoices.id, created.id));
     }
 
     // Mark quote as approved
-    await db.update(quotes).set({ approvedAt: new Date(), updatedAt: new Date() }).where(eq(quotes.id, quote.id));
+    await db.update(quotes).set({ approvedAt: new Date(), approvedRevision, changesRequestedAt: null, updatedAt: new Date() }).where(eq(quotes.id, quote.id));
 
-    // Copy line items from quote to invoice
-    if (quote.items && quote.items.length > 0) {
-      const serialized = serializeItems(quote.items);
-      await db.insert(invoiceItems).values(parseInvoiceItems(serialized, created.id));
+    // Copy the chosen line items from quote to invoice
+    const included = items.filter(isIncludedItem);
+    if (included.length > 0) {
+      const copied = serializeItems(included);
+      await db.insert(invoiceItems).values(parseInvoiceItems(taxExempt ? untaxedItems(copied) : copied, created.id));
     }
 
     // Log activities
-    const quoteLabel = `Quote #${String(quote.quoteNumber).padStart(5, '0')}`;
-    const invoiceLabel = `Invoice #${String(invoiceNumber).padStart(5, '0')}`;
+    const quoteLabel = `Quote #${formatDocNumber(quote.quoteNumber, quote.displayNumber)}`;
+    const invoiceLabel = `Invoice #${formatDocNumber(created.invoiceNumber, created.displayNumber)}`;
 
     logActivity({
       userId: quote.userId,
@@ -135,7 +255,7 @@ export default async function approveRoutes(fastify: FastifyInstance) {
       action: 'approved',
       entityType: 'quote',
       entityId: quote.id,
-      entityLabel: `${quoteLabel} approved by client`,
+      entityLabel: `${quoteLabel}${approvedRevision > 1 ? ` (rev. ${approvedRevision})` : ''} approved by client`,
     });
 
     logActivity({
@@ -216,7 +336,11 @@ export default async function approveRoutes(fastify: FastifyInstance) {
       });
     }
 
-    const depositAmount = depositPercent > 0 ? quote.total * (depositPercent / 100) : 0;
+    // After the project link, so credit that covers the deposit books the project
+    await autoApplyClientCredit(created.id, { userId: quote.userId, userDisplayName: 'Auto-Approval' });
+    await syncLedger('invoice', created.id);
+
+    const depositAmount = depositPercent > 0 ? totals.total * (depositPercent / 100) : 0;
 
     // Notify admins/managers
     const privilegedIds = await getPrivilegedUserIds();
@@ -224,7 +348,7 @@ export default async function approveRoutes(fastify: FastifyInstance) {
       userIds: privilegedIds,
       type: 'quote_approved',
       title: 'Quote Approved',
-      message: `${quote.clientName} approved Quote #${String(quote.quoteNumber).padStart(5, '0')}`,
+      message: `${quote.clientName} approved Quote #${formatDocNumber(quote.quoteNumber, quote.displayNumber)}`,
       entityType: 'quote',
       entityId: quote.id,
     });
@@ -232,13 +356,66 @@ export default async function approveRoutes(fastify: FastifyInstance) {
     return {
       alreadyApproved: false,
       branding,
-      quote: { number: quote.quoteNumber, clientName: quote.clientName, total: quote.total },
-      invoice: {
-        number: invoiceNumber,
-        total: created.total,
-        depositAmount,
-        paymentToken,
-      },
+      quote: publicQuote({ ...quote, ...totals, items }, { revision: approvedRevision, sentAt: reviewed.sentAt }),
+      invoice: publicInvoice(created, depositAmount),
+    };
+  });
+
+  // POST /:token/changes — the client asks for changes instead of approving
+  fastify.post('/:token/changes', {
+    config: { rateLimit: { max: 5, timeWindow: '1 minute' } },
+  }, async (request: any, reply: any) => {
+    const quote = await findQuoteByToken(request.params.token);
+    if (!quote) return reply.code(404).send({ error: 'Quote not found or link has expired' });
+
+    const message = String(request.body?.message ?? '').trim();
+    if (!message) return reply.code(400).send({ error: 'Please describe the changes you would like' });
+    if (message.length > MAX_COMMENT_LENGTH) return reply.code(400).send({ error: `Please keep your message under ${MAX_COMMENT_LENGTH} characters` });
+
+    const existingInvoice = await db.query.invoices.findFirst({
+      where: eq(invoices.quoteId, quote.id),
+    });
+    if (existingInvoice) return reply.code(409).send({ error: 'This quote has already been approved.' });
+    if (isQuoteExpired(quote)) {
+      return reply.code(410).send({ error: 'This quote has expired. Please request a new quote.' });
+    }
+
+    const { revision } = await currentRevision('quote', quote);
+    const [comment] = await db.insert(quoteComments).values({
+      quoteId: quote.id,
+      fromClient: true,
+      authorName: quote.clientName || quote.client?.displayName || 'Client',
+      body: message,
+      revision,
+    }).returning();
+    const changesRequestedAt = new Date();
+    await db.update(quotes).set({ changesRequestedAt, updatedAt: changesRequestedAt }).where(eq(quotes.id, quote.id));
+
+    const quoteLabel = `Quote #${formatDocNumber(quote.quoteNumber, quote.displayNumber)}`;
+    logActivity({
+      userId: quote.userId,
+      userDisplayName: 'Client',
+      action: 'changes_requested',
+      entityType: 'quote',
+      entityId: quote.id,
+      entityLabel: `${quoteLabel} — client requested changes`,
+      details: message,
+    });
+    broadcast('quote', 'updated', quote.userId, quote.id);
+
+    const privilegedIds = await getPrivilegedUserIds();
+    notifyUsers({
+      userIds: privilegedIds,
+      type: 'quote_changes_requested',
+      title: 'Changes Requested',
+      message: `${quote.clientName || 'The client'} requested changes to ${quoteLabel}: "${message.length > 120 ? `${message.slice(0, 117)}...` : message}"`,
+      entityType: 'quote',
+      entityId: quote.id,
+    });
+
+    return {
+      changesRequestedAt,
+      comments: [...(quote.comments || []), comment].map(publicComment),
     };
   });
 }
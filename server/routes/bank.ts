@@ -0,0 +1,373 @@
+import { db } from '../db';
+import { bankStatements, bankTransactions, bankReconciliations, expenses, expenseCategories } from '../db/schema';
+import { eq, and, gte, lt, desc, asc, inArray, isNull, isNotNull, count, sum, sql } from 'drizzle-orm';
+import { requirePermission } from '../lib/permissions';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { broadcast } from '../lib/pubsub';
+import { syncLedger, cashBalance } from '../lib/ledger';
+import { getDefaultCurrency } from '../lib/currency';
+import { matchExpenseRule } from '../lib/expenseRules';
+import {
+  MATCH_TYPES, MANUAL_WINDOW_DAYS, parseStatement, loadCandidates, matchedKeys, suggestMatches, manualCandidates,
+  clearStaleMatches, reconciliationCovering, type MatchType,
+} from '../lib/bankStatements';
+
+const guard = requirePermission('reconcile_bank');
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+const fmtDay = (d: Date) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+function periodLabel(r: { periodStart: Date; periodEnd: Date }) {
+  const last = new Date(r.periodEnd.getTime() - 1);
+  return `Bank reconciliation ${fmtDay(r.periodStart)} – ${fmtDay(last)}`;
+}
+
+/** ?startDate&endDate as [start, end) — endDate exclusive, like the reports */
+function parsePeriod(query: any) {
+  const start = new Date(query.startDate);
+  const end = new Date(query.endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) return null;
+  return { start, end };
+}
+
+async function findLine(id: string) {
+  const [line] = await db.select().from(bankTransactions).where(eq(bankTransactions.id, id));
+  if (!line) throw new Error('Bank transaction not found');
+  return line;
+}
+
+/** Lines in a reconciled period can't change until it's reopened */
+async function lockedMessage(date: Date) {
+  const rec = await reconciliationCovering(date);
+  return rec ? `${periodLabel(rec)} is closed — reopen it to change its lines` : null;
+}
+
+export default async function bankRoutes(fastify: any) {
+  // GET /api/bank/statements — imported statements, newest first
+  fastify.get('/statements', { preHandler: [guard] }, async () => {
+    const data = await db.select().from(bankStatements).orderBy(desc(bankStatements.periodEnd), desc(bankStatements.createdAt));
+    return { data };
+  });
+
+  // POST /api/bank/statements — multipart upload of an OFX/QFX or CSV statement; lines seen before are skipped
+  fastify.post('/statements', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const file = await request.file();
+    if (!file) return reply.code(400).send({ error: 'No file uploaded' });
+    const content = (await file.toBuffer()).toString('utf-8').replace(/^\uFEFF/, '');
+
+    let parsed;
+    try {
+      parsed = parseStatement(file.filename, content);
+    } catch (err: any) {
+      return reply.code(400).send({ error: `Could not read ${file.filename}: ${err.message}` });
+    }
+
+    const references = parsed.transactions.map(t => t.reference);
+    const existing = await db.select({ reference: bankTransactions.reference }).from(bankTransactions).where(inArray(bankTransactions.reference, references));
+    const seen = new Set(existing.map(r => r.reference));
+    const fresh = parsed.transactions.filter(t => !seen.has(t.reference));
+    if (fresh.length === 0) {
+      return reply.code(400).send({ error: 'Every transaction in this file has already been imported' });
+    }
+
+    const times = parsed.transactions.map(t => t.date.getTime());
+    const data = await db.transaction(async (tx) => {
+      const [statement] = await tx.insert(bankStatements).values({
+        fileName: file.filename,
+        format: parsed.format,
+        accountName: parsed.accountName,
+        periodStart: new Date(Math.min(...times)),
+        periodEnd: new Date(Math.max(...times)),
+        closingBalance: parsed.closingBalance,
+        transactionCount: fresh.length,
+        importedBy: actorFromRequest(request).userDisplayName,
+      }).returning();
+      await tx.insert(bankTransactions).values(fresh.map(t => ({
+        statementId: statement.id,
+        transactionDate: t.date,
+        amount: t.amount,
+        description: t.description,
+        reference: t.reference,
+      })));
+      return statement;
+    });
+
+    logActivity({ ...actorFromRequest(request), action: 'imported', entityType: 'bank_statement', entityId: data.id, entityLabel: `${data.fileName} (${fresh.length} transactions)` });
+    broadcast('bank_transaction', 'created', request.user.id, data.id);
+    return { data: { ...data, skipped: parsed.transactions.length - fresh.length } };
+  });
+
+  // DELETE /api/bank/statements/:id — drop a statement and its lines, unless any fall in a reconciled period
+  fastify.delete('/statements/:id', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const { id } = request.params;
+    const [statement] = await db.select().from(bankStatements).where(eq(bankStatements.id, id));
+    if (!statement) throw new Error('Bank statement not found');
+
+    const dates = await db.selectDistinct({ date: bankTransactions.transactionDate }).from(bankTransactions).where(eq(bankTransactions.statementId, id));
+    for (const { date } of dates) {
+      const locked = await lockedMessage(date);
+      if (locked) return reply.code(400).send({ error: locked });
+    }
+
+    await db.delete(bankStatements).where(eq(bankStatements.id, id));
+    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'bank_statement', entityId: id, entityLabel: statement.fileName });
+    broadcast('bank_transaction', 'deleted', request.user.id, id);
+    return { success: true };
+  });
+
+  // GET /api/bank/transactions?startDate&endDate&status=unmatched|matched|ignored — statement lines with what
+  // they're matched to, and suggested matches for the unmatched ones
+  fastify.get('/transactions', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const period = parsePeriod(request.query);
+    if (!period) return reply.code(400).send({ error: 'A valid startDate and endDate are required' });
+    await clearStaleMatches();
+
+    const conditions = [gte(bankTransactions.transactionDate, period.start), lt(bankTransactions.transactionDate, period.end)];
+    const { status } = request.query;
+    if (status === 'unmatched') conditions.push(isNull(bankTransactions.matchId), eq(bankTransactions.ignored, false));
+    if (status === 'matched') conditions.push(isNotNull(bankTransactions.matchId));
+    if (status === 'ignored') conditions.push(eq(bankTransactions.ignored, true));
+
+    const lines = await db.select().from(bankTransactions).where(and(...conditions)).orderBy(asc(bankTransactions.transactionDate), asc(bankTransactions.createdAt));
+
+    const unmatched = lines.filter(l => !l.matchId && !l.ignored);
+    const suggestions = await suggestMatches(unmatched);
+
+    // Describe matched records the same way suggestions are described — matches are never further away than the manual window
+    const matched = lines.filter(l => l.matchId);
+    const matchedRecords = new Map<string, { description: string; date: Date; amount: number }>();
+    if (matched.length > 0) {
+      const times = matched.map(l => l.transactionDate.getTime());
+      const span = (MANUAL_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000;
+      const nearby = await loadCandidates(new Date(Math.min(...times) - span), new Date(Math.max(...times) + span));
+      for (const c of nearby) matchedRecords.set(`${c.type}:${c.id}`, c);
+    }
+
+    const data = lines.map(l => ({
+      ...l,
+      match: l.matchId ? matchedRecords.get(`${l.matchType}:${l.matchId}`) || null : null,
+      suggestions: suggestions.get(l.id) || [],
+    }));
+    return { data };
+  });
+
+  // GET /api/bank/transactions/:id/candidates — records the line could be matched to by hand
+  fastify.get('/transactions/:id/candidates', { preHandler: [guard] }, async (request: any) => {
+    const line = await findLine(request.params.id);
+    return { data: await manualCandidates(line) };
+  });
+
+  // POST /api/bank/transactions/:id/match — { type: 'payment' | 'expense' | 'team_payment', id }
+  fastify.post('/transactions/:id/match', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const line = await findLine(request.params.id);
+    const type = request.body?.type as MatchType;
+    const recordId = request.body?.id;
+    if (!MATCH_TYPES.includes(type) || !recordId) return reply.code(400).send({ error: 'A record type and id are required' });
+
+    const locked = await lockedMessage(line.transactionDate);
+    if (locked) return reply.code(400).send({ error: locked });
+    // Same direction, within the manual window, and not already matched elsewhere
+    const candidate = (await manualCandidates(line)).find(c => c.type === type && c.id === recordId);
+    if (!candidate) return reply.code(400).send({ error: 'That record is already matched, or can\'t be matched to this bank transaction' });
+
+    const [data] = await db.update(bankTransactions)
+      .set({ matchType: type, matchId: recordId, ignored: false, matchedBy: actorFromRequest(request).userDisplayName, matchedAt: new Date() })
+      .where(eq(bankTransactions.id, line.id))
+      .returning();
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'bank_transaction', entityId: line.id, entityLabel: `Matched: ${line.description}` });
+    broadcast('bank_transaction', 'updated', request.user.id, line.id);
+    return { data };
+  });
+
+  // DELETE /api/bank/transactions/:id/match — back to unmatched
+  fastify.delete('/transactions/:id/match', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const line = await findLine(request.params.id);
+    const locked = await lockedMessage(line.transactionDate);
+    if (locked) return reply.code(400).send({ error: locked });
+
+    const [data] = await db.update(bankTransactions)
+      .set({ matchType: null, matchId: null, matchedBy: null, matchedAt: null })
+      .where(eq(bankTransactions.id, line.id))
+      .returning();
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'bank_transaction', entityId: line.id, entityLabel: `Unmatched: ${line.description}` });
+    broadcast('bank_transaction', 'updated', request.user.id, line.id);
+    return { data };
+  });
+
+  // PUT /api/bank/transactions/:id — { ignored } for lines that aren't in the books, like transfers between own accounts
+  fastify.put('/transactions/:id', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const line = await findLine(request.params.id);
+    const locked = await lockedMessage(line.transactionDate);
+    if (locked) return reply.code(400).send({ error: locked });
+
+    const ignored = !!request.body?.ignored;
+    const [data] = await db.update(bankTransactions)
+      .set({ ignored, ...(ignored && { matchType: null, matchId: null, matchedBy: null, matchedAt: null }) })
+      .where(eq(bankTransactions.id, line.id))
+      .returning();
+    broadcast('bank_transaction', 'updated', request.user.id, line.id);
+    return { data };
+  });
+
+  // POST /api/bank/transactions/:id/expense — { categoryId?, projectId?, description?, notes? } books an
+  // unmatched debit as an expense and matches the line to it
+  fastify.post('/transactions/:id/expense', { preHandler: [guard, requirePermission('manage_expenses')] }, async (request: any, reply: any) => {
+    const line = await findLine(request.params.id);
+    if (line.amount >= 0) return reply.code(400).send({ error: 'Only money going out can be booked as an expense' });
+    if (line.matchId) return reply.code(400).send({ error: 'This bank transaction is already matched' });
+    const locked = await lockedMessage(line.transactionDate);
+    if (locked) return reply.code(400).send({ error: locked });
+
+    const body = request.body || {};
+    if (body.categoryId) {
+      const [category] = await db.select({ id: expenseCategories.id }).from(expenseCategories).where(eq(expenseCategories.id, body.categoryId));
+      if (!category) return reply.code(400).send({ error: 'Expense category not found' });
+    }
+
+    const description = body.description?.trim() || line.description;
+    const rule = body.categoryId ? null : await matchExpenseRule(description);
+    const [expense] = await db.insert(expenses).values({
+      userId: request.user.id,
+      categoryId: body.categoryId || rule?.categoryId || null,
+      vendorId: rule?.vendorId || null,
+      projectId: body.projectId || null,
+      description,
+      amount: -line.amount,
+      type: 'expense',
+      expenseDate: line.transactionDate,
+      notes: body.notes || null,
+    }).returning();
+    await syncLedger('expense', expense.id);
+
+    const [data] = await db.update(bankTransactions)
+      .set({ matchType: 'expense', matchId: expense.id, ignored: false, matchedBy: actorFromRequest(request).userDisplayName, matchedAt: new Date() })
+      .where(eq(bankTransactions.id, line.id))
+      .returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'expense', entityId: expense.id, entityLabel: expense.description });
+    broadcast('expense', 'created', request.user.id, expense.id);
+    broadcast('bank_transaction', 'updated', request.user.id, line.id);
+    return { data: { ...data, expense } };
+  });
+
+  // GET /api/bank/summary?startDate&endDate — statement lines against the Cash & Bank account for a period,
+  // the book records no line is matched to, and the period's reconciliation if it has one
+  fastify.get('/summary', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const period = parsePeriod(request.query);
+    if (!period) return reply.code(400).send({ error: 'A valid startDate and endDate are required' });
+    const { start, end } = period;
+    await clearStaleMatches();
+
+    const inPeriod = and(gte(bankTransactions.transactionDate, start), lt(bankTransactions.transactionDate, end));
+    const [counts] = await db
+      .select({
+        lineCount: count(),
+        bankTotal: sum(sql`case when ${bankTransactions.ignored} then 0 else ${bankTransactions.amount} end`),
+        unmatchedCount: sql<number>`count(*) filter (where ${bankTransactions.matchId} is null and not ${bankTransactions.ignored})::int`,
+        ignoredCount: sql<number>`count(*) filter (where ${bankTransactions.ignored})::int`,
+      })
+      .from(bankTransactions)
+      .where(inPeriod);
+
+    const openingBook = await cashBalance(start);
+    const closingBook = await cashBalance(end);
+    const taken = await matchedKeys();
+    const outstanding = (await loadCandidates(start, end))
+      .filter(c => !taken.has(`${c.type}:${c.id}`))
+      .sort((a, b) => a.date.getTime() - b.date.getTime());
+
+    // The closing balance of the latest statement ending inside the period, for the reconcile form
+    const [statement] = await db
+      .select({ closingBalance: bankStatements.closingBalance })
+      .from(bankStatements)
+      .where(and(gte(bankStatements.periodEnd, start), lt(bankStatements.periodEnd, end), isNotNull(bankStatements.closingBalance)))
+      .orderBy(desc(bankStatements.periodEnd))
+      .limit(1);
+
+    const [reconciliation] = await db
+      .select()
+      .from(bankReconciliations)
+      .where(and(eq(bankReconciliations.periodStart, start), eq(bankReconciliations.periodEnd, end)));
+
+    const bankTotal = round2(parseFloat(counts?.bankTotal ?? '0') || 0);
+    const bookTotal = round2(closingBook - openingBook);
+    return {
+      currency: await getDefaultCurrency(),
+      lineCount: counts?.lineCount || 0,
+      unmatchedCount: counts?.unmatchedCount || 0,
+      ignoredCount: counts?.ignoredCount || 0,
+      bankTotal,
+      bookTotal,
+      difference: round2(bankTotal - bookTotal),
+      openingBook,
+      closingBook,
+      statementBalance: statement?.closingBalance ?? null,
+      outstanding,
+      reconciliation: reconciliation || null,
+    };
+  });
+
+  // GET /api/bank/reconciliations — reconciled periods, latest first
+  fastify.get('/reconciliations', { preHandler: [guard] }, async () => {
+    const data = await db.select().from(bankReconciliations).orderBy(desc(bankReconciliations.periodStart));
+    return { data };
+  });
+
+  // POST /api/bank/reconciliations — { periodStart, periodEnd (exclusive), statementBalance } closes a period once
+  // every statement line in it is matched or ignored
+  fastify.post('/reconciliations', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const period = parsePeriod({ startDate: request.body?.periodStart, endDate: request.body?.periodEnd });
+    const statementBalance = parseFloat(request.body?.statementBalance);
+    if (!period) return reply.code(400).send({ error: 'A reconciliation needs a valid period' });
+    if (isNaN(statementBalance)) return reply.code(400).send({ error: 'The statement closing balance is required' });
+    const { start, end } = period;
+
+    const overlapping = await db
+      .select({ id: bankReconciliations.id })
+      .from(bankReconciliations)
+      .where(and(lt(bankReconciliations.periodStart, end), sql`${bankReconciliations.periodEnd} > ${start}`));
+    if (overlapping.length > 0) return reply.code(400).send({ error: 'This period overlaps one that is already reconciled' });
+
+    await clearStaleMatches();
+    const inPeriod = and(gte(bankTransactions.transactionDate, start), lt(bankTransactions.transactionDate, end));
+    const [open] = await db
+      .select({ n: count() })
+      .from(bankTransactions)
+      .where(and(inPeriod, isNull(bankTransactions.matchId), eq(bankTransactions.ignored, false)));
+    if (open.n > 0) {
+      return reply.code(400).send({ error: `${open.n} bank transaction${open.n === 1 ? '' : 's'} in this period still need matching or ignoring` });
+    }
+
+    const [totals] = await db
+      .select({ bankTotal: sum(bankTransactions.amount) })
+      .from(bankTransactions)
+      .where(and(inPeriod, eq(bankTransactions.ignored, false)));
+    const openingBook = await cashBalance(start);
+    const bookBalance = await cashBalance(end);
+
+    const [data] = await db.insert(bankReconciliations).values({
+      periodStart: start,
+      periodEnd: end,
+      statementBalance: round2(statementBalance),
+      bookBalance,
+      bankTotal: round2(parseFloat(totals?.bankTotal ?? '0') || 0),
+      bookTotal: round2(bookBalance - openingBook),
+      reconciledBy: actorFromRequest(request).userDisplayName,
+    }).returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'reconciled', entityType: 'bank_reconciliation', entityId: data.id, entityLabel: periodLabel(data) });
+    broadcast('bank_transaction', 'updated', request.user.id, data.id);
+    return { data };
+  });
+
+  // DELETE /api/bank/reconciliations/:id — reopen a period
+  fastify.delete('/reconciliations/:id', { preHandler: [guard] }, async (request: any) => {
+    const [existing] = await db.delete(bankReconciliations).where(eq(bankReconciliations.id, request.params.id)).returning();
+    if (existing) {
+      logActivity({ ...actorFromRequest(request), action: 'reopened', entityType: 'bank_reconciliation', entityId: existing.id, entityLabel: periodLabel(existing) });
+      broadcast('bank_transaction', 'updated', request.user.id, existing.id);
+    }
+    return { success: true };
+  });
+}
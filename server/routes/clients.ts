@@ -5,6 +5,8 @@ import { deleteClientAndRelatedData } from '../lib/rpc';
 import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { broadcast } from '../lib/pubsub';
+import { normalizeCurrency } from '../lib/currency';
+import { parseDateInput } from '../lib/dates';
 
 export default async function clientRoutes(fastify: any) {
   // GET /api/clients
@@ -101,6 +103,13 @@ export default async function clientRoutes(fastify: any) {
       shippingState: body.shippingState || body.shipping_state || null,
       shippingPostalCode: body.shippingPostalCode || body.shipping_postal_code || null,
       shippingCountry: body.shippingCountry || body.shipping_country || null,
+      currency: normalizeCurrency(body.currency),
+      // Only when sent, so a CSV re-import doesn't clear an exemption
+      ...(body.taxExempt !== undefined && {
+        taxExempt: !!body.taxExempt,
+        taxExemptCertificate: body.taxExemptCertificate?.trim() || null,
+        taxExemptExpiresAt: parseDateInput(body.taxExemptExpiresAt),
+      }),
     };
   }
 
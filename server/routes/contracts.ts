@@ -0,0 +1,307 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { db } from '../db';
+import { contracts, contractTemplates, clients, projects, quotes, appSettings } from '../db/schema';
+import { eq, ne, and, or, ilike, desc, asc, count } from 'drizzle-orm';
+import { requirePermission } from '../lib/permissions';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { broadcast } from '../lib/pubsub';
+import { formatCurrency } from '../lib/currency';
+import { formatDocNumber } from '../lib/numbering';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_DOCS_DIR = path.join(__dirname, '..', 'uploads', 'project-docs');
+
+const writeGuard = requirePermission('manage_contracts');
+
+const formatDate = (d: Date | null | undefined) =>
+  d ? new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'long', day: 'numeric' }).format(d) : '';
+
+function clientDisplayName(client: any) {
+  if (!client) return '';
+  return client.displayName || [client.firstName, client.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * Replace [merge_field] placeholders with data from the linked client, project
+ * and quote. Unknown placeholders are left untouched so typos stay visible.
+ */
+async function renderMergeFields(text: string, refs: { clientId?: string | null; projectId?: string | null; quoteId?: string | null }) {
+  if (!text || !text.includes('[')) return text;
+
+  const [client, project, quote, companyRows] = await Promise.all([
+    refs.clientId ? db.query.clients.findFirst({ where: eq(clients.id, refs.clientId) }) : null,
+    refs.projectId ? db.query.projects.findFirst({ where: eq(projects.id, refs.projectId) }) : null,
+    refs.quoteId ? db.query.quotes.findFirst({ where: eq(quotes.id, refs.quoteId) }) : null,
+    db.select().from(appSettings).where(or(eq(appSettings.key, 'company_name'), eq(appSettings.key, 'app_name'))),
+  ]);
+  const company: Record<string, string> = {};
+  for (const r of companyRows) company[r.key] = r.value;
+
+  const address = client
+    ? [client.billingStreet, [client.billingCity, client.billingState].filter(Boolean).join(', '), client.billingPostalCode]
+        .filter(Boolean).join(' ')
+    : '';
+
+  const fields: Record<string, string> = {
+    company_name: company.company_name || company.app_name || '',
+    client_name: clientDisplayName(client) || quote?.clientName || '',
+    client_first_name: client?.firstName || '',
+    client_email: client?.email || '',
+    client_phone: client?.phone || '',
+    client_address: address,
+    project_title: project?.title || '',
+    event_date: formatDate(project?.shootStartDate || quote?.eventDate),
+    event_location: project?.location || quote?.eventLocation || '',
+    event_type: quote?.eventType || project?.projectType || '',
+    quote_number: quote ? formatDocNumber(quote.quoteNumber, quote.displayNumber) : '',
+    quote_total: quote ? formatCurrency(quote.total, quote.currency) : '',
+    today: formatDate(new Date()),
+  };
+
+  return text.replace(/\[([a-z_]+)\]/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+/** Fill in client/project from the quote when the caller only picked a quote */
+async function resolveRefs(body: any) {
+  const refs = {
+    clientId: body.clientId || null,
+    projectId: body.projectId || null,
+    quoteId: body.quoteId || null,
+  };
+  if (refs.quoteId && (!refs.clientId || !refs.projectId)) {
+    const [quote] = await db
+      .select({ clientId: quotes.clientId, projectId: quotes.projectId })
+      .from(quotes)
+      .where(eq(quotes.id, refs.quoteId));
+    if (quote) {
+      refs.clientId = refs.clientId || quote.clientId;
+      refs.projectId = refs.projectId || quote.projectId;
+    }
+  }
+  if (refs.projectId && !refs.clientId) {
+    const [project] = await db.select({ clientId: projects.clientId }).from(projects).where(eq(projects.id, refs.projectId));
+    refs.clientId = project?.clientId || null;
+  }
+  return refs;
+}
+
+const withRelations = {
+  client: true,
+  project: { columns: { id: true, title: true } },
+  quote: { columns: { id: true, quoteNumber: true, displayNumber: true } },
+  template: { columns: { id: true, name: true } },
+} as const;
+
+export default async function contractRoutes(fastify: any) {
+
+  // ── Templates ──
+
+  // GET /api/contracts/templates
+  fastify.get('/templates', async () => {
+    const data = await db.select().from(contractTemplates).orderBy(asc(contractTemplates.name));
+    return { data };
+  });
+
+  // POST /api/contracts/templates
+  fastify.post('/templates', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const { name, body } = request.body || {};
+    if (!name?.trim()) return reply.code(400).send({ error: 'Template name is required' });
+    const [data] = await db
+      .insert(contractTemplates)
+      .values({ name: name.trim(), body: body || '', userId: request.user.id })
+      .returning();
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'contract_template', entityId: data.id, entityLabel: data.name });
+    return { data };
+  });
+
+  // PUT /api/contracts/templates/:id
+  fastify.put('/templates/:id', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const { name, body } = request.body || {};
+    if (!name?.trim()) return reply.code(400).send({ error: 'Template name is required' });
+    const [data] = await db
+      .update(contractTemplates)
+      .set({ name: name.trim(), body: body || '', updatedAt: new Date() })
+      .where(eq(contractTemplates.id, request.params.id))
+      .returning();
+    if (!data) return reply.code(404).send({ error: 'Template not found' });
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'contract_template', entityId: data.id, entityLabel: data.name });
+    return { data };
+  });
+
+  // DELETE /api/contracts/templates/:id — contracts keep their rendered body (templateId → null)
+  fastify.delete('/templates/:id', { preHandler: [writeGuard] }, async (request: any) => {
+    const [existing] = await db.select({ name: contractTemplates.name }).from(contractTemplates).where(eq(contractTemplates.id, request.params.id));
+    await db.delete(contractTemplates).where(eq(contractTemplates.id, request.params.id));
+    if (existing) logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'contract_template', entityId: request.params.id, entityLabel: existing.name });
+    return { success: true };
+  });
+
+  // ── Contracts ──
+
+  // GET /api/contracts
+  fastify.get('/', async (request: any) => {
+    const { search, status, clientId, projectId, page = '0', pageSize = '50' } = request.query;
+
+    const conditions: any[] = [];
+    if (status) conditions.push(eq(contracts.status, status));
+    if (clientId) conditions.push(eq(contracts.clientId, clientId));
+    if (projectId) conditions.push(eq(contracts.projectId, projectId));
+    if (search) conditions.push(or(ilike(contracts.title, `%${search}%`), ilike(contracts.signerName, `%${search}%`)));
+    const where = conditions.length > 1 ? and(...conditions) : conditions[0] ?? undefined;
+
+    const [data, [{ total }]] = await Promise.all([
+      db.query.contracts.findMany({
+        where: where ? () => where : undefined,
+        columns: { signatureData: false },
+        with: withRelations,
+        orderBy: [desc(contracts.createdAt)],
+        limit: parseInt(pageSize),
+        offset: parseInt(page) * parseInt(pageSize),
+      }),
+      db.select({ total: count() }).from(contracts).where(where),
+    ]);
+
+    return { data, count: total };
+  });
+
+  // GET /api/contracts/:id
+  fastify.get('/:id', async (request: any, reply: any) => {
+    const data = await db.query.contracts.findFirst({
+      where: eq(contracts.id, request.params.id),
+      with: withRelations,
+    });
+    if (!data) return reply.code(404).send({ error: 'Contract not found' });
+    return { data };
+  });
+
+  // POST /api/contracts — create from a template (or a blank body), merging client/project/quote data
+  fastify.post('/', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const body = request.body || {};
+    const refs = await resolveRefs(body);
+
+    let text = body.body;
+    let title = body.title?.trim();
+    if (body.templateId) {
+      const template = await db.query.contractTemplates.findFirst({ where: eq(contractTemplates.id, body.templateId) });
+      if (!template) return reply.code(400).send({ error: 'Template not found' });
+      if (!text) text = template.body;
+      if (!title) title = template.name;
+    }
+    if (!title) return reply.code(400).send({ error: 'Contract title is required' });
+
+    const [created] = await db.insert(contracts).values({
+      userId: request.user.id,
+      templateId: body.templateId || null,
+      ...refs,
+      title,
+      body: await renderMergeFields(text || '', refs),
+      createdBy: request.userDisplayName || request.user.email,
+      lastEditedBy: request.userDisplayName || request.user.email,
+    }).returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'contract', entityId: created.id, entityLabel: created.title });
+    broadcast('contract', 'created', request.user.id, created.id);
+
+    const data = await db.query.contracts.findFirst({ where: eq(contracts.id, created.id), with: withRelations });
+    return { data };
+  });
+
+  // PUT /api/contracts/:id — edit title/body/links until the client has signed
+  fastify.put('/:id', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const [existing] = await db.select({ status: contracts.status }).from(contracts).where(eq(contracts.id, request.params.id));
+    if (!existing) return reply.code(404).send({ error: 'Contract not found' });
+    if (existing.status === 'signed') return reply.code(409).send({ error: 'Signed contracts cannot be edited' });
+
+    const body = request.body || {};
+    if (!body.title?.trim()) return reply.code(400).send({ error: 'Contract title is required' });
+    const refs = await resolveRefs(body);
+
+    // Editing a sent contract withdraws its link, so the client can't sign text that has since changed
+    const withdraw = existing.status === 'sent' ? { status: 'draft' as const, signingToken: null, sentAt: null } : {};
+
+    const [updated] = await db.update(contracts).set({
+      ...refs,
+      ...withdraw,
+      title: body.title.trim(),
+      body: await renderMergeFields(body.body || '', refs),
+      lastEditedBy: request.userDisplayName || request.user.email,
+      updatedAt: new Date(),
+    }).where(and(eq(contracts.id, request.params.id), ne(contracts.status, 'signed'))).returning();
+    if (!updated) return reply.code(409).send({ error: 'Signed contracts cannot be edited' });
+
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'contract', entityId: updated.id, entityLabel: updated.title });
+    broadcast('contract', 'updated', request.user.id, updated.id);
+
+    const data = await db.query.contracts.findFirst({ where: eq(contracts.id, updated.id), with: withRelations });
+    return { data };
+  });
+
+  // POST /api/contracts/:id/send — issue a signing link (reuses the existing token on re-send)
+  fastify.post('/:id/send', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const [existing] = await db.select().from(contracts).where(eq(contracts.id, request.params.id));
+    if (!existing) return reply.code(404).send({ error: 'Contract not found' });
+    if (existing.status === 'signed') return reply.code(409).send({ error: 'Contract is already signed' });
+
+    const [updated] = await db.update(contracts).set({
+      status: 'sent',
+      signingToken: existing.signingToken || crypto.randomBytes(16).toString('hex'),
+      sentAt: new Date(),
+      updatedAt: new Date(),
+    }).where(eq(contracts.id, existing.id)).returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'sent', entityType: 'contract', entityId: updated.id, entityLabel: updated.title });
+    broadcast('contract', 'updated', request.user.id, updated.id);
+
+    return { data: updated };
+  });
+
+  // POST /api/contracts/:id/void — revoke the signing link without deleting the record
+  fastify.post('/:id/void', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const [existing] = await db.select({ status: contracts.status }).from(contracts).where(eq(contracts.id, request.params.id));
+    if (!existing) return reply.code(404).send({ error: 'Contract not found' });
+    if (existing.status === 'signed') return reply.code(409).send({ error: 'Signed contracts cannot be voided' });
+
+    const [updated] = await db.update(contracts)
+      .set({ status: 'void', updatedAt: new Date() })
+      .where(eq(contracts.id, request.params.id))
+      .returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'voided', entityType: 'contract', entityId: updated.id, entityLabel: updated.title });
+    broadcast('contract', 'updated', request.user.id, updated.id);
+
+    return { data: updated };
+  });
+
+  // GET /api/contracts/:id/pdf — signed copy
+  fastify.get('/:id/pdf', async (request: any, reply: any) => {
+    const [contract] = await db.select().from(contracts).where(eq(contracts.id, request.params.id));
+    if (!contract?.signedFileName) return reply.code(404).send({ error: 'Signed PDF not found' });
+    try {
+      const buffer = await fs.readFile(path.join(PROJECT_DOCS_DIR, contract.signedFileName));
+      const asciiName = contract.title.replace(/[^\x20-\x7E]/g, '_').replace(/"/g, '\\"');
+      return reply
+        .header('Content-Type', 'application/pdf')
+        .header('Content-Disposition', `inline; filename="${asciiName} (signed).pdf"`)
+        .send(buffer);
+    } catch {
+      return reply.code(404).send({ error: 'File not found on disk' });
+    }
+  });
+
+  // DELETE /api/contracts/:id — the signed PDF stays in project documents if it was filed there
+  fastify.delete('/:id', { preHandler: [writeGuard] }, async (request: any) => {
+    const [existing] = await db.select().from(contracts).where(eq(contracts.id, request.params.id));
+    await db.delete(contracts).where(eq(contracts.id, request.params.id));
+    if (existing) {
+      if (existing.signedFileName && !existing.documentId) {
+        try { await fs.unlink(path.join(PROJECT_DOCS_DIR, existing.signedFileName)); } catch { /* already gone */ }
+      }
+      logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'contract', entityId: existing.id, entityLabel: existing.title });
+      broadcast('contract', 'deleted', request.user.id, existing.id);
+    }
+    return { success: true };
+  });
+}
@@ -0,0 +1,240 @@
+import { db } from '../db';
+import { creditNotes, creditNoteItems, invoices, payments, clientCredits, creditApplications } from '../db/schema';
+import { eq, and, desc } from 'drizzle-orm';
+import { allocateDocumentNumber, formatDocNumber } from '../lib/numbering';
+import { serializeItems, parseCreditNoteItems } from '../lib/items';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { getStripeInstance, recalculateInvoice, docLabel as invoiceLabel } from '../lib/stripe';
+import { parseDateInput } from '../lib/dates';
+import { broadcast } from '../lib/pubsub';
+import { formatCurrency } from '../lib/currency';
+import { parseTaxRates, taxBreakdown } from '../lib/tax';
+
+// How the credited amount goes back to the client. No method = the credit only reduces what's owed.
+const REFUND_METHODS = ['Cash', 'Check', 'Bank Transfer', 'PayPal', 'Stripe', 'Client Credit', 'Other'];
+
+function docLabel(doc: { creditNoteNumber: number; displayNumber: string | null }) {
+  return 'Credit Note #' + formatDocNumber(doc.creditNoteNumber, doc.displayNumber);
+}
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+const itemsOrdered = { orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)] };
+
+const creditNoteWith = {
+  items: itemsOrdered,
+  invoice: {
+    columns: { id: true, invoiceNumber: true, displayNumber: true },
+  },
+} as const;
+
+function withSerializedItems(doc: any) {
+  return { ...doc, items: serializeItems(doc.items ?? []) };
+}
+
+export default async function creditNoteRoutes(fastify: any) {
+  // GET /api/credit-notes?invoiceId=xxx&clientId=xxx
+  fastify.get('/', async (request: any) => {
+    const { invoiceId, clientId } = request.query;
+
+    const conditions: any[] = [];
+    if (invoiceId) conditions.push(eq(creditNotes.invoiceId, invoiceId));
+    if (clientId) conditions.push(eq(creditNotes.clientId, clientId));
+    const where = conditions.length > 1 ? and(...conditions) : conditions[0] ?? undefined;
+
+    const data = await db.query.creditNotes.findMany({
+      where: where ? () => where : undefined,
+      with: creditNoteWith,
+      orderBy: desc(creditNotes.issueDate),
+    });
+
+    return { data: data.map(withSerializedItems) };
+  });
+
+  // GET /api/credit-notes/:id
+  fastify.get('/:id', async (request: any) => {
+    const data = await db.query.creditNotes.findFirst({
+      where: eq(creditNotes.id, request.params.id),
+      with: creditNoteWith,
+    });
+    if (!data) throw new Error('Credit note not found');
+    return { data: withSerializedItems(data) };
+  });
+
+  // POST /api/credit-notes — issue a credit note against an invoice, optionally refunding it
+  fastify.post('/', async (request: any, reply: any) => {
+    const { invoiceId, reason, paymentId } = request.body;
+    const refundMethod = request.body.refundMethod || null;
+    const issueDate = parseDateInput(request.body.issueDate) ?? new Date();
+    const itemsData = (request.body.items ?? []).filter((item: any) => (parseFloat(item.total) || 0) > 0);
+
+    const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
+    if (!inv) throw new Error('Invoice not found');
+
+    if (itemsData.length === 0) {
+      return reply.code(400).send({ error: 'Add at least one item with an amount to credit' });
+    }
+    if (refundMethod && !REFUND_METHODS.includes(refundMethod)) {
+      return reply.code(400).send({ error: 'Unknown refund method' });
+    }
+
+    // Item totals are pre-tax, like invoice items; tax follows each item's rates, or the invoice's rate
+    const subtotal = round2(itemsData.reduce((s: number, item: any) => s + parseFloat(item.total), 0));
+    const lines = taxBreakdown(
+      itemsData.map((item: any) => ({ total: parseFloat(item.total), isTaxable: !!item.isTaxable, taxRates: parseTaxRates(item.taxRates) })),
+      { taxRate: inv.taxRate },
+    );
+    const tax = round2(lines.reduce((s, line) => s + line.amount, 0));
+    const total = round2(subtotal + tax);
+
+    const creditable = round2(inv.total - (inv.creditedAmount || 0));
+    if (total > creditable + 0.005) {
+      return reply.code(400).send({ error: `Only ${formatCurrency(creditable, inv.currency)} is left to credit on ${invoiceLabel(inv)}` });
+    }
+    if (refundMethod && total > (inv.paidAmount || 0) + 0.005) {
+      return reply.code(400).send({ error: `Can't refund more than the ${formatCurrency(inv.paidAmount, inv.currency)} paid on ${invoiceLabel(inv)}` });
+    }
+    if (refundMethod === 'Client Credit' && !inv.clientId) {
+      return reply.code(400).send({ error: 'This invoice has no client to hold the credit' });
+    }
+
+    // Stripe refunds go out before anything is saved — if Stripe declines, nothing is recorded
+    let stripeRefund: { id: string; payment: typeof payments.$inferSelect } | null = null;
+    if (refundMethod === 'Stripe') {
+      const [payment] = await db.select().from(payments).where(and(eq(payments.id, paymentId || ''), eq(payments.invoiceId, invoiceId)));
+      if (!payment?.stripePaymentIntentId) {
+        return reply.code(400).send({ error: 'Choose the Stripe payment to refund' });
+      }
+      if (total > payment.amount + 0.005) {
+        return reply.code(400).send({ error: `That Stripe payment only has ${formatCurrency(payment.amount, inv.currency)} left to refund` });
+      }
+      const stripe = await getStripeInstance();
+      const refund = await stripe.refunds.create({
+        payment_intent: payment.stripePaymentIntentId,
+        amount: Math.round(total * 100),
+      });
+      stripeRefund = { id: refund.id, payment };
+    }
+
+    const createdBy = request.userDisplayName || request.user.email;
+
+    // Number, note, items and refund rows in one transaction so a failed insert doesn't burn a number
+    const created = await db.transaction(async (tx) => {
+      const number = await allocateDocumentNumber(tx, 'credit_note', issueDate);
+      const [row] = await tx
+        .insert(creditNotes)
+        .values({
+          userId: request.user.id,
+          creditNoteNumber: number.seq,
+          displayNumber: number.displayNumber,
+          invoiceId,
+          clientId: inv.clientId,
+          clientName: inv.clientName,
+          subtotal,
+          tax,
+          taxRate: inv.taxRate,
+          total,
+          currency: inv.currency,
+          exchangeRate: inv.exchangeRate,
+          reason: reason || null,
+          refundMethod,
+          refundedAmount: refundMethod ? total : 0,
+          stripeRefundId: stripeRefund?.id ?? null,
+          issueDate,
+          createdBy,
+        })
+        .returning();
+
+      await tx.insert(creditNoteItems).values(parseCreditNoteItems(itemsData, row.id));
+
+      if (stripeRefund) {
+        // Same bookkeeping as the charge.refunded webhook; skip it if the webhook already got here
+        const [current] = await tx.select().from(payments).where(eq(payments.id, stripeRefund.payment.id));
+        const expectedRefunded = (stripeRefund.payment.stripeRefundedAmount || 0) + total;
+        if (current && (current.stripeRefundedAmount || 0) < expectedRefunded - 0.001) {
+          const remaining = round2(current.amount - total);
+          if (remaining <= 0.001) {
+            await tx.delete(payments).where(eq(payments.id, current.id));
+          } else {
+            await tx.update(payments)
+              .set({ amount: remaining, stripeRefundedAmount: expectedRefunded })
+              .where(eq(payments.id, current.id));
+          }
+        }
+      } else if (refundMethod) {
+        // Money going back out is a negative payment, so paid_amount stays the net received
+        await tx.insert(payments).values({
+          invoiceId,
+          amount: -total,
+          method: refundMethod,
+          paymentDate: issueDate,
+          creditNoteId: row.id,
+        });
+      }
+
+      if (refundMethod === 'Client Credit') {
+        await tx.insert(clientCredits).values({
+          clientId: inv.clientId!,
+          amount: total,
+          reason: `${docLabel(row)} against ${invoiceLabel(inv)}`,
+          sourceInvoiceNumber: inv.invoiceNumber,
+          creditNoteId: row.id,
+          createdBy,
+        });
+      }
+
+      return row;
+    });
+
+    await recalculateInvoice(invoiceId);
+
+    const refundNote = refundMethod ? ` (refunded via ${refundMethod})` : '';
+    logActivity({
+      ...actorFromRequest(request),
+      action: 'created',
+      entityType: 'credit_note',
+      entityId: created.id,
+      entityLabel: `${docLabel(created)} for ${formatCurrency(total, inv.currency)} on ${invoiceLabel(inv)}${refundNote}`,
+    });
+    broadcast('credit_note', 'created', request.user.id, created.id);
+    if (refundMethod === 'Client Credit') broadcast('credit', 'created', request.user.id);
+
+    const data = await db.query.creditNotes.findFirst({
+      where: eq(creditNotes.id, created.id),
+      with: creditNoteWith,
+    });
+    return { data: withSerializedItems(data) };
+  });
+
+  // DELETE /api/credit-notes/:id (items and refund payment cascade via DB)
+  fastify.delete('/:id', async (request: any, reply: any) => {
+    const [existing] = await db.select().from(creditNotes).where(eq(creditNotes.id, request.params.id));
+    if (!existing) throw new Error('Credit note not found');
+
+    if (existing.stripeRefundId) {
+      return reply.code(400).send({ error: 'This credit note was refunded through Stripe and can\'t be deleted' });
+    }
+    const [spent] = await db
+      .select({ id: creditApplications.id })
+      .from(creditApplications)
+      .innerJoin(clientCredits, eq(creditApplications.creditId, clientCredits.id))
+      .where(eq(clientCredits.creditNoteId, existing.id))
+      .limit(1);
+    if (spent) {
+      return reply.code(400).send({ error: 'The client credit from this note has been applied to an invoice. Remove that Credit payment first.' });
+    }
+
+    // Client credits outlive a deleted invoice, so they're only unlinked by the DB — remove them here
+    await db.transaction(async (tx) => {
+      await tx.delete(clientCredits).where(eq(clientCredits.creditNoteId, request.params.id));
+      await tx.delete(creditNotes).where(eq(creditNotes.id, request.params.id));
+    });
+    await recalculateInvoice(existing.invoiceId);
+
+    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'credit_note', entityId: request.params.id, entityLabel: docLabel(existing) });
+    broadcast('credit_note', 'deleted', request.user.id, request.params.id);
+    if (existing.refundMethod === 'Client Credit') broadcast('credit', 'deleted', request.user.id);
+
+    return { success: true };
+  });
+}
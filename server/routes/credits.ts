@@ -1,8 +1,12 @@
 import { db } from '../db';
-import { clientCredits } from '../db/schema';
+import { clientCredits, creditApplications, invoices } from '../db/schema';
 import { eq, desc } from 'drizzle-orm';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { broadcast } from '../lib/pubsub';
+import { applyClientCredit, getCreditCurrency } from '../lib/credits';
+import { docLabel } from '../lib/stripe';
+import { formatCurrency } from '../lib/currency';
+import { syncLedger } from '../lib/ledger';
 
 export default async function creditRoutes(fastify: any) {
   // GET /api/credits?clientId=xxx
@@ -10,13 +14,58 @@ export default async function creditRoutes(fastify: any) {
     const { clientId } = request.query;
     if (!clientId) return { data: [] };
 
-    const data = await db
-      .select()
-      .from(clientCredits)
-      .where(eq(clientCredits.clientId, clientId))
-      .orderBy(desc(clientCredits.createdAt));
+    const credits = await db.query.clientCredits.findMany({
+      where: eq(clientCredits.clientId, clientId),
+      with: {
+        applications: {
+          with: { invoice: { columns: { id: true, invoiceNumber: true, displayNumber: true } } },
+          orderBy: (applications: any, { asc }: any) => [asc(applications.createdAt)],
+        },
+      },
+      orderBy: desc(clientCredits.createdAt),
+    });
 
-    return { data };
+    const data = credits.map(c => {
+      const applied = c.applications.reduce((s, a) => s + a.amount, 0);
+      return { ...c, remaining: Math.round((c.amount - applied) * 100) / 100 };
+    });
+    return { data, currency: await getCreditCurrency(clientId) };
+  });
+
+  // POST /api/credits/apply — spend the client's available credit on an invoice
+  fastify.post('/apply', async (request: any, reply: any) => {
+    const { invoiceId } = request.body;
+    const amount = request.body.amount != null ? parseFloat(request.body.amount) : undefined;
+
+    const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
+    if (!inv) throw new Error('Invoice not found');
+    if (!inv.clientId) {
+      return reply.code(400).send({ error: 'This invoice has no client to take credit from' });
+    }
+    if (amount !== undefined && !(amount > 0)) {
+      return reply.code(400).send({ error: 'Enter an amount greater than zero' });
+    }
+    const creditCurrency = await getCreditCurrency(inv.clientId);
+    if (inv.currency !== creditCurrency) {
+      return reply.code(400).send({ error: `This client's credit is held in ${creditCurrency} and can't pay a ${inv.currency} invoice` });
+    }
+
+    const payment = await applyClientCredit(inv, { amount, appliedBy: request.userDisplayName || request.user.email });
+    if (!payment) {
+      return reply.code(400).send({ error: 'No credit available or nothing left to pay on this invoice' });
+    }
+
+    logActivity({
+      ...actorFromRequest(request),
+      action: 'applied',
+      entityType: 'credit',
+      entityId: payment.id,
+      entityLabel: `${formatCurrency(payment.amount, inv.currency)} credit to ${docLabel(inv)}`,
+    });
+    broadcast('payment', 'created', request.user.id, payment.id);
+    broadcast('credit', 'updated', request.user.id);
+
+    return { data: payment };
   });
 
   // POST /api/credits
@@ -32,6 +81,7 @@ export default async function creditRoutes(fastify: any) {
         createdBy: request.userDisplayName || request.user.email,
       })
       .returning();
+    await syncLedger('client_credit', credit.id);
 
     logActivity({
       ...actorFromRequest(request),
@@ -46,7 +96,7 @@ export default async function creditRoutes(fastify: any) {
   });
 
   // DELETE /api/credits/:id
-  fastify.delete('/:id', async (request: any) => {
+  fastify.delete('/:id', async (request: any, reply: any) => {
     const [credit] = await db
       .select()
       .from(clientCredits)
@@ -54,7 +104,13 @@ export default async function creditRoutes(fastify: any) {
 
     if (!credit) throw new Error('Credit not found');
 
+    const [applied] = await db.select({ id: creditApplications.id }).from(creditApplications).where(eq(creditApplications.creditId, credit.id)).limit(1);
+    if (applied) {
+      return reply.code(400).send({ error: 'This credit has been applied to an invoice. Remove that Credit payment first.' });
+    }
+
     await db.delete(clientCredits).where(eq(clientCredits.id, request.params.id));
+    await syncLedger('client_credit', request.params.id);
 
     logActivity({
       ...actorFromRequest(request),
@@ -1,8 +1,9 @@
 import { db } from '../db';
-import { expenseCategories } from '../db/schema';
+import { expenseCategories, expenses } from '../db/schema';
 import { eq, asc } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { syncLedger, renameCategoryAccount } from '../lib/ledger';
 
 const readGuard = requirePermission('view_expenses');
 const writeGuard = requirePermission('manage_categories');
@@ -48,6 +49,7 @@ export default async function expenseCategoryRoutes(fastify: any) {
       .set({ name, color: color || null, sortOrder: sortOrder ?? 0, updatedAt: new Date() })
       .where(eq(expenseCategories.id, request.params.id))
       .returning();
+    if (data) await renameCategoryAccount(data.id, data.name);
     if (data) logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'expense_category', entityId: data.id, entityLabel: data.name });
     return { data };
   });
@@ -55,7 +57,10 @@ export default async function expenseCategoryRoutes(fastify: any) {
   // DELETE /:id — delete a category (expenses get categoryId = null via ON DELETE SET NULL)
   fastify.delete('/:id', { preHandler: [writeGuard] }, async (request: any) => {
     const [existing] = await db.select({ name: expenseCategories.name }).from(expenseCategories).where(eq(expenseCategories.id, request.params.id));
+    const categorized = await db.select({ id: expenses.id }).from(expenses).where(eq(expenses.categoryId, request.params.id));
     await db.delete(expenseCategories).where(eq(expenseCategories.id, request.params.id));
+    // Their expenses fall back to the general expense account
+    for (const { id } of categorized) await syncLedger('expense', id);
     if (existing) logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'expense_category', entityId: request.params.id, entityLabel: existing.name });
     return { success: true };
   });
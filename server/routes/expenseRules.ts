@@ -0,0 +1,78 @@
+import { db } from '../db';
+import { expenseRules } from '../db/schema';
+import { eq, asc } from 'drizzle-orm';
+import { requirePermission } from '../lib/permissions';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { broadcast } from '../lib/pubsub';
+import { syncLedger } from '../lib/ledger';
+import { rerunExpenseRules } from '../lib/expenseRules';
+
+const readGuard = requirePermission('view_expenses');
+const writeGuard = requirePermission('manage_categories');
+
+function mapRuleBody(body: any) {
+  return {
+    pattern: (body.pattern || '').trim(),
+    categoryId: body.categoryId || null,
+    vendorId: body.vendorId || null,
+    sortOrder: body.sortOrder ?? 0,
+  };
+}
+
+export default async function expenseRuleRoutes(fastify: any) {
+
+  // GET / — list all rules in the order they are tried
+  fastify.get('/', { preHandler: [readGuard] }, async () => {
+    const data = await db
+      .select()
+      .from(expenseRules)
+      .orderBy(asc(expenseRules.sortOrder));
+    return { data };
+  });
+
+  // POST / — create a rule
+  fastify.post('/', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const mapped = mapRuleBody(request.body);
+    if (!mapped.pattern) return reply.code(400).send({ error: 'Enter the text to look for' });
+    if (!mapped.categoryId && !mapped.vendorId) return reply.code(400).send({ error: 'Choose a category or vendor for the rule' });
+    const [data] = await db
+      .insert(expenseRules)
+      .values({ ...mapped, userId: request.user.id })
+      .returning();
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'expense_rule', entityId: data.id, entityLabel: data.pattern });
+    return { data };
+  });
+
+  // POST /apply — re-run the rules on uncategorized expenses
+  fastify.post('/apply', { preHandler: [requirePermission('manage_expenses')] }, async (request: any) => {
+    const updated = await rerunExpenseRules();
+    for (const id of updated) await syncLedger('expense', id);
+    if (updated.length > 0) {
+      logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'expense', entityLabel: `${updated.length} expenses categorized by rules` });
+      broadcast('expense', 'updated', request.user.id);
+    }
+    return { count: updated.length };
+  });
+
+  // PUT /:id — update a rule
+  fastify.put('/:id', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const mapped = mapRuleBody(request.body);
+    if (!mapped.pattern) return reply.code(400).send({ error: 'Enter the text to look for' });
+    if (!mapped.categoryId && !mapped.vendorId) return reply.code(400).send({ error: 'Choose a category or vendor for the rule' });
+    const [data] = await db
+      .update(expenseRules)
+      .set({ ...mapped, updatedAt: new Date() })
+      .where(eq(expenseRules.id, request.params.id))
+      .returning();
+    if (data) logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'expense_rule', entityId: data.id, entityLabel: data.pattern });
+    return { data };
+  });
+
+  // DELETE /:id — delete a rule (expenses it categorized keep their category)
+  fastify.delete('/:id', { preHandler: [writeGuard] }, async (request: any) => {
+    const [existing] = await db.select({ pattern: expenseRules.pattern }).from(expenseRules).where(eq(expenseRules.id, request.params.id));
+    await db.delete(expenseRules).where(eq(expenseRules.id, request.params.id));
+    if (existing) logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'expense_rule', entityId: request.params.id, entityLabel: existing.pattern });
+    return { success: true };
+  });
+}
@@ -1,12 +1,18 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
 import { db } from '../db';
-import { expenses, expenseCategories, projects, teamPayments, recurringExpenses } from '../db/schema';
-import { eq, and, ilike, or, desc, asc, count, sum, sql, gte, lte, isNull } from 'drizzle-orm';
+import { expenses, expenseCategories, expenseReceipts, projects, teamPayments, recurringExpenses, vendors } from '../db/schema';
+import { eq, and, ilike, or, desc, asc, count, sum, sql, gte, lte, isNull, inArray, exists, notExists } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { parseDateInput } from '../lib/dates';
 import { getLinkedTeamPaymentId, syncTeamPaymentExpense } from '../lib/expenseSync';
 import { recalculateProjectTeamFinancials } from '../lib/teamCalc';
 import { broadcast } from '../lib/pubsub';
+import { syncLedger } from '../lib/ledger';
+import { RECEIPTS_DIR, receiptExtension, saveReceipt, receiptFiles, unlinkReceipts } from '../lib/receipts';
+import { previewImport } from '../lib/expenseImport';
+import { matchExpenseRule } from '../lib/expenseRules';
 
 const readGuard = requirePermission('view_expenses');
 const guard = requirePermission('manage_expenses');
@@ -43,8 +49,11 @@ async function getOrCreateCustomerPaymentId(userId: string): Promise<string> {
 
 async function mapBody(body: any, userId: string) {
   const isCredit = body.type === 'credit';
-  const categoryId = body.categoryId
+  // Left uncategorized: let the user's rules pick the category (and vendor, if none given)
+  const rule = !isCredit && !body.categoryId ? await matchExpenseRule(body.description) : null;
+  const categoryId = body.categoryId || rule?.categoryId
     || (isCredit ? await getOrCreateCustomerPaymentId(userId) : await getOrCreateUncategorizedId(userId));
+  const vendorId = body.vendorId || rule?.vendorId;
   return {
     categoryId,
     projectId: body.projectId || null,
@@ -52,10 +61,15 @@ async function mapBody(body: any, userId: string) {
     amount: parseFloat(body.amount),
     type: isCredit ? 'credit' as const : 'expense' as const,
     expenseDate: parseDateInput(body.expenseDate) ?? new Date(),
+    ...((body.vendorId !== undefined || vendorId) && { vendorId: vendorId || null }),
     notes: body.notes || null,
   };
 }
 
+function uploaderName(request: any): string {
+  return request.user?.name || request.user?.email || 'Unknown';
+}
+
 export default async function expenseRoutes(fastify: any) {
 
   // GET / — paginated list with filters
@@ -71,6 +85,7 @@ export default async function expenseRoutes(fastify: any) {
       startDate,
       endDate,
       source,
+      receipt,
     } = request.query;
 
     const skip = parseInt(page) * parseInt(pageSize);
@@ -81,6 +96,7 @@ export default async function expenseRoutes(fastify: any) {
       conditions.push(or(
         ilike(expenses.description, `%${search}%`),
         ilike(projects.title, `%${search}%`),
+        ilike(vendors.name, `%${search}%`),
       ));
     }
     if (categoryId) conditions.push(eq(expenses.categoryId, categoryId));
@@ -89,6 +105,14 @@ export default async function expenseRoutes(fastify: any) {
     if (startDate) conditions.push(gte(expenses.expenseDate, parseDateInput(startDate)!));
     if (endDate) conditions.push(lte(expenses.expenseDate, parseDateInput(endDate)!));
 
+    const receiptRows = db.select({ id: expenseReceipts.id }).from(expenseReceipts).where(eq(expenseReceipts.expenseId, expenses.id));
+    if (receipt === 'attached') conditions.push(exists(receiptRows));
+    if (receipt === 'needs_details') conditions.push(eq(expenses.needsDetails, true));
+    if (receipt === 'missing') {
+      // Team payments and credits are backed by their own records, not receipts
+      conditions.push(eq(expenses.type, 'expense'), isNull(expenses.teamPaymentId), notExists(receiptRows));
+    }
+
     const where = conditions.length > 0 ? and(...conditions) : undefined;
 
     const sortCol = orderBy === 'amount' ? expenses.amount : orderBy === 'createdAt' ? expenses.createdAt : expenses.expenseDate;
@@ -106,13 +130,17 @@ export default async function expenseRoutes(fastify: any) {
         categoryColor: expenseCategories.color,
         projectId: expenses.projectId,
         projectTitle: projects.title,
+        vendorId: expenses.vendorId,
+        vendorName: vendors.name,
         type: expenses.type,
         teamPaymentId: expenses.teamPaymentId,
+        needsDetails: expenses.needsDetails,
         createdAt: expenses.createdAt,
       })
         .from(expenses)
         .leftJoin(expenseCategories, eq(expenses.categoryId, expenseCategories.id))
         .leftJoin(projects, eq(expenses.projectId, projects.id))
+        .leftJoin(vendors, eq(expenses.vendorId, vendors.id))
         .where(where)
         .orderBy(orderFn)
         .limit(take)
@@ -120,10 +148,26 @@ export default async function expenseRoutes(fastify: any) {
       db.select({ total: count() })
         .from(expenses)
         .leftJoin(projects, eq(expenses.projectId, projects.id))
+        .leftJoin(vendors, eq(expenses.vendorId, vendors.id))
         .where(where),
     ]);
 
-    return { data, count: total };
+    const receipts = data.length > 0
+      ? await db.select({
+        id: expenseReceipts.id,
+        expenseId: expenseReceipts.expenseId,
+        originalName: expenseReceipts.originalName,
+        mimeType: expenseReceipts.mimeType,
+      })
+        .from(expenseReceipts)
+        .where(inArray(expenseReceipts.expenseId, data.map(e => e.id)))
+        .orderBy(asc(expenseReceipts.createdAt))
+      : [];
+
+    return {
+      data: data.map(e => ({ ...e, receipts: receipts.filter(r => r.expenseId === e.id) })),
+      count: total,
+    };
   });
 
   // GET /stats — aggregated stats for dashboard
@@ -209,11 +253,58 @@ export default async function expenseRoutes(fastify: any) {
       .insert(expenses)
       .values({ ...await mapBody(request.body, request.user.id), userId: request.user.id })
       .returning();
+    await syncLedger('expense', data.id);
     logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'expense', entityId: data.id, entityLabel: data.description });
     broadcast('expense', 'created', request.user.id, data.id);
     return { data };
   });
 
+  // POST /import/preview — parse a card/bank CSV and show what would be imported
+  fastify.post('/import/preview', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const { content, mapping, chargesNegative } = request.body || {};
+    if (!content) return reply.code(400).send({ error: 'No file content' });
+    try {
+      return { data: await previewImport(content, mapping || {}, chargesNegative ?? undefined) };
+    } catch (err: any) {
+      return reply.code(400).send({ error: err.message });
+    }
+  });
+
+  // POST /import — create the reviewed rows from a preview
+  fastify.post('/import', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const rows: any[] = (request.body?.rows || []).filter((r: any) => r.description && parseFloat(r.amount) > 0 && r.expenseDate);
+    if (rows.length === 0) return reply.code(400).send({ error: 'No rows to import' });
+
+    // Vendors named in the CSV but not on file yet
+    const vendorList = await db.select({ id: vendors.id, name: vendors.name }).from(vendors);
+    const vendorIds = new Map(vendorList.map(v => [v.name.trim().toLowerCase(), v.id]));
+    for (const row of rows.filter(r => !r.vendorId && r.vendorName)) {
+      const key = row.vendorName.trim().toLowerCase();
+      if (!vendorIds.has(key)) {
+        const [created] = await db
+          .insert(vendors)
+          .values({ name: row.vendorName.trim(), sortOrder: vendorIds.size, userId: request.user.id })
+          .returning({ id: vendors.id });
+        vendorIds.set(key, created.id);
+      }
+      row.vendorId = vendorIds.get(key);
+    }
+
+    const inserted = [];
+    for (const row of rows) {
+      const [data] = await db
+        .insert(expenses)
+        .values({ ...await mapBody({ ...row, vendorId: row.vendorId || null }, request.user.id), userId: request.user.id })
+        .returning({ id: expenses.id });
+      await syncLedger('expense', data.id);
+      inserted.push(data.id);
+    }
+
+    logActivity({ ...actorFromRequest(request), action: 'imported', entityType: 'expense', entityLabel: `${inserted.length} expenses` });
+    broadcast('expense', 'imported', request.user.id);
+    return { count: inserted.length };
+  });
+
   // PUT /:id — update expense
   fastify.put('/:id', { preHandler: [guard] }, async (request: any, reply: any) => {
     const { id } = request.params;
@@ -247,6 +338,7 @@ export default async function expenseRoutes(fastify: any) {
         status: updatedPayment.status,
         userId: request.user.id,
       });
+      await syncLedger('team_payment', linkedTeamPaymentId);
 
       const [data] = await db.select().from(expenses).where(eq(expenses.teamPaymentId, linkedTeamPaymentId));
       logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'expense', entityId: id, entityLabel: data?.description || '' });
@@ -254,12 +346,13 @@ export default async function expenseRoutes(fastify: any) {
       return { data };
     }
 
-    // Regular expense update
+    // Regular expense update — saving the form fills in a quick-captured receipt
     const [data] = await db
       .update(expenses)
-      .set({ ...await mapBody(request.body, request.user.id), updatedAt: new Date() })
+      .set({ ...await mapBody(request.body, request.user.id), needsDetails: false, updatedAt: new Date() })
       .where(eq(expenses.id, id))
       .returning();
+    await syncLedger('expense', id);
     if (data) logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'expense', entityId: data.id, entityLabel: data.description });
     if (data) broadcast('expense', 'updated', request.user.id, data.id);
     return { data };
@@ -278,9 +371,12 @@ export default async function expenseRoutes(fastify: any) {
         .where(eq(teamPayments.id, linkedTeamPaymentId));
 
       const [existing] = await db.select({ description: expenses.description }).from(expenses).where(eq(expenses.id, id));
+      const files = await receiptFiles([id]);
 
       // Delete team payment — expense auto-cascades via FK
       await db.delete(teamPayments).where(eq(teamPayments.id, linkedTeamPaymentId));
+      await syncLedger('team_payment', linkedTeamPaymentId);
+      await unlinkReceipts(files);
 
       if (tp?.projectId) await recalculateProjectTeamFinancials(tp.projectId);
       if (existing) logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'expense', entityId: id, entityLabel: existing.description });
@@ -292,9 +388,83 @@ export default async function expenseRoutes(fastify: any) {
 
     // Regular expense deletion
     const [existing] = await db.select({ description: expenses.description }).from(expenses).where(eq(expenses.id, id));
+    const files = await receiptFiles([id]);
     await db.delete(expenses).where(eq(expenses.id, id));
+    await syncLedger('expense', id);
+    await unlinkReceipts(files);
     if (existing) logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'expense', entityId: id, entityLabel: existing.description });
     broadcast('expense', 'deleted', request.user.id, id);
     return { success: true };
   });
+
+  // POST /capture — quick capture: save a receipt now, fill in the details later
+  fastify.post('/capture', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const file = await request.file();
+    if (!file) return reply.code(400).send({ error: 'No file uploaded' });
+    if (!receiptExtension(file)) return reply.code(400).send({ error: 'File type not allowed. Allowed: PDF, JPG, PNG, HEIC' });
+
+    const now = new Date();
+    const [data] = await db
+      .insert(expenses)
+      .values({
+        userId: request.user.id,
+        categoryId: await getOrCreateUncategorizedId(request.user.id),
+        description: `Receipt ${now.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+        amount: 0,
+        type: 'expense',
+        expenseDate: now,
+        needsDetails: true,
+      })
+      .returning();
+    const receipt = await saveReceipt(data.id, file, uploaderName(request));
+
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'expense', entityId: data.id, entityLabel: data.description });
+    broadcast('expense', 'created', request.user.id, data.id);
+    return { data: { ...data, receipts: [receipt] } };
+  });
+
+  // POST /:id/receipts — attach a receipt image or PDF
+  fastify.post('/:id/receipts', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const { id } = request.params;
+    const [expense] = await db.select({ id: expenses.id }).from(expenses).where(eq(expenses.id, id));
+    if (!expense) return reply.code(404).send({ error: 'Expense not found' });
+
+    const file = await request.file();
+    if (!file) return reply.code(400).send({ error: 'No file uploaded' });
+
+    const data = await saveReceipt(id, file, uploaderName(request));
+    if (!data) return reply.code(400).send({ error: 'File type not allowed. Allowed: PDF, JPG, PNG, HEIC' });
+
+    broadcast('expense', 'updated', request.user.id, id);
+    return { data };
+  });
+
+  // GET /receipts/:receiptId/file — serve a receipt inline
+  fastify.get('/receipts/:receiptId/file', { preHandler: [readGuard] }, async (request: any, reply: any) => {
+    const [receipt] = await db.select().from(expenseReceipts).where(eq(expenseReceipts.id, request.params.receiptId));
+    if (!receipt) return reply.code(404).send({ error: 'Receipt not found' });
+
+    try {
+      const buffer = await fs.readFile(path.join(RECEIPTS_DIR, receipt.fileName));
+      const asciiName = receipt.originalName.replace(/[^\x20-\x7E]/g, '_').replace(/"/g, '\\"');
+      const utf8Name = encodeURIComponent(receipt.originalName);
+      return reply
+        .header('Content-Type', receipt.mimeType)
+        .header('Content-Disposition', `inline; filename="${asciiName}"; filename*=UTF-8''${utf8Name}`)
+        .send(buffer);
+    } catch {
+      return reply.code(404).send({ error: 'File not found on disk' });
+    }
+  });
+
+  // DELETE /receipts/:receiptId — remove a receipt
+  fastify.delete('/receipts/:receiptId', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const [receipt] = await db.select().from(expenseReceipts).where(eq(expenseReceipts.id, request.params.receiptId));
+    if (!receipt) return reply.code(404).send({ error: 'Receipt not found' });
+
+    await db.delete(expenseReceipts).where(eq(expenseReceipts.id, receipt.id));
+    await unlinkReceipts([receipt.fileName]);
+    broadcast('expense', 'updated', request.user.id, receipt.expenseId);
+    return { success: true };
+  });
 }
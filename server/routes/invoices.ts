@@ -1,16 +1,22 @@
 import { db } from '../db';
-import { invoices, invoiceItems, payments, clientCredits } from '../db/schema';
-import { eq, ilike, or, and, asc as ascFn, desc as descFn, count, inArray } from 'drizzle-orm';
-import { getNextInvoiceNumber } from '../lib/rpc';
-import { serializeItems, parseInvoiceItems, replaceInvoiceItems } from '../lib/items';
+import { invoices, invoiceItems, invoiceInstallments, payments, clientCredits, creditApplications } from '../db/schema';
+import { eq, ilike, or, and, asc as ascFn, desc as descFn, count, inArray, sum } from 'drizzle-orm';
+import { allocateDocumentNumber, formatDocNumber } from '../lib/numbering';
+import { serializeItems, parseInvoiceItems, replaceInvoiceItems, applyTaxExemption } from '../lib/items';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { archiveProjectForDeletedInvoice } from '../lib/stripe';
 import { recalculateProjectTeamFinancials } from '../lib/teamCalc';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
-
-function docLabel(num: number) {
-  return 'Invoice #' + String(num).padStart(5, '0');
+import { resolveDocumentCurrency, formatCurrency } from '../lib/currency';
+import { autoApplyClientCredit } from '../lib/credits';
+import { parseInstallments, replaceInstallments, installmentSchedule } from '../lib/installments';
+import { invoiceTaxFilings } from '../lib/salesTax';
+import { syncLedger } from '../lib/ledger';
+import { listRevisions, currentRevision } from '../lib/revisions';
+
+function docLabel(doc: { invoiceNumber: number; displayNumber: string | null }) {
+  return 'Invoice #' + formatDocNumber(doc.invoiceNumber, doc.displayNumber);
 }
 
 const itemsOrdered = { orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)] };
@@ -59,10 +65,27 @@ const invoiceWith = {
   payments: true,
   items: itemsOrdered,
   projectTypeRel: true,
+  creditNotes: {
+    orderBy: (notes: any, { asc }: any) => [asc(notes.issueDate)],
+  },
+  installments: true,
+  reminders: {
+    orderBy: (reminders: any, { desc }: any) => [desc(reminders.sentAt)],
+  },
 } as const;
 
 function withSerializedItems(doc: any) {
-  return { ...doc, items: serializeItems(doc.items ?? []) };
+  return { ...doc, items: serializeItems(doc.items ?? []), installments: installmentSchedule(doc.installments ?? [], doc) };
+}
+
+/**
+ * With a payment plan, the invoice is due when its last installment is and
+ * the first installment is the deposit that books the project.
+ */
+function scheduleFields(rows: { amount: number; dueDate: Date }[]) {
+  if (rows.length === 0) return {};
+  const dueDate = rows[rows.length - 1].dueDate;
+  return rows.length > 1 ? { dueDate, depositAmount: rows[0].amount } : { dueDate };
 }
 
 export default async function invoiceRoutes(fastify: any) {
@@ -88,16 +111,18 @@ export default async function invoiceRoutes(fastify: any) {
       const asNum = parseInt(search);
       conditions.push(
         isNaN(asNum)
-          ? ilike(invoices.clientName, `%${search}%`)
+          ? or(ilike(invoices.clientName, `%${search}%`), ilike(invoices.displayNumber, `%${search}%`))
           : or(
               ilike(invoices.clientName, `%${search}%`),
               eq(invoices.invoiceNumber, asNum),
+              ilike(invoices.displayNumber, `%${search}%`),
             )
       );
     }
 
     const where = conditions.length > 1 ? and(...conditions) : conditions[0] ?? undefined;
-    const col = invoices[orderBy as keyof typeof invoices] as any;
+    // Sequences can reset yearly, so number order is creation order
+    const col = orderBy === 'invoiceNumber' ? invoices.createdAt : invoices[orderBy as keyof typeof invoices] as any;
     const orderFn = asc === 'true' ? ascFn(col) : descFn(col);
 
     const [data, [{ total }]] = await Promise.all([
@@ -121,59 +146,107 @@ export default async function invoiceRoutes(fastify: any) {
       with: invoiceWith,
     });
     if (!data) throw new Error('Invoice not found');
-    return { data: withSerializedItems(data) };
+    return { data: { ...withSerializedItems(data), taxFilings: await invoiceTaxFilings(data) } };
+  });
+
+  // GET /api/invoices/:id/revisions — versions sent to the client, newest first, and the invoice as it is now
+  fastify.get('/:id/revisions', async (request: any, reply: any) => {
+    const data = await db.query.invoices.findFirst({
+      where: eq(invoices.id, request.params.id),
+      with: { items: itemsOrdered },
+    });
+    if (!data) return reply.code(404).send({ error: 'Invoice not found' });
+    const current = await currentRevision('invoice', data);
+    return {
+      data: await listRevisions('invoice', data.id),
+      current: { revision: current.revision, unchanged: current.unchanged, snapshot: current.snapshot },
+    };
   });
 
   // POST /api/invoices
-  fastify.post('/', async (request: any) => {
+  fastify.post('/', async (request: any, reply: any) => {
+    const body = await applyTaxExemption(request.body, getClientId(request.body));
     const userId = request.user.id;
-    const invoiceNumber = await getNextInvoiceNumber();
-    const itemsData = request.body.items ?? [];
-
-    const [created] = await db
-      .insert(invoices)
-      .values({
-        ...mapInvoiceBody(request.body),
-        clientId: getClientId(request.body),
-        quoteId: getQuoteId(request.body),
-        projectId: getProjectId(request.body),
-        userId,
-        invoiceNumber,
-        createdBy: request.userDisplayName || request.user.email,
-        lastEditedBy: request.userDisplayName || request.user.email,
-      })
-      .returning();
+    const itemsData = body.items ?? [];
+    const currency = await resolveDocumentCurrency(body, getClientId(body));
+    if ('error' in currency) return reply.code(400).send({ error: currency.error });
+
+    const schedule = parseInstallments(body.installments ?? [], body.total ?? 0);
+    if ('error' in schedule) return reply.code(400).send({ error: schedule.error });
+
+    // Number and insert in one transaction so a failed insert doesn't burn a number
+    const created = await db.transaction(async (tx) => {
+      const number = await allocateDocumentNumber(tx, 'invoice');
+      const [row] = await tx
+        .insert(invoices)
+        .values({
+          ...mapInvoiceBody(body),
+          ...scheduleFields(schedule.rows),
+          ...currency,
+          clientId: getClientId(body),
+          quoteId: getQuoteId(body),
+          projectId: getProjectId(body),
+          userId,
+          invoiceNumber: number.seq,
+          displayNumber: number.displayNumber,
+          createdBy: request.userDisplayName || request.user.email,
+          lastEditedBy: request.userDisplayName || request.user.email,
+        })
+        .returning();
+      return row;
+    });
 
     if (itemsData.length > 0) {
       await db.insert(invoiceItems).values(parseInvoiceItems(itemsData, created.id));
     }
+    await replaceInstallments(created.id, schedule.rows);
+
+    await autoApplyClientCredit(created.id, actorFromRequest(request));
+    await syncLedger('invoice', created.id);
 
     const data = await db.query.invoices.findFirst({
       where: eq(invoices.id, created.id),
       with: invoiceWith,
     });
 
-    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'invoice', entityId: created.id, entityLabel: docLabel(invoiceNumber) });
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'invoice', entityId: created.id, entityLabel: docLabel(created) });
     broadcast('invoice', 'created', request.user.id, created.id);
 
     return { data: withSerializedItems(data) };
   });
 
   // PUT /api/invoices/:id
-  fastify.put('/:id', async (request: any) => {
-    const itemsData = request.body.items ?? [];
+  fastify.put('/:id', async (request: any, reply: any) => {
+    const body = await applyTaxExemption(request.body, getClientId(request.body));
+    const itemsData = body.items ?? [];
+
+    // Installments are optional in the body, but a plan left in place still has to match the total
+    let schedule: ReturnType<typeof parseInstallments> | null = null;
+    if (body.installments !== undefined) {
+      schedule = parseInstallments(body.installments, body.total ?? 0);
+    } else if (body.total !== undefined) {
+      const existing = await db.select().from(invoiceInstallments).where(eq(invoiceInstallments.invoiceId, request.params.id));
+      if (existing.length > 0) schedule = parseInstallments(existing.map(i => ({ ...i, dueDate: i.dueDate.toISOString() })), body.total);
+    }
+    if (schedule && 'error' in schedule) return reply.code(400).send({ error: schedule.error });
 
     const setData: any = {
-      ...mapInvoiceBody(request.body),
-      clientId: getClientId(request.body),
-      quoteId: getQuoteId(request.body),
+      ...mapInvoiceBody(body),
+      clientId: getClientId(body),
+      quoteId: getQuoteId(body),
       lastEditedBy: request.userDisplayName || request.user.email,
       updatedAt: new Date(),
     };
     // Only update projectId if explicitly provided — don't null it out
-    if (request.body.projectId !== undefined || request.body.project_id !== undefined) {
-      setData.projectId = getProjectId(request.body);
+    if (body.projectId !== undefined || body.project_id !== undefined) {
+      setData.projectId = getProjectId(body);
+    }
+    if (body.currency !== undefined) {
+      const currency = await resolveDocumentCurrency(body, setData.clientId);
+      if ('error' in currency) return reply.code(400).send({ error: currency.error });
+      Object.assign(setData, currency);
     }
+    if (schedule) Object.assign(setData, scheduleFields(schedule.rows));
 
     const [updated] = await db
       .update(invoices)
@@ -182,16 +255,32 @@ export default async function invoiceRoutes(fastify: any) {
       .returning();
 
     await replaceInvoiceItems(updated.id, itemsData);
+    if (schedule && body.installments !== undefined) await replaceInstallments(updated.id, schedule.rows);
+    await syncLedger('invoice', updated.id);
 
     const data = await db.query.invoices.findFirst({
       where: eq(invoices.id, updated.id),
       with: invoiceWith,
     });
 
-    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'invoice', entityId: updated.id, entityLabel: docLabel(updated.invoiceNumber) });
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'invoice', entityId: updated.id, entityLabel: docLabel(updated) });
     broadcast('invoice', 'updated', request.user.id, updated.id);
 
-    return { data: withSerializedItems(data) };
+    return { data: { ...withSerializedItems(data), taxFilings: await invoiceTaxFilings(data!) } };
+  });
+
+  // PUT /api/invoices/:id/reminders — pause or resume automatic payment reminders
+  fastify.put('/:id/reminders', async (request: any) => {
+    const [data] = await db
+      .update(invoices)
+      .set({ remindersPaused: !!request.body.paused, updatedAt: new Date() })
+      .where(eq(invoices.id, request.params.id))
+      .returning();
+    if (!data) throw new Error('Invoice not found');
+
+    logActivity({ ...actorFromRequest(request), action: data.remindersPaused ? 'paused' : 'resumed', entityType: 'invoice', entityId: data.id, entityLabel: `${docLabel(data)} reminders` });
+    broadcast('invoice', 'updated', request.user.id, data.id);
+    return { data: { id: data.id, remindersPaused: data.remindersPaused } };
   });
 
   // DELETE /api/invoices/:id (items + payments cascade via DB)
@@ -199,9 +288,11 @@ export default async function invoiceRoutes(fastify: any) {
     const [existing] = await db
       .select({
         invoiceNumber: invoices.invoiceNumber,
+        displayNumber: invoices.displayNumber,
         clientId: invoices.clientId,
         paidAmount: invoices.paidAmount,
         projectId: invoices.projectId,
+        currency: invoices.currency,
       })
       .from(invoices)
       .where(eq(invoices.id, request.params.id));
@@ -211,27 +302,37 @@ export default async function invoiceRoutes(fastify: any) {
     let creditCreated = false;
     let creditAmount = 0;
 
+    // Credit already applied here goes back to its original credit row when the invoice's
+    // applications cascade away, so only the rest of the payments become new credit
+    const [applied] = await db
+      .select({ total: sum(creditApplications.amount) })
+      .from(creditApplications)
+      .where(eq(creditApplications.invoiceId, request.params.id));
+    const paidOutsideCredit = Math.round((existing.paidAmount - (parseFloat(applied?.total || '0') || 0)) * 100) / 100;
+
     // Auto-create credit if the invoice had payments
-    if (existing.clientId && existing.paidAmount > 0) {
-      creditAmount = existing.paidAmount;
-      await db.insert(clientCredits).values({
+    if (existing.clientId && paidOutsideCredit > 0) {
+      creditAmount = paidOutsideCredit;
+      const [credit] = await db.insert(clientCredits).values({
         clientId: existing.clientId,
         amount: creditAmount,
-        reason: `Invoice ${docLabel(existing.invoiceNumber)} deleted — payments converted to credit`,
+        reason: `Invoice ${docLabel(existing)} deleted — payments converted to credit`,
         sourceInvoiceNumber: existing.invoiceNumber,
         createdBy: request.userDisplayName || request.user.email,
-      });
+      }).returning({ id: clientCredits.id });
+      await syncLedger('client_credit', credit.id);
       creditCreated = true;
       logActivity({
         ...actorFromRequest(request),
         action: 'created',
         entityType: 'credit',
-        entityLabel: `$${creditAmount.toFixed(2)} credit from ${docLabel(existing.invoiceNumber)}`,
+        entityLabel: `${formatCurrency(creditAmount, existing.currency)} credit from ${docLabel(existing)}`,
       });
     }
 
     await db.delete(invoices).where(eq(invoices.id, request.params.id));
-    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'invoice', entityId: request.params.id, entityLabel: docLabel(existing.invoiceNumber) });
+    await syncLedger('invoice', request.params.id);
+    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'invoice', entityId: request.params.id, entityLabel: docLabel(existing) });
     broadcast('invoice', 'deleted', request.user.id, request.params.id);
 
     // Archive linked project and recalculate its financials
@@ -250,6 +351,7 @@ export default async function invoiceRoutes(fastify: any) {
     // Delete payments first, then invoices (items cascade via FK)
     await db.delete(payments).where(inArray(payments.invoiceId, ids));
     await db.delete(invoices).where(inArray(invoices.id, ids));
+    for (const id of ids) await syncLedger('invoice', id);
     logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'invoice', entityLabel: `${ids.length} invoices` });
     broadcast('invoice', 'deleted', request.user.id);
     return { success: true };
@@ -1,13 +1,17 @@
 import { db } from '../db';
 import { invoices, payments, appSettings } from '../db/schema';
 import { eq, inArray } from 'drizzle-orm';
-import { getStripeInstance, recalculateInvoice, checkDepositAndBookProject } from '../lib/stripe';
+import { getStripeInstance, captureAuthorizedPayment, recalculateInvoice, checkDepositAndBookProject } from '../lib/stripe';
 import { createPayPalOrder, capturePayPalOrder } from '../lib/paypal';
 import { logActivity } from '../lib/activityLog';
 import { sendPaymentNotification } from '../lib/mailer';
+import { formatCurrency } from '../lib/currency';
+import { formatDocNumber, fileSafeDocNumber } from '../lib/numbering';
 import { composeCompanyInfo, COMPANY_INFO_KEYS } from '../lib/companyInfo';
 import { generateReceiptPdf } from '../lib/generateReceiptPdf';
 import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
+import { installmentSchedule, installmentDue } from '../lib/installments';
+import { recordDocumentView } from '../lib/documentViews';
 
 const TOKEN_REGEX = /^[a-f0-9]{32}$/;
 
@@ -15,7 +19,7 @@ async function findInvoiceByToken(token: string) {
   if (!TOKEN_REGEX.test(token)) return null;
   return db.query.invoices.findFirst({
     where: eq(invoices.paymentToken, token),
-    with: { client: true, payments: true },
+    with: { client: true, payments: true, installments: true },
   });
 }
 
@@ -25,6 +29,7 @@ export default async function payRoutes(fastify: any) {
     const { token } = request.params;
     const invoice = await findInvoiceByToken(token);
     if (!invoice) return reply.code(404).send({ error: 'Invoice not found or link has expired' });
+    recordDocumentView(request, 'invoice', invoice.id, 'page');
 
     // Fetch branding + stripe config
     const settingsRows = await db
@@ -42,23 +47,29 @@ export default async function payRoutes(fastify: any) {
     for (const s of settingsRows) settings[s.key] = s.value;
 
     const totalPaid = (invoice.payments || []).reduce((s: number, p: any) => s + p.amount, 0);
-    const balanceDue = Math.max(0, parseFloat((invoice.total - totalPaid).toFixed(2)));
+    const balanceDue = Math.max(0, parseFloat((invoice.total - (invoice.creditedAmount || 0) - totalPaid).toFixed(2)));
     const hasOnlinePayment = (invoice.payments || []).some((p: any) =>
       (p.method === 'Stripe' && p.stripePaymentIntentId) || (p.method === 'PayPal' && p.paypalOrderId)
     );
     const companyInfo = composeCompanyInfo(settings);
+    const schedule = installmentSchedule(invoice.installments, { ...invoice, paidAmount: totalPaid });
 
     return {
       invoice: {
         id: invoice.id,
         invoiceNumber: invoice.invoiceNumber,
+        displayNumber: invoice.displayNumber,
         clientName: invoice.clientName || invoice.client?.name || '',
         total: invoice.total,
+        currency: invoice.currency,
+        creditedAmount: invoice.creditedAmount || 0,
         paidAmount: totalPaid,
         balanceDue,
         hasOnlinePayment,
         status: invoice.status,
         createdAt: invoice.createdAt,
+        installments: schedule.map(i => ({ id: i.id, label: i.label, amount: i.amount, dueDate: i.dueDate, remaining: i.remaining, isPaid: i.isPaid })),
+        installmentDue: installmentDue(schedule),
       },
       stripe: {
         enabled: settings.stripe_enabled === 'true',
@@ -92,7 +103,7 @@ export default async function payRoutes(fastify: any) {
     if (!invoice) return reply.code(404).send({ error: 'Invoice not found' });
 
     const totalPaid = (invoice.payments || []).reduce((s: number, p: any) => s + p.amount, 0);
-    const balanceDue = Math.max(0, parseFloat((invoice.total - totalPaid).toFixed(2)));
+    const balanceDue = Math.max(0, parseFloat((invoice.total - (invoice.creditedAmount || 0) - totalPaid).toFixed(2)));
     if (balanceDue <= 0) return reply.code(400).send({ error: 'Invoice is already paid' });
 
     const { amount } = request.body || {};
@@ -104,10 +115,10 @@ export default async function payRoutes(fastify: any) {
     const stripe = await getStripeInstance();
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(payAmount * 100),
-      currency: 'usd',
+      currency: invoice.currency.toLowerCase(),
       metadata: {
         invoiceId: invoice.id,
-        invoiceNumber: String(invoice.invoiceNumber),
+        invoiceNumber: formatDocNumber(invoice.invoiceNumber, invoice.displayNumber),
         source: 'pay_online',
       },
       payment_method_types: ['card', 'link'],
@@ -143,15 +154,8 @@ export default async function payRoutes(fastify: any) {
 
     if (pi.status === 'requires_capture') {
       // Verify CVC for card payments before capturing
-      const charge = pi.latest_charge as any;
-      if (charge?.payment_method_details?.card) {
-        const cvcCheck = charge.payment_method_details.card.checks?.cvc_check;
-        if (cvcCheck === 'fail') {
-          await stripe.paymentIntents.cancel(paymentIntentId);
-          return reply.code(400).send({ error: 'Card security code (CVC) is incorrect. Payment was not charged. Please try again.' });
-        }
-      }
-      await stripe.paymentIntents.capture(paymentIntentId);
+      const captured = await captureAuthorizedPayment(stripe, pi);
+      if ('error' in captured) return reply.code(400).send({ error: captured.error });
     } else if (pi.status !== 'succeeded') {
       return reply.code(400).send({ error: 'Payment has not been confirmed by Stripe' });
     }
@@ -173,27 +177,36 @@ export default async function payRoutes(fastify: any) {
         stripePaymentIntentId: paymentIntentId,
         stripeRefundedAmount: 0,
       })
+      .onConflictDoNothing({ target: payments.stripePaymentIntentId })
       .returning();
 
+    // The webhook recorded it between our idempotency check and the capture
+    if (!payment) {
+      const [existing] = await db.select().from(payments).where(eq(payments.stripePaymentIntentId, paymentIntentId));
+      return { data: existing, alreadyRecorded: true };
+    }
+
     await recalculateInvoice(invoice.id);
     await checkDepositAndBookProject(invoice.id);
 
-    const docLabel = invoice.invoiceNumber ? `Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}` : '';
+    const docLabel = invoice.invoiceNumber ? `Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}` : '';
     logActivity({
       userId: 'system',
       userDisplayName: 'Online Payment',
       action: 'created',
       entityType: 'payment',
       entityId: payment.id,
-      entityLabel: `$${stripeAmount.toFixed(2)} online payment for ${docLabel}`,
+      entityLabel: `${formatCurrency(stripeAmount, invoice.currency)} online payment for ${docLabel}`,
     });
 
     sendPaymentNotification({
       invoiceNumber: invoice.invoiceNumber,
+      displayNumber: invoice.displayNumber,
       clientName: invoice.clientName,
       amount: stripeAmount,
       method: 'Stripe',
-      balanceDue: invoice.total - (invoice.paidAmount || 0) - stripeAmount,
+      balanceDue: invoice.total - (invoice.creditedAmount || 0) - (invoice.paidAmount || 0) - stripeAmount,
+      currency: invoice.currency,
     });
 
     const privilegedIds = await getPrivilegedUserIds();
@@ -201,7 +214,7 @@ export default async function payRoutes(fastify: any) {
       userIds: privilegedIds,
       type: 'payment_received',
       title: 'Payment Received',
-      message: `${invoice.clientName || 'Client'} paid $${stripeAmount.toFixed(2)} on Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}`,
+      message: `${invoice.clientName || 'Client'} paid ${formatCurrency(stripeAmount, invoice.currency)} on Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}`,
       entityType: 'invoice',
       entityId: invoice.id,
     });
@@ -218,7 +231,7 @@ export default async function payRoutes(fastify: any) {
     if (!invoice) return reply.code(404).send({ error: 'Invoice not found' });
 
     const totalPaid = (invoice.payments || []).reduce((s: number, p: any) => s + p.amount, 0);
-    const balanceDue = Math.max(0, parseFloat((invoice.total - totalPaid).toFixed(2)));
+    const balanceDue = Math.max(0, parseFloat((invoice.total - (invoice.creditedAmount || 0) - totalPaid).toFixed(2)));
     if (balanceDue <= 0) return reply.code(400).send({ error: 'Invoice is already paid' });
 
     const { amount } = request.body || {};
@@ -227,7 +240,7 @@ export default async function payRoutes(fastify: any) {
       return reply.code(400).send({ error: 'Invalid payment amount' });
     }
 
-    const result = await createPayPalOrder(payAmount, invoice.id, invoice.invoiceNumber);
+    const result = await createPayPalOrder(payAmount, invoice.id, formatDocNumber(invoice.invoiceNumber, invoice.displayNumber), invoice.currency);
     return result;
   });
 
@@ -255,27 +268,36 @@ export default async function payRoutes(fastify: any) {
         paymentDate: new Date(),
         paypalOrderId: orderID,
       })
+      .onConflictDoNothing({ target: payments.paypalOrderId })
       .returning();
 
+    // The webhook recorded the capture before we got here
+    if (!payment) {
+      const [existing] = await db.select().from(payments).where(eq(payments.paypalOrderId, orderID));
+      return { data: existing, alreadyRecorded: true };
+    }
+
     await recalculateInvoice(invoice.id);
     await checkDepositAndBookProject(invoice.id);
 
-    const docLabel = invoice.invoiceNumber ? `Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}` : '';
+    const docLabel = invoice.invoiceNumber ? `Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}` : '';
     logActivity({
       userId: 'system',
       userDisplayName: 'Online Payment',
       action: 'created',
       entityType: 'payment',
       entityId: payment.id,
-      entityLabel: `$${capture.amount.toFixed(2)} PayPal payment for ${docLabel}`,
+      entityLabel: `${formatCurrency(capture.amount, invoice.currency)} PayPal payment for ${docLabel}`,
     });
 
     sendPaymentNotification({
       invoiceNumber: invoice.invoiceNumber,
+      displayNumber: invoice.displayNumber,
       clientName: invoice.clientName,
       amount: capture.amount,
       method: 'PayPal',
-      balanceDue: invoice.total - (invoice.paidAmount || 0) - capture.amount,
+      balanceDue: invoice.total - (invoice.creditedAmount || 0) - (invoice.paidAmount || 0) - capture.amount,
+      currency: invoice.currency,
     });
 
     const privilegedIds2 = await getPrivilegedUserIds();
@@ -283,7 +305,7 @@ export default async function payRoutes(fastify: any) {
       userIds: privilegedIds2,
       type: 'payment_received',
       title: 'Payment Received',
-      message: `${invoice.clientName || 'Client'} paid $${capture.amount.toFixed(2)} on Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}`,
+      message: `${invoice.clientName || 'Client'} paid ${formatCurrency(capture.amount, invoice.currency)} on Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}`,
       entityType: 'invoice',
       entityId: invoice.id,
     });
@@ -330,9 +352,11 @@ export default async function payRoutes(fastify: any) {
 
     const pdfBytes = await generateReceiptPdf({
       invoiceNumber: invoice.invoiceNumber,
+      displayNumber: invoice.displayNumber,
       clientName: invoice.clientName || invoice.client?.name || 'Customer',
       amount: onlinePayment.amount,
       invoiceTotal: invoice.total,
+      currency: invoice.currency,
       previouslyPaid,
       paymentDate: onlinePayment.paymentDate,
       transactionId,
@@ -340,7 +364,7 @@ export default async function payRoutes(fastify: any) {
       settings,
     });
 
-    const fileName = `Receipt-${String(invoice.invoiceNumber).padStart(5, '0')}.pdf`;
+    const fileName = `Receipt-${fileSafeDocNumber(formatDocNumber(invoice.invoiceNumber, invoice.displayNumber))}.pdf`;
     reply.header('Content-Type', 'application/pdf');
     reply.header('Content-Disposition', `attachment; filename="${fileName}"`);
     reply.header('Content-Length', pdfBytes.length);
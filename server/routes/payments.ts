@@ -1,18 +1,150 @@
 import { db } from '../db';
-import { payments, invoices } from '../db/schema';
-import { eq } from 'drizzle-orm';
+import { payments, invoices, projects } from '../db/schema';
+import { eq, and, gte, lt, ilike, or, desc, asc, count, sum, sql, type SQL } from 'drizzle-orm';
+import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
-import { checkDepositAndBookProject, revertProjectIfUnpaid } from '../lib/stripe';
+import { recalculateInvoice, checkDepositAndBookProject, docLabel } from '../lib/stripe';
 import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
-import { recalculateProjectTeamFinancials } from '../lib/teamCalc';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
+import { formatCurrency, getDefaultCurrency } from '../lib/currency';
+import { CREDIT_PAYMENT_METHOD } from '../lib/credits';
+
+const readGuard = requirePermission('view_financial_summary');
+
+/** A YYYY-MM-DD filter date as local midnight, or null if it isn't one */
+function dayStart(date: any) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(date)) return null;
+  const start = new Date(`${date.slice(0, 10)}T00:00:00`);
+  return isNaN(start.getTime()) ? null : start;
+}
+
+/** Shared WHERE for the ledger list, totals and export */
+function ledgerWhere(query: any): { where: SQL | undefined } | { error: string } {
+  const { search, method, clientId, projectId, startDate, endDate } = query;
+  const conditions: any[] = [];
+  if (search) {
+    conditions.push(or(
+      ilike(invoices.clientName, `%${search}%`),
+      sql`${invoices.invoiceNumber}::text ILIKE ${'%' + search + '%'}`,
+      ilike(invoices.displayNumber, `%${search}%`),
+    ));
+  }
+  if (method) conditions.push(eq(payments.method, method));
+  if (clientId) conditions.push(eq(invoices.clientId, clientId));
+  if (projectId) conditions.push(eq(invoices.projectId, projectId));
+  // Whole days: payments are stamped with the time they came in, not noon
+  if (startDate) {
+    const start = dayStart(startDate);
+    if (!start) return { error: 'Invalid start date' };
+    conditions.push(gte(payments.paymentDate, start));
+  }
+  if (endDate) {
+    const end = dayStart(endDate);
+    if (!end) return { error: 'Invalid end date' };
+    end.setDate(end.getDate() + 1);
+    conditions.push(lt(payments.paymentDate, end));
+  }
+  return { where: conditions.length > 0 ? and(...conditions) : undefined };
+}
+
+const ledgerColumns = {
+  id: payments.id,
+  amount: payments.amount,
+  currency: invoices.currency,
+  method: payments.method,
+  paymentDate: payments.paymentDate,
+  invoiceId: payments.invoiceId,
+  invoiceNumber: invoices.invoiceNumber,
+  displayNumber: invoices.displayNumber,
+  clientId: invoices.clientId,
+  clientName: invoices.clientName,
+  projectId: invoices.projectId,
+  projectTitle: projects.title,
+  stripePaymentIntentId: payments.stripePaymentIntentId,
+  paypalOrderId: payments.paypalOrderId,
+  creditNoteId: payments.creditNoteId,
+};
 
 export default async function paymentRoutes(fastify: any) {
+  // GET /api/payments — cross-invoice ledger with per-method totals
+  fastify.get('/', { preHandler: [readGuard] }, async (request: any, reply: any) => {
+    const {
+      page = '0',
+      pageSize = '50',
+      orderBy = 'paymentDate',
+      asc: ascending = 'false',
+    } = request.query;
+
+    const skip = parseInt(page) * parseInt(pageSize);
+    const take = parseInt(pageSize);
+    const filter = ledgerWhere(request.query);
+    if ('error' in filter) return reply.code(400).send({ error: filter.error });
+    const { where } = filter;
+
+    const sortCol = orderBy === 'amount' ? payments.amount : payments.paymentDate;
+    const orderFn = ascending === 'true' ? asc(sortCol) : desc(sortCol);
+
+    const [data, [{ total }], byMethod, methods, currency] = await Promise.all([
+      db.select(ledgerColumns)
+        .from(payments)
+        .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+        .leftJoin(projects, eq(invoices.projectId, projects.id))
+        .where(where)
+        .orderBy(orderFn)
+        .limit(take)
+        .offset(skip),
+      db.select({ total: count() })
+        .from(payments)
+        .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+        .where(where),
+      // Totals are converted to the default currency at each invoice's recorded rate
+      db.select({ method: payments.method, total: sum(sql`${payments.amount} * ${invoices.exchangeRate}`), count: count() })
+        .from(payments)
+        .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+        .where(where)
+        .groupBy(payments.method),
+      db.selectDistinct({ method: payments.method }).from(payments),
+      getDefaultCurrency(),
+    ]);
+
+    const totals = byMethod
+      .map(m => ({ method: m.method, total: parseFloat(m.total || '0'), count: m.count }))
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      data,
+      count: total,
+      currency,
+      totals: {
+        total: totals.reduce((s, m) => s + m.total, 0),
+        byMethod: totals,
+      },
+      methods: methods.map(m => m.method).sort(),
+    };
+  });
+
+  // GET /api/payments/export — every matching row for CSV export
+  fastify.get('/export', { preHandler: [readGuard] }, async (request: any, reply: any) => {
+    const filter = ledgerWhere(request.query);
+    if ('error' in filter) return reply.code(400).send({ error: filter.error });
+    const data = await db.select(ledgerColumns)
+      .from(payments)
+      .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+      .leftJoin(projects, eq(invoices.projectId, projects.id))
+      .where(filter.where)
+      .orderBy(desc(payments.paymentDate));
+    return { data };
+  });
+
   // POST /api/payments
-  fastify.post('/', async (request: any) => {
+  fastify.post('/', async (request: any, reply: any) => {
     const { invoiceId, amount, method, paymentDate } = request.body;
 
+    if (method === CREDIT_PAYMENT_METHOD) {
+      return reply.code(400).send({ error: 'Use "Apply credit" so the payment is drawn from the client\'s credit balance' });
+    }
+
     const [payment] = await db
       .insert(payments)
       .values({
@@ -23,36 +155,13 @@ export default async function paymentRoutes(fastify: any) {
       })
       .returning();
 
-    // Recalculate invoice paid_amount and status
-    const allPayments = await db
-      .select()
-      .from(payments)
-      .where(eq(payments.invoiceId, invoiceId));
-    const totalPaid = allPayments.reduce((s, p) => s + p.amount, 0);
-
-    const [inv] = await db
-      .select({ total: invoices.total, projectId: invoices.projectId })
-      .from(invoices)
-      .where(eq(invoices.id, invoiceId));
-
-    let status: 'pending' | 'partial' | 'paid' = 'pending';
-    if (totalPaid >= inv.total) {
-      status = 'paid';
-    } else if (totalPaid > 0) {
-      status = 'partial';
-    }
-
-    await db
-      .update(invoices)
-      .set({ paidAmount: totalPaid, status, updatedAt: new Date() })
-      .where(eq(invoices.id, invoiceId));
-
+    // Recalculate invoice paid_amount and status (net of credit notes)
+    await recalculateInvoice(invoiceId);
     await checkDepositAndBookProject(invoiceId);
-    recalculateProjectTeamFinancials(inv.projectId);
 
-    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, clientName: invoices.clientName }).from(invoices).where(eq(invoices.id, invoiceId));
-    const invLabel = parentInv ? 'Invoice #' + String(parentInv.invoiceNumber).padStart(5, '0') : '';
-    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `$${parseFloat(amount).toFixed(2)} for ${invLabel}` });
+    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, currency: invoices.currency }).from(invoices).where(eq(invoices.id, invoiceId));
+    const invLabel = docLabel(parentInv);
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `${formatCurrency(amount, parentInv?.currency)} for ${invLabel}` });
     broadcast('payment', 'created', request.user.id, payment.id);
 
     const privilegedIds = await getPrivilegedUserIds();
@@ -60,7 +169,7 @@ export default async function paymentRoutes(fastify: any) {
       userIds: privilegedIds,
       type: 'payment_received',
       title: 'Payment Received',
-      message: `${parentInv?.clientName || 'Client'} paid $${parseFloat(amount).toFixed(2)} on ${invLabel}`,
+      message: `${parentInv?.clientName || 'Client'} paid ${formatCurrency(amount, parentInv?.currency)} on ${invLabel}`,
       entityType: 'invoice',
       entityId: invoiceId,
     });
@@ -76,44 +185,22 @@ export default async function paymentRoutes(fastify: any) {
       .where(eq(payments.id, request.params.id));
     if (!payment) throw new Error('Payment not found');
 
-    const { invoiceId } = payment;
-    await db.delete(payments).where(eq(payments.id, request.params.id));
-
-    // Recalculate invoice paid_amount and status
-    const remainingPayments = await db
-      .select()
-      .from(payments)
-      .where(eq(payments.invoiceId, invoiceId));
-    const totalPaid = remainingPayments.reduce((s, p) => s + p.amount, 0);
-
-    const [inv] = await db
-      .select({ total: invoices.total, projectId: invoices.projectId })
-      .from(invoices)
-      .where(eq(invoices.id, invoiceId));
-
-    let status: 'pending' | 'partial' | 'paid' = 'pending';
-    if (totalPaid >= inv.total) {
-      status = 'paid';
-    } else if (totalPaid > 0) {
-      status = 'partial';
+    if (payment.creditNoteId) {
+      return reply.code(400).send({ error: 'This refund belongs to a credit note. Delete the credit note instead.' });
     }
 
-    await db
-      .update(invoices)
-      .set({ paidAmount: totalPaid, status, updatedAt: new Date() })
-      .where(eq(invoices.id, invoiceId));
-
-    recalculateProjectTeamFinancials(inv.projectId);
+    // A Credit payment's applications cascade with it, which returns the amount to the client's credit
+    const { invoiceId } = payment;
+    await db.delete(payments).where(eq(payments.id, request.params.id));
 
-    // If all payments removed, revert linked project from 'booked' → 'lead'
-    if (totalPaid === 0) {
-      await revertProjectIfUnpaid(invoiceId);
-    }
+    // Recalculate invoice paid_amount and status; reverts a linked project to 'lead' once nothing is paid
+    await recalculateInvoice(invoiceId);
 
-    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber }).from(invoices).where(eq(invoices.id, invoiceId));
-    const invLabel = parentInv ? 'Invoice #' + String(parentInv.invoiceNumber).padStart(5, '0') : '';
-    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'payment', entityId: request.params.id, entityLabel: `$${payment.amount.toFixed(2)} from ${invLabel}` });
+    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, currency: invoices.currency }).from(invoices).where(eq(invoices.id, invoiceId));
+    const invLabel = docLabel(parentInv);
+    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'payment', entityId: request.params.id, entityLabel: `${formatCurrency(payment.amount, parentInv?.currency)} from ${invLabel}` });
     broadcast('payment', 'deleted', request.user.id, request.params.id);
+    if (payment.method === CREDIT_PAYMENT_METHOD) broadcast('credit', 'updated', request.user.id);
 
     return { success: true };
   });
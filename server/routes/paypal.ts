@@ -3,10 +3,181 @@ import { payments, invoices } from '../db/schema';
 import { eq } from 'drizzle-orm';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { recalculateInvoice, checkDepositAndBookProject, docLabel } from '../lib/stripe';
-import { createPayPalOrder, capturePayPalOrder } from '../lib/paypal';
+import { createPayPalOrder, capturePayPalOrder, verifyPayPalWebhook, getPayPalCaptureOrderId } from '../lib/paypal';
 import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
+import { sendPaymentNotification } from '../lib/mailer';
+import { formatCurrency } from '../lib/currency';
+import { formatDocNumber } from '../lib/numbering';
+import { broadcast } from '../lib/pubsub';
+
+/** Capture and refund resources carry the order id in supplementary_data; refunds may only link "up" to the capture */
+async function resolveOrderId(resource: any): Promise<string | null> {
+  const orderId = resource?.supplementary_data?.related_ids?.order_id;
+  if (orderId) return orderId;
+  const captureHref = (resource?.links || []).find((l: any) => l.rel === 'up')?.href || '';
+  const captureId = captureHref.match(/\/captures\/([^/?]+)/)?.[1];
+  return captureId ? getPayPalCaptureOrderId(captureId) : null;
+}
+
+/**
+ * PAYMENT.CAPTURE.COMPLETED — record the capture if the pay page never
+ * reported back. Keyed on the order id, so it is a no-op after capture-order.
+ */
+async function handleCaptureCompleted(capture: any) {
+  const orderId = await resolveOrderId(capture);
+  const invoiceId = capture?.custom_id;
+  if (!orderId || !invoiceId) return;
+
+  const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
+  if (!inv) return;
+
+  const amount = parseFloat(capture.amount?.value || '0');
+  if (amount <= 0) return;
+
+  const [payment] = await db
+    .insert(payments)
+    .values({
+      invoiceId,
+      amount,
+      method: 'PayPal',
+      paymentDate: capture.create_time ? new Date(capture.create_time) : new Date(),
+      paypalOrderId: orderId,
+    })
+    .onConflictDoNothing({ target: payments.paypalOrderId })
+    .returning();
+  if (!payment) return; // already recorded
+
+  await recalculateInvoice(invoiceId);
+  await checkDepositAndBookProject(invoiceId);
+  broadcast('payment', 'created', 'system', payment.id);
+
+  logActivity({
+    userId: 'system',
+    userDisplayName: 'PayPal Webhook',
+    action: 'created',
+    entityType: 'payment',
+    entityId: payment.id,
+    entityLabel: `${formatCurrency(amount, inv.currency)} PayPal payment for ${docLabel(inv)}`,
+  });
+
+  sendPaymentNotification({
+    invoiceNumber: inv.invoiceNumber,
+    displayNumber: inv.displayNumber,
+    clientName: inv.clientName,
+    amount,
+    method: 'PayPal',
+    balanceDue: inv.total - (inv.creditedAmount || 0) - (inv.paidAmount || 0) - amount,
+    currency: inv.currency,
+  });
+
+  const privilegedIds = await getPrivilegedUserIds();
+  notifyUsers({
+    userIds: privilegedIds,
+    type: 'payment_received',
+    title: 'Payment Received',
+    message: `${inv.clientName || 'Client'} paid ${formatCurrency(amount, inv.currency)} on ${docLabel(inv)}`,
+    entityType: 'invoice',
+    entityId: invoiceId,
+  });
+}
+
+/**
+ * PAYMENT.CAPTURE.REFUNDED / REVERSED — shrink or remove the payment.
+ * Refunds report the cumulative refunded total, so redelivery is harmless;
+ * one without that breakdown adds its own amount to what's already recorded.
+ * A reversal (chargeback) takes back the whole capture.
+ */
+async function handleCaptureRefunded(resource: any, reversed: boolean) {
+  const orderId = await resolveOrderId(resource);
+  if (!orderId) return;
+
+  const [payment] = await db.select().from(payments).where(eq(payments.paypalOrderId, orderId));
+  if (!payment) return;
+
+  const alreadyRefunded = payment.paypalRefundedAmount || 0;
+  const originalAmount = payment.amount + alreadyRefunded;
+  const cumulative = resource.seller_payable_breakdown?.total_refunded_amount?.value;
+  const totalRefunded = reversed
+    ? originalAmount
+    : cumulative !== undefined
+      ? parseFloat(cumulative) || 0
+      : alreadyRefunded + (parseFloat(resource.amount?.value) || 0);
+  if (totalRefunded <= alreadyRefunded + 0.001) return;
+
+  const fullyRefunded = totalRefunded >= originalAmount - 0.001;
+  if (fullyRefunded) {
+    await db.delete(payments).where(eq(payments.id, payment.id));
+  } else {
+    await db.update(payments).set({
+      amount: originalAmount - totalRefunded,
+      paypalRefundedAmount: totalRefunded,
+    }).where(eq(payments.id, payment.id));
+  }
+
+  await recalculateInvoice(payment.invoiceId);
+  broadcast('payment', fullyRefunded ? 'deleted' : 'updated', 'system', payment.id);
+
+  const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, currency: invoices.currency }).from(invoices).where(eq(invoices.id, payment.invoiceId));
+  const delta = totalRefunded - alreadyRefunded;
+  logActivity({
+    userId: 'system',
+    userDisplayName: 'PayPal Webhook',
+    action: 'deleted',
+    entityType: 'payment',
+    entityId: payment.id,
+    entityLabel: `${formatCurrency(delta, parentInv?.currency)} PayPal ${reversed ? 'reversal' : 'refund'} for ${docLabel(parentInv)}`,
+  });
+
+  if (reversed) {
+    const privilegedIds = await getPrivilegedUserIds();
+    notifyUsers({
+      userIds: privilegedIds,
+      type: 'payment_disputed',
+      title: 'Payment Reversed',
+      message: `PayPal reversed ${formatCurrency(delta, parentInv?.currency)} from ${parentInv?.clientName || 'Client'} on ${docLabel(parentInv)}`,
+      entityType: 'invoice',
+      entityId: payment.invoiceId,
+    });
+  }
+}
 
 export default async function paypalRoutes(fastify: any) {
+  // POST /api/paypal/webhook — public, verified against PayPal before use.
+  // Verification needs the body exactly as sent, hence the scoped string parser.
+  fastify.register(async (scope: any) => {
+    scope.removeContentTypeParser('application/json');
+    scope.addContentTypeParser('application/json', { parseAs: 'string' }, (_req: any, body: string, done: any) => done(null, body));
+
+    scope.post('/webhook', async (request: any, reply: any) => {
+      const rawBody = typeof request.body === 'string' ? request.body : '';
+      let event: any;
+      try { event = JSON.parse(rawBody); }
+      catch { return reply.code(400).send({ error: 'Invalid payload' }); }
+
+      let verified = false;
+      try {
+        verified = await verifyPayPalWebhook(request.headers, rawBody);
+      } catch (err: any) {
+        return reply.code(400).send({ error: `Webhook verification failed: ${err.message}` });
+      }
+      if (!verified) return reply.code(400).send({ error: 'Webhook verification failed' });
+
+      switch (event.event_type) {
+        case 'PAYMENT.CAPTURE.COMPLETED':
+          await handleCaptureCompleted(event.resource);
+          break;
+        case 'PAYMENT.CAPTURE.REFUNDED':
+          await handleCaptureRefunded(event.resource, false);
+          break;
+        case 'PAYMENT.CAPTURE.REVERSED':
+          await handleCaptureRefunded(event.resource, true);
+          break;
+      }
+
+      return { received: true };
+    });
+  });
+
   // POST /api/paypal/create-order
   fastify.post('/create-order', async (request: any) => {
     const { invoiceId, amount } = request.body;
@@ -15,10 +186,10 @@ export default async function paypalRoutes(fastify: any) {
     const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
     if (!inv) throw new Error('Invoice not found');
 
-    const balance = inv.total - inv.paidAmount;
+    const balance = inv.total - (inv.creditedAmount || 0) - inv.paidAmount;
     if (amount > balance + 0.01) throw new Error('Amount exceeds balance due');
 
-    const result = await createPayPalOrder(amount, invoiceId, inv.invoiceNumber);
+    const result = await createPayPalOrder(amount, invoiceId, formatDocNumber(inv.invoiceNumber, inv.displayNumber), inv.currency);
     return result;
   });
 
@@ -42,20 +213,27 @@ export default async function paypalRoutes(fastify: any) {
         paymentDate: new Date(),
         paypalOrderId: orderID,
       })
+      .onConflictDoNothing({ target: payments.paypalOrderId })
       .returning();
 
+    // The webhook recorded the capture before we got here
+    if (!payment) {
+      const [existing] = await db.select().from(payments).where(eq(payments.paypalOrderId, orderID));
+      return { data: existing, alreadyRecorded: true };
+    }
+
     await recalculateInvoice(invoiceId);
     await checkDepositAndBookProject(invoiceId);
 
-    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, clientName: invoices.clientName }).from(invoices).where(eq(invoices.id, invoiceId));
-    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `$${capture.amount.toFixed(2)} PayPal payment for ${docLabel(parentInv?.invoiceNumber)}` });
+    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, currency: invoices.currency }).from(invoices).where(eq(invoices.id, invoiceId));
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `${formatCurrency(capture.amount, parentInv?.currency)} PayPal payment for ${docLabel(parentInv)}` });
 
     const privilegedIds = await getPrivilegedUserIds();
     notifyUsers({
       userIds: privilegedIds,
       type: 'payment_received',
       title: 'Payment Received',
-      message: `${parentInv?.clientName || 'Client'} paid $${capture.amount.toFixed(2)} on ${docLabel(parentInv?.invoiceNumber)}`,
+      message: `${parentInv?.clientName || 'Client'} paid ${formatCurrency(capture.amount, parentInv?.currency)} on ${docLabel(parentInv)}`,
       entityType: 'invoice',
       entityId: invoiceId,
     });
@@ -5,6 +5,7 @@ import { generatePdfBase64 } from '../lib/generatePdf';
 import { db } from '../db';
 import { pdfDocuments, quotes, invoices } from '../db/schema';
 import { eq } from 'drizzle-orm';
+import { recordDocumentView } from '../lib/documentViews';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const documentsDir = path.join(__dirname, '..', 'uploads', 'documents');
@@ -61,6 +62,10 @@ export default async function pdfRoutes(fastify: any) {
     const displayName = pdfDoc.fileName.replace(/-[a-f0-9]{32}/, '');
     const fileBuffer = fs.readFileSync(filePath);
 
+    if (pdfDoc.documentType === 'quote' || pdfDoc.documentType === 'invoice') {
+      recordDocumentView(request, pdfDoc.documentType, pdfDoc.documentId, 'pdf');
+    }
+
     reply.header('Content-Type', 'application/pdf');
     reply.header('Content-Disposition', `inline; filename="${displayName}"`);
     reply.header('Content-Length', fileBuffer.length);
@@ -1,14 +1,17 @@
 import { db } from '../db';
-import { quotes, quoteItems } from '../db/schema';
+import { quotes, quoteItems, quoteComments } from '../db/schema';
 import { eq, ilike, or, and, asc as ascFn, desc as descFn, count, inArray, sql } from 'drizzle-orm';
-import { getNextQuoteNumber } from '../lib/rpc';
-import { serializeItems, parseQuoteItems, replaceQuoteItems } from '../lib/items';
+import { allocateDocumentNumber, formatDocNumber } from '../lib/numbering';
+import { serializeItems, parseQuoteItems, replaceQuoteItems, applyTaxExemption } from '../lib/items';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
+import { resolveDocumentCurrency } from '../lib/currency';
+import { isQuoteExpired } from '../lib/quoteFollowUps';
+import { listRevisions, currentRevision, MAX_COMMENT_LENGTH } from '../lib/revisions';
 
-function docLabel(num: number) {
-  return 'Quote #' + String(num).padStart(5, '0');
+function docLabel(doc: { quoteNumber: number; displayNumber: string | null }) {
+  return 'Quote #' + formatDocNumber(doc.quoteNumber, doc.displayNumber);
 }
 
 const itemsOrdered = { orderBy: (items: any, { asc }: any) => [asc(items.sortOrder)] };
@@ -34,6 +37,7 @@ function mapQuoteBody(body: any) {
     eventType: body.eventType || body.event_type || null,
     projectTypeId: body.projectTypeId || body.project_type_id || null,
     terms: body.terms ?? null,
+    validUntil: parseDateInput(body.validUntil || body.valid_until),
   };
 }
 
@@ -68,16 +72,18 @@ export default async function quoteRoutes(fastify: any) {
       const asNum = parseInt(search);
       conditions.push(
         isNaN(asNum)
-          ? ilike(quotes.clientName, `%${search}%`)
+          ? or(ilike(quotes.clientName, `%${search}%`), ilike(quotes.displayNumber, `%${search}%`))
           : or(
               ilike(quotes.clientName, `%${search}%`),
               eq(quotes.quoteNumber, asNum),
+              ilike(quotes.displayNumber, `%${search}%`),
             )
       );
     }
 
     const where = conditions.length > 1 ? and(...conditions) : conditions[0] ?? undefined;
-    const col = quotes[orderBy as keyof typeof quotes] as any;
+    // Sequences can reset yearly, so number order is creation order
+    const col = orderBy === 'quoteNumber' ? quotes.createdAt : quotes[orderBy as keyof typeof quotes] as any;
     // For approvedAt, push NULLs last so approved quotes sort to the top
     const orderFn = orderBy === 'approvedAt'
       ? sql`${col} DESC NULLS LAST`
@@ -107,24 +113,83 @@ export default async function quoteRoutes(fastify: any) {
     return { data: withSerializedItems(data) };
   });
 
+  // GET /api/quotes/:id/revisions — versions sent to the client, newest first, and the quote as it is now
+  fastify.get('/:id/revisions', async (request: any, reply: any) => {
+    const data = await db.query.quotes.findFirst({
+      where: eq(quotes.id, request.params.id),
+      with: { items: itemsOrdered },
+    });
+    if (!data) return reply.code(404).send({ error: 'Quote not found' });
+    const current = await currentRevision('quote', data);
+    return {
+      data: await listRevisions('quote', data.id),
+      current: { revision: current.revision, unchanged: current.unchanged, snapshot: current.snapshot },
+    };
+  });
+
+  // GET /api/quotes/:id/comments — the thread with the client, oldest first
+  fastify.get('/:id/comments', async (request: any) => {
+    const data = await db
+      .select()
+      .from(quoteComments)
+      .where(eq(quoteComments.quoteId, request.params.id))
+      .orderBy(ascFn(quoteComments.createdAt));
+    return { data };
+  });
+
+  // POST /api/quotes/:id/comments — reply in the thread; the client sees it on the approval page
+  fastify.post('/:id/comments', async (request: any, reply: any) => {
+    const body = String(request.body?.body ?? '').trim();
+    if (!body) return reply.code(400).send({ error: 'Comment cannot be empty' });
+    if (body.length > MAX_COMMENT_LENGTH) return reply.code(400).send({ error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` });
+
+    const [quote] = await db
+      .select({ id: quotes.id, quoteNumber: quotes.quoteNumber, displayNumber: quotes.displayNumber })
+      .from(quotes)
+      .where(eq(quotes.id, request.params.id));
+    if (!quote) return reply.code(404).send({ error: 'Quote not found' });
+
+    const [data] = await db.insert(quoteComments).values({
+      quoteId: quote.id,
+      fromClient: false,
+      userId: request.user.id,
+      authorName: request.userDisplayName || request.user.email,
+      body,
+    }).returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'commented', entityType: 'quote', entityId: quote.id, entityLabel: docLabel(quote) });
+    broadcast('quote', 'updated', request.user.id, quote.id);
+
+    return { data };
+  });
+
   // POST /api/quotes
-  fastify.post('/', async (request: any) => {
+  fastify.post('/', async (request: any, reply: any) => {
+    const body = await applyTaxExemption(request.body, getClientId(request.body));
     const userId = request.user.id;
-    const quoteNumber = await getNextQuoteNumber();
-    const itemsData = request.body.items ?? [];
-
-    const [created] = await db
-      .insert(quotes)
-      .values({
-        ...mapQuoteBody(request.body),
-        clientId: getClientId(request.body),
-        projectId: getProjectId(request.body),
-        userId,
-        quoteNumber,
-        createdBy: request.userDisplayName || request.user.email,
-        lastEditedBy: request.userDisplayName || request.user.email,
-      })
-      .returning();
+    const itemsData = body.items ?? [];
+    const currency = await resolveDocumentCurrency(body, getClientId(body));
+    if ('error' in currency) return reply.code(400).send({ error: currency.error });
+
+    // Number and insert in one transaction so a failed insert doesn't burn a number
+    const created = await db.transaction(async (tx) => {
+      const number = await allocateDocumentNumber(tx, 'quote');
+      const [row] = await tx
+        .insert(quotes)
+        .values({
+          ...mapQuoteBody(body),
+          ...currency,
+          clientId: getClientId(body),
+          projectId: getProjectId(body),
+          userId,
+          quoteNumber: number.seq,
+          displayNumber: number.displayNumber,
+          createdBy: request.userDisplayName || request.user.email,
+          lastEditedBy: request.userDisplayName || request.user.email,
+        })
+        .returning();
+      return row;
+    });
 
     if (itemsData.length > 0) {
       await db.insert(quoteItems).values(parseQuoteItems(itemsData, created.id));
@@ -135,26 +200,34 @@ export default async function quoteRoutes(fastify: any) {
       with: { client: true, items: itemsOrdered },
     });
 
-    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'quote', entityId: created.id, entityLabel: docLabel(quoteNumber) });
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'quote', entityId: created.id, entityLabel: docLabel(created) });
     broadcast('quote', 'created', request.user.id, created.id);
 
     return { data: withSerializedItems(data) };
   });
 
   // PUT /api/quotes/:id
-  fastify.put('/:id', async (request: any) => {
-    const itemsData = request.body.items ?? [];
+  fastify.put('/:id', async (request: any, reply: any) => {
+    const body = await applyTaxExemption(request.body, getClientId(request.body));
+    const itemsData = body.items ?? [];
 
     const setData: any = {
-      ...mapQuoteBody(request.body),
-      clientId: getClientId(request.body),
+      ...mapQuoteBody(body),
+      clientId: getClientId(body),
       lastEditedBy: request.userDisplayName || request.user.email,
       updatedAt: new Date(),
     };
     // Only update projectId if explicitly provided — don't null it out
-    if (request.body.projectId !== undefined || request.body.project_id !== undefined) {
-      setData.projectId = getProjectId(request.body);
+    if (body.projectId !== undefined || body.project_id !== undefined) {
+      setData.projectId = getProjectId(body);
+    }
+    if (body.currency !== undefined) {
+      const currency = await resolveDocumentCurrency(body, setData.clientId);
+      if ('error' in currency) return reply.code(400).send({ error: currency.error });
+      Object.assign(setData, currency);
     }
+    // An extended validity gets its own expiry notice
+    if (!isQuoteExpired(setData)) setData.expiryNotifiedAt = null;
 
     const [updated] = await db
       .update(quotes)
@@ -169,7 +242,7 @@ export default async function quoteRoutes(fastify: any) {
       with: { client: true, items: itemsOrdered },
     });
 
-    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'quote', entityId: updated.id, entityLabel: docLabel(updated.quoteNumber) });
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'quote', entityId: updated.id, entityLabel: docLabel(updated) });
     broadcast('quote', 'updated', request.user.id, updated.id);
 
     return { data: withSerializedItems(data) };
@@ -177,10 +250,10 @@ export default async function quoteRoutes(fastify: any) {
 
   // DELETE /api/quotes/:id
   fastify.delete('/:id', async (request: any) => {
-    const [existing] = await db.select({ quoteNumber: quotes.quoteNumber }).from(quotes).where(eq(quotes.id, request.params.id));
+    const [existing] = await db.select({ quoteNumber: quotes.quoteNumber, displayNumber: quotes.displayNumber }).from(quotes).where(eq(quotes.id, request.params.id));
     await db.delete(quotes).where(eq(quotes.id, request.params.id));
     if (existing) {
-      logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'quote', entityId: request.params.id, entityLabel: docLabel(existing.quoteNumber) });
+      logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'quote', entityId: request.params.id, entityLabel: docLabel(existing) });
       broadcast('quote', 'deleted', request.user.id, request.params.id);
     }
     return { success: true };
@@ -4,6 +4,8 @@ import { eq, and, desc, asc } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { parseDateInput } from '../lib/dates';
+import { syncLedger } from '../lib/ledger';
+import { matchExpenseRule } from '../lib/expenseRules';
 
 const guard = requirePermission('manage_expenses');
 
@@ -23,9 +25,11 @@ async function getOrCreateUncategorizedId(userId: string): Promise<string> {
 }
 
 async function mapBody(body: any, userId: string) {
-  const categoryId = body.categoryId || await getOrCreateUncategorizedId(userId);
+  const rule = body.categoryId ? null : await matchExpenseRule(body.description);
+  const categoryId = body.categoryId || rule?.categoryId || await getOrCreateUncategorizedId(userId);
   return {
     categoryId,
+    ...(rule?.vendorId && { vendorId: rule.vendorId }),
     projectId: body.projectId || null,
     description: body.description,
     amount: parseFloat(body.amount),
@@ -95,16 +99,18 @@ export default async function recurringExpenseRoutes(fastify: any) {
       .returning();
 
     // Create first expense entry immediately
-    await db.insert(expenses).values({
+    const [first] = await db.insert(expenses).values({
       userId: request.user.id,
       categoryId: template.categoryId,
       projectId: template.projectId,
       description: template.description,
       amount: template.amount,
+      vendorId: template.vendorId,
       notes: template.notes,
       expenseDate: template.startDate,
       recurringExpenseId: template.id,
-    });
+    }).returning({ id: expenses.id });
+    await syncLedger('expense', first.id);
 
     // Advance nextDueDate and set lastGeneratedDate
     const nextDue = calculateNextDueDate(template.startDate, template.frequency);
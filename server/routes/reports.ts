@@ -1,14 +1,28 @@
 import { db } from '../db';
-import { invoices, expenses, expenseCategories, projects, teamPayments, teamSalary, teamMembers } from '../db/schema';
+import { invoices, payments, creditNotes, taxFilings, expenses, expenseCategories, projects, teamPayments, teamSalary, teamMembers } from '../db/schema';
 import { eq, and, gte, lt, sql, desc, count, isNull } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
+import { getDefaultCurrency } from '../lib/currency';
+import { filingPeriods, salesTaxRows, sumSalesTaxRows, changesSinceFiling, filingSnapshot, taxByJurisdiction } from '../lib/salesTax';
+import type { TaxBasis, FilingFrequency } from '../lib/salesTax';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { trialBalance, balanceSheet, journal, journalTotals, rebuildLedger } from '../lib/ledger';
+
+/** "Sales tax Jan 2026 – Mar 2026 (accrual)" for the activity log */
+function filingLabel(f: { periodStart: Date; periodEnd: Date; basis: string }) {
+  const month = (d: Date) => d.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  const first = month(f.periodStart);
+  const last = month(new Date(f.periodEnd.getTime() - 1));
+  return `Sales tax ${first === last ? first : `${first} – ${last}`} (${f.basis})`;
+}
 
 export default async function reportsRoutes(fastify: any) {
   const guard = requirePermission('view_financial_summary');
 
-  // GET / — all report data for a period
+  // GET / — all report data for a period. `basis`: cash (when money moved) or accrual (when it was invoiced or owed).
   fastify.get('/', { preHandler: [guard] }, async (request: any) => {
     const { year, startDate, endDate } = request.query;
+    const basis: TaxBasis = request.query.basis === 'accrual' ? 'accrual' : 'cash';
 
     let periodStart: Date;
     let periodEnd: Date;
@@ -28,15 +42,29 @@ export default async function reportsRoutes(fastify: any) {
     const isExpense = eq(expenses.type, sql`'expense'`);
     const isCredit = eq(expenses.type, sql`'credit'`);
     const notTeamPayment = isNull(expenses.teamPaymentId);
+    // Cash counts team pay and salary once paid; accrual counts them once owed
+    const teamPaymentCounts = basis === 'cash' ? eq(teamPayments.status, sql`'paid'`) : undefined;
+    const salaryType = basis === 'cash' ? sql`'paid'` : sql`'accrued'`;
 
     // ── Profit & Loss ─────────────────────────────────
-    const plByMonth = await db.select({
-      month: sql<number>`EXTRACT(MONTH FROM ${invoices.createdAt})::int`,
-      revenue: sql<number>`COALESCE(SUM(${invoices.paidAmount}), 0)`,
-    })
-      .from(invoices)
-      .where(inPeriod(invoices.createdAt))
-      .groupBy(sql`EXTRACT(MONTH FROM ${invoices.createdAt})`);
+    // Invoice revenue is converted to the default currency at the rate recorded on each invoice.
+    // Cash: payments by payment date (refunds are negative payments). Accrual: invoice totals by invoice date, less credit notes.
+    const plByMonth = basis === 'cash'
+      ? await db.select({
+        month: sql<number>`EXTRACT(MONTH FROM ${payments.paymentDate})::int`,
+        revenue: sql<number>`COALESCE(SUM(${payments.amount} * ${invoices.exchangeRate}), 0)`,
+      })
+        .from(payments)
+        .innerJoin(invoices, eq(payments.invoiceId, invoices.id))
+        .where(inPeriod(payments.paymentDate))
+        .groupBy(sql`EXTRACT(MONTH FROM ${payments.paymentDate})`)
+      : await db.select({
+        month: sql<number>`EXTRACT(MONTH FROM ${invoices.createdAt})::int`,
+        revenue: sql<number>`COALESCE(SUM(${invoices.total} * ${invoices.exchangeRate}), 0)`,
+      })
+        .from(invoices)
+        .where(inPeriod(invoices.createdAt))
+        .groupBy(sql`EXTRACT(MONTH FROM ${invoices.createdAt})`);
 
     const expByMonth = await db.select({
       month: sql<number>`EXTRACT(MONTH FROM ${expenses.expenseDate})::int`,
@@ -51,7 +79,7 @@ export default async function reportsRoutes(fastify: any) {
       salary: sql<number>`COALESCE(SUM(${teamSalary.amount}), 0)`,
     })
       .from(teamSalary)
-      .where(and(eq(teamSalary.type, sql`'paid'`), inPeriod(teamSalary.entryDate)))
+      .where(and(eq(teamSalary.type, salaryType), inPeriod(teamSalary.entryDate)))
       .groupBy(sql`EXTRACT(MONTH FROM ${teamSalary.entryDate})`);
 
     const teamCostsByMonth = await db.select({
@@ -59,9 +87,30 @@ export default async function reportsRoutes(fastify: any) {
       teamCosts: sql<number>`COALESCE(SUM(${teamPayments.amount}), 0)`,
     })
       .from(teamPayments)
-      .where(and(eq(teamPayments.status, sql`'paid'`), inPeriod(teamPayments.paymentDate)))
+      .where(and(teamPaymentCounts, inPeriod(teamPayments.paymentDate)))
       .groupBy(sql`EXTRACT(MONTH FROM ${teamPayments.paymentDate})`);
 
+    // Credit notes by issue date. On cash basis refunds are negative payments, so
+    // revenue is already net of them; on accrual the credited totals come off revenue.
+    const creditNotesByMonth = await db.select({
+      month: sql<number>`EXTRACT(MONTH FROM ${creditNotes.issueDate})::int`,
+      credited: sql<number>`COALESCE(SUM(${creditNotes.total} * ${creditNotes.exchangeRate}), 0)`,
+      refunded: sql<number>`COALESCE(SUM(${creditNotes.refundedAmount} * ${creditNotes.exchangeRate}), 0)`,
+      count: count(),
+    })
+      .from(creditNotes)
+      .where(inPeriod(creditNotes.issueDate))
+      .groupBy(sql`EXTRACT(MONTH FROM ${creditNotes.issueDate})`);
+
+    const cnMonths = creditNotesByMonth
+      .map((r: any) => ({
+        month: r.month,
+        credited: parseFloat(r.credited as any) || 0,
+        refunded: parseFloat(r.refunded as any) || 0,
+        count: parseInt(r.count as any) || 0,
+      }))
+      .sort((a, b) => a.month - b.month);
+
     // Merge monthly P&L
     const monthMap: Record<number, any> = {};
     for (let m = 1; m <= 12; m++) monthMap[m] = { month: m, revenue: 0, expenses: 0, teamCosts: 0, salary: 0 };
@@ -69,6 +118,7 @@ export default async function reportsRoutes(fastify: any) {
     for (const r of expByMonth) monthMap[r.month].expenses = parseFloat(r.expenses as any) || 0;
     for (const r of salaryByMonth) monthMap[r.month].salary = parseFloat(r.salary as any) || 0;
     for (const r of teamCostsByMonth) monthMap[r.month].teamCosts = parseFloat(r.teamCosts as any) || 0;
+    if (basis === 'accrual') for (const r of cnMonths) monthMap[r.month].revenue -= r.credited;
 
     const plMonths = Object.values(monthMap).sort((a: any, b: any) => a.month - b.month);
     const totalRevenue = plMonths.reduce((s: number, m: any) => s + m.revenue, 0);
@@ -92,19 +142,34 @@ export default async function reportsRoutes(fastify: any) {
     const totalCredits = revMonths.reduce((s: number, m: any) => s + m.creditRevenue, 0);
 
     // ── Revenue by Project Type ───────────────────────
-    const revenueByType = await db.execute(sql`
+    // Same basis as the P&L: payments by payment date, or invoice totals by invoice date.
+    // `count` is projects (or invoices without one).
+    const revenueByType = await db.execute(basis === 'cash' ? sql`
+      SELECT
+        i.project_type_id AS "typeId",
+        pt.label AS "typeLabel",
+        pt.color AS "typeColor",
+        COALESCE(SUM(pay.amount * i.exchange_rate), 0)::float AS revenue,
+        COUNT(DISTINCT COALESCE(i.project_id, i.id))::int AS count
+      FROM payments pay
+      JOIN invoices i ON pay.invoice_id = i.id
+      LEFT JOIN project_types pt ON i.project_type_id = pt.id
+      WHERE pay.payment_date >= ${startIso}::timestamptz
+        AND pay.payment_date < ${endIso}::timestamptz
+      GROUP BY i.project_type_id, pt.label, pt.color
+      ORDER BY revenue DESC
+    ` : sql`
       SELECT
-        p.project_type_id AS "typeId",
+        i.project_type_id AS "typeId",
         pt.label AS "typeLabel",
         pt.color AS "typeColor",
-        COALESCE(SUM(COALESCE(p.project_price, 0)), 0)::float AS revenue,
-        COUNT(*)::int AS count
-      FROM projects p
-      LEFT JOIN project_types pt ON p.project_type_id = pt.id
-      WHERE p.created_at >= ${startIso}::timestamptz
-        AND p.created_at < ${endIso}::timestamptz
-        AND p.status != 'archived'
-      GROUP BY p.project_type_id, pt.label, pt.color
+        COALESCE(SUM(i.total * i.exchange_rate), 0)::float AS revenue,
+        COUNT(DISTINCT COALESCE(i.project_id, i.id))::int AS count
+      FROM invoices i
+      LEFT JOIN project_types pt ON i.project_type_id = pt.id
+      WHERE i.created_at >= ${startIso}::timestamptz
+        AND i.created_at < ${endIso}::timestamptz
+      GROUP BY i.project_type_id, pt.label, pt.color
       ORDER BY revenue DESC
     `);
 
@@ -126,7 +191,6 @@ export default async function reportsRoutes(fastify: any) {
       .orderBy(desc(sql`COALESCE(SUM(${expenses.amount}), 0)`));
 
     // ── Team Payment Breakdown ──────────────────────────
-    const tpPaid = eq(teamPayments.status, sql`'paid'`);
 
     const tpByMember = await db.select({
       name: teamMembers.name,
@@ -136,7 +200,7 @@ export default async function reportsRoutes(fastify: any) {
     })
       .from(teamPayments)
       .innerJoin(teamMembers, eq(teamPayments.teamMemberId, teamMembers.id))
-      .where(and(tpPaid, inPeriod(teamPayments.paymentDate)))
+      .where(and(teamPaymentCounts, inPeriod(teamPayments.paymentDate)))
       .groupBy(teamMembers.name, teamMembers.role)
       .orderBy(desc(sql`COALESCE(SUM(${teamPayments.amount}), 0)`));
 
@@ -145,7 +209,7 @@ export default async function reportsRoutes(fastify: any) {
       total: sql<number>`COALESCE(SUM(${teamPayments.amount}), 0)`,
     })
       .from(teamPayments)
-      .where(and(tpPaid, inPeriod(teamPayments.paymentDate)))
+      .where(and(teamPaymentCounts, inPeriod(teamPayments.paymentDate)))
       .groupBy(sql`EXTRACT(MONTH FROM ${teamPayments.paymentDate})`);
 
     const tpByMethod = await db.select({
@@ -153,10 +217,39 @@ export default async function reportsRoutes(fastify: any) {
       total: sql<number>`COALESCE(SUM(${teamPayments.amount}), 0)`,
     })
       .from(teamPayments)
-      .where(and(tpPaid, inPeriod(teamPayments.paymentDate)))
+      .where(and(teamPaymentCounts, inPeriod(teamPayments.paymentDate)))
       .groupBy(teamPayments.paymentMethod)
       .orderBy(desc(sql`COALESCE(SUM(${teamPayments.amount}), 0)`));
 
+    // ── Outstanding Balances ──────────────────────────
+    // As of today, regardless of period: what each client still owes after credit notes and payments
+    const balanceSql = sql`${invoices.total} - ${invoices.creditedAmount} - ${invoices.paidAmount}`;
+    const outstandingByClient = await db.select({
+      clientId: invoices.clientId,
+      clientName: sql<string>`MAX(${invoices.clientName})`,
+      invoiceCount: count(),
+      invoiced: sql<number>`COALESCE(SUM(${invoices.total} * ${invoices.exchangeRate}), 0)`,
+      credited: sql<number>`COALESCE(SUM(${invoices.creditedAmount} * ${invoices.exchangeRate}), 0)`,
+      paid: sql<number>`COALESCE(SUM(${invoices.paidAmount} * ${invoices.exchangeRate}), 0)`,
+      balance: sql<number>`COALESCE(SUM((${balanceSql}) * ${invoices.exchangeRate}), 0)`,
+      oldestDueDate: sql<string | null>`MIN(${invoices.dueDate})`,
+    })
+      .from(invoices)
+      .where(sql`${balanceSql} > 0.005`)
+      .groupBy(invoices.clientId)
+      .orderBy(desc(sql`SUM((${balanceSql}) * ${invoices.exchangeRate})`));
+
+    const obClients = outstandingByClient.map((r: any) => ({
+      clientId: r.clientId,
+      clientName: r.clientName || 'No client',
+      invoiceCount: parseInt(r.invoiceCount as any) || 0,
+      invoiced: parseFloat(r.invoiced as any) || 0,
+      credited: parseFloat(r.credited as any) || 0,
+      paid: parseFloat(r.paid as any) || 0,
+      balance: parseFloat(r.balance as any) || 0,
+      oldestDueDate: r.oldestDueDate,
+    }));
+
     const tpTotal = tpByMember.reduce((s: number, m: any) => s + (parseFloat(m.totalPaid as any) || 0), 0);
     const tpMonthMap: Record<number, number> = {};
     for (let m = 1; m <= 12; m++) tpMonthMap[m] = 0;
@@ -164,6 +257,8 @@ export default async function reportsRoutes(fastify: any) {
 
     return {
       period: { start: periodStart.toISOString(), end: periodEnd.toISOString() },
+      basis,
+      currency: await getDefaultCurrency(),
       profitLoss: {
         totalRevenue: totalIncome,
         totalExpenses,
@@ -174,6 +269,18 @@ export default async function reportsRoutes(fastify: any) {
           const credit = creditByMonth.find((c: any) => c.month === m.month);
           return { ...m, revenue: m.revenue + (parseFloat(credit?.credits as any) || 0) };
         }),
+        creditNotes: {
+          totalCredited: cnMonths.reduce((s, m) => s + m.credited, 0),
+          totalRefunded: cnMonths.reduce((s, m) => s + m.refunded, 0),
+          count: cnMonths.reduce((s, m) => s + m.count, 0),
+          byMonth: cnMonths,
+        },
+      },
+      outstandingBalances: {
+        total: obClients.reduce((s, c) => s + c.balance, 0),
+        totalCredited: obClients.reduce((s, c) => s + c.credited, 0),
+        invoiceCount: obClients.reduce((s, c) => s + c.invoiceCount, 0),
+        byClient: obClients,
       },
       revenueTrend: {
         total: totalRevenue,
@@ -190,13 +297,19 @@ export default async function reportsRoutes(fastify: any) {
       incomeSummary: {
         total: totalIncome,
         byMonth: revMonths.map(m => ({ month: m.month, amount: m.invoiceRevenue + m.creditRevenue })),
+        taxByJurisdiction: await taxByJurisdiction(periodStart, periodEnd, basis),
       },
+      salesTax: sumSalesTaxRows(await salesTaxRows(periodStart, periodEnd, basis)),
       expensesByCategory: (expensesByCat as any[]).map(r => ({
         categoryId: r.categoryId,
         name: r.name || 'Uncategorized',
         color: r.color || '#94a3b8',
         total: parseFloat(r.total as any) || 0,
       })),
+      // From the general ledger, as at the end of the period — the same on either basis
+      trialBalance: await trialBalance(periodEnd),
+      balanceSheet: await balanceSheet(periodEnd),
+      journal: await journalTotals(periodStart, periodEnd),
       teamPaymentBreakdown: {
         totalPaid: tpTotal,
         memberCount: tpByMember.length,
@@ -215,4 +328,93 @@ export default async function reportsRoutes(fastify: any) {
       },
     };
   });
+
+  // GET /sales-tax — taxable and non-taxable sales and tax per filing period, with the documents behind them
+  fastify.get('/sales-tax', { preHandler: [guard] }, async (request: any) => {
+    const year = parseInt(request.query.year) || new Date().getFullYear();
+    const frequency: FilingFrequency = request.query.frequency === 'quarterly' ? 'quarterly' : 'monthly';
+    const basis: TaxBasis = request.query.basis === 'cash' ? 'cash' : 'accrual';
+
+    const filings = await db
+      .select()
+      .from(taxFilings)
+      .where(and(eq(taxFilings.basis, basis), gte(taxFilings.periodStart, new Date(year, 0, 1)), lt(taxFilings.periodStart, new Date(year + 1, 0, 1))));
+
+    const periods = [];
+    for (const period of filingPeriods(year, frequency)) {
+      const rows = await salesTaxRows(period.start, period.end, basis);
+      const filing = filings.find(f => f.periodStart.getTime() === period.start.getTime() && f.periodEnd.getTime() === period.end.getTime());
+      const changes = filing ? changesSinceFiling(rows, filing.documents) : null;
+      periods.push({
+        label: period.label,
+        start: period.start.toISOString(),
+        end: period.end.toISOString(),
+        ...sumSalesTaxRows(rows),
+        filing: filing && {
+          id: filing.id,
+          filedAt: filing.filedAt,
+          filedBy: filing.filedBy,
+          taxableSales: filing.taxableSales,
+          nonTaxableSales: filing.nonTaxableSales,
+          taxCollected: filing.taxCollected,
+          removedCount: changes!.removed.length,
+        },
+        documents: rows.map(row => ({ ...row, changedSinceFiling: !!changes?.changed.has(row.key) })),
+      });
+    }
+
+    return { currency: await getDefaultCurrency(), year, frequency, basis, periods };
+  });
+
+  // POST /sales-tax/filings — mark a period as filed with its figures as they stand; filing again replaces them
+  fastify.post('/sales-tax/filings', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const periodStart = new Date(request.body?.periodStart);
+    const periodEnd = new Date(request.body?.periodEnd);
+    const basis: TaxBasis = request.body?.basis === 'cash' ? 'cash' : 'accrual';
+    if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime()) || periodEnd <= periodStart) {
+      return reply.code(400).send({ error: 'A filing needs a valid period' });
+    }
+
+    const rows = await salesTaxRows(periodStart, periodEnd, basis);
+    const values = {
+      ...sumSalesTaxRows(rows),
+      documents: filingSnapshot(rows),
+      filedBy: actorFromRequest(request).userDisplayName,
+      filedAt: new Date(),
+    };
+    const [data] = await db
+      .insert(taxFilings)
+      .values({ periodStart, periodEnd, basis, ...values })
+      .onConflictDoUpdate({ target: [taxFilings.periodStart, taxFilings.basis], set: { periodEnd, ...values } })
+      .returning();
+
+    logActivity({ ...actorFromRequest(request), action: 'filed', entityType: 'tax_filing', entityId: data.id, entityLabel: filingLabel(data) });
+    return { data };
+  });
+
+  // DELETE /sales-tax/filings/:id — reopen a period
+  fastify.delete('/sales-tax/filings/:id', { preHandler: [guard] }, async (request: any) => {
+    const [existing] = await db.delete(taxFilings).where(eq(taxFilings.id, request.params.id)).returning();
+    if (existing) {
+      logActivity({ ...actorFromRequest(request), action: 'reopened', entityType: 'tax_filing', entityId: existing.id, entityLabel: filingLabel(existing) });
+    }
+    return { success: true };
+  });
+
+  // GET /journal?startDate&endDate — general ledger entries for a period (endDate exclusive, like GET /)
+  fastify.get('/journal', { preHandler: [guard] }, async (request: any, reply: any) => {
+    const start = new Date(request.query.startDate);
+    const end = new Date(request.query.endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return reply.code(400).send({ error: 'A valid startDate and endDate are required' });
+    }
+    return { currency: await getDefaultCurrency(), entries: await journal(start, end) };
+  });
+
+  // POST /ledger/rebuild — re-post every journal entry from the source records
+  fastify.post('/ledger/rebuild', { preHandler: [guard] }, async (request: any) => {
+    const count = await rebuildLedger();
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'ledger', entityLabel: `General ledger rebuilt from ${count} records` });
+    return { success: true, count };
+  });
 }
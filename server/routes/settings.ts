@@ -5,8 +5,9 @@ import { requirePermission, hasPermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { broadcast } from '../lib/pubsub';
 import type { PermissionKey } from '../lib/permissionConfig';
+import { validateNumberingSettings } from '../lib/numbering';
 
-const SENSITIVE_KEYS = ['oidc_client_secret', 'google_client_secret', 'smtp_pass', 'stripe_secret_key', 'stripe_test_secret_key', 'paypal_client_secret', 'paypal_test_client_secret', 'unsplash_api_key', 'backup_s3_secret_key', 'backup_b2_app_key', 'backup_gdrive_credentials'];
+const SENSITIVE_KEYS = ['oidc_client_secret', 'google_client_secret', 'smtp_pass', 'stripe_secret_key', 'stripe_test_secret_key', 'stripe_webhook_secret', 'stripe_test_webhook_secret', 'paypal_client_secret', 'paypal_test_client_secret', 'unsplash_api_key', 'backup_s3_secret_key', 'backup_b2_app_key', 'backup_gdrive_credentials'];
 
 // Map settings keys to the permission required to write them.
 // Keys not listed here require only `access_settings` (the base permission).
@@ -21,13 +22,17 @@ const KEY_PERMISSION: Record<string, PermissionKey> = {
   verification_email_subject: 'manage_email_templates', verification_email_body: 'manage_email_templates',
   email_header_bg_color: 'manage_email_templates', email_accent_color: 'manage_email_templates',
   email_header_text_color: 'manage_email_templates',
+  invoice_reminders_enabled: 'manage_email_templates', invoice_reminder_steps: 'manage_email_templates',
+  invoice_reminder_days: 'manage_email_templates',
   // Payment & auth settings
   stripe_enabled: 'manage_payment_settings', stripe_publishable_key: 'manage_payment_settings',
   stripe_secret_key: 'manage_payment_settings', stripe_test_mode: 'manage_payment_settings',
   stripe_test_publishable_key: 'manage_payment_settings', stripe_test_secret_key: 'manage_payment_settings',
+  stripe_webhook_secret: 'manage_payment_settings', stripe_test_webhook_secret: 'manage_payment_settings',
   paypal_enabled: 'manage_payment_settings', paypal_client_id: 'manage_payment_settings',
   paypal_client_secret: 'manage_payment_settings', paypal_test_mode: 'manage_payment_settings',
   paypal_test_client_id: 'manage_payment_settings', paypal_test_client_secret: 'manage_payment_settings',
+  paypal_webhook_id: 'manage_payment_settings', paypal_test_webhook_id: 'manage_payment_settings',
   oidc_enabled: 'manage_payment_settings', oidc_provider_name: 'manage_payment_settings',
   oidc_issuer: 'manage_payment_settings', oidc_client_id: 'manage_payment_settings',
   oidc_client_secret: 'manage_payment_settings', oidc_scope: 'manage_payment_settings',
@@ -97,7 +102,7 @@ export default async function settingRoutes(fastify: any) {
   });
 
   // PUT /api/settings — upsert multiple settings (permission-gated per key)
-  fastify.put('/', { preHandler: [requirePermission('access_settings')] }, async (request: any) => {
+  fastify.put('/', { preHandler: [requirePermission('access_settings')] }, async (request: any, reply: any) => {
     const { settings } = request.body;
     const userId = request.user.id;
 
@@ -109,6 +114,11 @@ export default async function settingRoutes(fastify: any) {
       return hasPermission(request, requiredPerm);
     });
 
+    const numberingError = await validateNumberingSettings(
+      Object.fromEntries(allowed.map((s: any) => [s.key, String(s.value)]))
+    );
+    if (numberingError) return reply.code(400).send({ error: numberingError });
+
     const results: any[] = [];
     for (const { key, value } of allowed) {
       const [result] = await db
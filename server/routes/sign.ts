@@ -0,0 +1,223 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { FastifyInstance } from 'fastify';
+import { db } from '../db';
+import { contracts, projectDocuments, appSettings } from '../db/schema';
+import { eq, and, inArray } from 'drizzle-orm';
+import { COMPANY_INFO_KEYS } from '../lib/companyInfo';
+import { generateContractPdf } from '../lib/generateContractPdf';
+import { logActivity } from '../lib/activityLog';
+import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
+import { broadcast } from '../lib/pubsub';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_DOCS_DIR = path.join(__dirname, '..', 'uploads', 'project-docs');
+
+const TOKEN_REGEX = /^[a-f0-9]{32}$/;
+const DRAWN_SIGNATURE_REGEX = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+const MAX_SIGNATURE_LENGTH = 500_000;
+
+const BRANDING_KEYS = [
+  'company_name', 'app_name', 'accent_color',
+  'header_logo_url', 'header_logo_light_url',
+  'login_logo_url', 'login_logo_light_url',
+  'favicon_url',
+];
+
+async function findContractByToken(token: string) {
+  if (!TOKEN_REGEX.test(token)) return null;
+  return db.query.contracts.findFirst({
+    where: eq(contracts.signingToken, token),
+    with: { client: true },
+  });
+}
+
+async function getBranding() {
+  const rows = await db.select().from(appSettings).where(inArray(appSettings.key, BRANDING_KEYS));
+  const m: Record<string, string> = {};
+  for (const r of rows) m[r.key] = r.value;
+  return {
+    companyName: m.company_name || m.app_name || '',
+    appName: m.app_name || '',
+    accentColor: m.accent_color || '#8b5cf6',
+    headerLogoUrl: m.header_logo_url || '',
+    headerLogoLightUrl: m.header_logo_light_url || '',
+    loginLogoUrl: m.login_logo_url || '',
+    loginLogoLightUrl: m.login_logo_light_url || '',
+    faviconUrl: m.favicon_url || '',
+  };
+}
+
+function publicContract(contract: any) {
+  return {
+    title: contract.title,
+    body: contract.body,
+    status: contract.status,
+    clientName: contract.client?.displayName || [contract.client?.firstName, contract.client?.lastName].filter(Boolean).join(' ') || '',
+    signerName: contract.signerName,
+    signedAt: contract.signedAt,
+    hasSignedPdf: !!contract.signedFileName,
+  };
+}
+
+export default async function signRoutes(fastify: FastifyInstance) {
+
+  // GET /:token — contract text + branding for the signing page
+  fastify.get('/:token', async (request: any, reply: any) => {
+    const contract = await findContractByToken(request.params.token);
+    if (!contract || contract.status === 'void' || contract.status === 'draft') {
+      return reply.code(404).send({ error: 'Contract not found or link has expired' });
+    }
+    return { branding: await getBranding(), contract: publicContract(contract) };
+  });
+
+  // POST /:token — record the signature, render the signed PDF and file it with the project
+  fastify.post('/:token', {
+    config: { rateLimit: { max: 5, timeWindow: '1 minute' } },
+  }, async (request: any, reply: any) => {
+    const contract = await findContractByToken(request.params.token);
+    if (!contract || contract.status === 'void' || contract.status === 'draft') {
+      return reply.code(404).send({ error: 'Contract not found or link has expired' });
+    }
+
+    const branding = await getBranding();
+    if (contract.status === 'signed') {
+      return { alreadySigned: true, branding, contract: publicContract(contract) };
+    }
+
+    const { signerName, signatureType, signatureData, agreed } = request.body || {};
+    const name = typeof signerName === 'string' ? signerName.trim() : '';
+    if (!name) return reply.code(400).send({ error: 'Please enter your full name' });
+    if (!agreed) return reply.code(400).send({ error: 'Please confirm that you agree to the contract' });
+    if (signatureType !== 'typed' && signatureType !== 'drawn') {
+      return reply.code(400).send({ error: 'Invalid signature type' });
+    }
+    if (typeof signatureData !== 'string' || !signatureData.trim() || signatureData.length > MAX_SIGNATURE_LENGTH) {
+      return reply.code(400).send({ error: 'Please provide your signature' });
+    }
+    if (signatureType === 'drawn' && !DRAWN_SIGNATURE_REGEX.test(signatureData)) {
+      return reply.code(400).send({ error: 'Invalid signature image' });
+    }
+
+    const signedAt = new Date();
+    const signature = signatureType === 'typed' ? signatureData.trim() : signatureData;
+
+    // Claim the contract first so a double-submit can't produce two signed copies
+    const [claimed] = await db.update(contracts).set({
+      status: 'signed',
+      signerName: name,
+      signatureType,
+      signatureData: signature,
+      signedAt,
+      signedIp: request.ip,
+      updatedAt: signedAt,
+    }).where(and(eq(contracts.id, contract.id), eq(contracts.status, 'sent'))).returning();
+
+    if (!claimed) {
+      const current = await findContractByToken(request.params.token);
+      return { alreadySigned: true, branding, contract: publicContract(current) };
+    }
+
+    // Signed PDF. If it can't be made, release the claim so the client can sign again
+    let fileName: string;
+    let documentId: string | null = null;
+    try {
+      const settingsRows = await db.select().from(appSettings).where(inArray(appSettings.key, [
+        'company_name', ...COMPANY_INFO_KEYS,
+        'secondary_logo_url', 'secondary_logo_light_url', 'header_logo_url', 'header_logo_light_url',
+      ]));
+      const settings: Record<string, string> = {};
+      for (const s of settingsRows) settings[s.key] = s.value;
+
+      const clientName = publicContract(contract).clientName;
+      const pdfBytes = await generateContractPdf({
+        title: contract.title,
+        body: contract.body,
+        clientName,
+        signerName: name,
+        signatureType,
+        signatureData: signature,
+        signedAt,
+        signedIp: request.ip,
+        settings,
+      });
+
+      await fs.mkdir(PROJECT_DOCS_DIR, { recursive: true });
+      fileName = `${contract.projectId || 'contract'}-${contract.id}-${Date.now()}.pdf`;
+      await fs.writeFile(path.join(PROJECT_DOCS_DIR, fileName), pdfBytes);
+
+      if (contract.projectId) {
+        const safeTitle = contract.title.replace(/[/\\<>:"|?*\x00]/g, '_');
+        const [doc] = await db.insert(projectDocuments).values({
+          projectId: contract.projectId,
+          fileName,
+          originalName: `${safeTitle} (signed).pdf`,
+          mimeType: 'application/pdf',
+          fileSize: pdfBytes.length,
+          uploadedBy: `${name} (e-signature)`,
+        }).returning();
+        documentId = doc.id;
+      }
+    } catch (err) {
+      fastify.log.error(err, 'Failed to file signed contract');
+      await db.update(contracts).set({
+        status: 'sent',
+        signerName: null,
+        signatureType: null,
+        signatureData: null,
+        signedAt: null,
+        signedIp: null,
+        updatedAt: new Date(),
+      }).where(eq(contracts.id, contract.id));
+      return reply.code(500).send({ error: 'Your signature could not be saved. Please try again.' });
+    }
+
+    await db.update(contracts)
+      .set({ signedFileName: fileName, documentId, updatedAt: new Date() })
+      .where(eq(contracts.id, contract.id));
+
+    logActivity({
+      userId: contract.userId,
+      userDisplayName: 'Client Signature',
+      action: 'signed',
+      entityType: 'contract',
+      entityId: contract.id,
+      entityLabel: `${contract.title} signed by ${name}`,
+    });
+    broadcast('contract', 'updated', contract.userId, contract.id);
+    if (contract.projectId) broadcast('project', 'updated', contract.userId, contract.projectId);
+
+    const privilegedIds = await getPrivilegedUserIds();
+    notifyUsers({
+      userIds: privilegedIds,
+      type: 'contract_signed',
+      title: 'Contract Signed',
+      message: `${name} signed "${contract.title}"`,
+      entityType: 'contract',
+      entityId: contract.id,
+    });
+
+    return {
+      alreadySigned: false,
+      branding,
+      contract: { ...publicContract(contract), status: 'signed', signerName: name, signedAt, hasSignedPdf: true },
+    };
+  });
+
+  // GET /:token/pdf — let the signer download their copy
+  fastify.get('/:token/pdf', async (request: any, reply: any) => {
+    const contract = await findContractByToken(request.params.token);
+    if (!contract?.signedFileName) return reply.code(404).send({ error: 'Signed contract not found' });
+    try {
+      const buffer = await fs.readFile(path.join(PROJECT_DOCS_DIR, contract.signedFileName));
+      const asciiName = contract.title.replace(/[^\x20-\x7E]/g, '_').replace(/"/g, '\\"');
+      return reply
+        .header('Content-Type', 'application/pdf')
+        .header('Content-Disposition', `attachment; filename="${asciiName} (signed).pdf"`)
+        .send(buffer);
+    } catch {
+      return reply.code(404).send({ error: 'File not found on disk' });
+    }
+  });
+}
@@ -1,6 +1,7 @@
 import { db } from '../db';
 import { clients, quotes, invoices, projects, projectTypes, teamMembers, projectAssignments, teamPayments, teamAdvances, teamSalary, expenses, user } from '../db/schema';
 import { count, sum, eq, ne, and, desc, asc, sql, inArray, or, gte, isNull, isNotNull } from 'drizzle-orm';
+import { getDefaultCurrency } from '../lib/currency';
 
 export default async function statsRoutes(fastify: any) {
   // GET /api/stats/dashboard — unified, permission-gated
@@ -71,13 +72,14 @@ export default async function statsRoutes(fastify: any) {
 
     // --- Business financials (gated by view_financial_summary) ---
     if (perms.view_financial_summary) {
-      queries.totalRevenue = db.select({ val: sum(invoices.total) })
+      // Invoice amounts are converted to the default currency at each invoice's recorded rate
+      queries.totalRevenue = db.select({ val: sum(sql`(${invoices.total} - ${invoices.creditedAmount}) * ${invoices.exchangeRate}`) })
         .from(invoices);
 
-      queries.grossSales = db.select({ val: sum(invoices.paidAmount) })
+      queries.grossSales = db.select({ val: sum(sql`${invoices.paidAmount} * ${invoices.exchangeRate}`) })
         .from(invoices);
 
-      queries.pendingPayments = db.select({ val: sum(sql`${invoices.total} - ${invoices.paidAmount}`) })
+      queries.pendingPayments = db.select({ val: sum(sql`(${invoices.total} - ${invoices.creditedAmount} - ${invoices.paidAmount}) * ${invoices.exchangeRate}`) })
         .from(invoices).where(ne(invoices.status, 'paid'));
 
       // Balance owed per project: projectPrice minus credits, only where balance > 0
@@ -175,8 +177,10 @@ export default async function statsRoutes(fastify: any) {
       queries.recentQuotes = db.select({
         id: quotes.id,
         quoteNumber: quotes.quoteNumber,
+        displayNumber: quotes.displayNumber,
         clientName: quotes.clientName,
         total: quotes.total,
+        currency: quotes.currency,
         createdAt: quotes.createdAt,
       }).from(quotes).orderBy(desc(quotes.createdAt)).limit(3);
     }
@@ -185,8 +189,10 @@ export default async function statsRoutes(fastify: any) {
       queries.recentInvoices = db.select({
         id: invoices.id,
         invoiceNumber: invoices.invoiceNumber,
+        displayNumber: invoices.displayNumber,
         clientName: invoices.clientName,
         total: invoices.total,
+        currency: invoices.currency,
         status: invoices.status,
         createdAt: invoices.createdAt,
       }).from(invoices).orderBy(desc(invoices.createdAt)).limit(3);
@@ -199,7 +205,7 @@ export default async function statsRoutes(fastify: any) {
     keys.forEach((key, i) => { d[key] = values[i]; });
 
     // --- Assemble response ---
-    const result: any = { hasTeamMember };
+    const result: any = { hasTeamMember, currency: await getDefaultCurrency() };
 
     // Personal stats
     if (hasTeamMember) {
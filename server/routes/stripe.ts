@@ -1,11 +1,232 @@
+import type Stripe from 'stripe';
 import { db } from '../db';
-import { payments, invoices } from '../db/schema';
+import { payments, invoices, paymentDisputes } from '../db/schema';
 import { eq } from 'drizzle-orm';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
-import { getStripeInstance, recalculateInvoice, checkDepositAndBookProject, docLabel } from '../lib/stripe';
+import { getStripeInstance, getStripeWebhookSecret, captureAuthorizedPayment, recalculateInvoice, checkDepositAndBookProject, docLabel } from '../lib/stripe';
 import { notifyUsers, getPrivilegedUserIds } from '../lib/notifications';
+import { sendPaymentNotification } from '../lib/mailer';
+import { formatCurrency } from '../lib/currency';
+import { formatDocNumber } from '../lib/numbering';
+import { broadcast } from '../lib/pubsub';
+
+function paymentIntentIdOf(ref: string | Stripe.PaymentIntent | null): string | null {
+  if (!ref) return null;
+  return typeof ref === 'string' ? ref : ref.id;
+}
+
+/**
+ * payment_intent.succeeded — record the payment if the pay page / dashboard
+ * confirm call never made it (closed tab, network drop). Keyed on the PI id,
+ * so running after a confirm call is a no-op.
+ */
+async function handlePaymentIntentSucceeded(pi: Stripe.PaymentIntent) {
+  const invoiceId = pi.metadata?.invoiceId;
+  if (!invoiceId) return;
+
+  const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
+  if (!inv) return;
+
+  const amount = (pi.amount_received || pi.amount) / 100;
+  const [payment] = await db
+    .insert(payments)
+    .values({
+      invoiceId,
+      amount,
+      method: 'Stripe',
+      paymentDate: new Date(),
+      stripePaymentIntentId: pi.id,
+      stripeRefundedAmount: 0,
+    })
+    .onConflictDoNothing({ target: payments.stripePaymentIntentId })
+    .returning();
+  if (!payment) return; // already recorded
+
+  await recalculateInvoice(invoiceId);
+  await checkDepositAndBookProject(invoiceId);
+  broadcast('payment', 'created', 'system', payment.id);
+
+  logActivity({
+    userId: 'system',
+    userDisplayName: 'Stripe Webhook',
+    action: 'created',
+    entityType: 'payment',
+    entityId: payment.id,
+    entityLabel: `${formatCurrency(amount, inv.currency)} Stripe payment for ${docLabel(inv)}`,
+  });
+
+  sendPaymentNotification({
+    invoiceNumber: inv.invoiceNumber,
+    displayNumber: inv.displayNumber,
+    clientName: inv.clientName,
+    amount,
+    method: 'Stripe',
+    balanceDue: inv.total - (inv.creditedAmount || 0) - (inv.paidAmount || 0) - amount,
+    currency: inv.currency,
+  });
+
+  const privilegedIds = await getPrivilegedUserIds();
+  notifyUsers({
+    userIds: privilegedIds,
+    type: 'payment_received',
+    title: 'Payment Received',
+    message: `${inv.clientName || 'Client'} paid ${formatCurrency(amount, inv.currency)} on ${docLabel(inv)}`,
+    entityType: 'invoice',
+    entityId: invoiceId,
+  });
+}
+
+/**
+ * payment_intent.amount_capturable_updated — the card was authorized, but the
+ * intents are manual-capture and the tab may close before the confirm call
+ * captures it. Capture here with the same CVC check, then record the payment.
+ */
+async function handlePaymentIntentAuthorized(event: Stripe.PaymentIntent) {
+  if (!event.metadata?.invoiceId) return;
+
+  const stripe = await getStripeInstance();
+  const pi = await stripe.paymentIntents.retrieve(event.id, { expand: ['latest_charge'] });
+  if (pi.status !== 'requires_capture') return; // captured or cancelled meanwhile
+
+  const captured = await captureAuthorizedPayment(stripe, pi);
+  if ('error' in captured) return;
+  await handlePaymentIntentSucceeded(captured);
+}
+
+/**
+ * charge.refunded — sync refunds issued from the Stripe dashboard.
+ * amount_refunded is cumulative, so compare against what is already recorded.
+ */
+async function handleChargeRefunded(charge: Stripe.Charge) {
+  const piId = paymentIntentIdOf(charge.payment_intent);
+  if (!piId) return;
+
+  const [payment] = await db.select().from(payments).where(eq(payments.stripePaymentIntentId, piId));
+  if (!payment) return;
+
+  const alreadyRefunded = payment.stripeRefundedAmount || 0;
+  const totalRefunded = charge.amount_refunded / 100;
+  if (totalRefunded <= alreadyRefunded + 0.001) return;
+
+  const originalAmount = payment.amount + alreadyRefunded;
+  const fullyRefunded = totalRefunded >= originalAmount - 0.001;
+  if (fullyRefunded) {
+    await db.delete(payments).where(eq(payments.id, payment.id));
+  } else {
+    await db.update(payments).set({
+      amount: originalAmount - totalRefunded,
+      stripeRefundedAmount: totalRefunded,
+    }).where(eq(payments.id, payment.id));
+  }
+
+  await recalculateInvoice(payment.invoiceId);
+  broadcast('payment', fullyRefunded ? 'deleted' : 'updated', 'system', payment.id);
+
+  const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, currency: invoices.currency }).from(invoices).where(eq(invoices.id, payment.invoiceId));
+  logActivity({
+    userId: 'system',
+    userDisplayName: 'Stripe Webhook',
+    action: 'deleted',
+    entityType: 'payment',
+    entityId: payment.id,
+    entityLabel: `${formatCurrency(totalRefunded - alreadyRefunded, parentInv?.currency)} Stripe refund for ${docLabel(parentInv)}`,
+  });
+}
+
+/** charge.dispute.* — record the dispute and keep its status in sync */
+async function handleDispute(dispute: Stripe.Dispute, isNew: boolean) {
+  const piId = paymentIntentIdOf(dispute.payment_intent);
+  if (!piId) return;
+
+  const [payment] = await db.select().from(payments).where(eq(payments.stripePaymentIntentId, piId));
+  if (!payment) return;
+
+  const amount = dispute.amount / 100;
+  const [row] = await db
+    .insert(paymentDisputes)
+    .values({
+      invoiceId: payment.invoiceId,
+      paymentId: payment.id,
+      stripeDisputeId: dispute.id,
+      stripePaymentIntentId: piId,
+      amount,
+      reason: dispute.reason,
+      status: dispute.status,
+    })
+    .onConflictDoUpdate({
+      target: paymentDisputes.stripeDisputeId,
+      set: { status: dispute.status, reason: dispute.reason, amount, updatedAt: new Date() },
+    })
+    .returning();
+
+  const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, currency: invoices.currency }).from(invoices).where(eq(invoices.id, payment.invoiceId));
+  logActivity({
+    userId: 'system',
+    userDisplayName: 'Stripe Webhook',
+    action: isNew ? 'created' : 'updated',
+    entityType: 'dispute',
+    entityId: row.id,
+    entityLabel: `${formatCurrency(amount, parentInv?.currency)} dispute (${dispute.status}) on ${docLabel(parentInv)}`,
+  });
+
+  if (isNew) {
+    const privilegedIds = await getPrivilegedUserIds();
+    notifyUsers({
+      userIds: privilegedIds,
+      type: 'payment_disputed',
+      title: 'Payment Disputed',
+      message: `${parentInv?.clientName || 'Client'} disputed ${formatCurrency(amount, parentInv?.currency)} on ${docLabel(parentInv)}${dispute.reason ? ` (${dispute.reason.replace(/_/g, ' ')})` : ''}`,
+      entityType: 'invoice',
+      entityId: payment.invoiceId,
+    });
+  }
+}
 
 export default async function stripeRoutes(fastify: any) {
+  // POST /api/stripe/webhook — public, verified by Stripe-Signature.
+  // Signature checks need the untouched body, so this route gets its own
+  // scope with a raw buffer parser instead of the global JSON parser.
+  fastify.register(async (scope: any) => {
+    scope.removeContentTypeParser('application/json');
+    scope.addContentTypeParser('application/json', { parseAs: 'buffer' }, (_req: any, body: Buffer, done: any) => done(null, body));
+
+    scope.post('/webhook', async (request: any, reply: any) => {
+      const signature = request.headers['stripe-signature'];
+      if (!signature || !Buffer.isBuffer(request.body)) {
+        return reply.code(400).send({ error: 'Missing signature' });
+      }
+
+      let event: Stripe.Event;
+      try {
+        const [stripe, secret] = await Promise.all([getStripeInstance(), getStripeWebhookSecret()]);
+        event = stripe.webhooks.constructEvent(request.body, signature, secret);
+      } catch (err: any) {
+        return reply.code(400).send({ error: `Webhook verification failed: ${err.message}` });
+      }
+
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          await handlePaymentIntentSucceeded(event.data.object);
+          break;
+        case 'payment_intent.amount_capturable_updated':
+          await handlePaymentIntentAuthorized(event.data.object);
+          break;
+        case 'charge.refunded':
+          await handleChargeRefunded(event.data.object);
+          break;
+        case 'charge.dispute.created':
+          await handleDispute(event.data.object, true);
+          break;
+        case 'charge.dispute.updated':
+        case 'charge.dispute.closed':
+          await handleDispute(event.data.object, false);
+          break;
+      }
+
+      return { received: true };
+    });
+  });
+
   // POST /api/stripe/create-payment-intent
   fastify.post('/create-payment-intent', async (request: any) => {
     const { invoiceId, amount } = request.body;
@@ -14,16 +235,16 @@ export default async function stripeRoutes(fastify: any) {
     const [inv] = await db.select().from(invoices).where(eq(invoices.id, invoiceId));
     if (!inv) throw new Error('Invoice not found');
 
-    const balance = inv.total - inv.paidAmount;
+    const balance = inv.total - (inv.creditedAmount || 0) - inv.paidAmount;
     if (amount > balance + 0.01) throw new Error('Amount exceeds balance due');
 
     const stripe = await getStripeInstance();
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(amount * 100),
-      currency: 'usd',
+      currency: inv.currency.toLowerCase(),
       metadata: {
         invoiceId,
-        invoiceNumber: String(inv.invoiceNumber),
+        invoiceNumber: formatDocNumber(inv.invoiceNumber, inv.displayNumber),
       },
       payment_method_types: ['card', 'link'],
       capture_method: 'manual',
@@ -47,15 +268,8 @@ export default async function stripeRoutes(fastify: any) {
 
     if (pi.status === 'requires_capture') {
       // Verify CVC for card payments before capturing
-      const charge = pi.latest_charge as any;
-      if (charge?.payment_method_details?.card) {
-        const cvcCheck = charge.payment_method_details.card.checks?.cvc_check;
-        if (cvcCheck === 'fail') {
-          await stripe.paymentIntents.cancel(paymentIntentId);
-          return reply.code(400).send({ error: 'Card security code (CVC) is incorrect. Payment was not charged. Please try again.' });
-        }
-      }
-      await stripe.paymentIntents.capture(paymentIntentId);
+      const captured = await captureAuthorizedPayment(stripe, pi);
+      if ('error' in captured) return reply.code(400).send({ error: captured.error });
     } else if (pi.status !== 'succeeded') {
       return reply.code(400).send({ error: 'Payment has not been confirmed by Stripe' });
     }
@@ -73,20 +287,27 @@ export default async function stripeRoutes(fastify: any) {
         stripePaymentIntentId: paymentIntentId,
         stripeRefundedAmount: 0,
       })
+      .onConflictDoNothing({ target: payments.stripePaymentIntentId })
       .returning();
 
+    // The webhook got there first — it already recalculated and notified
+    if (!payment) {
+      const [existing] = await db.select().from(payments).where(eq(payments.stripePaymentIntentId, paymentIntentId));
+      return { data: existing, alreadyRecorded: true };
+    }
+
     await recalculateInvoice(invoiceId);
     await checkDepositAndBookProject(invoiceId);
 
-    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, clientName: invoices.clientName }).from(invoices).where(eq(invoices.id, invoiceId));
-    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `$${stripeAmount.toFixed(2)} Stripe payment for ${docLabel(parentInv?.invoiceNumber)}` });
+    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, clientName: invoices.clientName, currency: invoices.currency }).from(invoices).where(eq(invoices.id, invoiceId));
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'payment', entityId: payment.id, entityLabel: `${formatCurrency(stripeAmount, parentInv?.currency)} Stripe payment for ${docLabel(parentInv)}` });
 
     const privilegedIds = await getPrivilegedUserIds();
     notifyUsers({
       userIds: privilegedIds,
       type: 'payment_received',
       title: 'Payment Received',
-      message: `${parentInv?.clientName || 'Client'} paid $${stripeAmount.toFixed(2)} on ${docLabel(parentInv?.invoiceNumber)}`,
+      message: `${parentInv?.clientName || 'Client'} paid ${formatCurrency(stripeAmount, parentInv?.currency)} on ${docLabel(parentInv)}`,
       entityType: 'invoice',
       entityId: invoiceId,
     });
@@ -126,8 +347,8 @@ export default async function stripeRoutes(fastify: any) {
 
     await recalculateInvoice(payment.invoiceId);
 
-    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber }).from(invoices).where(eq(invoices.id, payment.invoiceId));
-    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'payment', entityId: paymentId, entityLabel: `$${refundAmount.toFixed(2)} Stripe refund for ${docLabel(parentInv?.invoiceNumber)}` });
+    const [parentInv] = await db.select({ invoiceNumber: invoices.invoiceNumber, displayNumber: invoices.displayNumber, currency: invoices.currency }).from(invoices).where(eq(invoices.id, payment.invoiceId));
+    logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'payment', entityId: paymentId, entityLabel: `${formatCurrency(refundAmount, parentInv?.currency)} Stripe refund for ${docLabel(parentInv)}` });
 
     return { data: { refundId: refund.id, amount: refundAmount, status: refund.status } };
   });
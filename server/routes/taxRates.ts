@@ -1,4 +1,9 @@
+import { db } from '../db';
+import { taxRates } from '../db/schema';
+import { eq, asc } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
+import { logActivity, actorFromRequest } from '../lib/activityLog';
+import { broadcast } from '../lib/pubsub';
 
 // Representative ZIP code per state for API Ninjas lookups
 const STATE_ZIPS: Record<string, string> = {
@@ -15,11 +20,70 @@ const STATE_ZIPS: Record<string, string> = {
   DC: '20001',
 };
 
+function parseTaxRateBody(body: any) {
+  const name = String(body.name || '').trim();
+  const rate = parseFloat(body.rate);
+  if (!name) return { error: 'Give the tax rate a name' };
+  if (isNaN(rate) || rate < 0 || rate > 100) return { error: 'Rate must be a percentage between 0 and 100' };
+  return {
+    values: {
+      name,
+      rate,
+      jurisdiction: String(body.jurisdiction || '').trim() || null,
+      isDefault: !!body.isDefault,
+      sortOrder: body.sortOrder ?? 0,
+    },
+  };
+}
+
 function sleep(ms: number) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 export default async function taxRatesRoutes(fastify: any) {
+  const writeGuard = requirePermission('access_settings');
+
+  // GET /api/tax-rates — named rates, for the editors and settings
+  fastify.get('/', async () => {
+    const data = await db.select().from(taxRates).orderBy(asc(taxRates.sortOrder), asc(taxRates.createdAt));
+    return { data };
+  });
+
+  // POST /api/tax-rates
+  fastify.post('/', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const parsed = parseTaxRateBody(request.body);
+    if ('error' in parsed) return reply.code(400).send({ error: parsed.error });
+    const [data] = await db.insert(taxRates).values(parsed.values).returning();
+    logActivity({ ...actorFromRequest(request), action: 'created', entityType: 'tax_rate', entityId: data.id, entityLabel: `${data.name} (${data.rate}%)` });
+    broadcast('tax_rate', 'created', request.user.id, data.id);
+    return { data };
+  });
+
+  // PUT /api/tax-rates/:id — documents keep the rate they were issued with
+  fastify.put('/:id', { preHandler: [writeGuard] }, async (request: any, reply: any) => {
+    const parsed = parseTaxRateBody(request.body);
+    if ('error' in parsed) return reply.code(400).send({ error: parsed.error });
+    const [data] = await db
+      .update(taxRates)
+      .set({ ...parsed.values, updatedAt: new Date() })
+      .where(eq(taxRates.id, request.params.id))
+      .returning();
+    if (!data) throw new Error('Tax rate not found');
+    logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'tax_rate', entityId: data.id, entityLabel: `${data.name} (${data.rate}%)` });
+    broadcast('tax_rate', 'updated', request.user.id, data.id);
+    return { data };
+  });
+
+  // DELETE /api/tax-rates/:id
+  fastify.delete('/:id', { preHandler: [writeGuard] }, async (request: any) => {
+    const [existing] = await db.delete(taxRates).where(eq(taxRates.id, request.params.id)).returning();
+    if (existing) {
+      logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'tax_rate', entityId: existing.id, entityLabel: existing.name });
+      broadcast('tax_rate', 'deleted', request.user.id, existing.id);
+    }
+    return { success: true };
+  });
+
   // POST /api/tax-rates/fetch-api — bulk-fetch rates from API Ninjas (admin only)
   fastify.post('/fetch-api', { preHandler: [requirePermission('access_settings')] }, async (request: any, reply: any) => {
     const { apiKey } = request.body || {};
@@ -4,6 +4,7 @@ import { eq, asc, isNull } from 'drizzle-orm';
 import { requireRole, requireSelfOrRole, requirePermission, clearRoleCache } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { broadcast } from '../lib/pubsub';
+import { pruneLedger } from '../lib/ledger';
 
 export default async function teamRoutes(fastify: any) {
   // GET /api/team — list all team members (owner, manager)
@@ -206,6 +207,8 @@ export default async function teamRoutes(fastify: any) {
     if (!existing) return reply.code(404).send({ error: 'Team member not found' });
 
     await db.delete(teamMembers).where(eq(teamMembers.id, id));
+    // Their payments, advances and salary went with them
+    await pruneLedger();
 
     if (existing.userId) clearRoleCache(existing.userId);
     logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'team_member', entityId: id });
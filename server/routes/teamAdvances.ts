@@ -6,6 +6,7 @@ import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { notifyUsers } from '../lib/notifications';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
+import { syncLedger } from '../lib/ledger';
 
 export default async function teamAdvanceRoutes(fastify: any) {
   // GET /api/team-advances — list entries (crew filtered to own)
@@ -114,6 +115,7 @@ export default async function teamAdvanceRoutes(fastify: any) {
       teamPaymentId: teamPaymentId || null,
       createdBy: request.user.id,
     }).returning();
+    await syncLedger('team_advance', data.id);
 
     logActivity({
       ...actorFromRequest(request),
@@ -158,6 +160,7 @@ export default async function teamAdvanceRoutes(fastify: any) {
       })
       .where(eq(teamAdvances.id, id))
       .returning();
+    await syncLedger('team_advance', id);
 
     logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'team_advance', entityId: id });
     broadcast('team_advance', 'updated', request.user.id, id);
@@ -172,6 +175,7 @@ export default async function teamAdvanceRoutes(fastify: any) {
     if (!existing) return reply.code(404).send({ error: 'Entry not found' });
 
     await db.delete(teamAdvances).where(eq(teamAdvances.id, id));
+    await syncLedger('team_advance', id);
     logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'team_advance', entityId: id });
     broadcast('team_advance', 'deleted', request.user.id, id);
 
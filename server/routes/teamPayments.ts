@@ -1,5 +1,5 @@
 import { db } from '../db';
-import { teamPayments, teamMembers, teamAdvances, teamSalary, projects, user, profiles } from '../db/schema';
+import { teamPayments, teamMembers, teamAdvances, teamSalary, projects, user, profiles, expenses } from '../db/schema';
 import { eq, and, desc } from 'drizzle-orm';
 import { requirePermission } from '../lib/permissions';
 import { logActivity, actorFromRequest } from '../lib/activityLog';
@@ -7,6 +7,8 @@ import { recalculateProjectTeamFinancials } from '../lib/teamCalc';
 import { syncTeamPaymentExpense } from '../lib/expenseSync';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
+import { syncLedger } from '../lib/ledger';
+import { receiptFiles, unlinkReceipts } from '../lib/receipts';
 
 export default async function teamPaymentRoutes(fastify: any) {
   // GET /api/team-payments — list payments (filtered by role)
@@ -101,6 +103,7 @@ export default async function teamPaymentRoutes(fastify: any) {
       status: data.status,
       userId: request.user.id,
     });
+    await syncLedger('team_payment', data.id);
 
     // Auto-create repayment entry if advanceRepayment > 0
     if (advanceRepayment && Number(advanceRepayment) > 0) {
@@ -108,7 +111,7 @@ export default async function teamPaymentRoutes(fastify: any) {
         .from(teamMembers).where(eq(teamMembers.id, teamMemberId));
 
       if (member?.advancesEnabled) {
-        await db.insert(teamAdvances).values({
+        const [repayment] = await db.insert(teamAdvances).values({
           teamMemberId,
           type: 'repayment',
           amount: Number(advanceRepayment),
@@ -116,7 +119,8 @@ export default async function teamPaymentRoutes(fastify: any) {
           advanceDate: data.paymentDate,
           teamPaymentId: data.id,
           createdBy: request.user.id,
-        });
+        }).returning({ id: teamAdvances.id });
+        await syncLedger('team_advance', repayment.id);
       }
     }
 
@@ -126,7 +130,7 @@ export default async function teamPaymentRoutes(fastify: any) {
         .from(teamMembers).where(eq(teamMembers.id, teamMemberId));
 
       if (salaryMember?.salaryEnabled) {
-        await db.insert(teamSalary).values({
+        const [salaryPaid] = await db.insert(teamSalary).values({
           teamMemberId,
           type: 'paid',
           amount: Number(salaryDeduction),
@@ -134,7 +138,8 @@ export default async function teamPaymentRoutes(fastify: any) {
           entryDate: data.paymentDate,
           teamPaymentId: data.id,
           createdBy: request.user.id,
-        });
+        }).returning({ id: teamSalary.id });
+        await syncLedger('team_salary', salaryPaid.id);
       }
     }
 
@@ -181,6 +186,7 @@ export default async function teamPaymentRoutes(fastify: any) {
       status: data.status,
       userId: request.user.id,
     });
+    await syncLedger('team_payment', data.id);
 
     return { data };
   });
@@ -192,7 +198,15 @@ export default async function teamPaymentRoutes(fastify: any) {
     const [existing] = await db.select({ id: teamPayments.id, projectId: teamPayments.projectId }).from(teamPayments).where(eq(teamPayments.id, id));
     if (!existing) return reply.code(404).send({ error: 'Payment not found' });
 
+    // Salary settled through this payment is paid from cash once the payment is gone
+    const linkedSalary = await db.select({ id: teamSalary.id }).from(teamSalary).where(eq(teamSalary.teamPaymentId, id));
+    // The linked expense cascades away with the payment, taking its receipt rows along
+    const linkedExpenses = await db.select({ id: expenses.id }).from(expenses).where(eq(expenses.teamPaymentId, id));
+    const files = await receiptFiles(linkedExpenses.map(e => e.id));
     await db.delete(teamPayments).where(eq(teamPayments.id, id));
+    await syncLedger('team_payment', id);
+    await unlinkReceipts(files);
+    for (const s of linkedSalary) await syncLedger('team_salary', s.id);
 
     await recalculateProjectTeamFinancials(existing.projectId);
     logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'team_payment', entityId: id });
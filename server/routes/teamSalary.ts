@@ -5,6 +5,7 @@ import { requireSelfOrRole, requirePermission, hasPermission } from '../lib/perm
 import { logActivity, actorFromRequest } from '../lib/activityLog';
 import { parseDateInput } from '../lib/dates';
 import { broadcast } from '../lib/pubsub';
+import { syncLedger } from '../lib/ledger';
 
 export default async function teamSalaryRoutes(fastify: any) {
   // GET /api/team-salary — list entries (privileged see all, crew see own)
@@ -121,6 +122,7 @@ export default async function teamSalaryRoutes(fastify: any) {
       teamPaymentId: teamPaymentId || null,
       createdBy: request.user.id,
     }).returning();
+    await syncLedger('team_salary', data.id);
 
     logActivity({
       ...actorFromRequest(request),
@@ -154,6 +156,7 @@ export default async function teamSalaryRoutes(fastify: any) {
       })
       .where(eq(teamSalary.id, id))
       .returning();
+    await syncLedger('team_salary', id);
 
     logActivity({ ...actorFromRequest(request), action: 'updated', entityType: 'team_salary', entityId: id });
     broadcast('team_salary', 'updated', request.user.id, id);
@@ -168,6 +171,7 @@ export default async function teamSalaryRoutes(fastify: any) {
     if (!existing) return reply.code(404).send({ error: 'Entry not found' });
 
     await db.delete(teamSalary).where(eq(teamSalary.id, id));
+    await syncLedger('team_salary', id);
     logActivity({ ...actorFromRequest(request), action: 'deleted', entityType: 'team_salary', entityId: id });
     broadcast('team_salary', 'deleted', request.user.id, id);
 
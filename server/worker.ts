@@ -1,6 +1,6 @@
 import IORedis from 'ioredis';
 import { Worker } from 'bullmq';
-import { cleanupQueue, invoiceReminderQueue, recurringExpensesQueue, salaryAccrualQueue, backupQueue } from './lib/queue';
+import { cleanupQueue, invoiceReminderQueue, quoteFollowUpQueue, recurringExpensesQueue, salaryAccrualQueue, backupQueue } from './lib/queue';
 
 const redisUrl = process.env.REDIS_URL || 'redis://localhost:6380';
 const connection = new IORedis(redisUrl, { maxRetriesPerRequest: null });
@@ -48,6 +48,20 @@ invoiceReminderWorker.on('failed', (job, err) => {
   console.error(`[invoice-reminders] Job ${job?.id} failed:`, err.message);
 });
 
+// ── Quote follow-up worker ──
+import { processQuoteFollowUpJob } from './workers/quoteFollowUps.worker';
+
+const quoteFollowUpWorker = new Worker('quote-follow-ups', processQuoteFollowUpJob, {
+  connection,
+});
+
+quoteFollowUpWorker.on('completed', (job) => {
+  console.log(`[quote-follow-ups] Job ${job.id} completed`);
+});
+quoteFollowUpWorker.on('failed', (job, err) => {
+  console.error(`[quote-follow-ups] Job ${job?.id} failed:`, err.message);
+});
+
 // ── Recurring expenses worker ──
 import { processRecurringExpensesJob } from './workers/recurringExpenses.worker';
 
@@ -107,6 +121,13 @@ async function scheduleCronJobs() {
     { name: 'daily-invoice-reminders' },
   );
 
+  // Daily quote follow-up and expiry check at 9:30 AM
+  await quoteFollowUpQueue.upsertJobScheduler(
+    'daily-quote-follow-ups',
+    { pattern: '30 9 * * *' },
+    { name: 'daily-quote-follow-ups' },
+  );
+
   // Daily recurring expense generation at 12:01 AM
   await recurringExpensesQueue.upsertJobScheduler(
     'daily-recurring-expenses',
@@ -151,6 +172,7 @@ async function shutdown() {
   await emailWorker.close();
   await cleanupWorker.close();
   await invoiceReminderWorker.close();
+  await quoteFollowUpWorker.close();
   await recurringExpensesWorker.close();
   await salaryAccrualWorker.close();
   await backupWorker.close();
@@ -4,21 +4,23 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import type { Job } from 'bullmq';
 import { db } from '../db';
-import { appSettings, quotes, invoices, pdfDocuments } from '../db/schema';
+import { appSettings, quotes, invoices, invoiceReminders, pdfDocuments } from '../db/schema';
 import { eq, inArray } from 'drizzle-orm';
 import { generatePdfBase64 } from '../lib/generatePdf';
 import { getSmtpSettings, createTransporter, buildFromAddress } from '../lib/mailer';
 import { logActivity } from '../lib/activityLog';
 import { composeCompanyInfo, COMPANY_INFO_KEYS } from '../lib/companyInfo';
+import { formatCurrency } from '../lib/currency';
+import { formatDocNumber } from '../lib/numbering';
+import { installmentSchedule } from '../lib/installments';
+import { getReminderSteps } from '../lib/reminders';
+import { calendarDaysBetween } from '../lib/dates';
+import { getFollowUpSettings, isQuoteExpired } from '../lib/quoteFollowUps';
+import { recordRevision } from '../lib/revisions';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const documentsDir = path.join(__dirname, '..', 'uploads', 'documents');
 
-const formatCurrency = (amount: any) => {
-  if (typeof amount !== 'number') amount = parseFloat(amount) || 0;
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
-};
-
 function escapeHtml(str: string): string {
   return str
     .replace(/&/g, '&amp;')
@@ -38,11 +40,13 @@ function replacePlaceholders(text: string, data: Record<string, string>) {
   return result;
 }
 
-function buildEmailHtml({ type, body, companyName, companyAddress, companyContact, logoUrl, accentColor: accent, emailHeaderBgColor, emailAccentColor, emailHeaderTextColor, pdfDownloadUrl, payOnlineUrl, approveQuoteUrl, document }: any) {
+function formatDueDate(date: Date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function buildEmailHtml({ type, body, companyName, companyAddress, companyContact, logoUrl, accentColor: accent, emailHeaderBgColor, emailAccentColor, emailHeaderTextColor, pdfDownloadUrl, payOnlineUrl, approveQuoteUrl, document, installment, lateFees, lateFeeNotice }: any) {
   const docLabel = type === 'quote' ? 'Quote' : 'Invoice';
-  const docNumber = type === 'quote'
-    ? String(document.quoteNumber).padStart(5, '0')
-    : String(document.invoiceNumber).padStart(5, '0');
+  const docNumber = formatDocNumber(type === 'quote' ? document.quoteNumber : document.invoiceNumber, document.displayNumber);
   const docDate = new Date(document.createdAt).toLocaleDateString('en-US', {
     year: 'numeric', month: 'long', day: 'numeric',
   });
@@ -68,24 +72,37 @@ function buildEmailHtml({ type, body, companyName, companyAddress, companyContac
   const summaryRows: any[] = [];
   summaryRows.push({ label: `${docLabel} #`, value: docNumber });
   summaryRows.push({ label: 'Date', value: docDate });
+  if (type === 'quote' && document.validUntil) {
+    summaryRows.push({ label: 'Valid Until', value: formatDueDate(document.validUntil) });
+  }
   if (document.clientName) {
     summaryRows.push({ label: 'Client', value: escapeHtml(document.clientName) });
   }
-  summaryRows.push({ label: 'Subtotal', value: formatCurrency(document.subtotal || 0) });
+  summaryRows.push({ label: 'Subtotal', value: formatCurrency(document.subtotal || 0, document.currency) });
   if (document.discountAmount > 0) {
-    summaryRows.push({ label: 'Discount', value: `- ${formatCurrency(document.discountAmount)}` });
+    summaryRows.push({ label: 'Discount', value: `- ${formatCurrency(document.discountAmount, document.currency)}` });
   }
   if (document.tax > 0) {
-    summaryRows.push({ label: 'Tax', value: formatCurrency(document.tax) });
+    summaryRows.push({ label: 'Tax', value: formatCurrency(document.tax, document.currency) });
+  }
+  summaryRows.push({ label: 'Total', value: formatCurrency(document.total, document.currency), bold: true });
+  if (lateFees > 0) {
+    summaryRows.push({ label: 'Incl. Late Fees', value: formatCurrency(lateFees, document.currency) });
   }
-  summaryRows.push({ label: 'Total', value: formatCurrency(document.total), bold: true });
 
   if (type === 'invoice') {
+    if (document.creditedAmount > 0) {
+      summaryRows.push({ label: 'Credited', value: `- ${formatCurrency(document.creditedAmount, document.currency)}` });
+    }
     if (document.paidAmount > 0) {
-      summaryRows.push({ label: 'Paid', value: `- ${formatCurrency(document.paidAmount)}` });
+      summaryRows.push({ label: 'Paid', value: `- ${formatCurrency(document.paidAmount, document.currency)}` });
+    }
+    const balance = document.total - (document.creditedAmount || 0) - (document.paidAmount || 0);
+    summaryRows.push({ label: 'Balance Due', value: formatCurrency(balance, document.currency), bold: !installment, accent: !installment });
+    if (installment) {
+      summaryRows.push({ label: escapeHtml(installment.label || 'Installment'), value: `Due ${formatDueDate(installment.dueDate)}` });
+      summaryRows.push({ label: 'Amount Due Now', value: formatCurrency(installment.remaining, document.currency), bold: true, accent: true });
     }
-    const balance = document.total - (document.paidAmount || 0);
-    summaryRows.push({ label: 'Balance Due', value: formatCurrency(balance), bold: true, accent: true });
   }
 
   const summaryHtml = summaryRows.map((r: any) => `
@@ -140,7 +157,14 @@ function buildEmailHtml({ type, body, companyName, companyAddress, companyContac
           </td></tr>
         </table>
 
-        <!-- User body text -->
+        ${lateFeeNotice ? `<!-- Late fee notice -->
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px;">
+          <tr><td style="padding:14px 18px;background:#fef2f2;border-left:4px solid #ef4444;border-radius:0 6px 6px 0;">
+            <span style="font-size:13px;color:#991b1b;">${escapeHtml(lateFeeNotice)}</span>
+          </td></tr>
+        </table>
+
+        ` : ''}<!-- User body text -->
         <div style="font-size:15px;line-height:1.7;color:#374151;">
           ${bodyHtml}
         </div>
@@ -200,6 +224,9 @@ export interface EmailJobData {
   to: string;
   type: 'quote' | 'invoice';
   documentId: string;
+  installmentId?: string; // reminder for one installment of a payment plan
+  reminderStep?: number; // set by the reminder job: the cadence step, in days from the due date
+  followUp?: boolean; // set by the quote follow-up job
   subject?: string;
   body?: string;
   userId: string;
@@ -207,7 +234,7 @@ export interface EmailJobData {
 }
 
 export async function processEmailJob(job: Job<EmailJobData>) {
-  const { to, type, documentId, subject: customSubject, body: customBody, userId, userDisplayName } = job.data;
+  const { to, type, documentId, installmentId, reminderStep, followUp, subject: customSubject, body: customBody, userId, userDisplayName } = job.data;
 
   await job.updateProgress(10);
 
@@ -227,11 +254,25 @@ export async function processEmailJob(job: Job<EmailJobData>) {
   } else {
     document = await db.query.invoices.findFirst({
       where: eq(invoices.id, documentId),
-      with: { client: true, payments: true },
+      with: { client: true, payments: true, installments: true, items: true },
     });
   }
   if (!document) throw new Error('Document not found');
 
+  const installment = installmentId
+    ? installmentSchedule(document.installments, document).find(i => i.id === installmentId)
+    : undefined;
+  // Paid off or paused since the reminder was queued
+  const reminder = reminderStep !== undefined;
+  if (installment?.isPaid) return { success: true, skipped: true, documentId };
+  if (reminder && (document.status === 'paid' || document.remindersPaused)) return { success: true, skipped: true, documentId };
+  // Opened, approved, expired or already followed up since the follow-up was queued
+  if (followUp && (document.approvedAt || document.followUpSentAt || document.viewCount || document.pdfDownloadCount || isQuoteExpired(document))) return { success: true, skipped: true, documentId };
+
+  const lateFees = type === 'invoice'
+    ? document.items.filter((item: any) => item.isLateFee).reduce((s: number, item: any) => s + item.total, 0)
+    : 0;
+
   await job.updateProgress(20);
 
   // Fetch settings
@@ -256,20 +297,45 @@ export async function processEmailJob(job: Job<EmailJobData>) {
     quote: `Hi ${document.clientName || 'there'},\n\nThank you for your interest in working with us. Please find your quote attached for your review.\n\nIf you have any questions or would like to move forward, don't hesitate to reach out — we're happy to help.\n\nBest regards,\n${companyName}`,
     invoice: `Hi ${document.clientName || 'there'},\n\nPlease find your invoice attached. A summary of the charges is included above for your convenience.\n\nIf you have any questions regarding this invoice, feel free to contact us.\n\nThank you for your business,\n${companyName}`,
   };
-  const subjectTemplate = settingsMap[`email_subject_${type}`] || defaultSubjects[type];
-  const bodyTemplate = settingsMap[`email_template_${type}`] || defaultBodies[type];
+  let subjectTemplate = settingsMap[`email_subject_${type}`] || defaultSubjects[type];
+  let bodyTemplate = settingsMap[`email_template_${type}`] || defaultBodies[type];
+  if (reminder) {
+    const step = (await getReminderSteps()).find(s => s.days === reminderStep);
+    if (step?.subject) subjectTemplate = step.subject;
+    if (step?.body) bodyTemplate = step.body;
+  }
+  if (followUp) {
+    const followUpSettings = await getFollowUpSettings();
+    subjectTemplate = followUpSettings.subject;
+    bodyTemplate = followUpSettings.body;
+  }
+
+  // On a payment plan the reminder is about the installment, not the whole invoice
+  const balance = type === 'invoice' ? document.total - (document.creditedAmount || 0) - (document.paidAmount || 0) : 0;
+  const dueDate: Date | null = installment ? installment.dueDate : document.dueDate ?? null;
+  const daysFromDue = dueDate ? calendarDaysBetween(dueDate, new Date()) : 0;
 
   const placeholders: Record<string, string> = {
     '[app_name]': settingsMap.app_name || companyName,
     '[company_name]': companyName,
     '[client_name]': document.clientName || '',
-    '[quote_number]': type === 'quote' ? String(document.quoteNumber) : '',
-    '[invoice_number]': type === 'invoice' ? String(document.invoiceNumber) : '',
-    '[total]': formatCurrency(document.total),
-    '[subtotal]': formatCurrency(document.subtotal || 0),
-    '[tax]': formatCurrency(document.tax || 0),
-    '[discount_amount]': formatCurrency(document.discountAmount || 0),
+    '[quote_number]': type === 'quote' ? formatDocNumber(document.quoteNumber, document.displayNumber) : '',
+    '[invoice_number]': type === 'invoice' ? formatDocNumber(document.invoiceNumber, document.displayNumber) : '',
+    '[total]': formatCurrency(document.total, document.currency),
+    '[subtotal]': formatCurrency(document.subtotal || 0, document.currency),
+    '[tax]': formatCurrency(document.tax || 0, document.currency),
+    '[discount_amount]': formatCurrency(document.discountAmount || 0, document.currency),
     '[status]': type === 'invoice' ? (document.status || '') : '',
+    '[installment_label]': installment ? (installment.label || 'your installment') : '',
+    '[installment_amount]': installment ? formatCurrency(installment.remaining, document.currency) : '',
+    '[installment_due_date]': installment ? formatDueDate(installment.dueDate) : '',
+    '[late_fees]': lateFees > 0 ? formatCurrency(lateFees, document.currency) : '',
+    '[balance]': type === 'invoice' ? formatCurrency(balance, document.currency) : '',
+    '[amount_due]': type === 'invoice' ? formatCurrency(installment ? installment.remaining : balance, document.currency) : '',
+    '[due_date]': dueDate ? formatDueDate(dueDate) : '',
+    '[days_overdue]': String(Math.max(daysFromDue, 0)),
+    '[days_until_due]': String(Math.max(-daysFromDue, 0)),
+    '[valid_until]': type === 'quote' && document.validUntil ? formatDueDate(document.validUntil) : '',
   };
 
   const subject = customSubject || replacePlaceholders(subjectTemplate, placeholders);
@@ -316,7 +382,6 @@ export async function processEmailJob(job: Job<EmailJobData>) {
   // Generate pay-online URL for invoices when online payments are enabled and balance > 0
   let payOnlineUrl = '';
   if (type === 'invoice' && (settingsMap.stripe_enabled === 'true' || settingsMap.paypal_enabled === 'true')) {
-    const balance = (document.total || 0) - (document.paidAmount || 0);
     if (balance > 0) {
       let token = document.paymentToken;
       if (!token) {
@@ -380,6 +445,12 @@ export async function processEmailJob(job: Job<EmailJobData>) {
     payOnlineUrl,
     approveQuoteUrl,
     document,
+    installment,
+    lateFees,
+    // Reminders call the fee out even when the template doesn't mention it
+    lateFeeNotice: reminder && lateFees > 0
+      ? `Late fees of ${formatCurrency(lateFees, document.currency)} have been added to this invoice under our late payment policy.`
+      : null,
   });
 
   await job.updateProgress(80);
@@ -403,16 +474,42 @@ export async function processEmailJob(job: Job<EmailJobData>) {
 
   await job.updateProgress(100);
 
+  // The mail is out: a failed snapshot must not make the job retry and send it again
+  try {
+    await recordRevision(type, documentId, { sentTo: to, createdBy: userDisplayName });
+  } catch (err) {
+    console.error(`[email] Failed to record revision of ${type} ${documentId}:`, err);
+  }
+
+  if (reminder) {
+    await db.insert(invoiceReminders).values({
+      invoiceId: documentId,
+      installmentId: installment?.id ?? null,
+      installmentLabel: installment ? installment.label || 'Installment' : null,
+      step: reminderStep,
+      recipient: to,
+      subject,
+    });
+  }
+
+  // The follow-up job counts from the first send; sending the quote again answers a change request
+  if (type === 'quote') {
+    await db.update(quotes).set({
+      sentAt: document.sentAt ?? new Date(),
+      ...(followUp ? { followUpSentAt: new Date() } : { changesRequestedAt: null }),
+    }).where(eq(quotes.id, documentId));
+  }
+
   // Log activity
   const docNum = type === 'quote' ? document.quoteNumber : document.invoiceNumber;
-  const docLabel = `${type === 'quote' ? 'Quote' : 'Invoice'} #${String(docNum).padStart(5, '0')}`;
+  const docLabel = `${type === 'quote' ? 'Quote' : 'Invoice'} #${formatDocNumber(docNum, document.displayNumber)}`;
   logActivity({
     userId,
     userDisplayName,
     action: 'emailed',
     entityType: type,
     entityId: documentId,
-    entityLabel: `${docLabel} to ${to}`,
+    entityLabel: `${followUp ? `Follow-up on ${docLabel}` : docLabel} to ${to}`,
   });
 
   return { success: true, to, documentId };
@@ -1,10 +1,18 @@
 import type { Job } from 'bullmq';
 import { db } from '../db';
-import { invoices, appSettings } from '../db/schema';
-import { eq, and, lt, ne, inArray } from 'drizzle-orm';
+import { invoices, invoiceInstallments, appSettings } from '../db/schema';
+import { eq, and, or, ne, inArray, between } from 'drizzle-orm';
 import { emailQueue } from '../lib/queue';
+import { installmentSchedule } from '../lib/installments';
+import { applyLateFees } from '../lib/lateFees';
+import { getReminderSteps } from '../lib/reminders';
+import { calendarDaysBetween } from '../lib/dates';
 
 export async function processInvoiceReminderJob(job: Job) {
+  // Late fees go on first (the policy has its own switch) so today's reminders include them
+  const { feesAdded } = await applyLateFees();
+  if (feesAdded > 0) console.log(`[invoice-reminders] Added ${feesAdded} late fees`);
+
   // Check if reminders are enabled
   const [enabledSetting] = await db
     .select()
@@ -13,62 +21,82 @@ export async function processInvoiceReminderJob(job: Job) {
 
   if (enabledSetting?.value !== 'true') {
     console.log('[invoice-reminders] Reminders are disabled, skipping');
-    return { skipped: true, reason: 'disabled' };
+    return { skipped: true, reason: 'disabled', feesAdded };
   }
 
-  // Get reminder config
-  const [daysSetting] = await db
-    .select()
-    .from(appSettings)
-    .where(eq(appSettings.key, 'invoice_reminder_days'));
-
-  const reminderDays = (daysSetting?.value || '7,14,30')
-    .split(',')
-    .map((d: string) => parseInt(d.trim(), 10))
-    .filter((d: number) => !isNaN(d));
+  const steps = await getReminderSteps();
+  if (steps.length === 0) return { skipped: true, reason: 'no steps', feesAdded };
 
   const now = new Date();
+  const DAY_MS = 1000 * 60 * 60 * 24;
+  // Negative before the due date, 0 on the day, positive once overdue
+  const daysSince = (date: Date) => calendarDaysBetween(new Date(date), now);
 
-  // Find overdue invoices (due_date < now AND status is not 'paid')
-  const overdueInvoices = await db.query.invoices.findMany({
+  // Only due dates some step could land on today are worth loading
+  const offsets = steps.map(s => s.days);
+  const windowStart = new Date(now.getTime() - (Math.max(...offsets, 0) + 1) * DAY_MS);
+  const windowEnd = new Date(now.getTime() + (Math.max(...offsets.map(d => -d), 0) + 1) * DAY_MS);
+
+  // Invoices on a payment plan fall due installment by installment, before the invoice's own due date
+  const planInvoiceIds = db
+    .selectDistinct({ id: invoiceInstallments.invoiceId })
+    .from(invoiceInstallments)
+    .where(between(invoiceInstallments.dueDate, windowStart, windowEnd));
+
+  const candidates = await db.query.invoices.findMany({
     where: and(
-      lt(invoices.dueDate, now),
+      or(between(invoices.dueDate, windowStart, windowEnd), inArray(invoices.id, planInvoiceIds)),
       ne(invoices.status, 'paid'),
+      eq(invoices.remindersPaused, false),
     ),
-    with: { client: true },
+    with: { client: true, installments: true },
   });
 
   let remindersQueued = 0;
 
-  for (const invoice of overdueInvoices) {
-    if (!invoice.dueDate) continue;
-
-    const daysOverdue = Math.floor(
-      (now.getTime() - new Date(invoice.dueDate).getTime()) / (1000 * 60 * 60 * 24)
-    );
-
-    // Only send on the exact configured days
-    if (!reminderDays.includes(daysOverdue)) continue;
-
-    // Only queue if client has an email
-    const clientEmail = invoice.client?.email;
-    if (!clientEmail) continue;
-
+  const queueReminder = async (invoice: typeof candidates[number], to: string, step: number, installmentId?: string) => {
+    const stepKey = step < 0 ? `pre${-step}` : `day${step}`;
     await emailQueue.add('send', {
-      to: clientEmail,
+      to,
       type: 'invoice' as const,
       documentId: invoice.id,
+      installmentId,
+      reminderStep: step,
       userId: invoice.userId,
       userDisplayName: 'System',
     }, {
       attempts: 3,
       backoff: { type: 'exponential', delay: 60_000 },
-      jobId: `reminder-${invoice.id}-day${daysOverdue}`, // Deduplicate
+      jobId: ['reminder', invoice.id, installmentId, stepKey].filter(Boolean).join('-'), // Deduplicate
     });
-
     remindersQueued++;
+  };
+
+  for (const invoice of candidates) {
+    // Only queue if client has an email
+    const clientEmail = invoice.client?.email;
+    if (!clientEmail) continue;
+
+    // Each unpaid installment gets its own reminders, counted from its own due date
+    if (invoice.installments.length > 0) {
+      for (const installment of installmentSchedule(invoice.installments, invoice)) {
+        if (installment.isPaid) continue;
+        const step = daysSince(installment.dueDate);
+        if (!offsets.includes(step)) continue;
+        await queueReminder(invoice, clientEmail, step, installment.id);
+      }
+      continue;
+    }
+
+    if (!invoice.dueDate) continue;
+
+    // Only send on the exact configured days
+    const step = daysSince(invoice.dueDate);
+    if (!offsets.includes(step)) continue;
+
+    await queueReminder(invoice, clientEmail, step);
   }
 
-  console.log(`[invoice-reminders] Found ${overdueInvoices.length} overdue, queued ${remindersQueued} reminders`);
-  return { overdueCount: overdueInvoices.length, remindersQueued };
+  console.log(`[invoice-reminders] Checked ${candidates.length} invoices, queued ${remindersQueued} reminders`);
+  return { candidateCount: candidates.length, remindersQueued, feesAdded };
 }
@@ -0,0 +1,79 @@
+import type { Job } from 'bullmq';
+import { db } from '../db';
+import { quotes, invoices } from '../db/schema';
+import { eq, and, lte, isNull, isNotNull, notInArray } from 'drizzle-orm';
+import { emailQueue } from '../lib/queue';
+import { notifyUsers } from '../lib/notifications';
+import { formatDocNumber } from '../lib/numbering';
+import { getFollowUpSettings, isQuoteExpired } from '../lib/quoteFollowUps';
+
+export async function processQuoteFollowUpJob(job: Job) {
+  const now = new Date();
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  // Quotes turned into an invoice by hand are settled even without a client approval
+  const invoicedQuoteIds = db
+    .select({ id: invoices.quoteId })
+    .from(invoices)
+    .where(isNotNull(invoices.quoteId));
+  const open = and(isNull(quotes.approvedAt), notInArray(quotes.id, invoicedQuoteIds));
+
+  // ── Follow-ups: one email, N days after the quote was first sent, if the client never opened it ──
+  let followUpsQueued = 0;
+  const settings = await getFollowUpSettings();
+  if (settings.enabled) {
+    const candidates = await db.query.quotes.findMany({
+      where: and(
+        open,
+        isNull(quotes.followUpSentAt),
+        eq(quotes.viewCount, 0),
+        eq(quotes.pdfDownloadCount, 0),
+        isNotNull(quotes.sentAt),
+        lte(quotes.sentAt, new Date(now.getTime() - settings.days * DAY_MS)),
+      ),
+      with: { client: true },
+    });
+
+    for (const quote of candidates) {
+      const clientEmail = quote.client?.email;
+      if (!clientEmail || isQuoteExpired(quote, now)) continue;
+      await emailQueue.add('send', {
+        to: clientEmail,
+        type: 'quote' as const,
+        documentId: quote.id,
+        followUp: true,
+        userId: quote.userId,
+        userDisplayName: 'System',
+      }, {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 60_000 },
+        jobId: `quote-follow-up-${quote.id}`, // Deduplicate
+      });
+      followUpsQueued++;
+    }
+  } else {
+    console.log('[quote-follow-ups] Follow-ups are disabled, skipping');
+  }
+
+  // ── Expiry: tell the quote's owner once its approval link stops working ──
+  const expired = (await db
+    .select({ id: quotes.id, userId: quotes.userId, quoteNumber: quotes.quoteNumber, displayNumber: quotes.displayNumber, clientName: quotes.clientName, validUntil: quotes.validUntil })
+    .from(quotes)
+    .where(and(open, isNull(quotes.expiryNotifiedAt), lte(quotes.validUntil, now))))
+    .filter(quote => isQuoteExpired(quote, now));
+
+  for (const quote of expired) {
+    await notifyUsers({
+      userIds: [quote.userId],
+      type: 'quote_expired',
+      title: 'Quote Expired',
+      message: `Quote #${formatDocNumber(quote.quoteNumber, quote.displayNumber)}${quote.clientName ? ` for ${quote.clientName}` : ''} expired without being approved`,
+      entityType: 'quote',
+      entityId: quote.id,
+    });
+    await db.update(quotes).set({ expiryNotifiedAt: now }).where(eq(quotes.id, quote.id));
+  }
+
+  console.log(`[quote-follow-ups] Queued ${followUpsQueued} follow-ups, ${expired.length} quotes expired`);
+  return { followUpsQueued, expiredCount: expired.length };
+}
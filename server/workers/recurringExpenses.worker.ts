@@ -3,6 +3,8 @@ import { db } from '../db';
 import { recurringExpenses, expenses } from '../db/schema';
 import { eq, and, lte } from 'drizzle-orm';
 import { calculateNextDueDate } from '../routes/recurringExpenses';
+import { syncLedger } from '../lib/ledger';
+import { ruleForUncategorized } from '../lib/expenseRules';
 
 export async function processRecurringExpensesJob(job: Job) {
   const today = new Date();
@@ -36,18 +38,20 @@ export async function processRecurringExpensesJob(job: Job) {
       continue;
     }
 
-    // Create expense entry
-    await db.insert(expenses).values({
+    // Create expense entry — rules added since the template was set up can still categorize it
+    const rule = await ruleForUncategorized(template.categoryId, template.description);
+    const [created] = await db.insert(expenses).values({
       userId: template.userId,
-      categoryId: template.categoryId,
+      categoryId: rule?.categoryId || template.categoryId,
       projectId: template.projectId,
       description: template.description,
       amount: template.amount,
-      vendorId: template.vendorId,
+      vendorId: template.vendorId || rule?.vendorId || null,
       notes: template.notes,
       expenseDate: template.nextDueDate,
       recurringExpenseId: template.id,
-    });
+    }).returning({ id: expenses.id });
+    await syncLedger('expense', created.id);
 
     // Advance nextDueDate
     const next = calculateNextDueDate(template.nextDueDate, template.frequency);
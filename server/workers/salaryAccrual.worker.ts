@@ -3,6 +3,7 @@ import { db } from '../db';
 import { teamSalary, teamMembers } from '../db/schema';
 import { eq, and } from 'drizzle-orm';
 import { notifyUsers } from '../lib/notifications';
+import { syncLedger } from '../lib/ledger';
 
 function getWeekRange(date: Date) {
   const d = new Date(date);
@@ -61,7 +62,7 @@ export async function processSalaryAccrualJob(job: Job) {
 
     const description = `Weekly salary — ${formatDate(periodStart)} to ${formatDate(periodEnd)}`;
 
-    await db.insert(teamSalary).values({
+    const [accrual] = await db.insert(teamSalary).values({
       teamMemberId: member.id,
       type: 'accrued',
       amount: member.weeklySalary,
@@ -69,7 +70,8 @@ export async function processSalaryAccrualJob(job: Job) {
       entryDate: today,
       periodStart,
       periodEnd,
-    });
+    }).returning({ id: teamSalary.id });
+    await syncLedger('team_salary', accrual.id);
 
     // Notify the team member
     notifyUsers({
@@ -2,14 +2,13 @@ import React, { Suspense } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { Loader2 } from 'lucide-react';
 import {
-  FolderKanban, CreditCard, FileCheck,
+  FolderKanban,
   Wallet, BarChart3,
 } from 'lucide-react';
 import AccountVerified from '@/components/AccountVerified';
 import AuthGuard from '@/components/AuthGuard';
 import AdminGuard from '@/components/AdminGuard';
 import AppLayout from '@/components/AppLayout';
-import ComingSoon from '@/components/ComingSoon';
 
 // Lazy-loaded views
 const Dashboard = React.lazy(() => import('@/components/Dashboard'));
@@ -17,10 +16,13 @@ const ClientsManager = React.lazy(() => import('@/components/ClientsManager'));
 const ClientProfile = React.lazy(() => import('@/components/ClientProfile'));
 const QuotesManager = React.lazy(() => import('@/components/QuotesManager'));
 const InvoicesManager = React.lazy(() => import('@/components/InvoicesManager'));
+const PaymentsManager = React.lazy(() => import('@/components/PaymentsManager'));
+const ContractsManager = React.lazy(() => import('@/components/ContractsManager'));
 const ProductsManager = React.lazy(() => import('@/components/ProductsManager'));
 const ProfileManager = React.lazy(() => import('@/components/ProfileManager'));
 const QuoteApprovalPage = React.lazy(() => import('@/components/QuoteApprovalPage'));
 const PayOnlinePage = React.lazy(() => import('@/components/PayOnlinePage'));
+const ContractSigningPage = React.lazy(() => import('@/components/ContractSigningPage'));
 
 // Settings sub-views
 const SettingsLayout = React.lazy(() => import('@/components/SettingsLayout'));
@@ -36,9 +38,11 @@ const ProjectDetail = React.lazy(() => import('@/components/ProjectDetail'));
 const CalendarView = React.lazy(() => import('@/components/CalendarView'));
 const ExpensesManager = React.lazy(() => import('@/components/ExpensesManager'));
 const FinanceManager = React.lazy(() => import('@/components/FinanceManager'));
+const BankingManager = React.lazy(() => import('@/components/BankingManager'));
 const SalaryManager = React.lazy(() => import('@/components/SalaryManager'));
 const PermissionsManager = React.lazy(() => import('@/components/PermissionsManager'));
 const BackupManager = React.lazy(() => import('@/components/BackupManager'));
+const AccountingSettings = React.lazy(() => import('@/components/AccountingSettings'));
 const SetupWizard = React.lazy(() => import('@/components/SetupWizard'));
 const ReportsManager = React.lazy(() => import('@/components/ReportsManager'));
 const TeamHub = React.lazy(() => import('@/components/TeamHub'));
@@ -58,6 +62,7 @@ function App() {
       <Route path="/setup" element={<Lazy><SetupWizard /></Lazy>} />
       <Route path="/approve/:token" element={<Lazy><QuoteApprovalPage /></Lazy>} />
       <Route path="/pay/:token" element={<Lazy><PayOnlinePage /></Lazy>} />
+      <Route path="/sign/:token" element={<Lazy><ContractSigningPage /></Lazy>} />
       <Route path="/verified" element={<AccountVerified />} />
 
       {/* Auth boundary */}
@@ -79,8 +84,8 @@ function App() {
           <Route path="/quotes/:id" element={<Lazy><QuotesManager /></Lazy>} />
           <Route path="/invoices" element={<Lazy><InvoicesManager /></Lazy>} />
           <Route path="/invoices/:id" element={<Lazy><InvoicesManager /></Lazy>} />
-          <Route path="/payments" element={<ComingSoon title="Payments" icon={CreditCard} description="Track all incoming payments across invoices." />} />
-          <Route path="/contracts" element={<ComingSoon title="Contracts" icon={FileCheck} description="Create and manage client contracts and agreements." />} />
+          <Route path="/payments" element={<Lazy><PaymentsManager /></Lazy>} />
+          <Route path="/contracts" element={<Lazy><ContractsManager /></Lazy>} />
 
           {/* Management */}
           <Route path="/clients" element={<Lazy><ClientsManager /></Lazy>} />
@@ -89,6 +94,7 @@ function App() {
           <Route path="/expenses" element={<Lazy><ExpensesManager /></Lazy>} />
 
           {/* Finance */}
+          <Route path="/banking" element={<Lazy><BankingManager /></Lazy>} />
           <Route path="/finance" element={<Lazy><FinanceManager /></Lazy>} />
           <Route path="/salary" element={<Lazy><SalaryManager /></Lazy>} />
           <Route path="/reports" element={<Lazy><ReportsManager /></Lazy>} />
@@ -110,6 +116,7 @@ function App() {
               <Route path="categories" element={<Lazy><CategoriesSettings /></Lazy>} />
               <Route path="payments" element={<Lazy><PaymentGatewayManager /></Lazy>} />
               <Route path="email" element={<Lazy><EmailManager /></Lazy>} />
+              <Route path="accounting" element={<Lazy><AccountingSettings /></Lazy>} />
               <Route path="backup" element={<Lazy><BackupManager /></Lazy>} />
             </Route>
           </Route>
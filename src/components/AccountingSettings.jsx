@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { FileSpreadsheet, BookOpen, Download, Loader2 } from 'lucide-react';
+import { toast } from '@/components/ui/use-toast';
+import { queryKeys } from '@/lib/queryKeys';
+import { useSaveAccountMappings } from '@/hooks/useMutations';
+import StickySettingsBar from '@/components/ui/StickySettingsBar';
+import api from '@/lib/apiClient';
+
+const FORMATS = [
+  { value: 'quickbooks', label: 'QuickBooks (IIF + CSV)', files: 'quickbooks.iif with every transaction, plus invoices, payments, expenses and credits as CSV.' },
+  { value: 'xero', label: 'Xero (CSV)', files: 'Sales invoices, credit notes and bills in Xero\'s import layouts, a bank statement of payments and expenses, and credits.' },
+];
+
+const ACCOUNT_FIELDS = [
+  { role: 'income', label: 'Income', hint: 'Products and services without their own account, and discounts' },
+  { role: 'expense', label: 'Expenses', hint: 'Expense categories without their own account' },
+  { role: 'receivable', label: 'Accounts Receivable' },
+  { role: 'salesTax', label: 'Sales Tax Payable' },
+  { role: 'deposits', label: 'Payments Deposited To', hint: 'QuickBooks only' },
+  { role: 'bank', label: 'Expenses & Refunds Paid From', hint: 'QuickBooks only' },
+];
+
+const toDateInput = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const normalize = (data) => ({
+  accounts: Object.fromEntries(ACCOUNT_FIELDS.map(f => [f.role, data?.accounts?.[f.role] || ''])),
+  categories: (data?.categories || []).map(c => ({ id: c.id, name: c.name, accountCode: c.accountCode || '' })),
+  products: (data?.products || []).map(p => ({ id: p.id, name: p.name, category: p.category, accountCode: p.accountCode || '' })),
+});
+
+const SectionHeader = ({ icon: Icon, title, subtitle }) => (
+  <div className="flex items-center gap-3 mb-6">
+    <div className="w-9 h-9 bg-surface-100 rounded-xl flex items-center justify-center">
+      <Icon className="w-[18px] h-[18px] text-surface-400" />
+    </div>
+    <div>
+      <h3 className="text-xl font-bold text-surface-800">{title}</h3>
+      <p className="text-sm text-surface-400">{subtitle}</p>
+    </div>
+  </div>
+);
+
+const CodeRows = ({ rows, placeholder, onChange, empty }) => (
+  rows.length === 0 ? (
+    <p className="text-sm text-surface-400 py-4 text-center">{empty}</p>
+  ) : (
+    <div className="space-y-2">
+      {rows.map((row, i) => (
+        <div key={row.id} className="grid grid-cols-[1fr_180px] gap-x-3 items-center">
+          <span className="text-sm text-surface-700 truncate">
+            {row.name}
+            {row.category && <span className="text-surface-400"> · {row.category}</span>}
+          </span>
+          <input type="text" value={row.accountCode} onChange={(e) => onChange(i, e.target.value)} className="glass-input w-full text-sm" placeholder={placeholder} />
+        </div>
+      ))}
+    </div>
+  )
+);
+
+/**
+ * Accounting export for the bookkeeper: download a date range as QuickBooks or
+ * Xero import files, and map expense categories and products to accounts so
+ * the imports land in the right place.
+ */
+const AccountingSettings = () => {
+  const { data: fetched } = useQuery({
+    queryKey: queryKeys.accounting.mappings(),
+    queryFn: () => api.get('/accounting/mappings').then(r => r.data),
+  });
+  const saveMutation = useSaveAccountMappings();
+
+  const today = new Date();
+  const [format, setFormat] = useState('quickbooks');
+  const [startDate, setStartDate] = useState(toDateInput(new Date(today.getFullYear(), 0, 1)));
+  const [endDate, setEndDate] = useState(toDateInput(today));
+  const [downloading, setDownloading] = useState(false);
+
+  const [mappings, setMappings] = useState(normalize(null));
+  const [savedJson, setSavedJson] = useState('');
+
+  useEffect(() => {
+    const normalized = normalize(fetched);
+    setMappings(normalized);
+    setSavedJson(JSON.stringify(normalized));
+  }, [fetched]);
+
+  const isDirty = useMemo(() => savedJson !== '' && JSON.stringify(mappings) !== savedJson, [mappings, savedJson]);
+  const placeholders = fetched?.placeholders || {};
+
+  const setAccount = (role, value) => setMappings(prev => ({ ...prev, accounts: { ...prev.accounts, [role]: value } }));
+  const setCode = (list) => (index, value) => setMappings(prev => ({
+    ...prev,
+    [list]: prev[list].map((row, i) => (i === index ? { ...row, accountCode: value } : row)),
+  }));
+
+  const handleSave = () => {
+    saveMutation.mutate({
+      accounts: mappings.accounts,
+      categories: mappings.categories.map(({ id, accountCode }) => ({ id, accountCode })),
+      products: mappings.products.map(({ id, accountCode }) => ({ id, accountCode })),
+    });
+  };
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const params = new URLSearchParams({ format, startDate, endDate });
+      const res = await fetch(`/api/accounting/export?${params}`, { credentials: 'include' });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({ error: 'Export failed' }));
+        throw new Error(err.error || `HTTP ${res.status}`);
+      }
+      const blob = await res.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `flowbooks-${format}-${startDate}-to-${endDate}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      toast({ title: 'Export failed', description: err.message, variant: 'destructive' });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const selectedFormat = FORMATS.find(f => f.value === format);
+  const categoryPlaceholder = mappings.accounts.expense || placeholders.expense?.[format] || '';
+  const productPlaceholder = mappings.accounts.income || placeholders.income?.[format] || '';
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-5">
+      <div className="glass-card p-6">
+        <SectionHeader icon={FileSpreadsheet} title="Accounting Export" subtitle="Invoices, payments, expenses and credits for your bookkeeper" />
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-surface-700 mb-1">Format</label>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className="glass-select w-full">
+              {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-surface-700 mb-1">From</label>
+            <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="glass-input w-full" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-surface-700 mb-1">To</label>
+            <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="glass-input w-full" />
+          </div>
+        </div>
+        <p className="text-xs text-surface-400 mt-3">{selectedFormat.files} QuickBooks amounts are converted to your default currency; Xero keeps each document's currency.</p>
+        <div className="mt-4 pt-4 border-t border-surface-100 flex justify-end">
+          <button type="button" onClick={handleDownload} disabled={downloading || !startDate || !endDate} className="action-btn text-sm px-5 py-1.5">
+            {downloading ? <Loader2 className="w-4 h-4 animate-spin mr-1.5" /> : <Download className="w-4 h-4 mr-1.5" />}
+            Download .zip
+          </button>
+        </div>
+      </div>
+
+      <div className="glass-card p-6">
+        <SectionHeader icon={BookOpen} title="Chart of Accounts" subtitle="Account names (QuickBooks) or codes (Xero) to post to — blank uses the default shown" />
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {ACCOUNT_FIELDS.map(f => (
+            <div key={f.role}>
+              <label className="block text-sm font-medium text-surface-700 mb-1">
+                {f.label} {f.hint && <span className="text-surface-400 font-normal">({f.hint})</span>}
+              </label>
+              <input type="text" value={mappings.accounts[f.role]} onChange={(e) => setAccount(f.role, e.target.value)} className="glass-input w-full" placeholder={placeholders[f.role]?.[format] || ''} />
+            </div>
+          ))}
+        </div>
+
+        <h4 className="text-sm font-semibold text-surface-700 mt-8 mb-3">Expense Categories</h4>
+        <CodeRows rows={mappings.categories} placeholder={categoryPlaceholder} onChange={setCode('categories')} empty="No expense categories defined" />
+
+        <h4 className="text-sm font-semibold text-surface-700 mt-8 mb-3">Products & Services</h4>
+        <CodeRows rows={mappings.products} placeholder={productPlaceholder} onChange={setCode('products')} empty="No products or services defined" />
+      </div>
+
+      <StickySettingsBar isDirty={isDirty} onSave={handleSave} isPending={saveMutation.isPending} />
+    </motion.div>
+  );
+};
+
+export default AccountingSettings;
@@ -5,7 +5,7 @@ import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tansta
 import { queryKeys } from '@/lib/queryKeys';
 import { cn, fmtDate, fmtTime } from '@/lib/utils';
 import {
-  FileText, Receipt, Users, Package, Shield, Settings, DollarSign,
+  FileText, FileCheck, Receipt, Users, Package, Shield, Settings, DollarSign,
   Loader2, Pencil, Bug, X, Copy, Check, Trash2,
   ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight,
 } from 'lucide-react';
@@ -21,6 +21,7 @@ const ENTITY_TYPES = [
   { value: 'user', label: 'Users' },
   { value: 'settings', label: 'Settings' },
   { value: 'payment', label: 'Payments' },
+  { value: 'contract', label: 'Contracts' },
   { value: 'error', label: 'Errors' },
 ];
 
@@ -40,6 +41,8 @@ const ENTITY_ICONS = {
   user: Shield,
   settings: Settings,
   payment: DollarSign,
+  contract: FileCheck,
+  contract_template: FileCheck,
   error: Bug,
 };
 
@@ -52,6 +55,19 @@ const ACTION_LABELS = {
   settings_changed: 'Changed',
   emailed: 'Emailed',
   imported: 'Imported',
+  exported: 'Exported',
+  sent: 'Sent',
+  signed: 'Signed',
+  voided: 'Voided',
+  applied: 'Applied',
+  paused: 'Paused',
+  resumed: 'Resumed',
+  filed: 'Filed',
+  reopened: 'Reopened',
+  reconciled: 'Reconciled',
+  viewed: 'Viewed',
+  changes_requested: 'Changes Requested',
+  commented: 'Commented',
   frontend_error: 'Error',
 };
 
@@ -64,6 +80,19 @@ const ACTION_DOT_COLORS = {
   settings_changed: 'bg-amber-400',
   emailed: 'bg-violet-400',
   imported: 'bg-cyan-400',
+  exported: 'bg-cyan-400',
+  sent: 'bg-violet-400',
+  signed: 'bg-emerald-400',
+  voided: 'bg-red-400',
+  applied: 'bg-emerald-400',
+  paused: 'bg-amber-400',
+  resumed: 'bg-blue-400',
+  filed: 'bg-emerald-400',
+  reopened: 'bg-amber-400',
+  reconciled: 'bg-emerald-400',
+  viewed: 'bg-sky-400',
+  changes_requested: 'bg-amber-400',
+  commented: 'bg-blue-400',
   frontend_error: 'bg-red-500',
 };
 
@@ -0,0 +1,507 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import {
+  Landmark, Upload, Loader2, Link2, Unlink, EyeOff, Eye, Search, Plus, Trash2, Lock, CheckCheck, FileText,
+} from 'lucide-react';
+import { cn, fmtDate } from '@/lib/utils';
+import { formatMoney } from '@/lib/currency';
+import { queryKeys } from '@/lib/queryKeys';
+import {
+  useImportBankStatement, useDeleteBankStatement, useMatchBankTransaction, useUnmatchBankTransaction,
+  useIgnoreBankTransaction, useCreateExpenseFromBankTransaction, useReconcileBankPeriod, useReopenBankPeriod,
+} from '@/hooks/useMutations';
+import { useAppData } from '@/hooks/useAppData';
+import api from '@/lib/apiClient';
+import {
+  AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent,
+  AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+/* ─── Helpers ──────────────────────────────────────────────────────────── */
+
+const MATCH_TYPE_LABELS = { payment: 'Payment', expense: 'Expense', team_payment: 'Team payment' };
+
+const STATUS_FILTERS = [
+  { value: 'unmatched', label: 'Unmatched' },
+  { value: 'matched', label: 'Matched' },
+  { value: 'ignored', label: 'Ignored' },
+  { value: 'all', label: 'All' },
+];
+
+const toMonthInput = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+/** "2026-03" → the month as [start, end) ISO timestamps, the way the API takes periods */
+function monthPeriod(month) {
+  const [y, m] = month.split('-').map(Number);
+  return { startDate: new Date(y, m - 1, 1).toISOString(), endDate: new Date(y, m, 1).toISOString() };
+}
+
+const fmtDay = (d) => fmtDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
+
+const tints = {
+  green:   'bg-[rgba(68,131,97,0.06)]',
+  red:     'bg-[rgba(212,76,71,0.06)]',
+  orange:  'bg-[rgba(217,115,13,0.06)]',
+  neutral: 'bg-[rgba(55,53,47,0.03)]',
+};
+
+const valueColors = {
+  green:   'text-[rgb(68,131,97)]',
+  red:     'text-[rgb(212,76,71)]',
+  orange:  'text-[rgb(217,115,13)]',
+  default: 'text-surface-700',
+};
+
+const HeroCard = ({ label, value, tint = 'neutral', color = 'default' }) => (
+  <div className="content-card">
+    <div className={cn('min-w-0 h-full px-4 py-3.5 sm:px-5 sm:py-4', tints[tint] || '')}>
+      <p className={cn('tabular-nums leading-none tracking-tight truncate text-[clamp(1rem,3.5vw,1.5rem)] font-bold', valueColors[color] || valueColors.default)}>
+        {value}
+      </p>
+      <p className="text-[10px] sm:text-xs font-medium uppercase tracking-[0.08em] text-surface-400 mt-2 sm:mt-2.5 truncate">
+        {label}
+      </p>
+    </div>
+  </div>
+);
+
+const CardHeader = ({ title, children }) => (
+  <div className="px-4 py-3 border-b border-surface-100 flex items-center gap-3">
+    <h2 className="text-xs font-medium uppercase tracking-[0.08em] text-surface-400">{title}</h2>
+    {children && <div className="ml-auto flex items-center gap-2">{children}</div>}
+  </div>
+);
+
+const Amount = ({ value, currency }) => (
+  <span className={cn('tabular-nums font-medium whitespace-nowrap', value < 0 ? 'text-[rgb(212,76,71)]' : 'text-[rgb(68,131,97)]')}>
+    {formatMoney(value, currency)}
+  </span>
+);
+
+const Modal = ({ title, onClose, children }) => (
+  <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center">
+    <div className="fixed inset-0 bg-black/30" onClick={onClose} />
+    <div className="relative w-full sm:max-w-lg bg-[rgb(var(--glass-bg))] rounded-t-2xl sm:rounded-2xl shadow-xl max-h-[90vh] flex flex-col">
+      <div className="flex items-center justify-between px-5 py-4 border-b border-surface-100">
+        <h3 className="text-base font-semibold text-surface-800">{title}</h3>
+        <button onClick={onClose} className="text-surface-400 hover:text-surface-600 text-lg">&times;</button>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+/* ─── Match By Hand ────────────────────────────────────────────────────── */
+
+const MatchDialog = ({ line, currency, onClose }) => {
+  const matchMutation = useMatchBankTransaction();
+  const [search, setSearch] = useState('');
+  const { data: candidates = [], isLoading } = useQuery({
+    queryKey: queryKeys.bank.candidates(line.id),
+    queryFn: () => api.get(`/bank/transactions/${line.id}/candidates`).then(r => r.data || []),
+  });
+
+  const needle = search.trim().toLowerCase();
+  const shown = needle ? candidates.filter(c => c.description.toLowerCase().includes(needle)) : candidates;
+
+  return (
+    <Modal title="Match Transaction" onClose={onClose}>
+      <div className="px-5 pt-4 pb-3 border-b border-surface-100 space-y-3">
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <span className="text-surface-700 truncate">{fmtDay(line.transactionDate)} · {line.description}</span>
+          <Amount value={line.amount} currency={currency} />
+        </div>
+        <div className="relative">
+          <Search className="w-4 h-4 text-surface-300 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input type="text" value={search} onChange={e => setSearch(e.target.value)} className="glass-input w-full pl-9 text-sm" placeholder="Search payments, expenses and team payments" />
+        </div>
+      </div>
+      <div className="overflow-y-auto divide-y divide-surface-100/80">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-10"><Loader2 className="w-5 h-5 animate-spin text-surface-300" /></div>
+        ) : shown.length === 0 ? (
+          <p className="text-sm text-surface-400 py-10 text-center">Nothing unmatched within a month of this date</p>
+        ) : shown.map(c => (
+          <button key={`${c.type}:${c.id}`} type="button" disabled={matchMutation.isPending}
+            onClick={() => matchMutation.mutate({ id: line.id, type: c.type, recordId: c.id }, { onSuccess: onClose })}
+            className="w-full px-5 py-3 flex items-center gap-3 text-left hover:bg-surface-50 transition-colors">
+            <div className="min-w-0 flex-1">
+              <p className="text-sm text-surface-700 truncate">{c.description}</p>
+              <p className="text-xs text-surface-400">{MATCH_TYPE_LABELS[c.type]} · {fmtDay(c.date)}</p>
+            </div>
+            <Amount value={c.amount} currency={currency} />
+          </button>
+        ))}
+      </div>
+    </Modal>
+  );
+};
+
+/* ─── Book As Expense ──────────────────────────────────────────────────── */
+
+const ExpenseDialog = ({ line, currency, onClose }) => {
+  const createExpense = useCreateExpenseFromBankTransaction();
+  const { data: categoriesData } = useQuery({
+    queryKey: queryKeys.expenseCategories.list(),
+    queryFn: () => api.get('/expense-categories'),
+  });
+  const categories = categoriesData?.data || [];
+  const [form, setForm] = useState({ description: line.description, categoryId: '', notes: '' });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createExpense.mutate({ id: line.id, ...form }, { onSuccess: onClose });
+  };
+
+  return (
+    <Modal title="Create Expense" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="p-5 space-y-4 overflow-y-auto">
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <span className="text-surface-500">{fmtDay(line.transactionDate)}</span>
+          <Amount value={line.amount} currency={currency} />
+        </div>
+        <div>
+          <label className="text-xs font-medium text-surface-500 mb-1 block">Description</label>
+          <input type="text" value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} className="glass-input w-full" required />
+        </div>
+        <div>
+          <label className="text-xs font-medium text-surface-500 mb-1 block">Category</label>
+          <select value={form.categoryId} onChange={e => setForm(f => ({ ...f, categoryId: e.target.value }))} className="glass-input w-full">
+            <option value="">Uncategorized</option>
+            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs font-medium text-surface-500 mb-1 block">Notes</label>
+          <input type="text" value={form.notes} onChange={e => setForm(f => ({ ...f, notes: e.target.value }))} className="glass-input w-full" />
+        </div>
+        <div className="flex gap-2 pt-2">
+          <button type="button" onClick={onClose} className="action-btn action-btn--secondary flex-1">Cancel</button>
+          <button type="submit" disabled={createExpense.isPending} className="action-btn flex-1">
+            {createExpense.isPending ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Create & Match'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/* ─── Statement Line ───────────────────────────────────────────────────── */
+
+const TransactionRow = ({ line, currency, locked, canCreateExpense, onFindMatch, onCreateExpense }) => {
+  const matchMutation = useMatchBankTransaction();
+  const unmatchMutation = useUnmatchBankTransaction();
+  const ignoreMutation = useIgnoreBankTransaction();
+  const [top, ...others] = line.suggestions;
+  const busy = matchMutation.isPending || unmatchMutation.isPending || ignoreMutation.isPending;
+
+  const confirm = (s) => matchMutation.mutate({ id: line.id, type: s.type, recordId: s.id });
+
+  return (
+    <div className={cn('px-4 py-3 space-y-2', line.ignored && 'opacity-60')}>
+      <div className="flex items-start gap-3">
+        <span className="text-xs text-surface-400 tabular-nums w-20 shrink-0 pt-0.5">{fmtDay(line.transactionDate)}</span>
+        <p className="text-sm text-surface-700 flex-1 min-w-0 break-words">{line.description}</p>
+        <Amount value={line.amount} currency={currency} />
+      </div>
+
+      <div className="sm:pl-[92px] flex flex-wrap items-center gap-2 text-xs">
+        {line.matchId ? (
+          <>
+            <span className="inline-flex items-center gap-1.5 text-[rgb(68,131,97)] min-w-0">
+              <Link2 className="w-3.5 h-3.5 shrink-0" />
+              <span className="truncate">
+                {MATCH_TYPE_LABELS[line.matchType]}{line.match ? `: ${line.match.description} · ${fmtDay(line.match.date)}` : ''}
+              </span>
+            </span>
+            {!locked && (
+              <button type="button" disabled={busy} onClick={() => unmatchMutation.mutate(line.id)} className="ml-auto inline-flex items-center gap-1 text-surface-400 hover:text-surface-600">
+                <Unlink className="w-3.5 h-3.5" /> Unmatch
+              </button>
+            )}
+          </>
+        ) : line.ignored ? (
+          <>
+            <span className="inline-flex items-center gap-1.5 text-surface-400"><EyeOff className="w-3.5 h-3.5" /> Ignored — not in the books</span>
+            {!locked && (
+              <button type="button" disabled={busy} onClick={() => ignoreMutation.mutate({ id: line.id, ignored: false })} className="ml-auto inline-flex items-center gap-1 text-surface-400 hover:text-surface-600">
+                <Eye className="w-3.5 h-3.5" /> Restore
+              </button>
+            )}
+          </>
+        ) : (
+          <>
+            {top ? (
+              <span className="inline-flex items-center gap-2 rounded-lg border border-[rgba(35,131,226,0.25)] bg-[rgba(35,131,226,0.06)] px-2 py-1 min-w-0">
+                <span className="truncate text-surface-600">
+                  {MATCH_TYPE_LABELS[top.type]}: {top.description} · {fmtDay(top.date)}
+                </span>
+                {!locked && (
+                  <button type="button" disabled={busy} onClick={() => confirm(top)} className="font-medium text-[rgb(35,131,226)] hover:underline shrink-0">
+                    Confirm
+                  </button>
+                )}
+              </span>
+            ) : (
+              <span className="text-surface-400">No suggested match</span>
+            )}
+            {!locked && others.map(s => (
+              <button key={`${s.type}:${s.id}`} type="button" disabled={busy} onClick={() => confirm(s)}
+                className="rounded-lg border border-surface-200 px-2 py-1 text-surface-500 hover:bg-surface-50 truncate max-w-[240px]">
+                {s.description} · {fmtDay(s.date)}
+              </button>
+            ))}
+            {!locked && (
+              <div className="ml-auto flex items-center gap-3">
+                <button type="button" onClick={() => onFindMatch(line)} className="inline-flex items-center gap-1 text-surface-500 hover:text-surface-700">
+                  <Search className="w-3.5 h-3.5" /> Find
+                </button>
+                {canCreateExpense && line.amount < 0 && (
+                  <button type="button" onClick={() => onCreateExpense(line)} className="inline-flex items-center gap-1 text-surface-500 hover:text-surface-700">
+                    <Plus className="w-3.5 h-3.5" /> Expense
+                  </button>
+                )}
+                <button type="button" disabled={busy} onClick={() => ignoreMutation.mutate({ id: line.id, ignored: true })} className="inline-flex items-center gap-1 text-surface-400 hover:text-surface-600">
+                  <EyeOff className="w-3.5 h-3.5" /> Ignore
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/* ─── Main Component ───────────────────────────────────────────────────── */
+
+/**
+ * Bank reconciliation: import OFX/QFX or CSV statements, match each line to a
+ * payment, expense or team payment (or book it as a new expense), then close
+ * the month once every line is accounted for.
+ */
+const BankingManager = () => {
+  const { can } = useAppData();
+  const canCreateExpense = can('manage_expenses');
+  const fileInputRef = useRef(null);
+
+  const [month, setMonth] = useState(toMonthInput(new Date()));
+  const [status, setStatus] = useState('unmatched');
+  const [matchLine, setMatchLine] = useState(null);
+  const [expenseLine, setExpenseLine] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [statementBalance, setStatementBalance] = useState('');
+
+  const importMutation = useImportBankStatement();
+  const deleteStatement = useDeleteBankStatement();
+  const reconcileMutation = useReconcileBankPeriod();
+  const reopenMutation = useReopenBankPeriod();
+
+  const period = monthPeriod(month);
+
+  const { data: summary } = useQuery({
+    queryKey: queryKeys.bank.summary(period),
+    queryFn: () => api.get('/bank/summary', period),
+  });
+  const { data: lines = [], isLoading: linesLoading } = useQuery({
+    queryKey: queryKeys.bank.transactions({ ...period, status }),
+    queryFn: () => api.get('/bank/transactions', { ...period, ...(status !== 'all' && { status }) }).then(r => r.data || []),
+  });
+  const { data: statements = [] } = useQuery({
+    queryKey: queryKeys.bank.statements(),
+    queryFn: () => api.get('/bank/statements').then(r => r.data || []),
+  });
+
+  const currency = summary?.currency;
+  const reconciliation = summary?.reconciliation;
+  const locked = !!reconciliation;
+
+  // Prefill the closing balance from the statement when one carries it
+  useEffect(() => {
+    setStatementBalance(summary?.statementBalance != null ? String(summary.statementBalance) : '');
+  }, [summary?.statementBalance, month]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) importMutation.mutate(file);
+  };
+
+  const handleReconcile = () => {
+    reconcileMutation.mutate({ periodStart: period.startDate, periodEnd: period.endDate, statementBalance: parseFloat(statementBalance) });
+  };
+
+  const difference = summary?.difference || 0;
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-5">
+      {/* ── Header ── */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-surface-100 flex items-center justify-center shrink-0">
+            <Landmark className="w-5 h-5 text-surface-400" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-surface-800">Banking</h1>
+            <p className="text-sm text-surface-500">Match bank statements against the books and reconcile each month</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 sm:ml-auto">
+          <input type="month" value={month} onChange={e => e.target.value && setMonth(e.target.value)} className="glass-input text-sm" />
+          <input ref={fileInputRef} type="file" accept=".ofx,.qfx,.csv,text/csv" className="hidden" onChange={handleFile} />
+          <button type="button" onClick={() => fileInputRef.current?.click()} disabled={importMutation.isPending} className="action-btn text-sm flex items-center gap-1.5">
+            {importMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            Import Statement
+          </button>
+        </div>
+      </div>
+
+      {/* ── Period totals ── */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <HeroCard label="Bank Statement" value={formatMoney(summary?.bankTotal, currency)} />
+        <HeroCard label="Books (Cash & Bank)" value={formatMoney(summary?.bookTotal, currency)} />
+        <HeroCard label="Difference" value={formatMoney(difference, currency)}
+          tint={difference === 0 ? 'green' : 'orange'} color={difference === 0 ? 'green' : 'orange'} />
+        <HeroCard label="Unmatched Lines" value={summary?.unmatchedCount ?? 0}
+          tint={summary?.unmatchedCount ? 'red' : 'green'} color={summary?.unmatchedCount ? 'red' : 'green'} />
+      </div>
+
+      {/* ── Reconcile ── */}
+      <div className="content-card">
+        <div className={cn('px-4 py-4 sm:px-5 flex flex-col sm:flex-row sm:items-center gap-3', locked ? tints.green : tints.neutral)}>
+          {locked ? (
+            <>
+              <div className="flex items-center gap-2.5 min-w-0">
+                <Lock className="w-4 h-4 text-[rgb(68,131,97)] shrink-0" />
+                <p className="text-sm text-surface-600">
+                  Reconciled by {reconciliation.reconciledBy || 'unknown'} on {fmtDay(reconciliation.reconciledAt)} —
+                  statement {formatMoney(reconciliation.statementBalance, currency)}, books {formatMoney(reconciliation.bookBalance, currency)}
+                </p>
+              </div>
+              <button type="button" onClick={() => reopenMutation.mutate(reconciliation.id)} disabled={reopenMutation.isPending} className="action-btn action-btn--secondary text-sm sm:ml-auto">
+                Reopen
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="min-w-0">
+                <p className="text-sm text-surface-600">
+                  {summary?.lineCount
+                    ? summary.unmatchedCount
+                      ? `Match or ignore the ${summary.unmatchedCount} remaining line${summary.unmatchedCount === 1 ? '' : 's'} to reconcile this month.`
+                      : 'Every statement line is accounted for.'
+                    : 'No statement lines for this month yet — import a statement to start.'}
+                </p>
+                <p className="text-xs text-surface-400 mt-0.5">
+                  Books closing balance {formatMoney(summary?.closingBook, currency)}
+                  {summary?.outstanding?.length ? ` · ${summary.outstanding.length} book record${summary.outstanding.length === 1 ? '' : 's'} not on the statement` : ''}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 sm:ml-auto">
+                <input type="number" step="0.01" value={statementBalance} onChange={e => setStatementBalance(e.target.value)}
+                  className="glass-input text-sm w-40" placeholder="Statement balance" />
+                <button type="button" onClick={handleReconcile}
+                  disabled={reconcileMutation.isPending || !summary?.lineCount || summary.unmatchedCount > 0 || statementBalance === ''}
+                  className="action-btn text-sm flex items-center gap-1.5">
+                  <CheckCheck className="w-4 h-4" /> Reconcile
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* ── Statement lines ── */}
+      <div className="content-card">
+        <CardHeader title="Statement Lines">
+          <select value={status} onChange={e => setStatus(e.target.value)} className="glass-input text-xs py-1">
+            {STATUS_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+        </CardHeader>
+        {linesLoading ? (
+          <div className="flex items-center justify-center py-12"><Loader2 className="w-6 h-6 animate-spin text-surface-300" /></div>
+        ) : lines.length === 0 ? (
+          <p className="text-sm text-surface-400 py-12 text-center">No {status === 'all' ? '' : `${status} `}lines this month</p>
+        ) : (
+          <div className="divide-y divide-surface-100/80">
+            {lines.map(line => (
+              <TransactionRow key={line.id} line={line} currency={currency} locked={locked} canCreateExpense={canCreateExpense}
+                onFindMatch={setMatchLine} onCreateExpense={setExpenseLine} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* ── Book records with no statement line ── */}
+      {summary?.outstanding?.length > 0 && (
+        <div className="content-card">
+          <CardHeader title="In the Books, Not on the Statement" />
+          <div className="divide-y divide-surface-100/80">
+            {summary.outstanding.map(c => (
+              <div key={`${c.type}:${c.id}`} className="px-4 py-2.5 flex items-center gap-3">
+                <span className="text-xs text-surface-400 tabular-nums w-20 shrink-0">{fmtDay(c.date)}</span>
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-surface-700 truncate">{c.description}</p>
+                  <p className="text-xs text-surface-400">{MATCH_TYPE_LABELS[c.type]}</p>
+                </div>
+                <Amount value={c.amount} currency={currency} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* ── Imported statements ── */}
+      <div className="content-card">
+        <CardHeader title="Imported Statements" />
+        {statements.length === 0 ? (
+          <p className="text-sm text-surface-400 py-8 text-center">OFX, QFX and CSV exports from your bank are supported</p>
+        ) : (
+          <div className="divide-y divide-surface-100/80">
+            {statements.map(s => (
+              <div key={s.id} className="px-4 py-2.5 flex items-center gap-3 group">
+                <FileText className="w-4 h-4 text-surface-300 shrink-0" />
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-surface-700 truncate">{s.fileName}{s.accountName && <span className="text-surface-400"> · {s.accountName}</span>}</p>
+                  <p className="text-xs text-surface-400">
+                    {fmtDay(s.periodStart)} – {fmtDay(s.periodEnd)} · {s.transactionCount} lines
+                    {s.closingBalance != null && ` · closing ${formatMoney(s.closingBalance, currency)}`}
+                  </p>
+                </div>
+                <button type="button" onClick={() => setDeleteTarget(s)} className="p-1.5 rounded-lg text-surface-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {matchLine && <MatchDialog line={matchLine} currency={currency} onClose={() => setMatchLine(null)} />}
+      {expenseLine && <ExpenseDialog line={expenseLine} currency={currency} onClose={() => setExpenseLine(null)} />}
+
+      <AlertDialog open={!!deleteTarget} onOpenChange={() => setDeleteTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete statement?</AlertDialogTitle>
+            <AlertDialogDescription>
+              This removes {deleteTarget?.fileName} and its {deleteTarget?.transactionCount} lines, along with their matches. Payments and expenses in the books are not touched.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => { if (deleteTarget) deleteStatement.mutate(deleteTarget.id, { onSuccess: () => setDeleteTarget(null) }); }}
+              className="bg-red-500 hover:bg-red-600 text-[#C8C6C2]"
+            >
+              {deleteStatement.isPending ? 'Deleting...' : 'Delete'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </motion.div>
+  );
+};
+
+export default BankingManager;
@@ -1,13 +1,14 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { toast } from '@/components/ui/use-toast';
-import { Loader2, Key, ChevronDown, ChevronUp, Camera, CheckCircle2, XCircle } from 'lucide-react';
+import { Loader2, Key, ChevronDown, ChevronUp, Camera, CheckCircle2, XCircle, AlarmClock, Plus, Trash2 } from 'lucide-react';
 import PasswordInput from '@/components/ui/PasswordInput';
 import StickySettingsBar from '@/components/ui/StickySettingsBar';
-import { useUpdateSettings } from '@/hooks/useMutations';
-import { useSettings, useAppData } from '@/hooks/useAppData';
+import { useUpdateSettings, useSaveTaxRate, useDeleteTaxRate } from '@/hooks/useMutations';
+import { useSettings, useAppData, useTaxRates } from '@/hooks/useAppData';
 import { formatPhoneInput } from '@/lib/utils';
 import { US_STATES } from '@/lib/usStates';
+import { CURRENCIES } from '@/lib/currency';
 
 const GoogleMapsKeyField = ({ value, onChange }) => {
   const [testState, setTestState] = useState(null); // null | 'loading' | 'ok' | 'error'
@@ -98,6 +99,19 @@ const PhotographySettings = ({ settings, handleInputChange }) => (
         <input type="number" inputMode="numeric" step="1" min="0" max="100" value={settings.deposit_percent} onChange={e => handleInputChange('deposit_percent', e.target.value)} className="glass-input w-full" placeholder="25" />
         <p className="text-xs text-surface-500 mt-1">Auto-calculated when a quote is approved</p>
       </div>
+      <div>
+        <label className="block text-sm font-medium text-surface-600 mb-2">Quotes Valid For (days)</label>
+        <input type="number" inputMode="numeric" step="1" min="0" value={settings.quote_valid_days} onChange={e => handleInputChange('quote_valid_days', e.target.value)} className="glass-input w-full" placeholder="No expiry" />
+        <p className="text-xs text-surface-500 mt-1">Sets the valid-until date on new quotes; expired quotes can't be approved</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-surface-600 mb-2">Client Credit</label>
+        <select value={settings.auto_apply_credits} onChange={e => handleInputChange('auto_apply_credits', e.target.value)} className="glass-select w-full">
+          <option value="false">Apply manually from the invoice</option>
+          <option value="true">Apply automatically to new invoices</option>
+        </select>
+        <p className="text-xs text-surface-500 mt-1">Available credit is recorded as a "Credit" payment</p>
+      </div>
     </div>
 
     <div>
@@ -108,11 +122,164 @@ const PhotographySettings = ({ settings, handleInputChange }) => (
   </div>
 );
 
+const TaxRateRow = ({ rate, onSave, onDelete, isPending }) => {
+  const [draft, setDraft] = useState({ name: rate.name, jurisdiction: rate.jurisdiction || '', rate: String(rate.rate), isDefault: rate.isDefault });
+  const dirty = draft.name !== rate.name || draft.jurisdiction !== (rate.jurisdiction || '') || draft.rate !== String(rate.rate) || draft.isDefault !== rate.isDefault;
+
+  return (
+    <div className="flex flex-col md:flex-row gap-2 md:items-center">
+      <input type="text" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="glass-input w-full md:flex-1" placeholder="State Tax" />
+      <input type="text" value={draft.jurisdiction} onChange={e => setDraft({ ...draft, jurisdiction: e.target.value })} className="glass-input w-full md:flex-1" placeholder="Jurisdiction (e.g. California)" />
+      <div className="flex items-center gap-1">
+        <input type="number" inputMode="decimal" step="0.001" min="0" value={draft.rate} onChange={e => setDraft({ ...draft, rate: e.target.value })} className="glass-input w-24 text-right" placeholder="0" />
+        <span className="text-surface-400 text-sm">%</span>
+      </div>
+      <label className="flex items-center gap-1.5 text-xs text-surface-600 shrink-0">
+        <input type="checkbox" checked={draft.isDefault} onChange={e => setDraft({ ...draft, isDefault: e.target.checked })} /> Default
+      </label>
+      <div className="flex items-center gap-1 shrink-0">
+        <button type="button" onClick={() => onSave({ id: rate.id, ...draft })} disabled={!dirty || isPending} className="glass-button-secondary px-3 py-1.5 text-xs font-medium disabled:opacity-40">
+          {rate.id ? 'Save' : 'Add'}
+        </button>
+        {rate.id && <button type="button" onClick={() => onDelete(rate.id)} className="icon-button"><Trash2 className="w-3.5 h-3.5 text-red-400" /></button>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Named rates (state, county, …) that line items can carry. When any exist
+ * they replace the single default rate: the ones marked Default go on each
+ * newly taxable item.
+ */
+const NamedTaxRates = () => {
+  const { data: taxRates = [] } = useTaxRates();
+  const saveTaxRate = useSaveTaxRate();
+  const deleteTaxRate = useDeleteTaxRate();
+  const [newKey, setNewKey] = useState(0);
+
+  const handleSave = (rate) => {
+    saveTaxRate.mutate({ ...rate, rate: parseFloat(rate.rate) }, {
+      onSuccess: () => {
+        toast({ title: rate.id ? 'Tax rate saved' : 'Tax rate added' });
+        if (!rate.id) setNewKey(k => k + 1);
+      },
+    });
+  };
+
+  return (
+    <div className="pt-6 mt-6 border-t border-surface-200 space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-surface-600 mb-1">Named Tax Rates</label>
+        <p className="text-xs text-surface-400">
+          For tax made up of several parts, like state and county. Items can carry any mix of these, the PDF lists tax by rate, and the Income Summary splits collected tax by jurisdiction. When set, these replace the default rate above.
+        </p>
+      </div>
+      {taxRates.map(rate => (
+        <TaxRateRow key={`${rate.id}-${rate.updatedAt}`} rate={rate} onSave={handleSave} onDelete={(id) => deleteTaxRate.mutate(id)} isPending={saveTaxRate.isPending} />
+      ))}
+      <TaxRateRow key={`new-${newKey}`} rate={{ id: null, name: '', jurisdiction: '', rate: '', isDefault: taxRates.length === 0 }} onSave={handleSave} isPending={saveTaxRate.isPending} />
+    </div>
+  );
+};
+
+const LateFeeSettings = ({ settings, handleInputChange }) => {
+  const enabled = settings.late_fee_enabled === 'true';
+  const percent = settings.late_fee_type === 'percent';
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <AlarmClock className="w-5 h-5 text-primary" />
+          <h3 className="text-xl font-bold">Late Fees</h3>
+        </div>
+        <select value={settings.late_fee_enabled} onChange={e => handleInputChange('late_fee_enabled', e.target.value)} className="glass-select w-40">
+          <option value="false">Off</option>
+          <option value="true">Charge late fees</option>
+        </select>
+      </div>
+      <p className="text-sm text-surface-400">
+        Overdue invoices get a "Late fee" line, checked daily. The next payment reminder tells the client about it.
+      </p>
+
+      {enabled && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-2">Fee</label>
+            <div className="flex gap-2">
+              <input type="number" inputMode="decimal" step="0.01" min="0" value={settings.late_fee_amount} onChange={e => handleInputChange('late_fee_amount', e.target.value)} className="glass-input w-full" placeholder={percent ? '1.5' : '25.00'} />
+              <select value={settings.late_fee_type} onChange={e => handleInputChange('late_fee_type', e.target.value)} className="glass-select w-44 shrink-0">
+                <option value="flat">Flat amount</option>
+                <option value="percent">% of balance</option>
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-2">Charge</label>
+            <select value={settings.late_fee_period_days} onChange={e => handleInputChange('late_fee_period_days', e.target.value)} className="glass-select w-full">
+              <option value="0">Once</option>
+              <option value="7">Every week overdue</option>
+              <option value="14">Every 2 weeks overdue</option>
+              <option value="30">Every 30 days overdue</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-2">Grace Period (days)</label>
+            <input type="number" inputMode="numeric" step="1" min="0" value={settings.late_fee_grace_days} onChange={e => handleInputChange('late_fee_grace_days', e.target.value)} className="glass-input w-full" placeholder="0" />
+            <p className="text-xs text-surface-500 mt-1">Days past the due date before the first fee</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Mirrors renderNumberFormat in server/lib/numbering.ts, for the live preview only
+const previewNumber = (format, seq) => {
+  const now = new Date();
+  const yyyy = String(now.getFullYear());
+  return format
+    .replace(/\{YYYY\}/g, yyyy)
+    .replace(/\{YY\}/g, yyyy.slice(2))
+    .replace(/\{MM\}/g, String(now.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{SEQ(?::(\d{1,2}))?\}/g, (_, pad) => String(seq).padStart(pad ? parseInt(pad, 10) : 0, '0'));
+};
+
+const NumberingField = ({ type, label, settings, handleInputChange, defaultFormat = '{SEQ:5}' }) => {
+  const formatKey = `${type}_number_format`;
+  const resetKey = `${type}_number_reset`;
+  const format = settings[formatKey] || defaultFormat;
+  const yearly = settings[resetKey] === 'yearly';
+  const error = !/\{SEQ(:\d{1,2})?\}/.test(format)
+    ? 'Must include {SEQ} or {SEQ:n}'
+    : yearly && !/\{YYYY\}|\{YY\}/.test(format) ? 'Yearly reset needs {YYYY} or {YY}' : null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-surface-600 mb-2">{label}</label>
+      <div className="flex gap-2">
+        <input type="text" value={settings[formatKey]} onChange={e => handleInputChange(formatKey, e.target.value)} className="glass-input w-full font-mono" placeholder={defaultFormat} />
+        <select value={settings[resetKey]} onChange={e => handleInputChange(resetKey, e.target.value)} className="glass-select w-36 shrink-0">
+          <option value="never">Never reset</option>
+          <option value="yearly">Reset yearly</option>
+        </select>
+      </div>
+      {error
+        ? <p className="text-xs text-red-500 mt-1">{error}</p>
+        : <p className="text-xs text-surface-500 mt-1">Preview: <span className="font-mono">{previewNumber(format, yearly ? 1 : 42)}</span></p>}
+    </div>
+  );
+};
+
 const DEFAULTS = {
   app_name: 'QuoteFlow', company_name: '', company_street: '', company_city: '',
-  company_state: '', company_zip: '', company_phone: '', company_email: '', company_website: '',
+  company_state: '', company_zip: '', company_phone: '', company_email: '', company_website: '', default_currency: 'USD',
   tax_rate: '', tax_home_state: '', tax_api_key: '', google_maps_api_key: '',
-  travel_rate_per_mile: '0.67', deposit_percent: '25', terms_template: '',
+  travel_rate_per_mile: '0.67', deposit_percent: '25', quote_valid_days: '', auto_apply_credits: 'false', terms_template: '',
+  late_fee_enabled: 'false', late_fee_type: 'flat', late_fee_amount: '', late_fee_period_days: '0', late_fee_grace_days: '0',
+  quote_number_format: '{SEQ:5}', quote_number_reset: 'never',
+  invoice_number_format: '{SEQ:5}', invoice_number_reset: 'never',
+  credit_note_number_format: 'CN-{SEQ:5}', credit_note_number_reset: 'never',
 };
 
 const BrandingManager = () => {
@@ -199,6 +366,13 @@ const BrandingManager = () => {
             <label className="block text-sm font-medium text-surface-600 mb-2">Website</label>
             <input type="url" value={settings.company_website} onChange={e => handleInputChange('company_website', e.target.value)} className="glass-input w-full" placeholder="www.yourcompany.com" />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-surface-600 mb-2">Default Currency</label>
+            <select value={settings.default_currency} onChange={e => handleInputChange('default_currency', e.target.value)} className="glass-select w-full">
+              {CURRENCIES.map(c => <option key={c.value} value={c.value}>{c.value} — {c.label}</option>)}
+            </select>
+            <p className="text-xs text-surface-400 mt-1">Reports and the dashboard are totaled in this currency.</p>
+          </div>
         </div>
       </div>
 
@@ -219,10 +393,25 @@ const BrandingManager = () => {
             <input type="text" value={settings.tax_home_state} onChange={e => handleInputChange('tax_home_state', e.target.value.toUpperCase())} className="glass-input w-20 font-mono text-center" placeholder="CA" maxLength={2} />
           </div>
         </div>
+        <NamedTaxRates />
+      </div>
+
+      <div className="glass-card p-6">
+        <h3 className="text-xl font-bold mb-1">Document Numbering</h3>
+        <p className="text-sm text-surface-400 mb-4">
+          Quotes, invoices and credit notes count separately. Use <span className="font-mono">{'{YYYY}'}</span>, <span className="font-mono">{'{YY}'}</span>, <span className="font-mono">{'{MM}'}</span> and <span className="font-mono">{'{SEQ:4}'}</span> (sequence padded to 4 digits), e.g. <span className="font-mono">{'INV-{YYYY}-{SEQ:4}'}</span>. Existing documents keep their numbers.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <NumberingField type="quote" label="Quote Numbers" settings={settings} handleInputChange={handleInputChange} />
+          <NumberingField type="invoice" label="Invoice Numbers" settings={settings} handleInputChange={handleInputChange} />
+          <NumberingField type="credit_note" label="Credit Note Numbers" settings={settings} handleInputChange={handleInputChange} defaultFormat="CN-{SEQ:5}" />
+        </div>
       </div>
 
       <PhotographySettings settings={settings} handleInputChange={handleInputChange} />
 
+      <LateFeeSettings settings={settings} handleInputChange={handleInputChange} />
+
       {isAdmin && (
       <div className="glass-card p-6">
         <div className="flex items-center justify-between mb-1">
@@ -1,6 +1,8 @@
 import ProjectTypesManager from '@/components/ProjectTypesManager';
 import ProjectRolesManager from '@/components/ProjectRolesManager';
 import ExpenseCategoriesManager from '@/components/ExpenseCategoriesManager';
+import VendorsManager from '@/components/VendorsManager';
+import ExpenseRulesManager from '@/components/ExpenseRulesManager';
 
 const CategoriesSettings = () => (
   <div className="space-y-5">
@@ -9,6 +11,10 @@ const CategoriesSettings = () => (
     <ProjectRolesManager />
     <hr className="border-surface-200" />
     <ExpenseCategoriesManager />
+    <hr className="border-surface-200" />
+    <VendorsManager />
+    <hr className="border-surface-200" />
+    <ExpenseRulesManager />
   </div>
 );
 
@@ -6,7 +6,9 @@ import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { queryKeys } from '@/lib/queryKeys';
 import api from '@/lib/apiClient';
 import { toast } from '@/components/ui/use-toast';
-import { cn, fmtDate, fmtTime, tzDate, formatPhoneNumber } from '@/lib/utils';
+import { cn, fmtDate, fmtTime, tzDate, formatPhoneNumber, formatDocNumber, toDateInput } from '@/lib/utils';
+import { isTaxExempt } from '@/lib/taxRateResolver';
+import { CURRENCIES } from '@/lib/currency';
 import {
   useUpdateClient, useDeleteClient, useCreateClientNote, useDeleteClientNote,
   useDeleteQuote, useDeleteInvoice, useDeletePayment, useDeleteCredit,
@@ -24,8 +26,6 @@ import { US_STATE_NAMES } from '@/lib/usStateTaxRates';
 
 const formatCurrency = (amount) => '$' + (parseFloat(amount) || 0).toFixed(2);
 
-const formatDocNumber = (num) => '#' + String(num).padStart(5, '0');
-
 const formatAddress = (prefix, data) => {
   if (!data) return '';
   const parts = [
@@ -187,7 +187,10 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
         await deletePayment.mutateAsync(id);
         queryClient.invalidateQueries({ queryKey: queryKeys.invoices.byClient(clientId) });
 
-        if (action === 'credit') {
+        if (paymentAction.isCredit) {
+          queryClient.invalidateQueries({ queryKey: queryKeys.credits.byClient(clientId) });
+          toast({ title: `Payment removed. ${formatCurrency(amount)} returned to client credit.` });
+        } else if (action === 'credit') {
           await api.post('/credits', {
             clientId,
             amount,
@@ -209,7 +212,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
     const payments = [];
     for (const inv of (invoices || [])) {
       for (const p of (inv.payments || [])) {
-        payments.push({ ...p, invoiceNumber: inv.invoiceNumber, invoiceId: inv.id });
+        payments.push({ ...p, invoiceNumber: inv.invoiceNumber, displayNumber: inv.displayNumber, invoiceId: inv.id });
       }
     }
     return payments.sort((a, b) => new Date(b.paymentDate) - new Date(a.paymentDate));
@@ -359,13 +362,13 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
                   onClick={() => navigate(`/quotes/${q.id}`)}
                 >
                   <div className="flex items-center gap-4 flex-1 min-w-0">
-                    <span className="font-medium text-sm">Quote {formatDocNumber(q.quoteNumber)}</span>
+                    <span className="font-medium text-sm">Quote #{formatDocNumber(q.quoteNumber, q.displayNumber)}</span>
                     <span className="text-xs text-surface-400">{fmtDate(q.createdAt)}</span>
                   </div>
                   <div className="flex items-center gap-2">
                     <span className="font-semibold text-sm mr-1">{formatCurrency(q.total)}</span>
                     <button
-                      onClick={(e) => { e.stopPropagation(); setDeleteConfirm({ type: 'quote', id: q.id, label: `Quote ${formatDocNumber(q.quoteNumber)}` }); }}
+                      onClick={(e) => { e.stopPropagation(); setDeleteConfirm({ type: 'quote', id: q.id, label: `Quote #${formatDocNumber(q.quoteNumber, q.displayNumber)}` }); }}
                       className="icon-button" title="Delete Quote"
                     >
                       <Trash2 className="w-3.5 h-3.5 text-red-400" />
@@ -401,7 +404,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
                   }}
                 >
                   <div className="flex items-center gap-4 flex-1 min-w-0">
-                    <span className="font-medium text-sm">Invoice {formatDocNumber(i.invoiceNumber)}</span>
+                    <span className="font-medium text-sm">Invoice #{formatDocNumber(i.invoiceNumber, i.displayNumber)}</span>
                     <span className={cn('chip text-xs', statusColors[i.status])}>{i.status}</span>
                     {i.dueDate && (
                       <span className="text-xs text-surface-400 hidden sm:inline">Due: {fmtDate(i.dueDate)}</span>
@@ -418,7 +421,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
                       onClick={(e) => { e.stopPropagation(); setDeleteConfirm({
                         type: 'invoice',
                         id: i.id,
-                        label: `Invoice ${formatDocNumber(i.invoiceNumber)}${i.paidAmount > 0 ? ` (${formatCurrency(i.paidAmount)} in payments will be converted to credit)` : ''}`,
+                        label: `Invoice #${formatDocNumber(i.invoiceNumber, i.displayNumber)}${i.paidAmount > 0 ? ` (${formatCurrency(i.paidAmount)} in payments will be converted to credit)` : ''}`,
                       }); }}
                       className="icon-button" title="Delete Invoice"
                     >
@@ -459,7 +462,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
                       <span className="font-medium text-sm">{formatCurrency(p.amount)}</span>
                       <span className="text-xs text-surface-400">{p.method}</span>
                       <span className="text-xs text-surface-400">
-                        Invoice {formatDocNumber(p.invoiceNumber)}
+                        Invoice #{formatDocNumber(p.invoiceNumber, p.displayNumber)}
                       </span>
                       {p.stripePaymentIntentId && (
                         <a
@@ -478,7 +481,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
                       {fmtDate(p.paymentDate)}
                     </span>
                     <button
-                      onClick={(e) => { e.stopPropagation(); setPaymentAction({ id: p.id, amount: p.amount, label: `${formatCurrency(p.amount)} payment on Invoice ${formatDocNumber(p.invoiceNumber)}`, stripePaymentIntentId: p.stripePaymentIntentId || null }); }}
+                      onClick={(e) => { e.stopPropagation(); setPaymentAction({ id: p.id, amount: p.amount, label: `${formatCurrency(p.amount)} payment on Invoice #${formatDocNumber(p.invoiceNumber, p.displayNumber)}`, stripePaymentIntentId: p.stripePaymentIntentId || null, isCredit: p.method === 'Credit' }); }}
                       className="icon-button" title="Delete Payment"
                     >
                       <Trash2 className="w-3.5 h-3.5 text-red-400" />
@@ -505,22 +508,34 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
           {filteredCredits.length > 0 ? (
             <div className="space-y-2 max-h-80 overflow-y-auto pr-1">
               {filteredCredits.map(c => (
-                <div key={c.id} className="flat-card p-3 flex items-center justify-between">
-                  <div className="flex items-center gap-4 flex-1 min-w-0">
-                    <span className="font-medium text-sm text-teal-400">{formatCurrency(c.amount)}</span>
-                    {c.reason && <span className="text-xs text-surface-400 truncate">{c.reason}</span>}
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <span className="text-xs text-surface-400">
-                      {fmtDate(c.createdAt)}
-                    </span>
-                    <button
-                      onClick={() => setDeleteConfirm({ type: 'credit', id: c.id, label: `${formatCurrency(c.amount)} credit` })}
-                      className="icon-button" title="Delete Credit"
-                    >
-                      <Trash2 className="w-3.5 h-3.5 text-red-400" />
-                    </button>
+                <div key={c.id} className="flat-card p-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-4 flex-1 min-w-0">
+                      <span className="font-medium text-sm text-teal-400">{formatCurrency(c.amount)}</span>
+                      {c.remaining < c.amount && (
+                        <span className="text-xs text-surface-400">{formatCurrency(c.remaining)} left</span>
+                      )}
+                      {c.reason && <span className="text-xs text-surface-400 truncate">{c.reason}</span>}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-surface-400">
+                        {fmtDate(c.createdAt)}
+                      </span>
+                      {!c.applications?.length && (
+                        <button
+                          onClick={() => setDeleteConfirm({ type: 'credit', id: c.id, label: `${formatCurrency(c.amount)} credit` })}
+                          className="icon-button" title="Delete Credit"
+                        >
+                          <Trash2 className="w-3.5 h-3.5 text-red-400" />
+                        </button>
+                      )}
+                    </div>
                   </div>
+                  {c.applications?.map(a => (
+                    <p key={a.id} className="text-[11px] text-surface-500 mt-1">
+                      {formatCurrency(a.amount)} applied to Invoice #{formatDocNumber(a.invoice?.invoiceNumber, a.invoice?.displayNumber)} on {fmtDate(a.createdAt)}{a.appliedBy ? ` by ${a.appliedBy}` : ''}
+                    </p>
+                  ))}
                 </div>
               ))}
             </div>
@@ -561,6 +576,22 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
               What would you like to do with this payment?
             </AlertDialogDescription>
           </AlertDialogHeader>
+          {paymentAction?.isCredit ? (
+          <div className="flex flex-col gap-2 py-2">
+            <button
+              onClick={() => handlePaymentAction('delete')}
+              className="action-btn action-btn--secondary w-full justify-start !px-4 !py-3 text-sm"
+            >
+              <Gift className="w-4 h-4 mr-3 shrink-0" style={{ color: 'rgb(var(--color-success))' }} />
+              <div className="text-left">
+                <div className="font-medium">Return to Client Credit</div>
+                <div className="text-xs text-muted-foreground">
+                  Remove the payment and give {formatCurrency(paymentAction.amount)} back to the client's credit balance.
+                </div>
+              </div>
+            </button>
+          </div>
+          ) : (
           <div className="flex flex-col gap-2 py-2">
             <button
               onClick={() => handlePaymentAction('delete')}
@@ -614,6 +645,7 @@ const TransactionsTab = ({ quotes, invoices, credits, navigate, client, clientId
               </button>
             )}
           </div>
+          )}
           <AlertDialogFooter>
             <AlertDialogCancel>Cancel</AlertDialogCancel>
           </AlertDialogFooter>
@@ -650,6 +682,10 @@ const ProfileTab = ({ client, clientId }) => {
         shippingState: client.shippingState || '',
         shippingPostalCode: client.shippingPostalCode || '',
         shippingCountry: client.shippingCountry || 'US',
+        currency: client.currency || '',
+        taxExempt: !!client.taxExempt,
+        taxExemptCertificate: client.taxExemptCertificate || '',
+        taxExemptExpiresAt: client.taxExemptExpiresAt ? toDateInput(client.taxExemptExpiresAt) : '',
       });
     }
   }, [client]);
@@ -735,7 +771,14 @@ const ProfileTab = ({ client, clientId }) => {
               placeholder="(555) 555-5555"
             />
           </div>
-          <div className="md:col-span-2">{field('Company', 'company', 'Company name')}</div>
+          <div>{field('Company', 'company', 'Company name')}</div>
+          <div>
+            <label className="block text-xs font-medium text-surface-400 mb-1.5 uppercase tracking-wider">Currency</label>
+            <select value={form.currency || ''} onChange={(e) => handleChange('currency', e.target.value)} className="glass-select w-full">
+              <option value="">Default currency</option>
+              {CURRENCIES.map(c => <option key={c.value} value={c.value}>{c.value} — {c.label}</option>)}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -816,6 +859,26 @@ const ProfileTab = ({ client, clientId }) => {
         </AnimatePresence>
       </div>
 
+      {/* Sales tax exemption */}
+      <div className={cn(subtleCard, 'p-5')}>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-sm font-semibold text-surface-500 uppercase tracking-wider">Tax Exemption</h3>
+          <label className="flex items-center gap-2 text-sm text-surface-600">
+            <input type="checkbox" checked={!!form.taxExempt} onChange={(e) => handleChange('taxExempt', e.target.checked)} /> Tax exempt
+          </label>
+        </div>
+        <p className="text-xs text-surface-400">New quotes and invoices for this client carry no tax while the certificate is current.</p>
+        {form.taxExempt && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>{field('Certificate Number', 'taxExemptCertificate', 'Exemption certificate #')}</div>
+            <div>{field('Expires', 'taxExemptExpiresAt', '', 'date')}</div>
+            {client?.taxExempt && !isTaxExempt(client) && (
+              <p className="md:col-span-2 text-xs text-amber-500">This certificate has expired — tax applies again until it's renewed.</p>
+            )}
+          </div>
+        )}
+      </div>
+
       <div className="flex justify-end">
         <button type="submit" className="action-btn" disabled={updateClient.isPending}>
           {updateClient.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save Changes'}
@@ -1025,14 +1088,14 @@ const ClientProfile = () => {
 
   // Financial summary
   const financial = useMemo(() => {
-    const totalInvoiced = invoices.reduce((sum, inv) => sum + (parseFloat(inv.total) || 0), 0);
+    const totalInvoiced = invoices.reduce((sum, inv) => sum + (parseFloat(inv.total) || 0) - (parseFloat(inv.creditedAmount) || 0), 0);
     const totalPaid = invoices.reduce((sum, inv) => sum + (parseFloat(inv.paidAmount) || 0), 0);
     const openBalance = totalInvoiced - totalPaid;
-    const totalCredits = credits.reduce((sum, c) => sum + (parseFloat(c.amount) || 0), 0);
+    const totalCredits = credits.reduce((sum, c) => sum + Math.max(parseFloat(c.remaining) || 0, 0), 0);
     const now = new Date();
     const overdueAmount = invoices
       .filter(inv => inv.status !== 'paid' && inv.dueDate && new Date(inv.dueDate) < now)
-      .reduce((sum, inv) => sum + ((parseFloat(inv.total) || 0) - (parseFloat(inv.paidAmount) || 0)), 0);
+      .reduce((sum, inv) => sum + ((parseFloat(inv.total) || 0) - (parseFloat(inv.creditedAmount) || 0) - (parseFloat(inv.paidAmount) || 0)), 0);
     return { totalInvoiced, totalPaid, openBalance, overdueAmount, totalCredits };
   }, [invoices, credits]);
 
@@ -1122,7 +1185,7 @@ const ClientProfile = () => {
         <FinancialCard label="Open Balance" value={formatCurrency(financial.openBalance)} accent="text-amber-600" delay={0.1} />
         <FinancialCard label="Overdue" value={formatCurrency(financial.overdueAmount)} accent={financial.overdueAmount > 0 ? "text-red-600" : undefined} delay={0.15} />
         {financial.totalCredits > 0 && (
-          <FinancialCard label="Credits" value={formatCurrency(financial.totalCredits)} accent="text-teal-600" delay={0.2} />
+          <FinancialCard label="Available Credit" value={formatCurrency(financial.totalCredits)} accent="text-teal-600" delay={0.2} />
         )}
       </div>
 
@@ -10,6 +10,7 @@ import { useAuth } from '@/contexts/AuthContext';
 import { Edit2, Trash2, Mail, Phone, Loader2, Search, Eye, Upload, Download, X, ChevronDown, ChevronRight, FileText, Receipt, ArrowUpDown } from 'lucide-react';
 import { useDebounce } from '@/hooks/useDebounce';
 import { parseCsvLine, formatPhoneNumber } from '@/lib/utils';
+import { CURRENCIES } from '@/lib/currency';
 import { US_STATE_NAMES } from '@/lib/usStateTaxRates';
 import { Button } from "@/components/ui/button";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
@@ -75,7 +76,7 @@ const ClientsManager = () => {
   const [editingClient, setEditingClient] = useState(null);
   const [isFormVisible, setIsFormVisible] = useState(showFormProp || false);
   const [showMoreDetails, setShowMoreDetails] = useState(false);
-  const [formData, setFormData] = useState({ displayName: '', firstName: '', lastName: '', email: '', phone: '', phone2: '', company: '', billingStreet: '', billingCity: '', billingState: '', billingPostalCode: '', billingCountry: 'US', shippingStreet: '', shippingCity: '', shippingState: '', shippingPostalCode: '', shippingCountry: 'US' });
+  const [formData, setFormData] = useState({ displayName: '', firstName: '', lastName: '', email: '', phone: '', phone2: '', company: '', billingStreet: '', billingCity: '', billingState: '', billingPostalCode: '', billingCountry: 'US', shippingStreet: '', shippingCity: '', shippingState: '', shippingPostalCode: '', shippingCountry: 'US', currency: '' });
   const [searchTerm, setSearchTerm] = useState('');
   const [sortIndex, setSortIndex] = useState(0);
   const debouncedSearchTerm = useDebounce(searchTerm, 300);
@@ -131,7 +132,7 @@ const ClientsManager = () => {
   }, []);
 
   const resetForm = useCallback(() => {
-    setFormData({ displayName: '', firstName: '', lastName: '', email: '', phone: '', phone2: '', company: '', billingStreet: '', billingCity: '', billingState: '', billingPostalCode: '', billingCountry: 'US', shippingStreet: '', shippingCity: '', shippingState: '', shippingPostalCode: '', shippingCountry: 'US' });
+    setFormData({ displayName: '', firstName: '', lastName: '', email: '', phone: '', phone2: '', company: '', billingStreet: '', billingCity: '', billingState: '', billingPostalCode: '', billingCountry: 'US', shippingStreet: '', shippingCity: '', shippingState: '', shippingPostalCode: '', shippingCountry: 'US', currency: '' });
     setEditingClient(null);
     setIsFormVisible(false);
     setShowMoreDetails(false);
@@ -173,7 +174,7 @@ const ClientsManager = () => {
   const handleEdit = useCallback(async (client) => {
     setEditingClient(client);
     const hasAddress = client.billingStreet || client.billingCity || client.billingState || client.shippingStreet || client.shippingCity || client.shippingState;
-    setFormData({ displayName: client.displayName || '', firstName: client.firstName, lastName: client.lastName, email: client.email || '', phone: client.phone || '', phone2: client.phone2 || '', company: client.company || '', billingStreet: client.billingStreet || '', billingCity: client.billingCity || '', billingState: client.billingState || '', billingPostalCode: client.billingPostalCode || '', billingCountry: client.billingCountry || '', shippingStreet: client.shippingStreet || '', shippingCity: client.shippingCity || '', shippingState: client.shippingState || '', shippingPostalCode: client.shippingPostalCode || '', shippingCountry: client.shippingCountry || '' });
+    setFormData({ displayName: client.displayName || '', firstName: client.firstName, lastName: client.lastName, email: client.email || '', phone: client.phone || '', phone2: client.phone2 || '', company: client.company || '', billingStreet: client.billingStreet || '', billingCity: client.billingCity || '', billingState: client.billingState || '', billingPostalCode: client.billingPostalCode || '', billingCountry: client.billingCountry || '', shippingStreet: client.shippingStreet || '', shippingCity: client.shippingCity || '', shippingState: client.shippingState || '', shippingPostalCode: client.shippingPostalCode || '', shippingCountry: client.shippingCountry || '', currency: client.currency || '' });
     if (hasAddress) setShowMoreDetails(true);
     setIsFormVisible(true);
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -345,6 +346,10 @@ const ClientsManager = () => {
                   <input type="tel" inputMode="tel" placeholder="Phone (555) 555-5555" value={formatPhoneNumber(formData.phone)} onChange={handlePhoneInputChange('phone')} className="glass-input w-full" />
                   <input type="tel" inputMode="tel" placeholder="Phone 2 (optional)" value={formatPhoneNumber(formData.phone2)} onChange={handlePhoneInputChange('phone2')} className="glass-input w-full" />
                   <input type="text" placeholder="Company" value={formData.company} onChange={(e) => setFormData({ ...formData, company: e.target.value })} className="glass-input w-full" />
+                  <select value={formData.currency} onChange={(e) => setFormData({ ...formData, currency: e.target.value })} className="glass-select w-full">
+                    <option value="">Default currency</option>
+                    {CURRENCIES.map(c => <option key={c.value} value={c.value}>{c.value} — {c.label}</option>)}
+                  </select>
                 </div>
                 <button type="button" onClick={() => setShowMoreDetails(!showMoreDetails)} className="flex items-center gap-1.5 text-sm text-surface-400 hover:text-surface-700 transition-colors">
                   <ChevronDown className={`w-4 h-4 transition-transform ${showMoreDetails ? 'rotate-180' : ''}`} />
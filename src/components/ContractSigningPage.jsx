@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { CheckCircle2, AlertCircle, Loader2, PenLine, Type, Eraser, Download } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+const API_BASE = window.location.origin;
+
+async function apiFetch(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options,
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: 'Request failed' }));
+    throw new Error(err.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+const SignaturePad = ({ onChange }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const dirtyRef = useRef(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = canvas.offsetHeight * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#1a2666';
+  }, []);
+
+  const point = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handleDown = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawingRef.current = true;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = point(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const handleMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = point(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    dirtyRef.current = true;
+  };
+
+  const handleUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    if (dirtyRef.current) onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    dirtyRef.current = false;
+    onChange('');
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handleDown}
+        onPointerMove={handleMove}
+        onPointerUp={handleUp}
+        onPointerLeave={handleUp}
+        className="w-full h-36 rounded-lg border border-dashed border-border bg-white touch-none cursor-crosshair"
+      />
+      <div className="flex justify-between items-center">
+        <span className="text-xs text-muted-foreground">Sign with your mouse or finger</span>
+        <button type="button" onClick={clear} className="text-xs text-muted-foreground hover:text-foreground flex items-center gap-1">
+          <Eraser className="w-3 h-3" /> Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ContractSigningPage = () => {
+  const { token } = useParams();
+  const [state, setState] = useState('loading'); // loading | review | signed | error
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [signerName, setSignerName] = useState('');
+  const [mode, setMode] = useState('typed'); // typed | drawn
+  const [drawnSignature, setDrawnSignature] = useState('');
+  const [agreed, setAgreed] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await apiFetch(`/api/sign/${token}`);
+        if (cancelled) return;
+        setData(res);
+        setSignerName(res.contract.clientName || '');
+        setState(res.contract.status === 'signed' ? 'signed' : 'review');
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+        setState('error');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const logoUrl = data?.branding?.loginLogoUrl || data?.branding?.headerLogoUrl;
+
+  const pageTitle = data?.branding
+    ? [data.branding.companyName, data.branding.appName].filter(Boolean).join(' - ') || 'Sign Contract'
+    : 'Sign Contract';
+  const faviconUrl = data?.branding?.faviconUrl
+    ? (data.branding.faviconUrl.startsWith('/') ? `${API_BASE}${data.branding.faviconUrl}` : data.branding.faviconUrl)
+    : null;
+
+  const signatureData = mode === 'typed' ? signerName.trim() : drawnSignature;
+  const canSubmit = signerName.trim() && signatureData && agreed && !submitting;
+
+  const handleSign = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const res = await apiFetch(`/api/sign/${token}`, {
+        method: 'POST',
+        body: { signerName: signerName.trim(), signatureType: mode, signatureData, agreed },
+      });
+      setData(res);
+      setState('signed');
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatSignedAt = (d) => new Date(d).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return (
+    <>
+      <Helmet>
+        <title>{pageTitle}</title>
+        {faviconUrl && <link rel="icon" href={faviconUrl} />}
+      </Helmet>
+      <div className="min-h-screen bg-surface-50 flex flex-col">
+        <div className="flex-1 flex items-start sm:items-center justify-center p-4">
+          <div className={cn('w-full', state === 'review' ? 'max-w-2xl' : 'max-w-md')}>
+            {/* Logo */}
+            {logoUrl && (
+              <div className="flex justify-center mb-6">
+                <img
+                  src={logoUrl.startsWith('/') ? `${API_BASE}${logoUrl}` : logoUrl}
+                  alt={data?.branding?.companyName || 'Company'}
+                  className="max-h-12 w-auto"
+                />
+              </div>
+            )}
+
+            <div className="glass-card p-6 space-y-6">
+              {/* Loading */}
+              {state === 'loading' && (
+                <div className="flex flex-col items-center gap-4 py-8">
+                  <Loader2 className="w-10 h-10 text-accent animate-spin" />
+                  <p className="text-surface-600 text-sm">Loading your contract...</p>
+                </div>
+              )}
+
+              {/* Review + sign */}
+              {state === 'review' && data && (
+                <div className="space-y-5">
+                  <div>
+                    <h1 className="text-xl font-bold text-foreground">{data.contract.title}</h1>
+                    {data.contract.clientName && (
+                      <p className="text-sm text-muted-foreground">Prepared for {data.contract.clientName}</p>
+                    )}
+                  </div>
+
+                  <div className="rounded-lg border border-border/60 bg-surface-100/50 px-4 py-3 max-h-[50vh] overflow-y-auto">
+                    <p className="text-sm text-foreground whitespace-pre-wrap leading-relaxed">{data.contract.body}</p>
+                  </div>
+
+                  <div className="space-y-3">
+                    <div>
+                      <label htmlFor="signer-name" className="block text-sm font-medium text-foreground mb-1">Full legal name</label>
+                      <input
+                        id="signer-name"
+                        value={signerName}
+                        onChange={e => setSignerName(e.target.value)}
+                        className="glass-input w-full"
+                        autoComplete="name"
+                      />
+                    </div>
+
+                    <div className="flex gap-1 p-1 rounded-lg bg-surface-100 w-fit">
+                      {[{ value: 'typed', label: 'Type', icon: Type }, { value: 'drawn', label: 'Draw', icon: PenLine }].map(opt => (
+                        <button
+                          key={opt.value}
+                          type="button"
+                          onClick={() => setMode(opt.value)}
+                          className={cn(
+                            'px-3 py-1 rounded-md text-xs font-medium flex items-center gap-1.5 transition-colors',
+                            mode === opt.value ? 'bg-background text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+                          )}
+                        >
+                          <opt.icon className="w-3.5 h-3.5" /> {opt.label}
+                        </button>
+                      ))}
+                    </div>
+
+                    {mode === 'typed' ? (
+                      <div className="h-36 rounded-lg border border-dashed border-border bg-white flex items-center justify-center px-4">
+                        <span className="text-3xl italic text-[#1a2666] truncate" style={{ fontFamily: '"Times New Roman", Times, serif' }}>
+                          {signerName.trim() || 'Your signature'}
+                        </span>
+                      </div>
+                    ) : (
+                      <SignaturePad onChange={setDrawnSignature} />
+                    )}
+
+                    <label className="flex items-start gap-2 text-sm text-foreground cursor-pointer">
+                      <input type="checkbox" checked={agreed} onChange={e => setAgreed(e.target.checked)} className="mt-0.5" />
+                      <span>I have read and agree to this contract, and I consent to signing it electronically.</span>
+                    </label>
+                  </div>
+
+                  {submitError && <p className="text-sm text-red-500">{submitError}</p>}
+
+                  <button
+                    onClick={handleSign}
+                    disabled={!canSubmit}
+                    className="action-btn w-full py-3 text-base flex items-center justify-center gap-2 disabled:opacity-50"
+                  >
+                    {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <PenLine className="w-4 h-4" />}
+                    Sign Contract
+                  </button>
+                </div>
+              )}
+
+              {/* Signed */}
+              {state === 'signed' && data && (
+                <div className="space-y-5">
+                  <div className="flex flex-col items-center gap-3 pt-2">
+                    <div className="w-16 h-16 rounded-full bg-green-500/10 flex items-center justify-center">
+                      <CheckCircle2 className="w-9 h-9 text-green-500" />
+                    </div>
+                    <h1 className="text-xl font-bold text-foreground">
+                      {data.alreadySigned === false && data.contract.signerName
+                        ? `Thank you, ${data.contract.signerName.split(' ')[0]}!`
+                        : 'Contract Signed'}
+                    </h1>
+                    <p className="text-sm text-muted-foreground text-center leading-relaxed">
+                      "{data.contract.title}" was signed
+                      {data.contract.signerName ? ` by ${data.contract.signerName}` : ''}
+                      {data.contract.signedAt ? ` on ${formatSignedAt(data.contract.signedAt)}` : ''}.
+                    </p>
+                  </div>
+
+                  {data.contract.hasSignedPdf && (
+                    <a
+                      href={`${API_BASE}/api/sign/${token}/pdf`}
+                      className="action-btn w-full py-3 text-base flex items-center justify-center gap-2"
+                    >
+                      <Download className="w-4 h-4" /> Download Signed Copy
+                    </a>
+                  )}
+                </div>
+              )}
+
+              {/* Error */}
+              {state === 'error' && (
+                <div className="flex flex-col items-center gap-4 py-6">
+                  <div className="w-16 h-16 rounded-full bg-red-500/10 flex items-center justify-center">
+                    <AlertCircle className="w-9 h-9 text-red-500" />
+                  </div>
+                  <h1 className="text-xl font-bold text-foreground">Something Went Wrong</h1>
+                  <p className="text-sm text-muted-foreground text-center leading-relaxed">
+                    {error || 'We couldn\'t load this contract right now. Please try again or reach out to us directly.'}
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Footer */}
+            {data?.branding?.companyName && (
+              <p className="text-center text-xs text-muted-foreground mt-6">
+                {data.branding.companyName}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ContractSigningPage;
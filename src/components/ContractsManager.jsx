@@ -0,0 +1,569 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FileCheck, Search, X, Loader2, Plus, Edit2, Trash2, Send, Link2, Download, Ban, FolderKanban, FileText, ScrollText,
+} from 'lucide-react';
+import { cn, fmtDate, formatDocNumber } from '@/lib/utils';
+import { toast } from '@/components/ui/use-toast';
+import { queryKeys } from '@/lib/queryKeys';
+import { useAppData, useClientsCatalog } from '@/hooks/useAppData';
+import { useDebounce } from '@/hooks/useDebounce';
+import {
+  useSaveContract, useSendContract, useVoidContract, useDeleteContract,
+  useSaveContractTemplate, useDeleteContractTemplate,
+} from '@/hooks/useMutations';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import api from '@/lib/apiClient';
+
+const PAGE_SIZE = 50;
+
+const MERGE_FIELDS = [
+  '[company_name]', '[client_name]', '[client_first_name]', '[client_email]', '[client_phone]', '[client_address]',
+  '[project_title]', '[event_date]', '[event_location]', '[event_type]', '[quote_number]', '[quote_total]', '[today]',
+];
+
+const STATUS_TABS = [
+  { value: '', label: 'All' },
+  { value: 'draft', label: 'Draft' },
+  { value: 'sent', label: 'Awaiting Signature' },
+  { value: 'signed', label: 'Signed' },
+  { value: 'void', label: 'Void' },
+];
+
+const STATUS_STYLES = {
+  draft: 'bg-surface-100 text-surface-600 border-surface-200',
+  sent: 'bg-amber-50 dark:bg-amber-950/40 text-amber-700 dark:text-amber-300 border-amber-200 dark:border-amber-800/50',
+  signed: 'bg-emerald-50 dark:bg-emerald-950/40 text-emerald-700 dark:text-emerald-300 border-emerald-200 dark:border-emerald-800/50',
+  void: 'bg-red-50 dark:bg-red-950/40 text-red-700 dark:text-red-300 border-red-200 dark:border-red-800/50',
+};
+const STATUS_LABELS = { draft: 'Draft', sent: 'Sent', signed: 'Signed', void: 'Void' };
+
+const clientLabel = (c) => c.displayName || [c.firstName, c.lastName].filter(Boolean).join(' ') || c.company || c.email;
+const signingUrl = (token) => `${window.location.origin}/sign/${token}`;
+
+const MergeFieldChips = () => (
+  <div className="flex flex-wrap gap-1.5">
+    {MERGE_FIELDS.map(p => (
+      <code key={p} className="bg-surface-100 text-surface-600 px-1.5 py-0.5 rounded text-xs">{p}</code>
+    ))}
+  </div>
+);
+
+// ─── Contract Form ─────────────────────────────────────────────────────────
+
+const ContractForm = ({ contract, templates, clients, projects, onSave, onCancel, saving }) => {
+  const [form, setForm] = useState({
+    templateId: contract?.templateId || '',
+    clientId: contract?.clientId || '',
+    projectId: contract?.projectId || '',
+    quoteId: contract?.quoteId || '',
+    title: contract?.title || '',
+    body: contract?.body || '',
+  });
+  const set = (patch) => setForm(prev => ({ ...prev, ...patch }));
+
+  const { data: quotesRes } = useQuery({
+    queryKey: queryKeys.quotes.byClient(form.clientId),
+    queryFn: () => api.get('/quotes', { clientId: form.clientId, orderBy: 'createdAt', asc: 'false', pageSize: '200' }),
+    enabled: !!form.clientId,
+  });
+  const quotes = quotesRes?.data || [];
+  const clientProjects = form.clientId ? projects.filter(p => p.clientId === form.clientId) : projects;
+
+  const handleTemplateChange = (templateId) => {
+    const template = templates.find(t => t.id === templateId);
+    set({
+      templateId,
+      title: form.title || template?.name || '',
+      body: template ? template.body : form.body,
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      id: contract?.id,
+      ...form,
+      templateId: form.templateId || null,
+      clientId: form.clientId || null,
+      projectId: form.projectId || null,
+      quoteId: form.quoteId || null,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {!contract?.id && templates.length > 0 && (
+        <div>
+          <Label>Template</Label>
+          <select value={form.templateId} onChange={e => handleTemplateChange(e.target.value)} className="glass-input w-full">
+            <option value="">Blank contract</option>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <Label>Client</Label>
+          <select value={form.clientId} onChange={e => set({ clientId: e.target.value, quoteId: '' })} className="glass-input w-full">
+            <option value="">None</option>
+            {clients.map(c => <option key={c.id} value={c.id}>{clientLabel(c)}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>Project</Label>
+          <select value={form.projectId} onChange={e => set({ projectId: e.target.value })} className="glass-input w-full">
+            <option value="">None</option>
+            {clientProjects.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>Quote</Label>
+          <select value={form.quoteId} onChange={e => set({ quoteId: e.target.value })} className="glass-input w-full" disabled={!form.clientId}>
+            <option value="">None</option>
+            {quotes.map(q => <option key={q.id} value={q.id}>Quote #{formatDocNumber(q.quoteNumber, q.displayNumber)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <input type="text" placeholder="Contract title" value={form.title} onChange={e => set({ title: e.target.value })} className="glass-input w-full" required />
+
+      <div className="space-y-2">
+        <textarea
+          value={form.body}
+          onChange={e => set({ body: e.target.value })}
+          className="glass-input w-full font-mono text-xs leading-relaxed"
+          rows={14}
+          placeholder="Contract text..."
+        />
+        <p className="text-xs text-surface-400">Merge fields are filled in from the linked client, project and quote when you save.</p>
+        <MergeFieldChips />
+      </div>
+
+      {contract?.status === 'sent' && (
+        <p className="text-xs text-orange-400">Saving changes withdraws the signing link. Send the contract again for the client to sign the new version.</p>
+      )}
+
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={saving}>
+          {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          {contract?.id ? 'Update Contract' : 'Create Contract'}
+        </Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+// ─── Templates ─────────────────────────────────────────────────────────────
+
+const TemplateManager = ({ templates, canManage }) => {
+  const saveTemplate = useSaveContractTemplate();
+  const deleteTemplate = useDeleteContractTemplate();
+  const [editing, setEditing] = useState(null);
+
+  if (editing) {
+    return (
+      <form
+        onSubmit={async (e) => {
+          e.preventDefault();
+          try {
+            await saveTemplate.mutateAsync(editing);
+            setEditing(null);
+          } catch { /* handled by mutation onError */ }
+        }}
+        className="space-y-3"
+      >
+        <input type="text" placeholder="Template name" value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} className="glass-input w-full" required />
+        <textarea
+          value={editing.body}
+          onChange={e => setEditing({ ...editing, body: e.target.value })}
+          className="glass-input w-full font-mono text-xs leading-relaxed"
+          rows={14}
+          placeholder="This agreement is made between [company_name] and [client_name]..."
+        />
+        <MergeFieldChips />
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => setEditing(null)}>Back</Button>
+          <Button type="submit" disabled={saveTemplate.isPending}>{editing.id ? 'Update Template' : 'Save Template'}</Button>
+        </DialogFooter>
+      </form>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {templates.length === 0 ? (
+        <p className="text-sm text-surface-500">No templates yet. Create one to reuse your standard contract wording.</p>
+      ) : (
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+          {templates.map(t => (
+            <div key={t.id} className="flex items-center justify-between glass-card p-2.5">
+              <span className="text-sm truncate">{t.name}</span>
+              {canManage && (
+                <div className="flex gap-1 shrink-0">
+                  <button onClick={() => setEditing({ id: t.id, name: t.name, body: t.body })} className="icon-button !p-1.5"><Edit2 className="w-3 h-3 text-blue-400" /></button>
+                  <button onClick={() => deleteTemplate.mutate(t.id)} className="icon-button !p-1.5"><Trash2 className="w-3 h-3 text-red-400" /></button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {canManage && (
+        <Button type="button" onClick={() => setEditing({ name: '', body: '' })}>
+          <Plus className="w-4 h-4 mr-1" /> New Template
+        </Button>
+      )}
+    </div>
+  );
+};
+
+// ─── Contract Row ──────────────────────────────────────────────────────────
+
+const ContractRow = React.memo(({ contract, canManage, onEdit, onSend, onCopyLink, onVoid, onDelete, onOpenProject }) => {
+  const clientName = contract.client ? clientLabel(contract.client) : '';
+  const editable = canManage && contract.status !== 'signed';
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+      <div className="list-card w-full p-3 px-3.5 sm:p-3.5 sm:px-4 group">
+        <div className="flex items-center gap-3">
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center gap-2">
+              <span className="text-sm font-medium text-surface-800 dark:text-surface-900 truncate">{contract.title}</span>
+              <span className={cn('inline-flex items-center text-[10px] font-medium px-1.5 py-0.5 rounded border shrink-0', STATUS_STYLES[contract.status])}>
+                {STATUS_LABELS[contract.status]}
+              </span>
+            </div>
+            <div className="flex items-center gap-2 mt-1 min-w-0 text-xs text-surface-400">
+              {clientName && <span className="truncate">{clientName}</span>}
+              {contract.project && (
+                <button onClick={() => onOpenProject(contract.project.id)} className="flex items-center gap-1 truncate hover:text-surface-600">
+                  <FolderKanban className="w-3 h-3 shrink-0" />
+                  <span className="truncate">{contract.project.title}</span>
+                </button>
+              )}
+              {contract.quote && (
+                <span className="flex items-center gap-1 shrink-0">
+                  <FileText className="w-3 h-3" /> #{formatDocNumber(contract.quote.quoteNumber, contract.quote.displayNumber)}
+                </span>
+              )}
+              <span className="tabular-nums shrink-0">
+                {contract.status === 'signed' && contract.signedAt
+                  ? `Signed ${fmtDate(contract.signedAt, { month: 'short', day: 'numeric', year: 'numeric' })} by ${contract.signerName}`
+                  : contract.sentAt
+                    ? `Sent ${fmtDate(contract.sentAt, { month: 'short', day: 'numeric', year: 'numeric' })}`
+                    : `Created ${fmtDate(contract.createdAt, { month: 'short', day: 'numeric', year: 'numeric' })}`}
+              </span>
+            </div>
+          </div>
+
+          <div className="flex gap-1 shrink-0">
+            {contract.status === 'signed' && contract.signedFileName && (
+              <a href={`/api/contracts/${contract.id}/pdf`} target="_blank" rel="noopener noreferrer" className="icon-button !p-1.5" title="Signed PDF">
+                <Download className="w-3.5 h-3.5 text-emerald-500" />
+              </a>
+            )}
+            {contract.status === 'sent' && (
+              <button onClick={() => onCopyLink(contract)} className="icon-button !p-1.5" title="Copy signing link">
+                <Link2 className="w-3.5 h-3.5 text-surface-400" />
+              </button>
+            )}
+            {editable && contract.status !== 'void' && (
+              <button onClick={() => onSend(contract)} className="icon-button !p-1.5" title={contract.status === 'sent' ? 'Re-send' : 'Send for signature'}>
+                <Send className="w-3.5 h-3.5 text-accent" />
+              </button>
+            )}
+            {editable && (
+              <button onClick={() => onEdit(contract)} className="icon-button !p-1.5" title="Edit">
+                <Edit2 className="w-3.5 h-3.5 text-blue-400" />
+              </button>
+            )}
+            {editable && contract.status === 'sent' && (
+              <button onClick={() => onVoid(contract)} className="icon-button !p-1.5" title="Void">
+                <Ban className="w-3.5 h-3.5 text-amber-500" />
+              </button>
+            )}
+            {canManage && (
+              <button onClick={() => onDelete(contract)} className="icon-button !p-1.5" title="Delete">
+                <Trash2 className="w-3.5 h-3.5 text-red-400" />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+});
+
+// ─── Main Component ────────────────────────────────────────────────────────
+
+const ContractsManager = () => {
+  const navigate = useNavigate();
+  const { can } = useAppData();
+  const canManage = can('manage_contracts');
+  const saveContract = useSaveContract();
+  const sendContract = useSendContract();
+  const voidContract = useVoidContract();
+  const deleteContract = useDeleteContract();
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const debouncedSearch = useDebounce(searchTerm, 300);
+  const [status, setStatus] = useState('');
+  const [editingContract, setEditingContract] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false);
+  const [sentLink, setSentLink] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const sentinelRef = useRef(null);
+
+  const filters = { search: debouncedSearch, status };
+  const params = Object.fromEntries(Object.entries(filters).map(([k, v]) => [k, v || undefined]));
+
+  const { data: clients = [] } = useClientsCatalog();
+  const { data: projectsData } = useQuery({
+    queryKey: queryKeys.projects.catalog(),
+    queryFn: () => api.get('/projects', { pageSize: 200, orderBy: 'title', asc: 'true' }),
+  });
+  const projects = projectsData?.data || [];
+  const { data: templatesData } = useQuery({
+    queryKey: queryKeys.contracts.templates(),
+    queryFn: () => api.get('/contracts/templates'),
+  });
+  const templates = templatesData?.data || [];
+
+  const {
+    data,
+    isLoading,
+    isFetchingNextPage,
+    hasNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery({
+    queryKey: queryKeys.contracts.list(filters),
+    queryFn: ({ pageParam = 0 }) => api.get('/contracts', { ...params, page: pageParam, pageSize: PAGE_SIZE }),
+    getNextPageParam: (lastPage, allPages) => {
+      const totalFetched = allPages.reduce((sum, p) => sum + (p.data?.length || 0), 0);
+      return totalFetched < (lastPage.count || 0) ? allPages.length : undefined;
+    },
+    initialPageParam: 0,
+    staleTime: 60_000,
+  });
+
+  const contracts = data?.pages.flatMap(p => p.data || []) ?? [];
+  const totalCount = data?.pages[0]?.count || 0;
+
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => { if (entry.isIntersecting && hasNextPage && !isFetchingNextPage) fetchNextPage(); },
+      { rootMargin: '200px' }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  const copyLink = useCallback(async (token) => {
+    try {
+      await navigator.clipboard.writeText(signingUrl(token));
+      toast({ title: 'Signing link copied!' });
+    } catch {
+      toast({ title: 'Could not copy link', variant: 'destructive' });
+    }
+  }, []);
+
+  const handleSave = async (contractData) => {
+    try {
+      await saveContract.mutateAsync(contractData);
+      setIsFormOpen(false);
+      setEditingContract(null);
+    } catch { /* handled by mutation onError */ }
+  };
+
+  const handleEdit = useCallback((contract) => {
+    setEditingContract(contract);
+    setIsFormOpen(true);
+  }, []);
+
+  const handleSend = useCallback(async (contract) => {
+    try {
+      const sent = await sendContract.mutateAsync(contract.id);
+      setSentLink({ title: sent.title, token: sent.signingToken });
+    } catch { /* handled by mutation onError */ }
+  }, [sendContract]);
+
+  const handleCopyLink = useCallback((contract) => copyLink(contract.signingToken), [copyLink]);
+  const handleVoid = useCallback((contract) => voidContract.mutate(contract.id), [voidContract]);
+  const handleOpenProject = useCallback((id) => navigate(`/projects/${id}`), [navigate]);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-5">
+      <AlertDialog open={!!pendingDelete} onOpenChange={(open) => { if (!open) setPendingDelete(null); }}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete contract?</AlertDialogTitle>
+            <AlertDialogDescription>
+              This will permanently delete "{pendingDelete?.title}" and disable its signing link.
+              {pendingDelete?.documentId && ' The signed PDF stays in the project documents.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => { deleteContract.mutate(pendingDelete.id); setPendingDelete(null); }}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      <Dialog open={isFormOpen} onOpenChange={(open) => { if (!open) setEditingContract(null); setIsFormOpen(open); }}>
+        <DialogContent className="glass-card max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editingContract?.id ? 'Edit Contract' : 'New Contract'}</DialogTitle>
+          </DialogHeader>
+          <ContractForm
+            key={editingContract?.id || 'new'}
+            contract={editingContract}
+            templates={templates}
+            clients={clients}
+            projects={projects}
+            onSave={handleSave}
+            onCancel={() => setIsFormOpen(false)}
+            saving={saveContract.isPending}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={isTemplatesOpen} onOpenChange={setIsTemplatesOpen}>
+        <DialogContent className="glass-card max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Contract Templates</DialogTitle>
+          </DialogHeader>
+          <TemplateManager templates={templates} canManage={canManage} />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!sentLink} onOpenChange={(open) => { if (!open) setSentLink(null); }}>
+        <DialogContent className="glass-card">
+          <DialogHeader>
+            <DialogTitle>Ready for signature</DialogTitle>
+          </DialogHeader>
+          <p className="text-sm text-surface-500">Share this link with your client to review and sign "{sentLink?.title}".</p>
+          <div className="flex items-center gap-2">
+            <input readOnly value={sentLink ? signingUrl(sentLink.token) : ''} className="glass-input flex-1 text-xs font-mono" onFocus={e => e.target.select()} />
+            <Button type="button" onClick={() => copyLink(sentLink.token)}>
+              <Link2 className="w-4 h-4 mr-1" /> Copy
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-surface-100 flex items-center justify-center">
+            <FileCheck className="w-5 h-5 text-surface-400" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Contracts</h1>
+            <p className="text-surface-400 text-sm">Client agreements and e-signatures</p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => setIsTemplatesOpen(true)} className="action-btn action-btn--secondary">
+            <ScrollText className="w-4 h-4 md:mr-2" /><span className="hidden md:inline">Templates</span>
+          </button>
+          {canManage && (
+            <button onClick={() => { setEditingContract(null); setIsFormOpen(true); }} className="action-btn">
+              <Plus className="w-4 h-4 md:mr-2" /><span className="hidden md:inline">New Contract</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="space-y-2 sm:space-y-0 sm:flex sm:items-center sm:gap-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-400" />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={e => setSearchTerm(e.target.value)}
+            className="glass-input w-full pl-9 pr-8 text-sm"
+            placeholder="Search title or signer..."
+          />
+          {searchTerm && (
+            <button onClick={() => setSearchTerm('')} className="absolute right-3 top-1/2 -translate-y-1/2">
+              <X className="w-3.5 h-3.5 text-surface-400" />
+            </button>
+          )}
+        </div>
+        <div className="flex gap-1 overflow-x-auto scrollbar-hide">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={cn(
+                'px-2.5 py-1 rounded-md text-xs font-medium whitespace-nowrap transition-colors',
+                status === tab.value ? 'bg-accent text-accent-foreground' : 'text-surface-500 hover:text-surface-700 hover:bg-surface-100'
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* List */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader2 className="w-8 h-8 animate-spin text-primary" />
+        </div>
+      ) : contracts.length === 0 ? (
+        <div className="text-center py-20">
+          <div className="w-16 h-16 rounded-2xl bg-surface-100 flex items-center justify-center mx-auto mb-4">
+            <FileCheck className="w-8 h-8 text-surface-400" />
+          </div>
+          <h3 className="text-lg font-semibold text-surface-700 mb-1">No contracts found</h3>
+          <p className="text-surface-400 text-sm">{hasFilters ? 'Try adjusting your filters.' : 'Create a contract from a template and send it to your client to sign.'}</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-surface-400">{totalCount} contract{totalCount !== 1 ? 's' : ''}</p>
+          <div className="space-y-2">
+            <AnimatePresence>
+              {contracts.map(c => (
+                <ContractRow
+                  key={c.id}
+                  contract={c}
+                  canManage={canManage}
+                  onEdit={handleEdit}
+                  onSend={handleSend}
+                  onCopyLink={handleCopyLink}
+                  onVoid={handleVoid}
+                  onDelete={setPendingDelete}
+                  onOpenProject={handleOpenProject}
+                />
+              ))}
+            </AnimatePresence>
+          </div>
+          <div ref={sentinelRef} className="h-1" />
+          {isFetchingNextPage && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-surface-400" />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ContractsManager;
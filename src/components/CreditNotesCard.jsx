@@ -0,0 +1,266 @@
+import React, { useState, useMemo } from 'react';
+import { FileMinus, Plus, X, Loader2, Printer, Trash2, Copy } from 'lucide-react';
+import { toast } from '@/components/ui/use-toast';
+import api from '@/lib/apiClient';
+import { useCreateCreditNote, useDeleteCreditNote } from '@/hooks/useMutations';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { fmtDate, toDateInput, formatDocNumber } from '@/lib/utils';
+import { itemTaxRates, sumRates } from '@/lib/taxRateResolver';
+
+// Keep in sync with REFUND_METHODS in server/routes/creditNotes.ts
+const REFUND_METHODS = ['Cash', 'Check', 'Bank Transfer', 'PayPal', 'Stripe', 'Client Credit', 'Other'];
+
+const emptyLine = () => ({ name: '', price: '', qty: 1, isTaxable: false });
+const lineTotal = (line) => (parseFloat(line.price) || 0) * (parseInt(line.qty, 10) || 1);
+
+async function openCreditNotePdf(creditNote) {
+  const newWindow = window.open('', '_blank');
+  if (!newWindow) {
+    toast({ title: "Popup blocked", description: "Please allow popups for this site to print.", variant: "destructive" });
+    return;
+  }
+  newWindow.document.write('<html><body style="background-color: #1a1a1a; color: white; display: flex; justify-content: center; align-items: center; height: 100vh; font-family: sans-serif;"><h1>Generating PDF...</h1></body></html>');
+  try {
+    const result = await api.post('/pdf/generate', { type: 'credit_note', documentId: creditNote.id });
+    if (result.error) throw new Error(result.error);
+    const blob = new Blob([Uint8Array.from(atob(result.pdfBase64), c => c.charCodeAt(0))], { type: 'application/pdf' });
+    newWindow.location.href = URL.createObjectURL(blob);
+  } catch (e) {
+    newWindow.close();
+    toast({ title: "Failed to generate PDF", description: e.message, variant: "destructive" });
+  }
+}
+
+const CreditNoteForm = ({ invoice, money, onCancel, onIssued }) => {
+  const createCreditNote = useCreateCreditNote();
+  const [lines, setLines] = useState([emptyLine()]);
+  const [reason, setReason] = useState('');
+  const [refundMethod, setRefundMethod] = useState('');
+  const [paymentId, setPaymentId] = useState('');
+  const [issueDate, setIssueDate] = useState(toDateInput(new Date()));
+
+  const taxRate = parseFloat(invoice.taxRate) || 0;
+  const creditable = (invoice.total || 0) - (invoice.creditedAmount || 0);
+  const stripePayments = (invoice.payments || []).filter(p => p.stripePaymentIntentId && p.amount > 0);
+
+  const { subtotal, tax, total } = useMemo(() => {
+    const sub = lines.reduce((s, l) => s + lineTotal(l), 0);
+    // Copied lines keep the invoice item's own rates; new lines use the invoice's rate
+    const t = Math.round(lines.reduce((s, l) => s + lineTotal(l) * sumRates(itemTaxRates(l, taxRate)), 0)) / 100;
+    return { subtotal: sub, tax: t, total: sub + t };
+  }, [lines, taxRate]);
+
+  const updateLine = (index, patch) => setLines(prev => prev.map((l, i) => (i === index ? { ...l, ...patch } : l)));
+
+  const copyInvoiceItems = () => {
+    const copied = (invoice.items || []).map(item => ({
+      name: item.name,
+      price: item.price ?? (item.total / (item.qty || 1)),
+      qty: item.qty || 1,
+      isTaxable: !!item.isTaxable,
+      taxRates: item.taxRates,
+    }));
+    if (copied.length > 0) setLines(copied);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = lines
+      .filter(l => l.name.trim() && lineTotal(l) > 0)
+      .map(l => ({ type: 'custom', name: l.name.trim(), price: parseFloat(l.price), qty: parseInt(l.qty, 10) || 1, total: lineTotal(l), isTaxable: l.isTaxable, taxRates: l.taxRates ?? null }));
+    if (items.length === 0) {
+      toast({ title: "No items to credit", description: "Add at least one line with a name and amount.", variant: "destructive" });
+      return;
+    }
+    try {
+      await createCreditNote.mutateAsync({
+        invoiceId: invoice.id,
+        items,
+        reason: reason.trim() || null,
+        refundMethod: refundMethod || null,
+        paymentId: refundMethod === 'Stripe' ? paymentId : null,
+        issueDate,
+      });
+      onIssued();
+    } catch { /* handled by mutation onError */ }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label>Items</Label>
+          {(invoice.items || []).length > 0 && (
+            <button type="button" onClick={copyInvoiceItems} className="text-xs text-surface-500 hover:text-foreground flex items-center gap-1">
+              <Copy className="w-3 h-3" /> Copy invoice items
+            </button>
+          )}
+        </div>
+        {lines.map((line, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <input type="text" value={line.name} onChange={e => updateLine(i, { name: e.target.value })} placeholder="Description" className="glass-input flex-1 min-w-0 text-sm" />
+            <input type="number" inputMode="numeric" min="1" value={line.qty} onChange={e => updateLine(i, { qty: e.target.value })} className="glass-input w-14 text-sm text-center" title="Quantity" />
+            <input type="number" inputMode="decimal" step="0.01" min="0" value={line.price} onChange={e => updateLine(i, { price: e.target.value })} placeholder="0.00" className="glass-input w-24 text-sm text-right" />
+            <label className="flex items-center gap-1 text-xs text-surface-500 shrink-0" title="Taxable">
+              <input type="checkbox" checked={line.isTaxable} onChange={e => updateLine(i, { isTaxable: e.target.checked })} /> Tax
+            </label>
+            <button type="button" onClick={() => setLines(prev => prev.length > 1 ? prev.filter((_, j) => j !== i) : [emptyLine()])} className="p-1 text-surface-400 hover:text-red-400">
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setLines(prev => [...prev, emptyLine()])} className="action-btn action-btn--secondary text-xs py-1.5">
+          <Plus className="w-3.5 h-3.5 mr-1" /> Add Line
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <Label>Issue date</Label>
+          <input type="date" value={issueDate} onChange={e => setIssueDate(e.target.value)} className="glass-input w-full" />
+        </div>
+        <div>
+          <Label>Refund</Label>
+          <select value={refundMethod} onChange={e => setRefundMethod(e.target.value)} className="glass-select w-full">
+            <option value="">None — reduce balance only</option>
+            {REFUND_METHODS.filter(m => m !== 'Stripe' || stripePayments.length > 0).map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {refundMethod === 'Stripe' && (
+        <div>
+          <Label>Stripe payment to refund</Label>
+          <select value={paymentId} onChange={e => setPaymentId(e.target.value)} className="glass-select w-full" required>
+            <option value="">Select payment...</option>
+            {stripePayments.map(p => (
+              <option key={p.id} value={p.id}>{money(p.amount)} — {fmtDate(p.paymentDate, { month: 'short', day: 'numeric', year: 'numeric' })}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <Label>Reason</Label>
+        <textarea value={reason} onChange={e => setReason(e.target.value)} rows={2} className="glass-input w-full text-sm" placeholder="Shown on the credit note" />
+      </div>
+
+      <div className="rounded-lg bg-surface-100 p-3 space-y-1 text-sm">
+        <div className="flex justify-between text-surface-500"><span>Subtotal</span><span>{money(subtotal)}</span></div>
+        <div className="flex justify-between text-surface-500"><span>Tax ({taxRate}%)</span><span>{money(tax)}</span></div>
+        <div className="flex justify-between font-semibold"><span>Total credit</span><span>{money(total)}</span></div>
+        <p className="text-[11px] text-surface-500 pt-1">
+          Up to {money(creditable)} can be credited on this invoice{refundMethod ? `; up to ${money(invoice.paidAmount || 0)} can be refunded` : ''}.
+        </p>
+      </div>
+
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={createCreditNote.isPending || total <= 0}>
+          {createCreditNote.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Issue Credit Note
+        </Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+/**
+ * Credit notes on an invoice. Each one reduces the balance; when a refund
+ * method is picked the money going back is recorded against the invoice too.
+ */
+const CreditNotesCard = ({ invoice, money, onChanged }) => {
+  const deleteCreditNote = useDeleteCreditNote();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const creditNotes = invoice.creditNotes || [];
+  const canCredit = (invoice.total || 0) - (invoice.creditedAmount || 0) > 0.005;
+
+  const handleDelete = async () => {
+    const target = pendingDelete;
+    setPendingDelete(null);
+    try {
+      await deleteCreditNote.mutateAsync(target.id);
+      onChanged();
+    } catch { /* handled by mutation onError */ }
+  };
+
+  return (
+    <div className="glass-card p-4 space-y-3">
+      <h4 className="text-base font-semibold">Credit Notes</h4>
+      <div className="space-y-1.5">
+        {creditNotes.map(cn => (
+          <div key={cn.id} className="group flex items-center gap-3 p-2.5 rounded-lg bg-surface-100 hover:bg-surface-200 transition-colors">
+            <div className="w-7 h-7 rounded-full flex items-center justify-center shrink-0 bg-amber-500/10 text-amber-500">
+              <FileMinus className="w-3.5 h-3.5" />
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-baseline gap-1.5">
+                <span className="font-semibold text-sm">{money(cn.total)}</span>
+                <span className="text-[11px] text-surface-500">#{formatDocNumber(cn.creditNoteNumber, cn.displayNumber)}</span>
+                {cn.refundMethod && <span className="text-[10px] bg-accent/15 text-accent px-1.5 py-px rounded-full leading-tight">{cn.refundMethod === 'Client Credit' ? 'To credit' : `Refunded · ${cn.refundMethod}`}</span>}
+              </div>
+              <p className="text-[11px] text-surface-500 truncate">
+                {fmtDate(cn.issueDate, { month: 'short', day: 'numeric', year: 'numeric' })}{cn.reason ? ` · ${cn.reason}` : ''}
+              </p>
+            </div>
+            <button onClick={() => openCreditNotePdf(cn)} className="opacity-0 group-hover:opacity-100 transition-opacity p-1.5 rounded-md hover:bg-surface-300/40 text-surface-500" title="Print credit note">
+              <Printer className="w-3.5 h-3.5" />
+            </button>
+            {!cn.stripeRefundId && (
+              <button onClick={() => setPendingDelete(cn)} className="opacity-0 group-hover:opacity-100 transition-opacity p-1.5 rounded-md hover:bg-red-500/10 text-surface-500 hover:text-red-400" title="Delete credit note">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        ))}
+        {creditNotes.length === 0 && (
+          <p className="text-xs text-surface-500 text-center py-3">No credit notes issued.</p>
+        )}
+      </div>
+      {canCredit && (
+        <button onClick={() => setIsFormOpen(true)} className="action-btn action-btn--secondary w-full text-xs py-2">
+          <Plus className="w-3.5 h-3.5 mr-1.5" /> Issue Credit Note
+        </button>
+      )}
+
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Credit Invoice #{formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}</DialogTitle>
+          </DialogHeader>
+          {isFormOpen && (
+            <CreditNoteForm
+              invoice={invoice}
+              money={money}
+              onCancel={() => setIsFormOpen(false)}
+              onIssued={() => { setIsFormOpen(false); onChanged(); }}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={!!pendingDelete} onOpenChange={(open) => { if (!open) setPendingDelete(null); }}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete credit note?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The invoice balance goes back up by {money(pendingDelete?.total || 0)}.
+              {pendingDelete?.refundMethod === 'Client Credit' && ' The client credit it created is removed as well.'}
+              {pendingDelete?.refundMethod && pendingDelete.refundMethod !== 'Client Credit' && ' The recorded refund is removed — this does not take back money already paid out.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default CreditNotesCard;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Label } from '@/components/ui/label';
+import { CURRENCIES } from '@/lib/currency';
+
+/**
+ * Currency + exchange rate inputs for the quote/invoice editors.
+ * The rate converts the document currency into the company default for reports.
+ */
+const CurrencyFields = ({ currency, exchangeRate, defaultCurrency, onCurrencyChange, onExchangeRateChange, isEditing }) => {
+  const isForeign = currency !== defaultCurrency;
+
+  if (!isEditing) {
+    if (!isForeign) return null;
+    return (
+      <div className="flex justify-between text-xs text-surface-400">
+        <span>{currency}</span>
+        <span>1 {currency} = {parseFloat(exchangeRate) || 1} {defaultCurrency}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <Label className="text-sm text-surface-400">Currency</Label>
+        <select value={currency} onChange={(e) => onCurrencyChange(e.target.value)} className="glass-select h-8 w-28 text-sm">
+          {CURRENCIES.map(c => <option key={c.value} value={c.value}>{c.value}</option>)}
+        </select>
+      </div>
+      {isForeign && (
+        <div className="flex items-center justify-between gap-2">
+          <Label className="text-xs text-surface-400">1 {currency} =</Label>
+          <div className="flex items-center gap-1.5">
+            <input
+              type="number"
+              inputMode="decimal"
+              step="0.000001"
+              min="0"
+              value={exchangeRate}
+              onChange={(e) => onExchangeRateChange(e.target.value)}
+              className="glass-input h-8 w-24 text-right text-sm"
+              placeholder="1.00"
+            />
+            <span className="text-xs text-surface-400 w-8">{defaultCurrency}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencyFields;
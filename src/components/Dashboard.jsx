@@ -10,7 +10,8 @@ import {
   Plus, ArrowRight, ArrowUpRight, Aperture, Camera, Briefcase,
   Users, FileText, Receipt, Banknote, Wallet,
 } from 'lucide-react';
-import { cn, fmtDate } from '@/lib/utils';
+import { cn, fmtDate, formatDocNumber } from '@/lib/utils';
+import { formatMoney } from '@/lib/currency';
 import { useProjectTypes, COLOR_PALETTE } from '@/lib/projectTypes';
 
 // ── Animation ────────────────────────────────────────────────────
@@ -34,9 +35,6 @@ const greeting = () => {
   return 'Good evening';
 };
 
-const fmtFull = (v) =>
-  `$${(parseFloat(v) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-
 const todayStr = () =>
   fmtDate(new Date(), { weekday: 'long', month: 'long', day: 'numeric' });
 
@@ -167,9 +165,9 @@ const GigCard = ({ gig, onClick, getTypeColor }) => {
   );
 };
 
-const DocRow = ({ number, clientName, total, status, onClick }) => (
+const DocRow = ({ number, displayNumber, clientName, total, currency, status, onClick }) => (
   <button onClick={onClick} className="dash-doc-row group">
-    <span className="dash-doc-row__number">#{String(number).padStart(5, '0')}</span>
+    <span className="dash-doc-row__number">#{formatDocNumber(number, displayNumber)}</span>
     <span className="dash-doc-row__name">{clientName || 'No Client'}</span>
     {status && (
       <span className={cn(
@@ -177,7 +175,7 @@ const DocRow = ({ number, clientName, total, status, onClick }) => (
         status === 'paid' ? 'text-emerald-400' : status === 'partial' ? 'text-amber-400' : 'text-orange-400',
       )}>{status}</span>
     )}
-    <span className="dash-doc-row__total">${parseFloat(total).toFixed(2)}</span>
+    <span className="dash-doc-row__total">{formatMoney(total, currency)}</span>
     <ArrowUpRight className="dash-doc-row__arrow" />
   </button>
 );
@@ -209,22 +207,22 @@ const PersonalStatsCard = ({ stats, compact }) => {
       {compact ? (
         <div className="flex flex-wrap items-baseline gap-x-8 gap-y-3 mt-3">
           <div>
-            <p className="text-lg font-bold tabular-nums leading-none">{fmtFull(stats.myEarnings)}</p>
+            <p className="text-lg font-bold tabular-nums leading-none">{formatMoney(stats.myEarnings, stats.currency)}</p>
             <p className="text-[10px] text-muted-foreground mt-1">Earned</p>
           </div>
           <div>
-            <p className="text-lg font-bold tabular-nums leading-none">{fmtFull(stats.myPending)}</p>
+            <p className="text-lg font-bold tabular-nums leading-none">{formatMoney(stats.myPending, stats.currency)}</p>
             <p className="text-[10px] text-muted-foreground mt-1">Pending</p>
           </div>
           {hasAdvance && (
             <button onClick={() => navigate('/finance')} className="hover:opacity-70 transition-opacity text-left">
-              <p className="text-lg font-bold tabular-nums leading-none text-amber-600">{fmtFull(stats.advanceBalance)}</p>
+              <p className="text-lg font-bold tabular-nums leading-none text-amber-600">{formatMoney(stats.advanceBalance, stats.currency)}</p>
               <p className="text-[10px] text-muted-foreground mt-1">Advance owed</p>
             </button>
           )}
           {hasSalary && (
             <button onClick={() => navigate('/salary')} className="hover:opacity-70 transition-opacity text-left">
-              <p className="text-lg font-bold tabular-nums leading-none text-red-500">{fmtFull(stats.salaryBalance)}</p>
+              <p className="text-lg font-bold tabular-nums leading-none text-red-500">{formatMoney(stats.salaryBalance, stats.currency)}</p>
               <p className="text-[10px] text-muted-foreground mt-1">Salary owed</p>
             </button>
           )}
@@ -232,8 +230,8 @@ const PersonalStatsCard = ({ stats, compact }) => {
       ) : (
         <>
           <div className="grid grid-cols-2 gap-8 sm:gap-12 mt-3">
-            <BigNumber value={fmtFull(stats.myEarnings)} label="Total earned" />
-            <BigNumber value={fmtFull(stats.myPending)} label="Pending payment" />
+            <BigNumber value={formatMoney(stats.myEarnings, stats.currency)} label="Total earned" />
+            <BigNumber value={formatMoney(stats.myPending, stats.currency)} label="Pending payment" />
           </div>
 
           {(hasAdvance || hasSalary) && (
@@ -249,7 +247,7 @@ const PersonalStatsCard = ({ stats, compact }) => {
                   <div className="min-w-0 flex-1">
                     <p className="text-sm font-medium text-surface-700">Outstanding advance</p>
                   </div>
-                  <p className="text-sm font-bold tabular-nums text-amber-600 shrink-0">{fmtFull(stats.advanceBalance)}</p>
+                  <p className="text-sm font-bold tabular-nums text-amber-600 shrink-0">{formatMoney(stats.advanceBalance, stats.currency)}</p>
                 </button>
               )}
               {hasSalary && (
@@ -263,7 +261,7 @@ const PersonalStatsCard = ({ stats, compact }) => {
                   <div className="min-w-0 flex-1">
                     <p className="text-sm font-medium text-surface-700">Salary owed to you</p>
                   </div>
-                  <p className="text-sm font-bold tabular-nums text-red-500 shrink-0">{fmtFull(stats.salaryBalance)}</p>
+                  <p className="text-sm font-bold tabular-nums text-red-500 shrink-0">{formatMoney(stats.salaryBalance, stats.currency)}</p>
                 </button>
               )}
             </div>
@@ -470,6 +468,7 @@ const Dashboard = () => {
   const totalPaidSalary = stats?.totalPaidSalary || 0;
   const profit = totalRevenue + totalCredits - totalExpenses - totalPaidSalary;
   const salaryByMember = stats?.salaryByMember || [];
+  const currency = stats?.currency;
 
   // Entity counts
   const countStats = hasCounts ? [
@@ -531,7 +530,7 @@ const Dashboard = () => {
           <div className="grid grid-cols-2 gap-3">
             <div className="content-card">
               <BigNumber
-                value={fmtFull(profit)}
+                value={formatMoney(profit, currency)}
                 label="Net profit"
                 size="hero"
                 tint={profit < 0 ? 'red' : profit > 0 ? 'green' : 'neutral'}
@@ -540,7 +539,7 @@ const Dashboard = () => {
             </div>
             <button className="content-card text-left w-full cursor-pointer hover:border-surface-200 transition-colors" onClick={() => navigate('/projects?financial=balanceOwed')}>
               <BigNumber
-                value={fmtFull(pendingPayments)}
+                value={formatMoney(pendingPayments, currency)}
                 label="Awaiting payment"
                 tint={pendingPayments > 0 ? 'red' : 'neutral'}
                 colorClass={pendingPayments > 0 ? 'red' : ''}
@@ -550,25 +549,25 @@ const Dashboard = () => {
           <div className="grid grid-cols-2 gap-3">
             <div className="content-card">
               <BigNumber
-                value={fmtFull(totalCredits)}
+                value={formatMoney(totalCredits, currency)}
                 label="Revenue collected"
                 tint="green"
                 colorClass="green"
                 breakdown={[
-                  { value: fmtFull(customerPayments), label: 'Payments' },
-                  { value: fmtFull(otherIncome), label: 'Other' },
+                  { value: formatMoney(customerPayments, currency), label: 'Payments' },
+                  { value: formatMoney(otherIncome, currency), label: 'Other' },
                 ]}
               />
             </div>
             <button className="content-card text-left w-full cursor-pointer hover:border-surface-200 transition-colors" onClick={() => navigate('/expenses')}>
               <BigNumber
-                value={fmtFull(totalExpenses)}
+                value={formatMoney(totalExpenses, currency)}
                 label="Total expenses"
                 tint={totalExpenses > 0 ? 'red' : 'neutral'}
                 colorClass={totalExpenses > 0 ? 'red' : ''}
                 breakdown={[
-                  { value: fmtFull(businessExpenses), label: 'Expenses' },
-                  { value: fmtFull(teamPaymentExpenses), label: 'Team' },
+                  { value: formatMoney(businessExpenses, currency), label: 'Expenses' },
+                  { value: formatMoney(teamPaymentExpenses, currency), label: 'Team' },
                 ]}
               />
             </button>
@@ -585,7 +584,7 @@ const Dashboard = () => {
           <div className="flex flex-wrap items-baseline gap-x-8 gap-y-3 mt-3">
             {salaryByMember.map(m => (
               <button key={m.name} onClick={() => navigate('/salary')} className="dash-salary-row">
-                <p className="dash-salary-row__value">{fmtFull(m.owed)}</p>
+                <p className="dash-salary-row__value">{formatMoney(m.owed, currency)}</p>
                 <p className="dash-salary-row__name">{m.name}</p>
               </button>
             ))}
@@ -679,8 +678,10 @@ const Dashboard = () => {
                   <DocRow
                     key={q.id}
                     number={q.quoteNumber}
+                    displayNumber={q.displayNumber}
                     clientName={q.clientName}
                     total={q.total}
+                    currency={q.currency}
                     onClick={() => navigate(`/quotes/${q.id}`)}
                   />
                 ))}
@@ -698,8 +699,10 @@ const Dashboard = () => {
                   <DocRow
                     key={inv.id}
                     number={inv.invoiceNumber}
+                    displayNumber={inv.displayNumber}
                     clientName={inv.clientName}
                     total={inv.total}
+                    currency={inv.currency}
                     status={inv.status}
                     onClick={() => navigate('/invoices', { state: { invoiceToLoad: inv } })}
                   />
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Eye, EyeOff, Download } from 'lucide-react';
+import { fmtDate } from '@/lib/utils';
+
+const fmtWhen = (ts) => fmtDate(ts, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * How often the client opened a quote or invoice: its public approval/payment
+ * page and the emailed PDF link. `shared` says whether the client has been given
+ * a link yet, so an unopened document reads "Not viewed yet" rather than nothing.
+ */
+const DocumentViewInfo = ({ doc, shared }) => {
+  const views = doc.viewCount || 0;
+  const downloads = doc.pdfDownloadCount || 0;
+
+  if (!views && !downloads) {
+    if (!shared) return null;
+    return (
+      <div className="flex items-center gap-1.5 text-[11px] text-surface-400">
+        <EyeOff className="w-3 h-3 text-surface-500" />
+        <span>Not viewed yet</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-1.5 text-[11px] text-surface-400">
+      {views > 0 && (
+        <span className="flex items-center gap-1.5" title={`First viewed ${fmtWhen(doc.firstViewedAt)}`}>
+          <Eye className="w-3 h-3 text-surface-500" />
+          <span>Viewed {views}×</span>
+          <span className="text-surface-500">·</span>
+          <span>last {fmtWhen(doc.lastViewedAt)}</span>
+        </span>
+      )}
+      {views > 0 && downloads > 0 && <span className="text-surface-500">·</span>}
+      {downloads > 0 && (
+        <span className="flex items-center gap-1.5" title={`Last downloaded ${fmtWhen(doc.lastDownloadedAt)}`}>
+          <Download className="w-3 h-3 text-surface-500" />
+          <span>PDF downloaded {downloads}×</span>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default DocumentViewInfo;
@@ -5,6 +5,9 @@ import PasswordInput from '@/components/ui/PasswordInput';
 import StickySettingsBar from '@/components/ui/StickySettingsBar';
 import { useUpdateSettings, useTestEmail, useVerifySmtp } from '@/hooks/useMutations';
 import { useSettings, useAppData } from '@/hooks/useAppData';
+import ReminderScheduleCard from '@/components/ReminderScheduleCard';
+import QuoteFollowUpCard from '@/components/QuoteFollowUpCard';
+import { reminderStepsFromSettings, quoteFollowUpFromSettings } from '@/lib/reminders';
 
 const DEFAULT_QUOTE_TEMPLATE = 'Hi [client_name],\n\nThank you for your interest in working with us. Please find your quote attached for your review.\n\nIf you have any questions or would like to move forward, don\'t hesitate to reach out — we\'re happy to help.\n\nBest regards,\n[company_name]';
 const DEFAULT_INVOICE_TEMPLATE = 'Hi [client_name],\n\nPlease find your invoice attached. A summary of the charges is included above for your convenience.\n\nIf you have any questions regarding this invoice, feel free to contact us.\n\nThank you for your business,\n[company_name]';
@@ -44,6 +47,13 @@ const EmailManager = () => {
   const [emailAccentColor, setEmailAccentColor] = useState(DEFAULTS_EMAIL.accent);
   const [emailHeaderTextColor, setEmailHeaderTextColor] = useState(DEFAULTS_EMAIL.text);
 
+  // Payment reminders
+  const [remindersEnabled, setRemindersEnabled] = useState(false);
+  const [reminderSteps, setReminderSteps] = useState([]);
+
+  // Quote follow-up
+  const [followUp, setFollowUp] = useState(() => quoteFollowUpFromSettings(null));
+
   useEffect(() => {
     if (fetchedSettings) {
       setSmtpHost(fetchedSettings.smtp_host || '');
@@ -63,6 +73,9 @@ const EmailManager = () => {
       setEmailHeaderBg(fetchedSettings.email_header_bg_color || DEFAULTS_EMAIL.bg);
       setEmailAccentColor(fetchedSettings.email_accent_color || DEFAULTS_EMAIL.accent);
       setEmailHeaderTextColor(fetchedSettings.email_header_text_color || DEFAULTS_EMAIL.text);
+      setRemindersEnabled(fetchedSettings.invoice_reminders_enabled === 'true');
+      setReminderSteps(reminderStepsFromSettings(fetchedSettings));
+      setFollowUp(quoteFollowUpFromSettings(fetchedSettings));
     }
   }, [fetchedSettings]);
 
@@ -85,10 +98,18 @@ const EmailManager = () => {
       verificationBody !== (f.verification_email_body || 'Thanks for signing up with [company_name]! Please click the button below to verify your email address and activate your account.') ||
       emailHeaderBg !== (f.email_header_bg_color || DEFAULTS_EMAIL.bg) ||
       emailAccentColor !== (f.email_accent_color || DEFAULTS_EMAIL.accent) ||
-      emailHeaderTextColor !== (f.email_header_text_color || DEFAULTS_EMAIL.text);
-  }, [smtpHost, smtpPort, smtpUser, smtpPass, smtpFrom, smtpFromName, smtpEncryption, smtpEnabled, quoteTemplate, invoiceTemplate, quoteSubject, invoiceSubject, verificationSubject, verificationBody, emailHeaderBg, emailAccentColor, emailHeaderTextColor, fetchedSettings]);
+      emailHeaderTextColor !== (f.email_header_text_color || DEFAULTS_EMAIL.text) ||
+      remindersEnabled !== (f.invoice_reminders_enabled === 'true') ||
+      JSON.stringify(reminderSteps) !== JSON.stringify(reminderStepsFromSettings(f)) ||
+      JSON.stringify(followUp) !== JSON.stringify(quoteFollowUpFromSettings(f));
+  }, [smtpHost, smtpPort, smtpUser, smtpPass, smtpFrom, smtpFromName, smtpEncryption, smtpEnabled, quoteTemplate, invoiceTemplate, quoteSubject, invoiceSubject, verificationSubject, verificationBody, emailHeaderBg, emailAccentColor, emailHeaderTextColor, remindersEnabled, reminderSteps, followUp, fetchedSettings]);
 
   const handleSave = () => {
+    const stepDays = reminderSteps.map(s => s.days);
+    if (new Set(stepDays).size !== stepDays.length) {
+      toast({ title: "Two reminder steps send on the same day", variant: "destructive" });
+      return;
+    }
     updateSettings.mutate([
       { key: 'smtp_host', value: smtpHost },
       { key: 'smtp_port', value: smtpPort },
@@ -107,6 +128,12 @@ const EmailManager = () => {
       { key: 'email_header_bg_color', value: emailHeaderBg },
       { key: 'email_accent_color', value: emailAccentColor },
       { key: 'email_header_text_color', value: emailHeaderTextColor },
+      { key: 'invoice_reminders_enabled', value: String(remindersEnabled) },
+      { key: 'invoice_reminder_steps', value: JSON.stringify([...reminderSteps].sort((a, b) => a.days - b.days)) },
+      { key: 'quote_follow_up_enabled', value: String(followUp.enabled) },
+      { key: 'quote_follow_up_days', value: String(followUp.days) },
+      { key: 'quote_follow_up_subject', value: followUp.subject },
+      { key: 'quote_follow_up_body', value: followUp.body },
     ], {
       onSuccess: () => toast({ title: "Email settings saved successfully!" }),
     });
@@ -290,7 +317,7 @@ const EmailManager = () => {
           Customize the personal message included in your quote and invoice emails. The email template automatically includes your logo, a document summary with totals, and the attached PDF — this is just the message your client reads.
         </p>
         <div className="flex flex-wrap gap-1.5 pt-1">
-          {['[company_name]', '[client_name]', '[quote_number]', '[invoice_number]', '[total]', '[subtotal]', '[tax]', '[discount_amount]', '[status]'].map(p => (
+          {['[company_name]', '[client_name]', '[quote_number]', '[invoice_number]', '[total]', '[subtotal]', '[tax]', '[discount_amount]', '[status]', '[late_fees]'].map(p => (
             <code key={p} className="bg-surface-100 text-surface-600 px-1.5 py-0.5 rounded text-xs">{p}</code>
           ))}
         </div>
@@ -386,6 +413,15 @@ const EmailManager = () => {
         </div>
       </div>
 
+      <ReminderScheduleCard
+        enabled={remindersEnabled}
+        onEnabledChange={setRemindersEnabled}
+        steps={reminderSteps}
+        onStepsChange={setReminderSteps}
+      />
+
+      <QuoteFollowUpCard value={followUp} onChange={setFollowUp} />
+
       <div className="pb-16" />
       <StickySettingsBar isDirty={isDirty} onSave={handleSave} isPending={updateSettings.isPending} />
     </div>
@@ -1,10 +1,12 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { Repeat, Loader2, Users, ArrowDownLeft, Plus } from 'lucide-react';
+import { Repeat, Loader2, Users, ArrowDownLeft, Plus, Camera } from 'lucide-react';
 import { cn, toDateInput } from '@/lib/utils';
 import { COLOR_PALETTE } from '@/lib/projectTypes';
 import { queryKeys } from '@/lib/queryKeys';
 import api from '@/lib/apiClient';
+import { useUploadExpenseReceipt, useDeleteExpenseReceipt } from '@/hooks/useMutations';
+import { ReceiptsField } from '@/components/ExpenseReceipts';
 import {
   Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter,
 } from '@/components/ui/dialog';
@@ -134,6 +136,7 @@ const ExpenseFormDialog = ({
     type: 'expense',
     expenseDate: toDateInput(new Date()),
     categoryId: '',
+    vendorId: '',
     projectId: '',
     notes: '',
     isRecurring: false,
@@ -148,6 +151,19 @@ const ExpenseFormDialog = ({
   });
   const projects = projectsData?.data || [];
 
+  const { data: vendorsData } = useQuery({
+    queryKey: queryKeys.vendors.list(),
+    queryFn: () => api.get('/vendors'),
+    enabled: open && !isTeamPaymentLinked,
+  });
+  const vendors = vendorsData?.data || [];
+
+  // Receipts on an existing expense upload straight away; on a new one they wait for the save
+  const [receipts, setReceipts] = useState([]);
+  const [pendingReceipts, setPendingReceipts] = useState([]);
+  const uploadReceipt = useUploadExpenseReceipt();
+  const deleteReceipt = useDeleteExpenseReceipt();
+
   const isEditingRecurring = !!recurringExpense;
 
   React.useEffect(() => {
@@ -159,6 +175,7 @@ const ExpenseFormDialog = ({
           type: 'expense',
           expenseDate: recurringExpense.startDate ? toDateInput(recurringExpense.startDate) : toDateInput(new Date()),
           categoryId: recurringExpense.categoryId || '',
+          vendorId: '',
           projectId: recurringExpense.projectId || '',
           notes: recurringExpense.notes || '',
           isRecurring: true,
@@ -172,6 +189,7 @@ const ExpenseFormDialog = ({
           type: expense.type || 'expense',
           expenseDate: expense.expenseDate ? toDateInput(expense.expenseDate) : toDateInput(new Date()),
           categoryId: expense.categoryId || '',
+          vendorId: expense.vendorId || '',
           projectId: fixedProjectId || expense.projectId || '',
           notes: expense.notes || '',
           isRecurring: false,
@@ -185,6 +203,7 @@ const ExpenseFormDialog = ({
           type: 'expense',
           expenseDate: defaultDate ? toDateInput(defaultDate) : toDateInput(new Date()),
           categoryId: '',
+          vendorId: '',
           projectId: fixedProjectId || '',
           notes: '',
           isRecurring: false,
@@ -195,6 +214,29 @@ const ExpenseFormDialog = ({
     }
   }, [expense, recurringExpense, open, fixedProjectId, defaultDate]);
 
+  React.useEffect(() => {
+    if (open) {
+      setReceipts(expense?.receipts || []);
+      setPendingReceipts([]);
+    }
+  }, [expense, open]);
+
+  const handleAddReceipts = async (files) => {
+    if (!expense) {
+      setPendingReceipts(prev => [...prev, ...files]);
+      return;
+    }
+    for (const file of files) {
+      const receipt = await uploadReceipt.mutateAsync({ expenseId: expense.id, file }).catch(() => null);
+      if (receipt) setReceipts(prev => [...prev, receipt]);
+    }
+  };
+
+  const handleRemoveReceipt = async (receipt) => {
+    await deleteReceipt.mutateAsync(receipt.id);
+    setReceipts(prev => prev.filter(r => r.id !== receipt.id));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (isTeamPaymentLinked) {
@@ -228,7 +270,9 @@ const ExpenseFormDialog = ({
     } else {
       onSave({
         ...base,
+        vendorId: form.vendorId || null,
         expenseDate: form.expenseDate,
+        ...(!expense && { receiptFiles: pendingReceipts }),
       });
     }
   };
@@ -253,6 +297,8 @@ const ExpenseFormDialog = ({
   const showOptions = !isTeamPaymentLinked && !isEditingRecurring;
   // Whether to show the recurring toggle specifically (not when editing existing, not credit)
   const showRecurringOption = showOptions && !expense && !isCredit;
+  // Receipts and vendors belong to individual expenses, not subscription templates
+  const showExpenseOnlyFields = !isEditingRecurring && !form.isRecurring;
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -270,6 +316,14 @@ const ExpenseFormDialog = ({
             </div>
           )}
 
+          {/* Quick-captured receipt still waiting for its details */}
+          {expense?.needsDetails && (
+            <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-700">
+              <Camera className="w-3.5 h-3.5 shrink-0" />
+              <span>Captured receipt &mdash; add the amount, vendor and category</span>
+            </div>
+          )}
+
           {/* ── Main Fields ── */}
 
           {/* Description — first and prominent */}
@@ -319,6 +373,24 @@ const ExpenseFormDialog = ({
             </div>
           )}
 
+          {/* Vendor — individual expenses only */}
+          {!isTeamPaymentLinked && showExpenseOnlyFields && (
+            <div>
+              <label className="text-xs font-medium text-surface-600 mb-1 block">Vendor</label>
+              <TypeaheadInput
+                items={vendors}
+                value={form.vendorId}
+                onChange={id => setForm({ ...form, vendorId: id })}
+                placeholder="Type to search..."
+                queryKeyToInvalidate={queryKeys.vendors.all}
+                onCreateItem={async (name) => {
+                  const res = await api.post('/vendors', { name, sortOrder: vendors.length });
+                  return res.data;
+                }}
+              />
+            </div>
+          )}
+
           {/* Project — hidden when fixedProjectId is set */}
           {!fixedProjectId && !isTeamPaymentLinked && (
             <div>
@@ -336,6 +408,18 @@ const ExpenseFormDialog = ({
             <textarea value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} className="glass-input w-full resize-none" rows={2} placeholder="Optional notes..." />
           </div>
 
+          {/* Receipts */}
+          {showExpenseOnlyFields && (
+            <ReceiptsField
+              receipts={receipts}
+              pendingFiles={pendingReceipts}
+              onAdd={handleAddReceipts}
+              onRemove={handleRemoveReceipt}
+              onRemovePending={i => setPendingReceipts(prev => prev.filter((_, idx) => idx !== i))}
+              uploading={uploadReceipt.isPending}
+            />
+          )}
+
           {/* ── Options Section — compact toggles grouped together ── */}
           {(showOptions || isEditingRecurring) && (
             <div className="border-t border-surface-100 pt-3 space-y-2.5">
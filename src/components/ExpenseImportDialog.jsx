@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Loader2, AlertTriangle, Copy, ArrowDownLeft } from 'lucide-react';
+import { cn, fmtDate } from '@/lib/utils';
+import { queryKeys } from '@/lib/queryKeys';
+import api from '@/lib/apiClient';
+import { useImportExpenses } from '@/hooks/useMutations';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter,
+} from '@/components/ui/dialog';
+
+const FIELD_LABELS = [
+  ['date', 'Date *'],
+  ['description', 'Description *'],
+  ['amount', 'Amount'],
+  ['debit', 'Debit / Charge'],
+  ['credit', 'Credit / Refund'],
+  ['vendor', 'Vendor'],
+  ['category', 'Category'],
+  ['notes', 'Notes'],
+];
+
+function formatCurrency(n) {
+  return '$' + (n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Rows worth importing by default: readable, not already on file, and actual charges
+const isDefaultSelected = (row) => !row.error && !row.duplicate && row.type === 'expense';
+
+const ExpenseImportDialog = ({ file, open, onOpenChange }) => {
+  const importExpenses = useImportExpenses();
+  const [content, setContent] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [chargesNegative, setChargesNegative] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!open || !file) return;
+    setMapping({});
+    setChargesNegative(null);
+    setContent('');
+    file.text().then(setContent);
+  }, [file, open]);
+
+  const options = { mapping, chargesNegative };
+  const { data: preview, isFetching, error } = useQuery({
+    queryKey: queryKeys.expenseImport.preview(`${file?.name}:${file?.lastModified}`, options),
+    queryFn: () => api.post('/expenses/import/preview', { content, ...options }).then(r => r.data),
+    enabled: open && !!content,
+    retry: false,
+    placeholderData: prev => prev,
+  });
+
+  const rows = preview?.rows || [];
+  useEffect(() => {
+    setSelected(new Set(rows.filter(isDefaultSelected).map(r => r.line)));
+  }, [preview]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const selectedRows = useMemo(() => rows.filter(r => selected.has(r.line)), [rows, selected]);
+  const duplicateCount = rows.filter(r => r.duplicate).length;
+  const errorCount = rows.filter(r => r.error).length;
+  const total = selectedRows.reduce((sum, r) => sum + (r.type === 'credit' ? -r.amount : r.amount), 0);
+  const usesAmountColumn = preview && preview.mapping.amount !== -1 && preview.mapping.debit === -1;
+
+  const toggle = (line) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(line)) next.delete(line); else next.add(line);
+    return next;
+  });
+
+  const handleImport = () => {
+    importExpenses.mutate(
+      selectedRows.map(r => ({
+        expenseDate: r.expenseDate,
+        description: r.description,
+        amount: r.amount,
+        type: r.type,
+        vendorId: r.vendorId,
+        vendorName: r.vendorName,
+        categoryId: r.categoryId,
+        notes: r.notes,
+      })),
+      { onSuccess: () => onOpenChange(false) },
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent onOpenAutoFocus={e => e.preventDefault()} className="glass-card fixed inset-0 translate-x-0 translate-y-0 top-0 left-0 max-h-full w-full rounded-none sm:inset-auto sm:left-[50%] sm:top-[50%] sm:translate-x-[-50%] sm:translate-y-[-50%] sm:max-w-3xl sm:max-h-[90vh] sm:rounded-lg flex flex-col overflow-hidden">
+        <DialogHeader className="border-b border-surface-100 shadow-[0_1px_3px_rgba(0,0,0,0.04)] pb-4 flex-shrink-0">
+          <DialogTitle>Import Expenses</DialogTitle>
+          {file && <p className="text-xs text-surface-400 truncate">{file.name}</p>}
+        </DialogHeader>
+
+        <div className="flex-1 overflow-y-auto px-1 py-4 space-y-4">
+          {/* Column mapping */}
+          {preview && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {FIELD_LABELS.map(([field, label]) => (
+                <div key={field}>
+                  <label className="text-xs font-medium text-surface-600 mb-1 block">{label}</label>
+                  <select
+                    value={preview.mapping[field]}
+                    onChange={e => setMapping(m => ({ ...m, [field]: parseInt(e.target.value) }))}
+                    className="glass-input w-full text-sm"
+                  >
+                    <option value={-1}>— None —</option>
+                    {preview.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {usesAmountColumn && (
+            <div className="flex items-center gap-2 text-xs text-surface-600">
+              <span>Charges appear as</span>
+              <select
+                value={preview.chargesNegative ? 'negative' : 'positive'}
+                onChange={e => setChargesNegative(e.target.value === 'negative')}
+                className="glass-input text-xs !py-1"
+              >
+                <option value="positive">positive amounts</option>
+                <option value="negative">negative amounts</option>
+              </select>
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-xs text-red-600">
+              <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+              <span>{error.message}</span>
+            </div>
+          )}
+
+          {/* Preview */}
+          {!preview && !error ? (
+            <div className="flex items-center justify-center py-16">
+              <Loader2 className="w-6 h-6 animate-spin text-surface-300" />
+            </div>
+          ) : rows.length > 0 && (
+            <div className={cn('border border-surface-100 rounded-lg divide-y divide-surface-100/80', isFetching && 'opacity-60')}>
+              {rows.map(row => (
+                <label
+                  key={row.line}
+                  className={cn('flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-surface-50', row.error && 'cursor-not-allowed opacity-60')}
+                >
+                  <input type="checkbox" checked={selected.has(row.line)} disabled={!!row.error} onChange={() => toggle(row.line)} className="shrink-0" />
+                  <span className="w-14 shrink-0 text-xs text-surface-500 tabular-nums">
+                    {row.expenseDate ? fmtDate(row.expenseDate + 'T12:00:00', { month: 'short', day: 'numeric' }) : '—'}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-surface-800 truncate">{row.description || <span className="text-surface-400">Line {row.line}</span>}</p>
+                    <p className="text-xs text-surface-400 truncate">
+                      {[row.vendorName && `${row.vendorName}${row.vendorId ? '' : ' (new)'}`, row.categoryName || (row.type === 'expense' && 'Uncategorized')].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  {row.error ? (
+                    <span className="text-[10px] font-medium px-1.5 py-0.5 rounded bg-red-50 text-red-600 border border-red-200 shrink-0">{row.error}</span>
+                  ) : row.duplicate ? (
+                    <span className="inline-flex items-center gap-1 text-[10px] font-medium px-1.5 py-0.5 rounded bg-amber-50 text-amber-700 border border-amber-200 shrink-0">
+                      <Copy className="w-2.5 h-2.5" /> Already imported
+                    </span>
+                  ) : row.type === 'credit' ? (
+                    <span className="inline-flex items-center gap-1 text-[10px] font-medium px-1.5 py-0.5 rounded bg-emerald-50 text-emerald-700 border border-emerald-200 shrink-0">
+                      <ArrowDownLeft className="w-2.5 h-2.5" /> Credit
+                    </span>
+                  ) : null}
+                  <span className={cn('w-20 text-right tabular-nums shrink-0', row.type === 'credit' ? 'text-emerald-600' : 'text-surface-800')}>
+                    {row.type === 'credit' ? '+' : ''}{formatCurrency(row.amount)}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="pt-4 flex-shrink-0 gap-3 border-t border-surface-100 shadow-[0_-1px_3px_rgba(0,0,0,0.04)] sm:items-center">
+          <p className="text-xs text-surface-400 sm:mr-auto">
+            {selectedRows.length} of {rows.length} selected · {formatCurrency(total)}
+            {duplicateCount > 0 && ` · ${duplicateCount} already imported`}
+            {errorCount > 0 && ` · ${errorCount} unreadable`}
+          </p>
+          <button type="button" onClick={() => onOpenChange(false)} className="action-btn action-btn--secondary flex-1 sm:flex-none">Cancel</button>
+          <button type="button" onClick={handleImport} disabled={importExpenses.isPending || selectedRows.length === 0} className="action-btn flex-1 sm:flex-none">
+            {importExpenses.isPending ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : null}
+            Import {selectedRows.length}
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ExpenseImportDialog;
@@ -0,0 +1,86 @@
+import React, { useRef } from 'react';
+import { FileText, Paperclip, Loader2, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+export const RECEIPT_ACCEPT = 'image/*,.pdf,application/pdf';
+
+export const receiptUrl = (id) => `/api/expenses/receipts/${id}/file`;
+
+// HEIC photos upload fine but most browsers can't render them inline
+const isPreviewable = (mime) => /^image\/(jpeg|png|gif|webp)$/.test(mime || '');
+
+// Small receipt preview — image thumbnail or a file icon; opens the full file
+export const ReceiptThumb = ({ receipt, className, onRemove }) => (
+  <div className={cn('relative group shrink-0', className || 'w-9 h-9')}>
+    <a
+      href={receiptUrl(receipt.id)}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={e => e.stopPropagation()}
+      title={receipt.originalName}
+      className="block w-full h-full rounded-md overflow-hidden bg-surface-100 border border-surface-200 hover:border-surface-300 transition-colors"
+    >
+      {isPreviewable(receipt.mimeType) ? (
+        <img src={receiptUrl(receipt.id)} alt="" loading="lazy" className="w-full h-full object-cover" />
+      ) : (
+        <span className="w-full h-full flex items-center justify-center text-surface-400">
+          <FileText className="w-4 h-4" />
+        </span>
+      )}
+    </a>
+    {onRemove && (
+      <button
+        type="button"
+        onClick={() => onRemove(receipt)}
+        className="absolute -top-1.5 -right-1.5 w-4 h-4 rounded-full bg-surface-700 text-white flex items-center justify-center opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+        title="Remove receipt"
+      >
+        <X className="w-2.5 h-2.5" />
+      </button>
+    )}
+  </div>
+);
+
+// Receipt picker for the expense form — saved receipts plus files queued for upload
+export const ReceiptsField = ({ receipts, pendingFiles = [], onAdd, onRemove, onRemovePending, uploading }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <div>
+      <label className="text-xs font-medium text-surface-600 mb-1 block">Receipts</label>
+      <div className="flex flex-wrap items-center gap-2">
+        {receipts.map(r => <ReceiptThumb key={r.id} receipt={r} className="w-12 h-12" onRemove={onRemove} />)}
+        {pendingFiles.map((file, i) => (
+          <span key={i} className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-surface-100 text-xs text-surface-600 max-w-[10rem]">
+            <Paperclip className="w-3 h-3 shrink-0" />
+            <span className="truncate">{file.name}</span>
+            <button type="button" onClick={() => onRemovePending(i)} className="text-surface-400 hover:text-surface-600">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={uploading}
+          className="h-12 px-3 rounded-md border border-dashed border-surface-300 text-xs text-surface-500 hover:text-surface-700 hover:border-surface-400 transition-colors flex items-center gap-1.5"
+        >
+          {uploading ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Paperclip className="w-3.5 h-3.5" />}
+          Attach
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          className="hidden"
+          accept={RECEIPT_ACCEPT}
+          multiple
+          onChange={e => {
+            if (e.target.files?.length) onAdd(Array.from(e.target.files));
+            e.target.value = '';
+          }}
+        />
+      </div>
+      <p className="text-[10px] text-surface-400 mt-1">PDF, JPG, PNG, HEIC — up to 10 MB</p>
+    </div>
+  );
+};
@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { AnimatePresence, motion } from 'framer-motion';
+import { Wand2, Plus, X, ChevronUp, Loader2 } from 'lucide-react';
+import { toast } from '@/components/ui/use-toast';
+import { queryKeys } from '@/lib/queryKeys';
+import { useRerunExpenseRules } from '@/hooks/useMutations';
+import StickySettingsBar from '@/components/ui/StickySettingsBar';
+import api from '@/lib/apiClient';
+
+const ExpenseRulesManager = () => {
+  const queryClient = useQueryClient();
+  const rerunRules = useRerunExpenseRules();
+  const { data: fetchedData } = useQuery({
+    queryKey: queryKeys.expenseRules.list(),
+    queryFn: () => api.get('/expense-rules'),
+  });
+  const { data: categoriesData } = useQuery({
+    queryKey: queryKeys.expenseCategories.list(),
+    queryFn: () => api.get('/expense-categories'),
+  });
+  const { data: vendorsData } = useQuery({
+    queryKey: queryKeys.vendors.list(),
+    queryFn: () => api.get('/vendors'),
+  });
+  const categories = categoriesData?.data || [];
+  const vendors = vendorsData?.data || [];
+
+  const [rules, setRules] = useState([]);
+  const [savedJson, setSavedJson] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetched = fetchedData?.data || [];
+    const normalized = fetched.map(r => ({
+      id: r.id || null,
+      pattern: r.pattern || '',
+      categoryId: r.categoryId || '',
+      vendorId: r.vendorId || '',
+      sortOrder: r.sortOrder ?? 0,
+    }));
+    setRules(normalized);
+    setSavedJson(JSON.stringify(normalized));
+  }, [fetchedData]);
+
+  const isDirty = useMemo(() => JSON.stringify(rules) !== savedJson, [rules, savedJson]);
+
+  const addRule = () => {
+    setRules(prev => [...prev, { id: null, pattern: '', categoryId: '', vendorId: '', sortOrder: prev.length }]);
+  };
+
+  const updateRule = useCallback((index, field, val) => {
+    setRules(prev => prev.map((r, i) => i === index ? { ...r, [field]: val } : r));
+  }, []);
+
+  const removeRule = useCallback((index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // Earlier rules win, so moving up raises a rule's priority
+  const moveUp = useCallback((index) => {
+    if (index === 0) return;
+    setRules(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  }, []);
+
+  const handleSave = async () => {
+    const valid = rules.filter(r => r.pattern.trim() && (r.categoryId || r.vendorId));
+
+    setSaving(true);
+    try {
+      const savedRules = JSON.parse(savedJson);
+      const savedById = {};
+      for (const r of savedRules) {
+        if (r.id) savedById[r.id] = r;
+      }
+
+      const currentIds = new Set(valid.filter(r => r.id).map(r => r.id));
+
+      // Delete removed rules
+      for (const r of savedRules) {
+        if (r.id && !currentIds.has(r.id)) {
+          await api.delete(`/expense-rules/${r.id}`);
+        }
+      }
+
+      // Create or update
+      for (let i = 0; i < valid.length; i++) {
+        const r = valid[i];
+        const body = { pattern: r.pattern, categoryId: r.categoryId || null, vendorId: r.vendorId || null, sortOrder: i };
+        if (!r.id) {
+          await api.post('/expense-rules', body);
+        } else {
+          const saved = savedById[r.id];
+          if (saved && (saved.pattern !== r.pattern || saved.categoryId !== r.categoryId || saved.vendorId !== r.vendorId || saved.sortOrder !== i)) {
+            await api.put(`/expense-rules/${r.id}`, body);
+          }
+        }
+      }
+
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenseRules.all });
+      toast({ title: "Expense rules saved!" });
+    } catch {
+      // apiClient handles error toast
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-5">
+      <div className="glass-card p-6">
+        <div className="flex items-start justify-between gap-3 mb-6">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 bg-surface-100 rounded-xl flex items-center justify-center">
+              <Wand2 className="w-[18px] h-[18px] text-surface-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-surface-800">Expense Rules</h3>
+              <p className="text-sm text-surface-400">Categorize expenses automatically by their description. The first matching rule wins.</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => rerunRules.mutate()}
+            disabled={rerunRules.isPending || isDirty || rules.length === 0}
+            className="action-btn action-btn--secondary text-xs !px-3 !py-1.5 shrink-0"
+            title={isDirty ? 'Save your changes first' : 'Apply the rules to uncategorized expenses'}
+          >
+            {rerunRules.isPending ? <Loader2 className="w-3.5 h-3.5 animate-spin mr-1" /> : <Wand2 className="w-3.5 h-3.5 mr-1" />}
+            Re-run on uncategorized
+          </button>
+        </div>
+
+        {/* Column headers */}
+        <div className="grid grid-cols-[1fr_1fr_1fr_64px] gap-x-3 px-1 mb-2">
+          <span className="text-[10px] font-semibold text-surface-400 uppercase tracking-wider">Description contains</span>
+          <span className="text-[10px] font-semibold text-surface-400 uppercase tracking-wider">Category</span>
+          <span className="text-[10px] font-semibold text-surface-400 uppercase tracking-wider">Vendor</span>
+          <span />
+        </div>
+
+        {/* Rule rows */}
+        <div className="space-y-2">
+          <AnimatePresence mode="popLayout">
+            {rules.map((r, i) => (
+              <motion.div
+                key={r.id || `new-${i}`}
+                layout
+                initial={{ opacity: 0, y: -4 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -4 }}
+                transition={{ duration: 0.15 }}
+                className="grid grid-cols-[1fr_1fr_1fr_64px] gap-x-3 items-center"
+              >
+                <input
+                  type="text"
+                  value={r.pattern}
+                  onChange={(e) => updateRule(i, 'pattern', e.target.value)}
+                  className="glass-input w-full text-sm"
+                  placeholder="e.g. ADOBE"
+                />
+
+                <select value={r.categoryId} onChange={(e) => updateRule(i, 'categoryId', e.target.value)} className="glass-input w-full text-sm">
+                  <option value="">Keep category</option>
+                  {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+
+                <select value={r.vendorId} onChange={(e) => updateRule(i, 'vendorId', e.target.value)} className="glass-input w-full text-sm">
+                  <option value="">No vendor</option>
+                  {vendors.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                </select>
+
+                <div className="flex items-center">
+                  <button
+                    type="button"
+                    onClick={() => moveUp(i)}
+                    disabled={i === 0}
+                    className="w-8 h-8 flex items-center justify-center rounded-lg text-surface-300 hover:text-surface-600 hover:bg-surface-50 disabled:opacity-30 disabled:hover:bg-transparent transition-colors"
+                    title="Move up"
+                  >
+                    <ChevronUp className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeRule(i)}
+                    className="w-8 h-8 flex items-center justify-center rounded-lg text-surface-300 hover:text-red-500 hover:bg-red-50 transition-colors"
+                    title="Remove rule"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+
+          {rules.length === 0 && (
+            <div className="py-8 text-center">
+              <p className="text-sm text-surface-400">No expense rules defined</p>
+              <p className="text-xs text-surface-300 mt-1">Add a rule to categorize new, imported and recurring expenses</p>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 pt-4 border-t border-surface-100">
+          <button
+            type="button"
+            onClick={addRule}
+            className="flex items-center gap-1.5 text-sm font-medium text-accent hover:text-accent/80 transition-colors"
+          >
+            <Plus className="w-4 h-4" /> Add Rule
+          </button>
+        </div>
+      </div>
+
+      <StickySettingsBar isDirty={isDirty} onSave={handleSave} isPending={saving} />
+    </motion.div>
+  );
+};
+
+export default ExpenseRulesManager;
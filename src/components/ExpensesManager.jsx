@@ -5,14 +5,14 @@ import { motion, useMotionValue, useTransform, animate, AnimatePresence } from '
 import {
   Wallet, Plus, Search, X, Loader2, Edit2, Trash2, ChevronRight,
   TrendingDown, Calendar as CalendarIcon, DollarSign, FolderKanban,
-  Repeat, Pause, Play, Users, ArrowUpDown,
+  Repeat, Pause, Play, Users, ArrowUpDown, Camera, Store, Upload,
 } from 'lucide-react';
 import { cn, fmtDate } from '@/lib/utils';
 import { useAppData } from '@/hooks/useAppData';
 import { toast } from '@/components/ui/use-toast';
 import { queryKeys } from '@/lib/queryKeys';
 import {
-  useCreateExpense, useUpdateExpense, useDeleteExpense,
+  useCreateExpense, useUpdateExpense, useDeleteExpense, useCaptureReceipt,
   useCreateRecurringExpense, useUpdateRecurringExpense, useToggleRecurringExpense, useDeleteRecurringExpense,
 } from '@/hooks/useMutations';
 import { COLOR_PALETTE } from '@/lib/projectTypes';
@@ -23,6 +23,8 @@ import {
 } from '@/components/ui/alert-dialog';
 import { useDebounce } from '@/hooks/useDebounce';
 import ExpenseFormDialog from '@/components/ExpenseFormDialog';
+import ExpenseImportDialog from '@/components/ExpenseImportDialog';
+import { ReceiptThumb } from '@/components/ExpenseReceipts';
 
 const PAGE_SIZE = 50;
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -177,10 +179,21 @@ const ExpenseRow = React.memo(({ expense, onEdit, onDelete }) => {
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-2">
             <span className="text-sm font-medium text-surface-800 dark:text-surface-900 truncate">{expense.description}</span>
+            {expense.needsDetails && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-medium px-1.5 py-0.5 rounded bg-amber-50 dark:bg-amber-950/40 text-amber-700 dark:text-amber-300 border border-amber-200 dark:border-amber-800/50 shrink-0">
+                <Camera className="w-2.5 h-2.5" /> Needs details
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-2 mt-1 min-w-0">
             <span className="text-xs text-surface-500 dark:text-surface-500 tabular-nums shrink-0">{dateStr}</span>
             {tag}
+            {expense.vendorName && (
+              <span className="flex items-center gap-1 text-xs text-surface-400 dark:text-surface-500 truncate">
+                <Store className="w-3 h-3 shrink-0" />
+                <span className="truncate">{expense.vendorName}</span>
+              </span>
+            )}
             {expense.projectTitle && (
               <span className="flex items-center gap-1 text-xs text-surface-400 dark:text-surface-500 truncate">
                 <FolderKanban className="w-3 h-3 shrink-0" />
@@ -190,6 +203,18 @@ const ExpenseRow = React.memo(({ expense, onEdit, onDelete }) => {
           </div>
         </div>
 
+        {/* Receipt thumbnail — first receipt, with a count when there are more */}
+        {expense.receipts?.length > 0 && (
+          <div className="relative shrink-0">
+            <ReceiptThumb receipt={expense.receipts[0]} />
+            {expense.receipts.length > 1 && (
+              <span className="absolute -bottom-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-surface-700 text-white text-[9px] font-semibold flex items-center justify-center">
+                {expense.receipts.length}
+              </span>
+            )}
+          </div>
+        )}
+
         {/* Desktop hover actions */}
         <div className="hidden md:flex items-center gap-1 shrink-0 opacity-0 group-hover:opacity-100 transition-opacity" onClick={e => e.stopPropagation()}>
           <button onClick={() => onEdit(expense)} className="icon-button !p-1.5">
@@ -348,6 +373,7 @@ const ExpensesManager = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const debouncedSearch = useDebounce(searchTerm, 300);
   const [filterCategoryId, setFilterCategoryId] = useState('');
+  const [receiptFilter, setReceiptFilter] = useState('');
   const [sortBy, setSortBy] = useState('createdAt-desc');
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
@@ -359,6 +385,9 @@ const ExpensesManager = () => {
   const createExpense = useCreateExpense();
   const updateExpense = useUpdateExpense();
   const deleteExpense = useDeleteExpense();
+  const captureReceipt = useCaptureReceipt();
+  const captureInputRef = useRef(null);
+  const [importFile, setImportFile] = useState(null);
   const createRecurringExpense = useCreateRecurringExpense();
   const updateRecurringExpense = useUpdateRecurringExpense();
   const toggleRecurringExpense = useToggleRecurringExpense();
@@ -417,7 +446,7 @@ const ExpensesManager = () => {
     hasNextPage,
     fetchNextPage,
   } = useInfiniteQuery({
-    queryKey: queryKeys.expenses.list({ search: debouncedSearch, categoryId: filterCategoryId, sortBy, source: sourceFilter }),
+    queryKey: queryKeys.expenses.list({ search: debouncedSearch, categoryId: filterCategoryId, sortBy, source: sourceFilter, receipt: receiptFilter }),
     queryFn: async ({ pageParam = 0 }) => {
       const [orderBy, dir] = sortBy.split('-');
       return api.get('/expenses', {
@@ -426,6 +455,7 @@ const ExpensesManager = () => {
         pageSize: PAGE_SIZE,
         categoryId: filterCategoryId || undefined,
         source: sourceFilter || undefined,
+        receipt: receiptFilter || undefined,
         orderBy,
         asc: dir === 'asc' ? 'true' : 'false',
       });
@@ -526,9 +556,41 @@ const ExpensesManager = () => {
           </div>
         </div>
         {canManage && (
-          <button onClick={() => { setEditingExpense(null); setEditingRecurringExpense(null); setIsFormOpen(true); }} className="action-btn">
-            <Plus className="w-4 h-4 mr-2" /> Add
-          </button>
+          <div className="flex items-center gap-2">
+            {/* Quick capture — snap the receipt now, fill in amount/vendor/category later */}
+            <button onClick={() => captureInputRef.current?.click()} disabled={captureReceipt.isPending} className="action-btn action-btn--secondary" title="Capture a receipt">
+              {captureReceipt.isPending ? <Loader2 className="w-4 h-4 animate-spin sm:mr-2" /> : <Camera className="w-4 h-4 sm:mr-2" />}
+              <span className="hidden sm:inline">Capture</span>
+            </button>
+            <input
+              ref={captureInputRef}
+              type="file"
+              className="hidden"
+              accept="image/*,application/pdf"
+              capture="environment"
+              onChange={e => {
+                const file = e.target.files?.[0];
+                if (file) captureReceipt.mutate(file);
+                e.target.value = '';
+              }}
+            />
+            <label htmlFor="expense-import" className="action-btn action-btn--secondary cursor-pointer" title="Import a card or bank CSV">
+              <Upload className="w-4 h-4 sm:mr-2" /> <span className="hidden sm:inline">Import</span>
+            </label>
+            <input
+              id="expense-import"
+              type="file"
+              className="hidden"
+              accept=".csv,text/csv"
+              onChange={e => {
+                if (e.target.files?.[0]) setImportFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+            <button onClick={() => { setEditingExpense(null); setEditingRecurringExpense(null); setIsFormOpen(true); }} className="action-btn">
+              <Plus className="w-4 h-4 mr-2" /> Add
+            </button>
+          </div>
         )}
       </div>
 
@@ -670,6 +732,16 @@ const ExpensesManager = () => {
             <option value="">All Categories</option>
             {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
           </select>
+          <select
+            value={receiptFilter}
+            onChange={e => setReceiptFilter(e.target.value)}
+            className="glass-input text-sm flex-1 sm:flex-none sm:w-auto"
+          >
+            <option value="">All Receipts</option>
+            <option value="missing">Missing Receipt</option>
+            <option value="attached">Has Receipt</option>
+            <option value="needs_details">Needs Details</option>
+          </select>
           <select
             value={sortBy}
             onChange={e => setSortBy(e.target.value)}
@@ -733,6 +805,13 @@ const ExpensesManager = () => {
         </>
       )}
 
+      {/* CSV Import */}
+      <ExpenseImportDialog
+        file={importFile}
+        open={!!importFile}
+        onOpenChange={(open) => { if (!open) setImportFile(null); }}
+      />
+
       {/* Form Dialog */}
       <ExpenseFormDialog
         expense={editingExpense}
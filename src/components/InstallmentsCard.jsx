@@ -0,0 +1,132 @@
+import React from 'react';
+import { Plus, Trash2, CalendarClock, CheckCircle2 } from 'lucide-react';
+import { cn, fmtDate, toDateInput } from '@/lib/utils';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** The last installment always takes whatever the others leave of the total */
+export const balanceInstallment = (rows, total) =>
+  round2(total - rows.slice(0, -1).reduce((s, r) => s + (parseFloat(r.amount) || 0), 0));
+
+/** Installment rows as the invoices API expects them */
+export const installmentsForSave = (rows, total) =>
+  rows.map((row, i) => ({
+    label: row.label || null,
+    dueDate: row.dueDate,
+    amount: i === rows.length - 1 ? balanceInstallment(rows, total) : parseFloat(row.amount) || 0,
+  }));
+
+const addDays = (days) => toDateInput(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+
+/**
+ * Payment plan for an invoice. Editing works on local rows; the read-only view
+ * shows the server's schedule, which knows what each installment still owes.
+ */
+const InstallmentsCard = ({ rows, onChange, schedule, isEditing, total, depositPercent, money }) => {
+  const updateRow = (i, patch) => onChange(rows.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  const removeRow = (i) => onChange(rows.filter((_, idx) => idx !== i));
+
+  const startPlan = () => {
+    const deposit = round2(total * ((parseFloat(depositPercent) || 0) / 100));
+    onChange(deposit > 0
+      ? [
+          { key: Math.random(), label: 'Deposit', amount: String(deposit), dueDate: addDays(0) },
+          { key: Math.random(), label: 'Balance', amount: '', dueDate: addDays(30) },
+        ]
+      : [{ key: Math.random(), label: 'Balance', amount: '', dueDate: addDays(30) }]);
+  };
+
+  const addRow = () => {
+    // New rows go before the balance row so it keeps absorbing the remainder
+    const last = rows[rows.length - 1];
+    const row = { key: Math.random(), label: '', amount: '', dueDate: last?.dueDate || addDays(0) };
+    onChange([...rows.slice(0, -1), row, last]);
+  };
+
+  if (!isEditing) {
+    if (!schedule?.length) return null;
+    const now = new Date();
+    return (
+      <div className="glass-card p-4">
+        <h4 className="text-lg font-semibold mb-3 flex items-center gap-2">
+          <CalendarClock className="w-4 h-4 text-surface-400" /> Payment Schedule
+        </h4>
+        <div className="space-y-1.5">
+          {schedule.map((inst, i) => {
+            const overdue = !inst.isPaid && new Date(inst.dueDate) < now;
+            return (
+              <div key={inst.id} className="flex items-center justify-between p-2.5 rounded-lg bg-surface-100">
+                <div className="flex items-center gap-2 min-w-0">
+                  {inst.isPaid
+                    ? <CheckCircle2 className="w-4 h-4 text-green-400 shrink-0" />
+                    : <CalendarClock className={cn('w-4 h-4 shrink-0', overdue ? 'text-red-400' : 'text-surface-400')} />}
+                  <span className="text-sm font-medium truncate">{inst.label || `Payment ${i + 1}`}</span>
+                  <span className={cn('text-xs', overdue ? 'text-red-400' : 'text-surface-500')}>
+                    {overdue ? 'Overdue · ' : ''}{fmtDate(inst.dueDate, { month: 'short', day: 'numeric', year: 'numeric' })}
+                  </span>
+                </div>
+                <div className="text-right text-sm">
+                  <span className={cn('font-semibold', inst.isPaid && 'text-surface-500 line-through')}>{money(inst.amount)}</span>
+                  {!inst.isPaid && inst.remaining < inst.amount && (
+                    <span className="block text-[11px] text-surface-500">{money(inst.remaining)} left</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const balance = rows.length > 0 ? balanceInstallment(rows, total) : 0;
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-semibold">Payment Schedule</h4>
+        {rows.length > 0 && (
+          <button type="button" onClick={() => onChange([])} className="text-xs text-surface-400 hover:text-surface-700">Remove plan</button>
+        )}
+      </div>
+      {rows.length === 0 ? (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-surface-400">Paid in one go. Split it into installments with their own due dates.</p>
+          <button type="button" onClick={startPlan} className="action-btn action-btn--secondary text-xs py-2 shrink-0">
+            <Plus className="w-3.5 h-3.5 mr-1.5" /> Add Plan
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {rows.map((row, i) => {
+            const isBalance = i === rows.length - 1;
+            return (
+              <div key={row.key} className="flex flex-col md:flex-row gap-2 md:items-center">
+                <input type="text" value={row.label} onChange={e => updateRow(i, { label: e.target.value })} placeholder={`Payment ${i + 1}`} className="glass-input w-full md:flex-1" />
+                <input type="date" value={row.dueDate} onChange={e => updateRow(i, { dueDate: e.target.value })} className="glass-input w-full md:w-40" />
+                {isBalance ? (
+                  <div className={cn('glass-input w-full md:w-32 text-right', balance <= 0 && 'text-red-400')} title="The last installment is whatever's left of the total">
+                    {money(balance)}
+                  </div>
+                ) : (
+                  <input type="number" inputMode="decimal" step="0.01" value={row.amount} onChange={e => updateRow(i, { amount: e.target.value })} placeholder="0.00" className="glass-input w-full md:w-32 text-right" />
+                )}
+                <button type="button" onClick={() => removeRow(i)} disabled={rows.length === 1} className="icon-button disabled:opacity-30"><Trash2 className="w-3.5 h-3.5 text-red-400" /></button>
+              </div>
+            );
+          })}
+          <div className="flex items-center justify-between pt-1">
+            <button type="button" onClick={addRow} className="text-xs text-accent hover:underline flex items-center gap-1">
+              <Plus className="w-3.5 h-3.5" /> Add installment
+            </button>
+            {balance <= 0
+              ? <span className="text-xs text-red-400">Installments exceed the invoice total</span>
+              : <span className="text-xs text-surface-500">The last installment covers the remaining balance</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstallmentsCard;
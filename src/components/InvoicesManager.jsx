@@ -6,13 +6,13 @@ import { toast } from '@/components/ui/use-toast';
 import api from '@/lib/apiClient';
 import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
 import { queryKeys } from '@/lib/queryKeys';
-import { useCreateInvoice, useUpdateInvoice, useDeleteInvoice, useBulkDeleteInvoices, useAddPayment, useDeletePayment, useCreateClient, useUpdateClient } from '@/hooks/useMutations';
-import { useAppData, useClientsCatalog, useProductsCatalog, useSettings } from '@/hooks/useAppData';
+import { useCreateInvoice, useUpdateInvoice, useDeleteInvoice, useBulkDeleteInvoices, useAddPayment, useDeletePayment, useApplyCredit, useSetInvoiceRemindersPaused, useCreateClient, useUpdateClient } from '@/hooks/useMutations';
+import { useAppData, useClientsCatalog, useProductsCatalog, useSettings, useTaxRates } from '@/hooks/useAppData';
 import { useProjectTypes } from '@/lib/projectTypes';
 import { useAuth } from '@/contexts/AuthContext';
 import { Trash2, DollarSign, Loader2, Search, ChevronLeft, ChevronRight, Plus, X, Save, Zap, Percent, ChevronsUpDown, Check, Edit, CheckSquare, Mail, Printer, ArrowUpDown, ChevronDown, ExternalLink, Gift, Undo2, Clock, PenLine, CreditCard, GripVertical, MapPin, Car, Calendar, Package, FolderKanban } from 'lucide-react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
-import { resolveEffectiveTaxRate } from '@/lib/taxRateResolver';
+import { resolveEffectiveTaxRate, isTaxExempt, itemTaxRates, sumRates, taxBreakdown } from '@/lib/taxRateResolver';
 import { useDebounce } from '@/hooks/useDebounce';
 import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
@@ -20,7 +20,15 @@ import { Button } from "@/components/ui/button";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
-import { cn, groupByCategory, fmtDate, toDateInput } from "@/lib/utils";
+import { cn, groupByCategory, fmtDate, toDateInput, formatDocNumber } from "@/lib/utils";
+import { formatMoney } from '@/lib/currency';
+import CurrencyFields from '@/components/CurrencyFields';
+import CreditNotesCard from '@/components/CreditNotesCard';
+import InstallmentsCard, { installmentsForSave, balanceInstallment } from '@/components/InstallmentsCard';
+import RemindersCard from '@/components/RemindersCard';
+import DocumentViewInfo from '@/components/DocumentViewInfo';
+import RevisionsCard from '@/components/RevisionsCard';
+import ItemTaxRatesPicker from '@/components/ItemTaxRatesPicker';
 
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Tabs, TabsContent } from "@/components/ui/tabs";
@@ -112,22 +120,28 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
     staleTime: 60_000,
   });
   const [terms, setTerms] = useState('');
+  const defaultCurrency = appData.settings?.default_currency || 'USD';
+  const [currency, setCurrency] = useState(defaultCurrency);
+  const [exchangeRate, setExchangeRate] = useState('1');
+  const money = (n) => formatMoney(n, currency);
   const [deliveryStatus, setDeliveryStatus] = useState('');
+  const [installments, setInstallments] = useState([]);
   const [isTravelDialogOpen, setIsTravelDialogOpen] = useState(false);
   const [travelMiles, setTravelMiles] = useState('');
   const defaultTaxRate = parseFloat(appData.settings?.tax_rate) || 0;
   const taxHomeState = appData.settings?.tax_home_state || '';
-  const { rate: taxRate, source: taxRateSource } = useMemo(() => {
+  const { data: namedTaxRates = [] } = useTaxRates();
+  const { rate: taxRate, source: taxRateSource, rates: defaultItemRates } = useMemo(() => {
     const client = clients.find(c => c.id === selectedClient);
-    return resolveEffectiveTaxRate({ clientBillingState: client?.billingState, defaultTaxRate, taxHomeState });
-  }, [selectedClient, clients, defaultTaxRate, taxHomeState]);
+    return resolveEffectiveTaxRate({ clientBillingState: client?.billingState, clientTaxExempt: isTaxExempt(client), defaultTaxRate, taxHomeState, taxRates: namedTaxRates });
+  }, [selectedClient, clients, defaultTaxRate, taxHomeState, namedTaxRates]);
   const [lastAddedItem, setLastAddedItem] = useState(null);
   const [isDiscountOpen, setIsDiscountOpen] = useState(false);
   const [isAddingPayment, setIsAddingPayment] = useState(false);
   const [newPaymentAmount, setNewPaymentAmount] = useState('');
   const [newPaymentMethod, setNewPaymentMethod] = useState('Cash');
   const [isDeleteDialogOpen, setIsDeleteDialogOpen] = useState(false);
-  const [paymentAction, setPaymentAction] = useState(null); // { id, amount, label, stripePaymentIntentId }
+  const [paymentAction, setPaymentAction] = useState(null); // { id, amount, label, stripePaymentIntentId, isCredit }
   const [stripeModalOpen, setStripeModalOpen] = useState(false);
 
   const [isAddingClient, setIsAddingClient] = useState(false);
@@ -138,6 +152,8 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
   const deleteInvoiceMutation = useDeleteInvoice();
   const addPaymentMutation = useAddPayment();
   const deletePaymentMutation = useDeletePayment();
+  const applyCreditMutation = useApplyCredit();
+  const remindersMutation = useSetInvoiceRemindersPaused();
   const createClientMutation = useCreateClient();
   const updateClientMutation = useUpdateClient();
   const isSubmittingClient = createClientMutation.isPending || updateClientMutation.isPending;
@@ -157,9 +173,19 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
     setSelectedProject(inv.projectId || '');
     setTerms(inv.terms || '');
     setDeliveryStatus(inv.deliveryStatus || '');
+    setInstallments((inv.installments || []).map(i => ({ key: i.id, label: i.label || '', amount: String(i.amount), dueDate: toDateInput(i.dueDate) })));
+    setCurrency(inv.currency || clients.find(c => c.id === inv.clientId)?.currency || defaultCurrency);
+    setExchangeRate(String(inv.exchangeRate ?? 1));
     setIsEditing(!inv.id);
   };
 
+  // New invoices follow the client's billing currency
+  const handleClientChange = (clientId) => {
+    setSelectedClient(clientId);
+    const clientCurrency = clients.find(c => c.id === clientId)?.currency;
+    if (!invoice.id && clientCurrency) setCurrency(clientCurrency);
+  };
+
   useEffect(() => {
     const fallback = { id: null, items: [], clientId: clientToPreload?.id || projectToPreload?.clientId || null, projectId: projectToPreload?.id || null, payments: [] };
     if (initialInvoice?.id && !initialInvoice.items) {
@@ -200,10 +226,24 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
     });
   }, []);
 
+  // Saved invoices keep the rates they were issued with; while editing, an exempt or out-of-state client pays none
+  const itemRates = (item, forDisplay = false) => {
+    if (forDisplay) return itemTaxRates(item, invoice.taxRate || taxRate);
+    return taxRateSource === 'default' ? itemTaxRates(item, taxRate) : [];
+  };
+
+  // Newly taxable items start with the default named rates
+  const setItemTaxable = (id, isTaxable) => {
+    setItems(prev => prev.map(item => {
+      if (item.id !== id) return item;
+      const taxRates = isTaxable && !item.taxRates?.length && namedTaxRates.length > 0 ? defaultItemRates : item.taxRates;
+      return { ...item, isTaxable, taxRates };
+    }));
+  };
+
   const calculateItemPrice = (item, forDisplay = false) => {
     let unitPrice = 0;
     const currentProducts = products;
-    const currentTaxRate = forDisplay ? (invoice.taxRate || taxRate) : taxRate;
     const qty = parseInt(item.qty, 10) || 1;
 
     if (item.type === 'product' && (item.productId || item.productId)) {
@@ -216,40 +256,48 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
     }
 
     const basePrice = unitPrice * qty;
-    const taxOnItem = item.isTaxable ? basePrice * (currentTaxRate / 100) : 0;
+    const taxOnItem = basePrice * (sumRates(itemRates(item, forDisplay)) / 100);
     return { unitPrice, basePrice, taxOnItem, total: basePrice + taxOnItem };
   };
 
   const calculateTotal = useMemo(() => {
     let subtotal = 0;
     let totalTax = 0;
+    const forDisplay = !isEditing;
     items.forEach(item => {
-      const { basePrice, taxOnItem } = calculateItemPrice(item);
+      const { basePrice, taxOnItem } = calculateItemPrice(item, forDisplay);
       subtotal += basePrice;
       totalTax += taxOnItem;
     });
     const discountAmount = discountType === 'percent' ? subtotal * (parseFloat(discountValue) / 100 || 0) : parseFloat(discountValue) || 0;
     const subtotalAfterDiscount = subtotal - discountAmount;
-    const taxAfterDiscount = totalTax > 0 ? (subtotal > 0 ? totalTax * (subtotalAfterDiscount / subtotal) : 0) : 0;
+    const ratio = subtotal > 0 ? subtotalAfterDiscount / subtotal : 0;
+    const taxAfterDiscount = totalTax > 0 ? totalTax * ratio : 0;
     const total = subtotalAfterDiscount + taxAfterDiscount;
     const paidAmount = payments.reduce((acc, p) => acc + parseFloat(p.amount), 0);
-    const balanceDue = total - paidAmount;
-    return { subtotal, tax: taxAfterDiscount, total, discountAmount, paidAmount, balanceDue };
-  }, [items, products, taxRate, discountType, discountValue, payments, calculateItemPrice]);
+    const creditedAmount = parseFloat(invoice.creditedAmount) || 0;
+    const balanceDue = total - creditedAmount - paidAmount;
+    const taxLines = forDisplay || taxRateSource === 'default'
+      ? taxBreakdown(items.map(item => ({ item, base: calculateItemPrice(item).basePrice })), forDisplay ? (invoice.taxRate || taxRate) : taxRate, ratio)
+      : [];
+    return { subtotal, tax: taxAfterDiscount, taxLines, total, discountAmount, paidAmount, creditedAmount, balanceDue };
+  }, [items, products, taxRate, taxRateSource, isEditing, invoice.taxRate, discountType, discountValue, payments, invoice.creditedAmount, calculateItemPrice]);
 
   const handleSaveInvoice = async () => {
     const client = clients.find(c => c.id === selectedClient);
     const clientName = client ? (client.displayName || [client.firstName, client.lastName].filter(Boolean).join(' ')) : '';
-    const { subtotal, tax, total, discountAmount, paidAmount } = calculateTotal;
+    const { subtotal, tax, total, discountAmount, paidAmount, creditedAmount } = calculateTotal;
     const processedItems = items.map(item => {
       const { unitPrice, basePrice } = calculateItemPrice(item);
       const qty = parseInt(item.qty, 10) || 1;
+      // Named rates are snapshotted per item; an exempt or out-of-state client's items carry none
+      const taxRates = item.taxRates ? (taxRateSource === 'default' ? item.taxRates : []) : null;
       if (item.type === 'product' && item.productId && basePrice > 0) {
         const product = products.find(p => p.id === item.productId);
         if (!product) return null;
-        return { type: 'product', name: product.name, productId: product.id, description: item.description, total: basePrice, isTaxable: item.isTaxable, productType: product.productType, price: unitPrice, qty };
+        return { type: 'product', name: product.name, productId: product.id, description: item.description, total: basePrice, isTaxable: item.isTaxable, taxRates, productType: product.productType, price: unitPrice, qty };
       } else if (item.type === 'custom' && item.name && basePrice > 0) {
-        return { type: 'custom', name: item.name, price: unitPrice, description: item.description, total: basePrice, isTaxable: item.isTaxable, qty };
+        return { type: 'custom', name: item.name, price: unitPrice, description: item.description, total: basePrice, isTaxable: item.isTaxable, taxRates, qty, isLateFee: item.isLateFee };
       }
       return null;
     }).filter(Boolean);
@@ -259,8 +307,16 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
       return null;
     }
 
-    const status = paidAmount >= total ? 'paid' : (paidAmount > 0 ? 'partial' : 'pending');
-    const invoiceData = { clientId: selectedClient || null, clientName, projectId: selectedProject || null, items: processedItems, subtotal, tax, taxRate, total, discountType, discountValue: parseFloat(discountValue) || 0, discountAmount, notes, paidAmount, status, eventDate: eventDate || null, eventLocation: eventLocation || null, projectTypeId: projectTypeId || null, eventType: getTypeById(projectTypeId)?.label || null, terms: terms || null, deliveryStatus: deliveryStatus || null };
+    if (installments.length > 0) {
+      const incomplete = installments.some((row, i) => !row.dueDate || (i < installments.length - 1 && !(parseFloat(row.amount) > 0)));
+      if (incomplete || balanceInstallment(installments, total) <= 0) {
+        toast({ title: "Check the payment schedule", description: incomplete ? "Every installment needs an amount and a due date." : "Installments add up to more than the invoice total.", variant: "destructive" });
+        return null;
+      }
+    }
+
+    const status = paidAmount >= total - creditedAmount ? 'paid' : (paidAmount > 0 ? 'partial' : 'pending');
+    const invoiceData = { clientId: selectedClient || null, clientName, projectId: selectedProject || null, items: processedItems, subtotal, tax, taxRate, total, discountType, discountValue: parseFloat(discountValue) || 0, discountAmount, notes, paidAmount, status, eventDate: eventDate || null, eventLocation: eventLocation || null, projectTypeId: projectTypeId || null, eventType: getTypeById(projectTypeId)?.label || null, terms: terms || null, deliveryStatus: deliveryStatus || null, currency, exchangeRate: currency === defaultCurrency ? 1 : (parseFloat(exchangeRate) || null), installments: installmentsForSave(installments, total) };
 
     if (invoice.id) {
       try {
@@ -326,21 +382,23 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
       if (action === 'stripe_refund' && stripePaymentIntentId) {
         // Stripe refund — calls the Stripe API, returns money to card
         await api.post('/stripe/refund', { paymentId: id, amount });
-        toast({ title: `$${parseFloat(amount).toFixed(2)} refunded to card via Stripe.` });
+        toast({ title: `${money(amount)} refunded to card via Stripe.` });
       } else {
         await deletePaymentMutation.mutateAsync(id);
         const updatedPayments = payments.filter(p => p.id !== id);
         setPayments(updatedPayments);
 
-        if (action === 'credit' && selectedClient) {
+        if (paymentAction.isCredit) {
+          toast({ title: `Payment removed. ${money(amount)} returned to client credit.` });
+        } else if (action === 'credit' && selectedClient) {
           await api.post('/credits', {
             clientId: selectedClient,
             amount,
             reason: `Payment deleted — converted to client credit`,
           });
-          toast({ title: `Payment removed. $${parseFloat(amount).toFixed(2)} added as client credit.` });
+          toast({ title: `Payment removed. ${money(amount)} added as client credit.` });
         } else if (action === 'refund') {
-          toast({ title: `Payment removed. $${parseFloat(amount).toFixed(2)} marked as refunded.` });
+          toast({ title: `Payment removed. ${money(amount)} marked as refunded.` });
         } else {
           toast({ title: 'Payment deleted successfully!' });
         }
@@ -355,7 +413,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
       } catch {
         const remainingPayments = payments.filter(p => p.id !== id);
         const newPaidAmount = remainingPayments.reduce((acc, p) => acc + parseFloat(p.amount), 0);
-        const newStatus = newPaidAmount >= calculateTotal.total ? 'paid' : (newPaidAmount > 0 ? 'partial' : 'pending');
+        const newStatus = newPaidAmount >= calculateTotal.total - calculateTotal.creditedAmount ? 'paid' : (newPaidAmount > 0 ? 'partial' : 'pending');
         setInvoice(prev => ({ ...prev, paidAmount: newPaidAmount, status: newStatus }));
         setPayments(remainingPayments);
       }
@@ -417,7 +475,41 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
     setIsAddingClient(!isAddingClient);
   };
 
-  const { subtotal, tax, total, discountAmount, paidAmount, balanceDue } = calculateTotal;
+  const { subtotal, tax, taxLines, total, discountAmount, paidAmount, creditedAmount, balanceDue } = calculateTotal;
+  const amountDue = total - creditedAmount;
+
+  const refreshInvoice = async () => {
+    try {
+      const result = await api.get('/invoices/' + invoice.id);
+      onUpdate(result.data);
+      setInvoice(result.data);
+      setPayments(result.data.payments || []);
+    } catch {}
+  };
+
+  // Credit is held in the client's billing currency, so it only pays invoices in that currency
+  const { data: clientCreditData } = useQuery({
+    queryKey: queryKeys.credits.byClient(invoice.clientId),
+    queryFn: () => api.get('/credits', { clientId: invoice.clientId }),
+    enabled: !!invoice.id && !!invoice.clientId,
+  });
+  const availableCredit = clientCreditData?.currency === currency
+    ? (clientCreditData.data || []).reduce((s, c) => s + Math.max(c.remaining, 0), 0)
+    : 0;
+
+  const handleApplyCredit = async () => {
+    try {
+      await applyCreditMutation.mutateAsync({ invoiceId: invoice.id });
+      await refreshInvoice();
+    } catch {}
+  };
+
+  const handleToggleReminders = async () => {
+    try {
+      const result = await remindersMutation.mutateAsync({ id: invoice.id, paused: !invoice.remindersPaused });
+      setInvoice(prev => ({ ...prev, remindersPaused: result.remindersPaused }));
+    } catch {}
+  };
 
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
@@ -434,6 +526,19 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
             <AlertDialogTitle>Remove {paymentAction?.label}?</AlertDialogTitle>
             <AlertDialogDescription>What would you like to do with this payment?</AlertDialogDescription>
           </AlertDialogHeader>
+          {paymentAction?.isCredit ? (
+          <div className="flex flex-col gap-2 py-2">
+            <button onClick={() => handlePaymentAction('delete')} className="action-btn action-btn--secondary w-full justify-start !px-4 !py-3 text-sm">
+              <Gift className="w-4 h-4 mr-3 shrink-0" style={{ color: 'rgb(var(--color-success))' }} />
+              <div className="text-left">
+                <div className="font-medium">Return to Client Credit</div>
+                <div className="text-xs text-muted-foreground">
+                  Remove the payment and give {money(paymentAction.amount)} back to the client's credit balance.
+                </div>
+              </div>
+            </button>
+          </div>
+          ) : (
           <div className="flex flex-col gap-2 py-2">
             <button onClick={() => handlePaymentAction('delete')} className="action-btn action-btn--secondary w-full justify-start !px-4 !py-3 text-sm">
               <Trash2 className="w-4 h-4 text-destructive mr-3 shrink-0" />
@@ -449,7 +554,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
               <div className="text-left">
                 <div className="font-medium">Convert to Credit</div>
                 <div className="text-xs text-muted-foreground">
-                  Remove the payment and add {paymentAction ? `$${parseFloat(paymentAction.amount).toFixed(2)}` : ''} as client credit.
+                  Remove the payment and add {paymentAction ? money(paymentAction.amount) : ''} as client credit.
                 </div>
               </div>
             </button>
@@ -469,12 +574,13 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                 <div className="text-left">
                   <div className="font-medium">Refund to Card</div>
                   <div className="text-xs text-muted-foreground">
-                    Refund {paymentAction ? `$${parseFloat(paymentAction.amount).toFixed(2)}` : ''} back to the customer's card via Stripe.
+                    Refund {paymentAction ? money(paymentAction.amount) : ''} back to the customer's card via Stripe.
                   </div>
                 </div>
               </button>
             )}
           </div>
+          )}
           <AlertDialogFooter>
             <AlertDialogCancel>Cancel</AlertDialogCancel>
           </AlertDialogFooter>
@@ -484,11 +590,12 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
         <div className="lg:col-span-3">
           <div className="flex flex-col md:flex-row justify-between items-start mb-4 gap-4">
             <div>
-              <h3 className="text-2xl font-bold">{invoice.id ? `Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}` : 'New Invoice'}</h3>
+              <h3 className="text-2xl font-bold">{invoice.id ? `Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}` : 'New Invoice'}</h3>
               {invoice.id && (
                 <div className="flex flex-col sm:flex-row gap-1 sm:gap-3 mt-1.5">
                   <UserInfo label="Created" email={invoice.createdBy} timestamp={invoice.createdAt} icon={Clock} />
                   {invoice.lastEditedBy && <UserInfo label="Edited" email={invoice.lastEditedBy} timestamp={invoice.updatedAt} icon={PenLine} />}
+                  <DocumentViewInfo doc={invoice} shared={!!invoice.paymentToken} />
                 </div>
               )}
             </div>
@@ -504,6 +611,11 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
         </div>
 
         <div className="lg:col-span-3 space-y-4">
+          {isEditing && invoice.taxFilings?.length > 0 && (
+            <div className="glass-card p-3 text-sm text-amber-500 border border-amber-400/40">
+              This invoice is in a sales tax period filed on {fmtDate(invoice.taxFilings[0].filedAt, { month: 'short', day: 'numeric', year: 'numeric' })}. Changes to its amounts will be flagged on the Sales Tax report.
+            </div>
+          )}
           <div className="glass-card p-4">
             <div className="flex justify-between items-center mb-3">
               <h4 className="text-lg font-semibold">{isAddingClient && isEditingClientMode ? 'Edit Client' : 'Client'}</h4>
@@ -541,7 +653,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
               ) : (
                 <div className="flex items-center gap-2">
                     <div className="flex-grow">
-                        <ClientCombobox clients={clients} value={selectedClient} onChange={setSelectedClient} disabled={!isEditing} />
+                        <ClientCombobox clients={clients} value={selectedClient} onChange={handleClientChange} disabled={!isEditing} />
                     </div>
                     {isEditing && selectedClient && (
                         <>
@@ -651,12 +763,12 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                       </div>
                       <div className="flex justify-between text-sm text-surface-400">
                         <span>Rate</span>
-                        <span>${travelRate.toFixed(2)}/mile</span>
+                        <span>{money(travelRate)}/mile</span>
                       </div>
                       {parseFloat(travelMiles) > 0 && (
                         <div className="text-center py-2">
-                          <p className="text-2xl font-bold text-primary">${(parseFloat(travelMiles) * travelRate).toFixed(2)}</p>
-                          <p className="text-xs text-surface-400">{travelMiles} miles &times; ${travelRate.toFixed(2)}</p>
+                          <p className="text-2xl font-bold text-primary">{money(parseFloat(travelMiles) * travelRate)}</p>
+                          <p className="text-xs text-surface-400">{travelMiles} miles &times; {money(travelRate)}</p>
                         </div>
                       )}
                     </div>
@@ -664,7 +776,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                       <Button variant="outline" onClick={() => setIsTravelDialogOpen(false)}>Cancel</Button>
                       <Button disabled={!parseFloat(travelMiles)} onClick={() => {
                         const fee = parseFloat(travelMiles) * travelRate;
-                        setItems(prev => [...prev, { id: Math.random(), type: 'custom', name: `Travel Fee (${travelMiles} mi)`, price: fee.toFixed(2), description: `${travelMiles} miles @ $${travelRate.toFixed(2)}/mi`, isTaxable: false, qty: 1 }]);
+                        setItems(prev => [...prev, { id: Math.random(), type: 'custom', name: `Travel Fee (${travelMiles} mi)`, price: fee.toFixed(2), description: `${travelMiles} miles @ ${money(travelRate)}/mi`, isTaxable: false, qty: 1 }]);
                         setIsTravelDialogOpen(false);
                         setTravelMiles('');
                       }}>Add Travel Fee</Button>
@@ -723,18 +835,21 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                     </div>
                     <div className="flex items-center justify-between pt-1">
                       <div className="flex items-center space-x-2">
-                        <Checkbox id={`taxable-${item.id}`} checked={item.isTaxable} onCheckedChange={(c) => updateItem(item.id, 'isTaxable', c)} />
+                        <Checkbox id={`taxable-${item.id}`} checked={item.isTaxable} onCheckedChange={(c) => setItemTaxable(item.id, c)} />
                         <Label htmlFor={`taxable-${item.id}`} className="text-xs text-surface-600">Taxable</Label>
+                        {item.isTaxable && taxRateSource === 'default' && namedTaxRates.length > 0 && (
+                          <ItemTaxRatesPicker taxRates={namedTaxRates} value={item.taxRates} onChange={(rates) => updateItem(item.id, 'taxRates', rates)} />
+                        )}
                       </div>
                       <div className="flex items-center gap-2 text-sm font-medium text-right flex-wrap justify-end">
                         {qty > 1 && unitPrice > 0 && (
                           <span className="text-xs text-surface-400">
-                            ${unitPrice.toFixed(2)} &times; {qty} =
+                            {money(unitPrice)} &times; {qty} =
                           </span>
                         )}
-                        <span>${basePrice.toFixed(2)}</span>
-                        {taxOnItem > 0 && <span className="text-green-400 text-xs">+ ${taxOnItem.toFixed(2)} tax</span>}
-                        <span className="font-bold text-blue-300">Total: ${itemTotal.toFixed(2)}</span>
+                        <span>{money(basePrice)}</span>
+                        {taxOnItem > 0 && <span className="text-green-400 text-xs">+ {money(taxOnItem)} tax</span>}
+                        <span className="font-bold text-blue-300">Total: {money(itemTotal)}</span>
                       </div>
                     </div>
                   </InvoiceItemRow>
@@ -752,11 +867,11 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                           <p className="font-medium">{item.name}</p>
                           {item.description && <p className="text-xs text-surface-400 pt-1">{item.description}</p>}
                         </div>
-                        <p className="font-bold text-lg text-blue-300">${itemTotal.toFixed(2)}</p>
+                        <p className="font-bold text-lg text-blue-300">{money(itemTotal)}</p>
                       </div>
                       <div className="text-right text-xs text-surface-500 flex justify-end items-center gap-2">
-                          <span>{qty} &times; ${unitPrice.toFixed(2)}</span>
-                          {taxOnItem > 0 && <span> + ${taxOnItem.toFixed(2)} tax</span>}
+                          <span>{qty} &times; {money(unitPrice)}</span>
+                          {taxOnItem > 0 && <span> + {money(taxOnItem)} tax</span>}
                       </div>
                     </div>
                   )
@@ -781,20 +896,34 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
               <textarea value={terms} onChange={(e) => setTerms(e.target.value)} placeholder="Enter terms & conditions (or load the template)..." className="glass-textarea w-full" rows={4}></textarea>
             </div>
           )}
+          <InstallmentsCard
+            rows={installments}
+            onChange={setInstallments}
+            schedule={invoice.installments}
+            isEditing={isEditing}
+            total={total}
+            depositPercent={appData.settings?.deposit_percent}
+            money={money}
+          />
+          {invoice.id && !isEditing && (
+            <RemindersCard invoice={invoice} onTogglePaused={handleToggleReminders} isPending={remindersMutation.isPending} />
+          )}
+          {invoice.id && !isEditing && <RevisionsCard key={invoice.id} type="invoice" documentId={invoice.id} />}
         </div>
         <div className="lg:col-span-1"> {/* Remains lg:col-span-1 */}
           <div className="sticky top-24 space-y-4">
             <div className="glass-card p-4">
               <h4 className="text-base font-semibold mb-3">Pricing</h4>
               <div className="space-y-3">
-                <div className="flex justify-between text-sm"><span className="text-surface-400">Subtotal:</span><span>${subtotal.toFixed(2)}</span></div>
+                <CurrencyFields currency={currency} exchangeRate={exchangeRate} defaultCurrency={defaultCurrency} onCurrencyChange={setCurrency} onExchangeRateChange={setExchangeRate} isEditing={isEditing} />
+                <div className="flex justify-between text-sm"><span className="text-surface-400">Subtotal:</span><span>{money(subtotal)}</span></div>
 
                 <div>
                   <div className="flex justify-between text-sm items-center">
                     <button onClick={() => isEditing && setIsDiscountOpen(!isDiscountOpen)} className="flex items-center gap-1 text-surface-400 hover:text-surface-700 disabled:cursor-not-allowed" disabled={!isEditing}>
                       <Zap className="w-3.5 h-3.5" /> Discount <ChevronDown className={cn("w-4 h-4 transition-transform", isDiscountOpen && "rotate-180")} />
                     </button>
-                    {discountAmount > 0 && <span className="text-green-400">- ${discountAmount.toFixed(2)}</span>}
+                    {discountAmount > 0 && <span className="text-green-400">- {money(discountAmount)}</span>}
                   </div>
                   <AnimatePresence>
                     {isDiscountOpen && isEditing && (
@@ -816,15 +945,22 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                   </AnimatePresence>
                 </div>
 
-                <div className="flex justify-between text-sm"><span className="text-surface-400">Tax ({taxRate}%{taxRateSource !== 'default' && isEditing ? ` · ${taxRateSource}` : ''}):</span><span>${tax.toFixed(2)}</span></div>
+                {taxLines.some(line => line.id) ? taxLines.map(line => (
+                  <div key={line.key} className="flex justify-between text-sm"><span className="text-surface-400">{line.name} ({line.rate}%):</span><span>{money(line.amount)}</span></div>
+                )) : (
+                  <div className="flex justify-between text-sm"><span className="text-surface-400">Tax ({taxRate}%{taxRateSource !== 'default' && isEditing ? ` · ${taxRateSource}` : ''}):</span><span>{money(tax)}</span></div>
+                )}
                 <div className="divider my-2"></div>
-                <div className="flex justify-between text-lg font-bold"><span>Total:</span><span className="text-blue-400">${total.toFixed(2)}</span></div>
+                <div className="flex justify-between text-lg font-bold"><span>Total:</span><span className="text-blue-400">{money(total)}</span></div>
                 {invoice.depositAmount > 0 && (
-                  <div className="flex justify-between text-sm text-amber-400"><span>Deposit Due:</span><span>${parseFloat(invoice.depositAmount).toFixed(2)}</span></div>
+                  <div className="flex justify-between text-sm text-amber-400"><span>Deposit Due:</span><span>{money(invoice.depositAmount)}</span></div>
+                )}
+                {creditedAmount > 0 && (
+                  <div className="flex justify-between text-sm text-amber-400"><span>Credited:</span><span>- {money(creditedAmount)}</span></div>
                 )}
-                <div className="flex justify-between text-sm text-green-400"><span >Paid:</span><span>- ${paidAmount.toFixed(2)}</span></div>
+                <div className="flex justify-between text-sm text-green-400"><span >Paid:</span><span>- {money(paidAmount)}</span></div>
                 <div className="divider my-2"></div>
-                <div className="flex justify-between text-lg font-bold"><span>Balance Due:</span><span className="text-orange-400">${balanceDue.toFixed(2)}</span></div>
+                <div className="flex justify-between text-lg font-bold"><span>Balance Due:</span><span className="text-orange-400">{money(balanceDue)}</span></div>
               </div>
             </div>
             {isEditing && (
@@ -842,20 +978,20 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
               <div className="glass-card p-4 space-y-3">
                 <h4 className="text-base font-semibold">Payments</h4>
                 {/* Progress bar */}
-                {total > 0 && (
+                {amountDue > 0 && (
                   <div className="space-y-1.5">
                     <div className="h-1.5 rounded-full bg-surface-100 overflow-hidden">
                       <motion.div
                         className="h-full rounded-full"
-                        style={{ backgroundColor: paidAmount >= total ? 'rgb(74 222 128)' : 'var(--accent-color, hsl(var(--accent)))' }}
+                        style={{ backgroundColor: paidAmount >= amountDue ? 'rgb(74 222 128)' : 'var(--accent-color, hsl(var(--accent)))' }}
                         initial={{ width: 0 }}
-                        animate={{ width: `${Math.min(100, (paidAmount / total) * 100)}%` }}
+                        animate={{ width: `${Math.min(100, (paidAmount / amountDue) * 100)}%` }}
                         transition={{ duration: 0.6, ease: 'easeOut' }}
                       />
                     </div>
                     <div className="flex justify-between text-[11px] text-surface-500">
-                      <span>${paidAmount.toFixed(2)} paid</span>
-                      <span>{paidAmount >= total ? 'Paid in full' : `$${balanceDue.toFixed(2)} remaining`}</span>
+                      <span>{money(paidAmount)} paid</span>
+                      <span>{paidAmount >= amountDue ? 'Paid in full' : `${money(balanceDue)} remaining`}</span>
                     </div>
                   </div>
                 )}
@@ -866,7 +1002,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                     const isStripe = !!p.stripePaymentIntentId;
                     const isPayPal = !!p.paypalOrderId;
                     const isOnline = isStripe || isPayPal;
-                    const methodIcon = isStripe ? CreditCard : isPayPal ? CreditCard : p.method === 'Check' ? Check : p.method === 'Bank Transfer' ? ExternalLink : DollarSign;
+                    const methodIcon = isStripe ? CreditCard : isPayPal ? CreditCard : p.method === 'Check' ? Check : p.method === 'Bank Transfer' ? ExternalLink : p.method === 'Credit' ? Gift : DollarSign;
                     const MethodIcon = methodIcon;
                     return (
                       <div key={p.id} className="group flex items-center gap-3 p-2.5 rounded-lg bg-surface-100 hover:bg-surface-200 transition-colors">
@@ -875,20 +1011,21 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                         </div>
                         <div className="flex-1 min-w-0">
                           <div className="flex items-baseline gap-1.5">
-                            <span className="font-semibold text-sm">${amt.toFixed(2)}</span>
+                            <span className="font-semibold text-sm">{money(amt)}</span>
                             <span className="text-[11px] text-surface-500">{p.method}</span>
                             {isStripe && <span className="text-[10px] bg-accent/15 text-accent px-1.5 py-px rounded-full leading-tight">Stripe</span>}
                             {isPayPal && <span className="text-[10px] bg-accent/15 text-accent px-1.5 py-px rounded-full leading-tight">PayPal</span>}
+                            {p.creditNoteId && <span className="text-[10px] bg-amber-500/15 text-amber-500 px-1.5 py-px rounded-full leading-tight">Refund</span>}
                           </div>
                           <p className="text-[11px] text-surface-500">{fmtDate(p.paymentDate, { month: 'short', day: 'numeric', year: 'numeric' })}</p>
                         </div>
-                        <button
-                          onClick={() => setPaymentAction({ id: p.id, amount: amt, label: `$${amt.toFixed(2)} ${p.method} payment`, stripePaymentIntentId: p.stripePaymentIntentId || null })}
+                        {!p.creditNoteId && <button
+                          onClick={() => setPaymentAction({ id: p.id, amount: amt, label: `${money(amt)} ${p.method} payment`, stripePaymentIntentId: p.stripePaymentIntentId || null, isCredit: p.method === 'Credit' })}
                           className="opacity-0 group-hover:opacity-100 transition-opacity p-1.5 rounded-md hover:bg-red-500/10 text-surface-500 hover:text-red-400"
                           title="Remove payment"
                         >
                           <X className="w-3.5 h-3.5" />
-                        </button>
+                        </button>}
                       </div>
                     );
                   })}
@@ -925,6 +1062,12 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                         <Plus className="w-3.5 h-3.5 mr-1.5" /> Record Payment
                       </button>
                     )}
+                    {availableCredit > 0 && !isAddingPayment && (
+                      <button onClick={handleApplyCredit} disabled={applyCreditMutation.isPending} className="action-btn action-btn--secondary w-full text-xs py-2">
+                        <Gift className="w-3.5 h-3.5 mr-1.5" /> Apply {money(Math.min(availableCredit, balanceDue))} Credit
+                        <span className="ml-1 text-surface-500">({money(availableCredit)} available)</span>
+                      </button>
+                    )}
                     {appData.settings?.stripe_enabled === 'true' && (
                       <>
                         <div className="divider" />
@@ -937,6 +1080,9 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
                 )}
               </div>
             )}
+            {invoice.id && !isEditing && (
+              <CreditNotesCard invoice={invoice} money={money} onChanged={refreshInvoice} />
+            )}
             {invoice.id && !isEditing && invoice.notes && (
               <div className="glass-card p-4">
                 <h4 className="text-base font-semibold mb-2">Notes</h4>
@@ -959,14 +1105,7 @@ const InvoiceEditor = ({ invoice: initialInvoice, onBack, onUpdate, appData, onS
             onOpenChange={setStripeModalOpen}
             invoice={invoice}
             settings={appData.settings}
-            onPaymentSuccess={async () => {
-              try {
-                const result = await api.get('/invoices/' + invoice.id);
-                onUpdate(result.data);
-                setInvoice(result.data);
-                setPayments(result.data.payments || []);
-              } catch {}
-            }}
+            onPaymentSuccess={refreshInvoice}
           />
         </React.Suspense>
       )}
@@ -1126,14 +1265,14 @@ const InvoiceRow = React.memo(({ invoice, onSelect, onDelete, onSelectionChange,
           itemSubtotal = (item.price * qty) || 0;
         }
         const itemDiscount = subtotal > 0 ? (itemSubtotal / subtotal) * discountAmount : 0;
-        totalTax += (itemSubtotal - itemDiscount) * (taxRate / 100);
+        totalTax += (itemSubtotal - itemDiscount) * (sumRates(itemTaxRates(item, taxRate)) / 100);
       }
     });
 
     return subtotalAfterDiscount + totalTax;
   }, [invoice, products, taxRate]);
 
-  const balanceDue = recalculatedTotal - (invoice.paidAmount || 0);
+  const balanceDue = recalculatedTotal - (invoice.creditedAmount || 0) - (invoice.paidAmount || 0);
   const statusColors = {
     paid: 'bg-green-500/20 text-green-400',
     partial: 'bg-yellow-500/20 text-yellow-400',
@@ -1146,6 +1285,8 @@ const InvoiceRow = React.memo(({ invoice, onSelect, onDelete, onSelectionChange,
     status = 'paid';
   } else if (new Date(invoice.dueDate) < new Date() && balanceDue > 0) {
     status = 'overdue';
+  } else if ((invoice.installments || []).some(i => !i.isPaid && new Date(i.dueDate) < new Date())) {
+    status = 'overdue';
   }
 
   return (
@@ -1178,7 +1319,7 @@ const InvoiceRow = React.memo(({ invoice, onSelect, onDelete, onSelectionChange,
             {/* Top line: doc number, status, date, amount */}
             <div className="flex items-center justify-between gap-3">
               <div className="flex items-center gap-3 min-w-0">
-                <span className="text-sm font-bold tabular-nums shrink-0">#{String(invoice.invoiceNumber).padStart(5, '0')}</span>
+                <span className="text-sm font-bold tabular-nums shrink-0">#{formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}</span>
                 <span className={cn("flex items-center gap-1.5 text-xs font-medium", {
                   'text-green-400': status === 'paid',
                   'text-yellow-400': status === 'partial',
@@ -1205,7 +1346,7 @@ const InvoiceRow = React.memo(({ invoice, onSelect, onDelete, onSelectionChange,
                   </span>
                 )}
               </div>
-              <span className="font-bold text-lg tabular-nums text-blue-400 shrink-0">${parseFloat(recalculatedTotal).toFixed(2)}</span>
+              <span className="font-bold text-lg tabular-nums text-blue-400 shrink-0">{formatMoney(recalculatedTotal, invoice.currency)}</span>
             </div>
             {/* Bottom line: client, due date, balance, actions */}
             <div className="flex items-center justify-between mt-1">
@@ -1222,7 +1363,7 @@ const InvoiceRow = React.memo(({ invoice, onSelect, onDelete, onSelectionChange,
                   <p className="text-surface-400 text-sm truncate">{invoice.clientName || 'No Client'}</p>
                 )}
                 <span className="text-xs text-surface-500 shrink-0">Due {fmtDate(invoice.dueDate, { month: 'short', day: 'numeric' })}</span>
-                {balanceDue > 0 && <span className="text-xs font-medium text-orange-400 shrink-0">${balanceDue.toFixed(2)} owed</span>}
+                {balanceDue > 0 && <span className="text-xs font-medium text-orange-400 shrink-0">{formatMoney(balanceDue, invoice.currency)} owed</span>}
               </div>
               <div className="flex items-center gap-1.5 shrink-0" onClick={(e) => e.stopPropagation()}>
                 <button onClick={() => setIsDeleteDialogOpen(true)} className="icon-button !p-1.5" title="Delete Invoice"><Trash2 className="w-3.5 h-3.5 text-red-400" /></button>
@@ -0,0 +1,36 @@
+import React from 'react';
+import { cn } from '@/lib/utils';
+import { appliedTaxRate } from '@/lib/taxRateResolver';
+
+/**
+ * Which named tax rates a taxable line item carries. `value` is the item's
+ * rate snapshots; toggling a chip adds or removes that rate.
+ */
+const ItemTaxRatesPicker = ({ taxRates, value, onChange }) => {
+  const applied = value || [];
+  const selected = new Set(applied.map(r => r.id));
+
+  const toggle = (rate) => onChange(
+    selected.has(rate.id) ? applied.filter(r => r.id !== rate.id) : [...applied, appliedTaxRate(rate)],
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {taxRates.map(rate => (
+        <button
+          key={rate.id}
+          type="button"
+          onClick={() => toggle(rate)}
+          className={cn(
+            'px-2 py-0.5 rounded-full border text-[11px] transition-colors',
+            selected.has(rate.id) ? 'border-blue-400 bg-blue-500/10 text-blue-500' : 'border-surface-200 text-surface-400 hover:text-surface-600',
+          )}
+        >
+          {rate.name} {rate.rate}%
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ItemTaxRatesPicker;
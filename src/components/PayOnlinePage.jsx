@@ -5,6 +5,8 @@ import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-
 import { PayPalScriptProvider, PayPalButtons } from '@paypal/react-paypal-js';
 import { motion, AnimatePresence } from 'framer-motion';
 import { getStripePromise, getStripeAppearance } from '@/lib/stripe';
+import { formatMoney, currencySymbol } from '@/lib/currency';
+import { formatDocNumber } from '@/lib/utils';
 import { CreditCard, ShieldCheck, CheckCircle2, AlertCircle, Loader2, Receipt, Download } from 'lucide-react';
 
 const API_BASE = window.location.origin;
@@ -24,7 +26,7 @@ async function apiFetch(path, options = {}) {
 
 /* ─── Checkout Form (inside Stripe Elements) ─── */
 
-const CheckoutForm = ({ amount, token, paymentIntentId, onSuccess }) => {
+const CheckoutForm = ({ amount, currency, token, paymentIntentId, onSuccess }) => {
   const stripe = useStripe();
   const elements = useElements();
   const [loading, setLoading] = useState(false);
@@ -106,7 +108,7 @@ const CheckoutForm = ({ amount, token, paymentIntentId, onSuccess }) => {
         ) : (
           <CreditCard className="w-4 h-4" />
         )}
-        {loading ? 'Processing...' : `Pay $${amount.toFixed(2)}`}
+        {loading ? 'Processing...' : `Pay ${formatMoney(amount, currency)}`}
       </button>
 
       <div className="flex items-center justify-center gap-1.5">
@@ -120,17 +122,21 @@ const CheckoutForm = ({ amount, token, paymentIntentId, onSuccess }) => {
 /* ─── Invoice Summary ─── */
 
 const InvoiceSummary = ({ invoice, payingAmount }) => {
+  const money = (n) => formatMoney(n, invoice.currency);
   const rows = [
-    { label: 'Total', value: `$${invoice.total.toFixed(2)}` },
+    { label: 'Total', value: money(invoice.total) },
   ];
+  if (invoice.creditedAmount > 0) {
+    rows.push({ label: 'Credited', value: `- ${money(invoice.creditedAmount)}`, muted: true });
+  }
   if (invoice.paidAmount > 0) {
-    rows.push({ label: 'Paid', value: `- $${invoice.paidAmount.toFixed(2)}`, muted: true });
+    rows.push({ label: 'Paid', value: `- ${money(invoice.paidAmount)}`, muted: true });
   }
   const isPartial = payingAmount && payingAmount < invoice.balanceDue - 0.01;
-  rows.push({ label: 'Balance Due', value: `$${invoice.balanceDue.toFixed(2)}`, accent: !isPartial });
+  rows.push({ label: 'Balance Due', value: money(invoice.balanceDue), accent: !isPartial });
   if (isPartial) {
-    rows.push({ label: 'Paying Now', value: `$${payingAmount.toFixed(2)}`, accent: true });
-    rows.push({ label: 'Remaining', value: `$${(invoice.balanceDue - payingAmount).toFixed(2)}`, muted: true });
+    rows.push({ label: 'Paying Now', value: money(payingAmount), accent: true });
+    rows.push({ label: 'Remaining', value: money(invoice.balanceDue - payingAmount), muted: true });
   }
 
   return (
@@ -140,7 +146,7 @@ const InvoiceSummary = ({ invoice, payingAmount }) => {
         <div className="flex items-center gap-2">
           <Receipt className="w-4 h-4 text-accent" />
           <span className="text-sm font-semibold text-foreground">
-            Invoice #{String(invoice.invoiceNumber).padStart(5, '0')}
+            Invoice #{formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}
           </span>
         </div>
         {invoice.clientName && (
@@ -159,6 +165,34 @@ const InvoiceSummary = ({ invoice, payingAmount }) => {
           </div>
         ))}
       </div>
+
+      {invoice.installments?.length > 0 && <PaymentSchedule invoice={invoice} />}
+    </div>
+  );
+};
+
+const PaymentSchedule = ({ invoice }) => {
+  const money = (n) => formatMoney(n, invoice.currency);
+  const now = new Date();
+  return (
+    <div className="px-4 py-2.5 border-t border-border/50">
+      <p className="text-xs font-medium text-muted-foreground uppercase tracking-wide py-1">Payment Schedule</p>
+      {invoice.installments.map((inst, i) => {
+        const overdue = !inst.isPaid && new Date(inst.dueDate) < now;
+        return (
+          <div key={inst.id} className="flex justify-between py-1 text-sm">
+            <span className={inst.isPaid ? 'text-muted-foreground line-through' : 'text-foreground'}>
+              {inst.label || `Payment ${i + 1}`}
+              <span className="text-xs text-muted-foreground ml-2">
+                {overdue ? 'was due' : 'due'} {new Date(inst.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+              </span>
+            </span>
+            <span className={`tabular-nums ${inst.isPaid ? 'text-muted-foreground' : overdue ? 'font-semibold' : 'text-foreground'}`} style={overdue ? { color: 'rgb(var(--color-danger))' } : undefined}>
+              {inst.isPaid ? 'Paid' : money(inst.remaining)}
+            </span>
+          </div>
+        );
+      })}
     </div>
   );
 };
@@ -180,7 +214,7 @@ const SuccessView = ({ invoice, branding, transactionId, token, paidAmount }) =>
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `Receipt-${String(invoice.invoiceNumber).padStart(5, '0')}.pdf`;
+      a.download = `Receipt-${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}.pdf`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -212,7 +246,7 @@ const SuccessView = ({ invoice, branding, transactionId, token, paidAmount }) =>
       <div>
         <h2 className="text-xl font-bold text-foreground">Payment Successful</h2>
         <p className="text-sm text-muted-foreground mt-1">
-          ${(paidAmount || invoice.balanceDue).toFixed(2)} paid for Invoice #{String(invoice.invoiceNumber).padStart(5, '0')}
+          {formatMoney(paidAmount || invoice.balanceDue, invoice.currency)} paid for Invoice #{formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}
         </p>
       </div>
 
@@ -263,7 +297,7 @@ const AlreadyPaidView = ({ invoice, branding, token }) => {
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `Receipt-${String(invoice.invoiceNumber).padStart(5, '0')}.pdf`;
+      a.download = `Receipt-${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}.pdf`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -290,7 +324,7 @@ const AlreadyPaidView = ({ invoice, branding, token }) => {
       <div>
         <h2 className="text-lg font-bold text-foreground">Invoice Already Paid</h2>
         <p className="text-sm text-muted-foreground mt-1">
-          Invoice #{String(invoice.invoiceNumber).padStart(5, '0')} has been fully paid.
+          Invoice #{formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)} has been fully paid.
         </p>
       </div>
       <button
@@ -314,7 +348,7 @@ const AlreadyPaidView = ({ invoice, branding, token }) => {
 
 /* ─── Receipt Download Link ─── */
 
-const ReceiptDownloadLink = ({ token, invoiceNumber }) => {
+const ReceiptDownloadLink = ({ token, docNumber }) => {
   const [downloading, setDownloading] = useState(false);
 
   const handleDownload = async () => {
@@ -326,7 +360,7 @@ const ReceiptDownloadLink = ({ token, invoiceNumber }) => {
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `Receipt-${String(invoiceNumber).padStart(5, '0')}.pdf`;
+      a.download = `Receipt-${docNumber}.pdf`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -388,7 +422,8 @@ const PayOnlinePage = () => {
     apiFetch(`/api/pay/${token}`)
       .then((res) => {
         setData(res);
-        setPayAmount(res.invoice.balanceDue.toFixed(2));
+        // Payment plans default to what's due now rather than the whole balance
+        setPayAmount((res.invoice.installmentDue?.amount ?? res.invoice.balanceDue).toFixed(2));
 
         // Determine state
         const stripeAvailable = res.stripe?.enabled && res.stripe?.publishableKey;
@@ -410,6 +445,8 @@ const PayOnlinePage = () => {
 
   const parsedPayAmount = parseFloat(payAmount) || 0;
   const balanceDue = data?.invoice?.balanceDue || 0;
+  const installmentDue = data?.invoice?.installmentDue || null;
+  const currency = data?.invoice?.currency || 'USD';
   const isValidAmount = parsedPayAmount >= 0.50 && parsedPayAmount <= balanceDue + 0.01;
 
   const handleContinueToPayment = async () => {
@@ -445,9 +482,9 @@ const PayOnlinePage = () => {
 
   const paypalScriptOptions = useMemo(() => ({
     clientId: data?.paypal?.clientId || '',
-    currency: 'USD',
+    currency,
     intent: 'capture',
-  }), [data?.paypal?.clientId]);
+  }), [data?.paypal?.clientId, currency]);
 
   // Logo rendering
   const effectiveLogo = data?.branding?.loginLogoUrl || data?.branding?.headerLogoUrl;
@@ -572,7 +609,7 @@ const PayOnlinePage = () => {
               <InvoiceSummary invoice={data.invoice} />
 
               {data.invoice.hasOnlinePayment && (
-                <ReceiptDownloadLink token={token} invoiceNumber={data.invoice.invoiceNumber} />
+                <ReceiptDownloadLink token={token} docNumber={formatDocNumber(data.invoice.invoiceNumber, data.invoice.displayNumber)} />
               )}
 
               <div className="h-px bg-gradient-to-r from-transparent via-border to-transparent" />
@@ -581,11 +618,11 @@ const PayOnlinePage = () => {
                 <div className="flex items-baseline justify-between">
                   <label className="text-sm font-medium text-foreground">Payment Amount</label>
                   <span className="text-xs text-muted-foreground">
-                    Balance: ${balanceDue.toFixed(2)}
+                    Balance: {formatMoney(balanceDue, currency)}
                   </span>
                 </div>
                 <div className="relative">
-                  <span className="absolute left-3 top-1/2 -translate-y-1/2 text-muted-foreground text-base font-medium">$</span>
+                  <span className="absolute left-3 top-1/2 -translate-y-1/2 text-muted-foreground text-base font-medium">{currencySymbol(currency)}</span>
                   <input
                     type="number"
                     inputMode="decimal"
@@ -594,18 +631,36 @@ const PayOnlinePage = () => {
                     max={balanceDue}
                     value={payAmount}
                     onChange={(e) => setPayAmount(e.target.value)}
-                    className="glass-input w-full pl-7 text-base tabular-nums"
+                    className={`glass-input w-full ${currencySymbol(currency).length > 1 ? 'pl-11' : 'pl-7'} text-base tabular-nums`}
                     placeholder="0.00"
                   />
                 </div>
+                {installmentDue && installmentDue.amount < balanceDue - 0.01 && (
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setPayAmount(installmentDue.amount.toFixed(2))}
+                      className={`flex-1 text-xs py-1.5 rounded-lg border transition-colors ${Math.abs(parsedPayAmount - installmentDue.amount) < 0.01 ? 'border-accent text-accent' : 'border-border text-muted-foreground hover:text-foreground'}`}
+                    >
+                      {installmentDue.count > 1 ? 'Amount past due' : installmentDue.label || 'Next installment'} · {formatMoney(installmentDue.amount, currency)}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setPayAmount(balanceDue.toFixed(2))}
+                      className={`flex-1 text-xs py-1.5 rounded-lg border transition-colors ${Math.abs(parsedPayAmount - balanceDue) < 0.01 ? 'border-accent text-accent' : 'border-border text-muted-foreground hover:text-foreground'}`}
+                    >
+                      Full balance · {formatMoney(balanceDue, currency)}
+                    </button>
+                  </div>
+                )}
                 {parsedPayAmount > 0 && parsedPayAmount < balanceDue - 0.01 && (
                   <p className="text-xs text-muted-foreground">
-                    Remaining after payment: ${(balanceDue - parsedPayAmount).toFixed(2)}
+                    Remaining after payment: {formatMoney(balanceDue - parsedPayAmount, currency)}
                   </p>
                 )}
                 {payAmount && !isValidAmount && (
                   <p className="text-xs" style={{ color: 'rgb(var(--color-danger))' }}>
-                    {parsedPayAmount < 0.50 ? 'Minimum payment is $0.50' : `Maximum is $${balanceDue.toFixed(2)}`}
+                    {parsedPayAmount < 0.50 ? `Minimum payment is ${formatMoney(0.5, currency)}` : `Maximum is ${formatMoney(balanceDue, currency)}`}
                   </p>
                 )}
               </div>
@@ -717,6 +772,7 @@ const PayOnlinePage = () => {
                 <Elements stripe={stripePromise} options={{ clientSecret, appearance: stripeAppearance }}>
                   <CheckoutForm
                     amount={parsedPayAmount}
+                    currency={currency}
                     token={token}
                     paymentIntentId={paymentIntentId}
                     onSuccess={handleSuccess}
@@ -66,6 +66,8 @@ const PaymentGatewayManager = () => {
   const [stripeSecretKey, setStripeSecretKey] = useState('');
   const [stripeTestPublishableKey, setStripeTestPublishableKey] = useState('');
   const [stripeTestSecretKey, setStripeTestSecretKey] = useState('');
+  const [stripeWebhookSecret, setStripeWebhookSecret] = useState('');
+  const [stripeTestWebhookSecret, setStripeTestWebhookSecret] = useState('');
   const [showStripeLiveKeys, setShowStripeLiveKeys] = useState(false);
   const [showStripeTestKeys, setShowStripeTestKeys] = useState(false);
 
@@ -76,6 +78,8 @@ const PaymentGatewayManager = () => {
   const [paypalClientSecret, setPaypalClientSecret] = useState('');
   const [paypalTestClientId, setPaypalTestClientId] = useState('');
   const [paypalTestClientSecret, setPaypalTestClientSecret] = useState('');
+  const [paypalWebhookId, setPaypalWebhookId] = useState('');
+  const [paypalTestWebhookId, setPaypalTestWebhookId] = useState('');
   const [showPaypalLiveKeys, setShowPaypalLiveKeys] = useState(false);
   const [showPaypalTestKeys, setShowPaypalTestKeys] = useState(false);
 
@@ -98,12 +102,16 @@ const PaymentGatewayManager = () => {
     setStripeSecretKey(f.stripe_secret_key || '');
     setStripeTestPublishableKey(f.stripe_test_publishable_key || '');
     setStripeTestSecretKey(f.stripe_test_secret_key || '');
+    setStripeWebhookSecret(f.stripe_webhook_secret || '');
+    setStripeTestWebhookSecret(f.stripe_test_webhook_secret || '');
     setPaypalEnabled(f.paypal_enabled === 'true');
     setPaypalTestMode(f.paypal_test_mode === 'true');
     setPaypalClientId(f.paypal_client_id || '');
     setPaypalClientSecret(f.paypal_client_secret || '');
     setPaypalTestClientId(f.paypal_test_client_id || '');
     setPaypalTestClientSecret(f.paypal_test_client_secret || '');
+    setPaypalWebhookId(f.paypal_webhook_id || '');
+    setPaypalTestWebhookId(f.paypal_test_webhook_id || '');
     setOidcEnabled(f.oidc_enabled === 'true');
     setOidcProviderName(f.oidc_provider_name || '');
     setOidcClientId(f.oidc_client_id || '');
@@ -123,12 +131,16 @@ const PaymentGatewayManager = () => {
       stripeSecretKey !== (f.stripe_secret_key || '') ||
       stripeTestPublishableKey !== (f.stripe_test_publishable_key || '') ||
       stripeTestSecretKey !== (f.stripe_test_secret_key || '') ||
+      stripeWebhookSecret !== (f.stripe_webhook_secret || '') ||
+      stripeTestWebhookSecret !== (f.stripe_test_webhook_secret || '') ||
       paypalEnabled !== (f.paypal_enabled === 'true') ||
       paypalTestMode !== (f.paypal_test_mode === 'true') ||
       paypalClientId !== (f.paypal_client_id || '') ||
       paypalClientSecret !== (f.paypal_client_secret || '') ||
       paypalTestClientId !== (f.paypal_test_client_id || '') ||
       paypalTestClientSecret !== (f.paypal_test_client_secret || '') ||
+      paypalWebhookId !== (f.paypal_webhook_id || '') ||
+      paypalTestWebhookId !== (f.paypal_test_webhook_id || '') ||
       oidcEnabled !== (f.oidc_enabled === 'true') ||
       oidcProviderName !== (f.oidc_provider_name || '') ||
       oidcClientId !== (f.oidc_client_id || '') ||
@@ -137,7 +149,7 @@ const PaymentGatewayManager = () => {
       googleEnabled !== (f.google_enabled === 'true') ||
       googleClientId !== (f.google_client_id || '') ||
       googleClientSecret !== (f.google_client_secret || '');
-  }, [stripeEnabled, stripeTestMode, stripePublishableKey, stripeSecretKey, stripeTestPublishableKey, stripeTestSecretKey, paypalEnabled, paypalTestMode, paypalClientId, paypalClientSecret, paypalTestClientId, paypalTestClientSecret, oidcEnabled, oidcProviderName, oidcClientId, oidcClientSecret, oidcBaseUrl, googleEnabled, googleClientId, googleClientSecret, fetchedSettings]);
+  }, [stripeEnabled, stripeTestMode, stripePublishableKey, stripeSecretKey, stripeTestPublishableKey, stripeTestSecretKey, stripeWebhookSecret, stripeTestWebhookSecret, paypalEnabled, paypalTestMode, paypalClientId, paypalClientSecret, paypalTestClientId, paypalTestClientSecret, paypalWebhookId, paypalTestWebhookId, oidcEnabled, oidcProviderName, oidcClientId, oidcClientSecret, oidcBaseUrl, googleEnabled, googleClientId, googleClientSecret, fetchedSettings]);
 
   const handleSave = () => {
     updateSettings.mutate([
@@ -147,12 +159,16 @@ const PaymentGatewayManager = () => {
       { key: 'stripe_secret_key', value: stripeSecretKey },
       { key: 'stripe_test_publishable_key', value: stripeTestPublishableKey },
       { key: 'stripe_test_secret_key', value: stripeTestSecretKey },
+      { key: 'stripe_webhook_secret', value: stripeWebhookSecret },
+      { key: 'stripe_test_webhook_secret', value: stripeTestWebhookSecret },
       { key: 'paypal_enabled', value: String(paypalEnabled) },
       { key: 'paypal_test_mode', value: String(paypalTestMode) },
       { key: 'paypal_client_id', value: paypalClientId },
       { key: 'paypal_client_secret', value: paypalClientSecret },
       { key: 'paypal_test_client_id', value: paypalTestClientId },
       { key: 'paypal_test_client_secret', value: paypalTestClientSecret },
+      { key: 'paypal_webhook_id', value: paypalWebhookId },
+      { key: 'paypal_test_webhook_id', value: paypalTestWebhookId },
       { key: 'oidc_enabled', value: String(oidcEnabled) },
       { key: 'oidc_provider_name', value: oidcProviderName },
       { key: 'oidc_client_id', value: oidcClientId },
@@ -167,10 +183,10 @@ const PaymentGatewayManager = () => {
     });
   };
 
-  const hasStripeLiveKeys = stripePublishableKey || stripeSecretKey;
-  const hasStripeTestKeys = stripeTestPublishableKey || stripeTestSecretKey;
-  const hasPaypalLiveKeys = paypalClientId || paypalClientSecret;
-  const hasPaypalTestKeys = paypalTestClientId || paypalTestClientSecret;
+  const hasStripeLiveKeys = stripePublishableKey || stripeSecretKey || stripeWebhookSecret;
+  const hasStripeTestKeys = stripeTestPublishableKey || stripeTestSecretKey || stripeTestWebhookSecret;
+  const hasPaypalLiveKeys = paypalClientId || paypalClientSecret || paypalWebhookId;
+  const hasPaypalTestKeys = paypalTestClientId || paypalTestClientSecret || paypalTestWebhookId;
 
   return (
     <div className="space-y-5">
@@ -216,6 +232,10 @@ const PaymentGatewayManager = () => {
                 <label className="block text-sm font-medium text-surface-600 mb-1">Test Secret Key</label>
                 <PasswordInput value={stripeTestSecretKey} onChange={(e) => setStripeTestSecretKey(e.target.value)} className="glass-input w-full pr-9" placeholder="sk_test_..." />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Test Webhook Signing Secret</label>
+                <PasswordInput value={stripeTestWebhookSecret} onChange={(e) => setStripeTestWebhookSecret(e.target.value)} className="glass-input w-full pr-9" placeholder="whsec_..." />
+              </div>
             </KeySection>
 
             <KeySection title="Live API Keys" open={showStripeLiveKeys} onToggle={() => setShowStripeLiveKeys(!showStripeLiveKeys)} hasKeys={hasStripeLiveKeys}>
@@ -231,7 +251,24 @@ const PaymentGatewayManager = () => {
                 <PasswordInput value={stripeSecretKey} onChange={(e) => setStripeSecretKey(e.target.value)} className="glass-input w-full pr-9" placeholder="sk_live_..." />
                 <p className="text-xs text-surface-500 mt-1">Stored securely on the server. Never exposed to the frontend.</p>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Webhook Signing Secret</label>
+                <PasswordInput value={stripeWebhookSecret} onChange={(e) => setStripeWebhookSecret(e.target.value)} className="glass-input w-full pr-9" placeholder="whsec_..." />
+              </div>
             </KeySection>
+
+            <div>
+              <label className="block text-sm font-medium text-surface-600 mb-1">Webhook URL</label>
+              <div className="flex gap-2">
+                <input type="text" value={`${window.location.origin}/api/stripe/webhook`} readOnly className="glass-input flex-1 text-surface-500" />
+                <button type="button" onClick={() => { navigator.clipboard.writeText(`${window.location.origin}/api/stripe/webhook`); toast({ title: 'Copied to clipboard' }); }} className="action-btn px-3">
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+              <p className="text-xs text-surface-500 mt-1">
+                Add this endpoint in your <a href="https://dashboard.stripe.com/webhooks" target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">Stripe Dashboard</a> &rarr; Webhooks with the events <code className="font-mono">payment_intent.succeeded</code>, <code className="font-mono">payment_intent.amount_capturable_updated</code>, <code className="font-mono">charge.refunded</code> and <code className="font-mono">charge.dispute.*</code>.
+              </p>
+            </div>
           </div>
         )}
       </div>
@@ -278,6 +315,10 @@ const PaymentGatewayManager = () => {
                 <label className="block text-sm font-medium text-surface-600 mb-1">Sandbox Client Secret</label>
                 <PasswordInput value={paypalTestClientSecret} onChange={(e) => setPaypalTestClientSecret(e.target.value)} className="glass-input w-full pr-9" placeholder="EL..." />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Sandbox Webhook ID</label>
+                <input type="text" value={paypalTestWebhookId} onChange={(e) => setPaypalTestWebhookId(e.target.value)} className="glass-input w-full" placeholder="8PT59735..." />
+              </div>
             </KeySection>
 
             <KeySection title="Live API Keys" open={showPaypalLiveKeys} onToggle={() => setShowPaypalLiveKeys(!showPaypalLiveKeys)} hasKeys={hasPaypalLiveKeys}>
@@ -293,7 +334,24 @@ const PaymentGatewayManager = () => {
                 <PasswordInput value={paypalClientSecret} onChange={(e) => setPaypalClientSecret(e.target.value)} className="glass-input w-full pr-9" placeholder="EL..." />
                 <p className="text-xs text-surface-500 mt-1">Stored securely on the server. Never exposed to the frontend.</p>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-surface-600 mb-1">Webhook ID</label>
+                <input type="text" value={paypalWebhookId} onChange={(e) => setPaypalWebhookId(e.target.value)} className="glass-input w-full" placeholder="8PT59735..." />
+              </div>
             </KeySection>
+
+            <div>
+              <label className="block text-sm font-medium text-surface-600 mb-1">Webhook URL</label>
+              <div className="flex gap-2">
+                <input type="text" value={`${window.location.origin}/api/paypal/webhook`} readOnly className="glass-input flex-1 text-surface-500" />
+                <button type="button" onClick={() => { navigator.clipboard.writeText(`${window.location.origin}/api/paypal/webhook`); toast({ title: 'Copied to clipboard' }); }} className="action-btn px-3">
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+              <p className="text-xs text-surface-500 mt-1">
+                Register this URL on your PayPal app with the events <code className="font-mono">PAYMENT.CAPTURE.COMPLETED</code>, <code className="font-mono">REFUNDED</code> and <code className="font-mono">REVERSED</code>, then paste the webhook ID above.
+              </p>
+            </div>
           </div>
         )}
       </div>
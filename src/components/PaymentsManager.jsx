@@ -0,0 +1,321 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  CreditCard, Search, X, Loader2, Download, FolderKanban, Receipt, ChevronRight,
+} from 'lucide-react';
+import { cn, fmtDate, formatDocNumber } from '@/lib/utils';
+import { toast } from '@/components/ui/use-toast';
+import { queryKeys } from '@/lib/queryKeys';
+import { useClientsCatalog } from '@/hooks/useAppData';
+import { useDebounce } from '@/hooks/useDebounce';
+import api from '@/lib/apiClient';
+import { formatMoney } from '@/lib/currency';
+
+const PAGE_SIZE = 50;
+
+const METHOD_STYLES = {
+  Stripe: 'bg-indigo-50 dark:bg-indigo-950/40 text-indigo-700 dark:text-indigo-300 border-indigo-200 dark:border-indigo-800/50',
+  PayPal: 'bg-sky-50 dark:bg-sky-950/40 text-sky-700 dark:text-sky-300 border-sky-200 dark:border-sky-800/50',
+  Cash: 'bg-emerald-50 dark:bg-emerald-950/40 text-emerald-700 dark:text-emerald-300 border-emerald-200 dark:border-emerald-800/50',
+};
+const DEFAULT_METHOD_STYLE = 'bg-surface-100 text-surface-600 border-surface-200';
+
+const clientLabel = (c) => c.displayName || [c.firstName, c.lastName].filter(Boolean).join(' ') || c.company || c.email;
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ─── Method Total Card ─────────────────────────────────────────────────────
+
+const MethodCard = ({ method, total, count, currency, active, onClick }) => (
+  <button
+    onClick={onClick}
+    className={cn(
+      'flex flex-col items-start rounded-xl border px-4 py-3.5 min-w-[calc(50%-6px)] shrink-0 sm:min-w-0 sm:shrink text-left transition-colors',
+      active ? 'border-surface-400 bg-surface-100' : 'border-surface-200/60 bg-[rgb(var(--glass-bg))] hover:border-surface-300',
+    )}
+  >
+    <p className="text-xl font-bold tabular-nums leading-none">{formatMoney(total, currency)}</p>
+    <p className="text-[11px] text-muted-foreground mt-1 whitespace-nowrap">
+      {method} · {count} payment{count !== 1 ? 's' : ''}
+    </p>
+  </button>
+);
+
+// ─── Payment Row ───────────────────────────────────────────────────────────
+
+const PaymentRow = React.memo(({ payment, onOpenInvoice }) => (
+  <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+    <button onClick={() => onOpenInvoice(payment)} className="list-card w-full text-left p-3 px-3.5 sm:p-3.5 sm:px-4 group">
+      <div className="flex items-center gap-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-surface-800 dark:text-surface-900 truncate">{payment.clientName || 'Unknown client'}</span>
+          </div>
+          <div className="flex items-center gap-2 mt-1 min-w-0">
+            <span className="text-xs text-surface-500 tabular-nums shrink-0">
+              {payment.paymentDate ? fmtDate(payment.paymentDate, { month: 'short', day: 'numeric', year: 'numeric' }) : '—'}
+            </span>
+            <span className={cn('inline-flex items-center text-[10px] font-medium px-1.5 py-0.5 rounded border shrink-0', METHOD_STYLES[payment.method] || DEFAULT_METHOD_STYLE)}>
+              {payment.method}
+            </span>
+            {payment.creditNoteId && (
+              <span className="inline-flex items-center text-[10px] font-medium px-1.5 py-0.5 rounded border shrink-0 bg-rose-50 dark:bg-rose-950/40 text-rose-700 dark:text-rose-300 border-rose-200 dark:border-rose-800/50">
+                Refund
+              </span>
+            )}
+            <span className="flex items-center gap-1 text-xs text-surface-400 shrink-0">
+              <Receipt className="w-3 h-3" /> #{formatDocNumber(payment.invoiceNumber, payment.displayNumber)}
+            </span>
+            {payment.projectTitle && (
+              <span className="flex items-center gap-1 text-xs text-surface-400 truncate">
+                <FolderKanban className="w-3 h-3 shrink-0" />
+                <span className="truncate">{payment.projectTitle}</span>
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="w-px self-stretch bg-surface-200 dark:bg-surface-300/50" />
+
+        <div className="shrink-0 text-right min-w-[72px]">
+          <span className="text-[15px] font-semibold tabular-nums leading-tight text-surface-900 dark:text-surface-950">
+            {formatMoney(payment.amount, payment.currency)}
+          </span>
+        </div>
+        <ChevronRight className="w-4 h-4 text-surface-300 shrink-0 hidden sm:block" />
+      </div>
+    </button>
+  </motion.div>
+));
+
+// ─── Main Component ────────────────────────────────────────────────────────
+
+const PaymentsManager = () => {
+  const navigate = useNavigate();
+  const [searchTerm, setSearchTerm] = useState('');
+  const debouncedSearch = useDebounce(searchTerm, 300);
+  const [method, setMethod] = useState('');
+  const [clientId, setClientId] = useState('');
+  const [projectId, setProjectId] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const sentinelRef = useRef(null);
+
+  const filters = { search: debouncedSearch, method, clientId, projectId, startDate, endDate };
+  const params = Object.fromEntries(Object.entries(filters).map(([k, v]) => [k, v || undefined]));
+
+  const { data: clients = [] } = useClientsCatalog();
+  const { data: projectsData } = useQuery({
+    queryKey: queryKeys.projects.catalog(),
+    queryFn: () => api.get('/projects', { pageSize: 200, orderBy: 'title', asc: 'true' }),
+  });
+  const projects = projectsData?.data || [];
+
+  const {
+    data,
+    error,
+    isLoading,
+    isFetchingNextPage,
+    hasNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery({
+    queryKey: queryKeys.payments.list(filters),
+    queryFn: ({ pageParam = 0 }) => api.get('/payments', { ...params, page: pageParam, pageSize: PAGE_SIZE }),
+    getNextPageParam: (lastPage, allPages) => {
+      const totalFetched = allPages.reduce((sum, p) => sum + (p.data?.length || 0), 0);
+      return totalFetched < (lastPage.count || 0) ? allPages.length : undefined;
+    },
+    initialPageParam: 0,
+    staleTime: 60_000,
+  });
+
+  const payments = data?.pages.flatMap(p => p.data || []) ?? [];
+  const firstPage = data?.pages[0];
+  const totalCount = firstPage?.count || 0;
+  const totals = firstPage?.totals || { total: 0, byMethod: [] };
+  const methods = firstPage?.methods || [];
+  const baseCurrency = firstPage?.currency;
+
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => { if (entry.isIntersecting && hasNextPage && !isFetchingNextPage) fetchNextPage(); },
+      { rootMargin: '200px' }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const clearFilters = () => {
+    setSearchTerm(''); setMethod(''); setClientId(''); setProjectId(''); setStartDate(''); setEndDate('');
+  };
+
+  const handleOpenInvoice = useCallback((p) => navigate(`/invoices/${p.invoiceId}`), [navigate]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const result = await api.get('/payments/export', params);
+      const rows = result.data || [];
+      const headers = ['date', 'client', 'invoice_number', 'project', 'method', 'amount', 'currency', 'reference'];
+      const lines = rows.map(r => [
+        r.paymentDate ? new Date(r.paymentDate).toISOString().slice(0, 10) : '',
+        r.clientName,
+        formatDocNumber(r.invoiceNumber, r.displayNumber),
+        r.projectTitle,
+        r.method,
+        (r.amount || 0).toFixed(2),
+        r.currency,
+        r.stripePaymentIntentId || r.paypalOrderId || '',
+      ].map(csvCell).join(','));
+      const blob = new Blob([headers.join(',') + '\n' + lines.join('\n')], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payments_${startDate || 'all'}_${endDate || 'today'}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      toast({ title: 'Export complete!', description: `${rows.length} payment${rows.length !== 1 ? 's' : ''} exported.` });
+    } catch (err) {
+      toast({ title: 'Export failed', description: err.message, variant: 'destructive' });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (error?.status === 403) {
+    return (
+      <div className="text-center py-20 text-surface-500">You do not have permission to view payments.</div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-surface-100 flex items-center justify-center">
+            <CreditCard className="w-5 h-5 text-surface-400" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Payments</h1>
+            <p className="text-surface-400 text-sm">All money received across invoices</p>
+          </div>
+        </div>
+        <button onClick={handleExport} disabled={isExporting || totalCount === 0} className="action-btn action-btn--secondary">
+          {isExporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />} Export CSV
+        </button>
+      </div>
+
+      {/* Totals per method */}
+      {firstPage && (
+        <div className="space-y-2">
+          <div className="flex items-baseline gap-2">
+            <span className="text-2xl font-bold tabular-nums">{formatMoney(totals.total, baseCurrency)}</span>
+            <span className="text-xs text-surface-400">received{hasFilters ? ' (filtered)' : ''}</span>
+          </div>
+          {totals.byMethod.length > 0 && (
+            <div className="flex gap-3 overflow-x-auto scrollbar-hide sm:grid sm:grid-cols-4 sm:overflow-visible">
+              {totals.byMethod.map(m => (
+                <MethodCard
+                  key={m.method}
+                  {...m}
+                  currency={baseCurrency}
+                  active={method === m.method}
+                  onClick={() => setMethod(method === m.method ? '' : m.method)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="space-y-2">
+        <div className="space-y-2 sm:space-y-0 sm:flex sm:items-center sm:gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+              className="glass-input w-full pl-9 pr-8 text-sm"
+              placeholder="Search client or invoice #..."
+            />
+            {searchTerm && (
+              <button onClick={() => setSearchTerm('')} className="absolute right-3 top-1/2 -translate-y-1/2">
+                <X className="w-3.5 h-3.5 text-surface-400" />
+              </button>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <input type="date" value={startDate} onChange={e => setStartDate(e.target.value)} className="glass-input text-sm flex-1 sm:w-auto" aria-label="From date" />
+            <span className="text-xs text-surface-400">to</span>
+            <input type="date" value={endDate} onChange={e => setEndDate(e.target.value)} className="glass-input text-sm flex-1 sm:w-auto" aria-label="To date" />
+          </div>
+        </div>
+        <div className="flex items-center gap-2 sm:gap-3">
+          <select value={method} onChange={e => setMethod(e.target.value)} className="glass-input text-sm flex-1 sm:flex-none sm:w-auto">
+            <option value="">All Methods</option>
+            {methods.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <select value={clientId} onChange={e => setClientId(e.target.value)} className="glass-input text-sm flex-1 sm:flex-none sm:w-48">
+            <option value="">All Clients</option>
+            {clients.map(c => <option key={c.id} value={c.id}>{clientLabel(c)}</option>)}
+          </select>
+          <select value={projectId} onChange={e => setProjectId(e.target.value)} className="glass-input text-sm flex-1 sm:flex-none sm:w-48">
+            <option value="">All Projects</option>
+            {projects.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+          </select>
+          {hasFilters && (
+            <button onClick={clearFilters} className="text-xs text-surface-500 hover:text-surface-700 whitespace-nowrap">Clear</button>
+          )}
+        </div>
+      </div>
+
+      {/* List */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader2 className="w-8 h-8 animate-spin text-primary" />
+        </div>
+      ) : payments.length === 0 ? (
+        <div className="text-center py-20">
+          <div className="w-16 h-16 rounded-2xl bg-surface-100 flex items-center justify-center mx-auto mb-4">
+            <CreditCard className="w-8 h-8 text-surface-400" />
+          </div>
+          <h3 className="text-lg font-semibold text-surface-700 mb-1">No payments found</h3>
+          <p className="text-surface-400 text-sm">{hasFilters ? 'Try adjusting your filters.' : 'Payments recorded on invoices will appear here.'}</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-surface-400">{totalCount} payment{totalCount !== 1 ? 's' : ''}</p>
+          <div className="space-y-2">
+            <AnimatePresence>
+              {payments.map(p => (
+                <PaymentRow key={p.id} payment={p} onOpenInvoice={handleOpenInvoice} />
+              ))}
+            </AnimatePresence>
+          </div>
+          <div ref={sentinelRef} className="h-1" />
+          {isFetchingNextPage && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-surface-400" />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaymentsManager;
@@ -5,7 +5,7 @@ import { motion, useMotionValue, animate, AnimatePresence } from 'framer-motion'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { queryKeys } from '@/lib/queryKeys';
 import api from '@/lib/apiClient';
-import { cn, fmtDate, fmtTime, tzDate, formatPhoneNumber } from '@/lib/utils';
+import { cn, fmtDate, fmtTime, tzDate, formatPhoneNumber, formatDocNumber } from '@/lib/utils';
 import { useUpdateProject, useCreateProjectNote, useUpdateProjectNote, useDeleteProjectNote, useDeleteProjectPermanently } from '@/hooks/useMutations';
 import {
   ChevronLeft, ChevronDown, MapPin, Calendar, User2,
@@ -28,7 +28,6 @@ import { useProjectRoles } from '@/lib/projectRoles';
 import { TEAM_ROLE_LABELS } from '@/lib/teamRoles';
 
 const formatCurrency = (amount) => '$' + (parseFloat(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-const formatDocNumber = (num) => '#' + String(num).padStart(5, '0');
 
 function formatDate(d) {
   if (!d) return '—';
@@ -137,7 +136,7 @@ const OverviewTab = ({ project, isPrivileged, canSeePrices }) => {
   const expenses = project.expenses || [];
 
   // Financial calculations
-  const totalInvoiced = invoices.reduce((sum, inv) => sum + (inv.total || 0), 0);
+  const totalInvoiced = invoices.reduce((sum, inv) => sum + (inv.total || 0) - (inv.creditedAmount || 0), 0);
   const totalPaid = invoices.reduce((sum, inv) => sum + (inv.paidAmount || 0), 0);
   const totalCredits = expenses.filter(e => e.type === 'credit').reduce((sum, e) => sum + (e.amount || 0), 0);
   const totalCosts = expenses.filter(e => e.type !== 'credit').reduce((sum, e) => sum + (e.amount || 0), 0);
@@ -494,7 +493,7 @@ const QuotesTab = ({ quotes, navigate, isPrivileged, project }) => {
               </div>
               <div className="min-w-0 flex-1">
                 <p className="text-[13px] font-medium text-surface-800 leading-tight">
-                  {formatDocNumber(q.quoteNumber)}
+                  #{formatDocNumber(q.quoteNumber, q.displayNumber)}
                   {q.clientName && <span className="text-surface-400 font-normal ml-1.5">{q.clientName}</span>}
                 </p>
                 <p className="text-[11px] text-surface-400 leading-tight mt-0.5">{formatDate(q.createdAt)}</p>
@@ -858,7 +857,7 @@ const InvoicesTab = ({ invoices, navigate, isPrivileged, project }) => {
                   </div>
                   <div className="min-w-0 flex-1">
                     <div className="flex items-center gap-2">
-                      <p className="text-[13px] font-medium text-surface-800 leading-tight">{formatDocNumber(inv.invoiceNumber)}</p>
+                      <p className="text-[13px] font-medium text-surface-800 leading-tight">#{formatDocNumber(inv.invoiceNumber, inv.displayNumber)}</p>
                       <span className={`chip ${invoiceStatusColors[inv.status] || ''} text-[10px] capitalize`}>{inv.status}</span>
                     </div>
                     <p className="text-[11px] text-surface-400 leading-tight mt-0.5">
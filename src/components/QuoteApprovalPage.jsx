@@ -1,7 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
-import { CheckCircle2, AlertCircle, Loader2, CreditCard, Mail, CalendarCheck, Sparkles } from 'lucide-react';
+import { CheckCircle2, AlertCircle, Loader2, CreditCard, Mail, CalendarCheck, CalendarX, Sparkles, MessageSquare } from 'lucide-react';
+import { formatMoney } from '@/lib/currency';
+import { cn, fmtDate } from '@/lib/utils';
+import { isIncludedItem, optionGroupName, quoteTotalsFor } from '@/lib/quoteOptions';
 
 const API_BASE = window.location.origin;
 
@@ -13,25 +16,60 @@ async function apiFetch(path, options = {}) {
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({ error: 'Request failed' }));
-    throw new Error(err.error || `HTTP ${res.status}`);
+    throw Object.assign(new Error(err.error || `HTTP ${res.status}`), { status: res.status });
   }
   return res.json();
 }
 
+const revisionLabel = (revision) => revision?.number
+  ? `Revision ${revision.number}${revision.sentAt ? ` · sent ${fmtDate(revision.sentAt, { month: 'short', day: 'numeric', year: 'numeric' })}` : ''}`
+  : null;
+
+const initialPicks = (quote) => Object.fromEntries(quote.items.filter(item => item.optionType).map(item => [item.id, isIncludedItem(item)]));
+
+// Line items in quote order, with each group of alternatives gathered where its first item sits
+function reviewLines(items) {
+  const seen = new Set();
+  const lines = [];
+  for (const item of items) {
+    if (item.optionType !== 'alternative') {
+      lines.push({ key: item.id, item });
+      continue;
+    }
+    const group = optionGroupName(item);
+    if (seen.has(group)) continue;
+    seen.add(group);
+    lines.push({ key: `group:${group}`, group, items: items.filter(i => i.optionType === 'alternative' && optionGroupName(i) === group) });
+  }
+  return lines;
+}
+
 const QuoteApprovalPage = () => {
   const { token } = useParams();
-  const [state, setState] = useState('loading'); // loading | success | already_approved | error
+  const [state, setState] = useState('loading'); // loading | review | success | already_approved | expired | error
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
+  const [picks, setPicks] = useState({});
+  const [approving, setApproving] = useState(false);
+  const [approveError, setApproveError] = useState(null);
+  const [requestingChanges, setRequestingChanges] = useState(false);
+  const [changeMessage, setChangeMessage] = useState('');
+  const [sendingChanges, setSendingChanges] = useState(false);
+  const [changesError, setChangesError] = useState(null);
 
   useEffect(() => {
     let cancelled = false;
     (async () => {
       try {
-        const res = await apiFetch(`/api/approve/${token}`, { method: 'POST' });
+        const res = await apiFetch(`/api/approve/${token}`);
         if (cancelled) return;
         setData(res);
-        setState(res.alreadyApproved ? 'already_approved' : 'success');
+        if (res.expired) {
+          setState('expired');
+          return;
+        }
+        setPicks(initialPicks(res.quote));
+        setState(res.alreadyApproved ? 'already_approved' : 'review');
       } catch (err) {
         if (cancelled) return;
         setError(err.message);
@@ -41,6 +79,55 @@ const QuoteApprovalPage = () => {
     return () => { cancelled = true; };
   }, [token]);
 
+  const items = data?.quote?.items || [];
+  const hasOptions = items.some(item => item.optionType);
+  const lines = useMemo(() => reviewLines(items), [items]);
+  const totals = useMemo(() => (data && hasOptions ? quoteTotalsFor(data.quote, picks) : data?.quote), [data, hasOptions, picks]);
+
+  const toggleOptional = (id) => setPicks(prev => ({ ...prev, [id]: !prev[id] }));
+  const chooseAlternative = (group, id) => setPicks(prev => ({
+    ...prev,
+    ...Object.fromEntries(group.map(item => [item.id, item.id === id])),
+  }));
+
+  const handleApprove = async () => {
+    setApproving(true);
+    setApproveError(null);
+    try {
+      const selectedItemIds = Object.keys(picks).filter(id => picks[id]);
+      const res = await apiFetch(`/api/approve/${token}`, { method: 'POST', body: { selectedItemIds, fingerprint: data.quote.revision?.fingerprint } });
+      setData(res);
+      setState(res.alreadyApproved ? 'already_approved' : 'success');
+    } catch (err) {
+      setApproveError(err.message);
+      // Edited while the client was reviewing: show them the new revision
+      if (err.status === 409) {
+        const res = await apiFetch(`/api/approve/${token}`).catch(() => null);
+        if (res?.quote?.items) {
+          setData(res);
+          setPicks(initialPicks(res.quote));
+        }
+      }
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const handleRequestChanges = async () => {
+    setSendingChanges(true);
+    setChangesError(null);
+    try {
+      const res = await apiFetch(`/api/approve/${token}/changes`, { method: 'POST', body: { message: changeMessage } });
+      setData(prev => ({ ...prev, quote: { ...prev.quote, ...res } }));
+      setChangeMessage('');
+      setRequestingChanges(false);
+    } catch (err) {
+      setChangesError(err.message);
+    } finally {
+      setSendingChanges(false);
+    }
+  };
+
   const logoUrl = data?.branding?.loginLogoUrl || data?.branding?.headerLogoUrl;
 
   const pageTitle = data?.branding
@@ -50,8 +137,7 @@ const QuoteApprovalPage = () => {
     ? (data.branding.faviconUrl.startsWith('/') ? `${API_BASE}${data.branding.faviconUrl}` : data.branding.faviconUrl)
     : null;
 
-  const formatCurrency = (n) => `$${(n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  const padNumber = (n) => String(n).padStart(5, '0');
+  const formatCurrency = (n) => formatMoney(n, data?.quote?.currency);
 
   const handlePayNow = () => {
     if (data?.invoice?.paymentToken) {
@@ -73,7 +159,7 @@ const QuoteApprovalPage = () => {
       </Helmet>
       <div className="min-h-screen bg-surface-50 flex flex-col">
         <div className="flex-1 flex items-center justify-center p-4">
-          <div className="w-full max-w-md">
+          <div className={cn('w-full', state === 'review' ? 'max-w-lg' : 'max-w-md')}>
             {/* Logo */}
             {logoUrl && (
               <div className="flex justify-center mb-6">
@@ -90,7 +176,135 @@ const QuoteApprovalPage = () => {
               {state === 'loading' && (
                 <div className="flex flex-col items-center gap-4 py-8">
                   <Loader2 className="w-10 h-10 text-accent animate-spin" />
-                  <p className="text-surface-600 text-sm">Confirming your quote...</p>
+                  <p className="text-surface-600 text-sm">Loading your quote...</p>
+                </div>
+              )}
+
+              {/* Review — pick options, then approve */}
+              {state === 'review' && data && (
+                <div className="space-y-5">
+                  <div className="flex flex-col items-center gap-1 pt-2">
+                    <h1 className="text-xl font-bold text-foreground">Quote #{data.quote.number}</h1>
+                    {revisionLabel(data.quote.revision) && (
+                      <p className="text-xs text-muted-foreground">{revisionLabel(data.quote.revision)}</p>
+                    )}
+                    <p className="text-sm text-muted-foreground text-center leading-relaxed">
+                      {hasOptions ? 'Choose your options below, then approve your quote.' : 'Review your quote below, then approve it to get started.'}
+                    </p>
+                  </div>
+
+                  {/* Line items */}
+                  <div className="rounded-lg border border-border/60 divide-y divide-border/60 overflow-hidden">
+                    {lines.map(line => line.group ? (
+                      <div key={line.key} className="px-4 py-3 space-y-2">
+                        <p className="text-xs font-semibold text-muted-foreground uppercase tracking-wider">{line.group} · choose one</p>
+                        {line.items.map(item => (
+                          <label key={item.id} className="flex items-start gap-3 cursor-pointer">
+                            <input type="radio" name={line.key} checked={!!picks[item.id]} onChange={() => chooseAlternative(line.items, item.id)} className="mt-1 shrink-0" />
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm font-medium text-foreground">{item.name}</p>
+                              {item.description && <p className="text-xs text-muted-foreground whitespace-pre-wrap">{item.description}</p>}
+                            </div>
+                            <span className="text-sm tabular-nums text-foreground shrink-0">{formatCurrency(item.total)}</span>
+                          </label>
+                        ))}
+                      </div>
+                    ) : (
+                      <label key={line.key} className={cn('flex items-start gap-3 px-4 py-3', line.item.optionType && 'cursor-pointer')}>
+                        {line.item.optionType === 'optional' && (
+                          <input type="checkbox" checked={!!picks[line.item.id]} onChange={() => toggleOptional(line.item.id)} className="mt-1 shrink-0" />
+                        )}
+                        <div className={cn('flex-1 min-w-0', line.item.optionType && !picks[line.item.id] && 'opacity-60')}>
+                          <p className="text-sm font-medium text-foreground">
+                            {line.item.name}
+                            {line.item.optionType === 'optional' && <span className="ml-2 text-[10px] font-semibold uppercase tracking-wider text-accent">Add-on</span>}
+                          </p>
+                          {line.item.description && <p className="text-xs text-muted-foreground whitespace-pre-wrap">{line.item.description}</p>}
+                        </div>
+                        <span className={cn('text-sm tabular-nums shrink-0', line.item.type === 'discount' ? 'text-green-600' : 'text-foreground')}>
+                          {line.item.type === 'discount' ? `- ${formatCurrency(Math.abs(line.item.total))}` : formatCurrency(line.item.total)}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+
+                  {/* Totals */}
+                  <div className="rounded-lg bg-surface-100/80 px-4 py-3 space-y-1.5 text-sm">
+                    <div className="flex justify-between text-muted-foreground"><span>Subtotal</span><span className="tabular-nums">{formatCurrency(totals.subtotal)}</span></div>
+                    {totals.discountAmount > 0 && (
+                      <div className="flex justify-between text-muted-foreground"><span>Discount</span><span className="tabular-nums">- {formatCurrency(totals.discountAmount)}</span></div>
+                    )}
+                    {totals.tax > 0 && (
+                      <div className="flex justify-between text-muted-foreground"><span>Tax</span><span className="tabular-nums">{formatCurrency(totals.tax)}</span></div>
+                    )}
+                    <div className="flex justify-between font-semibold text-foreground pt-1"><span>Total</span><span className="tabular-nums">{formatCurrency(totals.total)}</span></div>
+                  </div>
+
+                  {approveError && (
+                    <p className="text-xs text-red-500 text-center">{approveError}</p>
+                  )}
+
+                  <button
+                    onClick={handleApprove}
+                    disabled={approving}
+                    className="action-btn w-full py-3 text-base flex items-center justify-center gap-2"
+                  >
+                    {approving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle2 className="w-4 h-4" />}
+                    Approve Quote — {formatCurrency(totals.total)}
+                  </button>
+
+                  {/* Request changes — starts or continues the conversation about this quote */}
+                  {data.quote.comments?.length > 0 && (
+                    <div className="space-y-2">
+                      <p className="text-xs font-semibold text-muted-foreground uppercase tracking-wider">Conversation</p>
+                      {data.quote.comments.map(c => (
+                        <div key={c.id} className={cn('rounded-lg px-3 py-2', c.fromClient ? 'bg-accent/10 ml-6' : 'bg-surface-100 mr-6')}>
+                          <p className="text-[11px] text-muted-foreground mb-0.5">
+                            {c.fromClient ? 'You' : (c.authorName || data.branding.companyName)} · {fmtDate(c.createdAt, { month: 'short', day: 'numeric' })}
+                          </p>
+                          <p className="text-sm text-foreground whitespace-pre-wrap">{c.body}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {data.quote.changesRequestedAt && !requestingChanges && (
+                    <p className="text-xs text-muted-foreground text-center">
+                      Thanks — we've received your request and will send you a revised quote.
+                    </p>
+                  )}
+                  {requestingChanges ? (
+                    <div className="space-y-2">
+                      <textarea
+                        value={changeMessage}
+                        onChange={(e) => setChangeMessage(e.target.value)}
+                        placeholder="What would you like us to change?"
+                        className="glass-textarea w-full"
+                        rows={4}
+                        maxLength={2000}
+                        autoFocus
+                      />
+                      {changesError && <p className="text-xs text-red-500 text-center">{changesError}</p>}
+                      <div className="flex gap-2">
+                        <button onClick={() => setRequestingChanges(false)} className="action-btn action-btn--secondary flex-1">Cancel</button>
+                        <button
+                          onClick={handleRequestChanges}
+                          disabled={sendingChanges || !changeMessage.trim()}
+                          className="action-btn flex-1 flex items-center justify-center gap-2"
+                        >
+                          {sendingChanges && <Loader2 className="w-4 h-4 animate-spin" />}
+                          Send Request
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setRequestingChanges(true)}
+                      className="action-btn action-btn--secondary w-full flex items-center justify-center gap-2"
+                    >
+                      <MessageSquare className="w-4 h-4" />
+                      {data.quote.changesRequestedAt ? 'Request More Changes' : 'Request Changes'}
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -122,7 +336,7 @@ const QuoteApprovalPage = () => {
                         <div>
                           <p className="text-sm font-medium text-foreground">Invoice on its way</p>
                           <p className="text-xs text-muted-foreground">
-                            We've created Invoice #{padNumber(data.invoice.number)} and it's being sent to your email now.
+                            We've created Invoice #{data.invoice.number} and it's being sent to your email now.
                           </p>
                         </div>
                       </div>
@@ -158,7 +372,7 @@ const QuoteApprovalPage = () => {
 
                   {/* Quote summary */}
                   <div className="rounded-lg bg-surface-100/80 px-4 py-3 flex items-center justify-between">
-                    <span className="text-sm text-muted-foreground">Quote #{padNumber(data.quote.number)} Total</span>
+                    <span className="text-sm text-muted-foreground">Quote #{data.quote.number}{data.quote.revision?.number ? ` · Rev. ${data.quote.revision.number}` : ''} Total</span>
                     <span className="text-sm font-semibold text-foreground">{formatCurrency(data.quote.total)}</span>
                   </div>
 
@@ -191,8 +405,11 @@ const QuoteApprovalPage = () => {
                     <h1 className="text-xl font-bold text-foreground">Already Approved</h1>
                     <p className="text-sm text-muted-foreground text-center leading-relaxed">
                       Great news — this quote has already been approved!
-                      Invoice #{padNumber(data.invoice.number)} was created and sent to your email.
+                      Invoice #{data.invoice.number} was created and sent to your email.
                     </p>
+                    {data.quote.revision?.number && (
+                      <p className="text-xs text-muted-foreground">Revision {data.quote.revision.number} approved</p>
+                    )}
                   </div>
 
                   {/* Pay Now button */}
@@ -208,6 +425,29 @@ const QuoteApprovalPage = () => {
                 </div>
               )}
 
+              {/* Expired */}
+              {state === 'expired' && data && (
+                <div className="flex flex-col items-center gap-4 py-6">
+                  <div className="w-16 h-16 rounded-full bg-amber-500/10 flex items-center justify-center">
+                    <CalendarX className="w-9 h-9 text-amber-500" />
+                  </div>
+                  <h1 className="text-xl font-bold text-foreground">This Quote Has Expired</h1>
+                  <p className="text-sm text-muted-foreground text-center leading-relaxed">
+                    Quote #{data.quote.number} was valid until {fmtDate(data.quote.validUntil, { year: 'numeric', month: 'long', day: 'numeric' })}.
+                    Prices and availability may have changed since — get in touch and we'll put together a new quote for you.
+                  </p>
+                  {data.branding?.companyEmail && (
+                    <a
+                      href={`mailto:${data.branding.companyEmail}?subject=${encodeURIComponent(`New quote request (Quote #${data.quote.number})`)}`}
+                      className="action-btn w-full py-3 text-base flex items-center justify-center gap-2"
+                    >
+                      <Mail className="w-4 h-4" />
+                      Request a New Quote
+                    </a>
+                  )}
+                </div>
+              )}
+
               {/* Error */}
               {state === 'error' && (
                 <div className="flex flex-col items-center gap-4 py-6">
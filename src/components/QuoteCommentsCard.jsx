@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { MessagesSquare, Loader2, Send } from 'lucide-react';
+import api from '@/lib/apiClient';
+import { queryKeys } from '@/lib/queryKeys';
+import { useAddQuoteComment } from '@/hooks/useMutations';
+import { cn, fmtDate } from '@/lib/utils';
+
+/**
+ * The thread with the client on a quote: changes they asked for on the approval
+ * page, and replies, which the client sees there too. Hidden until the client writes.
+ */
+const QuoteCommentsCard = ({ quote }) => {
+  const { data } = useQuery({
+    queryKey: queryKeys.quotes.comments(quote.id),
+    queryFn: () => api.get(`/quotes/${quote.id}/comments`),
+  });
+  const addComment = useAddQuoteComment();
+  const [reply, setReply] = useState('');
+  const comments = data?.data || [];
+  if (comments.length === 0) return null;
+
+  const handleReply = () => {
+    if (!reply.trim()) return;
+    addComment.mutate({ quoteId: quote.id, body: reply.trim() }, { onSuccess: () => setReply('') });
+  };
+
+  return (
+    <div className="glass-card p-4">
+      <h4 className="text-lg font-semibold flex items-center gap-2 mb-3">
+        <MessagesSquare className="w-4 h-4 text-surface-400" /> Client Comments
+      </h4>
+      {quote.changesRequestedAt && (
+        <p className="text-xs text-orange-400 mb-3">
+          Changes requested {fmtDate(quote.changesRequestedAt, { month: 'short', day: 'numeric' })}. Email the revised quote to let the client know.
+        </p>
+      )}
+      <div className="space-y-2">
+        {comments.map(c => (
+          <div key={c.id} className={cn('p-3 rounded-lg', c.fromClient ? 'bg-orange-500/10' : 'bg-surface-100 ml-6')}>
+            <p className="text-[11px] text-surface-500 mb-1">
+              {c.authorName || (c.fromClient ? 'Client' : 'Team')}
+              {c.revision ? ` · on Rev. ${c.revision}` : ''}
+              {' · '}{fmtDate(c.createdAt, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+            </p>
+            <p className="text-sm whitespace-pre-wrap">{c.body}</p>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-end gap-2 mt-3">
+        <textarea value={reply} onChange={(e) => setReply(e.target.value)} placeholder="Reply to the client..." className="glass-textarea flex-1" rows={2} maxLength={2000} />
+        <button type="button" onClick={handleReply} disabled={!reply.trim() || addComment.isPending} className="action-btn h-10">
+          {addComment.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteCommentsCard;
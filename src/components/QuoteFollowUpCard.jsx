@@ -0,0 +1,54 @@
+import React from 'react';
+import { FOLLOW_UP_PLACEHOLDERS } from '@/lib/reminders';
+
+/**
+ * The automatic quote follow-up: one email a set number of days after a quote
+ * was first sent, unless the client has opened or approved it or it has expired.
+ */
+const QuoteFollowUpCard = ({ value, onChange }) => {
+  const update = (patch) => onChange({ ...value, ...patch });
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-surface-800">Quote Follow-Up</h3>
+          <p className="text-sm text-surface-400 mt-1">
+            Emailed once, the morning it falls due, to clients who haven't opened or approved a quote yet. Quote owners are notified when a quote passes its valid-until date.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <input
+            type="checkbox"
+            id="follow-up-enabled"
+            checked={value.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4 rounded border-surface-300 bg-white text-blue-500 focus:ring-blue-500/50"
+          />
+          <label htmlFor="follow-up-enabled" className="text-sm font-medium text-surface-600">Enabled</label>
+        </div>
+      </div>
+
+      {value.enabled && (
+        <>
+          <div className="flex flex-wrap gap-1.5">
+            {FOLLOW_UP_PLACEHOLDERS.map(p => (
+              <code key={p} className="bg-surface-100 text-surface-600 px-1.5 py-0.5 rounded text-xs">{p}</code>
+            ))}
+          </div>
+
+          <div className="flat-card p-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <input type="number" inputMode="numeric" min="1" step="1" value={value.days} onChange={e => update({ days: Math.max(1, parseInt(e.target.value, 10) || 1) })} className="glass-input w-20" />
+              <span className="text-sm text-surface-600">days after the quote was sent</span>
+            </div>
+            <input value={value.subject} onChange={e => update({ subject: e.target.value })} className="glass-input w-full" placeholder="Subject line" />
+            <textarea value={value.body} onChange={e => update({ body: e.target.value })} className="glass-textarea w-full" rows={5} placeholder="Message" />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuoteFollowUpCard;
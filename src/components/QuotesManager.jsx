@@ -7,12 +7,14 @@ import api from '@/lib/apiClient';
 import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
 import { queryKeys } from '@/lib/queryKeys';
 import { useCreateQuote, useUpdateQuote, useDeleteQuote, useBulkDeleteQuotes, useCreateInvoice, useCreateClient, useUpdateClient } from '@/hooks/useMutations';
-import { useClientsCatalog, useProductsCatalog, useSettings } from '@/hooks/useAppData';
+import { useClientsCatalog, useProductsCatalog, useSettings, useTaxRates } from '@/hooks/useAppData';
 import { useProjectTypes } from '@/lib/projectTypes';
 import { useAuth } from '@/contexts/AuthContext';
 import { Trash2, DollarSign, Loader2, Search, ChevronLeft, ChevronRight, Plus, X, Save, Zap, Percent, Tag, ChevronsUpDown, Check, FileText, Edit, CheckSquare, Mail, Printer, ArrowUpDown, ChevronDown, ExternalLink, Clock, PenLine, GripVertical, MapPin, Car, Calendar, FolderKanban } from 'lucide-react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
-import { resolveEffectiveTaxRate } from '@/lib/taxRateResolver';
+import { resolveEffectiveTaxRate, isTaxExempt, itemTaxRates, sumRates, taxBreakdown } from '@/lib/taxRateResolver';
+import { OPTION_TYPES, isIncludedItem, optionGroupName, withDefaultChoices } from '@/lib/quoteOptions';
+import ItemTaxRatesPicker from '@/components/ItemTaxRatesPicker';
 import { useDebounce } from '@/hooks/useDebounce';
 import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
@@ -20,7 +22,12 @@ import { Button } from "@/components/ui/button";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
-import { cn, groupByCategory, fmtDate, tzDate, toDateInput } from "@/lib/utils";
+import { cn, groupByCategory, fmtDate, tzDate, toDateInput, formatDocNumber } from "@/lib/utils";
+import { formatMoney, currencySymbol } from '@/lib/currency';
+import CurrencyFields from '@/components/CurrencyFields';
+import DocumentViewInfo from '@/components/DocumentViewInfo';
+import RevisionsCard from '@/components/RevisionsCard';
+import QuoteCommentsCard from '@/components/QuoteCommentsCard';
 
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Tabs, TabsContent } from "@/components/ui/tabs";
@@ -89,6 +96,9 @@ const QuoteItemRow = ({ item, children }) => {
   );
 };
 
+// Good through the whole of its valid-until day — mirrors isQuoteExpired in server/lib/quoteFollowUps.ts
+const isQuoteExpired = (quote) => !!quote.validUntil && !quote.approvedAt && new Date(toDateInput(quote.validUntil) + 'T23:59:59') < new Date();
+
 const fmt = (n) => parseFloat(n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
 const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEmail, onPrint, onCreateInvoice, clientToPreload, projectToPreload, onSwitchToBuilder, onNewQuoteRequest, navigate }) => {
@@ -131,14 +141,21 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     staleTime: 60_000,
   });
   const [terms, setTerms] = useState('');
+  const [validUntil, setValidUntil] = useState('');
+  const validDays = parseInt(appData.settings?.quote_valid_days, 10);
+  const defaultCurrency = appData.settings?.default_currency || 'USD';
+  const [currency, setCurrency] = useState(defaultCurrency);
+  const [exchangeRate, setExchangeRate] = useState('1');
+  const money = (n) => formatMoney(n, currency);
   const [isTravelDialogOpen, setIsTravelDialogOpen] = useState(false);
   const [travelMiles, setTravelMiles] = useState('');
   const defaultTaxRate = parseFloat(appData.settings?.tax_rate) || 0;
   const taxHomeState = appData.settings?.tax_home_state || '';
-  const { rate: taxRate, source: taxRateSource } = useMemo(() => {
+  const { data: namedTaxRates = [] } = useTaxRates();
+  const { rate: taxRate, source: taxRateSource, rates: defaultItemRates } = useMemo(() => {
     const client = clients.find(c => c.id === selectedClient);
-    return resolveEffectiveTaxRate({ clientBillingState: client?.billingState, defaultTaxRate, taxHomeState });
-  }, [selectedClient, clients, defaultTaxRate, taxHomeState]);
+    return resolveEffectiveTaxRate({ clientBillingState: client?.billingState, clientTaxExempt: isTaxExempt(client), defaultTaxRate, taxHomeState, taxRates: namedTaxRates });
+  }, [selectedClient, clients, defaultTaxRate, taxHomeState, namedTaxRates]);
   const [lastAddedItem, setLastAddedItem] = useState(null);
   const [isDiscountOpen, setIsDiscountOpen] = useState(false);
   const [isAddingClient, setIsAddingClient] = useState(false);
@@ -165,9 +182,19 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     setProjectTypeId(q.projectTypeId || '');
     setSelectedProject(q.projectId || '');
     setTerms(q.terms || '');
+    setValidUntil(q.validUntil ? toDateInput(q.validUntil) : (!q.id && validDays > 0 ? toDateInput(new Date(Date.now() + validDays * 86400000)) : ''));
+    setCurrency(q.currency || clients.find(c => c.id === q.clientId)?.currency || defaultCurrency);
+    setExchangeRate(String(q.exchangeRate ?? 1));
     setIsEditing(!q.id);
   };
 
+  // New quotes follow the client's billing currency
+  const handleClientChange = (clientId) => {
+    setSelectedClient(clientId);
+    const clientCurrency = clients.find(c => c.id === clientId)?.currency;
+    if (!quote.id && clientCurrency) setCurrency(clientCurrency);
+  };
+
   useEffect(() => {
     const fallback = { id: null, items: [], clientId: clientToPreload?.id || projectToPreload?.clientId || null, projectId: projectToPreload?.id || null };
     if (initialQuote?.id && !initialQuote.items) {
@@ -209,10 +236,41 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     });
   }, []);
 
+  // Saved quotes keep the rates they were issued with; while editing, an exempt or out-of-state client pays none
+  const itemRates = (item, forDisplay = false) => {
+    if (forDisplay) return itemTaxRates(item, quote.taxRate);
+    return taxRateSource === 'default' ? itemTaxRates(item, taxRate) : [];
+  };
+
+  // Newly taxable items start with the default named rates
+  const setItemTaxable = (id, isTaxable) => {
+    setItems(prev => prev.map(item => {
+      if (item.id !== id) return item;
+      const taxRates = isTaxable && !item.taxRates?.length && namedTaxRates.length > 0 ? defaultItemRates : item.taxRates;
+      return { ...item, isTaxable, taxRates };
+    }));
+  };
+
+  // Picking an alternative as the default clears the others in its group
+  const setItemSelected = (id, isSelected) => {
+    setItems(prev => {
+      const target = prev.find(item => item.id === id);
+      return prev.map(item => {
+        if (item.id === id) return { ...item, isSelected };
+        if (isSelected && target?.optionType === 'alternative' && item.optionType === 'alternative' && optionGroupName(item) === optionGroupName(target)) {
+          return { ...item, isSelected: false };
+        }
+        return item;
+      });
+    });
+  };
+
+  // Which items count toward the totals, with one choice per group of alternatives
+  const includedIds = useMemo(() => new Set(withDefaultChoices(items).filter(isIncludedItem).map(item => item.id)), [items]);
+
   const calculateItemPrice = (item, forDisplay = false) => {
     let unitPrice = 0;
     const currentProducts = products;
-    const currentTaxRate = forDisplay ? quote.taxRate : taxRate;
     const qty = parseInt(item.qty, 10) || 1;
 
     if (item.type === 'discount') {
@@ -231,7 +289,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     }
 
     const basePrice = unitPrice * qty;
-    const taxOnItem = item.isTaxable ? basePrice * (currentTaxRate / 100) : 0;
+    const taxOnItem = basePrice * (sumRates(itemRates(item, forDisplay)) / 100);
     return { unitPrice, basePrice, taxOnItem, total: basePrice + taxOnItem };
   };
 
@@ -240,8 +298,10 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     let itemsSubtotal = 0;
     let lineDiscountsTotal = 0;
     let totalTax = 0;
-    items.forEach(item => {
-      const { basePrice, taxOnItem } = calculateItemPrice(item);
+    const forDisplay = !isEditing;
+    const included = items.filter(item => includedIds.has(item.id));
+    included.forEach(item => {
+      const { basePrice, taxOnItem } = calculateItemPrice(item, forDisplay);
       if (item.type === 'discount') {
         lineDiscountsTotal += Math.abs(basePrice);
       } else {
@@ -252,26 +312,33 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     const subtotal = itemsSubtotal - lineDiscountsTotal;
     const discountAmount = discountType === 'percent' ? subtotal * (parseFloat(discountValue) / 100 || 0) : parseFloat(discountValue) || 0;
     const subtotalAfterDiscount = subtotal - discountAmount;
-    const taxAfterDiscount = totalTax > 0 ? (itemsSubtotal > 0 ? totalTax * (subtotalAfterDiscount / itemsSubtotal) : 0) : 0;
+    const ratio = itemsSubtotal > 0 ? subtotalAfterDiscount / itemsSubtotal : 0;
+    const taxAfterDiscount = totalTax > 0 ? totalTax * ratio : 0;
     const total = subtotalAfterDiscount + taxAfterDiscount;
-    return { itemsSubtotal, lineDiscountsTotal, subtotal, tax: taxAfterDiscount, total, discountAmount };
-  }, [items, products, taxRate, discountType, discountValue, calculateItemPrice]);
+    const taxLines = forDisplay || taxRateSource === 'default'
+      ? taxBreakdown(included.filter(item => item.type !== 'discount').map(item => ({ item, base: calculateItemPrice(item).basePrice })), forDisplay ? quote.taxRate : taxRate, ratio)
+      : [];
+    return { itemsSubtotal, lineDiscountsTotal, subtotal, tax: taxAfterDiscount, taxLines, total, discountAmount };
+  }, [items, includedIds, products, taxRate, taxRateSource, isEditing, quote.taxRate, discountType, discountValue, calculateItemPrice]);
 
   const handleSaveQuote = async () => {
     const client = clients.find(c => c.id === selectedClient);
     const clientName = client ? (client.displayName || [client.firstName, client.lastName].filter(Boolean).join(' ')) : '';
     const { subtotal, tax, total, discountAmount } = calculateTotal;
-    const processedItems = items.map(item => {
+    const processedItems = withDefaultChoices(items).map(item => {
       const { unitPrice, basePrice } = calculateItemPrice(item);
       const qty = parseInt(item.qty, 10) || 1;
+      // Named rates are snapshotted per item; an exempt or out-of-state client's items carry none
+      const taxRates = item.taxRates ? (taxRateSource === 'default' ? item.taxRates : []) : null;
+      const option = item.optionType ? { optionType: item.optionType, optionGroup: item.optionType === 'alternative' ? optionGroupName(item) : null, isSelected: isIncludedItem(item) } : {};
       if (item.type === 'discount' && item.name && unitPrice > 0) {
         return { type: 'discount', name: item.name, price: unitPrice, description: item.description, total: basePrice, isTaxable: false, qty: 1 };
       } else if (item.type === 'product' && item.productId && basePrice > 0) {
         const product = products.find(p => p.id === item.productId);
         if (!product) return null;
-        return { type: 'product', name: product.name, productId: product.id, description: item.description, total: basePrice, isTaxable: item.isTaxable, productType: product.productType, price: unitPrice, qty };
+        return { type: 'product', name: product.name, productId: product.id, description: item.description, total: basePrice, isTaxable: item.isTaxable, taxRates, productType: product.productType, price: unitPrice, qty, ...option };
       } else if (item.type === 'custom' && item.name && basePrice > 0) {
-        return { type: 'custom', name: item.name, price: unitPrice, description: item.description, total: basePrice, isTaxable: item.isTaxable, qty };
+        return { type: 'custom', name: item.name, price: unitPrice, description: item.description, total: basePrice, isTaxable: item.isTaxable, taxRates, qty, ...option };
       }
       return null;
     }).filter(Boolean);
@@ -281,7 +348,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
       return null;
     }
 
-    const quoteData = { clientId: selectedClient || null, clientName, projectId: selectedProject || null, items: processedItems, subtotal, tax, taxRate, total, discountType, discountValue: parseFloat(discountValue) || 0, discountAmount, notes, eventDate: eventDate || null, eventEndDate: (isMultiDay && eventEndDate) ? eventEndDate : null, eventLocation: eventLocation || null, projectTypeId: projectTypeId || null, eventType: getTypeById(projectTypeId)?.label || null, terms: terms || null };
+    const quoteData = { clientId: selectedClient || null, clientName, projectId: selectedProject || null, items: processedItems, subtotal, tax, taxRate, total, discountType, discountValue: parseFloat(discountValue) || 0, discountAmount, notes, eventDate: eventDate || null, eventEndDate: (isMultiDay && eventEndDate) ? eventEndDate : null, eventLocation: eventLocation || null, projectTypeId: projectTypeId || null, eventType: getTypeById(projectTypeId)?.label || null, terms: terms || null, validUntil: validUntil || null, currency, exchangeRate: currency === defaultCurrency ? 1 : (parseFloat(exchangeRate) || null) };
 
     if (quote.id) {
       try {
@@ -366,7 +433,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
     setIsAddingClient(!isAddingClient);
   };
 
-  const { itemsSubtotal, lineDiscountsTotal, subtotal, tax, total, discountAmount } = calculateTotal;
+  const { itemsSubtotal, lineDiscountsTotal, subtotal, tax, taxLines, total, discountAmount } = calculateTotal;
 
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
@@ -381,13 +448,23 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
           <div className="flex flex-col md:flex-row justify-between items-start mb-4 gap-4">
             <div>
               <h3 className="text-2xl font-bold flex items-center gap-2">
-                {quote.id ? `Quote #${String(quote.quoteNumber).padStart(5, '0')}` : 'New Quote'}
-                {quote.approvedAt && <span className="text-xs font-semibold uppercase tracking-wider px-2 py-0.5 rounded bg-green-500/15 text-green-400">Approved</span>}
+                {quote.id ? `Quote #${formatDocNumber(quote.quoteNumber, quote.displayNumber)}` : 'New Quote'}
+                {quote.approvedAt && <span className="text-xs font-semibold uppercase tracking-wider px-2 py-0.5 rounded bg-green-500/15 text-green-400">{quote.approvedRevision ? `Approved · Rev. ${quote.approvedRevision}` : 'Approved'}</span>}
+                {isQuoteExpired(quote) && <span className="text-xs font-semibold uppercase tracking-wider px-2 py-0.5 rounded bg-amber-500/15 text-amber-500">Expired</span>}
+                {quote.changesRequestedAt && !quote.approvedAt && <span className="text-xs font-semibold uppercase tracking-wider px-2 py-0.5 rounded bg-orange-500/15 text-orange-400">Changes Requested</span>}
               </h3>
               {quote.id && (
                 <div className="flex flex-col sm:flex-row gap-1 sm:gap-3 mt-1.5">
                   <UserInfo label="Created" email={quote.createdBy} timestamp={quote.createdAt} icon={Clock} />
                   {quote.lastEditedBy && <UserInfo label="Edited" email={quote.lastEditedBy} timestamp={quote.updatedAt} icon={PenLine} />}
+                  {quote.sentAt && (
+                    <span className="flex items-center gap-1.5 text-xs text-surface-400">
+                      <Mail className="w-3 h-3" />
+                      Sent {fmtDate(quote.sentAt, { month: 'short', day: 'numeric' })}
+                      {quote.followUpSentAt && ` · followed up ${fmtDate(quote.followUpSentAt, { month: 'short', day: 'numeric' })}`}
+                    </span>
+                  )}
+                  <DocumentViewInfo doc={quote} shared={!!quote.sentAt} />
                 </div>
               )}
             </div>
@@ -440,7 +517,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
               ) : (
                 <div className="flex items-center gap-2">
                   <div className="flex-grow">
-                    <ClientCombobox clients={clients} value={selectedClient} onChange={setSelectedClient} disabled={!isEditing} />
+                    <ClientCombobox clients={clients} value={selectedClient} onChange={handleClientChange} disabled={!isEditing} />
                   </div>
                   {isEditing && selectedClient && (
                     <>
@@ -605,12 +682,12 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                       </div>
                       <div className="flex justify-between text-sm text-surface-400">
                         <span>Rate</span>
-                        <span>${fmt(travelRate)}/mile</span>
+                        <span>{money(travelRate)}/mile</span>
                       </div>
                       {parseFloat(travelMiles) > 0 && (
                         <div className="text-center py-2">
-                          <p className="text-2xl font-bold text-primary">${fmt(parseFloat(travelMiles) * travelRate)}</p>
-                          <p className="text-xs text-surface-400">{travelMiles} miles &times; ${fmt(travelRate)}</p>
+                          <p className="text-2xl font-bold text-primary">{money(parseFloat(travelMiles) * travelRate)}</p>
+                          <p className="text-xs text-surface-400">{travelMiles} miles &times; {money(travelRate)}</p>
                         </div>
                       )}
                     </div>
@@ -618,7 +695,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                       <Button variant="outline" onClick={() => setIsTravelDialogOpen(false)}>Cancel</Button>
                       <Button disabled={!parseFloat(travelMiles)} onClick={() => {
                         const fee = parseFloat(travelMiles) * travelRate;
-                        setItems(prev => [...prev, { id: Math.random(), type: 'custom', name: `Travel Fee (${travelMiles} mi)`, price: fee.toFixed(2), description: `${travelMiles} miles @ $${travelRate.toFixed(2)}/mi`, isTaxable: false, qty: 1 }]);
+                        setItems(prev => [...prev, { id: Math.random(), type: 'custom', name: `Travel Fee (${travelMiles} mi)`, price: fee.toFixed(2), description: `${travelMiles} miles @ ${money(travelRate)}/mi`, isTaxable: false, qty: 1 }]);
                         setIsTravelDialogOpen(false);
                         setTravelMiles('');
                       }}>Add Travel Fee</Button>
@@ -655,7 +732,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                           <Tag className="w-3.5 h-3.5 text-emerald-500 shrink-0" />
                           <input type="text" placeholder="Discount name" value={item.name} onChange={(e) => updateItem(item.id, 'name', e.target.value)} className="glass-input flex-1 min-w-0" />
                           <div className="flex items-center gap-1 shrink-0 w-28">
-                            <span className="text-sm font-medium text-emerald-500">-$</span>
+                            <span className="text-sm font-medium text-emerald-500">-{currencySymbol(currency)}</span>
                             <input type="number" inputMode="decimal" step="0.01" placeholder="0.00" value={item.price} onChange={(e) => updateItem(item.id, 'price', e.target.value)} className="glass-input w-full" />
                           </div>
                           <button onClick={() => removeItem(item.id)} className="icon-button shrink-0"><Trash2 className="w-3.5 h-3.5 text-red-400" /></button>
@@ -664,7 +741,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                         <textarea placeholder="Note (optional)" value={item.description} onChange={(e) => { updateItem(item.id, 'description', e.target.value); autoResize(e.target); }} ref={(el) => { if (el && item.description) autoResize(el); }} className="glass-input w-full resize-y leading-relaxed" rows={2} style={{ minHeight: '2.5rem' }} />
                         {/* Row 3: Total */}
                         <div className="flex items-center justify-end">
-                          {unitPrice > 0 && <span className="text-sm font-bold text-emerald-500">- ${fmt(unitPrice)}</span>}
+                          {unitPrice > 0 && <span className="text-sm font-bold text-emerald-500">- {money(unitPrice)}</span>}
                         </div>
                       </>
                     ) : (
@@ -695,19 +772,37 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                         </div>
                         {/* Row 2: Description — full width, auto-expanding textarea */}
                         <textarea placeholder="Description" value={item.description} onChange={(e) => { updateItem(item.id, 'description', e.target.value); autoResize(e.target); }} ref={(el) => { if (el && item.description) autoResize(el); }} className="glass-input w-full resize-y leading-relaxed" rows={3} style={{ minHeight: '4.5rem' }} />
-                        {/* Row 3: Taxable + totals */}
-                        <div className="flex items-center justify-between">
+                        {/* Row 3: Option — the client can add it, or pick one of a group, on the approval page */}
+                        <div className="flex flex-wrap items-center gap-2">
+                          <select value={item.optionType || ''} onChange={(e) => updateItem(item.id, 'optionType', e.target.value || null)} className="glass-input text-xs !py-1 w-auto">
+                            {OPTION_TYPES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                          </select>
+                          {item.optionType === 'alternative' && (
+                            <input type="text" placeholder="Group, e.g. Coverage" value={item.optionGroup || ''} onChange={(e) => updateItem(item.id, 'optionGroup', e.target.value)} className="glass-input text-xs !py-1 w-40" />
+                          )}
+                          {item.optionType && (
+                            <div className="flex items-center space-x-2">
+                              <Checkbox id={`selected-${item.id}`} checked={includedIds.has(item.id)} onCheckedChange={(c) => setItemSelected(item.id, !!c)} />
+                              <Label htmlFor={`selected-${item.id}`} className="text-xs text-surface-500">{item.optionType === 'alternative' ? 'Default choice' : 'Pre-selected'}</Label>
+                            </div>
+                          )}
+                        </div>
+                        {/* Row 4: Taxable + totals */}
+                        <div className={cn("flex items-center justify-between", !includedIds.has(item.id) && "opacity-50")}>
                           <div className="flex items-center space-x-2">
-                            <Checkbox id={`taxable-${item.id}`} checked={item.isTaxable} onCheckedChange={(c) => updateItem(item.id, 'isTaxable', c)} />
+                            <Checkbox id={`taxable-${item.id}`} checked={item.isTaxable} onCheckedChange={(c) => setItemTaxable(item.id, c)} />
                             <Label htmlFor={`taxable-${item.id}`} className="text-xs text-surface-500">Taxable</Label>
+                            {item.isTaxable && taxRateSource === 'default' && namedTaxRates.length > 0 && (
+                              <ItemTaxRatesPicker taxRates={namedTaxRates} value={item.taxRates} onChange={(rates) => updateItem(item.id, 'taxRates', rates)} />
+                            )}
                           </div>
                           <div className="flex items-center gap-2 text-sm font-medium tabular-nums">
                             {qty > 1 && unitPrice > 0 && (
-                              <span className="text-xs text-surface-400">${fmt(unitPrice)} &times; {qty} =</span>
+                              <span className="text-xs text-surface-400">{money(unitPrice)} &times; {qty} =</span>
                             )}
-                            <span>${fmt(basePrice)}</span>
-                            {taxOnItem > 0 && <span className="text-emerald-500 text-xs">+ ${fmt(taxOnItem)} tax</span>}
-                            <span className="font-bold text-blue-400">${fmt(itemTotal)}</span>
+                            <span>{money(basePrice)}</span>
+                            {taxOnItem > 0 && <span className="text-emerald-500 text-xs">+ {money(taxOnItem)} tax</span>}
+                            <span className="font-bold text-blue-400">{money(itemTotal)}</span>
                           </div>
                         </div>
                       </>
@@ -723,23 +818,28 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                   const qty = parseInt(item.qty, 10) || 1;
                   const isDiscount = item.type === 'discount';
                   return (
-                    <div key={idx} className="flat-card p-4 space-y-2">
+                    <div key={idx} className={cn("flat-card p-4 space-y-2", !isIncludedItem(item) && "opacity-60")}>
                       <div className="flex justify-between items-start gap-4">
                         <div className="flex items-start gap-2 min-w-0 flex-1">
                           {isDiscount && <Tag className="w-3.5 h-3.5 text-emerald-500 shrink-0 mt-0.5" />}
                           <div className="min-w-0">
+                            {item.optionType && (
+                              <span className="inline-block text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded bg-surface-100 text-surface-500 mb-1">
+                                {item.optionType === 'alternative' ? `${optionGroupName(item)} option` : 'Optional'}{isIncludedItem(item) ? ' · selected' : ''}
+                              </span>
+                            )}
                             <p className="font-medium">{item.name}</p>
                             {item.description && <p className="text-sm text-surface-400 pt-1 whitespace-pre-wrap">{item.description}</p>}
                           </div>
                         </div>
                         <p className={cn("font-bold text-lg shrink-0 tabular-nums", isDiscount ? "text-emerald-500" : "text-blue-400")}>
-                          {isDiscount ? `- $${fmt(unitPrice)}` : `$${fmt(itemTotal)}`}
+                          {isDiscount ? `- ${money(unitPrice)}` : `${money(itemTotal)}`}
                         </p>
                       </div>
                       {!isDiscount && (
                         <div className="text-right text-xs text-surface-500 flex justify-end items-center gap-2 tabular-nums">
-                          <span>{qty} &times; ${fmt(unitPrice)}</span>
-                          {taxOnItem > 0 && <span> + ${fmt(taxOnItem)} tax</span>}
+                          <span>{qty} &times; {money(unitPrice)}</span>
+                          {taxOnItem > 0 && <span> + {money(taxOnItem)} tax</span>}
                         </div>
                       )}
                     </div>
@@ -765,15 +865,26 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
               <textarea value={terms} onChange={(e) => setTerms(e.target.value)} placeholder="Enter terms & conditions (or load the template)..." className="glass-textarea w-full" rows={4}></textarea>
             </div>
           )}
+          {quote.id && !isEditing && <QuoteCommentsCard key={`comments-${quote.id}`} quote={quote} />}
+          {quote.id && !isEditing && <RevisionsCard key={quote.id} type="quote" documentId={quote.id} approvedRevision={quote.approvedRevision} />}
         </div>
         <div className="lg:col-span-1">
           <div className="sticky top-24 space-y-4">
             <div className="glass-card p-4">
               <h4 className="text-base font-semibold mb-3">Pricing</h4>
               <div className="space-y-3">
-                <div className="flex justify-between text-sm"><span className="text-surface-400">Subtotal:</span><span>${fmt(itemsSubtotal)}</span></div>
+                <CurrencyFields currency={currency} exchangeRate={exchangeRate} defaultCurrency={defaultCurrency} onCurrencyChange={setCurrency} onExchangeRateChange={setExchangeRate} isEditing={isEditing} />
+                {isEditing ? (
+                  <div>
+                    <Label htmlFor="valid-until" className="text-xs text-surface-600 mb-1 block">Valid Until</Label>
+                    <input id="valid-until" type="date" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} className="glass-input w-full" />
+                  </div>
+                ) : validUntil && (
+                  <div className="flex justify-between text-sm"><span className="text-surface-400">Valid until:</span><span className={cn(isQuoteExpired(quote) && "text-amber-500")}>{fmtDate(validUntil + 'T12:00:00', { month: 'short', day: 'numeric', year: 'numeric' })}</span></div>
+                )}
+                <div className="flex justify-between text-sm"><span className="text-surface-400">Subtotal:</span><span>{money(itemsSubtotal)}</span></div>
                 {lineDiscountsTotal > 0 && (
-                  <div className="flex justify-between text-sm"><span className="text-emerald-500">Line Discounts:</span><span className="text-emerald-500">- ${fmt(lineDiscountsTotal)}</span></div>
+                  <div className="flex justify-between text-sm"><span className="text-emerald-500">Line Discounts:</span><span className="text-emerald-500">- {money(lineDiscountsTotal)}</span></div>
                 )}
 
                 <div>
@@ -781,7 +892,7 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                     <button onClick={() => isEditing && setIsDiscountOpen(!isDiscountOpen)} className="flex items-center gap-1 text-surface-400 hover:text-surface-700 disabled:cursor-not-allowed" disabled={!isEditing}>
                       <Zap className="w-3.5 h-3.5" /> Discount <ChevronDown className={cn("w-4 h-4 transition-transform", isDiscountOpen && "rotate-180")} />
                     </button>
-                    {discountAmount > 0 && <span className="text-green-400">- ${fmt(discountAmount)}</span>}
+                    {discountAmount > 0 && <span className="text-green-400">- {money(discountAmount)}</span>}
                   </div>
                   <AnimatePresence>
                     {isDiscountOpen && isEditing && (
@@ -803,9 +914,13 @@ const QuoteEditor = ({ quote: initialQuote, onBack, onUpdate, appData, onSendEma
                   </AnimatePresence>
                 </div>
 
-                <div className="flex justify-between text-sm"><span className="text-surface-400">Tax ({taxRate}%{taxRateSource !== 'default' && isEditing ? ` · ${taxRateSource}` : ''}):</span><span>${fmt(tax)}</span></div>
+                {taxLines.some(line => line.id) ? taxLines.map(line => (
+                  <div key={line.key} className="flex justify-between text-sm"><span className="text-surface-400">{line.name} ({line.rate}%):</span><span>{money(line.amount)}</span></div>
+                )) : (
+                  <div className="flex justify-between text-sm"><span className="text-surface-400">Tax ({taxRate}%{taxRateSource !== 'default' && isEditing ? ` · ${taxRateSource}` : ''}):</span><span>{money(tax)}</span></div>
+                )}
                 <div className="divider my-2"></div>
-                <div className="flex justify-between text-lg font-bold"><span>Total:</span><span className="text-blue-400">${fmt(total)}</span></div>
+                <div className="flex justify-between text-lg font-bold"><span>Total:</span><span className="text-blue-400">{money(total)}</span></div>
               </div>
             </div>
             {isEditing && (
@@ -956,8 +1071,9 @@ const QuoteRow = React.memo(({ quote, onSelect, onDelete, onSelectionChange, isS
   const recalculatedTotal = useMemo(() => {
     if (!quote.items || !products) return quote.total;
 
+    const included = (quote.items || []).filter(isIncludedItem);
     let subtotal = 0;
-    (quote.items || []).forEach(item => {
+    included.forEach(item => {
       const qty = parseInt(item.qty, 10) || 1;
       if (item.type === 'product' && item.productId) {
         const product = products.find(p => p.id === item.productId);
@@ -975,7 +1091,7 @@ const QuoteRow = React.memo(({ quote, onSelect, onDelete, onSelectionChange, isS
     const subtotalAfterDiscount = subtotal - discountAmount;
 
     let totalTax = 0;
-    (quote.items || []).forEach(item => {
+    included.forEach(item => {
       if (item.isTaxable) {
         let itemSubtotal = 0;
         const qty = parseInt(item.qty, 10) || 1;
@@ -990,7 +1106,7 @@ const QuoteRow = React.memo(({ quote, onSelect, onDelete, onSelectionChange, isS
           itemSubtotal = (item.price * qty) || 0;
         }
         const itemDiscount = subtotal > 0 ? (itemSubtotal / subtotal) * discountAmount : 0;
-        totalTax += (itemSubtotal - itemDiscount) * (taxRate / 100);
+        totalTax += (itemSubtotal - itemDiscount) * (sumRates(itemTaxRates(item, taxRate)) / 100);
       }
     });
 
@@ -1018,11 +1134,13 @@ const QuoteRow = React.memo(({ quote, onSelect, onDelete, onSelectionChange, isS
             {/* Top line: doc number, date, amount */}
             <div className="flex items-center justify-between gap-3">
               <div className="flex items-center gap-3 min-w-0">
-                <span className="text-sm font-bold tabular-nums shrink-0">#{String(quote.quoteNumber).padStart(5, '0')}</span>
+                <span className="text-sm font-bold tabular-nums shrink-0">#{formatDocNumber(quote.quoteNumber, quote.displayNumber)}</span>
                 {quote.approvedAt && <span className="text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded bg-green-500/15 text-green-400 shrink-0">Approved</span>}
+                {isQuoteExpired(quote) && <span className="text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded bg-amber-500/15 text-amber-500 shrink-0">Expired</span>}
+                {quote.changesRequestedAt && !quote.approvedAt && <span className="text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded bg-orange-500/15 text-orange-400 shrink-0">Changes Requested</span>}
                 <span className="text-xs text-surface-400">{fmtDate(quote.createdAt, { month: 'short', day: 'numeric' })}</span>
               </div>
-              <span className="font-bold text-lg tabular-nums text-blue-400 shrink-0">${fmt(recalculatedTotal)}</span>
+              <span className="font-bold text-lg tabular-nums text-blue-400 shrink-0">{formatMoney(recalculatedTotal, quote.currency)}</span>
             </div>
             {/* Bottom line: client name, actions */}
             <div className="flex items-center justify-between mt-1">
@@ -1205,7 +1323,7 @@ const QuotesManager = () => {
         clientId: quote.clientId,
         clientName: quote.clientName,
         projectId: quote.projectId || null,
-        items: quote.items,
+        items: (quote.items || []).filter(isIncludedItem),
         subtotal: quote.subtotal || 0,
         tax: quote.tax || 0,
         total: quote.total || 0,
@@ -0,0 +1,99 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { REMINDER_PLACEHOLDERS, reminderStepLabel } from '@/lib/reminders';
+
+const WHEN_OPTIONS = [
+  { value: 'before', label: 'days before due' },
+  { value: 'on', label: 'on the due date' },
+  { value: 'after', label: 'days overdue' },
+];
+
+const whenOf = (days) => (days < 0 ? 'before' : days === 0 ? 'on' : 'after');
+
+/**
+ * The automatic reminder cadence: each step fires a set number of days from
+ * the due date with its own subject and message.
+ */
+const ReminderScheduleCard = ({ enabled, onEnabledChange, steps, onStepsChange }) => {
+  const updateStep = (i, patch) => onStepsChange(steps.map((s, idx) => (idx === i ? { ...s, ...patch } : s)));
+  const removeStep = (i) => onStepsChange(steps.filter((_, idx) => idx !== i));
+
+  const setWhen = (i, when) => {
+    const n = Math.abs(steps[i].days) || 1;
+    updateStep(i, { days: when === 'on' ? 0 : when === 'before' ? -n : n });
+  };
+  const setDayCount = (i, value) => {
+    const n = Math.max(1, parseInt(value, 10) || 1);
+    updateStep(i, { days: steps[i].days < 0 ? -n : n });
+  };
+
+  const addStep = () => {
+    const last = Math.max(0, ...steps.map(s => s.days));
+    const previous = steps.find(s => s.days === last);
+    onStepsChange([...steps, { days: last + 7, subject: previous?.subject || '', body: previous?.body || '' }]);
+  };
+
+  const usedDays = steps.map(s => s.days);
+  const duplicates = new Set(usedDays.filter((d, i) => usedDays.indexOf(d) !== i));
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-surface-800">Payment Reminders</h3>
+          <p className="text-sm text-surface-400 mt-1">
+            Emailed automatically each morning to clients with unpaid invoices. Installments on a payment plan get reminders for their own due dates. Reminders can be paused on each invoice.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <input
+            type="checkbox"
+            id="reminders-enabled"
+            checked={enabled}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+            className="w-4 h-4 rounded border-surface-300 bg-white text-blue-500 focus:ring-blue-500/50"
+          />
+          <label htmlFor="reminders-enabled" className="text-sm font-medium text-surface-600">Enabled</label>
+        </div>
+      </div>
+
+      {enabled && (
+        <>
+          <div className="flex flex-wrap gap-1.5">
+            {REMINDER_PLACEHOLDERS.map(p => (
+              <code key={p} className="bg-surface-100 text-surface-600 px-1.5 py-0.5 rounded text-xs">{p}</code>
+            ))}
+          </div>
+
+          <div className="space-y-3">
+            {steps.map((step, i) => {
+              const when = whenOf(step.days);
+              return (
+                <div key={i} className="flat-card p-4 space-y-3">
+                  <div className="flex items-center gap-2">
+                    {when !== 'on' && (
+                      <input type="number" inputMode="numeric" min="1" step="1" value={Math.abs(step.days)} onChange={e => setDayCount(i, e.target.value)} className="glass-input w-20" />
+                    )}
+                    <select value={when} onChange={e => setWhen(i, e.target.value)} className="glass-select w-48">
+                      {WHEN_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                    {duplicates.has(step.days) && <span className="text-xs text-red-400">Another step already sends {reminderStepLabel(step.days).toLowerCase()}</span>}
+                    <button type="button" onClick={() => removeStep(i)} className="icon-button ml-auto"><Trash2 className="w-3.5 h-3.5 text-red-400" /></button>
+                  </div>
+                  <input value={step.subject} onChange={e => updateStep(i, { subject: e.target.value })} className="glass-input w-full" placeholder="Subject line" />
+                  <textarea value={step.body} onChange={e => updateStep(i, { body: e.target.value })} className="glass-textarea w-full" rows={5} placeholder="Message" />
+                </div>
+              );
+            })}
+          </div>
+
+          <button type="button" onClick={addStep} className="text-xs text-accent hover:underline flex items-center gap-1">
+            <Plus className="w-3.5 h-3.5" /> Add reminder step
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReminderScheduleCard;
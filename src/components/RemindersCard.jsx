@@ -0,0 +1,50 @@
+import React from 'react';
+import { BellRing, BellOff, Loader2 } from 'lucide-react';
+import { fmtDate } from '@/lib/utils';
+import { reminderStepLabel } from '@/lib/reminders';
+
+/**
+ * Automatic payment reminders for one invoice: the pause switch and the
+ * reminders already sent.
+ */
+const RemindersCard = ({ invoice, onTogglePaused, isPending }) => {
+  const reminders = invoice.reminders || [];
+  const paused = !!invoice.remindersPaused;
+  if (invoice.status === 'paid' && reminders.length === 0) return null;
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-semibold flex items-center gap-2">
+          {paused ? <BellOff className="w-4 h-4 text-amber-400" /> : <BellRing className="w-4 h-4 text-surface-400" />} Reminders
+        </h4>
+        {invoice.status !== 'paid' && (
+          <button type="button" onClick={onTogglePaused} disabled={isPending} className="text-xs text-surface-400 hover:text-surface-700 flex items-center gap-1">
+            {isPending && <Loader2 className="w-3 h-3 animate-spin" />}
+            {paused ? 'Resume reminders' : 'Pause reminders'}
+          </button>
+        )}
+      </div>
+      {paused && <p className="text-xs text-amber-400 mb-2">Automatic reminders are paused for this invoice.</p>}
+      {reminders.length === 0 ? (
+        <p className="text-sm text-surface-400">No reminders sent yet.</p>
+      ) : (
+        <div className="space-y-1.5">
+          {reminders.map(r => (
+            <div key={r.id} className="flex items-center justify-between gap-3 p-2.5 rounded-lg bg-surface-100">
+              <div className="min-w-0">
+                <p className="text-sm font-medium truncate">{r.subject}</p>
+                <p className="text-[11px] text-surface-500 truncate">
+                  {reminderStepLabel(r.step)}{r.installmentLabel ? ` · ${r.installmentLabel}` : ''} · {r.recipient}
+                </p>
+              </div>
+              <span className="text-xs text-surface-500 shrink-0">{fmtDate(r.sentAt, { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RemindersCard;
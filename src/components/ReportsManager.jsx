@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
@@ -6,10 +6,13 @@ import {
   TrendingUp, DollarSign, Users,
   PieChart, ArrowUpRight, ChevronLeft,
   RefreshCw, Briefcase,
-  ArrowRight,
+  ArrowRight, Hourglass, Landmark, ChevronDown, AlertTriangle,
+  Scale, ListChecks, BookOpen,
 } from 'lucide-react';
 import api from '@/lib/apiClient';
-import { cn } from '@/lib/utils';
+import { cn, fmtDate } from '@/lib/utils';
+import { useFileTaxPeriod, useReopenTaxPeriod, useRebuildLedger } from '@/hooks/useMutations';
+import { formatMoney, currencySymbol } from '@/lib/currency';
 
 const currentYear = new Date().getFullYear();
 const ML = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -20,6 +23,11 @@ const FILTERS = [
   { id: 'ytd', label: 'Year to Date' },
 ];
 
+const BASES = [
+  { id: 'cash', label: 'Cash' },
+  { id: 'accrual', label: 'Accrual' },
+];
+
 function getDateParams(filter) {
   switch (filter) {
     case 'all':
@@ -43,17 +51,15 @@ const COLOR_HEX = {
 };
 const toHex = (c) => (c && COLOR_HEX[c]) || c || null;
 
-const fmt = (n) => {
-  if (!n && n !== 0) return '$0';
+const fmt = (n, currency) => {
+  const sym = currencySymbol(currency);
+  if (!n && n !== 0) return sym + '0';
   const abs = Math.abs(n);
   const s = n < 0 ? '-' : '';
-  if (abs >= 1000) return s + '$' + (abs / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
-  return s + '$' + abs.toLocaleString('en-US', { maximumFractionDigits: 0 });
-};
-const fmtD = (n) => {
-  const v = n || 0;
-  return (v < 0 ? '-' : '') + '$' + Math.abs(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if (abs >= 1000) return s + sym + (abs / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+  return s + sym + abs.toLocaleString('en-US', { maximumFractionDigits: 0 });
 };
+const fmtD = (n, currency) => formatMoney(n, currency);
 const pct = (n) => `${(n || 0).toFixed(0)}%`;
 
 // ── Report Registry ──────────────────────────────────
@@ -61,25 +67,37 @@ const REPORTS = [
   { id: 'profit-loss', title: 'Profit & Loss', icon: TrendingUp, accent: '#10b981', section: 'Financial' },
   { id: 'revenue-trend', title: 'Revenue Trend', icon: ArrowUpRight, accent: '#3b82f6', section: 'Financial' },
   { id: 'revenue-by-type', title: 'Revenue by Type', icon: Briefcase, accent: '#6366f1', section: 'Financial' },
+  { id: 'outstanding-balances', title: 'Outstanding Balances', icon: Hourglass, accent: '#f43f5e', section: 'Financial' },
   { id: 'income-summary', title: 'Income Summary', icon: DollarSign, accent: '#22c55e', section: 'Tax & Summary' },
+  { id: 'sales-tax', title: 'Sales Tax', icon: Landmark, accent: '#0ea5e9', section: 'Tax & Summary' },
   { id: 'expenses-by-category', title: 'Expenses by Category', icon: PieChart, accent: '#f59e0b', section: 'Tax & Summary' },
 
   { id: 'team-payments', title: 'Team Payments', icon: Users, accent: '#f97316', section: 'Team' },
+
+  { id: 'balance-sheet', title: 'Balance Sheet', icon: Scale, accent: '#8b5cf6', section: 'Ledger' },
+  { id: 'trial-balance', title: 'Trial Balance', icon: ListChecks, accent: '#64748b', section: 'Ledger' },
+  { id: 'general-journal', title: 'General Journal', icon: BookOpen, accent: '#14b8a6', section: 'Ledger' },
 ];
-const SECTIONS = ['Financial', 'Tax & Summary', 'Team'];
+const SECTIONS = ['Financial', 'Tax & Summary', 'Team', 'Ledger'];
 
 // ── Card Data Extractors ─────────────────────────────
 function cardData(id, r) {
   const pl = r.profitLoss || {};
   const rt = r.revenueTrend || {};
   switch (id) {
-    case 'profit-loss': return { headline: fmt(pl.netProfit), label: 'Net Profit', sub: `${fmt(pl.totalRevenue)} rev · ${fmt((pl.totalExpenses||0)+(pl.totalTeamCosts||0)+(pl.totalSalary||0))} costs` };
-    case 'revenue-trend': return { headline: fmt(rt.totalWithCredits), label: 'Total Income', sub: `${fmt(rt.total)} invoices · ${fmt((rt.totalWithCredits||0)-(rt.total||0))} credits` };
-    case 'revenue-by-type': { const t = (r.revenueByType||[])[0]; return { headline: t?.typeLabel || '—', label: 'Top Type', sub: t ? `${fmt(t.revenue)} · ${t.count} projects` : 'No data' }; }
-    case 'income-summary': return { headline: fmt(r.incomeSummary?.total), label: 'Total Income', sub: 'Invoices + project credits' };
-    case 'expenses-by-category': { const cats = r.expensesByCategory||[]; return { headline: fmt(cats.reduce((s,c)=>s+c.total,0)), label: 'Total Expenses', sub: `${cats.length} categories` }; }
-
-    case 'team-payments': { const tp = r.teamPaymentBreakdown||{}; return { headline: fmt(tp.totalPaid), label: 'Total Paid', sub: `${tp.memberCount||0} members · ${(tp.byMember||[]).reduce((s,m)=>s+m.jobCount,0)} jobs` }; }
+    case 'profit-loss': return { headline: fmt(pl.netProfit, r.currency), label: 'Net Profit', sub: `${fmt(pl.totalRevenue, r.currency)} rev · ${fmt((pl.totalExpenses||0)+(pl.totalTeamCosts||0)+(pl.totalSalary||0), r.currency)} costs` };
+    case 'revenue-trend': return { headline: fmt(rt.totalWithCredits, r.currency), label: 'Total Income', sub: `${fmt(rt.total, r.currency)} invoices · ${fmt((rt.totalWithCredits||0)-(rt.total||0), r.currency)} credits` };
+    case 'revenue-by-type': { const t = (r.revenueByType||[])[0]; return { headline: t?.typeLabel || '—', label: 'Top Type', sub: t ? `${fmt(t.revenue, r.currency)} · ${t.count} projects` : 'No data' }; }
+    case 'outstanding-balances': { const ob = r.outstandingBalances||{}; return { headline: fmt(ob.total, r.currency), label: 'Owed Today', sub: `${ob.invoiceCount||0} invoices · ${(ob.byClient||[]).length} clients` }; }
+    case 'income-summary': return { headline: fmt(r.incomeSummary?.total, r.currency), label: 'Total Income', sub: 'Invoices + project credits' };
+    case 'sales-tax': { const st = r.salesTax||{}; return { headline: fmt(st.taxCollected, r.currency), label: 'Tax Collected', sub: `${fmt(st.taxableSales, r.currency)} taxable · ${fmt(st.nonTaxableSales, r.currency)} non-taxable` }; }
+    case 'expenses-by-category': { const cats = r.expensesByCategory||[]; return { headline: fmt(cats.reduce((s,c)=>s+c.total,0), r.currency), label: 'Total Expenses', sub: `${cats.length} categories` }; }
+
+    case 'team-payments': { const tp = r.teamPaymentBreakdown||{}; return { headline: fmt(tp.totalPaid, r.currency), label: 'Total Paid', sub: `${tp.memberCount||0} members · ${(tp.byMember||[]).reduce((s,m)=>s+m.jobCount,0)} jobs` }; }
+
+    case 'balance-sheet': { const bs = r.balanceSheet||{}; return { headline: fmt(bs.totalAssets, r.currency), label: 'Total Assets', sub: `${fmt(bs.totalLiabilities, r.currency)} liabilities · ${fmt(bs.totalEquity, r.currency)} equity` }; }
+    case 'trial-balance': { const tb = r.trialBalance||{}; const off = (tb.totalDebit||0) - (tb.totalCredit||0); return { headline: fmt(tb.totalDebit, r.currency), label: 'Total Debits', sub: `${(tb.accounts||[]).length} accounts · ${Math.abs(off) < 0.005 ? 'balanced' : `out by ${fmtD(off, r.currency)}`}` }; }
+    case 'general-journal': { const j = r.journal||{}; return { headline: String(j.entryCount||0), label: 'Entries', sub: `${fmt(j.totalDebit, r.currency)} posted in the period` }; }
     default: return { headline: '—', label: '', sub: '' };
   }
 }
@@ -178,12 +196,16 @@ function CardChart({ id, r, accent }) {
       return <ChartLine data={(r.revenueTrend?.byMonth||[]).map(m=>m.invoiceRevenue+m.creditRevenue)} color="#3b82f6" />;
     case 'revenue-by-type':
       return <ChartHBars items={(r.revenueByType||[]).map(t=>({ value: t.revenue, color: toHex(t.color) || accent }))} />;
+    case 'outstanding-balances':
+      return <ChartHBars items={(r.outstandingBalances?.byClient||[]).map(c=>({ value: c.balance, color: accent }))} />;
     case 'income-summary':
       return <ChartBars data={(r.incomeSummary?.byMonth||[]).map(m=>m.amount)} color="#22c55e" />;
     case 'expenses-by-category':
       return <ChartHBars items={(r.expensesByCategory||[]).map(c=>({ value: c.total, color: toHex(c.color) || accent }))} />;
     case 'team-payments':
       return <ChartBars data={r.teamPaymentBreakdown?.byMonth||[]} color="#f97316" />;
+    case 'balance-sheet':
+      return <ChartHBars items={(r.balanceSheet?.assets||[]).filter(a=>a.balance>0).map(a=>({ value: a.balance, color: accent }))} />;
     default: return null;
   }
 }
@@ -211,25 +233,235 @@ const Metric = ({ value, label, accent }) => (
   </div>
 );
 
+// ── Sales Tax ────────────────────────────────────────
+const Toggle = ({ options, value, onChange }) => (
+  <div className="rpt-year-picker">
+    {options.map(o => (
+      <button key={o.id} onClick={() => onChange(o.id)} className={cn('rpt-year-btn', value === o.id && 'rpt-year-btn--active')}>{o.label}</button>
+    ))}
+  </div>
+);
+
+const YEARS = Array.from({ length: 5 }, (_, i) => ({ id: currentYear - i, label: String(currentYear - i) }));
+
+/**
+ * Taxable and non-taxable sales and tax per filing period, each expandable to
+ * the documents behind it. Filing a period keeps its figures; documents that
+ * change afterwards are flagged.
+ */
+function SalesTaxDetail({ accent, basis }) {
+  const navigate = useNavigate();
+  const [year, setYear] = useState(currentYear);
+  const [frequency, setFrequency] = useState('quarterly');
+  const [expanded, setExpanded] = useState(null);
+  const fileMutation = useFileTaxPeriod();
+  const reopenMutation = useReopenTaxPeriod();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['reports', 'sales-tax', year, frequency, basis],
+    queryFn: () => api.get('/reports/sales-tax', { year, frequency, basis }),
+  });
+
+  const now = new Date();
+  const periods = (data?.periods || []).filter(p => new Date(p.start) <= now);
+  const currency = data?.currency;
+  const totals = periods.reduce((t, p) => ({
+    taxableSales: t.taxableSales + p.taxableSales,
+    nonTaxableSales: t.nonTaxableSales + p.nonTaxableSales,
+    taxCollected: t.taxCollected + p.taxCollected,
+  }), { taxableSales: 0, nonTaxableSales: 0, taxCollected: 0 });
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        <Toggle options={YEARS} value={year} onChange={setYear} />
+        <Toggle options={[{ id: 'monthly', label: 'Monthly' }, { id: 'quarterly', label: 'Quarterly' }]} value={frequency} onChange={setFrequency} />
+      </div>
+      <div className="rpt-detail__metrics">
+        <Metric value={fmtD(totals.taxableSales, currency)} label="Taxable Sales" accent={accent} />
+        <Metric value={fmtD(totals.nonTaxableSales, currency)} label="Non-taxable Sales" accent={accent} />
+        <Metric value={fmtD(totals.taxCollected, currency)} label="Tax Collected" accent={accent} />
+      </div>
+      <p className="text-xs text-surface-400">
+        {basis === 'cash'
+          ? 'Cash basis: the share of each invoice paid in the period, less refunds paid out.'
+          : 'Accrual basis: invoices by issue date, less credit notes by issue date.'}
+      </p>
+      {isLoading ? (
+        <div className="flex justify-center py-8"><RefreshCw className="w-5 h-5 animate-spin text-surface-400" /></div>
+      ) : (
+        <div className="rpt-table-wrap">
+          <table className="rpt-table">
+            <thead><tr><th>Period</th><th className="text-right">Taxable</th><th className="text-right">Non-taxable</th><th className="text-right">Tax</th><th className="text-right">Filing</th></tr></thead>
+            <tbody>
+              {periods.map(p => {
+                const changed = p.filing && (p.filing.removedCount > 0 || p.documents.some(d => d.changedSinceFiling));
+                const open = expanded === p.start;
+                return (
+                  <React.Fragment key={p.start}>
+                    <tr className="cursor-pointer" onClick={() => setExpanded(open ? null : p.start)}>
+                      <td>
+                        <span className="flex items-center gap-1.5">
+                          <ChevronDown className={cn('w-3.5 h-3.5 text-surface-400 transition-transform', !open && '-rotate-90')} />
+                          {p.label}
+                          {changed && <AlertTriangle className="w-3.5 h-3.5 text-amber-500" />}
+                        </span>
+                      </td>
+                      <td className="text-right tabular-nums">{fmtD(p.taxableSales, currency)}</td>
+                      <td className="text-right tabular-nums">{fmtD(p.nonTaxableSales, currency)}</td>
+                      <td className="text-right tabular-nums">{fmtD(p.taxCollected, currency)}</td>
+                      <td className="text-right" onClick={e => e.stopPropagation()}>
+                        {p.filing ? (
+                          <span className="inline-flex items-center gap-2 text-xs">
+                            <span className="text-emerald-500">Filed {fmtDate(p.filing.filedAt, { month: 'short', day: 'numeric' })}</span>
+                            {changed && <button onClick={() => fileMutation.mutate({ periodStart: p.start, periodEnd: p.end, basis })} className="text-accent hover:underline">Re-file</button>}
+                            <button onClick={() => reopenMutation.mutate(p.filing.id)} className="text-surface-400 hover:underline">Reopen</button>
+                          </span>
+                        ) : (
+                          <button onClick={() => fileMutation.mutate({ periodStart: p.start, periodEnd: p.end, basis })} disabled={fileMutation.isPending} className="text-xs text-accent hover:underline">Mark filed</button>
+                        )}
+                      </td>
+                    </tr>
+                    {open && (
+                      <>
+                        {changed && (
+                          <tr><td colSpan={5} className="text-xs text-amber-500">
+                            Filed as {fmtD(p.filing.taxCollected, currency)} tax on {fmtD(p.filing.taxableSales, currency)} taxable sales
+                            {p.filing.removedCount > 0 && ` · ${p.filing.removedCount} filed document${p.filing.removedCount === 1 ? ' is' : 's are'} no longer in this period`}.
+                          </td></tr>
+                        )}
+                        {p.documents.length === 0 && <tr><td colSpan={5} className="text-xs text-surface-400">No invoices in this period.</td></tr>}
+                        {p.documents.map(d => (
+                          <tr key={d.key} className="cursor-pointer text-xs" onClick={() => navigate(`/invoices/${d.invoiceId}`)}>
+                            <td className="pl-8">
+                              <span className={cn(d.changedSinceFiling && 'text-amber-500')}>{d.number}</span>
+                              <span className="text-surface-400"> · {d.clientName || 'No client'} · {fmtDate(d.date, { month: 'short', day: 'numeric' })}</span>
+                            </td>
+                            <td className="text-right tabular-nums">{fmtD(d.taxableSales, currency)}</td>
+                            <td className="text-right tabular-nums">{fmtD(d.nonTaxableSales, currency)}</td>
+                            <td className="text-right tabular-nums">{fmtD(d.tax, currency)}</td>
+                            <td className="text-right text-amber-500">{d.changedSinceFiling ? 'Changed since filing' : ''}</td>
+                          </tr>
+                        ))}
+                      </>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+            <tfoot><tr>
+              <td className="font-semibold">Total</td>
+              <td className="font-semibold text-right tabular-nums">{fmtD(totals.taxableSales, currency)}</td>
+              <td className="font-semibold text-right tabular-nums">{fmtD(totals.nonTaxableSales, currency)}</td>
+              <td className="font-semibold text-right tabular-nums">{fmtD(totals.taxCollected, currency)}</td>
+              <td />
+            </tr></tfoot>
+          </table>
+        </div>
+      )}
+    </>
+  );
+}
+
+// ── General Ledger ───────────────────────────────────
+// Closing balances as at the period's last day, or today for a period still running
+const asAtDate = (period) => new Date(Math.min(new Date(period?.end).getTime() - 1, Date.now()));
+const accountLabel = (a) => `${a.code} · ${a.name}`;
+
+/**
+ * Every journal entry posted in the period, debits first. Entries are posted
+ * as invoices, payments, expenses, team pay and credits change; rebuilding
+ * re-posts all of them from those records.
+ */
+function GeneralJournalDetail({ r, accent }) {
+  const rebuildMutation = useRebuildLedger();
+  const { data, isLoading } = useQuery({
+    queryKey: ['reports', 'journal', r.period?.start, r.period?.end],
+    queryFn: () => api.get('/reports/journal', { startDate: r.period.start, endDate: r.period.end }),
+    enabled: !!r.period,
+  });
+  const entries = data?.entries || [];
+  const currency = data?.currency || r.currency;
+
+  return (
+    <>
+      <div className="rpt-detail__metrics">
+        <Metric value={String(entries.length)} label="Entries" accent={accent} />
+        <Metric value={fmtD(r.journal?.totalDebit, currency)} label="Total Posted" accent={accent} />
+      </div>
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-xs text-surface-400">Double-entry postings in the default currency — the same on cash or accrual basis.</p>
+        <button onClick={() => rebuildMutation.mutate()} disabled={rebuildMutation.isPending} className="text-xs text-accent hover:underline shrink-0">
+          {rebuildMutation.isPending ? 'Rebuilding…' : 'Rebuild ledger'}
+        </button>
+      </div>
+      {isLoading ? (
+        <div className="flex justify-center py-8"><RefreshCw className="w-5 h-5 animate-spin text-surface-400" /></div>
+      ) : (
+        <div className="rpt-table-wrap">
+          <table className="rpt-table">
+            <thead><tr><th>Date</th><th>Account</th><th className="text-right">Debit</th><th className="text-right">Credit</th></tr></thead>
+            <tbody>
+              {entries.length === 0 && <tr><td colSpan={4} className="text-xs text-surface-400">No entries in this period.</td></tr>}
+              {entries.map(e => (
+                <React.Fragment key={e.id}>
+                  <tr>
+                    <td className="whitespace-nowrap">{fmtDate(e.entryDate, { month: 'short', day: 'numeric', year: 'numeric' })}</td>
+                    <td colSpan={3} className="font-medium">{e.description}</td>
+                  </tr>
+                  {e.lines.map((l, i) => (
+                    <tr key={i} className="text-xs">
+                      <td />
+                      <td className={cn(l.credit > 0 && 'pl-8')}>{accountLabel(l)}</td>
+                      <td className="text-right tabular-nums">{l.debit > 0 ? fmtD(l.debit, currency) : ''}</td>
+                      <td className="text-right tabular-nums">{l.credit > 0 ? fmtD(l.credit, currency) : ''}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+}
+
 // ── Detail Page Renderers ────────────────────────────
 function DetailContent({ id, r, accent }) {
   switch (id) {
     case 'profit-loss': {
       const pl = r.profitLoss || {};
+      const cn = pl.creditNotes || { count: 0, byMonth: [] };
       const months = (pl.byMonth || []).filter(m => m.revenue || m.expenses || m.teamCosts || m.salary);
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(pl.totalRevenue)} label="Revenue" accent={accent} />
-            <Metric value={fmtD(pl.totalExpenses)} label="Expenses" accent={accent} />
-            <Metric value={fmtD(pl.totalTeamCosts)} label="Team Costs" accent={accent} />
-            <Metric value={fmtD(pl.totalSalary)} label="Salary" accent={accent} />
+            <Metric value={fmtD(pl.totalRevenue, r.currency)} label="Revenue" accent={accent} />
+            <Metric value={fmtD(pl.totalExpenses, r.currency)} label="Expenses" accent={accent} />
+            <Metric value={fmtD(pl.totalTeamCosts, r.currency)} label="Team Costs" accent={accent} />
+            <Metric value={fmtD(pl.totalSalary, r.currency)} label="Salary" accent={accent} />
           </div>
           <DataTable
             headers={['Month', 'Revenue', 'Expenses', 'Team', 'Salary', 'Net']}
-            rows={months.map(m => [ML[m.month-1], fmtD(m.revenue), fmtD(m.expenses), fmtD(m.teamCosts), fmtD(m.salary), fmtD(m.revenue-m.expenses-m.teamCosts-m.salary)])}
-            footer={['Total', fmtD(pl.totalRevenue), fmtD(pl.totalExpenses), fmtD(pl.totalTeamCosts), fmtD(pl.totalSalary), fmtD(pl.netProfit)]}
+            rows={months.map(m => [ML[m.month-1], fmtD(m.revenue, r.currency), fmtD(m.expenses, r.currency), fmtD(m.teamCosts, r.currency), fmtD(m.salary, r.currency), fmtD(m.revenue-m.expenses-m.teamCosts-m.salary, r.currency)])}
+            footer={['Total', fmtD(pl.totalRevenue, r.currency), fmtD(pl.totalExpenses, r.currency), fmtD(pl.totalTeamCosts, r.currency), fmtD(pl.totalSalary, r.currency), fmtD(pl.netProfit, r.currency)]}
           />
+          {cn.count > 0 && (
+            <div>
+              <h3 className="rpt-detail__section-title">Credit Notes Issued</h3>
+              <p className="text-xs text-surface-400 mb-2">
+                {r.basis === 'accrual'
+                  ? 'Credited amounts are already taken out of revenue above, in the month each credit note was issued.'
+                  : 'Refunds are already taken out of revenue above. Credits without a refund only reduce what clients owe.'}
+              </p>
+              <DataTable
+                headers={['Month', 'Credit Notes', 'Credited', 'Refunded']}
+                rows={cn.byMonth.map(m => [ML[m.month-1], m.count, fmtD(m.credited, r.currency), fmtD(m.refunded, r.currency)])}
+                footer={['Total', cn.count, fmtD(cn.totalCredited, r.currency), fmtD(cn.totalRefunded, r.currency)]}
+              />
+            </div>
+          )}
         </>
       );
     }
@@ -239,14 +471,14 @@ function DetailContent({ id, r, accent }) {
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(rt.total)} label="Invoice Revenue" accent={accent} />
-            <Metric value={fmtD((rt.totalWithCredits||0)-(rt.total||0))} label="Credit Revenue" accent={accent} />
-            <Metric value={fmtD(rt.totalWithCredits)} label="Total Income" accent={accent} />
+            <Metric value={fmtD(rt.total, r.currency)} label="Invoice Revenue" accent={accent} />
+            <Metric value={fmtD((rt.totalWithCredits||0)-(rt.total||0), r.currency)} label="Credit Revenue" accent={accent} />
+            <Metric value={fmtD(rt.totalWithCredits, r.currency)} label="Total Income" accent={accent} />
           </div>
           <DataTable
             headers={['Month', 'Invoice Revenue', 'Credits', 'Total']}
-            rows={months.map(m => [ML[m.month-1], fmtD(m.invoiceRevenue), fmtD(m.creditRevenue), fmtD(m.invoiceRevenue+m.creditRevenue)])}
-            footer={['Total', fmtD(rt.total), fmtD((rt.totalWithCredits||0)-(rt.total||0)), fmtD(rt.totalWithCredits)]}
+            rows={months.map(m => [ML[m.month-1], fmtD(m.invoiceRevenue, r.currency), fmtD(m.creditRevenue, r.currency), fmtD(m.invoiceRevenue+m.creditRevenue, r.currency)])}
+            footer={['Total', fmtD(rt.total, r.currency), fmtD((rt.totalWithCredits||0)-(rt.total||0), r.currency), fmtD(rt.totalWithCredits, r.currency)]}
           />
         </>
       );
@@ -257,7 +489,7 @@ function DetailContent({ id, r, accent }) {
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(total)} label="Total Revenue" accent={accent} />
+            <Metric value={fmtD(total, r.currency)} label="Total Revenue" accent={accent} />
             <Metric value={String(types.length)} label="Project Types" accent={accent} />
             <Metric value={String(types.reduce((s,t) => s + t.count, 0))} label="Total Projects" accent={accent} />
           </div>
@@ -272,14 +504,34 @@ function DetailContent({ id, r, accent }) {
                   <div className="rpt-detail__hbar-track">
                     <div className="rpt-detail__hbar-fill" style={{ width: `${Math.max((t.revenue / (types[0]?.revenue || 1)) * 100, 3)}%`, background: toHex(t.color) || accent }} />
                   </div>
-                  <div className="rpt-detail__hbar-value">{fmtD(t.revenue)}</div>
+                  <div className="rpt-detail__hbar-value">{fmtD(t.revenue, r.currency)}</div>
                 </div>
               ))}
             </div>
           )}
           <DataTable
             headers={['Project Type', 'Revenue', 'Projects', 'Avg / Project']}
-            rows={types.map(t => [t.typeLabel, fmtD(t.revenue), t.count, fmtD(t.count > 0 ? t.revenue / t.count : 0)])}
+            rows={types.map(t => [t.typeLabel, fmtD(t.revenue, r.currency), t.count, fmtD(t.count > 0 ? t.revenue / t.count : 0, r.currency)])}
+          />
+        </>
+      );
+    }
+    case 'outstanding-balances': {
+      const ob = r.outstandingBalances || {};
+      const clients = ob.byClient || [];
+      return (
+        <>
+          <div className="rpt-detail__metrics">
+            <Metric value={fmtD(ob.total, r.currency)} label="Outstanding" accent={accent} />
+            <Metric value={fmtD(ob.totalCredited, r.currency)} label="Credited on Open Invoices" accent={accent} />
+            <Metric value={String(ob.invoiceCount || 0)} label="Open Invoices" accent={accent} />
+            <Metric value={String(clients.length)} label="Clients" accent={accent} />
+          </div>
+          <p className="text-xs text-surface-400">Balances as of today, after credit notes and payments — not limited to the selected period, and the same on cash or accrual basis.</p>
+          <DataTable
+            headers={['Client', 'Invoices', 'Invoiced', 'Credited', 'Paid', 'Balance', 'Oldest Due']}
+            rows={clients.map(c => [c.clientName, c.invoiceCount, fmtD(c.invoiced, r.currency), fmtD(c.credited, r.currency), fmtD(c.paid, r.currency), fmtD(c.balance, r.currency), c.oldestDueDate ? new Date(c.oldestDueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—'])}
+            footer={['Total', ob.invoiceCount || 0, fmtD(clients.reduce((s, c) => s + c.invoiced, 0), r.currency), fmtD(ob.totalCredited, r.currency), fmtD(clients.reduce((s, c) => s + c.paid, 0), r.currency), fmtD(ob.total, r.currency), '']}
           />
         </>
       );
@@ -287,27 +539,45 @@ function DetailContent({ id, r, accent }) {
     case 'income-summary': {
       const is = r.incomeSummary || {};
       const months = (is.byMonth || []).filter(m => m.amount > 0);
+      const taxRows = is.taxByJurisdiction || [];
+      const taxCollected = taxRows.reduce((s, t) => s + t.collected, 0);
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(is.total)} label="Total Income" accent={accent} />
-            <Metric value={fmtD(months.length > 0 ? is.total / months.length : 0)} label="Monthly Average" accent={accent} />
+            <Metric value={fmtD(is.total, r.currency)} label="Total Income" accent={accent} />
+            <Metric value={fmtD(months.length > 0 ? is.total / months.length : 0, r.currency)} label="Monthly Average" accent={accent} />
           </div>
           <DataTable
             headers={['Month', 'Income']}
-            rows={months.map(m => [ML[m.month-1], fmtD(m.amount)])}
-            footer={['Total', fmtD(is.total)]}
+            rows={months.map(m => [ML[m.month-1], fmtD(m.amount, r.currency)])}
+            footer={['Total', fmtD(is.total, r.currency)]}
           />
+          {taxRows.length > 0 && (
+            <>
+              <p className="text-xs text-surface-400">
+                {r.basis === 'accrual'
+                  ? 'Tax charged by jurisdiction on invoices issued in the period, less credit notes.'
+                  : 'Tax collected by jurisdiction, in proportion to what has been paid on each invoice.'}
+              </p>
+              <DataTable
+                headers={['Jurisdiction', 'Taxable Sales', 'Tax Collected']}
+                rows={taxRows.map(t => [t.jurisdiction, fmtD(t.taxable, r.currency), fmtD(t.collected, r.currency)])}
+                footer={['Total', fmtD(taxRows.reduce((s, t) => s + t.taxable, 0), r.currency), fmtD(taxCollected, r.currency)]}
+              />
+            </>
+          )}
         </>
       );
     }
+    case 'sales-tax':
+      return <SalesTaxDetail accent={accent} basis={r.basis} />;
     case 'expenses-by-category': {
       const cats = r.expensesByCategory || [];
       const total = cats.reduce((s,c) => s + c.total, 0);
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(total)} label="Total Expenses" accent={accent} />
+            <Metric value={fmtD(total, r.currency)} label="Total Expenses" accent={accent} />
             <Metric value={String(cats.length)} label="Categories" accent={accent} />
           </div>
           {cats.length > 0 && (
@@ -321,7 +591,7 @@ function DetailContent({ id, r, accent }) {
                   <div className="rpt-detail__hbar-track">
                     <div className="rpt-detail__hbar-fill" style={{ width: `${Math.max((c.total / (cats[0]?.total || 1)) * 100, 3)}%`, background: toHex(c.color) || '#94a3b8' }} />
                   </div>
-                  <div className="rpt-detail__hbar-value">{fmtD(c.total)}</div>
+                  <div className="rpt-detail__hbar-value">{fmtD(c.total, r.currency)}</div>
                 </div>
               ))}
             </div>
@@ -332,9 +602,9 @@ function DetailContent({ id, r, accent }) {
               <span key={c.categoryId} className="flex items-center gap-2">
                 <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ background: toHex(c.color) || '#94a3b8' }} />{c.name}
               </span>,
-              fmtD(c.total), total > 0 ? pct((c.total/total)*100) : '—',
+              fmtD(c.total, r.currency), total > 0 ? pct((c.total/total)*100) : '—',
             ])}
-            footer={['Total', fmtD(total), '100%']}
+            footer={['Total', fmtD(total, r.currency), '100%']}
           />
         </>
       );
@@ -348,11 +618,12 @@ function DetailContent({ id, r, accent }) {
       return (
         <>
           <div className="rpt-detail__metrics">
-            <Metric value={fmtD(tp.totalPaid)} label="Total Paid" accent={accent} />
+            <Metric value={fmtD(tp.totalPaid, r.currency)} label="Total Paid" accent={accent} />
             <Metric value={String(tp.memberCount || 0)} label="Team Members" accent={accent} />
             <Metric value={String(totalJobs)} label="Total Jobs" accent={accent} />
-            <Metric value={fmtD(totalJobs > 0 ? tp.totalPaid / totalJobs : 0)} label="Avg per Job" accent={accent} />
+            <Metric value={fmtD(totalJobs > 0 ? tp.totalPaid / totalJobs : 0, r.currency)} label="Avg per Job" accent={accent} />
           </div>
+          {r.basis === 'accrual' && <p className="text-xs text-surface-400">Accrual basis: includes team payments not yet paid out, by payment date.</p>}
           {members.length > 0 && (
             <div className="rpt-detail__hbars">
               {members.map((m, i) => (
@@ -363,44 +634,93 @@ function DetailContent({ id, r, accent }) {
                   <div className="rpt-detail__hbar-track">
                     <div className="rpt-detail__hbar-fill" style={{ width: `${Math.max((m.totalPaid / (members[0]?.totalPaid || 1)) * 100, 3)}%`, background: accent }} />
                   </div>
-                  <div className="rpt-detail__hbar-value">{fmtD(m.totalPaid)}</div>
+                  <div className="rpt-detail__hbar-value">{fmtD(m.totalPaid, r.currency)}</div>
                 </div>
               ))}
             </div>
           )}
           <DataTable
             headers={['Member', 'Role', 'Total Paid', 'Jobs', 'Avg / Job']}
-            rows={members.map(m => [m.name, m.role, fmtD(m.totalPaid), m.jobCount, fmtD(m.avgPerJob)])}
-            footer={['Total', '', fmtD(tp.totalPaid), totalJobs, fmtD(totalJobs > 0 ? tp.totalPaid / totalJobs : 0)]}
+            rows={members.map(m => [m.name, m.role, fmtD(m.totalPaid, r.currency), m.jobCount, fmtD(m.avgPerJob, r.currency)])}
+            footer={['Total', '', fmtD(tp.totalPaid, r.currency), totalJobs, fmtD(totalJobs > 0 ? tp.totalPaid / totalJobs : 0, r.currency)]}
           />
           {methods.length > 0 && (
             <div>
               <h3 className="rpt-detail__section-title">By Payment Method</h3>
               <DataTable
                 headers={['Method', 'Total', '% of Total']}
-                rows={methods.map(m => [m.method, fmtD(m.total), methodTotal > 0 ? pct((m.total / methodTotal) * 100) : '—'])}
-                footer={['Total', fmtD(methodTotal), '100%']}
+                rows={methods.map(m => [m.method, fmtD(m.total, r.currency), methodTotal > 0 ? pct((m.total / methodTotal) * 100) : '—'])}
+                footer={['Total', fmtD(methodTotal, r.currency), '100%']}
               />
             </div>
           )}
         </>
       );
     }
+    case 'balance-sheet': {
+      const bs = r.balanceSheet || {};
+      const asAt = fmtDate(asAtDate(r.period), { month: 'short', day: 'numeric', year: 'numeric' });
+      return (
+        <>
+          <div className="rpt-detail__metrics">
+            <Metric value={fmtD(bs.totalAssets, r.currency)} label="Assets" accent={accent} />
+            <Metric value={fmtD(bs.totalLiabilities, r.currency)} label="Liabilities" accent={accent} />
+            <Metric value={fmtD(bs.totalEquity, r.currency)} label="Equity" accent={accent} />
+          </div>
+          <p className="text-xs text-surface-400">As at {asAt}, from the general ledger — the same on cash or accrual basis. Retained earnings are all income less all expenses to date.</p>
+          <DataTable
+            headers={['Assets', 'Balance']}
+            rows={(bs.assets || []).map(a => [accountLabel(a), fmtD(a.balance, r.currency)])}
+            footer={['Total Assets', fmtD(bs.totalAssets, r.currency)]}
+          />
+          <DataTable
+            headers={['Liabilities & Equity', 'Balance']}
+            rows={[...(bs.liabilities || []), ...(bs.equity || [])].map(a => [accountLabel(a), fmtD(a.balance, r.currency)])}
+            footer={['Total Liabilities & Equity', fmtD((bs.totalLiabilities || 0) + (bs.totalEquity || 0), r.currency)]}
+          />
+        </>
+      );
+    }
+    case 'trial-balance': {
+      const tb = r.trialBalance || {};
+      const off = (tb.totalDebit || 0) - (tb.totalCredit || 0);
+      const asAt = fmtDate(asAtDate(r.period), { month: 'short', day: 'numeric', year: 'numeric' });
+      return (
+        <>
+          <div className="rpt-detail__metrics">
+            <Metric value={fmtD(tb.totalDebit, r.currency)} label="Debits" accent={accent} />
+            <Metric value={fmtD(tb.totalCredit, r.currency)} label="Credits" accent={accent} />
+            <Metric value={String((tb.accounts || []).length)} label="Accounts" accent={accent} />
+          </div>
+          <p className={cn('text-xs', Math.abs(off) < 0.005 ? 'text-surface-400' : 'text-amber-500')}>
+            {Math.abs(off) < 0.005
+              ? `Closing balance of every account as at ${asAt}.`
+              : `Debits and credits are out by ${fmtD(off, r.currency)} — rebuild the ledger from the General Journal report.`}
+          </p>
+          <DataTable
+            headers={['Account', 'Debit', 'Credit']}
+            rows={(tb.accounts || []).map(a => [accountLabel(a), a.debit ? fmtD(a.debit, r.currency) : '', a.credit ? fmtD(a.credit, r.currency) : ''])}
+            footer={['Total', fmtD(tb.totalDebit, r.currency), fmtD(tb.totalCredit, r.currency)]}
+          />
+        </>
+      );
+    }
+    case 'general-journal':
+      return <GeneralJournalDetail r={r} accent={accent} />;
     default: return <p className="text-surface-400 text-center py-8">Report not found.</p>;
   }
 }
 
 // ── Filter Picker ────────────────────────────────────
-const FilterPicker = ({ filter, setFilter }) => (
-  <div className="rpt-year-picker">
-    {FILTERS.map(f => (
-      <button key={f.id} onClick={() => setFilter(f.id)} className={cn('rpt-year-btn', filter === f.id && 'rpt-year-btn--active')}>{f.label}</button>
-    ))}
+const FilterPicker = ({ filter, setFilter, basis, setBasis }) => (
+  <div className="flex flex-wrap gap-2">
+    <Toggle options={BASES} value={basis} onChange={setBasis} />
+    <Toggle options={FILTERS} value={filter} onChange={setFilter} />
   </div>
 );
 
 // ── Report Card ──────────────────────────────────────
-function ReportCard({ report, data, filter, index }) {
+function ReportCard({ report, data, search, index }) {
   const navigate = useNavigate();
   const { headline, label, sub } = cardData(report.id, data);
   const Icon = report.icon;
@@ -409,7 +729,7 @@ function ReportCard({ report, data, filter, index }) {
     <motion.button
       className="rpt-card"
       style={{ '--card-accent': report.accent, '--card-accent-bg': report.accent + '0a' }}
-      onClick={() => { const m = document.querySelector('main'); if (m) sessionStorage.setItem('scroll:/reports', String(m.scrollTop)); navigate(`/reports/${report.id}?filter=${filter}`); }}
+      onClick={() => { const m = document.querySelector('main'); if (m) sessionStorage.setItem('scroll:/reports', String(m.scrollTop)); navigate(`/reports/${report.id}?${search}`); }}
       initial={{ opacity: 0, y: 16 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.3, delay: index * 0.04 }}
@@ -434,7 +754,7 @@ function ReportCard({ report, data, filter, index }) {
 }
 
 // ── Detail Page ──────────────────────────────────────
-function ReportDetailPage({ reportId, data, filter, setFilter }) {
+function ReportDetailPage({ reportId, data, search, pickerProps }) {
   const navigate = useNavigate();
   const report = REPORTS.find(r => r.id === reportId);
   if (!report) return <p className="text-center py-8 text-surface-400">Report not found.</p>;
@@ -447,11 +767,11 @@ function ReportDetailPage({ reportId, data, filter, setFilter }) {
       <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.25 }}>
         {/* Header */}
         <div className="rpt-detail__header">
-          <button className="rpt-detail__back" onClick={() => navigate(`/reports?filter=${filter}`)}>
+          <button className="rpt-detail__back" onClick={() => navigate(`/reports?${search}`)}>
             <ChevronLeft className="w-4 h-4" />
             <span>Reports</span>
           </button>
-          <FilterPicker filter={filter} setFilter={setFilter} />
+          <FilterPicker {...pickerProps} />
         </div>
 
         {/* Hero */}
@@ -474,7 +794,7 @@ function ReportDetailPage({ reportId, data, filter, setFilter }) {
 }
 
 // ── Overview Page ────────────────────────────────────
-function ReportOverview({ data, filter, setFilter }) {
+function ReportOverview({ data, search, pickerProps }) {
   return (
     <div className="rpt-page">
       <div className="rpt-page__header">
@@ -482,7 +802,7 @@ function ReportOverview({ data, filter, setFilter }) {
           <h1 className="rpt-page__title">Reports</h1>
           <p className="rpt-page__subtitle">Financial insights & analytics</p>
         </div>
-        <FilterPicker filter={filter} setFilter={setFilter} />
+        <FilterPicker {...pickerProps} />
       </div>
 
       {SECTIONS.map(section => {
@@ -492,7 +812,7 @@ function ReportOverview({ data, filter, setFilter }) {
             <h2 className="rpt-section__label">{section}</h2>
             <div className="rpt-grid">
               {reports.map((report, i) => (
-                <ReportCard key={report.id} report={report} data={data} filter={filter} index={i} />
+                <ReportCard key={report.id} report={report} data={data} search={search} index={i} />
               ))}
             </div>
           </div>
@@ -507,11 +827,18 @@ export default function ReportsManager() {
   const { reportId } = useParams();
   const [searchParams, setSearchParams] = useSearchParams();
   const filter = searchParams.get('filter') || 'ytd';
-  const setFilter = (f) => setSearchParams({ filter: f }, { replace: true });
+  const basis = searchParams.get('basis') || 'cash';
+  const search = new URLSearchParams({ filter, basis }).toString();
+  const pickerProps = {
+    filter,
+    basis,
+    setFilter: (f) => setSearchParams({ filter: f, basis }, { replace: true }),
+    setBasis: (b) => setSearchParams({ filter, basis: b }, { replace: true }),
+  };
 
   const { data, isLoading, error } = useQuery({
-    queryKey: ['reports', filter],
-    queryFn: () => api.get('/reports', getDateParams(filter)),
+    queryKey: ['reports', filter, basis],
+    queryFn: () => api.get('/reports', { ...getDateParams(filter), basis }),
   });
 
   if (error) {
@@ -537,8 +864,8 @@ export default function ReportsManager() {
   }
 
   if (reportId) {
-    return <ReportDetailPage reportId={reportId} data={data} filter={filter} setFilter={setFilter} />;
+    return <ReportDetailPage reportId={reportId} data={data} search={search} pickerProps={pickerProps} />;
   }
 
-  return <ReportOverview data={data} filter={filter} setFilter={setFilter} />;
+  return <ReportOverview data={data} search={search} pickerProps={pickerProps} />;
 }
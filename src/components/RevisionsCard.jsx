@@ -0,0 +1,165 @@
+import React, { useState, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { History, Loader2, ArrowRight } from 'lucide-react';
+import api from '@/lib/apiClient';
+import { queryKeys } from '@/lib/queryKeys';
+import { cn, fmtDate } from '@/lib/utils';
+import { formatMoney } from '@/lib/currency';
+import { diffSnapshots, isDateField } from '@/lib/revisionDiff';
+
+const CURRENT = 'current';
+
+const fmtDay = (d) => fmtDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
+
+const ItemLine = ({ item, money }) => (
+  <>
+    {item.name}
+    <span className="text-surface-400"> · {item.qty} × {money(item.price ?? item.total / (item.qty || 1))} = {money(item.total)}</span>
+    {item.optionType && <span className="text-surface-400"> · {item.optionType === 'optional' ? 'optional' : `option of ${item.optionGroup || 'Options'}`}{item.isSelected === false ? ', not selected' : ''}</span>}
+  </>
+);
+
+/**
+ * The versions of a quote or invoice the client was sent, and what changed
+ * between any two of them or since the last one.
+ */
+const RevisionsCard = ({ type, documentId, approvedRevision }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: type === 'quote' ? queryKeys.quotes.revisions(documentId) : queryKeys.invoices.revisions(documentId),
+    queryFn: () => api.get(`/${type}s/${documentId}/revisions`),
+    enabled: !!documentId,
+  });
+  const revisions = data?.data || [];
+  const current = data?.current;
+  const hasUnsent = !!current && !current.unchanged && revisions.length > 0;
+
+  // Compare the last revision with unsent edits, else the last two revisions
+  const [picked, setPicked] = useState(null);
+  const defaults = hasUnsent
+    ? { from: String(revisions[0].revision), to: CURRENT }
+    : { from: revisions[1] ? String(revisions[1].revision) : null, to: revisions[0] ? String(revisions[0].revision) : null };
+  const from = picked?.from ?? defaults.from;
+  const to = picked?.to ?? defaults.to;
+
+  const snapshotOf = (key) => (key === CURRENT ? current?.snapshot : revisions.find(r => String(r.revision) === key)?.snapshot);
+  const before = snapshotOf(from);
+  const after = snapshotOf(to);
+  const diff = useMemo(() => (before && after ? diffSnapshots(before, after) : null), [before, after]);
+
+  const money = (n) => formatMoney(n, after?.fields.currency);
+  const fieldValue = (key, value) => {
+    if (value === null || value === '') return '—';
+    if (isDateField(key)) return fmtDay(value);
+    if (key === 'depositAmount' || key === 'discountValue') return typeof value === 'number' ? value.toLocaleString() : value;
+    return String(value);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="glass-card p-4 flex items-center gap-2 text-sm text-surface-400">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading revisions...
+      </div>
+    );
+  }
+  if (revisions.length === 0) return null;
+
+  const options = [
+    ...(hasUnsent ? [{ value: CURRENT, label: 'Current (not sent)' }] : []),
+    ...revisions.map(r => ({ value: String(r.revision), label: `Revision ${r.revision}` })),
+  ];
+
+  return (
+    <div className="glass-card p-4">
+      <h4 className="text-lg font-semibold flex items-center gap-2 mb-3">
+        <History className="w-4 h-4 text-surface-400" /> Revisions
+      </h4>
+
+      <div className="space-y-1.5">
+        {hasUnsent && (
+          <div className="flex items-center justify-between gap-3 p-2.5 rounded-lg bg-amber-500/10">
+            <p className="text-sm font-medium text-amber-500">Edited since Revision {revisions[0].revision} was sent</p>
+          </div>
+        )}
+        {revisions.map(r => (
+          <div key={r.id} className="flex items-center justify-between gap-3 p-2.5 rounded-lg bg-surface-100">
+            <div className="min-w-0">
+              <p className="text-sm font-medium flex items-center gap-2">
+                Revision {r.revision}
+                {approvedRevision === r.revision && <span className="text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded bg-green-500/15 text-green-400">Approved</span>}
+              </p>
+              <p className="text-[11px] text-surface-500 truncate">
+                {r.sentTo ? `Sent to ${r.sentTo}` : 'Taken on approval'}{r.createdBy ? ` · ${r.createdBy}` : ''} · {formatMoney(r.snapshot.totals.total, r.snapshot.fields.currency)}
+              </p>
+            </div>
+            <span className="text-xs text-surface-500 shrink-0">{fmtDay(r.createdAt)}</span>
+          </div>
+        ))}
+      </div>
+
+      {options.length > 1 && (
+        <div className="mt-4 space-y-3">
+          <div className="flex items-center gap-2">
+            <select value={from ?? ''} onChange={(e) => setPicked({ from: e.target.value, to })} className="glass-input flex-1">
+              {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <ArrowRight className="w-4 h-4 text-surface-400 shrink-0" />
+            <select value={to ?? ''} onChange={(e) => setPicked({ from, to: e.target.value })} className="glass-input flex-1">
+              {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+
+          {diff && !diff.hasChanges && <p className="text-sm text-surface-400">No differences.</p>}
+          {diff?.hasChanges && (
+            <div className="space-y-3 text-sm">
+              {diff.fields.length > 0 && (
+                <div className="space-y-1">
+                  {diff.fields.map(f => (
+                    <div key={f.key} className="flex flex-wrap gap-x-2">
+                      <span className="text-surface-400">{f.label}:</span>
+                      <span className="line-through text-red-400 whitespace-pre-wrap">{fieldValue(f.key, f.before)}</span>
+                      <span className="text-emerald-500 whitespace-pre-wrap">{fieldValue(f.key, f.after)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {diff.items.some(i => i.status !== 'same') && (
+                <div className="rounded-lg border border-surface-200 divide-y divide-surface-200 overflow-hidden">
+                  {diff.items.filter(i => i.status !== 'same').map((i, index) => (
+                    <div key={index} className={cn('px-3 py-2', {
+                      'bg-emerald-500/5': i.status === 'added',
+                      'bg-red-500/5': i.status === 'removed',
+                    })}>
+                      {i.status === 'added' && <p><span className="text-emerald-500 font-medium">+ </span><ItemLine item={i.after} money={money} /></p>}
+                      {i.status === 'removed' && <p className="line-through text-red-400"><ItemLine item={i.before} money={money} /></p>}
+                      {i.status === 'changed' && (
+                        <>
+                          <p className="line-through text-surface-400"><ItemLine item={i.before} money={money} /></p>
+                          <p><ItemLine item={i.after} money={money} /></p>
+                          {i.changed.includes('description') && <p className="text-xs text-surface-400 whitespace-pre-wrap mt-1">{i.after.description || 'Description removed'}</p>}
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {diff.totals.length > 0 && (
+                <div className="space-y-1">
+                  {diff.totals.map(t => (
+                    <div key={t.key} className="flex justify-between">
+                      <span className="text-surface-400">{t.label}</span>
+                      <span><span className="line-through text-surface-400 mr-2">{money(t.before)}</span>{money(t.after)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionsCard;
@@ -3,11 +3,8 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, Di
 import { Loader2, Send } from 'lucide-react';
 import { toast } from '@/components/ui/use-toast';
 import { useSendEmail } from '@/hooks/useMutations';
-
-const fmt = (amount) => {
-  const n = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n);
-};
+import { formatMoney } from '@/lib/currency';
+import { formatDocNumber } from '@/lib/utils';
 
 function replacePlaceholders(text, data) {
   if (!text) return text;
@@ -33,23 +30,25 @@ const SendEmailModal = ({ open, onOpenChange, type, document, client, settings }
     const companyName = settings?.company_name || settings?.app_name || 'Our Company';
     const clientName = document.clientName || '';
 
+    const lateFees = (document.items || []).filter(i => i.isLateFee).reduce((s, i) => s + i.total, 0);
     const placeholders = {
       '[app_name]': settings?.app_name || companyName,
       '[company_name]': companyName,
       '[client_name]': clientName,
-      '[quote_number]': type === 'quote' ? String(document.quoteNumber || '') : '',
-      '[invoice_number]': type === 'invoice' ? String(document.invoiceNumber || '') : '',
-      '[total]': fmt(document.total),
-      '[subtotal]': fmt(document.subtotal || 0),
-      '[tax]': fmt(document.tax || 0),
-      '[discount_amount]': fmt(document.discountAmount || 0),
+      '[quote_number]': type === 'quote' ? formatDocNumber(document.quoteNumber, document.displayNumber) : '',
+      '[invoice_number]': type === 'invoice' ? formatDocNumber(document.invoiceNumber, document.displayNumber) : '',
+      '[total]': formatMoney(document.total, document.currency),
+      '[subtotal]': formatMoney(document.subtotal || 0, document.currency),
+      '[tax]': formatMoney(document.tax || 0, document.currency),
+      '[discount_amount]': formatMoney(document.discountAmount || 0, document.currency),
       '[status]': type === 'invoice' ? (document.status || '') : '',
+      '[late_fees]': lateFees > 0 ? formatMoney(lateFees, document.currency) : '',
     };
 
     // Default templates matching the server defaults
     const defaultSubjects = {
       quote: `Your Quote from ${companyName}`,
-      invoice: `Invoice from ${companyName} — #${document.invoiceNumber || ''}`,
+      invoice: `Invoice from ${companyName} — #${formatDocNumber(document.invoiceNumber, document.displayNumber)}`,
     };
     const defaultBodies = {
       quote: `Hi ${clientName || 'there'},\n\nThank you for your interest in working with us. Please find your quote attached for your review.\n\nIf you have any questions or would like to move forward, don't hesitate to reach out — we're happy to help.\n\nBest regards,\n${companyName}`,
@@ -1,7 +1,7 @@
 import React, { Suspense, useMemo } from 'react';
 import { NavLink, Outlet, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Settings as SettingsIcon, CreditCard, Mail, Loader2, Layers, HardDrive } from 'lucide-react';
+import { Settings as SettingsIcon, CreditCard, Mail, Loader2, Layers, HardDrive, FileSpreadsheet } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { useAppData } from '@/hooks/useAppData';
 
@@ -10,6 +10,7 @@ const ALL_TABS = [
   { path: '/settings/categories', label: 'Categories', icon: Layers, permission: 'manage_categories' },
   { path: '/settings/payments', label: 'Payments & Auth', icon: CreditCard, permission: 'manage_payment_settings' },
   { path: '/settings/email', label: 'Email', icon: Mail, permissions: ['manage_email_smtp', 'manage_email_templates'] },
+  { path: '/settings/accounting', label: 'Accounting', icon: FileSpreadsheet, permission: 'export_accounting' },
   { path: '/settings/backup', label: 'Backup', icon: HardDrive, permission: 'manage_backups' },
 ];
 
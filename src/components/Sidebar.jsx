@@ -8,7 +8,7 @@ import {
   BarChart3,
   Settings, Shield, ScrollText,
   LogOut, User, UserPlus, ChevronsLeft, Menu, X, Bell, Banknote, ChevronRight,
-  Sun, Moon, SunMoon, MessagesSquare, CheckSquare,
+  Sun, Moon, SunMoon, MessagesSquare, CheckSquare, Landmark,
 } from 'lucide-react';
 import { Avatar, AvatarImage, AvatarFallback } from '@/components/ui/avatar';
 import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuItem, DropdownMenuSeparator } from '@/components/ui/dropdown-menu';
@@ -33,6 +33,7 @@ const NAV_ITEMS = [
   { type: 'item', path: '/services', label: 'Services', icon: Package },
   { type: 'section', label: 'Finance', collapsible: true },
   { type: 'item', path: '/expenses', label: 'Expenses', icon: Wallet, permission: 'view_expenses' },
+  { type: 'item', path: '/banking', label: 'Banking', icon: Landmark, permission: 'reconcile_bank' },
   { type: 'item', path: '/finance', label: 'Finance', icon: Banknote, permission: 'view_advances' },
   { type: 'item', path: '/salary', label: 'Salary', icon: Wallet, permission: 'view_salary' },
   { type: 'item', path: '/reports', label: 'Reports', icon: BarChart3 },
@@ -62,7 +63,12 @@ const ALL_NAV_ITEMS = [
 
 const NOTIF_TYPE_CONFIG = {
   quote_approved: { icon: FileText, color: 'text-emerald-500 dark:text-emerald-400', bg: 'bg-emerald-50 dark:bg-emerald-950/40', route: '/quotes' },
+  quote_expired: { icon: FileText, color: 'text-amber-500 dark:text-amber-400', bg: 'bg-amber-50 dark:bg-amber-950/40', route: '/quotes' },
+  quote_changes_requested: { icon: MessagesSquare, color: 'text-orange-500 dark:text-orange-400', bg: 'bg-orange-50 dark:bg-orange-950/40', route: '/quotes' },
+  quote_viewed: { icon: FileText, color: 'text-sky-500 dark:text-sky-400', bg: 'bg-sky-50 dark:bg-sky-950/40', route: '/quotes' },
   payment_received: { icon: CreditCard, color: 'text-blue-500 dark:text-blue-400', bg: 'bg-blue-50 dark:bg-blue-950/40', route: '/invoices' },
+  payment_disputed: { icon: CreditCard, color: 'text-red-500 dark:text-red-400', bg: 'bg-red-50 dark:bg-red-950/40', route: '/invoices' },
+  contract_signed: { icon: FileCheck, color: 'text-emerald-500 dark:text-emerald-400', bg: 'bg-emerald-50 dark:bg-emerald-950/40', route: '/contracts' },
   project_booked: { icon: FolderKanban, color: 'text-indigo-500 dark:text-indigo-400', bg: 'bg-indigo-50 dark:bg-indigo-950/40', route: '/projects' },
   advance_created: { icon: Banknote, color: 'text-amber-500 dark:text-amber-400', bg: 'bg-amber-50 dark:bg-amber-950/40', route: '/finance' },
   salary_accrued: { icon: Wallet, color: 'text-emerald-500 dark:text-emerald-400', bg: 'bg-emerald-50 dark:bg-emerald-950/40', route: '/salary' },
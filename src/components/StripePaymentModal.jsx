@@ -5,8 +5,10 @@ import { Loader2, CreditCard, ShieldCheck } from 'lucide-react';
 import { toast } from '@/components/ui/use-toast';
 import { getStripePromise, getStripeAppearance } from '@/lib/stripe';
 import api from '@/lib/apiClient';
+import { formatMoney, currencySymbol } from '@/lib/currency';
+import { formatDocNumber } from '@/lib/utils';
 
-const CheckoutForm = ({ amount, invoiceId, paymentIntentId, onSuccess, onCancel }) => {
+const CheckoutForm = ({ amount, currency, invoiceId, paymentIntentId, onSuccess, onCancel }) => {
   const stripe = useStripe();
   const elements = useElements();
   const [loading, setLoading] = useState(false);
@@ -47,7 +49,7 @@ const CheckoutForm = ({ amount, invoiceId, paymentIntentId, onSuccess, onCancel
           paymentIntentId,
           amount,
         });
-        toast({ title: 'Payment successful!', description: `$${amount.toFixed(2)} charged via Stripe.` });
+        toast({ title: 'Payment successful!', description: `${formatMoney(amount, currency)} charged via Stripe.` });
         onSuccess();
       } catch (err) {
         setError(err.message || 'Card verification failed. Please check your card details and try again.');
@@ -63,7 +65,7 @@ const CheckoutForm = ({ amount, invoiceId, paymentIntentId, onSuccess, onCancel
       {/* Amount hero */}
       <div className="text-center py-3">
         <p className="text-3xl font-bold tracking-tight text-foreground">
-          ${amount.toFixed(2)}
+          {formatMoney(amount, currency)}
         </p>
         <p className="text-xs text-muted-foreground mt-1 uppercase tracking-wider">Card Payment</p>
       </div>
@@ -144,12 +146,13 @@ const StripePaymentModal = ({ open, onOpenChange, invoice, settings, onPaymentSu
       return;
     }
 
-    const bal = Math.max(0, parseFloat(((invoice.total || 0) - (invoice.paidAmount || 0)).toFixed(2)));
+    const bal = Math.max(0, parseFloat(((invoice.total || 0) - (invoice.creditedAmount || 0) - (invoice.paidAmount || 0)).toFixed(2)));
     setBalanceDue(bal);
     setAmount(bal.toFixed(2));
     setStep('amount');
   }, [open, invoice?.id]);
 
+  const currency = invoice?.currency;
   const parsedAmount = parseFloat(amount) || 0;
   const isValidAmount = parsedAmount >= 0.50 && parsedAmount <= balanceDue + 0.01;
 
@@ -178,7 +181,7 @@ const StripePaymentModal = ({ open, onOpenChange, invoice, settings, onPaymentSu
   };
 
   const invoiceLabel = invoice?.invoiceNumber
-    ? `Invoice #${String(invoice.invoiceNumber).padStart(5, '0')}`
+    ? `Invoice #${formatDocNumber(invoice.invoiceNumber, invoice.displayNumber)}`
     : '';
 
   return (
@@ -200,11 +203,11 @@ const StripePaymentModal = ({ open, onOpenChange, invoice, settings, onPaymentSu
               <div className="flex items-baseline justify-between">
                 <label className="text-sm font-medium text-foreground">Payment Amount</label>
                 <span className="text-xs text-muted-foreground">
-                  Balance: ${balanceDue.toFixed(2)}
+                  Balance: {formatMoney(balanceDue, currency)}
                 </span>
               </div>
               <div className="relative">
-                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-muted-foreground text-base font-medium">$</span>
+                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-muted-foreground text-base font-medium">{currencySymbol(currency)}</span>
                 <input
                   type="number"
                   inputMode="decimal"
@@ -213,18 +216,18 @@ const StripePaymentModal = ({ open, onOpenChange, invoice, settings, onPaymentSu
                   max={balanceDue}
                   value={amount}
                   onChange={(e) => setAmount(e.target.value)}
-                  className="glass-input w-full pl-7 text-base tabular-nums"
+                  className={`glass-input w-full ${currencySymbol(currency).length > 1 ? 'pl-11' : 'pl-7'} text-base tabular-nums`}
                   placeholder="0.00"
                 />
               </div>
               {parsedAmount > 0 && parsedAmount < balanceDue - 0.01 && (
                 <p className="text-xs text-muted-foreground">
-                  Remaining after payment: ${(balanceDue - parsedAmount).toFixed(2)}
+                  Remaining after payment: {formatMoney(balanceDue - parsedAmount, currency)}
                 </p>
               )}
               {amount && !isValidAmount && (
                 <p className="text-xs text-destructive">
-                  {parsedAmount < 0.50 ? 'Minimum payment is $0.50' : `Maximum is $${balanceDue.toFixed(2)}`}
+                  {parsedAmount < 0.50 ? `Minimum payment is ${formatMoney(0.5, currency)}` : `Maximum is ${formatMoney(balanceDue, currency)}`}
                 </p>
               )}
             </div>
@@ -274,6 +277,7 @@ const StripePaymentModal = ({ open, onOpenChange, invoice, settings, onPaymentSu
               <Elements stripe={stripePromise} options={{ clientSecret, appearance: stripeAppearance }}>
                 <CheckoutForm
                   amount={parsedAmount}
+                  currency={currency}
                   invoiceId={invoice.id}
                   paymentIntentId={paymentIntentId}
                   onSuccess={handleSuccess}
@@ -22,6 +22,16 @@ export function useSettings() {
   });
 }
 
+export function useTaxRates() {
+  const { user } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.taxRates.all,
+    queryFn: () => api.get('/tax-rates').then(r => r.data || []),
+    enabled: !!user,
+    staleTime: 5 * 60_000,
+  });
+}
+
 export function usePublicSettings() {
   return useQuery({
     queryKey: queryKeys.settings.public(),
@@ -148,6 +148,19 @@ export function useDeleteQuote() {
   });
 }
 
+export function useAddQuoteComment() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ quoteId, body }) => api.post('/quotes/' + quoteId + '/comments', { body }).then(r => r.data),
+    onSuccess: (_data, { quoteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.quotes.comments(quoteId) });
+    },
+    onError: (error) => {
+      toast({ title: "Error posting reply", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 export function useBulkDeleteQuotes() {
   const queryClient = useQueryClient();
   return useMutation({
@@ -194,6 +207,20 @@ export function useUpdateInvoice() {
   });
 }
 
+export function useSetInvoiceRemindersPaused() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, paused }) => api.put('/invoices/' + id + '/reminders', { paused }).then(r => r.data),
+    onSuccess: (data) => {
+      toast({ title: data.remindersPaused ? "Reminders paused" : "Reminders resumed" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error updating reminders", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 export function useDeleteInvoice() {
   const queryClient = useQueryClient();
   return useMutation({
@@ -295,6 +322,7 @@ export function useAddPayment() {
     onSuccess: () => {
       toast({ title: "Payment added successfully!" });
       queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
       queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
     },
     onError: (error) => {
@@ -310,6 +338,8 @@ export function useDeletePayment() {
     onSuccess: () => {
       toast({ title: "Payment deleted successfully!" });
       queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.credits.all });
       queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
     },
     onError: (error) => {
@@ -327,6 +357,7 @@ export function useStripeRefund() {
     onSuccess: (data) => {
       toast({ title: "Refund processed", description: `$${data.data.amount.toFixed(2)} refunded via Stripe.` });
       queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
       queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
     },
     onError: (error) => {
@@ -335,8 +366,148 @@ export function useStripeRefund() {
   });
 }
 
+// ─── Credit Notes ─────────────────────────────────────────────────────────
+
+export function useCreateCreditNote() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => api.post('/credit-notes', data).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Credit note issued" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.credits.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error issuing credit note", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteCreditNote() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/credit-notes/' + id),
+    onSuccess: () => {
+      toast({ title: "Credit note deleted" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.credits.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error deleting credit note", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+// ─── Contracts ─────────────────────────────────────────────────────────────
+
+export function useSaveContract() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, ...data }) =>
+      (id ? api.put('/contracts/' + id, data) : api.post('/contracts', data)).then(r => r.data),
+    onSuccess: (_data, variables) => {
+      toast({ title: `Contract ${variables.id ? 'updated' : 'created'} successfully!` });
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error saving contract", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useSendContract() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.post(`/contracts/${id}/send`).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error sending contract", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useVoidContract() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.post(`/contracts/${id}/void`),
+    onSuccess: () => {
+      toast({ title: "Contract voided" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error voiding contract", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteContract() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/contracts/' + id),
+    onSuccess: () => {
+      toast({ title: "Contract deleted successfully!" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error deleting contract", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useSaveContractTemplate() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, ...data }) =>
+      (id ? api.put('/contracts/templates/' + id, data) : api.post('/contracts/templates', data)).then(r => r.data),
+    onSuccess: (_data, variables) => {
+      toast({ title: `Template ${variables.id ? 'updated' : 'created'} successfully!` });
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.templates() });
+    },
+    onError: (error) => {
+      toast({ title: "Error saving template", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteContractTemplate() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/contracts/templates/' + id),
+    onSuccess: () => {
+      toast({ title: "Template deleted successfully!" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.contracts.templates() });
+    },
+    onError: (error) => {
+      toast({ title: "Error deleting template", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 // ─── Credits ───────────────────────────────────────────────────────────────
 
+export function useApplyCredit() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => api.post('/credits/apply', data).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Credit applied to invoice" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.payments.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.credits.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error applying credit", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 export function useDeleteCredit() {
   const queryClient = useQueryClient();
   return useMutation({
@@ -585,6 +756,208 @@ export function useUpdateSettings() {
   });
 }
 
+// ─── Tax Rates ──────────────────────────────────────────────────────────────
+
+export function useSaveTaxRate() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, ...data }) => (id ? api.put('/tax-rates/' + id, data) : api.post('/tax-rates', data)).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.taxRates.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error saving tax rate", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteTaxRate() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/tax-rates/' + id),
+    onSuccess: () => {
+      toast({ title: "Tax rate deleted" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.taxRates.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error deleting tax rate", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+// ─── Accounting Export ──────────────────────────────────────────────────────
+
+export function useSaveAccountMappings() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => api.put('/accounting/mappings', data),
+    onSuccess: () => {
+      toast({ title: "Account mappings saved!" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.accounting.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error saving account mappings", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+// ─── Sales Tax Filings ──────────────────────────────────────────────────────
+
+export function useFileTaxPeriod() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => api.post('/reports/sales-tax/filings', data).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Period marked as filed" });
+      queryClient.invalidateQueries({ queryKey: ['reports'] });
+    },
+    onError: (error) => {
+      toast({ title: "Error filing period", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useReopenTaxPeriod() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/reports/sales-tax/filings/' + id),
+    onSuccess: () => {
+      toast({ title: "Period reopened" });
+      queryClient.invalidateQueries({ queryKey: ['reports'] });
+    },
+    onError: (error) => {
+      toast({ title: "Error reopening period", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useRebuildLedger() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: () => api.post('/reports/ledger/rebuild'),
+    onSuccess: (data) => {
+      toast({ title: "Ledger rebuilt", description: `${data.count} records posted` });
+      queryClient.invalidateQueries({ queryKey: ['reports'] });
+    },
+    onError: (error) => {
+      toast({ title: "Error rebuilding ledger", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+// ─── Bank Reconciliation ────────────────────────────────────────────────────
+
+export function useImportBankStatement() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (file) => api.upload('/bank/statements', file).then(r => r.data),
+    onSuccess: (data) => {
+      const skipped = data.skipped ? `, ${data.skipped} already imported` : '';
+      toast({ title: "Statement imported", description: `${data.transactionCount} transactions${skipped}` });
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error importing statement", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteBankStatement() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/bank/statements/' + id),
+    onSuccess: () => {
+      toast({ title: "Statement deleted" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error deleting statement", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useMatchBankTransaction() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, type, recordId }) => api.post(`/bank/transactions/${id}/match`, { type, id: recordId }).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error matching transaction", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useUnmatchBankTransaction() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete(`/bank/transactions/${id}/match`).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error unmatching transaction", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useIgnoreBankTransaction() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, ignored }) => api.put(`/bank/transactions/${id}`, { ignored }).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error updating transaction", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useCreateExpenseFromBankTransaction() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, ...data }) => api.post(`/bank/transactions/${id}/expense`, data).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Expense created and matched" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error creating expense", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useReconcileBankPeriod() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => api.post('/bank/reconciliations', data).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Period reconciled" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error reconciling period", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useReopenBankPeriod() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete('/bank/reconciliations/' + id),
+    onSuccess: () => {
+      toast({ title: "Period reopened" });
+      queryClient.invalidateQueries({ queryKey: queryKeys.bank.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error reopening period", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 // ─── Profile ────────────────────────────────────────────────────────────────
 
 export function useUpdateProfile() {
@@ -1041,7 +1414,11 @@ export function useClearUserPermissions() {
 export function useCreateExpense() {
   const queryClient = useQueryClient();
   return useMutation({
-    mutationFn: (data) => api.post('/expenses', data).then(r => r.data),
+    mutationFn: async ({ receiptFiles = [], ...data }) => {
+      const { data: expense } = await api.post('/expenses', data);
+      for (const file of receiptFiles) await api.upload(`/expenses/${expense.id}/receipts`, file);
+      return expense;
+    },
     onSuccess: () => {
       toast({ title: "Expense added!" });
       queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
@@ -1088,6 +1465,77 @@ export function useDeleteExpense() {
   });
 }
 
+export function useImportExpenses() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (rows) => api.post('/expenses/import', { rows }),
+    onSuccess: (data) => {
+      toast({ title: "Import successful", description: `${data.count} expenses imported.` });
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.vendors.all });
+    },
+    onError: (error) => {
+      toast({ title: "Import failed", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useRerunExpenseRules() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: () => api.post('/expense-rules/apply'),
+    onSuccess: (data) => {
+      toast({ title: "Rules applied", description: data.count ? `${data.count} expenses categorized.` : 'No uncategorized expenses matched a rule.' });
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.stats.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error applying rules", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useCaptureReceipt() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (file) => api.upload('/expenses/capture', file).then(r => r.data),
+    onSuccess: () => {
+      toast({ title: "Receipt captured", description: "Add the amount and details when you're ready." });
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error capturing receipt", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useUploadExpenseReceipt() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ expenseId, file }) => api.upload(`/expenses/${expenseId}/receipts`, file).then(r => r.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error attaching receipt", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
+export function useDeleteExpenseReceipt() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => api.delete(`/expenses/receipts/${id}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.expenses.all });
+    },
+    onError: (error) => {
+      toast({ title: "Error removing receipt", description: error.message, variant: "destructive" });
+    },
+  });
+}
+
 // ─── Recurring Expenses ─────────────────────────────────────────────────────
 
 export function useCreateRecurringExpense() {
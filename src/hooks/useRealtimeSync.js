@@ -7,20 +7,24 @@ const INVALIDATION_MAP = {
   project:            [['projects'], ['stats'], ['calendar']],
   client:             [['clients'], ['stats']],
   quote:              [['quotes'], ['stats']],
-  invoice:            [['invoices'], ['stats']],
-  payment:            [['invoices'], ['stats']],
+  invoice:            [['invoices'], ['payments'], ['stats']],
+  payment:            [['invoices'], ['payments'], ['stats'], ['bank']],
   product:            [['products']],
-  expense:            [['expenses'], ['stats']],
+  expense:            [['expenses'], ['stats'], ['bank']],
   expense_category:   [['expense-categories']],
   recurring_expense:  [['recurring-expenses']],
   credit:             [['credits'], ['stats']],
+  credit_note:        [['invoices'], ['payments'], ['credits'], ['stats']],
+  contract:           [['contracts'], ['project-documents']],
   team_member:        [['team']],
-  team_payment:       [['team-payments'], ['expenses'], ['stats'], ['projects']],
+  team_payment:       [['team-payments'], ['expenses'], ['stats'], ['projects'], ['bank']],
+  bank_transaction:   [['bank']],
   team_advance:       [['team-advances']],
   team_salary:        [['team-salary']],
   project_assignment: [['assignments'], ['projects']],
   project_note:       [['projects']],
   settings:           [['settings']],
+  tax_rate:           [['tax-rates']],
   notification:       [['notifications']],
   hub_post:           [['hub']],
   hub_comment:        [['hub']],
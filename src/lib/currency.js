@@ -0,0 +1,37 @@
+// Keep in sync with SUPPORTED_CURRENCIES in server/lib/currency.ts
+export const CURRENCIES = [
+  { value: 'USD', label: 'US Dollar' },
+  { value: 'EUR', label: 'Euro' },
+  { value: 'CAD', label: 'Canadian Dollar' },
+  { value: 'GBP', label: 'British Pound' },
+  { value: 'AUD', label: 'Australian Dollar' },
+  { value: 'NZD', label: 'New Zealand Dollar' },
+  { value: 'CHF', label: 'Swiss Franc' },
+  { value: 'MXN', label: 'Mexican Peso' },
+  { value: 'SEK', label: 'Swedish Krona' },
+  { value: 'NOK', label: 'Norwegian Krone' },
+  { value: 'DKK', label: 'Danish Krone' },
+];
+
+const formatters = {};
+function getFormatter(currency) {
+  const code = currency || 'USD';
+  if (!formatters[code]) {
+    try {
+      formatters[code] = new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    } catch {
+      formatters[code] = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+    }
+  }
+  return formatters[code];
+}
+
+/** Format an amount in the given ISO currency, e.g. formatMoney(1200, 'EUR') → "€1,200.00" */
+export function formatMoney(amount, currency) {
+  return getFormatter(currency).format(parseFloat(amount) || 0);
+}
+
+/** Symbol for an ISO currency code, e.g. "$", "€", "CA$" */
+export function currencySymbol(currency) {
+  return getFormatter(currency).formatToParts(0).find(p => p.type === 'currency')?.value || '$';
+}
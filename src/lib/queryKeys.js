@@ -12,6 +12,10 @@ export const queryKeys = {
     public: () => [...queryKeys.settings.all, 'public'],
   },
 
+  taxRates: {
+    all: ['tax-rates'],
+  },
+
   clients: {
     all: ['clients'],
     list: (filters) => [...queryKeys.clients.all, 'list', filters],
@@ -32,6 +36,8 @@ export const queryKeys = {
     detail: (id) => [...queryKeys.quotes.all, 'detail', id],
     catalog: () => [...queryKeys.quotes.all, 'catalog'],
     byClient: (clientId) => [...queryKeys.quotes.all, 'byClient', clientId],
+    revisions: (id) => [...queryKeys.quotes.all, 'revisions', id],
+    comments: (id) => [...queryKeys.quotes.all, 'comments', id],
   },
 
   invoices: {
@@ -40,6 +46,7 @@ export const queryKeys = {
     detail: (id) => [...queryKeys.invoices.all, 'detail', id],
     catalog: () => [...queryKeys.invoices.all, 'catalog'],
     byClient: (clientId) => [...queryKeys.invoices.all, 'byClient', clientId],
+    revisions: (id) => [...queryKeys.invoices.all, 'revisions', id],
   },
 
   projectTypes: {
@@ -67,6 +74,17 @@ export const queryKeys = {
     pendingCount: () => [...queryKeys.users.all, 'pending-count'],
   },
 
+  payments: {
+    all: ['payments'],
+    list: (filters) => [...queryKeys.payments.all, 'list', filters],
+  },
+
+  contracts: {
+    all: ['contracts'],
+    list: (filters) => [...queryKeys.contracts.all, 'list', filters],
+    templates: () => [...queryKeys.contracts.all, 'templates'],
+  },
+
   credits: {
     all: ['credits'],
     byClient: (clientId) => [...queryKeys.credits.all, 'byClient', clientId],
@@ -113,11 +131,26 @@ export const queryKeys = {
     stats: () => [...queryKeys.expenses.all, 'stats'],
   },
 
+  // CSV preview — kept apart from expenses so list refreshes don't reset the reviewed rows
+  expenseImport: {
+    preview: (file, options) => ['expense-import', file, options],
+  },
+
   expenseCategories: {
     all: ['expense-categories'],
     list: () => [...queryKeys.expenseCategories.all, 'list'],
   },
 
+  expenseRules: {
+    all: ['expense-rules'],
+    list: () => [...queryKeys.expenseRules.all, 'list'],
+  },
+
+  vendors: {
+    all: ['vendors'],
+    list: () => [...queryKeys.vendors.all, 'list'],
+  },
+
   recurringExpenses: {
     all: ['recurring-expenses'],
     list: () => [...queryKeys.recurringExpenses.all, 'list'],
@@ -142,6 +175,19 @@ export const queryKeys = {
     user: (userId) => ['permissions', 'user', userId],
   },
 
+  accounting: {
+    all: ['accounting'],
+    mappings: () => ['accounting', 'mappings'],
+  },
+
+  bank: {
+    all: ['bank'],
+    statements: () => ['bank', 'statements'],
+    transactions: (filters) => ['bank', 'transactions', filters],
+    candidates: (id) => ['bank', 'candidates', id],
+    summary: (period) => ['bank', 'summary', period],
+  },
+
   backups: {
     all: ['backups'],
     config: () => ['backups', 'config'],
@@ -0,0 +1,50 @@
+import { itemTaxRates, sumRates } from '@/lib/taxRateResolver';
+
+export const OPTION_TYPES = [
+  { value: '', label: 'Always included' },
+  { value: 'optional', label: 'Optional add-on' },
+  { value: 'alternative', label: 'Alternative' },
+];
+
+/** Whether a quote item counts toward the totals. Mirrors isIncludedItem in server/lib/items.ts. */
+export const isIncludedItem = (item) => !item.optionType || item.isSelected !== false;
+
+export const optionGroupName = (item) => (item.optionGroup || '').trim() || 'Options';
+
+/**
+ * Gives each group of alternatives exactly one selected item: the first one
+ * marked, else the first in the group. Mirrors parseQuoteOptions on the server.
+ */
+export function withDefaultChoices(items) {
+  const chosen = new Set();
+  const next = items.map(item => {
+    if (item.optionType !== 'alternative') return item;
+    const group = optionGroupName(item);
+    if (item.isSelected !== false && !chosen.has(group)) {
+      chosen.add(group);
+      return item.isSelected ? item : { ...item, isSelected: true };
+    }
+    return item.isSelected === false ? item : { ...item, isSelected: false };
+  });
+  return next.map(item => {
+    if (item.optionType !== 'alternative' || chosen.has(optionGroupName(item))) return item;
+    chosen.add(optionGroupName(item));
+    return { ...item, isSelected: true };
+  });
+}
+
+/**
+ * Totals of a saved quote for a set of picks (item id → selected), with the
+ * same arithmetic as documentTotals on the server.
+ */
+export function quoteTotalsFor(quote, picks) {
+  const included = quote.items.filter(item => (item.optionType ? picks[item.id] : true));
+  const subtotal = included.reduce((s, item) => s + item.total, 0);
+  const discountAmount = (quote.discountType || 'percent') === 'percent'
+    ? subtotal * ((quote.discountValue || 0) / 100)
+    : quote.discountValue || 0;
+  const positive = included.filter(item => item.total > 0).reduce((s, item) => s + item.total, 0);
+  const ratio = positive > 0 ? (subtotal - discountAmount) / positive : 0;
+  const tax = included.reduce((s, item) => s + item.total * ratio * (sumRates(itemTaxRates(item, quote.taxRate || 0)) / 100), 0);
+  return { subtotal, discountAmount, tax, total: subtotal - discountAmount + tax };
+}
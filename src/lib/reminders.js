@@ -0,0 +1,59 @@
+// Reminder cadence helpers — mirror server/lib/reminders.ts so the settings
+// editor shows the same defaults the reminder job falls back to.
+
+const UPCOMING_BODY = `Hi [client_name],\n\nJust a heads-up that Invoice #[invoice_number] for [amount_due] is due on [due_date]. The invoice is attached for your reference.\n\nIf you've already sent payment, thank you — please disregard this message.\n\nBest regards,\n[company_name]`;
+const DUE_TODAY_BODY = `Hi [client_name],\n\nInvoice #[invoice_number] for [amount_due] is due today. The invoice is attached for your reference.\n\nIf you've already sent payment, thank you — please disregard this message.\n\nBest regards,\n[company_name]`;
+const OVERDUE_BODY = `Hi [client_name],\n\nThis is a friendly reminder that Invoice #[invoice_number] was due on [due_date] and is now [days_overdue] days overdue. The amount due is [amount_due].\n\nIf you've already sent payment, please disregard this message.\n\nThank you,\n[company_name]`;
+const FINAL_BODY = `Hi [client_name],\n\nInvoice #[invoice_number] is now [days_overdue] days overdue, with [amount_due] still outstanding. Please arrange payment as soon as possible, or get in touch if there's a problem we can help with.\n\nThis is our final reminder for this invoice.\n\nRegards,\n[company_name]`;
+
+export const REMINDER_PLACEHOLDERS = ['[client_name]', '[company_name]', '[invoice_number]', '[due_date]', '[days_overdue]', '[days_until_due]', '[amount_due]', '[balance]', '[total]', '[late_fees]', '[installment_label]'];
+
+export function defaultReminderSteps(overdueDays = [7, 14, 30]) {
+  const sorted = [...new Set(overdueDays)].filter(d => d > 0).sort((a, b) => a - b);
+  return [
+    { days: -3, subject: 'Upcoming: Invoice #[invoice_number] is due [due_date]', body: UPCOMING_BODY },
+    { days: 0, subject: 'Invoice #[invoice_number] is due today', body: DUE_TODAY_BODY },
+    ...sorted.map((days, i) => i === sorted.length - 1 && sorted.length > 1
+      ? { days, subject: 'Final notice: Invoice #[invoice_number] is [days_overdue] days overdue', body: FINAL_BODY }
+      : { days, subject: 'Reminder: Invoice #[invoice_number] is [days_overdue] days overdue', body: OVERDUE_BODY }),
+  ];
+}
+
+/** The saved cadence from settings, or the default one */
+export function reminderStepsFromSettings(settings) {
+  if (settings?.invoice_reminder_steps) {
+    try {
+      const steps = JSON.parse(settings.invoice_reminder_steps);
+      if (Array.isArray(steps)) return steps;
+    } catch { /* fall through to the default */ }
+  }
+  const legacyDays = (settings?.invoice_reminder_days || '')
+    .split(',')
+    .map(d => parseInt(d.trim(), 10))
+    .filter(d => !isNaN(d));
+  return defaultReminderSteps(legacyDays.length ? legacyDays : undefined);
+}
+
+/** "3 days before due", "On due date", "7 days overdue" */
+export function reminderStepLabel(days) {
+  if (days === 0) return 'On due date';
+  const n = Math.abs(days);
+  return `${n} day${n === 1 ? '' : 's'} ${days < 0 ? 'before due' : 'overdue'}`;
+}
+
+// Quote follow-up — mirrors server/lib/quoteFollowUps.ts
+
+const FOLLOW_UP_BODY = `Hi [client_name],\n\nI wanted to follow up on the quote we sent over for [total]. It's attached again for your convenience.\n\nIf you have any questions or would like to change anything, just reply to this email — we're happy to help.\n\nBest regards,\n[company_name]`;
+
+export const FOLLOW_UP_PLACEHOLDERS = ['[client_name]', '[company_name]', '[quote_number]', '[total]', '[valid_until]'];
+
+/** The saved quote follow-up, or the default one */
+export function quoteFollowUpFromSettings(settings) {
+  const days = parseInt(settings?.quote_follow_up_days, 10);
+  return {
+    enabled: settings?.quote_follow_up_enabled === 'true',
+    days: days > 0 ? days : 3,
+    subject: settings?.quote_follow_up_subject || 'Following up on Quote #[quote_number]',
+    body: settings?.quote_follow_up_body || FOLLOW_UP_BODY,
+  };
+}
@@ -0,0 +1,56 @@
+// Compares two snapshots of a quote or invoice, as stored by server/lib/revisions.ts
+
+const FIELD_LABELS = {
+  clientName: 'Client',
+  currency: 'Currency',
+  eventDate: 'Event date',
+  eventEndDate: 'Event end date',
+  eventLocation: 'Location',
+  eventType: 'Event type',
+  discountType: 'Discount type',
+  discountValue: 'Discount',
+  taxRate: 'Tax rate',
+  terms: 'Terms',
+  validUntil: 'Valid until',
+  dueDate: 'Due date',
+  depositAmount: 'Deposit',
+};
+
+const DATE_FIELDS = new Set(['eventDate', 'eventEndDate', 'validUntil', 'dueDate']);
+
+const TOTAL_LABELS = { subtotal: 'Subtotal', discountAmount: 'Discount', tax: 'Tax', total: 'Total' };
+
+// What a line shows the client; anything else (product links, sort order) isn't a change to them
+const ITEM_KEYS = ['description', 'qty', 'price', 'total', 'isTaxable', 'taxRates', 'optionType', 'optionGroup', 'isSelected'];
+
+export const isDateField = (key) => DATE_FIELDS.has(key);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field, line item and total changes from `before` to `after`. Items are paired
+ * by name in order, so a renamed line shows as one removed and one added.
+ */
+export function diffSnapshots(before, after) {
+  const fields = Object.keys(FIELD_LABELS)
+    .filter(key => key in before.fields || key in after.fields)
+    .filter(key => !same(before.fields[key], after.fields[key]))
+    .map(key => ({ key, label: FIELD_LABELS[key], before: before.fields[key] ?? null, after: after.fields[key] ?? null }));
+
+  const unmatched = [...before.items];
+  const items = after.items.map(item => {
+    const match = unmatched.findIndex(prev => prev.name === item.name && prev.type === item.type);
+    if (match === -1) return { status: 'added', after: item };
+    const [prev] = unmatched.splice(match, 1);
+    const changed = ITEM_KEYS.filter(key => !same(prev[key], item[key]));
+    return { status: changed.length ? 'changed' : 'same', before: prev, after: item, changed };
+  });
+  for (const prev of unmatched) items.push({ status: 'removed', before: prev });
+
+  const totals = Object.keys(TOTAL_LABELS)
+    .filter(key => !same(before.totals[key], after.totals[key]))
+    .map(key => ({ key, label: TOTAL_LABELS[key], before: before.totals[key], after: after.totals[key] }));
+
+  const hasChanges = fields.length > 0 || totals.length > 0 || items.some(i => i.status !== 'same');
+  return { fields, items, totals, hasChanges };
+}
@@ -2,25 +2,73 @@
  * Resolves the effective tax rate for a client.
  *
  * Logic:
- * 1. If taxHomeState is set and client is out-of-state → 0%
- * 2. Otherwise → defaultTaxRate
+ * 1. If the client holds a current exemption certificate → 0%
+ * 2. If taxHomeState is set and client is out-of-state → 0%
+ * 3. Otherwise → the named default rates when any are set up, else defaultTaxRate
  *
  * @param {object} params
  * @param {string|null} params.clientBillingState - The client's billing state
+ * @param {boolean} [params.clientTaxExempt] - Whether the client's exemption applies (see isTaxExempt)
  * @param {number} params.defaultTaxRate - The global fallback tax rate
  * @param {string|null} params.taxHomeState - Home state code (e.g. "CA"). Out-of-state clients get 0%.
- * @returns {{ rate: number, source: string }} The effective rate and a human-readable source label
+ * @param {Array} [params.taxRates] - Named rates from /api/tax-rates
+ * @returns {{ rate: number, source: string, rates: Array }} The effective rate, a human-readable source label,
+ *   and the named rates newly taxable items start with
  */
-export function resolveEffectiveTaxRate({ clientBillingState, defaultTaxRate, taxHomeState }) {
+export function resolveEffectiveTaxRate({ clientBillingState, clientTaxExempt = false, defaultTaxRate, taxHomeState, taxRates = [] }) {
+  if (clientTaxExempt) return { rate: 0, source: 'exempt', rates: [] };
+
   // Home state check: if client is out-of-state, no tax
   if (taxHomeState && clientBillingState) {
     const normalizedHome = taxHomeState.trim().toUpperCase();
     const normalizedClient = clientBillingState.trim().toUpperCase();
     if (normalizedClient !== normalizedHome) {
-      return { rate: 0, source: 'out-of-state' };
+      return { rate: 0, source: 'out-of-state', rates: [] };
     }
   }
 
-  return { rate: defaultTaxRate, source: 'default' };
+  if (taxRates.length > 0) {
+    const rates = taxRates.filter(r => r.isDefault).map(appliedTaxRate);
+    return { rate: sumRates(rates), source: 'default', rates };
+  }
+  return { rate: defaultTaxRate, source: 'default', rates: [] };
+}
+
+/** The snapshot of a named rate stored on a line item, so later edits to the rate don't change issued documents */
+export const appliedTaxRate = (r) => ({ id: r.id, name: r.name, rate: r.rate, jurisdiction: r.jurisdiction || null });
+
+/** Whether a client's tax exemption covers a document dated `on` (no expiry date = open-ended) */
+export function isTaxExempt(client, on = new Date()) {
+  if (!client?.taxExempt) return false;
+  return !client.taxExemptExpiresAt || new Date(client.taxExemptExpiresAt) >= on;
 }
 
+/**
+ * The rates a line item is taxed at. Items carrying named rates use those;
+ * older items (no `taxRates`) fall back to the document's single rate.
+ * Mirrors itemTaxRates in server/lib/tax.ts.
+ */
+export function itemTaxRates(item, documentRate) {
+  if (!item.isTaxable) return [];
+  if (Array.isArray(item.taxRates)) return item.taxRates;
+  return documentRate > 0 ? [{ id: null, name: 'Tax', rate: documentRate }] : [];
+}
+
+export const sumRates = (rates) => rates.reduce((s, r) => s + (parseFloat(r.rate) || 0), 0);
+
+/**
+ * Tax per rate for the totals panel: `lines` are { item, base } pairs with
+ * the pre-tax amount, `ratio` spreads the discount over them.
+ */
+export function taxBreakdown(lines, documentRate, ratio = 1) {
+  const byRate = new Map();
+  for (const { item, base } of lines) {
+    for (const r of itemTaxRates(item, documentRate)) {
+      const key = `${r.id ?? r.name}|${r.rate}`;
+      const line = byRate.get(key) || { key, id: r.id, name: r.name, rate: parseFloat(r.rate) || 0, amount: 0 };
+      line.amount += base * ratio * (line.rate / 100);
+      byRate.set(key, line);
+    }
+  }
+  return [...byRate.values()];
+}
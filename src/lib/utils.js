@@ -24,6 +24,11 @@ export function formatPhoneInput(value) {
   return '(' + digits.slice(0, 3) + ') ' + digits.slice(3, 6) + '-' + digits.slice(6);
 }
 
+/** Document number as shown to people — the rendered numbering template, or the 5-digit padded sequence on older documents */
+export function formatDocNumber(num, displayNumber) {
+  return displayNumber || String(num ?? '').padStart(5, '0');
+}
+
 export function groupByCategory(products) {
   const groups = {};
   products.forEach(p => {